@@ -2,6 +2,8 @@
 const cors = require('../../api-vercel/middleware/cors');
 const auth = require('../../api-vercel/middleware/auth');
 const errorHandler = require('../../api-vercel/middleware/errorHandler');
+const forecastService = require('../../src/services/forecastService');
+const { ForecastInputError } = require('../../src/services/timeSeries/errors');
 require('dotenv').config();
 
 module.exports = async (req, res) => {
@@ -17,70 +19,50 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { timeValues, values, frequency, options } = req.body;
+    const { datasetId, timeColumn, valueColumn, aggregate, timeValues, values, frequency, options } = req.body;
 
-    // Validate input
-    if (!timeValues || !values || !Array.isArray(timeValues) || !Array.isArray(values)) {
-      return res.status(400).json({ error: 'Valid time values and data values arrays are required' });
-    }
-
-    if (timeValues.length !== values.length) {
-      return res.status(400).json({ error: 'Time values and data values arrays must have the same length' });
-    }
+    // Hierarchy columns switch to forecasting every node and reconciling the levels
+    if (req.body.hierarchy) {
+      const result = await forecastService.runHierarchicalForecast(req.user.id, {
+        datasetId,
+        data: req.body.data,
+        hierarchy: req.body.hierarchy,
+        structure: req.body.structure,
+        timeColumn,
+        valueColumn,
+        aggregate,
+        frequency,
+        options
+      });
 
-    // Here you would implement actual forecasting logic
-    // For now, return mock forecast data
-    const horizon = options?.horizon || 6;
-    const method = options?.method || 'auto';
-    
-    // Generate forecast dates (future dates)
-    const lastDate = new Date(timeValues[timeValues.length - 1]);
-    const forecastDates = [];
-    for (let i = 1; i <= horizon; i++) {
-      const newDate = new Date(lastDate);
-      if (frequency === 'monthly') {
-        newDate.setMonth(lastDate.getMonth() + i);
-      } else if (frequency === 'weekly') {
-        newDate.setDate(lastDate.getDate() + (i * 7));
-      } else if (frequency === 'daily') {
-        newDate.setDate(lastDate.getDate() + i);
-      } else {
-        // Default to monthly
-        newDate.setMonth(lastDate.getMonth() + i);
-      }
-      forecastDates.push(newDate.toISOString().split('T')[0]);
+      return res.status(200).json(result);
     }
 
-    // Generate forecast values (with slight upward trend and noise)
-    const lastValue = values[values.length - 1];
-    const forecastValues = [];
-    for (let i = 1; i <= horizon; i++) {
-      // Add some trend and noise for realistic forecasts
-      const trend = lastValue * 0.02 * i;
-      const noise = lastValue * 0.05 * (Math.random() - 0.5);
-      forecastValues.push(Math.round(lastValue + trend + noise));
+    // Validate input
+    if (!datasetId && (!Array.isArray(timeValues) || !Array.isArray(values))) {
+      return res.status(400).json({ error: 'A datasetId, or valid time values and data values arrays, are required' });
     }
 
-    // Return results
-    res.status(200).json({
-      method,
+    // Forecast with every method (or the one requested) and pick the most accurate
+    const result = await forecastService.runForecast(req.user.id, {
+      datasetId,
+      timeColumn,
+      valueColumn,
+      aggregate,
+      timeValues,
+      values,
       frequency,
-      horizon,
-      forecast: {
-        dates: forecastDates,
-        values: forecastValues
-      },
-      metrics: {
-        mape: Math.round(Math.random() * 500) / 100, // Random MAPE between 0 and 5
-        rmse: Math.round(Math.random() * lastValue * 0.2),
-        mae: Math.round(Math.random() * lastValue * 0.15)
-      },
-      originalData: {
-        dates: timeValues,
-        values: values
-      }
+      options
     });
+
+    res.status(200).json(result);
   } catch (error) {
+    if (error instanceof ForecastInputError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Dataset not found') {
+      return res.status(404).json({ error: error.message });
+    }
     errorHandler(error, res);
   }
 };
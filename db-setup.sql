@@ -46,6 +46,11 @@ CREATE TABLE IF NOT EXISTS "DataTransformations" (
   "operation" VARCHAR(100) NOT NULL,
   "parameters" TEXT NOT NULL,
   "resultPreview" TEXT,
+  "report" TEXT,
+  "status" VARCHAR(50) DEFAULT 'completed',
+  "originalDataHash" VARCHAR(255),
+  "executionTime" INTEGER,
+  "parentId" INTEGER REFERENCES "DataTransformations"("id"),
   "userId" INTEGER REFERENCES "Users"("id"),
   "createdAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
   "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
@@ -139,12 +144,88 @@ CREATE TABLE IF NOT EXISTS "ErpConnections" (
   "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Transformation Recipes Table
+CREATE TABLE IF NOT EXISTS "TransformationRecipes" (
+  "id" SERIAL PRIMARY KEY,
+  "name" VARCHAR(255) NOT NULL,
+  "description" TEXT,
+  "steps" TEXT NOT NULL,
+  "parameters" TEXT,
+  "inputColumns" TEXT,
+  "isShared" BOOLEAN DEFAULT FALSE,
+  "sourceDatasetId" INTEGER REFERENCES "FinancialDatasets"("id"),
+  "userId" INTEGER REFERENCES "Users"("id"),
+  "createdAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Data Exports Table
+CREATE TABLE IF NOT EXISTS "DataExports" (
+  "id" SERIAL PRIMARY KEY,
+  "format" VARCHAR(50) NOT NULL,
+  "fileName" VARCHAR(255) NOT NULL,
+  "status" VARCHAR(50) DEFAULT 'completed',
+  "rowCount" INTEGER,
+  "fileSize" INTEGER,
+  "transformationId" INTEGER REFERENCES "DataTransformations"("id"),
+  "options" TEXT,
+  "error" TEXT,
+  "datasetId" INTEGER REFERENCES "FinancialDatasets"("id"),
+  "userId" INTEGER REFERENCES "Users"("id"),
+  "createdAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "DatasetVersions" (
+  "id" SERIAL PRIMARY KEY,
+  "contentHash" VARCHAR(64) NOT NULL,
+  "storageKey" VARCHAR(255) NOT NULL,
+  "rowCount" INTEGER,
+  "columns" TEXT,
+  "transformationId" INTEGER REFERENCES "DataTransformations"("id"),
+  "datasetId" INTEGER NOT NULL REFERENCES "FinancialDatasets"("id"),
+  "userId" INTEGER REFERENCES "Users"("id"),
+  "createdAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "ValidationRules" (
+  "id" SERIAL PRIMARY KEY,
+  "name" VARCHAR(255) NOT NULL,
+  "type" VARCHAR(50) NOT NULL,
+  "severity" VARCHAR(20) DEFAULT 'error',
+  "parameters" TEXT,
+  "enabled" BOOLEAN DEFAULT TRUE,
+  "datasetId" INTEGER NOT NULL REFERENCES "FinancialDatasets"("id"),
+  "userId" INTEGER REFERENCES "Users"("id"),
+  "createdAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS "FxRates" (
+  "id" SERIAL PRIMARY KEY,
+  "fromCurrency" VARCHAR(3) NOT NULL,
+  "toCurrency" VARCHAR(3) NOT NULL,
+  "rate" DOUBLE PRECISION NOT NULL,
+  "rateDate" DATE NOT NULL,
+  "rateType" VARCHAR(20) NOT NULL DEFAULT 'spot',
+  "source" VARCHAR(255),
+  "userId" INTEGER REFERENCES "Users"("id"),
+  "createdAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS "idx_datasets_user" ON "FinancialDatasets" ("userId");
 CREATE INDEX IF NOT EXISTS "idx_transformations_dataset" ON "DataTransformations" ("datasetId");
 CREATE INDEX IF NOT EXISTS "idx_timeline_session" ON "TimelineEvents" ("sessionId");
 CREATE INDEX IF NOT EXISTS "idx_timeline_user" ON "TimelineEvents" ("userId");
 CREATE INDEX IF NOT EXISTS "idx_embeddings_dataset" ON "VectorEmbeddings" ("datasetId");
+CREATE INDEX IF NOT EXISTS "idx_recipes_user" ON "TransformationRecipes" ("userId");
+CREATE INDEX IF NOT EXISTS "idx_exports_dataset" ON "DataExports" ("datasetId");
+CREATE INDEX IF NOT EXISTS "idx_versions_dataset" ON "DatasetVersions" ("datasetId", "transformationId");
+CREATE INDEX IF NOT EXISTS "idx_validation_rules_dataset" ON "ValidationRules" ("datasetId");
+CREATE INDEX IF NOT EXISTS "idx_fx_rates_lookup" ON "FxRates" ("userId", "fromCurrency", "toCurrency", "rateType", "rateDate");
 
 -- Verify tables were created
 SELECT table_name FROM information_schema.tables WHERE table_schema = 'public';
\ No newline at end of file
@@ -4,6 +4,11 @@ import {
   Line, 
   BarChart, 
   Bar, 
+  ComposedChart,
+  Area,
+  Scatter,
+  ReferenceLine,
+  ReferenceDot,
   PieChart, 
   Pie, 
   Cell, 
@@ -55,6 +60,45 @@ const KPICard = ({ title, value, change, icon: Icon }) => {
   );
 };
 
+// Chart components a time series chart spec can name
+const CHARTS = { LineChart, BarChart, ComposedChart };
+const SERIES = { Line, Bar, Area, Scatter };
+
+// Time Series Chart Component - renders a spec from the time series visualizer
+const TimeSeriesChart = ({ spec }) => {
+  const Chart = CHARTS[spec.chart] || ComposedChart;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+      <h3 className="text-lg font-semibold text-gray-700 dark:text-gray-300">{spec.title}</h3>
+      {spec.description && (
+        <p className="text-gray-500 dark:text-gray-400 text-sm">{spec.description}</p>
+      )}
+      <div className="h-80 mt-4">
+        <ResponsiveContainer width="100%" height="100%">
+          <Chart data={spec.data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey={spec.xAxis.dataKey} stroke="#6B7280" />
+            <YAxis stroke="#6B7280" unit={spec.yAxis && spec.yAxis.unit} />
+            <Tooltip contentStyle={{ backgroundColor: '#1F2937', borderColor: '#374151', color: '#F9FAFB' }} />
+            <Legend />
+            {spec.series.map(({ component, props }) => {
+              const Series = SERIES[component];
+              return Series ? <Series key={props.dataKey} isAnimationActive={false} {...props} /> : null;
+            })}
+            {spec.referenceLines.map((line, index) => (
+              <ReferenceLine key={`line-${index}`} {...line} />
+            ))}
+            {spec.markers.map((marker, index) => (
+              <ReferenceDot key={`marker-${index}`} x={marker.x} y={marker.y} r={5} fill={marker.fill} stroke="none" />
+            ))}
+          </Chart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
 // Main Financial Dashboard Component
 const FinancialDashboard = () => {
   const [isLoading, setIsLoading] = useState(true);
@@ -379,6 +423,15 @@ const FinancialDashboard = () => {
         </div>
       </div>
       
+      {/* Time Series Charts */}
+      {dashboardData.charts && dashboardData.charts.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+          {dashboardData.charts.map(spec => (
+            <TimeSeriesChart key={spec.id} spec={spec} />
+          ))}
+        </div>
+      )}
+      
       {/* AI Insights */}
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 mb-6">
         <div className="flex justify-between items-center mb-4">
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Calendar,
@@ -23,7 +23,12 @@ import {
   Layers,
   RotateCcw,
   AlertTriangle,
-  ArrowLeft
+  ArrowLeft,
+  GitBranch,
+  GitCommit,
+  GitCompare,
+  Undo,
+  Redo
 } from 'lucide-react';
 import axios from 'axios';
 
@@ -41,6 +46,11 @@ const TimelineHistory = () => {
   const [revertLoading, setRevertLoading] = useState(false);
   const [revertSuccess, setRevertSuccess] = useState(null);
   const [revertError, setRevertError] = useState(null);
+  const [historyTree, setHistoryTree] = useState(null);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const [versionDiffs, setVersionDiffs] = useState({});
+  const [openDiffEventId, setOpenDiffEventId] = useState(null);
   const navigate = useNavigate();
 
   // Step icon mapping
@@ -147,6 +157,111 @@ const TimelineHistory = () => {
     }
   };
 
+  const fetchHistoryTree = useCallback(async (datasetId) => {
+    try {
+      setHistoryLoading(true);
+      setHistoryError(null);
+
+      const response = await axios.get(`/api/data/history/${datasetId}/tree`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      if (response.data.success) {
+        setHistoryTree(response.data.tree);
+      } else {
+        setHistoryError('Failed to fetch transformation history');
+      }
+    } catch (err) {
+      setHistoryError(err.response?.data?.message || 'Error fetching transformation history');
+      console.error('Error fetching transformation history:', err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, []);
+
+  // Fetch the branch history of the selected session's dataset
+  const selectedSessionInfo = sessions.find(s => s.sessionId === selectedSession);
+  const selectedDatasetId = selectedSessionInfo ? selectedSessionInfo.datasetId : null;
+
+  useEffect(() => {
+    if (selectedDatasetId) {
+      fetchHistoryTree(selectedDatasetId);
+    } else {
+      setHistoryTree(null);
+    }
+  }, [selectedDatasetId, fetchHistoryTree]);
+
+  // Undo, redo or check out a version, then refresh the branch graph
+  const changeVersion = async (action, transformationId = null) => {
+    if (!historyTree) return;
+
+    try {
+      setHistoryLoading(true);
+      setHistoryError(null);
+
+      await axios.post(`/api/data/${action}`, {
+        datasetId: historyTree.datasetId,
+        ...(action === 'checkout' ? { transformationId } : {})
+      }, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      await fetchHistoryTree(historyTree.datasetId);
+    } catch (err) {
+      setHistoryError(err.response?.data?.message || `Failed to ${action}`);
+      console.error(`Error during ${action}:`, err);
+      setHistoryLoading(false);
+    }
+  };
+
+  // Compare the version an event produced with the version it was built on
+  const fetchVersionDiff = async (event, key = '') => {
+    setVersionDiffs(prev => ({
+      ...prev,
+      [event.id]: { ...prev[event.id], loading: true, error: null }
+    }));
+
+    try {
+      const response = await axios.get(`/api/data/datasets/${event.datasetId}/versions/diff`, {
+        params: {
+          to: event.transformationId,
+          limit: 20,
+          ...(key ? { key } : {})
+        },
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+
+      setVersionDiffs(prev => ({
+        ...prev,
+        [event.id]: { loading: false, error: null, diff: response.data.diff }
+      }));
+    } catch (err) {
+      setVersionDiffs(prev => ({
+        ...prev,
+        [event.id]: { ...prev[event.id], loading: false, error: err.response?.data?.message || 'Error loading changes' }
+      }));
+      console.error('Error fetching version diff:', err);
+    }
+  };
+
+  const toggleVersionDiff = (event) => {
+    if (openDiffEventId === event.id) {
+      setOpenDiffEventId(null);
+      return;
+    }
+
+    setOpenDiffEventId(event.id);
+    if (!versionDiffs[event.id]) {
+      fetchVersionDiff(event);
+    }
+  };
+
   const fetchTimelineStatistics = async () => {
     try {
       setLoadingStatistics(true);
@@ -262,6 +377,214 @@ const TimelineHistory = () => {
     return event.status === 'completed';
   };
 
+  // Render a transformation and its branches
+  const renderBranchNode = (node) => (
+    <div key={node.id}>
+      <div className="flex items-center py-1">
+        <GitCommit
+          className={`w-4 h-4 mr-2 flex-shrink-0 ${node.onActivePath ? 'text-blue-600' : 'text-gray-400'}`}
+        />
+        <span className={`text-sm ${node.onActivePath ? 'text-gray-800 font-medium' : 'text-gray-500'}`}>
+          {node.name}
+        </span>
+        <span className="ml-2 text-xs text-gray-400">{node.operation}</span>
+        {node.isHead && (
+          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">current</span>
+        )}
+        {!node.isHead && node.status !== 'failed' && (
+          <button
+            className="ml-auto text-xs text-blue-600 hover:text-blue-800"
+            onClick={() => changeVersion('checkout', node.id)}
+            disabled={historyLoading}
+          >
+            Check out
+          </button>
+        )}
+      </div>
+      {node.children.length > 0 && (
+        <div className={`ml-2 pl-4 border-l-2 ${node.children.length > 1 ? 'border-purple-200' : 'border-gray-200'}`}>
+          {node.children.length > 1 && (
+            <div className="flex items-center text-xs text-purple-600 py-1">
+              <GitBranch className="w-3 h-3 mr-1" />
+              {node.children.length} branches
+            </div>
+          )}
+          {node.children.map(renderBranchNode)}
+        </div>
+      )}
+    </div>
+  );
+
+  // Render the rule results recorded by a Data Validation event
+  const renderValidationReport = (validation) => {
+    const failed = validation.results.filter(result => !result.passed);
+
+    return (
+      <div className="mt-2 text-sm">
+        <div className={`flex items-center ${validation.blocked ? 'text-red-700' : failed.length > 0 ? 'text-amber-700' : 'text-green-700'}`}>
+          {validation.blocked ? (
+            <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+          ) : failed.length > 0 ? (
+            <AlertTriangle className="w-4 h-4 mr-1 flex-shrink-0" />
+          ) : (
+            <CheckCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+          )}
+          <span>
+            {validation.summary.passed} of {validation.summary.rules} validation rules passed
+            {validation.blocked && ' — the transformation was not applied'}
+          </span>
+        </div>
+        {failed.length > 0 && (
+          <ul className="mt-1 ml-5 space-y-0.5 text-xs">
+            {failed.map((result, index) => (
+              <li
+                key={result.ruleId || index}
+                className={result.severity === 'error' ? 'text-red-700' : 'text-amber-700'}
+              >
+                {result.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Show a row's values on one line
+  const formatRow = (row) => Object.entries(row)
+    .map(([column, value]) => `${column}: ${value === null || value === undefined ? '' : value}`)
+    .join(', ');
+
+  const formatCell = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+  // Render the changes between an event's version and the one before it
+  const renderVersionDiff = (event) => {
+    const state = versionDiffs[event.id] || {};
+    const { diff } = state;
+
+    if (state.loading && !diff) {
+      return (
+        <div className="flex items-center text-sm text-gray-500">
+          <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+          Comparing versions...
+        </div>
+      );
+    }
+
+    if (state.error) {
+      return (
+        <div className="bg-red-50 rounded p-2 text-sm text-red-700 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+          <span>{state.error}</span>
+        </div>
+      );
+    }
+
+    if (!diff) return null;
+
+    const { summary, schema } = diff;
+    const schemaChanged = schema.added.length + schema.removed.length + schema.typeChanged.length > 0;
+
+    return (
+      <div className={`text-sm ${state.loading ? 'opacity-60' : ''}`}>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="text-gray-700">
+            <span>{summary.fromRows} → {summary.toRows} rows</span>
+            <span className="ml-3 text-green-700">+{summary.added} added</span>
+            <span className="ml-3 text-red-700">−{summary.removed} removed</span>
+            {diff.mode === 'keyed' && (
+              <span className="ml-3 text-amber-700">~{summary.changed} changed</span>
+            )}
+          </div>
+          <label className="flex items-center text-xs text-gray-500">
+            Match rows by
+            <select
+              className="ml-2 border border-gray-300 rounded px-1 py-0.5 text-xs"
+              value={diff.key || ''}
+              onChange={(e) => fetchVersionDiff(event, e.target.value)}
+              disabled={state.loading}
+            >
+              <option value="">{diff.key ? 'Detect automatically' : 'Row content'}</option>
+              {diff.columns.map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {diff.identical && (
+          <p className="mt-2 text-gray-500">This step did not change the data.</p>
+        )}
+
+        {schemaChanged && (
+          <div className="mt-2 flex flex-wrap gap-1">
+            {schema.added.map(column => (
+              <span key={`added-${column.name}`} className="px-2 py-0.5 rounded bg-green-50 text-green-700 text-xs">
+                + {column.name} ({column.type})
+              </span>
+            ))}
+            {schema.removed.map(column => (
+              <span key={`removed-${column.name}`} className="px-2 py-0.5 rounded bg-red-50 text-red-700 text-xs">
+                − {column.name}
+              </span>
+            ))}
+            {schema.typeChanged.map(column => (
+              <span key={`type-${column.name}`} className="px-2 py-0.5 rounded bg-amber-50 text-amber-700 text-xs">
+                {column.name}: {column.from} → {column.to}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {diff.changed.length > 0 && (
+          <table className="mt-2 w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pr-2 font-medium">{diff.key}</th>
+                <th className="pr-2 font-medium">Column</th>
+                <th className="pr-2 font-medium">Before</th>
+                <th className="font-medium">After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.changed.flatMap(row => row.changes.map(change => (
+                <tr key={`${row.key}-${change.column}`} className="border-t border-gray-100">
+                  <td className="pr-2 text-gray-700">{row.key}</td>
+                  <td className="pr-2 text-gray-700">{change.column}</td>
+                  <td className="pr-2 text-red-700">{formatCell(change.from)}</td>
+                  <td className="text-green-700">{formatCell(change.to)}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        )}
+
+        {diff.added.length > 0 && (
+          <ul className="mt-2 space-y-0.5 text-xs text-green-700">
+            {diff.added.map((row, index) => (
+              <li key={`added-row-${index}`} className="truncate">+ {formatRow(row)}</li>
+            ))}
+          </ul>
+        )}
+
+        {diff.removed.length > 0 && (
+          <ul className="mt-2 space-y-0.5 text-xs text-red-700">
+            {diff.removed.map((row, index) => (
+              <li key={`removed-row-${index}`} className="truncate">− {formatRow(row)}</li>
+            ))}
+          </ul>
+        )}
+
+        {(diff.truncated || diff.warnings.length > 0) && (
+          <div className="mt-2 text-xs text-gray-500">
+            {diff.truncated && <p>Only the first rows of each change are listed.</p>}
+            {diff.warnings.map(warning => <p key={warning}>{warning}</p>)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Apply filters to sessions
   const filteredSessions = sessions.filter(session => {
     if (!showFilter) return true;
@@ -566,6 +889,62 @@ const TimelineHistory = () => {
                   {/* Expanded Session Timeline */}
                   {selectedSession === session.sessionId && (
                     <div className="border-t border-gray-100 p-4 bg-gray-50">
+                      {/* Transformation branch graph */}
+                      {historyTree && (
+                        <div className="bg-white p-4 mb-4 rounded-lg border border-gray-200">
+                          <div className="flex justify-between items-center mb-3">
+                            <div className="flex items-center">
+                              <GitBranch className="w-4 h-4 text-purple-600 mr-2" />
+                              <h4 className="font-medium text-gray-800">Transformation History</h4>
+                            </div>
+                            <div className="flex space-x-2">
+                              <button
+                                className="flex items-center px-3 py-1 text-sm bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+                                onClick={() => changeVersion('undo')}
+                                disabled={!historyTree.canUndo || historyLoading}
+                              >
+                                <Undo className="w-4 h-4 mr-1" />
+                                Undo
+                              </button>
+                              <button
+                                className="flex items-center px-3 py-1 text-sm bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50"
+                                onClick={() => changeVersion('redo')}
+                                disabled={!historyTree.canRedo || historyLoading}
+                              >
+                                <Redo className="w-4 h-4 mr-1" />
+                                Redo
+                              </button>
+                            </div>
+                          </div>
+                          {historyError && (
+                            <p className="text-sm text-red-600 mb-2">{historyError}</p>
+                          )}
+                          <div className="flex items-center py-1">
+                            <Database className={`w-4 h-4 mr-2 ${historyTree.headId ? 'text-gray-400' : 'text-blue-600'}`} />
+                            <span className="text-sm text-gray-700">Original data</span>
+                            {!historyTree.headId && (
+                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-700">current</span>
+                            )}
+                            {historyTree.headId && (
+                              <button
+                                className="ml-auto text-xs text-blue-600 hover:text-blue-800"
+                                onClick={() => changeVersion('checkout', null)}
+                                disabled={historyLoading}
+                              >
+                                Check out
+                              </button>
+                            )}
+                          </div>
+                          {historyTree.roots.length > 0 ? (
+                            <div className="ml-2 pl-4 border-l-2 border-gray-200">
+                              {historyTree.roots.map(renderBranchNode)}
+                            </div>
+                          ) : (
+                            <p className="text-sm text-gray-500 mt-1">No transformations yet</p>
+                          )}
+                        </div>
+                      )}
+                      
                       {sessionEvents.length === 0 ? (
                         <div className="flex items-center justify-center py-6">
                           <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-600"></div>
@@ -608,6 +987,7 @@ const TimelineHistory = () => {
                                         </div>
                                       </div>
                                       <p className="text-gray-600 mt-1 text-sm">{event.description}</p>
+                                      {event.details && event.details.validation && renderValidationReport(event.details.validation)}
                                       
                                       <div className="mt-2 flex justify-between items-center">
                                         <div className="text-sm text-gray-500">
@@ -628,6 +1008,16 @@ const TimelineHistory = () => {
                                             </button>
                                           )}
                                           
+                                          {event.datasetId && event.transformationId && (
+                                            <button 
+                                              className="text-sm text-purple-600 hover:text-purple-800 flex items-center"
+                                              onClick={() => toggleVersionDiff(event)}
+                                            >
+                                              Changes
+                                              <GitCompare className="w-4 h-4 ml-1" />
+                                            </button>
+                                          )}
+                                          
                                           {canRevertTo(event) && event.status !== 'undone' && (
                                             <button 
                                               className="text-sm text-amber-600 hover:text-amber-800 flex items-center"
@@ -640,6 +1030,13 @@ const TimelineHistory = () => {
                                         </div>
                                       </div>
                                       
+                                      {/* Data changes made by the event's transformation */}
+                                      {openDiffEventId === event.id && (
+                                        <div className="mt-3 pt-3 border-t border-gray-100">
+                                          {renderVersionDiff(event)}
+                                        </div>
+                                      )}
+                                      
                                       {/* Event is the result of a reversion */}
                                       {event.metadata && event.metadata.isReversion && (
                                         <div className="mt-3 pt-3 border-t border-gray-100">
@@ -2,8 +2,12 @@ const path = require('path');
 const fs = require('fs');
 const Papa = require('papaparse');
 const crypto = require('crypto');
-const xlsx = require('xlsx');
 const models = require('../database/models');
+const { reconstructDataset } = require('../services/transformationReplayService');
+const { profileColumns, parseStoredProfiles } = require('../utils/columnProfiler');
+const { readWorkbook, readSheet } = require('../utils/workbookReader');
+const { detectStatementFormat, parseStatement } = require('../services/bankStatements');
+const { renderExport, resolveExportFormat } = require('../services/exporters');
 
 const DATA_DIR = path.join(__dirname, '../../data');
 
@@ -57,19 +61,22 @@ const getDatasetById = async (req, res) => {
       // Add parsed data to response
       dataset.dataValues.data = parsedData.data;
       
-      // Generate preview metadata for columns
+      // Generate preview metadata from the stored column profiles
+      const profiles = parseStoredProfiles(dataset.columns);
       const preview = Object.keys(parsedData.data[0] || {}).map(key => {
         const values = parsedData.data.map(row => row[key]).filter(val => val !== null && val !== '');
+        const profile = profiles.find(col => col.name === key);
         return {
           column: key,
-          type: dataset.columns ? 
-            JSON.parse(dataset.columns).find(col => col.name === key)?.type || 'string' 
-            : 'string',
+          type: profile?.type || 'string',
+          confidence: profile?.confidence,
+          semantic: profile?.semantic || [],
           sample: values.slice(0, 3).join(', ')
         };
       });
       
       dataset.dataValues.preview = preview;
+      dataset.dataValues.profile = profiles;
     } else {
       dataset.dataValues.data = [];
       dataset.dataValues.preview = [];
@@ -141,25 +148,8 @@ const uploadBase64File = async (req, res) => {
         throw new Error('No data found in the CSV file or header is missing');
       }
       
-      // Generate column metadata
-      const columns = Object.keys(parsedData.data[0] || {}).map(key => {
-        // Detect column type
-        const values = parsedData.data.map(row => row[key]).filter(val => val != null);
-        let type = 'string';
-        
-        if (values.length > 0) {
-          if (values.every(val => !isNaN(val))) {
-            type = 'number';
-          } else if (values.every(val => !isNaN(Date.parse(val)))) {
-            type = 'date';
-          }
-        }
-        
-        return {
-          name: key,
-          type
-        };
-      });
+      // Profile columns (type, confidence, statistics and semantic hints)
+      const columns = profileColumns(parsedData.data);
       
       // Create the dataset record
       const dataset = await models.FinancialDataset.create({
@@ -244,7 +234,15 @@ const uploadMultipartFile = async (req, res) => {
     let fileFormat;
     
     try {
-      if (file.originalname.endsWith('.csv')) {
+      const statementFormat = detectStatementFormat(file.originalname, fileBuffer.toString('utf8', 0, 4096));
+      
+      if (statementFormat) {
+        // Parse a bank statement: one row per transaction
+        parsedData = {
+          data: parseStatement(fileBuffer.toString('utf8'), statementFormat).transactions
+        };
+        fileFormat = statementFormat;
+      } else if (file.originalname.endsWith('.csv')) {
         // Parse CSV
         const csvData = fs.readFileSync(newFilePath, 'utf8');
         parsedData = Papa.parse(csvData, {
@@ -257,13 +255,8 @@ const uploadMultipartFile = async (req, res) => {
         });
         fileFormat = 'csv';
       } else if (file.originalname.endsWith('.xlsx') || file.originalname.endsWith('.xls')) {
-        // Parse Excel
-        const workbook = xlsx.readFile(newFilePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        parsedData = {
-          data: xlsx.utils.sheet_to_json(worksheet)
-        };
+        // Parse Excel: the first sheet holding a table, as replays read it
+        parsedData = readSheet(readWorkbook(newFilePath));
         fileFormat = 'excel';
       } else if (file.originalname.endsWith('.json')) {
         // Parse JSON
@@ -281,25 +274,8 @@ const uploadMultipartFile = async (req, res) => {
         throw new Error('No data found in the file');
       }
       
-      // Generate column metadata
-      const columns = Object.keys(parsedData.data[0] || {}).map(key => {
-        // Detect column type
-        const values = parsedData.data.map(row => row[key]).filter(val => val != null);
-        let type = 'string';
-        
-        if (values.length > 0) {
-          if (values.every(val => !isNaN(val))) {
-            type = 'number';
-          } else if (values.every(val => !isNaN(Date.parse(val)))) {
-            type = 'date';
-          }
-        }
-        
-        return {
-          name: key,
-          type
-        };
-      });
+      // Profile columns (type, confidence, statistics and semantic hints)
+      const columns = profileColumns(parsedData.data);
       
       // Create the dataset record
       const dataset = await models.FinancialDataset.create({
@@ -367,130 +343,40 @@ const exportDataset = async (req, res) => {
       return res.status(404).json({ error: 'Dataset not found' });
     }
     
-    // Read the dataset file
+    // Check the dataset file
     const filePath = path.join(DATA_DIR, dataset.storageKey);
     if (!fs.existsSync(filePath)) {
       return res.status(404).json({ error: 'Dataset file not found' });
     }
     
-    let data;
-    
     if (transformationId) {
-      // Get transformation details
-      const transformation = await models.DataTransformation.findByPk(transformationId);
+      const transformation = await models.DataTransformation.findOne({
+        where: { id: transformationId, datasetId: dataset.id }
+      });
       if (!transformation) {
         return res.status(404).json({ error: 'Transformation not found' });
       }
-      
-      // Read the original data
-      const csvData = fs.readFileSync(filePath, 'utf8');
-      const parsedData = Papa.parse(csvData, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true
-      });
-      
-      // Re-apply the transformation
-      const operation = transformation.operation;
-      const parameters = JSON.parse(transformation.parameters);
-      
-      switch (operation) {
-        case 'filter':
-          const column = parameters.column;
-          const value = parameters.value;
-          
-          if (column && value) {
-            data = parsedData.data.filter(row => 
-              String(row[column]).toLowerCase() === String(value).toLowerCase()
-            );
-          } else {
-            data = parsedData.data;
-          }
-          break;
-          
-        case 'sort':
-          const sortColumn = parameters.column;
-          const order = parameters.order || 'asc';
-          
-          if (sortColumn) {
-            data = [...parsedData.data].sort((a, b) => {
-              if (order.toLowerCase() === 'asc') {
-                return a[sortColumn] > b[sortColumn] ? 1 : -1;
-              } else {
-                return a[sortColumn] < b[sortColumn] ? 1 : -1;
-              }
-            });
-          } else {
-            data = parsedData.data;
-          }
-          break;
-          
-        case 'remove_duplicates':
-          const dedupeColumns = parameters.columns || Object.keys(parsedData.data[0] || {});
-          
-          data = [];
-          const seen = new Set();
-          
-          parsedData.data.forEach(row => {
-            const key = dedupeColumns.map(col => row[col]).join('|');
-            if (!seen.has(key)) {
-              seen.add(key);
-              data.push(row);
-            }
-          });
-          break;
-          
-        default:
-          data = parsedData.data;
-          break;
-      }
-    } else {
-      // No transformation specified, just export the original data
-      const csvData = fs.readFileSync(filePath, 'utf8');
-      const parsedData = Papa.parse(csvData, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true
-      });
-      
-      data = parsedData.data;
     }
     
-    // Format the data according to requested format
-    let exportData;
-    let contentType;
-    let fileName;
+    // Rebuild the requested version by replaying the transformation chain;
+    // with no transformation specified, export the original data
+    const { data } = await reconstructDataset(dataset, {
+      transformationId: transformationId ? Number(transformationId) : 0
+    });
     
-    switch (format.toLowerCase()) {
-      case 'csv':
-        exportData = Papa.unparse(data);
-        contentType = 'text/csv';
-        fileName = `${dataset.name.replace(/\\s+/g, '_')}_export.csv`;
-        break;
-        
-      case 'json':
-        exportData = JSON.stringify(data, null, 2);
-        contentType = 'application/json';
-        fileName = `${dataset.name.replace(/\\s+/g, '_')}_export.json`;
-        break;
-        
-      case 'excel':
-        // Create a new workbook
-        const wb = xlsx.utils.book_new();
-        const ws = xlsx.utils.json_to_sheet(data);
-        xlsx.utils.book_append_sheet(wb, ws, 'Data');
-        
-        // Write to buffer
-        const excelBuffer = xlsx.write(wb, { type: 'buffer', bookType: 'xlsx' });
-        exportData = excelBuffer;
-        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-        fileName = `${dataset.name.replace(/\\s+/g, '_')}_export.xlsx`;
-        break;
-        
-      default:
-        return res.status(400).json({ error: 'Unsupported export format' });
+    // Format the data according to requested format
+    let resolvedFormat;
+    try {
+      resolvedFormat = resolveExportFormat(format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unsupported export format' });
     }
     
+    const rendered = await renderExport([{ name: dataset.name, data }], resolvedFormat, { title: dataset.name });
+    const exportData = rendered.content;
+    const contentType = rendered.contentType;
+    const fileName = `${dataset.name.replace(/\\s+/g, '_')}_export.${rendered.extension}`;
+    
     // Set headers
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DataExport = sequelize.define('DataExport', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // csv, json, xlsx, parquet or pdf
+    format: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // File name under the processed folder, served by /api/data/download/:filename
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: 'completed'
+    },
+    rowCount: {
+      type: DataTypes.INTEGER
+    },
+    fileSize: {
+      type: DataTypes.INTEGER
+    },
+    // Transformation the exported version ends with; null for the original data
+    transformationId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'DataTransformations',
+        key: 'id'
+      }
+    },
+    // JSON object of the export options, e.g. { datasetIds, sheets }
+    options: {
+      type: DataTypes.TEXT
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    datasetId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'FinancialDatasets',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'DataExports' // Important: Match the SQL table name
+  });
+
+  DataExport.associate = (models) => {
+    DataExport.belongsTo(models.User, { foreignKey: 'userId' });
+    DataExport.belongsTo(models.FinancialDataset, { foreignKey: 'datasetId' });
+  };
+
+  return DataExport;
+};
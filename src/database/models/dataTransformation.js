@@ -25,6 +25,27 @@ module.exports = (sequelize) => {
     resultPreview: {
       type: DataTypes.TEXT
     },
+    report: {
+      type: DataTypes.TEXT
+    },
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: 'completed'
+    },
+    originalDataHash: {
+      type: DataTypes.STRING
+    },
+    executionTime: {
+      type: DataTypes.INTEGER
+    },
+    // Transformation this one was applied on top of; null means the original data
+    parentId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'DataTransformations',
+        key: 'id'
+      }
+    },
     datasetId: {
       type: DataTypes.INTEGER,
       references: {
@@ -58,6 +79,8 @@ module.exports = (sequelize) => {
     DataTransformation.belongsTo(models.User, { foreignKey: 'userId' });
     DataTransformation.hasMany(models.TimelineEvent, { foreignKey: 'transformationId' });
     DataTransformation.hasMany(models.AnalysisReport, { foreignKey: 'transformationId' });
+    DataTransformation.belongsTo(models.DataTransformation, { as: 'parent', foreignKey: 'parentId' });
+    DataTransformation.hasMany(models.DataTransformation, { as: 'children', foreignKey: 'parentId' });
   };
 
   return DataTransformation;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const DatasetVersion = sequelize.define('DatasetVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // SHA-256 of the version's rows as NDJSON; identical states share one file
+    contentHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // Content-addressed NDJSON file under the data folder, never overwritten
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    rowCount: {
+      type: DataTypes.INTEGER
+    },
+    // JSON array of column profiles
+    columns: {
+      type: DataTypes.TEXT
+    },
+    // Transformation that produced this version; null for the original data
+    transformationId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'DataTransformations',
+        key: 'id'
+      }
+    },
+    datasetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'FinancialDatasets',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'DatasetVersions' // Important: Match the SQL table name
+  });
+
+  DatasetVersion.associate = (models) => {
+    DatasetVersion.belongsTo(models.User, { foreignKey: 'userId' });
+    DatasetVersion.belongsTo(models.FinancialDataset, { foreignKey: 'datasetId' });
+    DatasetVersion.belongsTo(models.DataTransformation, { foreignKey: 'transformationId' });
+  };
+
+  return DatasetVersion;
+};
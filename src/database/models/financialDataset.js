@@ -63,6 +63,8 @@ module.exports = (sequelize) => {
     FinancialDataset.hasMany(models.VectorEmbedding, { foreignKey: 'datasetId' });
     FinancialDataset.hasMany(models.AnalysisReport, { foreignKey: 'datasetId' });
     FinancialDataset.hasMany(models.TimeSeriesModel, { foreignKey: 'datasetId' });
+    FinancialDataset.hasMany(models.DatasetVersion, { foreignKey: 'datasetId' });
+    FinancialDataset.hasMany(models.ValidationRule, { foreignKey: 'datasetId' });
   };
 
   return FinancialDataset;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const FxRate = sequelize.define('FxRate', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // 1 fromCurrency = rate toCurrency
+    fromCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    toCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    rate: {
+      type: DataTypes.DOUBLE,
+      allowNull: false
+    },
+    rateDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    // spot, average (month average) or closing (month end)
+    rateType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'spot'
+    },
+    // Name of the uploaded file the rate came from
+    source: {
+      type: DataTypes.STRING
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'FxRates' // Important: Match the SQL table name
+  });
+
+  FxRate.associate = (models) => {
+    FxRate.belongsTo(models.User, { foreignKey: 'userId' });
+  };
+
+  return FxRate;
+};
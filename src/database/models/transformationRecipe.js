@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TransformationRecipe = sequelize.define('TransformationRecipe', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    // JSON array of { name, operation, columns, conditions, sources }
+    steps: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // JSON array of { name, description, default }
+    parameters: {
+      type: DataTypes.TEXT
+    },
+    // JSON array of the column names the recipe was recorded against
+    inputColumns: {
+      type: DataTypes.TEXT
+    },
+    isShared: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    sourceDatasetId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'FinancialDatasets',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'TransformationRecipes' // Important: Match the SQL table name
+  });
+
+  TransformationRecipe.associate = (models) => {
+    TransformationRecipe.belongsTo(models.User, { foreignKey: 'userId' });
+    TransformationRecipe.belongsTo(models.FinancialDataset, { as: 'sourceDataset', foreignKey: 'sourceDatasetId' });
+  };
+
+  return TransformationRecipe;
+};
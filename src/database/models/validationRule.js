@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ValidationRule = sequelize.define('ValidationRule', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // not_null, unique, range, allowed_values, regex, reference, balanced or row_count
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // error blocks a failing transformation, warning only reports it
+    severity: {
+      type: DataTypes.STRING,
+      defaultValue: 'error'
+    },
+    // JSON object of the type's parameters, e.g. { column, min, max }
+    parameters: {
+      type: DataTypes.TEXT
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    datasetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'FinancialDatasets',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'ValidationRules' // Important: Match the SQL table name
+  });
+
+  ValidationRule.associate = (models) => {
+    ValidationRule.belongsTo(models.User, { foreignKey: 'userId' });
+    ValidationRule.belongsTo(models.FinancialDataset, { foreignKey: 'datasetId' });
+  };
+
+  return ValidationRule;
+};
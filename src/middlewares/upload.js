@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { STATEMENT_EXTENSIONS } = require('../services/bankStatements');
 
 // File upload configuration
 const storage = multer.diskStorage({
@@ -25,12 +26,18 @@ const fileFilter = (req, file, cb) => {
   // Accept only csv, xlsx, xls, json
   const fileTypes = /csv|excel|spreadsheetml|json/;
   const mimetype = fileTypes.test(file.mimetype);
-  const extname = fileTypes.test(path.extname(file.originalname).toLowerCase());
+  const extension = path.extname(file.originalname).toLowerCase();
+  const extname = fileTypes.test(extension);
   
   if (mimetype && extname) {
     return cb(null, true);
   }
-  cb(new Error('Error: Only CSV, Excel, and JSON files are allowed!'));
+  
+  // Bank statements are sent with all kinds of mimetypes, so only the extension is checked
+  if (STATEMENT_EXTENSIONS.includes(extension) || extension === '.xml') {
+    return cb(null, true);
+  }
+  cb(new Error('Error: Only CSV, Excel, JSON and bank statement (OFX, QFX, MT940, CAMT.053, QIF) files are allowed!'));
 };
 
 const upload = multer({ 
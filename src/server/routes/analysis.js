@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../../middleware/auth');
 const financialAnalysisService = require('../../services/financialAnalysisService');
+const reconciliationService = require('../../services/reconciliationService');
+const ratioService = require('../../services/ratioService');
+const { ReconciliationError } = require('../../services/reconciliation');
+const { loadRateTable } = require('../../services/fxRateService');
+const { FxRateError } = require('../../services/fx');
+const { RatioInputError } = require('../../services/ratios');
 const logger = require('../../utils/logger');
 
 /**
@@ -88,16 +94,27 @@ router.post('/cash-flow', authenticate, async (req, res) => {
 
 /**
  * Calculate financial ratios
+ * Takes one statement (financialData) or statements for several periods, and
+ * optionally compares the latest period with a benchmark dataset of peer
+ * statements or published ratios. Figures in several currencies are converted
+ * with the user's FX rates when a reportingCurrency is given, and flagged otherwise.
  */
 router.post('/ratios', authenticate, async (req, res) => {
   try {
-    const { financialData } = req.body;
+    const { financialData, statements, benchmarkDatasetId, company, reportingCurrency, date, averageBalances } = req.body;
     
-    if (!financialData) {
+    if (!financialData && !statements) {
       return res.status(400).json({ error: 'Financial data is required' });
     }
     
-    const ratios = financialAnalysisService.calculateFinancialRatios(financialData);
+    const ratios = await ratioService.calculateRatios(req.user.id, {
+      statements: statements || financialData,
+      benchmarkDatasetId,
+      company,
+      reportingCurrency,
+      date,
+      averageBalances
+    });
     
     res.json({
       success: true,
@@ -105,7 +122,7 @@ router.post('/ratios', authenticate, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error calculating ratios:', { error });
-    res.status(500).json({
+    res.status(error instanceof RatioInputError || error instanceof FxRateError ? 400 : 500).json({
       error: 'Ratio calculation failed',
       message: error.message
     });
@@ -166,16 +183,24 @@ router.post('/statements', authenticate, async (req, res) => {
 
 /**
  * Build financial dashboard
+ * Amounts are converted into reportingCurrency with the user's FX rates
+ * (month-average rates unless rateType says otherwise); mixed currencies are
+ * flagged in dashboard.currency when no reporting currency is given.
  */
 router.post('/dashboard', authenticate, async (req, res) => {
   try {
-    const { data, period } = req.body;
+    const { data, period, reportingCurrency, rateType, currencyColumn } = req.body;
     
     if (!data || !Array.isArray(data) || data.length === 0) {
       return res.status(400).json({ error: 'Valid data array is required' });
     }
     
-    const dashboard = financialAnalysisService.buildFinancialDashboard(data, period);
+    const dashboard = financialAnalysisService.buildFinancialDashboard(data, period, {
+      reportingCurrency,
+      rateType,
+      currencyColumn,
+      fxRates: reportingCurrency ? await loadRateTable(req.user.id) : null
+    });
     
     res.json({
       success: true,
@@ -183,11 +208,80 @@ router.post('/dashboard', authenticate, async (req, res) => {
     });
   } catch (error) {
     logger.error('Error building dashboard:', { error });
-    res.status(500).json({
+    res.status(error instanceof FxRateError ? 400 : 500).json({
       error: 'Dashboard building failed',
       message: error.message
     });
   }
 });
 
+/**
+ * Reconcile a ledger dataset with a bank dataset
+ * Body: { ledgerDatasetId, bankDatasetId, name, description, options }
+ */
+router.post('/reconciliations', authenticate, async (req, res) => {
+  try {
+    const { ledgerDatasetId, bankDatasetId } = req.body;
+    
+    if (!ledgerDatasetId || !bankDatasetId) {
+      return res.status(400).json({ error: 'Ledger and bank dataset IDs are required' });
+    }
+    
+    const reconciliation = await reconciliationService.reconcileDatasets(req.user.id, req.body);
+    
+    res.status(201).json({
+      success: true,
+      reconciliation
+    });
+  } catch (error) {
+    logger.error('Error reconciling datasets:', { error });
+    res.status(error instanceof ReconciliationError ? 400 : 500).json({
+      error: 'Reconciliation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List saved reconciliations, optionally of one ledger dataset (?datasetId=)
+ */
+router.get('/reconciliations', authenticate, async (req, res) => {
+  try {
+    const reconciliations = await reconciliationService.listReconciliations(req.user.id, {
+      datasetId: req.query.datasetId
+    });
+    
+    res.json({
+      success: true,
+      reconciliations
+    });
+  } catch (error) {
+    logger.error('Error listing reconciliations:', { error });
+    res.status(500).json({
+      error: 'Failed to list reconciliations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get a saved reconciliation with its matches, suggestions and unmatched entries
+ */
+router.get('/reconciliations/:reportId', authenticate, async (req, res) => {
+  try {
+    const reconciliation = await reconciliationService.getReconciliation(req.user.id, req.params.reportId);
+    
+    res.json({
+      success: true,
+      reconciliation
+    });
+  } catch (error) {
+    logger.error('Error fetching reconciliation:', { error });
+    res.status(500).json({
+      error: 'Failed to fetch reconciliation',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,7 @@ const dataRoutes = require('./data');
 const analysisRoutes = require('./analysis');
 const authRoutes = require('./auth');
 const timelineRoutes = require('./timeline');
+const recipeRoutes = require('./recipes');
 const logger = require('../../utils/logger');
 const { checkHealth } = require('../../services/vectorDatabaseService');
 
@@ -13,6 +14,7 @@ router.use('/auth', authRoutes);
 router.use('/data', dataRoutes);
 router.use('/analysis', analysisRoutes);
 router.use('/timeline', timelineRoutes);
+router.use('/recipes', recipeRoutes);
 
 // Health check endpoint
 router.get('/health', async (req, res) => {
@@ -75,6 +77,7 @@ router.get('/info', (req, res) => {
       { path: '/api/data', description: 'Data transformation endpoints' },
       { path: '/api/analysis', description: 'Financial analysis endpoints' },
       { path: '/api/timeline', description: 'Timeline tracking endpoints' },
+      { path: '/api/recipes', description: 'Saved transformation recipes' },
       { path: '/api/health', description: 'System health check' }
     ]
   });
@@ -1,18 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const Papa = require('papaparse');
-const XLSX = require('xlsx');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const multer = require('multer');
 const { authenticate } = require('../../middleware/auth');
 const { 
   interpretUserIntent, 
   processDataTransformation,
-  exportTransformedData,
   undoLastOperation,
+  redoLastOperation,
   getTransformationHistory,
+  getTransformationTree,
+  checkoutTransformation,
   getUserDatasets,
   getSuggestedTransformations
 } = require('../../services/dataTransformationService');
@@ -22,6 +23,18 @@ const {
   extractFinancialEntities
 } = require('../../services/vectorDatabaseService');
 const logger = require('../../utils/logger');
+const { readWorkbook, readSheet } = require('../../utils/workbookReader');
+const { reconstructDataset } = require('../../services/transformationReplayService');
+const { startIngestion, startSheetIngestion, getIngestionJob } = require('../../services/ingestionService');
+const { STATEMENT_EXTENSIONS, detectStatementFormat, parseStatement } = require('../../services/bankStatements');
+const { exportDatasets, exportRows, getDatasetExports, resolveExportFile } = require('../../services/exportService');
+const { resolveExportFormat, getContentType } = require('../../services/exporters');
+const { listVersions, getVersion, diffVersions } = require('../../services/datasetVersionService');
+const validationService = require('../../services/validationService');
+const { findDuplicates, mergeDuplicates } = require('../../services/duplicateService');
+const { ValidationRuleError, ValidationFailedError } = require('../../services/validation');
+const { importRates, listRates, deleteRates } = require('../../services/fxRateService');
+const { FxRateError } = require('../../services/fx');
 
 // Ensure upload and processed directories exist
 const createDirectories = async () => {
@@ -35,6 +48,9 @@ const createDirectories = async () => {
 
 createDirectories();
 
+// Uploads are ingested as a stream, so large trial balances and exports fit (default 500MB)
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_FILE_SIZE, 10) || 500 * 1024 * 1024;
+
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -50,14 +66,14 @@ const storage = multer.diskStorage({
 
 // File filter to limit file types
 const fileFilter = (req, file, cb) => {
-  // Accept only CSV, Excel, and JSON files
-  const allowedTypes = ['.csv', '.xlsx', '.xls', '.json'];
+  // Accept CSV, Excel, JSON and bank statement files (.txt and .xml statements are sniffed on upload)
+  const allowedTypes = ['.csv', '.tsv', '.txt', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.xml', ...STATEMENT_EXTENSIONS];
   const ext = path.extname(file.originalname).toLowerCase();
   
   if (allowedTypes.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Unsupported file format. Please upload CSV, Excel, or JSON files.'), false);
+    cb(new Error('Unsupported file format. Please upload CSV, Excel, JSON, NDJSON or bank statement (OFX, QFX, MT940, CAMT.053, QIF) files.'), false);
   }
 };
 
@@ -65,96 +81,120 @@ const upload = multer({
   storage, 
   fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: MAX_UPLOAD_BYTES
   }
 });
 
+/**
+ * Read the workbook sheet selection sent with an upload
+ * Multipart fields arrive as strings, so lists and maps may be JSON or comma-separated.
+ * @param {Object} body - Request body
+ * @returns {Object|null} - { sheets, mode, headerRows, keepSubtotals }, or null when no sheets were chosen
+ */
+const parseSheetSelection = (body = {}) => {
+  const parseJson = (value, fallback) => {
+    if (typeof value !== 'string') return value === undefined ? fallback : value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  };
+  
+  let sheets = parseJson(body.sheets, null);
+  if (typeof sheets === 'string' || typeof sheets === 'number') sheets = [sheets];
+  if (!sheets && typeof body.sheets === 'string') sheets = body.sheets.split(',').map(sheet => sheet.trim()).filter(Boolean);
+  if (!sheets && body.sheet !== undefined) sheets = [body.sheet];
+  if (!sheets || sheets.length === 0) return null;
+  
+  return {
+    sheets,
+    mode: body.mode || body.sheetMode || 'separate',
+    headerRows: parseJson(body.headerRows, {}),
+    keepSubtotals: body.keepSubtotals === true || body.keepSubtotals === 'true'
+  };
+};
+
+/**
+ * Describe a finished ingestion job in the upload response shape
+ */
+const toUploadResult = (job) => ({
+  jobId: job.id,
+  datasetId: job.result.datasetId,
+  hash: job.result.dataHash,
+  preview: job.result.preview,
+  rowCount: job.result.rowCount,
+  columns: job.result.columns.map(column => column.name),
+  profile: job.result.columns,
+  sheets: job.result.sheets,
+  sheetsRead: job.result.sheetsRead,
+  statements: job.result.statements
+});
+
+/**
+ * Answer an upload: job IDs straight away for ?async=true, otherwise the ingested datasets
+ * @param {Array} started - [{ jobId, completion, sheets }]
+ */
+const respondWithIngestion = async (req, res, file, started) => {
+  if (req.query.async === 'true') {
+    return res.status(202).json({
+      success: true,
+      file,
+      jobId: started[0].jobId,
+      jobs: started.map(({ jobId, sheets }) => ({
+        jobId,
+        sheets,
+        progressUrl: `${req.baseUrl}/upload/${jobId}`
+      }))
+    });
+  }
+  
+  const jobs = await Promise.all(started.map(({ completion }) => completion));
+  const failed = jobs.find(job => job.status === 'failed');
+  if (failed) {
+    return res.status(422).json({
+      error: 'File upload failed',
+      message: failed.error
+    });
+  }
+  
+  const results = jobs.map(toUploadResult);
+  const { hash, ...first } = results[0];
+  
+  res.json({
+    success: true,
+    file: { ...file, hash },
+    ...first,
+    datasets: results.length > 1 ? results : undefined
+  });
+};
+
 // Upload file endpoint
+// Files are ingested as a stream; pass ?async=true to get a job ID back immediately
+// and poll GET /upload/:jobId for progress instead of waiting for the result.
+// Workbooks may name the sheets to read ("sheets", with "mode" separate or union);
+// otherwise the first sheet holding a table is read and every sheet is listed.
+// Bank statements (OFX/QFX, MT940, CAMT.053, QIF) become one row per transaction;
+// QIF files carry no currency, so it may be sent as "currency".
 router.post('/upload', authenticate, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    // Generate file hash for tracking
-    const fileBuffer = await fs.readFile(req.file.path);
-    const fileHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
-    
-    // Basic validation of file content
-    let preview = [];
-    let rowCount = 0;
-    let columns = [];
-    
-    const ext = path.extname(req.file.originalname).toLowerCase();
+    const file = {
+      id: req.file.filename,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      type: req.file.mimetype
+    };
     
-    if (ext === '.csv') {
-      const fileContent = fileBuffer.toString('utf-8');
-      
-      const parseResult = Papa.parse(fileContent, {
-        header: true,
-        preview: 5, // Only read first 5 rows for preview
-        skipEmptyLines: true
-      });
-      
-      preview = parseResult.data;
-      columns = parseResult.meta.fields;
-      
-      // Count total rows - re-parse with smaller chunk size for large files
-      const countResult = Papa.parse(fileContent, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (result) => {
-          rowCount = result.data.length;
-        }
-      });
-    } else if (ext === '.xlsx' || ext === '.xls') {
-      const workbook = XLSX.read(fileBuffer);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Get all data
-      const data = XLSX.utils.sheet_to_json(worksheet);
-      rowCount = data.length;
-      
-      // Get preview
-      preview = data.slice(0, 5);
-      
-      // Get columns
-      if (data.length > 0) {
-        columns = Object.keys(data[0]);
-      }
-    } else if (ext === '.json') {
-      const fileContent = fileBuffer.toString('utf-8');
-      const data = JSON.parse(fileContent);
-      
-      if (Array.isArray(data)) {
-        rowCount = data.length;
-        preview = data.slice(0, 5);
-        
-        if (data.length > 0) {
-          columns = Object.keys(data[0]);
-        }
-      } else {
-        // Handle non-array JSON
-        preview = [data];
-        columns = Object.keys(data);
-        rowCount = 1;
-      }
-    }
+    const selection = parseSheetSelection(req.body);
+    const started = selection
+      ? startSheetIngestion(req.file, req.user.id, selection)
+      : [startIngestion(req.file, req.user.id, { currency: req.body.currency })];
     
-    res.json({
-      success: true,
-      file: {
-        id: req.file.filename,
-        originalName: req.file.originalname,
-        size: req.file.size,
-        hash: fileHash,
-        type: req.file.mimetype
-      },
-      preview,
-      rowCount,
-      columns
-    });
+    await respondWithIngestion(req, res, file, started);
   } catch (error) {
     logger.error('Error uploading file:', { error });
     res.status(500).json({
@@ -164,60 +204,142 @@ router.post('/upload', authenticate, upload.single('file'), async (req, res) =>
   }
 });
 
-// Process uploaded data
-router.post('/process', authenticate, async (req, res) => {
+// Read chosen sheets of an already uploaded workbook
+router.post('/upload/:fileId/sheets', authenticate, async (req, res) => {
   try {
-    const { fileId, transformation, options = {} } = req.body;
-    
-    if (!fileId) {
-      return res.status(400).json({ error: 'File ID is required' });
+    const selection = parseSheetSelection(req.body);
+    if (!selection) {
+      return res.status(400).json({ error: 'At least one sheet is required' });
     }
-
-    // Read file
+    
+    const fileId = path.basename(req.params.fileId);
     const filePath = path.join('uploads', fileId);
+    let stats;
     
     try {
-      await fs.access(filePath);
+      stats = await fs.stat(filePath);
     } catch (error) {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    const fileContent = await fs.readFile(filePath, 'utf-8');
+    const originalName = req.body.fileName && path.extname(req.body.fileName) === path.extname(fileId)
+      ? req.body.fileName
+      : fileId;
+    const file = { id: fileId, originalName, size: stats.size };
+    
+    const started = startSheetIngestion({ path: filePath, originalname: originalName, size: stats.size }, req.user.id, selection);
+    await respondWithIngestion(req, res, file, started);
+  } catch (error) {
+    logger.error('Error reading workbook sheets:', { error });
+    res.status(500).json({
+      error: 'Reading sheets failed',
+      message: error.message
+    });
+  }
+});
+
+// Upload progress endpoint
+router.get('/upload/:jobId', authenticate, async (req, res) => {
+  try {
+    const job = getIngestionJob(req.params.jobId, req.user.id);
     
-    let data;
-    const ext = path.extname(fileId).toLowerCase();
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
     
-    // Parse file based on extension
-    if (ext === '.csv') {
-      data = Papa.parse(fileContent, { header: true, dynamicTyping: true }).data;
-    } else if (ext === '.xlsx' || ext === '.xls') {
-      const workbook = XLSX.read(fileContent, { type: 'string' });
-      const sheetName = workbook.SheetNames[0];
-      data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
-    } else if (ext === '.json') {
-      data = JSON.parse(fileContent);
-    } else {
-      return res.status(400).json({ error: 'Unsupported file format' });
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error('Error fetching upload progress:', { error });
+    res.status(500).json({
+      error: 'Failed to fetch upload progress',
+      message: error.message
+    });
+  }
+});
+
+// Process uploaded data
+// Transformations run on the dataset /upload returned ("datasetId"), reading the rows
+// ingestion already parsed; merge sources are sent as options.additionalDatasetIds.
+// A bare "fileId" can still be previewed.
+router.post('/process', authenticate, async (req, res) => {
+  try {
+    const { datasetId, fileId, transformation, options = {} } = req.body;
+    
+    if (!datasetId && !fileId) {
+      return res.status(400).json({ error: 'A datasetId or file ID is required' });
+    }
+    
+    if (transformation && !datasetId) {
+      return res.status(400).json({ error: 'Transformations need the datasetId returned by the upload' });
     }
 
-    // Apply transformation if provided
-    let processedData = data;
-    if (transformation) {
-      // Process the data transformation here
+    let processedData;
+    let validation = null;
+    
+    if (datasetId && transformation) {
       try {
         const transformationResult = await processDataTransformation(
-          transformation, 
-          [{ name: fileId, content: fileContent }], 
+          transformation,
+          [datasetId, ...(options.additionalDatasetIds || [])].map(id => ({ datasetId: id })),
           req.user.id
         );
         processedData = transformationResult.data;
+        validation = transformationResult.validation || null;
       } catch (transformError) {
         logger.error('Transformation error:', { error: transformError });
+        
+        if (transformError instanceof ValidationFailedError) {
+          return res.status(422).json({
+            error: 'Validation failed',
+            message: transformError.message,
+            validation: transformError.report
+          });
+        }
+        
         return res.status(500).json({
           error: 'Data transformation failed',
           message: transformError.message
         });
       }
+    } else if (datasetId) {
+      try {
+        processedData = (await reconstructDataset(datasetId, { userId: req.user.id })).data;
+      } catch (error) {
+        if (error.message === 'Dataset not found') {
+          return res.status(404).json({ error: error.message });
+        }
+        throw error;
+      }
+    } else {
+      // Read file
+      const filePath = path.join('uploads', path.basename(fileId));
+      
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      
+      const ext = path.extname(filePath).toLowerCase();
+      const isWorkbook = ext === '.xlsx' || ext === '.xls';
+      const fileContent = isWorkbook ? null : await fs.readFile(filePath, 'utf-8');
+      const statementFormat = isWorkbook ? null : detectStatementFormat(fileId, fileContent);
+      
+      // Parse file based on extension
+      if (statementFormat) {
+        processedData = parseStatement(fileContent, statementFormat, options).transactions;
+      } else if (ext === '.csv') {
+        processedData = Papa.parse(fileContent, { header: true, dynamicTyping: true }).data;
+      } else if (isWorkbook) {
+        processedData = readSheet(readWorkbook(filePath), options.sheet, options).data;
+      } else if (ext === '.json') {
+        processedData = JSON.parse(fileContent);
+      } else {
+        return res.status(400).json({ error: 'Unsupported file format' });
+      }
     }
 
     // Generate preview
@@ -232,7 +354,8 @@ router.post('/process', authenticate, async (req, res) => {
       success: true,
       data: options.fullData ? processedData : undefined,
       preview,
-      summary
+      summary,
+      ...(validation ? { validation } : {})
     });
   } catch (error) {
     logger.error('Error processing data:', { error });
@@ -358,51 +481,40 @@ router.post('/store', authenticate, async (req, res) => {
 });
 
 // Export processed data
+// Send datasetId (or datasetIds) to export stored dataset versions; each export is
+// recorded against its datasets. Plain rows can still be sent as "data".
+// Formats: csv, json, xlsx (formatted, one sheet per dataset plus metadata), parquet, pdf (summary).
 router.post('/export', authenticate, async (req, res) => {
   try {
-    const { data, format = 'csv', filename = 'export' } = req.body;
+    const { data, datasetId, datasetIds, transformationId, format = 'csv', filename = 'export' } = req.body;
     
-    if (!data) {
-      return res.status(400).json({ error: 'Data is required' });
+    if (!data && !datasetId && !(datasetIds && datasetIds.length)) {
+      return res.status(400).json({ error: 'Data or datasetId is required' });
     }
     
-    let exportData;
-    let contentType;
-    let fileExtension;
-    
-    switch (format) {
-      case 'csv':
-        exportData = Papa.unparse(data);
-        contentType = 'text/csv';
-        fileExtension = 'csv';
-        break;
-      case 'json':
-        exportData = JSON.stringify(data, null, 2);
-        contentType = 'application/json';
-        fileExtension = 'json';
-        break;
-      case 'xlsx':
-        const ws = XLSX.utils.json_to_sheet(data);
-        const wb = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(wb, ws, "Sheet1");
-        exportData = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
-        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-        fileExtension = 'xlsx';
-        break;
-      default:
-        return res.status(400).json({ error: 'Unsupported export format' });
+    let resolvedFormat;
+    try {
+      resolvedFormat = resolveExportFormat(format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Unsupported export format', message: error.message });
     }
     
-    // Save to processed folder
-    const exportFilename = `${filename}_${Date.now()}.${fileExtension}`;
-    const exportPath = path.join('processed', exportFilename);
-    
-    await fs.writeFile(exportPath, exportData);
+    const result = data
+      ? await exportRows(data, { format: resolvedFormat, fileName: filename })
+      : await exportDatasets(req.user.id, {
+        datasetIds: datasetIds || [datasetId],
+        transformationId,
+        format: resolvedFormat,
+        fileName: req.body.filename
+      });
     
     res.json({
       success: true,
-      filename: exportFilename,
-      downloadUrl: `/api/data/download/${exportFilename}`
+      filename: result.fileName,
+      downloadUrl: result.downloadUrl,
+      format: result.format,
+      size: result.size,
+      exports: result.exports
     });
   } catch (error) {
     logger.error('Export failed:', { error });
@@ -413,39 +525,245 @@ router.post('/export', authenticate, async (req, res) => {
   }
 });
 
+// List the exports recorded against a dataset
+router.get('/datasets/:datasetId/exports', authenticate, async (req, res) => {
+  try {
+    const datasetExports = await getDatasetExports(req.user.id, req.params.datasetId);
+    
+    res.json({
+      success: true,
+      exports: datasetExports
+    });
+  } catch (error) {
+    logger.error('Error getting dataset exports:', { error });
+    res.status(500).json({
+      error: 'Failed to get exports',
+      message: error.message
+    });
+  }
+});
+
+// List the validation rules declared on a dataset
+router.get('/datasets/:datasetId/rules', authenticate, async (req, res) => {
+  try {
+    const rules = await validationService.listRules(req.user.id, req.params.datasetId);
+    
+    res.json({
+      success: true,
+      rules
+    });
+  } catch (error) {
+    logger.error('Error listing validation rules:', { error });
+    res.status(500).json({
+      error: 'Failed to list validation rules',
+      message: error.message
+    });
+  }
+});
+
+// Declare a validation rule: { type, name, severity, parameters }
+router.post('/datasets/:datasetId/rules', authenticate, async (req, res) => {
+  try {
+    const rule = await validationService.createRule(req.user.id, req.params.datasetId, req.body);
+    
+    res.status(201).json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    logger.error('Error creating validation rule:', { error });
+    res.status(error instanceof ValidationRuleError ? 400 : 500).json({
+      error: 'Failed to create validation rule',
+      message: error.message
+    });
+  }
+});
+
+// Change a rule's name, severity, parameters or enabled flag
+router.patch('/rules/:ruleId', authenticate, async (req, res) => {
+  try {
+    const rule = await validationService.updateRule(req.user.id, req.params.ruleId, req.body);
+    
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    logger.error('Error updating validation rule:', { error });
+    res.status(error instanceof ValidationRuleError ? 400 : 500).json({
+      error: 'Failed to update validation rule',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/rules/:ruleId', authenticate, async (req, res) => {
+  try {
+    await validationService.deleteRule(req.user.id, req.params.ruleId);
+    
+    res.json({
+      success: true,
+      message: 'Validation rule deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting validation rule:', { error });
+    res.status(500).json({
+      error: 'Failed to delete validation rule',
+      message: error.message
+    });
+  }
+});
+
+// Run a dataset's rules against its current (or a given) version
+router.post('/datasets/:datasetId/validate', authenticate, async (req, res) => {
+  try {
+    const report = await validationService.validateDataset(req.user.id, req.params.datasetId, {
+      transformationId: req.body.transformationId
+    });
+    
+    res.json({
+      success: true,
+      validation: report
+    });
+  } catch (error) {
+    logger.error('Error validating dataset:', { error });
+    res.status(500).json({
+      error: 'Validation failed to run',
+      message: error.message
+    });
+  }
+});
+
+// Find probable duplicates in the current version:
+// { columns, fields, threshold, blocking, survivor }
+router.post('/datasets/:datasetId/duplicates', authenticate, async (req, res) => {
+  try {
+    const review = await findDuplicates(req.user.id, req.params.datasetId, req.body);
+    
+    res.json({
+      success: true,
+      ...review
+    });
+  } catch (error) {
+    logger.error('Error finding duplicates:', { error });
+    res.status(500).json({
+      error: 'Failed to find duplicates',
+      message: error.message
+    });
+  }
+});
+
+// Merge the reviewed duplicate groups:
+// { transformationId, columns, decisions: [{ rows, survivor }], fillBlanks }
+router.post('/datasets/:datasetId/duplicates/merge', authenticate, async (req, res) => {
+  try {
+    const result = await mergeDuplicates(req.user.id, req.params.datasetId, req.body);
+    
+    res.json({
+      success: true,
+      transformationId: result.transformationId,
+      message: result.message,
+      duplicates: result.details.duplicates,
+      rowCount: result.rowCount,
+      preview: result.data.slice(0, 10),
+      ...(result.validation ? { validation: result.validation } : {})
+    });
+  } catch (error) {
+    logger.error('Error merging duplicates:', { error });
+    
+    if (error instanceof ValidationFailedError) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        message: error.message,
+        validation: error.report
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Failed to merge duplicates',
+      message: error.message
+    });
+  }
+});
+
+// Upload an FX rate table (CSV or Excel) as "file", or CSV text as "content".
+// Long files have date, from, to and rate columns (and optionally a rate type);
+// wide files have a date column and one column per currency quoted against "baseCurrency".
+// "rateType" (spot, average or closing) applies to rows that do not name one.
+router.post('/fx-rates', authenticate, upload.single('file'), async (req, res) => {
+  try {
+    const file = req.file
+      ? { path: req.file.path, name: req.file.originalname }
+      : { content: req.body.content, name: req.body.name || null };
+    
+    const result = await importRates(req.user.id, file, {
+      baseCurrency: req.body.baseCurrency,
+      rateType: req.body.rateType
+    });
+    
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error importing FX rates:', { error });
+    res.status(error instanceof FxRateError ? 400 : 500).json({
+      error: 'Failed to import FX rates',
+      message: error.message
+    });
+  }
+});
+
+// List stored FX rates: ?from=EUR&to=USD&type=spot&startDate=&endDate=&limit=
+router.get('/fx-rates', authenticate, async (req, res) => {
+  try {
+    const result = await listRates(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error listing FX rates:', { error });
+    res.status(500).json({
+      error: 'Failed to list FX rates',
+      message: error.message
+    });
+  }
+});
+
+// Delete FX rates matching the same filters as the listing (all of them when none are given)
+router.delete('/fx-rates', authenticate, async (req, res) => {
+  try {
+    const deleted = await deleteRates(req.user.id, req.query);
+    
+    res.json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    logger.error('Error deleting FX rates:', { error });
+    res.status(500).json({
+      error: 'Failed to delete FX rates',
+      message: error.message
+    });
+  }
+});
+
 // Download exported file
 router.get('/download/:filename', authenticate, async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join('processed', filename);
+    const filePath = await resolveExportFile(req.user.id, filename);
     
-    try {
-      await fs.access(filePath);
-    } catch (error) {
+    if (!filePath) {
       return res.status(404).json({ error: 'File not found' });
     }
     
-    const ext = path.extname(filename).toLowerCase();
-    let contentType;
-    
-    switch (ext) {
-      case '.csv':
-        contentType = 'text/csv';
-        break;
-      case '.json':
-        contentType = 'application/json';
-        break;
-      case '.xlsx':
-        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-        break;
-      default:
-        contentType = 'application/octet-stream';
-    }
-    
-    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Type', getContentType(path.extname(filename)));
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     
-    const fileStream = fs.createReadStream(filePath);
+    const fileStream = createReadStream(filePath);
     fileStream.pipe(res);
   } catch (error) {
     logger.error('Download failed:', { error });
@@ -459,13 +777,13 @@ router.get('/download/:filename', authenticate, async (req, res) => {
 // Get interpretation of user request
 router.post('/interpret', authenticate, async (req, res) => {
   try {
-    const { userInput } = req.body;
+    const { userInput, columns = [] } = req.body;
     
     if (!userInput) {
       return res.status(400).json({ error: 'User input is required' });
     }
     
-    const interpretation = await interpretUserIntent(userInput);
+    const interpretation = await interpretUserIntent(userInput, { columns });
     
     res.json({
       success: true,
@@ -504,6 +822,54 @@ router.post('/undo', authenticate, async (req, res) => {
   }
 });
 
+// Redo last undone operation
+router.post('/redo', authenticate, async (req, res) => {
+  try {
+    const { datasetId } = req.body;
+    
+    if (!datasetId) {
+      return res.status(400).json({ error: 'Dataset ID is required' });
+    }
+    
+    const result = await redoLastOperation(req.user.id, datasetId);
+    
+    res.json({
+      success: true,
+      result
+    });
+  } catch (error) {
+    logger.error('Redo failed:', { error });
+    res.status(500).json({
+      error: 'Redo failed',
+      message: error.message
+    });
+  }
+});
+
+// Check out a version from the transformation history (null for the original data)
+router.post('/checkout', authenticate, async (req, res) => {
+  try {
+    const { datasetId, transformationId = null } = req.body;
+    
+    if (!datasetId) {
+      return res.status(400).json({ error: 'Dataset ID is required' });
+    }
+    
+    const result = await checkoutTransformation(req.user.id, datasetId, transformationId);
+    
+    res.json({
+      success: true,
+      result
+    });
+  } catch (error) {
+    logger.error('Checkout failed:', { error });
+    res.status(500).json({
+      error: 'Checkout failed',
+      message: error.message
+    });
+  }
+});
+
 // Get transformation history
 router.get('/history/:datasetId', authenticate, async (req, res) => {
   try {
@@ -528,6 +894,84 @@ router.get('/history/:datasetId', authenticate, async (req, res) => {
   }
 });
 
+// Get transformation history as a branch tree
+router.get('/history/:datasetId/tree', authenticate, async (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    
+    const tree = await getTransformationTree(req.user.id, datasetId);
+    
+    res.json({
+      success: true,
+      tree
+    });
+  } catch (error) {
+    logger.error('History tree retrieval failed:', { error });
+    res.status(500).json({
+      error: 'History tree retrieval failed',
+      message: error.message
+    });
+  }
+});
+
+// List the stored versions of a dataset
+router.get('/datasets/:datasetId/versions', authenticate, async (req, res) => {
+  try {
+    const result = await listVersions(req.user.id, req.params.datasetId);
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error listing dataset versions:', { error });
+    res.status(500).json({
+      error: 'Failed to list versions',
+      message: error.message
+    });
+  }
+});
+
+// Compare two versions: ?to=<ref>&from=<ref>&key=<column>&limit=<rows>
+router.get('/datasets/:datasetId/versions/diff', authenticate, async (req, res) => {
+  try {
+    const { from, to, key, limit } = req.query;
+    
+    const diff = await diffVersions(req.user.id, req.params.datasetId, { from, to, key, limit });
+    
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    logger.error('Error comparing dataset versions:', { error });
+    res.status(500).json({
+      error: 'Failed to compare versions',
+      message: error.message
+    });
+  }
+});
+
+// Fetch one version: "original", "current" or a transformation ID
+router.get('/datasets/:datasetId/versions/:ref', authenticate, async (req, res) => {
+  try {
+    const { offset, limit } = req.query;
+    
+    const result = await getVersion(req.user.id, req.params.datasetId, req.params.ref, { offset, limit });
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error getting dataset version:', { error });
+    res.status(500).json({
+      error: 'Failed to get version',
+      message: error.message
+    });
+  }
+});
+
 // Get user datasets
 router.get('/datasets', authenticate, async (req, res) => {
   try {
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../../middleware/auth');
+const recipeService = require('../../services/recipeService');
+const { ValidationFailedError } = require('../../services/validation');
+const logger = require('../../utils/logger');
+
+/**
+ * @route GET /api/recipes
+ * @desc List the user's recipes and recipes shared by other users
+ * @access Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const recipes = await recipeService.listRecipes(req.user.id, {
+      includeShared: req.query.shared !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: recipes
+    });
+  } catch (error) {
+    logger.error('Error retrieving recipes:', { error });
+    res.status(500).json({
+      error: 'Failed to retrieve recipes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/recipes
+ * @desc Save a dataset's transformation chain as a recipe
+ * @access Private
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { datasetId, name } = req.body;
+
+    if (!datasetId || !name) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Dataset ID and recipe name are required'
+      });
+    }
+
+    const recipe = await recipeService.createRecipe(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: recipe
+    });
+  } catch (error) {
+    logger.error('Error creating recipe:', { error });
+    res.status(500).json({
+      error: 'Failed to create recipe',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/recipes/:id
+ * @desc Get a recipe
+ * @access Private
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const recipe = await recipeService.getRecipe(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      data: recipe
+    });
+  } catch (error) {
+    logger.error('Error retrieving recipe:', { error });
+    res.status(500).json({
+      error: 'Failed to retrieve recipe',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/recipes/:id
+ * @desc Rename, describe or share a recipe
+ * @access Private
+ */
+router.patch('/:id', authenticate, async (req, res) => {
+  try {
+    const recipe = await recipeService.updateRecipe(req.user.id, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: recipe
+    });
+  } catch (error) {
+    logger.error('Error updating recipe:', { error });
+    res.status(500).json({
+      error: 'Failed to update recipe',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/recipes/:id
+ * @desc Delete a recipe
+ * @access Private
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    await recipeService.deleteRecipe(req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Recipe deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting recipe:', { error });
+    res.status(500).json({
+      error: 'Failed to delete recipe',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/recipes/:id/mapping
+ * @desc Preview how a recipe's columns map onto a dataset
+ * @access Private
+ */
+router.post('/:id/mapping', authenticate, async (req, res) => {
+  try {
+    const { datasetId, columnMapping = {} } = req.body;
+
+    if (!datasetId) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Dataset ID is required'
+      });
+    }
+
+    const mapping = await recipeService.resolveColumnMapping(req.user.id, req.params.id, datasetId, columnMapping);
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    logger.error('Error resolving recipe column mapping:', { error });
+    res.status(500).json({
+      error: 'Failed to resolve column mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/recipes/:id/apply
+ * @desc Apply a recipe to a dataset
+ * @access Private
+ */
+router.post('/:id/apply', authenticate, async (req, res) => {
+  try {
+    const { datasetId, columnMapping = {}, parameters = {} } = req.body;
+
+    if (!datasetId) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Dataset ID is required'
+      });
+    }
+
+    const result = await recipeService.applyRecipe(req.user.id, req.params.id, datasetId, {
+      columnMapping,
+      parameters
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.message
+    });
+  } catch (error) {
+    logger.error('Error applying recipe:', { error });
+
+    if (error instanceof ValidationFailedError) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        message: error.message,
+        validation: error.report
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to apply recipe',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
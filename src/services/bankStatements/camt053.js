@@ -0,0 +1,164 @@
+/**
+ * ISO 20022 CAMT.053 Statement Parser
+ * Reads BkToCstmrStmt documents (camt.053.001.02 and later). Batch entries
+ * with several transaction details become one row per transaction.
+ */
+const { StatementParseError } = require('./errors');
+const { parseXml, findAll, find, textOf, findDescendants } = require('./xml');
+const { createTransaction, parseAmount, applyRunningBalances } = require('./transaction');
+
+/**
+ * Read a signed amount and its currency
+ * @param {Object} amountNode - Amt element
+ * @param {string} indicator - CRDT or DBIT
+ * @returns {Object} - { amount, currency }
+ */
+const readAmount = (amountNode, indicator) => {
+  const amount = parseAmount(amountNode.text.trim());
+  return {
+    amount: indicator === 'DBIT' ? -amount : amount,
+    currency: amountNode.attributes.Ccy || null
+  };
+};
+
+// Dates are either <Dt>2024-01-31</Dt> or <DtTm>2024-01-31T10:00:00</DtTm>
+const readDate = (node, path) => {
+  const value = textOf(node, `${path}/Dt`) || textOf(node, `${path}/DtTm`);
+  return value ? value.slice(0, 10) : null;
+};
+
+// Party names moved under <Pty> in camt.053.001.08
+const partyName = (details, role) => textOf(details, `RltdPties/${role}/Nm`) || textOf(details, `RltdPties/${role}/Pty/Nm`);
+
+/**
+ * Read the statement balances
+ * @param {Object} statement - Stmt element
+ * @returns {Object} - { opening, closing, closingDate }
+ */
+const readBalances = (statement) => {
+  const balances = {};
+
+  findAll(statement, 'Bal').forEach(balance => {
+    const code = textOf(balance, 'Tp/CdOrPrtry/Cd') || textOf(balance, 'Tp/CdOrPrtry/Prtry');
+    const amountNode = find(balance, 'Amt');
+    if (!code || !amountNode) return;
+
+    balances[code] = {
+      amount: readAmount(amountNode, textOf(balance, 'CdtDbtInd')).amount,
+      date: readDate(balance, 'Dt')
+    };
+  });
+
+  const opening = balances.OPBD || balances.PRCD;
+  const closing = balances.CLBD;
+
+  return {
+    opening: opening ? opening.amount : null,
+    closing: closing ? closing.amount : null,
+    closingDate: closing ? closing.date : null
+  };
+};
+
+/**
+ * Map one entry to transactions
+ * @param {Object} entry - Ntry element
+ * @param {Object} statementInfo - { account, currency }
+ * @returns {Array} - Transactions
+ */
+const readEntry = (entry, { account, currency }) => {
+  const amountNode = find(entry, 'Amt');
+  if (!amountNode) {
+    throw new StatementParseError('Statement entry without Amt');
+  }
+
+  const indicator = textOf(entry, 'CdtDbtInd');
+  const entryAmount = readAmount(amountNode, indicator);
+  const details = findAll(entry, 'NtryDtls/TxDtls');
+  const typeCode = [
+    textOf(entry, 'BkTxCd/Domn/Cd'),
+    textOf(entry, 'BkTxCd/Domn/Fmly/Cd'),
+    textOf(entry, 'BkTxCd/Domn/Fmly/SubFmlyCd')
+  ].filter(Boolean).join('-') || textOf(entry, 'BkTxCd/Prtry/Cd');
+
+  const toTransaction = (detail, amount) => {
+    const detailIndicator = (detail && textOf(detail, 'CdtDbtInd')) || indicator;
+    const endToEnd = detail && textOf(detail, 'Refs/EndToEndId');
+    const counterparty = detail && (detailIndicator === 'DBIT'
+      ? partyName(detail, 'Cdtr') || partyName(detail, 'Dbtr')
+      : partyName(detail, 'Dbtr') || partyName(detail, 'Cdtr'));
+    const remittance = detail && (findAll(detail, 'RmtInf/Ustrd').map(node => node.text.trim()).join(' ') ||
+      textOf(detail, 'RmtInf/Strd/CdtrRefInf/Ref'));
+
+    return createTransaction({
+      date: readDate(entry, 'BookgDt'),
+      valueDate: readDate(entry, 'ValDt'),
+      amount: amount.amount,
+      currency: amount.currency || entryAmount.currency || currency,
+      counterparty,
+      reference: (endToEnd && endToEnd !== 'NOTPROVIDED' ? endToEnd : null) ||
+        (detail && textOf(detail, 'Refs/TxId')) ||
+        textOf(entry, 'AcctSvcrRef') ||
+        textOf(entry, 'NtryRef'),
+      description: remittance || (detail && textOf(detail, 'AddtlTxInf')) || textOf(entry, 'AddtlNtryInf'),
+      account,
+      transactionType: typeCode
+    });
+  };
+
+  // Batch bookings: one row per transaction when each carries its own amount
+  const detailAmounts = details.map(detail => find(detail, 'Amt') || find(detail, 'AmtDtls/TxAmt/Amt'));
+  if (details.length > 1 && detailAmounts.every(Boolean)) {
+    return details.map((detail, index) =>
+      toTransaction(detail, readAmount(detailAmounts[index], textOf(detail, 'CdtDbtInd') || indicator)));
+  }
+
+  return [toTransaction(details[0] || null, entryAmount)];
+};
+
+/**
+ * Parse a CAMT.053 statement file
+ * @param {string} text - File content
+ * @returns {Object} - { statements, transactions }
+ */
+const parseCamt053 = (text) => {
+  const document = parseXml(text);
+  const statementNodes = findDescendants(document, 'BkToCstmrStmt').flatMap(node => findAll(node, 'Stmt'));
+
+  if (statementNodes.length === 0) {
+    throw new StatementParseError('Not a CAMT.053 file: no BkToCstmrStmt/Stmt elements found');
+  }
+
+  const statements = [];
+  const transactions = [];
+
+  statementNodes.forEach(statement => {
+    const account = textOf(statement, 'Acct/Id/IBAN') || textOf(statement, 'Acct/Id/Othr/Id');
+    const balances = readBalances(statement);
+    const currency = textOf(statement, 'Acct/Ccy') ||
+      ((find(statement, 'Bal/Amt') || { attributes: {} }).attributes.Ccy || null);
+
+    const rows = findAll(statement, 'Ntry').flatMap(entry => readEntry(entry, { account, currency }));
+
+    applyRunningBalances(rows, {
+      opening: balances.opening,
+      closing: balances.opening === null ? balances.closing : null
+    });
+
+    statements.push({
+      account,
+      currency,
+      reference: textOf(statement, 'Id'),
+      openingBalance: balances.opening,
+      closingBalance: balances.closing,
+      closingDate: balances.closingDate,
+      transactionCount: rows.length
+    });
+    transactions.push(...rows);
+  });
+
+  return { statements, transactions };
+};
+
+module.exports = {
+  parseCamt053
+};
@@ -0,0 +1,18 @@
+/**
+ * Bank Statement Error Classes
+ */
+
+/**
+ * Parse Error - raised when a statement file cannot be read
+ */
+class StatementParseError extends Error {
+  constructor(message, line = null) {
+    super(line !== null ? `${message} (line ${line})` : message);
+    this.name = 'StatementParseError';
+    this.line = line;
+  }
+}
+
+module.exports = {
+  StatementParseError
+};
@@ -0,0 +1,101 @@
+/**
+ * Bank Statement Importers
+ * Parses bank and accounting exports into normalized transaction rows
+ *
+ * Supported formats:
+ *   ofx     - OFX 1.x (SGML) and 2.x (XML), Quicken QFX
+ *   mt940   - SWIFT MT940 customer statements
+ *   camt053 - ISO 20022 camt.053 bank-to-customer statements
+ *   qif     - Quicken Interchange Format registers
+ *
+ * Every transaction has the fields listed in TRANSACTION_FIELDS, so an
+ * imported statement is stored and queried like any other dataset.
+ */
+const { parseOfx } = require('./ofx');
+const { parseMt940 } = require('./mt940');
+const { parseCamt053 } = require('./camt053');
+const { parseQif } = require('./qif');
+const { TRANSACTION_FIELDS } = require('./transaction');
+const errors = require('./errors');
+
+const PARSERS = {
+  ofx: parseOfx,
+  mt940: parseMt940,
+  camt053: parseCamt053,
+  qif: parseQif
+};
+
+// Extensions that always mean a statement; .txt and .xml are sniffed
+const STATEMENT_FORMATS = {
+  '.ofx': 'ofx',
+  '.qfx': 'ofx',
+  '.sta': 'mt940',
+  '.mt940': 'mt940',
+  '.940': 'mt940',
+  '.camt': 'camt053',
+  '.053': 'camt053',
+  '.qif': 'qif'
+};
+
+/**
+ * Recognize a statement format from the start of a file
+ * @param {string} sample - First few kilobytes of the file
+ * @returns {string|null} - Format, or null when the content is not a statement
+ */
+const sniffStatementFormat = (sample) => {
+  const text = (sample || '').replace(/^\uFEFF/, '');
+
+  if (/OFXHEADER|<OFX>/i.test(text)) return 'ofx';
+  if (/camt\.053|<(\w+:)?BkToCstmrStmt>/.test(text)) return 'camt053';
+  if (/^\s*!(Type|Account)\b/i.test(text)) return 'qif';
+  if (/^\s*\{1:/.test(text) || /^:20:/m.test(text)) return 'mt940';
+  return null;
+};
+
+/**
+ * Resolve the statement format of an uploaded file
+ * @param {string} fileName - Original file name
+ * @param {string} sample - First few kilobytes of the file, used for .txt/.xml
+ * @returns {string|null} - Format, or null when the file is not a statement
+ */
+const detectStatementFormat = (fileName, sample = '') => {
+  const match = /\.[^.]+$/.exec((fileName || '').toLowerCase());
+  const extension = match ? match[0] : '';
+
+  if (STATEMENT_FORMATS[extension]) return STATEMENT_FORMATS[extension];
+  if (extension === '.txt' || extension === '.xml') return sniffStatementFormat(sample);
+  return null;
+};
+
+/**
+ * Check whether a format is handled by the statement importers
+ * @param {string} format - Format name
+ * @returns {boolean} - True for ofx, mt940, camt053 and qif
+ */
+const isStatementFormat = (format) => Object.prototype.hasOwnProperty.call(PARSERS, format);
+
+/**
+ * Parse a statement file
+ * @param {string} content - File content
+ * @param {string} format - Statement format (ofx, mt940, camt053, qif)
+ * @param {Object} options - Parser options, e.g. { currency } for QIF
+ * @returns {Object} - { format, statements, transactions }
+ */
+const parseStatement = (content, format, options = {}) => {
+  if (!isStatementFormat(format)) {
+    throw new Error(`Unsupported statement format: ${format}`);
+  }
+
+  const { statements, transactions } = PARSERS[format](content.replace(/^\uFEFF/, ''), options);
+  return { format, statements, transactions };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  STATEMENT_EXTENSIONS: Object.keys(STATEMENT_FORMATS),
+  TRANSACTION_FIELDS,
+  detectStatementFormat,
+  isStatementFormat,
+  parseStatement,
+  ...errors
+};
@@ -0,0 +1,188 @@
+const { detectStatementFormat, parseStatement, StatementParseError } = require('./index');
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<STMTRS>
+<CURDEF>USD
+<BANKACCTFROM>
+<BANKID>121000248
+<ACCTID>123456789
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240101
+<DTEND>20240131
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240105120000[-5:EST]
+<TRNAMT>-45.10
+<FITID>2024010501
+<NAME>Office Depot
+<MEMO>Printer paper
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240115
+<TRNAMT>1500.00
+<FITID>2024011501
+<NAME>Acme Corp
+</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>2954.90
+<DTASOF>20240131
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+
+const MT940 = [
+  '{1:F01BANKDEFFAXXX0000000000}{2:O940BANKDEFFXXXXN}{4:',
+  ':20:STMT2401',
+  ':25:DE89370400440532013000',
+  ':28C:1/1',
+  ':60F:C240101EUR1000,00',
+  ':61:2401020102D250,50NTRFREF001//BANK001',
+  ':86:166?00SEPA-UEBERWEISUNG?20Invoice 4711 January r?21ent?32Landlord GmbH',
+  ':61:240103C1200,NMSCREF002',
+  ':86:/NAME/Acme Corp/REMI/Payment INV-0001',
+  ':62F:C240103EUR1949,50',
+  '-}'
+].join('\r\n');
+
+const CAMT053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-1</Id>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-01-31</Dt></Dt></Bal>
+      <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1150.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2024-02-01</Dt></Dt></Bal>
+      <Ntry>
+        <Amt Ccy="EUR">800.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <BookgDt><Dt>2024-02-01</Dt></BookgDt>
+        <ValDt><Dt>2024-02-02</Dt></ValDt>
+        <BkTxCd><Domn><Cd>PMNT</Cd><Fmly><Cd>RCDT</Cd><SubFmlyCd>ESCT</SubFmlyCd></Fmly></Domn></BkTxCd>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>E2E-1</EndToEndId></Refs>
+            <Amt Ccy="EUR">500.00</Amt>
+            <RltdPties><Dbtr><Nm>Acme Corp</Nm></Dbtr></RltdPties>
+            <RmtInf><Ustrd>INV-0001</Ustrd></RmtInf>
+          </TxDtls>
+          <TxDtls>
+            <Refs><EndToEndId>E2E-2</EndToEndId></Refs>
+            <Amt Ccy="EUR">300.00</Amt>
+            <RltdPties><Dbtr><Nm>Globex</Nm></Dbtr></RltdPties>
+            <RmtInf><Ustrd>INV-0002</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">150.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <BookgDt><Dt>2024-02-01</Dt></BookgDt>
+        <NtryDtls><TxDtls><RltdPties><Cdtr><Nm>Utility Co</Nm></Cdtr></RltdPties></TxDtls></NtryDtls>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const QIF = `!Type:Bank
+D01/05/2024
+T-45.10
+PStaples
+MOffice supplies
+LOffice:Supplies
+^
+D01/15'24
+T1,500.00
+PAcme Corp
+N1001
+^
+`;
+
+describe('detectStatementFormat', () => {
+  it('recognizes statements by extension, and .txt and .xml files by content', () => {
+    expect(detectStatementFormat('January.QFX')).toBe('ofx');
+    expect(detectStatementFormat('january.sta')).toBe('mt940');
+    expect(detectStatementFormat('export.txt', MT940)).toBe('mt940');
+    expect(detectStatementFormat('export.xml', CAMT053)).toBe('camt053');
+    expect(detectStatementFormat('register.txt', QIF)).toBe('qif');
+    expect(detectStatementFormat('ledger.txt', 'date,amount\n')).toBeNull();
+    expect(detectStatementFormat('ledger.csv')).toBeNull();
+  });
+});
+
+describe('parseStatement', () => {
+  it('reads OFX transactions and carries balances back from the ledger balance', () => {
+    const { statements, transactions } = parseStatement(OFX, 'ofx');
+
+    expect(statements).toEqual([{ account: '123456789', currency: 'USD', openingBalance: null, closingBalance: 2954.9, closingDate: '2024-01-31', transactionCount: 2 }]);
+    expect(transactions[0]).toEqual({
+      date: '2024-01-05',
+      valueDate: null,
+      amount: -45.1,
+      currency: 'USD',
+      counterparty: 'Office Depot',
+      reference: '2024010501',
+      balance: 1454.9,
+      description: 'Printer paper',
+      account: '123456789',
+      transactionType: 'DEBIT'
+    });
+  });
+
+  it('reads MT940 statement lines with German and SWIFT style details', () => {
+    const { statements, transactions } = parseStatement(MT940, 'mt940');
+
+    expect(statements[0]).toMatchObject({ account: 'DE89370400440532013000', reference: 'STMT2401', openingBalance: 1000, closingBalance: 1949.5 });
+    expect(transactions.map(t => [t.date, t.amount, t.counterparty, t.description, t.reference, t.balance])).toEqual([
+      ['2024-01-02', -250.5, 'Landlord GmbH', 'Invoice 4711 January rent', 'REF001', 749.5],
+      ['2024-01-03', 1200, 'Acme Corp', 'Payment INV-0001', 'REF002', 1949.5]
+    ]);
+  });
+
+  it('splits CAMT.053 batch bookings into their transactions', () => {
+    const { statements, transactions } = parseStatement(CAMT053, 'camt053');
+
+    expect(statements[0]).toMatchObject({ openingBalance: 500, closingBalance: 1150, transactionCount: 3 });
+    expect(transactions.map(t => [t.amount, t.counterparty, t.reference, t.valueDate, t.balance])).toEqual([
+      [500, 'Acme Corp', 'E2E-1', '2024-02-02', 1000],
+      [300, 'Globex', 'E2E-2', '2024-02-02', 1300],
+      [-150, 'Utility Co', null, null, 1150]
+    ]);
+    expect(transactions[0].transactionType).toBe('PMNT-RCDT-ESCT');
+  });
+
+  it('reads QIF registers in the currency it is given', () => {
+    const { transactions } = parseStatement(QIF, 'qif', { currency: 'USD' });
+
+    expect(transactions.map(t => [t.date, t.amount, t.currency, t.counterparty, t.transactionType])).toEqual([
+      ['2024-01-05', -45.1, 'USD', 'Staples', 'Office:Supplies'],
+      ['2024-01-15', 1500, 'USD', 'Acme Corp', null]
+    ]);
+  });
+
+  it('reports the line of unreadable entries', () => {
+    const badAmount = () => parseStatement(MT940.replace('D250,50', 'DABC'), 'mt940');
+    const badDate = () => parseStatement(QIF.replace('01/05/2024', 'not a date'), 'qif');
+
+    expect(badAmount).toThrow(StatementParseError);
+    expect(badAmount).toThrow('(line 6)');
+    expect(badDate).toThrow('Invalid date "not a date" (line 2)');
+  });
+
+  it('rejects XML that is not a bank statement and unknown formats', () => {
+    expect(() => parseStatement('<Document><Foo/></Document>', 'camt053')).toThrow('no BkToCstmrStmt/Stmt elements found');
+    expect(() => parseStatement('a,b', 'csv')).toThrow('Unsupported statement format: csv');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * SWIFT MT940 Statement Parser
+ * Reads customer statements with or without the SWIFT envelope ({1:...}{4:...-}),
+ * several statements per file, and structured :86: details in both the German
+ * "?20?32" and the SWIFT "/NAME/.../REMI/..." styles.
+ */
+const { StatementParseError } = require('./errors');
+const { createTransaction, formatDate, expandYear, parseAmount, applyRunningBalances } = require('./transaction');
+
+// :61: value date, entry date, debit/credit mark, funds code, amount, type, references, details
+const STATEMENT_LINE = /^(\d{2})(\d{2})(\d{2})(\d{2})?(\d{2})?(R?[CD])([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/;
+
+// :60F: / :62F: balances: mark, date, currency, amount
+const BALANCE = /^([CD])(\d{2})(\d{2})(\d{2})([A-Z]{3})(\d+,\d*)/;
+
+/**
+ * Remove the SWIFT envelope around block 4
+ * Line breaks are kept, so errors report the line numbers of the file.
+ * @param {string} text - File content
+ * @returns {string} - Message text
+ */
+const stripEnvelope = (text) => text
+  .replace(/\{[1235]:(?:[^{}]|\{[^{}]*\})*\}/g, block => block.replace(/[^\n]/g, ''))
+  .replace(/\{4:/g, '')
+  .replace(/^-\}?[ \t\r]*$/gm, '');
+
+/**
+ * Split the message into tagged fields
+ * @param {string} text - Message text
+ * @returns {Array} - [{ tag, value, line }]
+ */
+const readFields = (text) => {
+  const fields = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2], line: index + 1 });
+    } else if (fields.length > 0 && line.trim() !== '') {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Parse a :60: or :62: balance
+ * @param {Object} fieldEntry - Field
+ * @returns {Object} - { amount, currency, date }
+ */
+const parseBalance = ({ value, line }) => {
+  const match = BALANCE.exec(value.trim());
+  if (!match) {
+    throw new StatementParseError(`Invalid balance "${value}"`, line);
+  }
+
+  const amount = parseAmount(match[6], { decimalSeparator: ',', line });
+  return {
+    amount: match[1] === 'D' ? -amount : amount,
+    currency: match[5],
+    date: formatDate(expandYear(Number(match[2])), Number(match[3]), Number(match[4]))
+  };
+};
+
+/**
+ * Read the details of a :86: field
+ * @param {string} value - Field text
+ * @returns {Object} - { counterparty, description, reference }
+ */
+const parseDetails = (value) => {
+  const text = (value || '').replace(/\n/g, '');
+
+  // German structured format: 166?00GUTSCHRIFT?20purpose?32name
+  if (/^\d{3}\?\d{2}/.test(text) || /^\?\d{2}/.test(text)) {
+    const parts = {};
+    text.split(/\?(\d{2})/).slice(1).forEach((part, index, list) => {
+      if (index % 2 === 0) parts[part] = (parts[part] || '') + (list[index + 1] || '');
+    });
+
+    const purpose = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']
+      .map(code => parts[code])
+      .filter(Boolean)
+      .join('');
+    // SEPA purpose text is tagged (EREF+, KREF+, MREF+, SVWZ+, ...); SVWZ+ is the remittance
+    const eref = /EREF\+(\S+?)(?=[A-Z]{4}\+|$)/.exec(purpose);
+    const remittance = /SVWZ\+(.*?)(?=[A-Z]{4}\+|$)/.exec(purpose);
+
+    return {
+      counterparty: [parts['32'], parts['33']].filter(Boolean).join('') || null,
+      description: (remittance ? remittance[1].trim() : purpose) || parts['00'] || null,
+      reference: eref ? eref[1] : null
+    };
+  }
+
+  // SWIFT structured format: /NAME/ACME LTD/REMI/INVOICE 42/EREF/E2E-1
+  if (/^\/[A-Z]{3,4}\//.test(text)) {
+    const parts = {};
+    const pattern = /\/([A-Z]{3,4})\/([^/]*(?:\/(?![A-Z]{3,4}\/)[^/]*)*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      parts[match[1]] = match[2].trim();
+    }
+
+    return {
+      counterparty: parts.NAME || parts.BENM || parts.ORDP || null,
+      description: parts.REMI || parts.PURP || null,
+      reference: parts.EREF || null
+    };
+  }
+
+  return { counterparty: null, description: text.trim() || null, reference: null };
+};
+
+/**
+ * Parse a :61: statement line
+ * @param {Object} fieldEntry - Field
+ * @param {string} currency - Statement currency
+ * @param {string} account - Account identification
+ * @returns {Object} - Transaction
+ */
+const parseStatementLine = ({ value, line }, currency, account) => {
+  const match = STATEMENT_LINE.exec(value.trim());
+  if (!match) {
+    throw new StatementParseError(`Invalid statement line "${value.split('\n')[0]}"`, line);
+  }
+
+  const [, yy, mm, dd, entryMonth, entryDay, mark, , amountText, type, customerRef, bankRef, supplementary] = match;
+  const valueYear = expandYear(Number(yy));
+  const valueDate = formatDate(valueYear, Number(mm), Number(dd));
+
+  // The entry date has no year: take the value date's, moved across a year end when needed
+  let date = valueDate;
+  if (entryMonth) {
+    const diff = Number(entryMonth) - Number(mm);
+    const year = diff > 6 ? valueYear - 1 : diff < -6 ? valueYear + 1 : valueYear;
+    date = formatDate(year, Number(entryMonth), Number(entryDay)) || valueDate;
+  }
+
+  const amount = parseAmount(amountText, { decimalSeparator: ',', line });
+  const debit = mark === 'D' || mark === 'RC';
+  const reference = customerRef && customerRef.trim() !== 'NONREF' ? customerRef.trim() : (bankRef || '').trim();
+
+  return createTransaction({
+    date,
+    valueDate,
+    amount: debit ? -amount : amount,
+    currency,
+    reference,
+    description: supplementary ? supplementary.trim() : null,
+    account,
+    transactionType: type
+  });
+};
+
+/**
+ * Parse an MT940 statement file
+ * @param {string} text - File content
+ * @returns {Object} - { statements, transactions }
+ */
+const parseMt940 = (text) => {
+  const fields = readFields(stripEnvelope(text));
+  if (!fields.some(entry => entry.tag === '61' || entry.tag.startsWith('60'))) {
+    throw new StatementParseError('Not an MT940 file: no :60: or :61: fields found');
+  }
+
+  const statements = [];
+  const transactions = [];
+  let statement = null;
+  let rows = [];
+  let last = null;
+
+  const close = () => {
+    if (!statement) return;
+    applyRunningBalances(rows, {
+      opening: statement.openingBalance,
+      closing: statement.openingBalance === null ? statement.closingBalance : null
+    });
+    statement.transactionCount = rows.length;
+    statements.push(statement);
+    transactions.push(...rows);
+  };
+
+  fields.forEach(entry => {
+    if (entry.tag === '20' || !statement) {
+      close();
+      statement = { account: null, currency: null, reference: null, openingBalance: null, closingBalance: null, closingDate: null, transactionCount: 0 };
+      rows = [];
+      last = null;
+    }
+
+    switch (entry.tag) {
+      case '20':
+        statement.reference = entry.value.trim();
+        break;
+      case '25':
+        statement.account = entry.value.trim();
+        break;
+      case '60F':
+      case '60M': {
+        const balance = parseBalance(entry);
+        if (statement.openingBalance === null) {
+          statement.openingBalance = balance.amount;
+          statement.currency = balance.currency;
+        }
+        break;
+      }
+      case '62F':
+      case '62M': {
+        const balance = parseBalance(entry);
+        statement.closingBalance = balance.amount;
+        statement.closingDate = balance.date;
+        statement.currency = statement.currency || balance.currency;
+        last = null;
+        break;
+      }
+      case '61':
+        last = parseStatementLine(entry, statement.currency, statement.account);
+        rows.push(last);
+        break;
+      case '86':
+        // Details follow their :61: line; a trailing :86: describes the whole statement
+        if (last) {
+          const details = parseDetails(entry.value);
+          last.counterparty = details.counterparty;
+          last.description = details.description || last.description;
+          last.reference = last.reference || details.reference;
+          last = null;
+        }
+        break;
+      default:
+        break;
+    }
+  });
+  close();
+
+  return { statements, transactions };
+};
+
+module.exports = {
+  parseMt940
+};
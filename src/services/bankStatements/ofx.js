@@ -0,0 +1,128 @@
+/**
+ * OFX / QFX Statement Parser
+ * Reads both SGML (OFX 1.x, unclosed leaf tags) and XML (OFX 2.x) files,
+ * including credit card statements.
+ */
+const { StatementParseError } = require('./errors');
+const { createTransaction, formatDate, parseAmount, applyRunningBalances } = require('./transaction');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decode = (text) => text.replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCharCode(code);
+  }
+  return ENTITIES[entity.toLowerCase()] || match;
+});
+
+/**
+ * Read the value of a leaf element
+ * @param {string} block - OFX text
+ * @param {string} name - Element name
+ * @returns {string|null} - Trimmed value
+ */
+const field = (block, name) => {
+  const match = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+  const value = match ? decode(match[1]).trim() : '';
+  return value === '' ? null : value;
+};
+
+/**
+ * Return the content of the first aggregate with the given name
+ * @param {string} block - OFX text
+ * @param {string} name - Aggregate name
+ * @returns {string} - Content, or "" when absent
+ */
+const aggregate = (block, name) => {
+  const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'i').exec(block);
+  return match ? match[1] : '';
+};
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]) to YYYY-MM-DD
+ * @param {string} value - OFX date
+ * @returns {string|null} - ISO date
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return formatDate(Number(match[1]), Number(match[2]), Number(match[3]));
+};
+
+/**
+ * Split a statement into its transactions; SGML files may omit </STMTTRN>
+ * @param {string} block - Statement text
+ * @returns {Array} - Transaction blocks
+ */
+const splitTransactions = (block) => {
+  const list = aggregate(block, 'BANKTRANLIST') || block;
+  return list.split(/<STMTTRN>/i).slice(1).map(part => part.split(/<\/STMTTRN>/i)[0]);
+};
+
+/**
+ * Parse an OFX or QFX statement file
+ * @param {string} text - File content
+ * @returns {Object} - { statements, transactions }
+ */
+const parseOfx = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start < 0) {
+    throw new StatementParseError('Not an OFX file: <OFX> element not found');
+  }
+  const body = text.slice(start);
+
+  const blocks = [];
+  const statementPattern = /<(CCSTMTRS|STMTRS)>([\s\S]*?)<\/\1>/gi;
+  let match;
+  while ((match = statementPattern.exec(body)) !== null) {
+    blocks.push(match[2]);
+  }
+  if (blocks.length === 0) blocks.push(body);
+
+  const statements = [];
+  const transactions = [];
+
+  blocks.forEach(block => {
+    const currency = field(block, 'CURDEF');
+    const account = field(aggregate(block, 'BANKACCTFROM') || aggregate(block, 'CCACCTFROM') || block, 'ACCTID');
+    const ledger = aggregate(block, 'LEDGERBAL');
+    const closing = ledger && field(ledger, 'BALAMT') !== null ? parseAmount(field(ledger, 'BALAMT')) : null;
+
+    const rows = splitTransactions(block).map(part => {
+      const amountText = field(part, 'TRNAMT');
+      if (amountText === null) {
+        throw new StatementParseError('Transaction without TRNAMT');
+      }
+
+      return createTransaction({
+        date: parseOfxDate(field(part, 'DTPOSTED')),
+        valueDate: parseOfxDate(field(part, 'DTAVAIL')),
+        amount: parseAmount(amountText),
+        currency: field(aggregate(part, 'CURRENCY') || aggregate(part, 'ORIGCURRENCY'), 'CURSYM') || currency,
+        counterparty: field(part, 'NAME'),
+        reference: field(part, 'FITID') || field(part, 'REFNUM') || field(part, 'CHECKNUM'),
+        description: field(part, 'MEMO'),
+        account,
+        transactionType: field(part, 'TRNTYPE')
+      });
+    });
+
+    applyRunningBalances(rows, { closing });
+    statements.push({
+      account,
+      currency,
+      openingBalance: null,
+      closingBalance: closing,
+      closingDate: ledger ? parseOfxDate(field(ledger, 'DTASOF')) : null,
+      transactionCount: rows.length
+    });
+    transactions.push(...rows);
+  });
+
+  return { statements, transactions };
+};
+
+module.exports = {
+  parseOfx
+};
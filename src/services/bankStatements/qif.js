@@ -0,0 +1,141 @@
+/**
+ * Quicken Interchange Format (QIF) Parser
+ * Reads bank, cash and credit card registers. QIF carries no currency, so it
+ * is taken from the import options.
+ */
+const { StatementParseError } = require('./errors');
+const { createTransaction, formatDate, expandYear, parseAmount } = require('./transaction');
+
+// Register types that hold transactions; lists (!Type:Cat, !Type:Class...) are skipped
+const REGISTER_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l', 'invst'];
+
+/**
+ * Parse a QIF date: M/D/YY, M/D'YY, D.M.YYYY or YYYY-MM-DD
+ * @param {string} value - QIF date
+ * @param {number} line - Line number for errors
+ * @returns {string} - ISO date
+ */
+const parseQifDate = (value, line) => {
+  const text = value.trim().replace(/\s+/g, '');
+  let date = null;
+
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  const numeric = /^(\d{1,2})([/.-])\s*(\d{1,2})(?:'|[/.-])\s*(\d{2,4})$/.exec(text);
+
+  if (iso) {
+    date = formatDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  } else if (numeric) {
+    const [, first, separator, second, year] = numeric;
+    // Quicken writes US dates; dotted dates or a first part above 12 are day-first
+    const dayFirst = separator === '.' || Number(first) > 12;
+    const month = Number(dayFirst ? second : first);
+    const day = Number(dayFirst ? first : second);
+    date = formatDate(expandYear(Number(year)), month, day);
+  }
+
+  if (!date) {
+    throw new StatementParseError(`Invalid date "${value}"`, line);
+  }
+  return date;
+};
+
+/**
+ * Parse a QIF file
+ * @param {string} text - File content
+ * @param {Object} options - { currency }
+ * @returns {Object} - { statements, transactions }
+ */
+const parseQif = (text, options = {}) => {
+  const lines = text.split(/\r?\n/);
+  if (!lines.some(line => /^!Type:/i.test(line.trim()))) {
+    throw new StatementParseError('Not a QIF file: no !Type header found');
+  }
+
+  const currency = options.currency || null;
+  const statements = [];
+  const transactions = [];
+  let statement = null;
+  let account = null;
+  let inAccountBlock = false;
+  let inRegister = false;
+  let record = {};
+
+  const openStatement = () => {
+    statement = { account, currency, openingBalance: null, closingBalance: null, closingDate: null, transactionCount: 0 };
+    statements.push(statement);
+  };
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    const lineNumber = index + 1;
+    if (line === '') return;
+
+    if (line.startsWith('!')) {
+      const header = line.toLowerCase();
+      inAccountBlock = header === '!account';
+      if (header.startsWith('!type:')) {
+        inRegister = REGISTER_TYPES.includes(header.slice(6).trim());
+        if (inRegister) openStatement();
+      }
+      record = {};
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (inAccountBlock) {
+      if (code === 'N') account = value;
+      if (code === '^') inAccountBlock = false;
+      return;
+    }
+    if (!inRegister) return;
+
+    switch (code) {
+      case 'D':
+        record.date = parseQifDate(value, lineNumber);
+        break;
+      case 'T':
+      case 'U':
+        if (record.amount === undefined) record.amount = parseAmount(value, { line: lineNumber });
+        break;
+      case 'P':
+        record.counterparty = value;
+        break;
+      case 'M':
+        record.description = value;
+        break;
+      case 'N':
+        record.reference = value;
+        break;
+      case 'L':
+        record.category = value;
+        break;
+      case '^':
+        if (record.amount === undefined) {
+          throw new StatementParseError('Transaction without amount', lineNumber);
+        }
+        transactions.push(createTransaction({
+          date: record.date,
+          amount: record.amount,
+          currency,
+          counterparty: record.counterparty,
+          reference: record.reference,
+          description: record.description || record.category,
+          account,
+          transactionType: record.category
+        }));
+        statement.transactionCount += 1;
+        record = {};
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { statements, transactions };
+};
+
+module.exports = {
+  parseQif
+};
@@ -0,0 +1,111 @@
+/**
+ * Normalized Bank Transaction
+ * Every statement format is mapped onto the same row shape so imported
+ * statements behave like any other dataset.
+ */
+const { parseNumber } = require('../formula/coercion');
+const { StatementParseError } = require('./errors');
+
+// Column order of imported statement datasets
+const TRANSACTION_FIELDS = [
+  'date',
+  'valueDate',
+  'amount',
+  'currency',
+  'counterparty',
+  'reference',
+  'balance',
+  'description',
+  'account',
+  'transactionType'
+];
+
+/**
+ * Build a transaction row with every field present
+ * @param {Object} fields - Known fields
+ * @returns {Object} - Transaction row; missing fields are null
+ */
+const createTransaction = (fields) => {
+  const transaction = {};
+  TRANSACTION_FIELDS.forEach(field => {
+    const value = fields[field];
+    transaction[field] = value === undefined || value === '' ? null : value;
+  });
+  return transaction;
+};
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} - ISO date, or null when the date does not exist
+ */
+const formatDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Expand a two-digit year (70-99 are 19xx, the rest 20xx)
+ * @param {number} year - Two- or four-digit year
+ * @returns {number} - Four-digit year
+ */
+const expandYear = (year) => {
+  if (year >= 100) return year;
+  return year >= 70 ? 1900 + year : 2000 + year;
+};
+
+/**
+ * Parse a statement amount
+ * @param {string} text - Amount text
+ * @param {Object} options - { decimalSeparator, line }
+ * @returns {number} - Amount
+ */
+const parseAmount = (text, options = {}) => {
+  const amount = parseNumber(text, { decimalSeparator: options.decimalSeparator });
+  if (amount === null || Number.isNaN(amount)) {
+    throw new StatementParseError(`Invalid amount "${text}"`, options.line === undefined ? null : options.line);
+  }
+  return amount;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fill running balances for the transactions of one statement
+ * Balances given by the file are kept. Otherwise they are carried forward from
+ * the opening balance, or backwards from the closing balance.
+ * @param {Array} transactions - Transactions in statement order (updated in place)
+ * @param {Object} balances - { opening, closing }
+ * @returns {Array} - The same transactions
+ */
+const applyRunningBalances = (transactions, { opening = null, closing = null } = {}) => {
+  if (opening !== null) {
+    let running = opening;
+    transactions.forEach(transaction => {
+      running = roundMoney(running + transaction.amount);
+      if (transaction.balance === null) transaction.balance = running;
+    });
+  } else if (closing !== null) {
+    let running = closing;
+    for (let i = transactions.length - 1; i >= 0; i -= 1) {
+      if (transactions[i].balance === null) transactions[i].balance = running;
+      running = roundMoney(running - transactions[i].amount);
+    }
+  }
+
+  return transactions;
+};
+
+module.exports = {
+  TRANSACTION_FIELDS,
+  createTransaction,
+  formatDate,
+  expandYear,
+  parseAmount,
+  applyRunningBalances
+};
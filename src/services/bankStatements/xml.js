@@ -0,0 +1,109 @@
+/**
+ * Minimal XML Reader
+ * Enough XML for ISO 20022 statements: elements, attributes, text, CDATA and
+ * entities. Namespace prefixes are dropped so paths read like "Ntry/Amt".
+ */
+const { StatementParseError } = require('./errors');
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const decode = (text) => text.replace(/&(#\d+|#x[0-9a-f]+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity] || match;
+});
+
+/**
+ * Parse an XML document into an element tree
+ * @param {string} text - XML text
+ * @returns {Object} - Document node { name, attributes, children, text }
+ */
+const parseXml = (text) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(text)) !== null) {
+    const [token, cdata, closing, opening, attributeText, selfClosing, content] = match;
+    const parent = stack[stack.length - 1];
+
+    if (opening) {
+      const node = { name: localName(opening), attributes: {}, children: [], text: '' };
+      let attribute;
+      ATTRIBUTE.lastIndex = 0;
+      while ((attribute = ATTRIBUTE.exec(attributeText)) !== null) {
+        node.attributes[localName(attribute[1])] = decode(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+      }
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closing) {
+      if (stack.length === 1 || parent.name !== localName(closing)) {
+        throw new StatementParseError(`Unexpected closing tag </${closing}>`);
+      }
+      stack.pop();
+    } else if (cdata !== undefined) {
+      parent.text += cdata;
+    } else if (content !== undefined) {
+      parent.text += decode(content);
+    } else if (token.startsWith('<') && !/^<(!--|\?|!DOCTYPE)/i.test(token)) {
+      throw new StatementParseError(`Malformed XML near "${token.slice(0, 40)}"`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new StatementParseError(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+};
+
+/**
+ * Find the child elements along a path
+ * @param {Object} node - Starting node
+ * @param {string} path - Slash-separated element names, e.g. "NtryDtls/TxDtls"
+ * @returns {Array} - Matching nodes
+ */
+const findAll = (node, path) => path.split('/').reduce(
+  (nodes, name) => nodes.flatMap(current => (current ? current.children.filter(child => child.name === name) : [])),
+  [node]
+);
+
+/**
+ * Find the first element along a path
+ * @returns {Object|null} - Node
+ */
+const find = (node, path) => (node ? findAll(node, path)[0] || null : null);
+
+/**
+ * Read the trimmed text of the first element along a path
+ * @returns {string|null} - Text
+ */
+const textOf = (node, path) => {
+  const found = find(node, path);
+  const text = found ? found.text.trim() : '';
+  return text === '' ? null : text;
+};
+
+/**
+ * Find every element with a name anywhere below a node
+ * @returns {Array} - Nodes in document order
+ */
+const findDescendants = (node, name) => node.children.flatMap(child => [
+  ...(child.name === name ? [child] : []),
+  ...findDescendants(child, name)
+]);
+
+module.exports = {
+  parseXml,
+  findAll,
+  find,
+  textOf,
+  findDescendants
+};
@@ -2,27 +2,93 @@ const Papa = require('papaparse');
 const _ = require('lodash');
 const OpenAI = require('openai');
 const crypto = require('crypto');
+const fs = require('fs');
 const logger = require('../utils/logger');
 const { retry } = require('../utils/retryUtil');
 const timelineTracking = require('../utils/timelineTracking');
-const { DataTransformation, FinancialDataset } = require('../database/models');
-const { Op } = require('sequelize');
+const { executeOperation } = require('./transformationExecutor');
+const { loadDatasetRows, storeDatasetFile } = require('../utils/datasetLoader');
+const { reconstructDataset, getTransformationChain, parseStoredJson } = require('./transformationReplayService');
+const transformationHistory = require('./transformationHistoryService');
+const { recordDatasetVersion, runTransformation, storeTransformation } = require('./transformationPersistenceService');
+const { loadRateTable } = require('./fxRateService');
+const { findCurrencyColumn, normalizeCurrency } = require('./fx');
+const { ValidationFailedError } = require('./validation');
+const { findPeriodColumns } = require('../utils/dataTransformer');
+const { parseLocaleNumber } = require('../utils/dataCleansing');
+const { profileColumns } = require('../utils/columnProfiler');
+const { normalizeText } = require('../utils/fuzzyMatcher');
+const { parseIntent, EXAMPLE_COMMANDS } = require('./intentParser');
+const { renderExport } = require('./exporters');
+const { FinancialDataset } = require('../database/models');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.REACT_APP_OPENAI_API_KEY
-});
+// How chat commands are interpreted: 'rules-first' (default), 'llm-first' or 'rules-only'
+const INTENT_PARSER_MODE = process.env.INTENT_PARSER_MODE || 'rules-first';
+
+// The OpenAI client is created on first use so the service still loads without an API key
+let openai = null;
+const getOpenAI = () => {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.REACT_APP_OPENAI_API_KEY
+    });
+  }
+  return openai;
+};
 
 /**
- * Interpret user intent from natural language input
+ * Interpret user intent with the language model
  */
-exports.interpretUserIntent = async (userInput) => {
-  try {
-    const systemPrompt = `You are an AI assistant specialized in interpreting financial data transformation requests. 
+const interpretWithLanguageModel = async (userInput, columns = []) => {
+  const systemPrompt = `You are an AI assistant specialized in interpreting financial data transformation requests. 
     Analyze the user's request and provide:
-    1. The intended operation (merge, filter, sort, remove duplicates, etc.)
+    1. The intended operation (merge, filter, sort, remove duplicates, pivot, unpivot, etc.)
     2. The data columns involved
     3. Any specific conditions or parameters
+    For new calculated columns use operation "calculate" with conditions
+    { "formula": string, "newColumn": string }. Formulas use spreadsheet syntax:
+    + - * / ^, & for text, comparisons (=, <>, <, >), AND/OR/NOT and the functions
+    IF, CASE, COALESCE, ROUND, ABS, MIN, MAX, CONCAT, UPPER, LOWER, DATE, DATEADD,
+    DATEDIFF, YEAR, MONTH. Wrap column names containing spaces in [brackets].
+    For combining files use operation "merge" with conditions
+    { "joinType": "inner" | "left" | "right" | "full" | "union", "leftOn": array,
+      "rightOn": array, "caseInsensitive": boolean }. Use "union" to stack files
+    with the same layout on top of each other.
+    For totals use operation "calculate" with conditions { "type": "aggregate",
+    "groupBy": string, "metrics": [{ "column": string, "function": "sum" | "average" |
+    "min" | "max" | "count" }] }; to total by period add "dateColumn" and
+    "timeGrain" ("day" | "week" | "month" | "quarter" | "year"). "groupBy" may be an array
+    of columns, and "function" may also be "median", "distinct_count", "first", "last" or
+    "weighted_average" (with "weightColumn").
+    For pivot tables use operation "pivot" with conditions { "rows": array, "columns":
+    array, "valueColumn": string, "function": string, "totals": boolean }; a "rows" or
+    "columns" entry may be a time grain together with "dateColumn" and "timeGrain".
+    To turn wide columns (Jan, Feb, ...) into rows use operation "unpivot" with conditions
+    { "idColumns": array, "valueColumns": array, "namesTo": string, "valuesTo": string }.
+    For filters use operation "filter" with conditions { "column": string, "operator":
+    "eq" | "ne" | "gt" | "gte" | "lt" | "lte" | "between" | "not_between" | "in" |
+    "not_in" | "contains" | "not_contains" | "starts_with" | "ends_with" | "matches" |
+    "is_null" | "is_not_null", "value": any }. "between" takes [from, to] and "in"
+    takes an array. Dates may be periods such as "2024", "2024-03" or "2024-Q1".
+    Combine conditions with { "and": [...] }, { "or": [...] } or { "not": condition }.
+    For cleansing, list the target columns in "columns" and use operation
+    "trim_whitespace" ({ "collapse": boolean }), "change_case" ({ "case": "upper" |
+    "lower" | "title" | "sentence" }), "cast" ({ "type": "number" | "date" | "boolean" |
+    "string", "decimalSeparator": "." | ",", "dateFormat": string }), "fill_missing"
+    ({ "method": "forward" | "backward" | "mean" | "median" | "value", "value": any }),
+    "drop_column", "rename_column" ({ "column": string, "newName": string }) or
+    "cap_outliers" ({ "method": "percentile" | "iqr" | "zscore", "lower": number,
+    "upper": number }).
+    For near-duplicates that differ in spelling (e.g. "ACME Corp." and "Acme Corporation")
+    use operation "merge_duplicates" with the compared columns in "columns" and conditions
+    { "threshold": number between 0 and 1, "survivor": "most_complete" | "first" | "last" };
+    the groups it finds are only merged after the user reviews them. Use
+    "remove_duplicates" only for exact duplicates.
+    To convert amounts into another currency use operation "convert_currency" with the
+    amount columns in "columns" and conditions { "targetCurrency": ISO code,
+    "rateType": "spot" | "average" | "closing", "dateColumn": string,
+    "currencyColumn": string, "sourceCurrency": ISO code }. An aggregate may also take
+    "targetCurrency" and "rateType" to total amounts in one currency.
     Format your response as a JSON object with the following structure:
     {
       "intent": string,
@@ -32,29 +98,266 @@ exports.interpretUserIntent = async (userInput) => {
       "explanation": string
     }`;
 
-    const response = await retry(async () => {
-      return openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userInput }
-        ],
-        response_format: { type: "json_object" }
-      });
-    }, 3, 1000);
+  const messages = [{ role: "system", content: systemPrompt }];
+  if (columns.length > 0) {
+    messages.push({ role: "system", content: `The data has these columns: ${columns.join(', ')}` });
+  }
+  messages.push({ role: "user", content: userInput });
 
-    const result = JSON.parse(response.choices[0].message.content);
-    logger.info('User intent interpreted', { intent: result.intent, operation: result.operation });
+  const response = await retry(async () => {
+    return getOpenAI().chat.completions.create({
+      model: "gpt-3.5-turbo",
+      messages,
+      response_format: { type: "json_object" }
+    });
+  }, 3, 1000);
+
+  const result = JSON.parse(response.choices[0].message.content);
+  return { ...result, source: 'llm' };
+};
+
+/**
+ * Interpret user intent from natural language input
+ * Common commands are handled by the offline rule-based parser; the language
+ * model is used for everything else, and as a fallback when it is unavailable.
+ * @param {string} userInput - User request
+ * @param {Object} options - Options
+ * @param {Array} options.columns - Columns of the current data, used to resolve column names
+ * @param {Object} options.columnTypes - Map of column name to detected type
+ * @returns {Promise<Object>} - { intent, operation, columns, conditions, explanation, source }
+ */
+exports.interpretUserIntent = async (userInput, options = {}) => {
+  const useRulesFirst = INTENT_PARSER_MODE !== 'llm-first';
+  const canUseLanguageModel = INTENT_PARSER_MODE !== 'rules-only' && Boolean(process.env.REACT_APP_OPENAI_API_KEY);
+  
+  let result = useRulesFirst ? parseIntent(userInput, options) : null;
+  
+  if (!result && canUseLanguageModel) {
+    try {
+      result = await interpretWithLanguageModel(userInput, options.columns);
+    } catch (error) {
+      logger.error('Error interpreting user intent:', { error, userInput });
+    }
+  }
+  
+  if (!result && !useRulesFirst) {
+    result = parseIntent(userInput, options);
+  }
+  
+  if (!result) {
+    throw new Error(`Failed to interpret your request. Try a command like "${EXAMPLE_COMMANDS.join('", "')}".`);
+  }
+  
+  logger.info('User intent interpreted', { intent: result.intent, operation: result.operation, source: result.source });
+  return result;
+};
+
+/**
+ * Read the text content of an uploaded file
+ * Accepts server-side file objects ({ content } or multer's { path }) as well as browser File objects
+ */
+const readFileContent = (file) => {
+  if (file.content !== undefined) {
+    return Promise.resolve(Buffer.isBuffer(file.content) ? file.content.toString('utf8') : String(file.content));
+  }
+  
+  if (file.path) {
+    return fs.promises.readFile(file.path, 'utf8');
+  }
+  
+  return new Promise((resolve, reject) => {
+    const fileReader = new FileReader();
+    fileReader.onload = (e) => resolve(e.target.result);
+    fileReader.onerror = (error) => {
+      logger.error('FileReader error:', { error });
+      reject(new Error('Error reading the file'));
+    };
+    fileReader.readAsText(file);
+  });
+};
+
+/**
+ * Parse CSV text into rows
+ */
+const parseCsv = (csvText) => new Promise((resolve, reject) => {
+  Papa.parse(csvText, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    complete: (results) => resolve(results.data),
+    error: (error) => {
+      logger.error('Failed to parse file:', { error });
+      reject(new Error(`Failed to parse file: ${error.message}`));
+    }
+  });
+});
+
+/**
+ * Read and parse an uploaded file
+ */
+const loadUploadedFile = async (file) => {
+  try {
+    const csvText = await readFileContent(file);
     
-    return result;
+    return {
+      file,
+      name: file.name,
+      text: csvText,
+      // Generate data hash for tracking changes
+      dataHash: crypto.createHash('md5').update(csvText).digest('hex'),
+      data: await parseCsv(csvText)
+    };
   } catch (error) {
-    logger.error('Error interpreting user intent:', { error, userInput });
-    throw new Error('Failed to interpret your request. Please try again.');
+    logger.error('Error reading file:', { error, fileName: file.name });
+    throw new Error(`Error reading file ${file.name}: ${error.message}`);
+  }
+};
+
+/**
+ * Read a dataset that was already ingested, using the rows stored at upload
+ * Statements, workbooks and CSVs are parsed once by ingestion, never again here.
+ */
+const loadStoredDataset = async ({ datasetId }, userId) => {
+  if (!userId) {
+    throw new Error('Stored datasets can only be transformed by their owner');
+  }
+  
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error(`Dataset ${datasetId} not found`);
+  }
+  
+  return {
+    file: { name: dataset.name, size: null, type: dataset.format },
+    name: dataset.name,
+    dataset,
+    dataHash: dataset.dataHash,
+    data: loadDatasetRows(dataset)
+  };
+};
+
+/**
+ * Build column metadata for a parsed dataset
+ */
+const buildPreview = (data) => profileColumns(data).map(profile => ({
+  column: profile.name,
+  type: profile.type,
+  confidence: profile.confidence,
+  semantic: profile.semantic,
+  sample: _.sampleSize(data.map(row => row[profile.name]).filter(val => val), 3).join(', ')
+}));
+
+/**
+ * Create (or find) the dataset record for an uploaded file and store its source file
+ * The stored file is what transformations are replayed against.
+ */
+const registerUploadedDataset = async (userId, uploaded) => {
+  const { name, text, data, dataHash } = uploaded;
+  
+  const [dataset] = await FinancialDataset.findOrCreate({
+    where: { 
+      userId,
+      name,
+      dataHash
+    },
+    defaults: {
+      description: `Dataset from ${name}`,
+      sourceType: 'upload',
+      format: 'csv',
+      columns: JSON.stringify(profileColumns(data)),
+      rowCount: data.length,
+      storageKey: `user_${userId}/${dataHash}/${name}`
+    }
+  });
+  
+  storeDatasetFile(dataset, text);
+  return dataset;
+};
+
+/**
+ * Describe an uploaded merge source, storing it as a dataset when the user is known
+ */
+const toMergeSource = async (uploaded, userId) => {
+  const source = { name: uploaded.name, data: uploaded.data, dataHash: uploaded.dataHash };
+  
+  if (uploaded.dataset) {
+    source.datasetId = uploaded.dataset.id;
+  } else if (userId) {
+    const dataset = await registerUploadedDataset(userId, uploaded);
+    source.datasetId = dataset.id;
   }
+  
+  return source;
 };
 
+/**
+ * Resolve the additional data sources for a merge
+ * Sources can be other uploaded files (by name or index) or stored datasets (by ID).
+ * Without explicit sources every uploaded file after the first one is used.
+ */
+const resolveMergeSources = async (conditions, uploadedFiles, userId) => {
+  const references = [
+    ...(conditions.sources || []),
+    ...(conditions.datasetIds || []).map(datasetId => ({ datasetId }))
+  ];
+  
+  if (references.length === 0) {
+    return Promise.all(uploadedFiles.slice(1).map(uploaded => toMergeSource(uploaded, userId)));
+  }
+  
+  return Promise.all(references.map(async (reference) => {
+    const ref = typeof reference === 'object' ? reference : { fileName: reference };
+    
+    if (ref.datasetId) {
+      const dataset = await FinancialDataset.findOne({
+        where: { id: ref.datasetId, ...(userId ? { userId } : {}) }
+      });
+      if (!dataset) {
+        throw new Error(`Dataset ${ref.datasetId} not found`);
+      }
+      return {
+        name: dataset.name,
+        datasetId: dataset.id,
+        dataHash: dataset.dataHash,
+        data: loadDatasetRows(dataset)
+      };
+    }
+    
+    const uploaded = ref.fileIndex !== undefined
+      ? uploadedFiles[ref.fileIndex]
+      : uploadedFiles.find(f => f.name === ref.fileName);
+    
+    if (!uploaded) {
+      throw new Error(`File ${ref.fileName || `#${ref.fileIndex}`} was not uploaded`);
+    }
+    
+    return toMergeSource(uploaded, userId);
+  }));
+};
+
+/**
+ * Check whether a request is a ready-made transformation rather than a chat command
+ */
+const isTransformationPayload = (request) => Boolean(request) && typeof request === 'object' && typeof request.operation === 'string';
+
+/**
+ * Build an interpretation from a ready-made transformation
+ */
+const toPayloadInterpretation = (payload) => ({
+  intent: payload.intent || payload.operation,
+  operation: payload.operation,
+  columns: payload.columns || [],
+  conditions: payload.conditions || {},
+  explanation: payload.explanation || payload.intent || payload.operation,
+  source: 'payload'
+});
+
 /**
  * Process data transformation based on user request
+ * The request is either a chat command or a ready-made transformation
+ * ({ operation, columns, conditions }) such as a suggestion's payload.
+ * Files are either raw file objects or { datasetId } references to datasets
+ * already ingested by the upload, which are transformed in place.
  */
 exports.processDataTransformation = async (userInput, files, userId) => {
   try {
@@ -63,401 +366,217 @@ exports.processDataTransformation = async (userInput, files, userId) => {
       timelineTracking.resetSession(userId);
     }
     
+    if (!files || files.length === 0) {
+      // No files uploaded yet
+      return {
+        preview: [],
+        data: [],
+        message: "Please upload a file first so I can help you transform your data."
+      };
+    }
+    
+    const uploadedFiles = await Promise.all(files.map(file => (file.datasetId
+      ? loadStoredDataset(file, userId)
+      : loadUploadedFile(file))));
+    
+    // The first file is the primary dataset; the others are available as merge sources
+    const { file, dataHash } = uploadedFiles[0];
+    let data = uploadedFiles[0].data;
+    
+    // Timeline: Data Ingestion Step
+    if (userId) {
+      await timelineTracking.trackStep({
+        userId,
+        stepKey: 'DATA_INGESTION',
+        details: {
+          fileName: file.name,
+          fileSize: file.size,
+          mimeType: file.type,
+          additionalFiles: uploadedFiles.slice(1).map(f => f.name)
+        }
+      });
+    }
+    
+    // Create or find dataset if user is authenticated
+    let dataset = null;
+    let parentId = null;
+    if (userId) {
+      dataset = uploadedFiles[0].dataset || await registerUploadedDataset(userId, uploadedFiles[0]);
+      
+      // Build on the dataset's current version so chat commands form a replayable chain
+      const current = await reconstructDataset(dataset, { userId });
+      data = current.data;
+      parentId = current.transformationId;
+      
+      // Keep the version the command builds on; the first one is the original data
+      await recordDatasetVersion(dataset, data, { userId, transformationId: parentId });
+    }
+    
+    // Generate preview metadata
+    const preview = buildPreview(data);
+    const columnTypes = _.fromPairs(preview.map(p => [p.column, p.type]));
+    
     // Timeline: NLP Processing Step
+    // Interpreted against the current columns so column names can be resolved
+    const interpretOptions = { columns: preview.map(p => p.column), columnTypes };
+    const interpret = () => (isTransformationPayload(userInput)
+      ? Promise.resolve(toPayloadInterpretation(userInput))
+      : exports.interpretUserIntent(userInput, interpretOptions));
     const interpretation = userId ? 
       await timelineTracking.trackAsyncStep(
         { 
           userId, 
           stepKey: 'NLP_PROCESSING',
+          datasetId: dataset.id,
           details: { userInput }
         }, 
-        () => exports.interpretUserIntent(userInput)
+        interpret
       ) : 
-      await exports.interpretUserIntent(userInput);
+      await interpret();
     
     // Log the interpretation
     logger.info('Processing data transformation', { 
       operation: interpretation.operation, 
+      source: interpretation.source,
       userInput,
-      filesCount: files ? files.length : 0
+      filesCount: files.length
     });
     
-    // Simulate file processing
-    let data = [];
-    let preview = [];
+    let mergeSources = null;
+    const context = {
+      columnTypes,
+      sourceName: file.name,
+      loadFxRates: userId ? () => loadRateTable(userId) : undefined,
+      resolveSources: async (conditions) => {
+        const sources = await resolveMergeSources(conditions, uploadedFiles, userId);
+        mergeSources = sources.map(({ name, datasetId, dataHash: sourceHash }) => ({
+          name,
+          ...(datasetId ? { datasetId } : {}),
+          dataHash: sourceHash
+        }));
+        return sources;
+      }
+    };
     
-    if (files && files.length > 0) {
-      // Parse first file as example
-      const file = files[0];
-      const fileReader = new FileReader();
+    let result = null;
+    let validation = null;
+    
+    // Execute the transformation with timeline tracking
+    if (userId && dataset) {
+      const run = await runTransformation({ userId, dataset, data, interpretation, context });
+      result = run.result;
+      validation = run.validation;
+      
+      // Duplicate reports change nothing; the merge is stored once the user confirms the clusters
+      if (!result.review) {
+        // Store the transformation in the database
+        const transformation = await storeTransformation({
+          userId,
+          dataset,
+          parentId,
+          interpretation,
+          result,
+          validation,
+          rowsBefore: data.length,
+          executionTime: run.executionTime,
+          sources: mergeSources,
+          originalDataHash: dataHash
+        });
       
-      return new Promise((resolve, reject) => {
-        fileReader.onload = async (e) => {
-          try {
-            const csvText = e.target.result;
-            
-            // Generate data hash for tracking changes
-            const dataHash = crypto.createHash('md5').update(csvText).digest('hex');
-            
-            // Timeline: Data Ingestion Step
-            if (userId) {
-              await timelineTracking.trackStep({
-                userId,
-                stepKey: 'DATA_INGESTION',
-                details: {
-                  fileName: file.name,
-                  fileSize: file.size,
-                  mimeType: file.type
-                }
-              });
-            }
-            
-            Papa.parse(csvText, {
-              header: true,
-              complete: async (results) => {
-                try {
-                  data = results.data;
-                  
-                  // Generate preview metadata
-                  preview = Object.keys(data[0] || {}).map(key => ({
-                    column: key,
-                    type: detectColumnType(data, key),
-                    sample: _.sampleSize(data.map(row => row[key]).filter(val => val), 3).join(', ')
-                  }));
-                  
-                  // Create or find dataset if user is authenticated
-                  let dataset = null;
-                  if (userId) {
-                    // Create or find dataset
-                    const [datasetRecord] = await FinancialDataset.findOrCreate({
-                      where: { 
-                        userId,
-                        name: file.name,
-                        dataHash
-                      },
-                      defaults: {
-                        description: `Dataset from ${file.name}`,
-                        sourceType: 'upload',
-                        format: 'csv',
-                        columns: preview.map(p => ({ name: p.column, type: p.type })),
-                        rowCount: data.length,
-                        storageKey: `${userId}/${dataHash}/${file.name}`
-                      }
-                    });
-                    dataset = datasetRecord;
-                  }
-                  
-                  // Execute transformation based on interpretation
-                  let transformedData = data;
-                  let message = "";
-                  
-                  // Timeline: Data Transformation Step
-                  const performTransformation = async () => {
-                    switch (interpretation.operation) {
-                      case 'merge':
-                        // Simulated merge operation
-                        message = `I've merged the data using ${interpretation.columns.join(' and ')} as key columns.`;
-                        return data; // No actual transformation in this simulation
-                      case 'filter':
-                        transformedData = data.filter(row => 
-                          interpretation.conditions.column in row &&
-                          row[interpretation.conditions.column] === interpretation.conditions.value
-                        );
-                        message = `I've filtered the data based on your criteria: ${interpretation.explanation}`;
-                        return transformedData;
-                      case 'remove_duplicates':
-                        transformedData = _.uniqBy(data, row => 
-                          interpretation.columns.map(col => row[col]).join('|')
-                        );
-                        message = `I've removed duplicates based on ${interpretation.columns.join(', ')}. Found ${data.length - transformedData.length} duplicates.`;
-                        return transformedData;
-                      case 'sort':
-                        transformedData = _.orderBy(data, 
-                          interpretation.columns, 
-                          interpretation.conditions.order || 'asc'
-                        );
-                        message = `I've sorted the data by ${interpretation.columns.join(', ')} in ${interpretation.conditions.order || 'ascending'} order.`;
-                        return transformedData;
-                      case 'calculate':
-                        // Calculate new columns or aggregations
-                        if (interpretation.conditions.type === 'aggregate') {
-                          // Group by and calculate aggregates
-                          const groupedData = _.groupBy(data, row => row[interpretation.conditions.groupBy]);
-                          transformedData = Object.keys(groupedData).map(key => {
-                            const group = groupedData[key];
-                            const result = { [interpretation.conditions.groupBy]: key };
-                            
-                            // Calculate aggregates for each metric
-                            interpretation.conditions.metrics.forEach(metric => {
-                              const values = group.map(item => parseFloat(item[metric.column])).filter(val => !isNaN(val));
-                              
-                              switch (metric.function) {
-                                case 'sum':
-                                  result[`sum_${metric.column}`] = _.sum(values);
-                                  break;
-                                case 'average':
-                                  result[`avg_${metric.column}`] = _.mean(values);
-                                  break;
-                                case 'min':
-                                  result[`min_${metric.column}`] = _.min(values);
-                                  break;
-                                case 'max':
-                                  result[`max_${metric.column}`] = _.max(values);
-                                  break;
-                                case 'count':
-                                  result[`count_${metric.column}`] = values.length;
-                                  break;
-                              }
-                            });
-                            
-                            return result;
-                          });
-                          
-                          message = `I've calculated aggregate values grouped by ${interpretation.conditions.groupBy}.`;
-                        } else {
-                          // Calculate a new column
-                          transformedData = data.map(row => {
-                            const newRow = { ...row };
-                            
-                            // Basic calculation for demonstration
-                            if (interpretation.conditions.formula) {
-                              // Example formula: "price * quantity"
-                              const formula = interpretation.conditions.formula;
-                              const newColumn = interpretation.conditions.newColumn || 'calculated_value';
-                              
-                              // Very simple formula evaluation (just for demo)
-                              // In production, use a safer method or library
-                              try {
-                                const columns = Object.keys(row);
-                                let evalFormula = formula;
-                                
-                                // Replace column names with their values
-                                columns.forEach(col => {
-                                  const value = parseFloat(row[col]);
-                                  if (!isNaN(value)) {
-                                    evalFormula = evalFormula.replace(new RegExp(col, 'g'), value);
-                                  }
-                                });
-                                
-                                // Simple eval for basic math
-                                newRow[newColumn] = eval(evalFormula);
-                              } catch (calcError) {
-                                newRow[newColumn] = 'Error';
-                                logger.error('Formula calculation error:', { formula, error: calcError });
-                              }
-                            }
-                            
-                            return newRow;
-                          });
-                          
-                          message = `I've calculated a new column based on your formula: ${interpretation.conditions.formula}.`;
-                        }
-                        return transformedData;
-                      default:
-                        message = `I'm processing your request: ${interpretation.explanation}`;
-                        return data;
-                    }
-                  };
-                  
-                  // Execute the transformation with timeline tracking
-                  if (userId && dataset) {
-                    transformedData = await timelineTracking.trackAsyncStep(
-                      {
-                        userId,
-                        stepKey: 'DATA_TRANSFORMATION',
-                        datasetId: dataset.id,
-                        details: {
-                          operation: interpretation.operation,
-                          columns: interpretation.columns,
-                          conditions: interpretation.conditions,
-                          rowCount: data.length
-                        }
-                      },
-                      performTransformation
-                    );
-                    
-                    // Timeline: Data Validation Step
-                    await timelineTracking.trackStep({
-                      userId,
-                      stepKey: 'DATA_VALIDATION',
-                      datasetId: dataset.id,
-                      details: {
-                        originalRowCount: data.length,
-                        transformedRowCount: transformedData.length,
-                        validation: {
-                          columnsPreserved: true,
-                          dataTypesConsistent: true,
-                          noNullValuesIntroduced: !transformedData.some(row => 
-                            Object.values(row).some(val => val === null)
-                          )
-                        }
-                      }
-                    });
-                    
-                    // Store the transformation in the database
-                    await DataTransformation.create({
-                      userId,
-                      datasetId: dataset.id,
-                      name: interpretation.intent,
-                      operation: interpretation.operation,
-                      parameters: { 
-                        columns: interpretation.columns,
-                        conditions: interpretation.conditions
-                      },
-                      originalDataHash: dataHash,
-                      resultPreview: transformedData.slice(0, 5),
-                      status: 'completed',
-                      executionTime: Date.now() - new Date().getTime() // Just a placeholder
-                    });
-                    
-                    // Timeline: Vector Embedding Step (simulation)
-                    await timelineTracking.trackStep({
-                      userId,
-                      stepKey: 'VECTOR_EMBEDDING',
-                      datasetId: dataset.id,
-                      details: {
-                        vectorDimension: 1536,
-                        documentsVectorized: transformedData.length
-                      }
-                    });
-                    
-                    // Timeline: Pattern Analysis Step (simulation)
-                    await timelineTracking.trackStep({
-                      userId,
-                      stepKey: 'PATTERN_ANALYSIS',
-                      datasetId: dataset.id,
-                      details: {
-                        patternsDetected: 3,
-                        anomaliesFound: 2
-                      }
-                    });
-                    
-                    // Timeline: Insight Generation Step (simulation)
-                    await timelineTracking.trackStep({
-                      userId,
-                      stepKey: 'INSIGHT_GENERATION',
-                      datasetId: dataset.id,
-                      details: {
-                        insightsGenerated: 4
-                      }
-                    });
-                    
-                    // Timeline: Visualization Preparation Step (simulation)
-                    await timelineTracking.trackStep({
-                      userId,
-                      stepKey: 'VISUALIZATION_PREP',
-                      datasetId: dataset.id,
-                      details: {
-                        visualizationsCreated: 3
-                      }
-                    });
-                  } else {
-                    // If not tracking, just execute the transformation
-                    transformedData = await performTransformation();
-                  }
-                  
-                  resolve({
-                    preview,
-                    data: transformedData,
-                    message,
-                    rowCount: {
-                      original: data.length,
-                      transformed: transformedData.length
-                    }
-                  });
-                } catch (processError) {
-                  logger.error('Error processing data:', { error: processError });
-                  reject(new Error(`Error processing data: ${processError.message}`));
-                }
-              },
-              error: (error) => {
-                logger.error('Failed to parse file:', { error });
-                reject(new Error(`Failed to parse file: ${error.message}`));
-              }
-            });
-          } catch (fileError) {
-            logger.error('Error reading file:', { error: fileError });
-            reject(new Error(`Error reading file: ${fileError.message}`));
+        // Timeline: Vector Embedding Step (simulation)
+        await timelineTracking.trackStep({
+          userId,
+          stepKey: 'VECTOR_EMBEDDING',
+          datasetId: dataset.id,
+          transformationId: transformation.id,
+          details: {
+            vectorDimension: 1536,
+            documentsVectorized: result.data.length
           }
-        };
-        
-        fileReader.onerror = (error) => {
-          logger.error('FileReader error:', { error });
-          reject(new Error('Error reading the file'));
-        };
-        
-        fileReader.readAsText(file);
-      });
+        });
+      
+        // Timeline: Pattern Analysis Step (simulation)
+        await timelineTracking.trackStep({
+          userId,
+          stepKey: 'PATTERN_ANALYSIS',
+          datasetId: dataset.id,
+          transformationId: transformation.id,
+          details: {
+            patternsDetected: 3,
+            anomaliesFound: 2
+          }
+        });
+      
+        // Timeline: Insight Generation Step (simulation)
+        await timelineTracking.trackStep({
+          userId,
+          stepKey: 'INSIGHT_GENERATION',
+          datasetId: dataset.id,
+          transformationId: transformation.id,
+          details: {
+            insightsGenerated: 4
+          }
+        });
+      
+        // Timeline: Visualization Preparation Step (simulation)
+        await timelineTracking.trackStep({
+          userId,
+          stepKey: 'VISUALIZATION_PREP',
+          datasetId: dataset.id,
+          transformationId: transformation.id,
+          details: {
+            visualizationsCreated: 3
+          }
+        });
+      }
     } else {
-      // No files uploaded yet
-      return {
-        preview: [],
-        data: [],
-        message: "Please upload a file first so I can help you transform your data."
-      };
+      // If not tracking, just execute the transformation
+      result = await executeOperation(data, interpretation, context);
     }
+    
+    const transformedData = result.data;
+    
+    return {
+      preview,
+      data: transformedData,
+      message: result.message,
+      details: result.details,
+      validation,
+      rowCount: {
+        original: data.length,
+        transformed: transformedData.length
+      },
+      // The version a review was made on, to pass back when merging the confirmed duplicates
+      ...(result.review ? { review: { transformationId: parentId, rowCount: data.length } } : {})
+    };
   } catch (error) {
     logger.error('Error processing data transformation:', { error });
-    throw new Error('Failed to process your request. Please try again.');
-  }
-};
-
-/**
- * Detect column data type
- */
-const detectColumnType = (data, columnName) => {
-  const values = data.map(row => row[columnName]).filter(val => val !== null && val !== '');
-  
-  if (values.length === 0) return 'unknown';
-  
-  // Check if all values are numbers
-  if (values.every(val => !isNaN(val) && val !== '')) {
-    return 'number';
-  }
-  
-  // Check if values look like dates
-  if (values.every(val => !isNaN(Date.parse(val)))) {
-    return 'date';
-  }
-  
-  // Check for boolean values
-  const boolValues = values.filter(val => 
-    val.toLowerCase() === 'true' || 
-    val.toLowerCase() === 'false' ||
-    val === '1' ||
-    val === '0'
-  );
-  
-  if (boolValues.length === values.length) {
-    return 'boolean';
+    
+    // Keep the report so callers can show which rules failed
+    if (error instanceof ValidationFailedError) {
+      throw error;
+    }
+    throw new Error(`Failed to process your request: ${error.message}`);
   }
-  
-  // Default to string
-  return 'string';
 };
 
 /**
  * Export transformed data
+ * @param {Array} data - Rows
+ * @param {string} format - csv, json, xlsx, parquet or pdf
+ * @returns {Promise<Object>} - { content, filename, mimeType }
  */
-exports.exportTransformedData = (data, format = 'csv') => {
+exports.exportTransformedData = async (data, format = 'csv') => {
   try {
-    switch (format) {
-      case 'csv':
-        const csv = Papa.unparse(data);
-        return {
-          content: csv,
-          filename: `transformed_data_${new Date().toISOString().split('T')[0]}.csv`,
-          mimeType: 'text/csv'
-        };
-      case 'json':
-        return {
-          content: JSON.stringify(data, null, 2),
-          filename: `transformed_data_${new Date().toISOString().split('T')[0]}.json`,
-          mimeType: 'application/json'
-        };
-      default:
-        throw new Error('Unsupported export format');
-    }
+    const rendered = await renderExport([{ name: 'Transformed data', data }], format, {
+      title: 'Transformed data'
+    });
+
+    return {
+      content: rendered.content,
+      filename: `transformed_data_${new Date().toISOString().split('T')[0]}.${rendered.extension}`,
+      mimeType: rendered.contentType
+    };
   } catch (error) {
     logger.error('Error exporting data:', { error, format });
     throw new Error(`Failed to export data: ${error.message}`);
@@ -469,82 +588,40 @@ exports.exportTransformedData = (data, format = 'csv') => {
  */
 exports.undoLastOperation = async (userId, datasetId) => {
   try {
-    // Find the last transformation for this dataset
-    const lastTransformation = await DataTransformation.findOne({
-      where: {
-        userId,
-        datasetId
-      },
-      order: [['createdAt', 'DESC']]
-    });
-    
-    if (!lastTransformation) {
-      throw new Error('No operations to undo');
-    }
-    
-    // Mark as undone
-    await lastTransformation.update({ status: 'undone' });
-    
-    // Find the previous transformation to go back to
-    const previousTransformation = await DataTransformation.findOne({
-      where: {
-        userId,
-        datasetId,
-        status: 'completed',
-        createdAt: {
-          [Op.lt]: lastTransformation.createdAt
-        }
-      },
-      order: [['createdAt', 'DESC']]
-    });
-    
-    // If no previous transformation, return original data
-    if (!previousTransformation) {
-      // Get original dataset
-      const dataset = await FinancialDataset.findByPk(datasetId);
-      if (!dataset) {
-        throw new Error('Dataset not found');
-      }
-      
-      // Return original data placeholder
-      return {
-        data: [],
-        message: "Reverted to original data state",
-        undoneOperation: lastTransformation.name
-      };
-    }
-    
-    // Return the previous state
-    return {
-      data: previousTransformation.resultPreview,
-      message: `Undone ${lastTransformation.name} operation. Reverted to previous state.`,
-      undoneOperation: lastTransformation.name
-    };
+    return await transformationHistory.undo(userId, datasetId);
   } catch (error) {
     logger.error('Error undoing operation:', { error, userId, datasetId });
     throw error;
   }
 };
 
+/**
+ * Redo the last undone operation
+ */
+exports.redoLastOperation = async (userId, datasetId) => {
+  try {
+    return await transformationHistory.redo(userId, datasetId);
+  } catch (error) {
+    logger.error('Error redoing operation:', { error, userId, datasetId });
+    throw error;
+  }
+};
+
 /**
  * Get transformation history
  */
 exports.getTransformationHistory = async (userId, datasetId) => {
   try {
-    const transformations = await DataTransformation.findAll({
-      where: {
-        userId,
-        datasetId,
-        status: 'completed'
-      },
-      order: [['createdAt', 'ASC']]
-    });
+    // The active path from the original data to the current version
+    const transformations = await getTransformationChain(datasetId, { userId });
     
     return transformations.map(t => ({
       id: t.id,
+      parentId: t.parentId,
       name: t.name,
       operation: t.operation,
-      parameters: t.parameters,
+      parameters: parseStoredJson(t.parameters, {}),
+      report: parseStoredJson(t.report),
       createdAt: t.createdAt,
       executionTime: t.executionTime
     }));
@@ -554,6 +631,30 @@ exports.getTransformationHistory = async (userId, datasetId) => {
   }
 };
 
+/**
+ * Get the full transformation history of a dataset as a branch tree
+ */
+exports.getTransformationTree = async (userId, datasetId) => {
+  try {
+    return await transformationHistory.getTree(userId, datasetId);
+  } catch (error) {
+    logger.error('Error getting transformation tree:', { error, userId, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Check out a transformation from the history tree
+ */
+exports.checkoutTransformation = async (userId, datasetId, transformationId) => {
+  try {
+    return await transformationHistory.checkout(userId, datasetId, transformationId);
+  } catch (error) {
+    logger.error('Error checking out transformation:', { error, userId, datasetId, transformationId });
+    throw error;
+  }
+};
+
 /**
  * Get datasets for a user
  */
@@ -580,10 +681,16 @@ exports.getUserDatasets = async (userId) => {
 
 /**
  * Get suggested transformations based on data profile
+ * Every suggestion carries { operation, columns, conditions } and can be sent
+ * back to processDataTransformation as is.
  */
 exports.getSuggestedTransformations = async (data) => {
   try {
     const suggestions = [];
+    const columns = Object.keys(data[0] || {});
+    const suggest = (operation, intent, explanation, targetColumns = [], conditions = {}) => {
+      suggestions.push({ operation, intent, explanation, columns: targetColumns, conditions });
+    };
     
     // Check for empty rows
     const emptyRows = data.filter(row => 
@@ -591,16 +698,32 @@ exports.getSuggestedTransformations = async (data) => {
     );
     
     if (emptyRows.length > 0) {
-      suggestions.push({
-        operation: 'filter',
-        intent: 'Remove empty rows',
-        explanation: `There are ${emptyRows.length} empty rows in the data that could be removed.`
-      });
+      suggest(
+        'filter',
+        'Remove empty rows',
+        `There are ${emptyRows.length} empty rows in the data that could be removed.`,
+        columns,
+        { or: columns.map(column => ({ column, operator: 'is_not_null' })) }
+      );
+    }
+    
+    // Check for text with stray leading or trailing spaces
+    const untrimmedColumns = columns.filter(col => 
+      data.some(row => typeof row[col] === 'string' && row[col] !== row[col].trim())
+    );
+    
+    if (untrimmedColumns.length > 0) {
+      suggest(
+        'trim_whitespace',
+        'Trim whitespace',
+        `Columns ${untrimmedColumns.join(', ')} contain values with leading or trailing spaces.`,
+        untrimmedColumns
+      );
     }
     
     // Check for column value distributions
     const columnStats = {};
-    Object.keys(data[0] || {}).forEach(col => {
+    columns.forEach(col => {
       const values = data.map(row => row[col]).filter(val => val !== null && val !== '');
       const uniqueValues = _.uniq(values);
       
@@ -612,11 +735,12 @@ exports.getSuggestedTransformations = async (data) => {
       
       // Check for columns with high cardinality
       if (uniqueValues.length === 1) {
-        suggestions.push({
-          operation: 'remove_column',
-          intent: `Remove constant column ${col}`,
-          explanation: `Column "${col}" has only one unique value "${uniqueValues[0]}" and might be unnecessary.`
-        });
+        suggest(
+          'drop_column',
+          `Remove constant column ${col}`,
+          `Column "${col}" has only one unique value "${uniqueValues[0]}" and might be unnecessary.`,
+          [col]
+        );
       }
       
       // Check for near-duplicate columns
@@ -624,40 +748,168 @@ exports.getSuggestedTransformations = async (data) => {
         if (col !== otherCol) {
           const similarity = calculateColumnSimilarity(data, col, otherCol);
           if (similarity > 0.9) {
-            suggestions.push({
-              operation: 'merge_columns',
-              intent: `Merge similar columns ${col} and ${otherCol}`,
-              explanation: `Columns "${col}" and "${otherCol}" are ${Math.round(similarity * 100)}% similar and might be redundant.`
-            });
+            suggest(
+              'drop_column',
+              `Remove column ${col}, which repeats ${otherCol}`,
+              `Columns "${col}" and "${otherCol}" are ${Math.round(similarity * 100)}% similar and might be redundant.`,
+              [col]
+            );
           }
         }
       });
     });
     
-    // Check for numeric columns that could be aggregated
-    const numericColumns = Object.keys(data[0] || {}).filter(col => 
-      detectColumnType(data, col) === 'number'
-    );
+    const profiles = profileColumns(data);
+    const columnTypes = _.fromPairs(profiles.map(profile => [profile.name, profile.type]));
+    
+    // Check for numbers stored as text ("1.234,56", "(500)", "$1,200")
+    columns.filter(col => columnTypes[col] === 'number').forEach(col => {
+      const values = data.map(row => row[col]).filter(val => val !== null && val !== '');
+      const texts = values.filter(val => typeof val === 'string' && !Number.isNaN(parseLocaleNumber(val)));
+      
+      if (texts.length > 0) {
+        suggest(
+          'cast',
+          `Convert ${col} to numbers`,
+          `Column "${col}" holds numbers stored as text (e.g. "${texts[0]}").`,
+          [col],
+          { type: 'number' }
+        );
+      }
+    });
+    
+    // Check for amounts in several currencies, which totals would add up as if they were one
+    const currencyColumn = findCurrencyColumn(data);
+    const amountColumns = profiles
+      .filter(profile => profile.type === 'number' && profile.semantic.includes('currency_amount'))
+      .map(profile => profile.name);
+    
+    if (currencyColumn && amountColumns.length > 0) {
+      const currencyCounts = _.countBy(data.map(row => normalizeCurrency(row[currencyColumn])).filter(Boolean));
+      const currencies = Object.keys(currencyCounts);
+      
+      if (currencies.length > 1) {
+        const reportingCurrency = _.maxBy(currencies, code => currencyCounts[code]);
+        const dateColumn = columns.find(col => columnTypes[col] === 'date');
+        suggest(
+          'convert_currency',
+          `Convert amounts to ${reportingCurrency}`,
+          `Column "${currencyColumn}" mixes ${currencies.join(', ')}; totals of ${amountColumns.join(', ')} add different currencies until they are converted to one.`,
+          amountColumns,
+          { targetCurrency: reportingCurrency, currencyColumn, ...(dateColumn ? { dateColumn } : {}) }
+        );
+      }
+    }
+    
+    // Check for names spelled several ways ("ACME Corp.", "Acme Corporation")
+    columns.filter(col => columnTypes[col] === 'string').forEach(col => {
+      const spellings = _.groupBy(_.uniq(data.map(row => row[col]).filter(val => typeof val === 'string' && val.trim())), normalizeText);
+      const variants = Object.values(spellings).filter(group => group.length > 1);
+      
+      if (variants.length > 0) {
+        suggest(
+          'merge_duplicates',
+          `Merge similar ${col} values`,
+          `Column "${col}" spells ${variants.length} name${variants.length === 1 ? '' : 's'} several ways (e.g. "${variants[0][0]}" and "${variants[0][1]}"); rows that otherwise match may be duplicates.`,
+          // Compare whole rows, but only among rows with a similar name
+          columns,
+          { blocking: [col] }
+        );
+      }
+    });
+    
+    // Check for numeric columns that could be aggregated; IDs, years and account codes are labels
+    const labelHints = ['id', 'year', 'account_code'];
+    const numericColumns = profiles
+      .filter(profile => profile.type === 'number' && !profile.semantic.some(hint => labelHints.includes(hint)))
+      .map(profile => profile.name);
+    
+    // Check for gaps and outliers in numeric columns
+    numericColumns.forEach(col => {
+      // Empty rows are covered by their own suggestion
+      const missing = data.filter(row => 
+        !emptyRows.includes(row) && (row[col] === null || row[col] === undefined || row[col] === '')
+      ).length;
+      
+      if (missing > 0 && missing < data.length - emptyRows.length) {
+        suggest(
+          'fill_missing',
+          `Fill missing ${col} values`,
+          `Column "${col}" has ${missing} missing value(s) that could be filled with the median.`,
+          [col],
+          { method: 'median' }
+        );
+      }
+      
+      const values = data.map(row => parseLocaleNumber(row[col])).filter(val => val !== null && !Number.isNaN(val));
+      if (values.length >= 10) {
+        const sorted = _.sortBy(values);
+        const q1 = sorted[Math.floor((sorted.length - 1) * 0.25)];
+        const q3 = sorted[Math.floor((sorted.length - 1) * 0.75)];
+        const outliers = values.filter(val => val < q1 - 3 * (q3 - q1) || val > q3 + 3 * (q3 - q1));
+        
+        if (outliers.length > 0) {
+          suggest(
+            'cap_outliers',
+            `Cap outliers in ${col}`,
+            `Column "${col}" has ${outliers.length} extreme value(s) that could be capped to the interquartile fences.`,
+            [col],
+            { method: 'iqr', k: 1.5 }
+          );
+        }
+      }
+    });
     
     if (numericColumns.length >= 2) {
-      suggestions.push({
-        operation: 'calculate',
-        intent: `Calculate summary statistics for numeric columns`,
-        explanation: `There are ${numericColumns.length} numeric columns that could be analyzed with summary statistics.`
-      });
+      suggest(
+        'calculate',
+        `Calculate summary statistics for numeric columns`,
+        `There are ${numericColumns.length} numeric columns that could be analyzed with summary statistics.`,
+        numericColumns,
+        {
+          type: 'aggregate',
+          groupBy: [],
+          metrics: _.flatMap(numericColumns, column => 
+            ['sum', 'average', 'min', 'max'].map(fn => ({ column, function: fn }))
+          )
+        }
+      );
+    }
+    
+    // Check for wide period columns (Jan, Feb, ...) that read better as rows
+    const periodColumns = findPeriodColumns(columns);
+    
+    if (periodColumns.length > 0) {
+      suggest(
+        'unpivot',
+        'Unpivot period columns into rows',
+        `Columns ${periodColumns.join(', ')} look like periods and could be reshaped into period and value rows.`,
+        periodColumns,
+        {
+          valueColumns: periodColumns,
+          namesTo: 'period',
+          valuesTo: 'value'
+        }
+      );
     }
     
     // Check for date columns for time series analysis
-    const dateColumns = Object.keys(data[0] || {}).filter(col => 
-      detectColumnType(data, col) === 'date'
-    );
+    const dateColumns = columns.filter(col => columnTypes[col] === 'date');
     
     if (dateColumns.length > 0 && numericColumns.length > 0) {
-      suggestions.push({
-        operation: 'time_series',
-        intent: `Analyze trends over time`,
-        explanation: `There are date columns (${dateColumns.join(', ')}) and numeric columns that could be analyzed for trends.`
-      });
+      suggest(
+        'calculate',
+        `Analyze trends over time`,
+        `There are date columns (${dateColumns.join(', ')}) and numeric columns that could be analyzed for trends by month.`,
+        numericColumns,
+        {
+          type: 'aggregate',
+          groupBy: 'month',
+          dateColumn: dateColumns[0],
+          timeGrain: 'month',
+          metrics: numericColumns.map(column => ({ column, function: 'sum' }))
+        }
+      );
     }
     
     return suggestions;
@@ -669,10 +921,11 @@ exports.getSuggestedTransformations = async (data) => {
 
 /**
  * Calculate similarity between two columns
+ * Values are compared after normalization, so "ACME Corp." repeats "Acme Corporation".
  */
 const calculateColumnSimilarity = (data, col1, col2) => {
-  const values1 = data.map(row => String(row[col1] || ''));
-  const values2 = data.map(row => String(row[col2] || ''));
+  const values1 = data.map(row => normalizeText(row[col1]));
+  const values2 = data.map(row => normalizeText(row[col2]));
   
   let matches = 0;
   for (let i = 0; i < values1.length; i++) {
@@ -0,0 +1,309 @@
+/**
+ * Dataset Version Service
+ * Stores every materialized state of a dataset as an immutable version. A
+ * version's rows are written once as NDJSON under a path derived from their
+ * SHA-256, so identical states share one file; DatasetVersion records tie a
+ * stored state to the dataset and the transformation that produced it.
+ *
+ * Versions are referred to as "original", "current" or a transformation ID.
+ * States from before versioning existed are reconstructed and stored the
+ * first time they are requested.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { DatasetVersion, DataTransformation, FinancialDataset } = require('../database/models');
+const { getDatasetPath, loadDatasetRows, storeDatasetFile } = require('../utils/datasetLoader');
+const { profileColumns, parseStoredProfiles } = require('../utils/columnProfiler');
+const { diffDatasets } = require('../utils/datasetDiff');
+const { reconstructDataset, getTransformationChain } = require('./transformationReplayService');
+
+const VERSION_DIR = 'versions';
+
+/**
+ * Serialize rows as NDJSON with a stable column order
+ * @param {Array} data - Rows
+ * @returns {string} - File content
+ */
+const toNdjson = (data) => {
+  const columns = Array.from(new Set(data.flatMap(row => Object.keys(row))));
+  return data
+    .map(row => JSON.stringify(columns.reduce((acc, column) => {
+      if (row[column] !== undefined) acc[column] = row[column];
+      return acc;
+    }, {})))
+    .join('\n');
+};
+
+/**
+ * Content-addressed storage key of a version
+ * @param {string} hash - SHA-256 of the content
+ * @returns {string} - Storage key relative to the data folder
+ */
+const toStorageKey = (hash) => `${VERSION_DIR}/${hash.slice(0, 2)}/${hash}.ndjson`;
+
+/**
+ * Parse a version reference
+ * @param {string|number} ref - "original", "current" (or "head") or a transformation ID
+ * @returns {number|null} - 0 for the original, null for the current version, otherwise a transformation ID
+ */
+const parseVersionRef = (ref) => {
+  if (ref === undefined || ref === null || ref === '' || ref === 'current' || ref === 'head') return null;
+  if (ref === 'original' || Number(ref) === 0) return 0;
+
+  const transformationId = Number(ref);
+  if (!Number.isInteger(transformationId) || transformationId < 0) {
+    throw new Error(`Invalid version: ${ref}. Use "original", "current" or a transformation ID`);
+  }
+  return transformationId;
+};
+
+/**
+ * Plain view of a version record
+ * @param {Object} record - DatasetVersion record
+ * @returns {Object} - Version with parsed columns and its reference
+ */
+const toVersionView = (record) => {
+  const plain = record.get ? record.get({ plain: true }) : record;
+  return {
+    ...plain,
+    ref: plain.transformationId ? String(plain.transformationId) : 'original',
+    columns: parseStoredProfiles(plain.columns)
+  };
+};
+
+/**
+ * Short description of a version, without its column profiles
+ * @param {Object} record - DatasetVersion record
+ * @returns {Object} - { versionId, ref, transformationId, contentHash, rowCount, createdAt }
+ */
+const toVersionSummary = (record) => ({
+  versionId: record.id,
+  ref: record.transformationId ? String(record.transformationId) : 'original',
+  transformationId: record.transformationId,
+  contentHash: record.contentHash,
+  rowCount: record.rowCount,
+  createdAt: record.createdAt
+});
+
+/**
+ * Find a user's dataset
+ * @returns {Promise<Object>} - FinancialDataset record
+ */
+const findDataset = async (userId, datasetId) => {
+  const dataset = await FinancialDataset.findByPk(datasetId);
+
+  if (!dataset || (userId && dataset.userId && dataset.userId !== userId)) {
+    throw new Error('Dataset not found');
+  }
+  return dataset;
+};
+
+/**
+ * Store a dataset state as a version
+ * Recording the same state twice returns the existing version.
+ * @param {Object} dataset - FinancialDataset record
+ * @param {Array} data - Rows of the state
+ * @param {Object} options - Options
+ * @param {number} options.userId - Owner
+ * @param {number} options.transformationId - Transformation that produced the state; null for the original data
+ * @returns {Promise<Object>} - DatasetVersion record
+ */
+exports.recordVersion = async (dataset, data, options = {}) => {
+  const { userId = dataset.userId, transformationId = null } = options;
+
+  const existing = await DatasetVersion.findOne({
+    where: { datasetId: dataset.id, transformationId }
+  });
+  if (existing) return existing;
+
+  const content = toNdjson(data);
+  const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+  const storageKey = toStorageKey(contentHash);
+
+  storeDatasetFile({ storageKey }, content);
+
+  const version = await DatasetVersion.create({
+    datasetId: dataset.id,
+    userId,
+    transformationId,
+    contentHash,
+    storageKey,
+    rowCount: data.length,
+    columns: JSON.stringify(profileColumns(data))
+  });
+
+  logger.info('Recorded dataset version', { datasetId: dataset.id, transformationId, contentHash, rowCount: data.length });
+
+  return version;
+};
+
+/**
+ * Read the rows of a stored version
+ * @param {Object} dataset - FinancialDataset record
+ * @param {Object} record - DatasetVersion record
+ * @returns {Array} - Rows
+ */
+const readVersionRows = (dataset, record) => (record.rowCount === 0
+  ? []
+  : loadDatasetRows({ name: dataset.name, storageKey: record.storageKey, format: 'ndjson' }));
+
+/**
+ * Load a version, storing it first when it was never recorded
+ * Rows are always read back from the stored file, so two versions compare
+ * the same way whether or not they were just reconstructed.
+ * @param {number} userId - User ID
+ * @param {number|Object} datasetOrId - FinancialDataset record or ID
+ * @param {string|number} ref - Version reference
+ * @returns {Promise<Object>} - { dataset, version, data }
+ */
+const loadVersion = async (userId, datasetOrId, ref) => {
+  const dataset = typeof datasetOrId === 'object' ? datasetOrId : await findDataset(userId, datasetOrId);
+  let transformationId = parseVersionRef(ref);
+
+  if (transformationId === null) {
+    const chain = await getTransformationChain(dataset.id, { userId });
+    transformationId = chain.length ? chain[chain.length - 1].id : 0;
+  }
+
+  let version = await DatasetVersion.findOne({
+    where: { datasetId: dataset.id, transformationId: transformationId || null }
+  });
+
+  if (!version || !fs.existsSync(getDatasetPath(version))) {
+    const reconstructed = await reconstructDataset(dataset, { userId, transformationId });
+
+    if (version) {
+      // The record outlived its file; write the content back
+      storeDatasetFile(version, toNdjson(reconstructed.data));
+    } else {
+      version = await exports.recordVersion(dataset, reconstructed.data, {
+        userId,
+        transformationId: reconstructed.transformationId
+      });
+    }
+  }
+
+  return { dataset, version, data: readVersionRows(dataset, version) };
+};
+
+/**
+ * List the versions of a dataset: the original data and one per transformation
+ * Versions that were never stored are listed with stored: false and are
+ * stored when fetched.
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Object>} - { datasetId, headId, versions }
+ */
+exports.listVersions = async (userId, datasetId) => {
+  const dataset = await findDataset(userId, datasetId);
+  const [transformations, records] = await Promise.all([
+    DataTransformation.findAll({
+      where: { userId, datasetId: dataset.id },
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    }),
+    DatasetVersion.findAll({ where: { datasetId: dataset.id } })
+  ]);
+
+  const byTransformation = new Map(records.map(record => [record.transformationId || 0, record]));
+  const completed = transformations.filter(t => t.status === 'completed');
+  const headId = completed.length ? completed[completed.length - 1].id : null;
+
+  const describe = (transformationId, fields) => {
+    const record = byTransformation.get(transformationId);
+    return {
+      ref: transformationId ? String(transformationId) : 'original',
+      transformationId: transformationId || null,
+      ...fields,
+      isHead: (transformationId || null) === headId,
+      stored: Boolean(record),
+      ...(record ? {
+        versionId: record.id,
+        contentHash: record.contentHash,
+        rowCount: record.rowCount,
+        columnCount: parseStoredProfiles(record.columns).length
+      } : {})
+    };
+  };
+
+  return {
+    datasetId: dataset.id,
+    headId,
+    versions: [
+      describe(0, { name: 'Original data', parentRef: null, status: 'completed', createdAt: dataset.createdAt }),
+      ...transformations
+        .filter(t => t.status !== 'failed')
+        .map(t => describe(t.id, {
+          name: t.name,
+          operation: t.operation,
+          parentRef: t.parentId ? String(t.parentId) : 'original',
+          status: t.status,
+          createdAt: t.createdAt
+        }))
+    ]
+  };
+};
+
+/**
+ * Fetch a version of a dataset
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {string|number} ref - "original", "current" or a transformation ID
+ * @param {Object} options - Options
+ * @param {number} options.offset - First row returned
+ * @param {number} options.limit - Rows returned; all when omitted
+ * @returns {Promise<Object>} - { version, data, rowCount }
+ */
+exports.getVersion = async (userId, datasetId, ref, options = {}) => {
+  const { version, data } = await loadVersion(userId, datasetId, ref);
+  const offset = Math.max(0, Number(options.offset) || 0);
+  const limit = options.limit ? Number(options.limit) : data.length;
+
+  return {
+    version: toVersionView(version),
+    data: data.slice(offset, offset + limit),
+    rowCount: data.length
+  };
+};
+
+/**
+ * Compare two versions of a dataset
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {Object} options - Options
+ * @param {string|number} options.to - Newer version; defaults to the current one
+ * @param {string|number} options.from - Older version; defaults to the version the newer one was built on
+ * @param {string} options.key - ID column to match rows by; detected when omitted
+ * @param {number} options.limit - Rows listed per change kind
+ * @returns {Promise<Object>} - { from, to, key, mode, schema, summary, added, removed, changed, warnings }
+ */
+exports.diffVersions = async (userId, datasetId, options = {}) => {
+  const dataset = await findDataset(userId, datasetId);
+  const to = await loadVersion(userId, dataset, options.to);
+
+  let fromRef = options.from;
+  if (fromRef === undefined || fromRef === null || fromRef === '') {
+    if (!to.version.transformationId) {
+      throw new Error('The original data has no earlier version; choose a version to compare with');
+    }
+    const transformation = await DataTransformation.findByPk(to.version.transformationId);
+    fromRef = transformation && transformation.parentId ? transformation.parentId : 'original';
+  }
+  const from = await loadVersion(userId, dataset, fromRef);
+
+  const diff = diffDatasets(
+    { rows: from.data, profiles: parseStoredProfiles(from.version.columns) },
+    { rows: to.data, profiles: parseStoredProfiles(to.version.columns) },
+    { key: options.key, limit: options.limit ? Number(options.limit) : undefined }
+  );
+
+  return {
+    datasetId: dataset.id,
+    from: toVersionSummary(from.version),
+    to: toVersionSummary(to.version),
+    identical: from.version.contentHash === to.version.contentHash,
+    ...diff
+  };
+};
+
+exports.parseVersionRef = parseVersionRef;
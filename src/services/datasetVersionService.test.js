@@ -0,0 +1,174 @@
+const fs = require('fs');
+
+jest.mock('../database/models', () => ({
+  DatasetVersion: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+  DataTransformation: { findAll: jest.fn(), findByPk: jest.fn() },
+  FinancialDataset: { findByPk: jest.fn() }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/datasetLoader', () => {
+  const nodeFs = jest.requireActual('fs');
+  const nodePath = jest.requireActual('path');
+  const dataDir = nodePath.join(jest.requireActual('os').tmpdir(), `versions-test-${process.pid}`);
+  const getDatasetPath = dataset => nodePath.join(dataDir, dataset.storageKey);
+  return {
+    DATA_DIR: dataDir,
+    getDatasetPath,
+    loadDatasetRows: dataset => nodeFs.readFileSync(getDatasetPath(dataset), 'utf8').split('\n').map(line => JSON.parse(line)),
+    storeDatasetFile: (dataset, content) => {
+      nodeFs.mkdirSync(nodePath.dirname(getDatasetPath(dataset)), { recursive: true });
+      nodeFs.writeFileSync(getDatasetPath(dataset), content);
+    }
+  };
+});
+jest.mock('./transformationReplayService', () => ({ reconstructDataset: jest.fn(), getTransformationChain: jest.fn() }));
+
+const { DatasetVersion, DataTransformation, FinancialDataset } = require('../database/models');
+const { DATA_DIR, getDatasetPath } = require('../utils/datasetLoader');
+const { reconstructDataset, getTransformationChain } = require('./transformationReplayService');
+const { recordVersion, listVersions, getVersion, diffVersions, parseVersionRef } = require('./datasetVersionService');
+
+const dataset = { id: 3, userId: 1, name: 'Invoices', createdAt: '2024-01-01' };
+const original = [
+  { invoice_id: 'INV-1', amount: 100 },
+  { invoice_id: 'INV-2', amount: 250 }
+];
+const corrected = [
+  { invoice_id: 'INV-1', amount: 100 },
+  { invoice_id: 'INV-2', amount: 260 }
+];
+// Transformation 11 corrects an amount; 12 sorts the result, which keeps the same rows
+const transformations = [
+  { id: 11, name: 'Fix INV-2', operation: 'update', status: 'completed', parentId: null, createdAt: '2024-01-02' },
+  { id: 12, name: 'Sort', operation: 'sort', status: 'completed', parentId: 11, createdAt: '2024-01-03' },
+  { id: 13, name: 'Broken', operation: 'filter', status: 'failed', parentId: 12, createdAt: '2024-01-04' }
+];
+const states = { 0: original, 11: corrected, 12: corrected };
+
+let versions;
+
+beforeEach(() => {
+  versions = [];
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+
+  FinancialDataset.findByPk.mockImplementation(async id => (id === dataset.id ? dataset : null));
+  DatasetVersion.findOne.mockImplementation(async ({ where }) => versions.find(version =>
+    version.datasetId === where.datasetId && version.transformationId === where.transformationId) || null);
+  DatasetVersion.findAll.mockImplementation(async () => versions);
+  DatasetVersion.create.mockImplementation(async attributes => {
+    const version = { id: versions.length + 1, createdAt: '2024-02-01', ...attributes };
+    versions.push(version);
+    return version;
+  });
+  DataTransformation.findAll.mockResolvedValue(transformations);
+  DataTransformation.findByPk.mockImplementation(async id => transformations.find(t => t.id === id) || null);
+  getTransformationChain.mockResolvedValue(transformations.slice(0, 2));
+  reconstructDataset.mockImplementation(async (ds, { transformationId }) => ({
+    data: states[transformationId],
+    transformationId: transformationId || null
+  }));
+});
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('recordVersion', () => {
+  it('stores identical states once, under their content hash', async () => {
+    const first = await recordVersion(dataset, corrected, { transformationId: 11 });
+    const second = await recordVersion(dataset, corrected, { transformationId: 12 });
+
+    expect(first.storageKey).toMatch(/^versions\/([0-9a-f]{2})\/\1[0-9a-f]{62}\.ndjson$/);
+    expect(second.storageKey).toBe(first.storageKey);
+    expect(second.id).not.toBe(first.id);
+    expect(first).toMatchObject({ userId: 1, rowCount: 2 });
+    expect(JSON.parse(first.columns).map(profile => profile.name)).toEqual(['invoice_id', 'amount']);
+  });
+
+  it('returns the existing version of a transformation', async () => {
+    const first = await recordVersion(dataset, original, { transformationId: null });
+
+    expect(await recordVersion(dataset, corrected, { transformationId: null })).toBe(first);
+    expect(DatasetVersion.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getVersion', () => {
+  it('reconstructs and stores a version the first time it is fetched', async () => {
+    const result = await getVersion(1, 3, 'original');
+
+    expect(result.data).toEqual(original);
+    expect(result.version).toMatchObject({ ref: 'original', transformationId: null, rowCount: 2 });
+
+    await getVersion(1, 3, 'original');
+    expect(reconstructDataset).toHaveBeenCalledTimes(1);
+  });
+
+  it('fetches the current version a page at a time', async () => {
+    const result = await getVersion(1, 3, 'current', { offset: 1, limit: 5 });
+
+    expect(result.version.ref).toBe('12');
+    expect(result.data).toEqual([corrected[1]]);
+    expect(result.rowCount).toBe(2);
+  });
+
+  it('writes back a stored version whose file is gone', async () => {
+    const { version } = await getVersion(1, 3, 11);
+    fs.unlinkSync(getDatasetPath(version));
+
+    expect((await getVersion(1, 3, 11)).data).toEqual(corrected);
+    expect(DatasetVersion.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not show another user's dataset", async () => {
+    await expect(getVersion(2, 3, 'original')).rejects.toThrow('Dataset not found');
+  });
+});
+
+describe('listVersions', () => {
+  it('lists the original and every transformation that did not fail', async () => {
+    await recordVersion(dataset, corrected, { transformationId: 11 });
+
+    const { headId, versions: listed } = await listVersions(1, 3);
+
+    expect(headId).toBe(12);
+    expect(listed.map(version => [version.ref, version.parentRef, version.stored, version.isHead])).toEqual([
+      ['original', null, false, false],
+      ['11', 'original', true, false],
+      ['12', '11', false, true]
+    ]);
+    expect(listed[1]).toMatchObject({ rowCount: 2, columnCount: 2 });
+  });
+});
+
+describe('diffVersions', () => {
+  it('compares a version with the one it was built on by default', async () => {
+    const diff = await diffVersions(1, 3, { to: 11 });
+
+    expect(diff.from.ref).toBe('original');
+    expect(diff.to.ref).toBe('11');
+    expect(diff.identical).toBe(false);
+    expect(diff.changed).toEqual([{ key: 'INV-2', changes: [{ column: 'amount', from: 250, to: 260 }] }]);
+  });
+
+  it('reports identical content', async () => {
+    const diff = await diffVersions(1, 3, {});
+
+    expect(diff.from.ref).toBe('11');
+    expect(diff.identical).toBe(true);
+    expect(diff.summary).toMatchObject({ added: 0, removed: 0, changed: 0, unchanged: 2 });
+  });
+
+  it('needs a version to compare the original data with', async () => {
+    await expect(diffVersions(1, 3, { to: 'original' })).rejects.toThrow('The original data has no earlier version');
+  });
+});
+
+describe('parseVersionRef', () => {
+  it('reads version references', () => {
+    expect(parseVersionRef('current')).toBeNull();
+    expect(parseVersionRef('original')).toBe(0);
+    expect(parseVersionRef('12')).toBe(12);
+    expect(() => parseVersionRef('latest')).toThrow('Invalid version: latest');
+  });
+});
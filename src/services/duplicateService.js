@@ -0,0 +1,150 @@
+/**
+ * Duplicate Review Service
+ * Finds probable duplicates in the current version of a dataset and merges
+ * the clusters the user confirmed. The merge is stored as a
+ * "merge_duplicates" transformation carrying the reviewed decisions, so it
+ * replays exactly and shows up in the history and timeline.
+ */
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const timelineTracking = require('../utils/timelineTracking');
+const { FinancialDataset } = require('../database/models');
+const { findDuplicateClusters, SURVIVOR_RULES } = require('../utils/fuzzyMatcher');
+const { detectColumnTypeMap } = require('../utils/dataTransformer');
+const { reconstructDataset } = require('./transformationReplayService');
+const { recordDatasetVersion, runTransformation, storeTransformation } = require('./transformationPersistenceService');
+
+/**
+ * Find a user's dataset
+ * @returns {Promise<Object>} - FinancialDataset record
+ */
+const findDataset = async (userId, datasetId) => {
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error('Dataset not found');
+  }
+  return dataset;
+};
+
+/**
+ * Pick the matching options a request may set
+ */
+const pickMatchOptions = (options) => _.pickBy({
+  fields: options.fields,
+  threshold: options.threshold,
+  blocking: options.blocking,
+  survivor: options.survivor
+}, value => value !== undefined && value !== null);
+
+/**
+ * Find clusters of probable duplicates in the current version of a dataset
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {Object} options - Options
+ * @param {Array} options.columns - Columns to compare
+ * @param {Array} options.fields - Detailed fields [{ column, method, weight, tolerance, relative }]
+ * @param {number} options.threshold - Minimum pair score (0-1)
+ * @param {Array} options.blocking - Blocking keys
+ * @param {string} options.survivor - Suggested survivor rule: most_complete, first or last
+ * @returns {Promise<Object>} - { transformationId, rowCount, clusters, summary }
+ */
+exports.findDuplicates = async (userId, datasetId, options = {}) => {
+  const dataset = await findDataset(userId, datasetId);
+  const current = await reconstructDataset(dataset, { userId });
+  const columns = [].concat(options.columns || []);
+
+  const { clusters, summary } = findDuplicateClusters(current.data, {
+    columns,
+    ...pickMatchOptions(options),
+    columnTypes: detectColumnTypeMap(current.data)
+  });
+
+  logger.info('Found probable duplicates', { datasetId: dataset.id, clusters: clusters.length, comparedPairs: summary.comparedPairs });
+
+  return {
+    // The review applies to this version only
+    transformationId: current.transformationId,
+    rowCount: current.data.length,
+    columns,
+    survivorRules: SURVIVOR_RULES,
+    clusters,
+    summary
+  };
+};
+
+/**
+ * Merge reviewed duplicate clusters into their survivors
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {Object} review - Review
+ * @param {Array} review.decisions - [{ rows: [index], survivor: index }] for the confirmed clusters
+ * @param {number} review.transformationId - Version the duplicates were found in (null for the original data)
+ * @param {Array} review.columns - Columns the duplicates were matched on, recorded with the merge
+ * @param {boolean} review.fillBlanks - Fill the survivors' blanks from the merged rows (default true)
+ * @returns {Promise<Object>} - { transformationId, data, message, details, validation, rowCount }
+ */
+exports.mergeDuplicates = async (userId, datasetId, review = {}) => {
+  const dataset = await findDataset(userId, datasetId);
+  const decisions = review.decisions || [];
+
+  if (!Array.isArray(decisions) || decisions.length === 0) {
+    throw new Error('Choose at least one duplicate group to merge');
+  }
+
+  const current = await reconstructDataset(dataset, { userId });
+  const reviewedId = review.transformationId === undefined || review.transformationId === '' ? null : review.transformationId;
+  if ((reviewedId === null ? null : Number(reviewedId)) !== current.transformationId) {
+    throw new Error('The dataset changed since the duplicates were reviewed; review them again');
+  }
+
+  const data = current.data;
+  const columns = [].concat(review.columns || []);
+  const interpretation = {
+    intent: `Merge ${decisions.length} duplicate group${decisions.length === 1 ? '' : 's'}`,
+    operation: 'merge_duplicates',
+    columns,
+    conditions: {
+      decisions: decisions.map(({ rows, survivor }) => ({ rows: [].concat(rows).map(Number), survivor: Number(survivor) })),
+      rowCount: data.length,
+      ...(review.fillBlanks === false ? { fillBlanks: false } : {})
+    }
+  };
+
+  timelineTracking.resetSession(userId);
+
+  const { result, validation, executionTime } = await runTransformation({
+    userId,
+    dataset,
+    data,
+    interpretation,
+    context: { sourceName: dataset.name },
+    details: { clusters: decisions.length }
+  });
+
+  await recordDatasetVersion(dataset, data, { userId, transformationId: current.transformationId });
+
+  const transformation = await storeTransformation({
+    userId,
+    dataset,
+    parentId: current.transformationId,
+    interpretation,
+    result,
+    validation,
+    rowsBefore: data.length,
+    executionTime
+  });
+
+  logger.info('Merged duplicates', { datasetId: dataset.id, transformationId: transformation.id, ...result.details.duplicates });
+
+  return {
+    transformationId: transformation.id,
+    data: result.data,
+    message: result.message,
+    details: result.details,
+    validation,
+    rowCount: {
+      original: data.length,
+      transformed: result.data.length
+    }
+  };
+};
@@ -0,0 +1,217 @@
+/**
+ * Export Service
+ * Exports dataset versions to CSV, JSON, formatted XLSX, Parquet or a PDF
+ * summary. Files are written to the processed folder and served by
+ * /api/data/download/:filename; every export is recorded against its datasets.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { DataExport } = require('../database/models');
+const { reconstructDataset, getTransformationChain, parseStoredJson } = require('./transformationReplayService');
+const { renderExport, resolveExportFormat } = require('./exporters');
+
+// Same folder the download route reads from
+const EXPORT_DIR = 'processed';
+
+/**
+ * Build a safe, unique export file name
+ * @param {string} baseName - Wanted name
+ * @param {string} extension - File extension
+ * @returns {string} - File name
+ */
+const toExportFileName = (baseName, extension) => {
+  const base = String(baseName || 'export')
+    .replace(/\.[^.]+$/, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80) || 'export';
+
+  return `${base}_${Date.now()}.${extension}`;
+};
+
+/**
+ * Write rendered content to the export folder
+ * @returns {Object} - { fileName, filePath, size }
+ */
+const writeExportFile = (rendered, baseName) => {
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+
+  const fileName = toExportFileName(baseName, rendered.extension);
+  const filePath = path.join(EXPORT_DIR, fileName);
+  fs.writeFileSync(filePath, rendered.content);
+
+  return { fileName, filePath, size: fs.statSync(filePath).size };
+};
+
+/**
+ * Plain view of an export record
+ * @param {Object} record - DataExport record
+ * @returns {Object} - Export with parsed options and its download URL
+ */
+const toExportView = (record) => {
+  const plain = record.get ? record.get({ plain: true }) : record;
+  return {
+    ...plain,
+    options: parseStoredJson(plain.options, {}),
+    downloadUrl: plain.status === 'completed' ? `/api/data/download/${plain.fileName}` : null
+  };
+};
+
+/**
+ * Load the current (or requested) version of a dataset with its applied transformations
+ * @param {number} datasetId - Dataset ID
+ * @param {number} userId - Owner
+ * @param {number} transformationId - Version to export; null for the current one, 0 for the original data
+ * @returns {Promise<Object>} - Sheet { name, data, transformations, datasetId, transformationId }
+ */
+const loadExportSheet = async (datasetId, userId, transformationId = null) => {
+  const version = await reconstructDataset(datasetId, { userId, transformationId });
+  const chain = version.transformationId
+    ? await getTransformationChain(version.dataset.id, { userId, upToTransformationId: version.transformationId })
+    : [];
+
+  return {
+    name: version.dataset.name,
+    data: version.data,
+    datasetId: version.dataset.id,
+    transformationId: version.transformationId,
+    transformations: chain.map(transformation => ({
+      name: transformation.name,
+      operation: transformation.operation,
+      parameters: parseStoredJson(transformation.parameters, {}),
+      createdAt: transformation.createdAt
+    }))
+  };
+};
+
+/**
+ * Export one or more datasets and record the export against each of them
+ * @param {number} userId - User ID
+ * @param {Object} request - Export request
+ * @param {Array} request.datasetIds - Datasets to export; several become one sheet (or section) each
+ * @param {string} request.format - csv, json, xlsx, parquet or pdf
+ * @param {number} request.transformationId - Version of a single dataset to export; defaults to the current one
+ * @param {string} request.fileName - Base name of the exported file
+ * @returns {Promise<Object>} - { fileName, downloadUrl, format, contentType, size, exports }
+ */
+exports.exportDatasets = async (userId, request = {}) => {
+  const datasetIds = [...new Set((request.datasetIds || []).map(Number))];
+  if (datasetIds.length === 0) {
+    throw new Error('Choose at least one dataset to export');
+  }
+
+  const format = resolveExportFormat(request.format);
+  const transformationId = datasetIds.length === 1 && request.transformationId !== undefined && request.transformationId !== null
+    ? Number(request.transformationId)
+    : null;
+  const options = {
+    datasetIds,
+    ...(request.fileName ? { fileName: request.fileName } : {})
+  };
+
+  try {
+    const sheets = [];
+    for (const datasetId of datasetIds) {
+      sheets.push(await loadExportSheet(datasetId, userId, transformationId));
+    }
+
+    const title = sheets.length === 1 ? sheets[0].name : `${sheets.length} datasets`;
+    const rendered = await renderExport(sheets, format, { title });
+    const file = writeExportFile(rendered, request.fileName || title);
+
+    const records = await Promise.all(sheets.map(sheet => DataExport.create({
+      datasetId: sheet.datasetId,
+      userId,
+      format,
+      fileName: file.fileName,
+      status: 'completed',
+      rowCount: sheet.data.length,
+      fileSize: file.size,
+      transformationId: sheet.transformationId,
+      options: JSON.stringify(options)
+    })));
+
+    logger.info('Exported datasets', { userId, datasetIds, format, fileName: file.fileName, size: file.size });
+
+    return {
+      fileName: file.fileName,
+      downloadUrl: `/api/data/download/${file.fileName}`,
+      format,
+      contentType: rendered.contentType,
+      size: file.size,
+      exports: records.map(toExportView)
+    };
+  } catch (error) {
+    logger.error('Error exporting datasets:', { error, userId, datasetIds, format });
+
+    // Record the failure so the dataset's export history shows it
+    await Promise.all(datasetIds.map(datasetId => DataExport.create({
+      datasetId,
+      userId,
+      format,
+      fileName: '',
+      status: 'failed',
+      options: JSON.stringify(options),
+      error: error.message
+    }))).catch(recordError => logger.error('Error recording failed export:', { error: recordError }));
+
+    throw error;
+  }
+};
+
+/**
+ * Export rows that are not stored as a dataset (e.g. a chat preview)
+ * @param {Array} data - Rows
+ * @param {Object} request - { format, fileName }
+ * @returns {Promise<Object>} - { fileName, downloadUrl, format, contentType, size }
+ */
+exports.exportRows = async (data, request = {}) => {
+  const rendered = await renderExport([{ name: request.fileName || 'Data', data }], request.format, {
+    title: request.fileName || 'Export'
+  });
+  const file = writeExportFile(rendered, request.fileName);
+
+  return {
+    fileName: file.fileName,
+    downloadUrl: `/api/data/download/${file.fileName}`,
+    format: rendered.format,
+    contentType: rendered.contentType,
+    size: file.size
+  };
+};
+
+/**
+ * List the exports of a dataset, newest first
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Array>} - Exports
+ */
+exports.getDatasetExports = async (userId, datasetId) => {
+  const records = await DataExport.findAll({
+    where: { userId, datasetId },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  return records.map(toExportView);
+};
+
+/**
+ * Resolve an exported file a user may download
+ * Files recorded as dataset exports are only served to their owner.
+ * @param {number} userId - User ID
+ * @param {string} fileName - Requested file name
+ * @returns {Promise<string|null>} - File path, or null when the file is missing or not the user's
+ */
+exports.resolveExportFile = async (userId, fileName) => {
+  const safeName = path.basename(String(fileName || ''));
+  if (!safeName || safeName !== fileName) return null;
+
+  const record = await DataExport.findOne({ where: { fileName: safeName } });
+  if (record && record.userId !== userId) return null;
+
+  const filePath = path.join(EXPORT_DIR, safeName);
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+exports.EXPORT_DIR = EXPORT_DIR;
@@ -0,0 +1,90 @@
+jest.mock('../database/models', () => ({ DataExport: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock('./transformationReplayService', () => ({
+  reconstructDataset: jest.fn(),
+  getTransformationChain: jest.fn(),
+  parseStoredJson: (value, fallback) => (value ? JSON.parse(value) : fallback)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataExport } = require('../database/models');
+const { reconstructDataset, getTransformationChain } = require('./transformationReplayService');
+const { exportDatasets, resolveExportFile } = require('./exportService');
+
+const workingDir = process.cwd();
+let exportRoot;
+
+beforeEach(() => {
+  // Exports are written to ./processed, so run each test in a scratch folder
+  exportRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+  process.chdir(exportRoot);
+
+  reconstructDataset.mockImplementation(async (datasetId, { transformationId }) => ({
+    dataset: { id: datasetId, name: datasetId === 1 ? 'Invoices' : 'Vendors' },
+    data: [{ vendor: 'Acme', amount: 120 }, { vendor: 'Globex', amount: 80 }],
+    transformationId: transformationId === null ? 5 : transformationId
+  }));
+  getTransformationChain.mockResolvedValue([{ name: 'Drop blanks', operation: 'filter', parameters: '{}', createdAt: '2024-03-01' }]);
+  DataExport.create.mockImplementation(async attributes => ({ id: 10, ...attributes }));
+});
+
+afterEach(() => {
+  process.chdir(workingDir);
+  fs.rmSync(exportRoot, { recursive: true, force: true });
+});
+
+describe('exportDatasets', () => {
+  it('writes one file and records the export against each dataset', async () => {
+    const result = await exportDatasets(7, { datasetIds: [1, 2], format: 'excel', fileName: 'Month end.xlsx' });
+
+    expect(result.fileName).toMatch(/^Month_end_\d+\.xlsx$/);
+    expect(result.downloadUrl).toBe(`/api/data/download/${result.fileName}`);
+    expect(fs.statSync(path.join('processed', result.fileName)).size).toBe(result.size);
+    expect(result.exports.map(record => [record.datasetId, record.format, record.rowCount, record.transformationId]))
+      .toEqual([[1, 'xlsx', 2, 5], [2, 'xlsx', 2, 5]]);
+    expect(result.exports[0].options).toEqual({ datasetIds: [1, 2], fileName: 'Month end.xlsx' });
+  });
+
+  it('exports the requested version of a single dataset', async () => {
+    await exportDatasets(7, { datasetIds: [1], format: 'csv', transformationId: 0 });
+
+    expect(reconstructDataset).toHaveBeenCalledWith(1, { userId: 7, transformationId: 0 });
+    expect(getTransformationChain).not.toHaveBeenCalled();
+  });
+
+  it('records failed exports and rethrows', async () => {
+    await expect(exportDatasets(7, { datasetIds: [1, 2], format: 'csv' })).rejects.toThrow('CSV exports hold one dataset');
+
+    expect(DataExport.create).toHaveBeenCalledTimes(2);
+    expect(DataExport.create.mock.calls[0][0]).toMatchObject({ datasetId: 1, status: 'failed', fileName: '' });
+  });
+
+  it('needs a dataset and a known format', async () => {
+    await expect(exportDatasets(7, { datasetIds: [] })).rejects.toThrow('Choose at least one dataset');
+    await expect(exportDatasets(7, { datasetIds: [1], format: 'docx' })).rejects.toThrow('Unsupported export format');
+  });
+});
+
+describe('resolveExportFile', () => {
+  beforeEach(() => {
+    fs.mkdirSync('processed');
+    fs.writeFileSync(path.join('processed', 'report.csv'), 'a\n1\n');
+  });
+
+  it('serves files to their owner only', async () => {
+    DataExport.findOne.mockResolvedValue({ userId: 7 });
+
+    expect(await resolveExportFile(7, 'report.csv')).toBe(path.join('processed', 'report.csv'));
+    expect(await resolveExportFile(8, 'report.csv')).toBeNull();
+  });
+
+  it('rejects paths and missing files', async () => {
+    DataExport.findOne.mockResolvedValue(null);
+
+    expect(await resolveExportFile(7, '../server.js')).toBeNull();
+    expect(await resolveExportFile(7, 'missing.csv')).toBeNull();
+    expect(await resolveExportFile(7, 'report.csv')).toBe(path.join('processed', 'report.csv'));
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Typed Export Cells
+ * Converts raw dataset values into typed values using the column profile, so
+ * numbers, dates and booleans are written as such rather than as text.
+ */
+const { coerceColumnValue } = require('../formula/coercion');
+
+// Columns whose numbers are labels rather than quantities
+const CODE_HINTS = ['id', 'year', 'account_code'];
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥',
+  INR: '₹'
+};
+
+/**
+ * Convert a raw value to the column's type
+ * Values that do not fit the detected type (a stray "TBD" in an amount column)
+ * are kept as text instead of being dropped.
+ * @param {*} value - Raw value
+ * @param {Object} profile - Column profile
+ * @returns {*} - Typed value, or null for blanks
+ */
+const toCell = (value, profile) => {
+  try {
+    const typed = coerceColumnValue(value, profile.type);
+    if (typeof typed === 'number' && !isFinite(typed)) return null;
+    return typed;
+  } catch (error) {
+    return String(value);
+  }
+};
+
+/**
+ * Convert every row to typed cells
+ * @param {Array} data - Rows
+ * @param {Array} profiles - Column profiles
+ * @returns {Array} - Arrays of typed cells, in profile order
+ */
+const toTypedRows = (data, profiles) => data.map(row => profiles.map(profile => toCell(row[profile.name], profile)));
+
+/**
+ * Check whether a number column holds labels (IDs, years, account codes)
+ * @param {Object} profile - Column profile
+ * @returns {boolean} - True when the numbers should not be summed or grouped
+ */
+const isCodeColumn = (profile) => (profile.semantic || []).some(hint => CODE_HINTS.includes(hint));
+
+/**
+ * Pick an Excel number format for a column
+ * @param {Object} profile - Column profile
+ * @param {Array} values - Typed values of the column
+ * @returns {string|null} - Excel number format, or null for text columns
+ */
+const getNumberFormat = (profile, values) => {
+  const semantic = profile.semantic || [];
+
+  if (profile.type === 'date') {
+    return profile.dateFormat && /H/.test(profile.dateFormat) ? 'yyyy-mm-dd hh:mm' : 'yyyy-mm-dd';
+  }
+  if (profile.type !== 'number') return null;
+
+  if (isCodeColumn(profile)) return '0';
+  if (semantic.includes('percentage')) {
+    // "12%" is read as 0.12; a "margin_pct" column holding 12.5 is already in percent
+    return profile.max !== null && Math.abs(profile.max) <= 1 ? '0.00%' : '0.00"%"';
+  }
+  if (semantic.includes('currency_amount')) {
+    const symbol = CURRENCY_SYMBOLS[profile.currency];
+    if (symbol) return `"${symbol}"#,##0.00;-"${symbol}"#,##0.00`;
+    return profile.currency ? `#,##0.00 "${profile.currency}"` : '#,##0.00';
+  }
+
+  const integers = values.every(value => typeof value !== 'number' || Number.isInteger(value));
+  return integers ? '#,##0' : '#,##0.00';
+};
+
+module.exports = {
+  toCell,
+  toTypedRows,
+  isCodeColumn,
+  getNumberFormat
+};
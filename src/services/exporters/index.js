@@ -0,0 +1,115 @@
+/**
+ * Dataset Exporters
+ * Renders one or more datasets to a file
+ *
+ * Formats:
+ *   csv     - one dataset
+ *   json    - an array of rows, or an object keyed by dataset name for several
+ *   xlsx    - one formatted sheet per dataset plus a metadata sheet
+ *   parquet - one dataset, typed columns
+ *   pdf     - a summary of each dataset (profile, key figures, transformations)
+ */
+const Papa = require('papaparse');
+const { profileColumns } = require('../../utils/columnProfiler');
+const { renderXlsx } = require('./xlsx');
+const { renderParquet } = require('./parquet');
+const { renderPdf } = require('./pdf');
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv', multiple: false },
+  json: { extension: 'json', contentType: 'application/json', multiple: true },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', multiple: true },
+  parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet', multiple: false },
+  pdf: { extension: 'pdf', contentType: 'application/pdf', multiple: true }
+};
+
+const FORMAT_ALIASES = {
+  excel: 'xlsx'
+};
+
+/**
+ * Resolve an export format name
+ * @param {string} format - Requested format, e.g. "xlsx" or "excel"
+ * @returns {string} - Canonical format
+ */
+const resolveExportFormat = (format = 'csv') => {
+  const name = String(format).toLowerCase();
+  const resolved = FORMAT_ALIASES[name] || name;
+
+  if (!EXPORT_FORMATS[resolved]) {
+    throw new Error(`Unsupported export format: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return resolved;
+};
+
+/**
+ * Get the content type for an exported file extension
+ * @param {string} extension - File extension with or without the dot
+ * @returns {string} - Content type
+ */
+const getContentType = (extension) => {
+  const name = String(extension).replace(/^\./, '').toLowerCase();
+  const format = Object.values(EXPORT_FORMATS).find(entry => entry.extension === name);
+  return format ? format.contentType : 'application/octet-stream';
+};
+
+/**
+ * Render datasets in an export format
+ * @param {Array} sheets - [{ name, data, profiles, transformations }]; profiles are computed when missing
+ * @param {string} format - Export format
+ * @param {Object} metadata - { exportedAt, title }
+ * @returns {Promise<Object>} - { content, format, extension, contentType }
+ */
+const renderExport = async (sheets, format, metadata = {}) => {
+  const resolved = resolveExportFormat(format);
+  const { extension, contentType, multiple } = EXPORT_FORMATS[resolved];
+
+  if (sheets.length === 0) {
+    throw new Error('Nothing to export');
+  }
+  if (sheets.length > 1 && !multiple) {
+    throw new Error(`${resolved.toUpperCase()} exports hold one dataset; use xlsx, json or pdf for several`);
+  }
+
+  const profiled = sheets.map(sheet => ({
+    ...sheet,
+    profiles: sheet.profiles || profileColumns(sheet.data)
+  }));
+  const info = { exportedAt: new Date().toISOString(), ...metadata };
+
+  let content;
+  switch (resolved) {
+    case 'csv':
+      content = Papa.unparse(profiled[0].data);
+      break;
+    case 'json':
+      content = JSON.stringify(
+        profiled.length === 1
+          ? profiled[0].data
+          : profiled.reduce((acc, sheet) => ({ ...acc, [sheet.name]: sheet.data }), {}),
+        null,
+        2
+      );
+      break;
+    case 'xlsx':
+      content = await renderXlsx(profiled, info);
+      break;
+    case 'parquet':
+      content = await renderParquet(profiled[0]);
+      break;
+    case 'pdf':
+      content = await renderPdf(profiled, info);
+      break;
+    default:
+      break;
+  }
+
+  return { content, format: resolved, extension, contentType };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  getContentType,
+  renderExport
+};
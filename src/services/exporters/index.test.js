@@ -0,0 +1,85 @@
+const ExcelJS = require('exceljs');
+const parquet = require('parquetjs-lite');
+const { renderExport, resolveExportFormat, getContentType } = require('./index');
+
+const invoices = [
+  { invoice_id: 1001, vendor: 'Acme', amount: '$1,200.50', currency: 'USD', due_date: '2024-01-31', paid: 'yes' },
+  { invoice_id: 1002, vendor: 'Globex', amount: '(300.00)', currency: 'USD', due_date: '2024-02-29', paid: 'no' },
+  ...['Initech', 'Umbrella', 'Hooli', 'Stark', 'Wayne', 'Wonka', 'Tyrell', 'Cyberdyne'].map((vendor, index) => ({
+    invoice_id: 1003 + index, vendor, amount: '$50.00', currency: 'USD', due_date: '2024-03-15', paid: 'no'
+  })),
+  { invoice_id: 1011, vendor: 'Soylent', amount: 'TBD', currency: 'USD', due_date: '', paid: 'no' }
+];
+const sheet = {
+  name: 'Invoices: Q1',
+  data: invoices,
+  transformations: [{ name: 'Filter unpaid', operation: 'filter', parameters: { columns: ['paid'] }, createdAt: '2024-03-01T09:00:00Z' }]
+};
+
+describe('resolveExportFormat', () => {
+  it('accepts aliases and rejects unknown formats', () => {
+    expect(resolveExportFormat('Excel')).toBe('xlsx');
+    expect(() => resolveExportFormat('docx')).toThrow('Unsupported export format: docx');
+    expect(getContentType('.parquet')).toBe('application/vnd.apache.parquet');
+  });
+});
+
+describe('renderExport', () => {
+  it('writes CSV and JSON', async () => {
+    const csv = await renderExport([sheet], 'csv');
+    const json = await renderExport([sheet, { name: 'Vendors', data: [{ vendor: 'Acme' }] }], 'json');
+
+    expect(csv.content.split('\r\n')[0]).toBe('invoice_id,vendor,amount,currency,due_date,paid');
+    expect(Object.keys(JSON.parse(json.content))).toEqual(['Invoices: Q1', 'Vendors']);
+  });
+
+  it('refuses several datasets in single-dataset formats', async () => {
+    await expect(renderExport([sheet, sheet], 'csv')).rejects.toThrow('CSV exports hold one dataset');
+    await expect(renderExport([], 'xlsx')).rejects.toThrow('Nothing to export');
+  });
+
+  it('writes typed, formatted XLSX sheets and a metadata sheet', async () => {
+    const { content } = await renderExport([sheet, { name: 'Metadata', data: [{ vendor: 'Acme' }] }], 'xlsx', { title: 'Q1 close' });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(content);
+
+    expect(workbook.worksheets.map(worksheet => worksheet.name)).toEqual(['Invoices Q1', 'Metadata (2)', 'Metadata']);
+
+    const data = workbook.getWorksheet('Invoices Q1');
+    expect(data.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    expect(data.autoFilter).toBe('A1:F1');
+    expect(data.getCell('C2').value).toBe(1200.5);
+    expect(data.getCell('C3').value).toBe(-300);
+    expect(data.getCell('C12').value).toBe('TBD');
+    expect(data.getCell('C2').numFmt).toBe('"$"#,##0.00;-"$"#,##0.00');
+    expect(data.getCell('E2').value).toEqual(new Date('2024-01-31T00:00:00Z'));
+    expect(data.getCell('E2').numFmt).toBe('yyyy-mm-dd');
+
+    const metadata = workbook.getWorksheet('Metadata');
+    expect(metadata.getCell('A1').value).toBe('Q1 close');
+    const steps = [];
+    metadata.eachRow(row => steps.push([1, 2, 3].map(column => row.getCell(column).value)));
+    expect(steps).toContainEqual(['Invoices Q1', 1, 'Filter unpaid']);
+    expect(steps).toContainEqual(['Metadata (2)', null, 'Original data (no transformations)']);
+  });
+
+  it('writes Parquet with typed columns', async () => {
+    const { content } = await renderExport([sheet], 'parquet');
+    const reader = await parquet.ParquetReader.openBuffer(content);
+    const cursor = reader.getCursor();
+    const rows = [];
+    for (let row = await cursor.next(); row; row = await cursor.next()) rows.push(row);
+    await reader.close();
+
+    expect(rows.map(row => row.amount).filter(amount => amount !== 50)).toEqual([1200.5, -300, undefined]);
+    expect(rows[0]).toMatchObject({ invoice_id: 1001, vendor: 'Acme', paid: true });
+    expect(rows[0].due_date).toEqual(new Date('2024-01-31T00:00:00Z'));
+  });
+
+  it('writes a PDF summary', async () => {
+    const { content, contentType } = await renderExport([sheet], 'pdf', { title: 'Q1 close' });
+
+    expect(contentType).toBe('application/pdf');
+    expect(content.slice(0, 5).toString()).toBe('%PDF-');
+  });
+});
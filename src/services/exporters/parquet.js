@@ -0,0 +1,91 @@
+/**
+ * Parquet Export
+ * Writes one dataset as a Snappy-compressed Parquet file for the data lake.
+ * Column types come from the profile; every column is optional.
+ */
+const { Writable } = require('stream');
+const parquet = require('parquetjs-lite');
+const { toCell } = require('./cells');
+
+const ROW_GROUP_SIZE = 10000;
+
+/**
+ * Parquet type for a profiled column
+ * @param {Object} profile - Column profile
+ * @returns {string} - parquetjs type name
+ */
+const getParquetType = (profile) => {
+  switch (profile.type) {
+    case 'number':
+      return 'DOUBLE';
+    case 'date':
+      return profile.dateFormat && /H/.test(profile.dateFormat) ? 'TIMESTAMP_MILLIS' : 'DATE';
+    case 'boolean':
+      return 'BOOLEAN';
+    default:
+      return 'UTF8';
+  }
+};
+
+/**
+ * Build unique Parquet field names; parquetjs uses "," as its path separator
+ * @param {Array} profiles - Column profiles
+ * @returns {Array} - Field names in profile order
+ */
+const toFieldNames = (profiles) => {
+  const used = new Set();
+
+  return profiles.map(profile => {
+    const base = String(profile.name).replace(/,/g, '_') || 'column';
+    let name = base;
+    for (let i = 2; used.has(name); i += 1) name = `${base}_${i}`;
+    used.add(name);
+    return name;
+  });
+};
+
+/**
+ * Render a dataset as Parquet
+ * @param {Object} sheet - { data, profiles }
+ * @returns {Promise<Buffer>} - Parquet file content
+ */
+const renderParquet = async ({ data, profiles }) => {
+  const fields = toFieldNames(profiles);
+  const types = profiles.map(getParquetType);
+  const schema = new parquet.ParquetSchema(fields.reduce((acc, field, index) => ({
+    ...acc,
+    [field]: { type: types[index], optional: true, compression: 'SNAPPY' }
+  }), {}));
+
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+
+  const writer = await parquet.ParquetWriter.openStream(schema, output, { rowGroupSize: ROW_GROUP_SIZE });
+
+  for (const row of data) {
+    const record = {};
+    profiles.forEach((profile, index) => {
+      let value = toCell(row[profile.name], profile);
+      if (value === null) return;
+
+      // A value that did not fit the column type is written as null, not as a type error
+      if (types[index] === 'UTF8') value = value instanceof Date ? value.toISOString() : String(value);
+      else if (typeof value === 'string') return;
+
+      record[fields[index]] = value;
+    });
+    await writer.appendRow(record);
+  }
+
+  await writer.close();
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  renderParquet
+};
@@ -0,0 +1,220 @@
+/**
+ * PDF Summary Export
+ * A short report per dataset: size and period covered, key figures for the
+ * amount columns, the column profile and the transformations applied.
+ * The rows themselves are not included; use XLSX or CSV for those.
+ */
+const PDFDocument = require('pdfkit');
+const { toCell, isCodeColumn } = require('./cells');
+
+const MARGIN = 40;
+const ROW_HEIGHT = 16;
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+const MUTED = '#6B7280';
+const RULE = '#D1D5DB';
+
+// Amount columns listed under "Key figures"
+const MAX_KEY_FIGURES = 8;
+
+/**
+ * Format a value for the report
+ * @param {*} value - Number, date, ISO date string or text
+ * @returns {string} - Display text
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  if (/^\d{4}-\d{2}-\d{2}T00:00:00(\.000)?Z$/.test(value)) return value.slice(0, 10);
+  return String(value);
+};
+
+/**
+ * Format a column statistic; fractions of a percentage column are shown as percents
+ * @param {*} value - Statistic
+ * @param {Object} profile - Column profile
+ * @returns {string} - Display text
+ */
+const formatStat = (value, profile) => {
+  const fraction = (profile.semantic || []).includes('percentage') && Math.abs(profile.max) <= 1;
+  if (fraction && typeof value === 'number') return `${(value * 100).toFixed(1)}%`;
+  return formatValue(value);
+};
+
+/**
+ * Start a new page when fewer than the given height is left
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Draw a simple table with a bold header row
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - [{ header, width, align }]
+ * @param {Array} rows - Arrays of display text
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = MARGIN;
+
+    doc.font(font).fontSize(8).fillColor('black');
+    columns.forEach((column, index) => {
+      // Right-aligned figures keep a gap before the next column
+      doc.text(cells[index], x + 2, y + 4, {
+        width: column.width - (column.align === 'right' ? 10 : 4),
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+
+    const right = MARGIN + columns.reduce((sum, column) => sum + column.width, 0);
+    doc.moveTo(MARGIN, y + ROW_HEIGHT).lineTo(right, y + ROW_HEIGHT).strokeColor(RULE).lineWidth(0.5).stroke();
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(columns.map(column => column.header), BOLD_FONT);
+  rows.forEach(row => drawRow(row, FONT));
+  doc.moveDown();
+};
+
+/**
+ * Write a section heading, moving to a new page rather than leaving it orphaned
+ */
+const heading = (doc, text) => {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.font(BOLD_FONT).fontSize(11).fillColor('black').text(text, MARGIN);
+  doc.moveDown(0.3);
+};
+
+/**
+ * Totals and averages of the amount columns
+ * @param {Object} sheet - { data, profiles }
+ * @returns {Array} - [{ profile, name, total, mean, min, max }]
+ */
+const getKeyFigures = ({ data, profiles }) => profiles
+  .filter(profile => profile.type === 'number' && !isCodeColumn(profile))
+  .sort((a, b) => Number((b.semantic || []).includes('currency_amount')) - Number((a.semantic || []).includes('currency_amount')))
+  .slice(0, MAX_KEY_FIGURES)
+  .map(profile => {
+    const values = data.map(row => toCell(row[profile.name], profile)).filter(value => typeof value === 'number');
+    const total = values.reduce((sum, value) => sum + value, 0);
+
+    return {
+      profile,
+      name: profile.name,
+      total: (profile.semantic || []).includes('percentage') ? null : total,
+      mean: values.length ? total / values.length : null,
+      min: profile.min,
+      max: profile.max
+    };
+  });
+
+/**
+ * Write the summary of one dataset
+ */
+const addDatasetSummary = (doc, sheet, metadata) => {
+  const { name, data, profiles, transformations = [] } = sheet;
+  const dateColumn = profiles.find(profile => profile.type === 'date');
+
+  doc.font(BOLD_FONT).fontSize(16).fillColor('black').text(name, MARGIN);
+  doc.font(FONT).fontSize(9).fillColor(MUTED).text([
+    `${data.length.toLocaleString('en-US')} rows`,
+    `${profiles.length} columns`,
+    dateColumn ? `${dateColumn.name} ${formatValue(dateColumn.min)} to ${formatValue(dateColumn.max)}` : null,
+    `exported ${formatValue(new Date(metadata.exportedAt))}`
+  ].filter(Boolean).join('  ·  '));
+  doc.moveDown();
+
+  const keyFigures = getKeyFigures(sheet);
+  if (keyFigures.length > 0) {
+    heading(doc, 'Key figures');
+    drawTable(doc, [
+      { header: 'Column', width: 155 },
+      { header: 'Total', width: 90, align: 'right' },
+      { header: 'Average', width: 90, align: 'right' },
+      { header: 'Min', width: 90, align: 'right' },
+      { header: 'Max', width: 90, align: 'right' }
+    ], keyFigures.map(figure => [
+      figure.name,
+      formatStat(figure.total, figure.profile),
+      formatStat(figure.mean, figure.profile),
+      formatStat(figure.min, figure.profile),
+      formatStat(figure.max, figure.profile)
+    ]));
+  }
+
+  heading(doc, 'Column profile');
+  drawTable(doc, [
+    { header: 'Column', width: 115 },
+    { header: 'Type', width: 50 },
+    { header: 'Filled', width: 45, align: 'right' },
+    { header: 'Distinct', width: 50, align: 'right' },
+    { header: 'Min', width: 80, align: 'right' },
+    { header: 'Max', width: 80, align: 'right' },
+    { header: 'Hints', width: 95 }
+  ], profiles.map(profile => [
+    profile.name,
+    profile.type,
+    `${Math.round((1 - (profile.nullRatio || 0)) * 100)}%`,
+    formatValue(profile.distinctCount),
+    formatStat(profile.min, profile),
+    formatStat(profile.max, profile),
+    (profile.semantic || []).join(', ') || '-'
+  ]));
+
+  heading(doc, 'Applied transformations');
+  if (transformations.length === 0) {
+    doc.font(FONT).fontSize(9).fillColor(MUTED).text('Original data (no transformations)', MARGIN);
+  } else {
+    drawTable(doc, [
+      { header: '#', width: 25, align: 'right' },
+      { header: 'Transformation', width: 200 },
+      { header: 'Operation', width: 90 },
+      { header: 'Applied at', width: 200 }
+    ], transformations.map((transformation, index) => [
+      String(index + 1),
+      transformation.name || '-',
+      transformation.operation || '-',
+      transformation.createdAt ? new Date(transformation.createdAt).toISOString().replace('T', ' ').slice(0, 16) : '-'
+    ]));
+  }
+};
+
+/**
+ * Render a PDF summary of one or more datasets
+ * @param {Array} sheets - [{ name, data, profiles, transformations }]
+ * @param {Object} metadata - { exportedAt, title }
+ * @returns {Promise<Buffer>} - PDF file content
+ */
+const renderPdf = (sheets, metadata = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: metadata.title || 'Dataset summary', Creator: 'Bruno AI' }
+  });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  sheets.forEach((sheet, index) => {
+    if (index > 0) doc.addPage();
+    addDatasetSummary(doc, sheet, metadata);
+  });
+
+  doc.end();
+});
+
+module.exports = {
+  renderPdf
+};
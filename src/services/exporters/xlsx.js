@@ -0,0 +1,170 @@
+/**
+ * Formatted XLSX Export
+ * One sheet per dataset with typed cells, number and currency formats, a
+ * frozen header row and an autofilter, plus a metadata sheet listing the
+ * transformations applied to each dataset.
+ */
+const ExcelJS = require('exceljs');
+const { toTypedRows, getNumberFormat } = require('./cells');
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE5E7EB' } };
+const HEADER_BORDER = { bottom: { style: 'thin', color: { argb: 'FF9CA3AF' } } };
+const MIN_COLUMN_WIDTH = 10;
+const MAX_COLUMN_WIDTH = 50;
+
+// Rows sampled when sizing columns
+const WIDTH_SAMPLE = 200;
+
+const METADATA_SHEET = 'Metadata';
+
+/**
+ * Make a valid, unique Excel sheet name (31 characters, no []:*?/\)
+ * @param {string} name - Wanted name
+ * @param {Set} used - Names already taken (lowercase; updated)
+ * @returns {string} - Sheet name
+ */
+const toSheetName = (name, used) => {
+  const base = String(name || 'Data').replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 31).trim() || 'Data';
+  let candidate = base;
+
+  for (let i = 2; used.has(candidate.toLowerCase()); i += 1) {
+    const suffix = ` (${i})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Estimate a column width from its header and values
+ */
+const getColumnWidth = (header, values) => {
+  const longest = values.slice(0, WIDTH_SAMPLE).reduce((max, value) => {
+    const text = value instanceof Date ? '2024-01-31' : String(value === null ? '' : value);
+    return Math.max(max, text.length);
+  }, String(header).length);
+
+  return Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, longest + 2));
+};
+
+/**
+ * Style the first row of a sheet as a header
+ */
+const styleHeader = (row) => {
+  row.font = { bold: true };
+  row.eachCell(cell => {
+    cell.fill = HEADER_FILL;
+    cell.border = HEADER_BORDER;
+  });
+};
+
+/**
+ * Add a dataset as a formatted sheet
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} sheet - { name, data, profiles }
+ * @param {string} sheetName - Sheet name
+ */
+const addDataSheet = (workbook, sheet, sheetName) => {
+  const { data, profiles } = sheet;
+  const rows = toTypedRows(data, profiles);
+  const worksheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = profiles.map((profile, index) => {
+    const values = rows.map(row => row[index]);
+    const numFmt = getNumberFormat(profile, values);
+
+    return {
+      header: profile.name,
+      key: profile.name,
+      width: getColumnWidth(profile.name, values),
+      ...(numFmt ? { style: { numFmt } } : {})
+    };
+  });
+
+  worksheet.addRows(rows);
+  styleHeader(worksheet.getRow(1));
+
+  if (profiles.length > 0) {
+    worksheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: profiles.length }
+    };
+  }
+};
+
+/**
+ * Add the metadata sheet: what was exported and how each dataset was transformed
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Array} sheets - Exported sheets with their sheetName
+ * @param {Object} metadata - { exportedAt, title }
+ * @param {string} sheetName - Sheet name
+ */
+const addMetadataSheet = (workbook, sheets, metadata, sheetName) => {
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = [
+    { width: 28 },
+    { width: 10 },
+    { width: 32 },
+    { width: 18 },
+    { width: 60 },
+    { width: 22 }
+  ];
+
+  worksheet.addRow([metadata.title || 'Export']).font = { bold: true, size: 14 };
+  worksheet.addRow(['Exported at', metadata.exportedAt]);
+  worksheet.addRow([]);
+
+  styleHeader(worksheet.addRow(['Sheet', 'Rows', 'Dataset', 'Columns']));
+  sheets.forEach(sheet => {
+    worksheet.addRow([sheet.sheetName, sheet.data.length, sheet.name, sheet.profiles.length]);
+  });
+  worksheet.addRow([]);
+
+  styleHeader(worksheet.addRow(['Sheet', 'Step', 'Transformation', 'Operation', 'Parameters', 'Applied at']));
+  sheets.forEach(sheet => {
+    const transformations = sheet.transformations || [];
+    if (transformations.length === 0) {
+      worksheet.addRow([sheet.sheetName, null, 'Original data (no transformations)']);
+      return;
+    }
+
+    transformations.forEach((transformation, index) => {
+      worksheet.addRow([
+        sheet.sheetName,
+        index + 1,
+        transformation.name,
+        transformation.operation,
+        JSON.stringify(transformation.parameters || {}),
+        transformation.createdAt ? new Date(transformation.createdAt).toISOString() : null
+      ]);
+    });
+  });
+};
+
+/**
+ * Render datasets as a formatted workbook
+ * @param {Array} sheets - [{ name, data, profiles, transformations }]
+ * @param {Object} metadata - { exportedAt, title }
+ * @returns {Promise<Buffer>} - XLSX file content
+ */
+const renderXlsx = async (sheets, metadata = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Bruno AI';
+  workbook.created = new Date(metadata.exportedAt || Date.now());
+
+  // Keep "Metadata" free for the metadata sheet
+  const used = new Set([METADATA_SHEET.toLowerCase()]);
+  const named = sheets.map(sheet => ({ ...sheet, sheetName: toSheetName(sheet.name, used) }));
+
+  named.forEach(sheet => addDataSheet(workbook, sheet, sheet.sheetName));
+  addMetadataSheet(workbook, named, metadata, METADATA_SHEET);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  renderXlsx
+};
@@ -2,6 +2,11 @@ const _ = require('lodash');
 const OpenAI = require('openai');
 const logger = require('../utils/logger');
 const { retry } = require('../utils/retryUtil');
+const { profileColumns } = require('../utils/columnProfiler');
+const { toPeriod } = require('../utils/dataTransformer');
+const { parseNumber } = require('./formula/coercion');
+const { findCurrencyColumn, convertAmounts, describeCurrencies } = require('./fx');
+const { analyzeRatios } = require('./ratios');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -341,61 +346,29 @@ const generateCashFlowRecommendation = (pattern, operatingCF, freeCashFlow) => {
 
 /**
  * Calculate key financial ratios
+ * Accepts one flat statement or statements for several periods (see the ratios
+ * module). Figures may be numbers in the statement currency or { amount, currency };
+ * mixed currencies are converted into options.reportingCurrency (flows at the
+ * month-average rate, balances at the closing rate of the period end), or flagged
+ * when none is set. Ratios that cannot be calculated carry a reason instead of a value.
+ * @param {Object|Array} financialData - Statement figures
+ * @param {Object} options - Options
+ * @param {string} options.reportingCurrency - Currency to convert the figures into
+ * @param {string} options.date - Period end date for the rates of a statement without a period
+ * @param {Object} options.fxRates - Rate table
+ * @param {boolean} options.averageBalances - Use average balances for turnover and return ratios
+ * @param {Object} options.benchmark - Benchmark to compare the latest period against
+ * @returns {Object} - { periods: [{ period, ratios, dupont, altmanZ, currency, ... }], latest, benchmark }
  */
-exports.calculateFinancialRatios = (financialData) => {
+exports.calculateFinancialRatios = (financialData, options = {}) => {
   try {
-    const {
-      revenue, grossProfit, operatingProfit, netIncome,
-      currentAssets, currentLiabilities, totalAssets, totalLiabilities,
-      inventory, receivables, totalDebt, shareholderEquity
-    } = financialData;
-    
-    // Profitability ratios
-    const grossProfitMargin = (grossProfit / revenue) * 100;
-    const operatingProfitMargin = (operatingProfit / revenue) * 100;
-    const netProfitMargin = (netIncome / revenue) * 100;
-    const returnOnAssets = (netIncome / totalAssets) * 100;
-    const returnOnEquity = (netIncome / shareholderEquity) * 100;
-    
-    // Liquidity ratios
-    const currentRatio = currentAssets / currentLiabilities;
-    const quickRatio = (currentAssets - inventory) / currentLiabilities;
-    const cashRatio = (financialData.cash || 0) / currentLiabilities;
-    
-    // Leverage ratios
-    const debtToEquity = totalDebt / shareholderEquity;
-    const debtToAssets = totalDebt / totalAssets;
-    const interestCoverage = operatingProfit / (financialData.interestExpense || 1);
-    
-    // Efficiency ratios
-    const assetTurnover = revenue / totalAssets;
-    const inventoryTurnover = (financialData.costOfGoodsSold || revenue * 0.7) / inventory;
-    const receivablesTurnover = revenue / receivables;
-    
-    return {
-      profitability: {
-        grossProfitMargin,
-        operatingProfitMargin,
-        netProfitMargin,
-        returnOnAssets,
-        returnOnEquity
-      },
-      liquidity: {
-        currentRatio,
-        quickRatio,
-        cashRatio
-      },
-      leverage: {
-        debtToEquity,
-        debtToAssets,
-        interestCoverage
-      },
-      efficiency: {
-        assetTurnover,
-        inventoryTurnover,
-        receivablesTurnover
-      }
-    };
+    return analyzeRatios(financialData, {
+      reportingCurrency: options.reportingCurrency,
+      date: options.date,
+      fxRates: options.fxRates,
+      averageBalances: options.averageBalances,
+      benchmark: options.benchmark
+    });
   } catch (error) {
     logger.error('Error calculating ratios:', { error });
     throw error;
@@ -551,31 +524,147 @@ exports.analyzeFinancialStatements = async (statements) => {
   }
 };
 
+/**
+ * Pick the dashboard's period, revenue, expense and category columns
+ * The conventional month/quarter/year, revenue, expenses and category fields win;
+ * otherwise the column profile supplies a date column and amount columns.
+ * @param {Array} profile - Column profiles
+ * @param {string} period - monthly, quarterly or yearly
+ * @returns {Object} - { time, date, grain, revenue, expenses, category }
+ */
+const resolveDashboardFields = (profile, period) => {
+  const timeField = period === 'monthly' ? 'month' : 
+                   period === 'quarterly' ? 'quarter' : 'year';
+  const has = name => profile.some(column => column.name === name);
+  const amounts = profile.filter(column => column.type === 'number' && (column.semantic || []).includes('currency_amount'));
+  const findAmount = pattern => (amounts.find(column => pattern.test(column.name)) || {}).name;
+  const dateColumn = profile.find(column => column.type === 'date');
+  const categoryColumn = profile.find(column => column.type === 'string' && /category|type|segment|department|account/i.test(column.name));
+  
+  return {
+    time: has(timeField) ? timeField : null,
+    date: has(timeField) || !dateColumn ? null : dateColumn.name,
+    grain: { monthly: 'month', quarterly: 'quarter', yearly: 'year' }[period] || 'month',
+    revenue: has('revenue') ? 'revenue' : findAmount(/revenue|sales|income/i) || null,
+    expenses: has('expenses') ? 'expenses' : findAmount(/expense|cost|spend/i) || null,
+    category: has('category') ? 'category' : (categoryColumn ? categoryColumn.name : null)
+  };
+};
+
+/**
+ * Put the dashboard's amounts into one currency
+ * With a reporting currency and rates the revenue and expense columns are
+ * converted at each row's date; otherwise mixed currencies are only flagged.
+ * @param {Array} data - Data rows
+ * @param {Object} fields - Dashboard fields
+ * @param {Object} options - Dashboard options
+ * @returns {Object} - { data, currency: { column, currencies, mixed, converted, missingRates, warning } }
+ */
+const normalizeDashboardCurrency = (data, fields, options) => {
+  const columns = [fields.revenue, fields.expenses].filter(Boolean);
+  const currencyColumn = options.currencyColumn || findCurrencyColumn(data);
+  const counts = {};
+  columns.forEach(column => {
+    _.forEach(describeCurrencies(data, column, { currencyColumn }).currencies, (count, code) => {
+      counts[code] = (counts[code] || 0) + count;
+    });
+  });
+  const currencies = Object.keys(counts).sort();
+
+  if (options.reportingCurrency && options.fxRates && columns.length > 0) {
+    // Converted into separate columns so amounts without a rate drop out of the totals
+    const suffix = '__reporting';
+    const { data: withReporting, report } = convertAmounts(data, {
+      columns,
+      targetCurrency: options.reportingCurrency,
+      currencyColumn,
+      sourceCurrency: options.sourceCurrency,
+      dateColumn: fields.date || fields.time,
+      date: options.date,
+      rateType: options.rateType || 'average',
+      suffix
+    }, options.fxRates);
+    const converted = withReporting.map(row => {
+      const next = _.omit(row, columns.map(column => `${column}${suffix}`));
+      columns.forEach(column => { next[column] = row[`${column}${suffix}`]; });
+      return next;
+    });
+
+    return {
+      data: converted,
+      currency: {
+        column: currencyColumn,
+        currencies,
+        mixed: false,
+        reportingCurrency: report.targetCurrency,
+        converted: true,
+        rateType: report.rateType,
+        missingRates: report.missing.count,
+        warning: report.missing.count > 0
+          ? `${report.missing.count} amount(s) had no ${report.rateType} rate into ${report.targetCurrency} and were left out`
+          : null
+      }
+    };
+  }
+
+  const mixed = currencies.length > 1;
+  return {
+    data,
+    currency: {
+      column: currencyColumn,
+      currencies,
+      mixed,
+      reportingCurrency: currencies.length === 1 ? currencies[0] : null,
+      converted: false,
+      missingRates: 0,
+      warning: mixed
+        ? `Amounts are in ${currencies.join(', ')}; totals add different currencies. Choose a reporting currency to convert them.`
+        : null
+    }
+  };
+};
+
 /**
  * Build financial dashboard data
+ * @param {Array} data - Data rows
+ * @param {string} period - monthly, quarterly or yearly
+ * @param {Object} options - Options
+ * @param {Array} options.profile - Column profiles (profiled from the data if omitted)
+ * @param {string} options.reportingCurrency - Convert amounts into this currency
+ * @param {Object} options.fxRates - Rate table used for the conversion
+ * @param {string} options.rateType - spot, average or closing (default average)
+ * @param {string} options.currencyColumn - Column with each row's currency (detected if omitted)
+ * @returns {Object} - Chart data, KPIs, fields and the currency of the amounts
  */
-exports.buildFinancialDashboard = (data, period = 'monthly') => {
+exports.buildFinancialDashboard = (data, period = 'monthly', options = {}) => {
   try {
-    // Extract time periods and financial metrics
-    const timeField = period === 'monthly' ? 'month' : 
-                     period === 'quarterly' ? 'quarter' : 'year';
+    const profile = options.profile || profileColumns(data);
+    const fields = resolveDashboardFields(profile, period);
+    const normalized = normalizeDashboardCurrency(data, fields, options);
+    data = normalized.data;
+    const amount = (item, field) => {
+      const value = field ? parseNumber(item[field]) : null;
+      return value === null || Number.isNaN(value) ? 0 : value;
+    };
     
-    // Group data by time period
-    const groupedData = _.groupBy(data, item => item[timeField]);
+    // Group data by time period; without a period column the profiled date column is bucketed
+    const groupedData = _.groupBy(data, item => (fields.time
+      ? item[fields.time]
+      : toPeriod(item[fields.date], fields.grain)));
     
     // Prepare datasets for charts
-    const timeLabels = Object.keys(groupedData).sort();
+    const timeLabels = Object.keys(groupedData).filter(label => label !== 'null' && label !== 'undefined').sort();
     
     // Revenue chart data
     const revenueData = timeLabels.map(label => {
       const periodData = groupedData[label];
-      return _.sumBy(periodData, 'revenue');
+      return _.sumBy(periodData, item => amount(item, fields.revenue));
     });
     
     // Expenses chart data
     const expensesData = timeLabels.map(label => {
       const periodData = groupedData[label];
-      return _.sumBy(periodData, 'expenses');
+      return _.sumBy(periodData, item => amount(item, fields.expenses));
     });
     
     // Profit chart data
@@ -598,14 +687,15 @@ exports.buildFinancialDashboard = (data, period = 'monthly') => {
     
     // Identify top revenue sources (if data includes categories)
     let topRevenueSources = [];
-    if (data[0] && data[0].category) {
+    if (fields.category) {
       const categoryTotals = {};
       
       data.forEach(item => {
-        if (!categoryTotals[item.category]) {
-          categoryTotals[item.category] = 0;
+        const category = item[fields.category];
+        if (!categoryTotals[category]) {
+          categoryTotals[category] = 0;
         }
-        categoryTotals[item.category] += item.revenue || 0;
+        categoryTotals[category] += amount(item, fields.revenue);
       });
       
       topRevenueSources = Object.entries(categoryTotals)
@@ -629,7 +719,10 @@ exports.buildFinancialDashboard = (data, period = 'monthly') => {
         revenueGrowth,
         profitGrowth
       },
-      topRevenueSources
+      topRevenueSources,
+      fields,
+      currency: normalized.currency,
+      columns: profile
     };
   } catch (error) {
     logger.error('Error building financial dashboard:', { error });
@@ -0,0 +1,640 @@
+/**
+ * Forecast Service
+ * Runs the time series forecasting engine on a series sent inline or read
+ * from two columns of a stored dataset, and reports every method's forecast,
+ * its accuracy on held-out data and its confidence band. Datasets with
+ * hierarchy columns (product × region × entity) are forecast at every level
+ * and reconciled so that the levels add up.
+ */
+const _ = require('lodash');
+const moment = require('moment');
+const logger = require('../utils/logger');
+const { FinancialDataset } = require('../database/models');
+const { reconstructDataset } = require('./transformationReplayService');
+const { isMissing, parseNumber, toDate } = require('./formula/coercion');
+const timeSeriesForecaster = require('./timeSeries/timeSeriesForecaster');
+const { detectTimeFrequency } = require('./timeSeries/timeSeriesAnalyzer');
+const accuracyUtils = require('./timeSeries/utils/accuracyUtils');
+const metrics = require('./timeSeries/ml/validation/metrics');
+const { pipeline } = require('./timeSeries/ml');
+const reconciler = require('./timeSeries/timeSeriesReconciler');
+const { ForecastInputError } = require('./timeSeries/errors');
+const { exportRows } = require('./exportService');
+const { resolveExportFormat } = require('./exporters');
+
+const METHODS = [
+  'naive',
+  'movingAverage',
+  'linearRegression',
+  'exponentialSmoothing',
+  'doubleExponentialSmoothing',
+  'seasonalNaive',
+  'holtWinters',
+  'arima',
+  'sarima'
+];
+
+// Methods that need two full seasonal cycles
+const SEASONAL_METHODS = ['seasonalNaive', 'holtWinters', 'sarima'];
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+
+const AGGREGATES = {
+  sum: values => _.sum(values),
+  mean: values => _.mean(values),
+  last: values => _.last(values)
+};
+
+const MIN_POINTS = 5;
+
+// Every node of a hierarchy is forecast separately, so its size is capped
+const MAX_NODES = 200;
+
+/**
+ * Read a date, or null when the value is not one
+ */
+const readDate = (value) => {
+  if (isMissing(value)) return null;
+  try {
+    const date = toDate(value);
+    return date && !isNaN(date.getTime()) ? date : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read a series from two columns of dataset rows
+ * Rows sharing a time are combined with the aggregate, so a dataset of
+ * transactions becomes one value per date.
+ * @param {Array} rows - Dataset rows
+ * @param {string} timeColumn - Column holding dates
+ * @param {string} valueColumn - Column holding values
+ * @param {string} aggregate - sum, mean or last
+ * @returns {Object} - { timeValues, values, skipped, combined }
+ */
+const readSeries = (rows, timeColumn, valueColumn, aggregate = 'sum') => {
+  const columns = new Set(_.flatMap(rows.slice(0, 50), row => Object.keys(row)));
+  [timeColumn, valueColumn].forEach(column => {
+    if (!columns.has(column)) {
+      throw new ForecastInputError(`Column "${column}" not found in the dataset`);
+    }
+  });
+
+  if (!AGGREGATES[aggregate]) {
+    throw new ForecastInputError(`Unknown aggregate "${aggregate}". Use ${Object.keys(AGGREGATES).join(', ')}`);
+  }
+
+  const byTime = new Map();
+  let skipped = 0;
+  rows.forEach(row => {
+    const time = readDate(row[timeColumn]);
+    const value = isMissing(row[valueColumn]) ? null : parseNumber(row[valueColumn]);
+    if (!time || value === null || Number.isNaN(value)) {
+      skipped++;
+      return;
+    }
+
+    const key = moment.utc(time).format('YYYY-MM-DD');
+    if (!byTime.has(key)) byTime.set(key, []);
+    byTime.get(key).push(value);
+  });
+
+  const times = [...byTime.keys()].sort();
+  return {
+    timeValues: times,
+    values: times.map(time => AGGREGATES[aggregate](byTime.get(time))),
+    skipped,
+    combined: rows.length - skipped - times.length
+  };
+};
+
+/**
+ * Read one series per combination of hierarchy labels
+ * Rows sharing a time and labels are combined with the aggregate; every
+ * series is laid on the same dates, with 0 where a combination has no rows.
+ * @param {Array} rows - Dataset rows
+ * @param {string} timeColumn - Column holding dates
+ * @param {string} valueColumn - Column holding values
+ * @param {Array} columns - Hierarchy columns, top level first
+ * @param {string} aggregate - sum, mean or last
+ * @returns {Object} - { timeValues, leaves: [{ labels, values }], skipped, combined }
+ */
+const readHierarchicalSeries = (rows, timeColumn, valueColumn, columns, aggregate = 'sum') => {
+  const present = new Set(_.flatMap(rows.slice(0, 50), row => Object.keys(row)));
+  [timeColumn, valueColumn, ...columns].forEach(column => {
+    if (!present.has(column)) {
+      throw new ForecastInputError(`Column "${column}" not found in the dataset`);
+    }
+  });
+
+  if (!AGGREGATES[aggregate]) {
+    throw new ForecastInputError(`Unknown aggregate "${aggregate}". Use ${Object.keys(AGGREGATES).join(', ')}`);
+  }
+
+  const leaves = new Map();
+  const times = new Set();
+  let skipped = 0;
+  let points = 0;
+  rows.forEach(row => {
+    const time = readDate(row[timeColumn]);
+    const value = isMissing(row[valueColumn]) ? null : parseNumber(row[valueColumn]);
+    const labels = columns.map(column => (isMissing(row[column]) ? null : String(row[column]).trim()));
+    if (!time || value === null || Number.isNaN(value) || labels.some(label => !label)) {
+      skipped++;
+      return;
+    }
+
+    const key = JSON.stringify(labels);
+    if (!leaves.has(key)) {
+      leaves.set(key, { labels: _.zipObject(columns, labels), byTime: new Map() });
+    }
+
+    const byTime = leaves.get(key).byTime;
+    const date = moment.utc(time).format('YYYY-MM-DD');
+    if (!byTime.has(date)) {
+      byTime.set(date, []);
+      points++;
+    }
+    byTime.get(date).push(value);
+    times.add(date);
+  });
+
+  const timeValues = [...times].sort();
+  const ordered = _.sortBy([...leaves.values()], leaf => columns.map(column => leaf.labels[column]).join('\u0000'));
+
+  return {
+    timeValues,
+    leaves: ordered.map(leaf => ({
+      labels: leaf.labels,
+      values: timeValues.map(date => (leaf.byTime.has(date) ? AGGREGATES[aggregate](leaf.byTime.get(date)) : 0))
+    })),
+    skipped,
+    combined: rows.length - skipped - points
+  };
+};
+
+/**
+ * Load the rows of the current version of a stored dataset
+ */
+const loadDatasetRows = async (userId, datasetId) => {
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error('Dataset not found');
+  }
+
+  const { data } = await reconstructDataset(dataset, { userId });
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new ForecastInputError('The dataset has no rows');
+  }
+
+  return { dataset, data };
+};
+
+/**
+ * Load a series from the current version of a stored dataset
+ * @param {number} userId - User ID
+ * @param {Object} params - { datasetId, timeColumn, valueColumn, aggregate }
+ * @returns {Promise<Object>} - Series with the dataset it came from
+ */
+const loadDatasetSeries = async (userId, { datasetId, timeColumn, valueColumn, aggregate }) => {
+  if (!timeColumn || !valueColumn) {
+    throw new ForecastInputError('timeColumn and valueColumn are required with a datasetId');
+  }
+
+  const { dataset, data } = await loadDatasetRows(userId, datasetId);
+
+  return {
+    ...readSeries(data, timeColumn, valueColumn, aggregate),
+    source: { type: 'dataset', datasetId: dataset.id, name: dataset.name, timeColumn, valueColumn }
+  };
+};
+
+/**
+ * Read a series sent as two arrays, sorted by time
+ */
+const readInlineSeries = (timeValues, values) => {
+  if (!Array.isArray(timeValues) || !Array.isArray(values)) {
+    throw new ForecastInputError('Either a datasetId or timeValues and values arrays are required');
+  }
+  if (timeValues.length !== values.length) {
+    throw new ForecastInputError('Time values and data values arrays must have the same length');
+  }
+
+  const points = timeValues.map((time, index) => ({
+    time: readDate(time),
+    value: isMissing(values[index]) ? null : parseNumber(values[index])
+  }));
+  const invalid = points.findIndex(point => !point.time || point.value === null || Number.isNaN(point.value));
+  if (invalid >= 0) {
+    throw new ForecastInputError(`Point ${invalid + 1} has an invalid date or value`);
+  }
+
+  const sorted = _.sortBy(points, point => point.time.getTime());
+  return {
+    timeValues: sorted.map(point => moment.utc(point.time).format('YYYY-MM-DD')),
+    values: sorted.map(point => point.value),
+    skipped: 0,
+    combined: 0,
+    source: { type: 'inline' }
+  };
+};
+
+/**
+ * Accuracy of one-step-ahead forecasts over the last third of the series
+ * These are the errors the confidence bands are built from.
+ */
+const evaluateMethod = (values, method, forecast) => {
+  const errors = accuracyUtils.calculatePredictionErrors(values, method, forecast);
+  if (errors.length === 0) return null;
+
+  const actual = values.slice(values.length - errors.length);
+  const predicted = actual.map((value, index) => value - errors[index]);
+  const round = value => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+
+  return {
+    holdoutPoints: errors.length,
+    mape: round(metrics.calculateMAPE(actual, predicted)),
+    rmse: round(metrics.calculateRMSE(actual, predicted)),
+    mae: round(metrics.calculateMAE(actual, predicted)),
+    bias: round(metrics.calculateBias(actual, predicted))
+  };
+};
+
+/**
+ * Read the confidence level as a fraction (0.95 or 95)
+ */
+const readConfidenceLevel = (level) => {
+  if (level === undefined || level === null) return 0.95;
+  const fraction = Number(level) > 1 ? Number(level) / 100 : Number(level);
+  if (!Number.isFinite(fraction) || fraction < 0.8 || fraction >= 1) {
+    throw new ForecastInputError('confidenceLevel must be between 0.8 and 0.99');
+  }
+  return fraction;
+};
+
+/**
+ * Forecast a series with every method, or with the one requested
+ * @param {Array} timeValues - Dates, sorted
+ * @param {Array} values - Values
+ * @param {Object} options - Options
+ * @param {string} options.frequency - daily, weekly, monthly, quarterly or yearly; detected when omitted
+ * @param {number} options.horizon - Periods to forecast
+ * @param {string} options.method - auto or a method name
+ * @param {number} options.confidenceLevel - Band confidence, e.g. 0.95
+ * @param {Object} options.parameters - alpha, beta, gamma and seasonalPeriod for the smoothing methods; p, d, q, P, D, Q and criterion for ARIMA
+ * @returns {Promise<Object>} - { frequency, horizon, dates, bestMethod, methods }
+ */
+exports.forecastSeries = async (timeValues, values, options = {}) => {
+  const method = options.method || 'auto';
+  if (method !== 'auto' && !METHODS.includes(method)) {
+    throw new ForecastInputError(`Unknown method "${method}". Use auto or one of ${METHODS.join(', ')}`);
+  }
+
+  if (values.length < MIN_POINTS) {
+    throw new ForecastInputError(`At least ${MIN_POINTS} data points are required for forecasting, got ${values.length}`);
+  }
+
+  const frequency = options.frequency || detectTimeFrequency(timeValues);
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ForecastInputError(options.frequency
+      ? `Unknown frequency "${frequency}". Use ${FREQUENCIES.join(', ')}`
+      : 'The dates are not evenly spaced. Give the frequency explicitly');
+  }
+
+  const horizon = options.horizon === undefined || options.horizon === null ? undefined : Number(options.horizon);
+  if (horizon !== undefined && (!Number.isInteger(horizon) || horizon < 1)) {
+    throw new ForecastInputError('horizon must be a positive whole number');
+  }
+
+  const confidenceLevel = readConfidenceLevel(options.confidenceLevel);
+  const parameters = _.pick(options.parameters || {}, ['alpha', 'beta', 'gamma', 'seasonalPeriod', 'p', 'd', 'q', 'P', 'D', 'Q', 'criterion']);
+
+  const forecasts = await timeSeriesForecaster.generateForecasts(timeValues, values, frequency, {
+    ...parameters,
+    horizon,
+    method
+  });
+
+  if (Object.keys(forecasts.methods).length === 0) {
+    throw new ForecastInputError(method === 'auto'
+      ? 'No forecasting method could be applied to this series'
+      : SEASONAL_METHODS.includes(method)
+        ? `${method} needs at least two full seasonal cycles of data`
+        : `${method} could not be fitted to this series`);
+  }
+
+  // Bands are built from each method's own held-out errors
+  const methods = _.mapValues(forecasts.methods, (forecast, key) => {
+    const withBands = timeSeriesForecaster.generateConfidenceIntervals(values, { ...forecasts, bestMethod: key }, confidenceLevel);
+    const interval = withBands.methods[key].confidenceIntervals;
+
+    return {
+      name: forecast.name,
+      description: forecast.description,
+      values: forecast.values,
+      parameters: _.pick(forecast, ['window', 'slope', 'intercept', 'alpha', 'beta', 'gamma', 'period', 'order', 'seasonalOrder', 'coefficients', 'criterion', 'aic', 'aicc', 'bic']),
+      accuracy: forecast.accuracy,
+      metrics: evaluateMethod(values, key, forecast),
+      confidenceInterval: interval
+        ? { level: interval.level, lower: interval.lower, upper: interval.upper }
+        : null
+    };
+  });
+
+  // Methods without an accuracy of their own are compared on the held-out errors
+  const bestMethod = forecasts.bestMethod || _.minBy(
+    Object.keys(methods),
+    key => (methods[key].metrics && methods[key].metrics.mape !== null ? methods[key].metrics.mape : Infinity)
+  );
+
+  return {
+    frequency,
+    horizon: forecasts.horizonPeriods,
+    confidenceLevel,
+    dates: forecasts.horizonDates.map(date => moment(date).format('YYYY-MM-DD')),
+    bestMethod,
+    methods
+  };
+};
+
+/**
+ * Forecast a stored dataset or an inline series
+ * @param {number} userId - User ID
+ * @param {Object} params - Parameters
+ * @param {number} params.datasetId - Dataset to read the series from
+ * @param {string} params.timeColumn - Date column of the dataset
+ * @param {string} params.valueColumn - Value column of the dataset
+ * @param {string} params.aggregate - How rows sharing a date are combined: sum (default), mean or last
+ * @param {Array} params.timeValues - Dates, when no dataset is given
+ * @param {Array} params.values - Values, when no dataset is given
+ * @param {string} params.frequency - Data frequency; detected when omitted
+ * @param {Object} params.options - { horizon, method, confidenceLevel, parameters, pipeline }
+ * @returns {Promise<Object>} - Forecasts by method, the best method and its band
+ */
+exports.runForecast = async (userId, params) => {
+  const { datasetId, timeColumn, valueColumn, aggregate, timeValues, values, frequency } = params;
+  const options = params.options || {};
+
+  const series = datasetId
+    ? await loadDatasetSeries(userId, { datasetId, timeColumn, valueColumn, aggregate })
+    : readInlineSeries(timeValues, values);
+
+  const result = await exports.forecastSeries(series.timeValues, series.values, { ...options, frequency });
+  const best = result.methods[result.bestMethod];
+
+  const response = {
+    source: series.source,
+    method: options.method || 'auto',
+    bestMethod: result.bestMethod,
+    frequency: result.frequency,
+    horizon: result.horizon,
+    forecast: {
+      dates: result.dates,
+      values: best.values,
+      lower: best.confidenceInterval ? best.confidenceInterval.lower : null,
+      upper: best.confidenceInterval ? best.confidenceInterval.upper : null,
+      confidenceLevel: best.confidenceInterval ? best.confidenceInterval.level : null
+    },
+    metrics: best.metrics,
+    methods: result.methods,
+    originalData: {
+      dates: series.timeValues,
+      values: series.values,
+      skippedRows: series.skipped,
+      combinedRows: series.combined
+    }
+  };
+
+  // The ML pipeline tunes, validates and registers a model on top of the base methods
+  if (options.pipeline) {
+    const pipelineResult = await pipeline.runPipeline(series.timeValues, series.values, result.frequency, {
+      horizon: result.horizon,
+      confidenceLevel: result.confidenceLevel
+    });
+    const pipelineBest = pipelineResult.forecasts.methods[pipelineResult.forecasts.bestMethod];
+
+    response.pipeline = {
+      modelId: pipelineResult.modelId,
+      method: pipelineResult.model.method,
+      parameters: pipelineResult.model.parameters,
+      validationMetrics: pipelineResult.validationMetrics,
+      testMetrics: pipelineResult.testMetrics,
+      values: pipelineBest ? pipelineBest.values : [],
+      confidenceInterval: pipelineBest && pipelineBest.confidenceIntervals
+        ? _.pick(pipelineBest.confidenceIntervals, ['level', 'lower', 'upper'])
+        : null
+    };
+  }
+
+  logger.info('Generated forecast', {
+    userId,
+    datasetId: datasetId || null,
+    points: series.values.length,
+    bestMethod: result.bestMethod,
+    horizon: result.horizon
+  });
+
+  return response;
+};
+
+/**
+ * One-step residuals of each node's chosen method, trimmed to a common length
+ * @returns {Array|null} - Residuals per node, or null when there are too few
+ */
+const readNodeResiduals = (history, forecasts) => {
+  const residuals = history.map((values, index) => {
+    const result = forecasts[index];
+    return accuracyUtils.calculatePredictionErrors(values, result.bestMethod, result.methods[result.bestMethod].parameters);
+  });
+
+  const length = _.min(residuals.map(errors => errors.length));
+  if (!length || length < 2) return null;
+
+  const trimmed = residuals.map(errors => errors.slice(errors.length - length));
+  return trimmed.every(errors => errors.every(Number.isFinite)) ? trimmed : null;
+};
+
+/**
+ * Forecast every node of a hierarchy and reconcile the forecasts
+ * @param {number} userId - User ID
+ * @param {Object} params - Parameters
+ * @param {number} params.datasetId - Dataset to read the rows from
+ * @param {Array} params.data - Rows, when no dataset is given
+ * @param {Array} params.hierarchy - Hierarchy columns, top level first, e.g. ['product', 'region', 'entity']
+ * @param {string} params.structure - hierarchical (columns nest, default) or grouped (every combination of columns is a level)
+ * @param {string} params.timeColumn - Date column
+ * @param {string} params.valueColumn - Value column
+ * @param {string} params.aggregate - How rows sharing a date and labels are combined: sum (default), mean or last
+ * @param {string} params.frequency - Data frequency; detected when omitted
+ * @param {Object} params.options - { horizon, method, confidenceLevel, parameters, reconciliation, export: { format, fileName, includeHistory } }
+ * @returns {Promise<Object>} - Reconciled forecasts as a tree and as rows
+ */
+exports.runHierarchicalForecast = async (userId, params) => {
+  const { datasetId, data, timeColumn, valueColumn, aggregate, frequency } = params;
+  const options = params.options || {};
+  const structure = params.structure || 'hierarchical';
+  const reconciliation = options.reconciliation || 'mint';
+
+  const columns = Array.isArray(params.hierarchy) ? params.hierarchy : [params.hierarchy];
+  if (columns.length === 0 || columns.some(column => typeof column !== 'string' || !column)) {
+    throw new ForecastInputError('hierarchy must list the hierarchy columns, top level first');
+  }
+  if (_.uniq(columns).length !== columns.length) {
+    throw new ForecastInputError('hierarchy columns must be different');
+  }
+  if (!reconciler.METHODS.includes(reconciliation)) {
+    throw new ForecastInputError(`Unknown reconciliation "${reconciliation}". Use ${reconciler.METHODS.join(', ')}`);
+  }
+  if (!reconciler.STRUCTURES.includes(structure)) {
+    throw new ForecastInputError(`Unknown structure "${structure}". Use ${reconciler.STRUCTURES.join(', ')}`);
+  }
+  if (!timeColumn || !valueColumn) {
+    throw new ForecastInputError('timeColumn and valueColumn are required for a hierarchical forecast');
+  }
+
+  const exportRequest = options.export ? { ...options.export } : null;
+  if (exportRequest) {
+    try {
+      exportRequest.format = resolveExportFormat(exportRequest.format);
+    } catch (error) {
+      throw new ForecastInputError(error.message);
+    }
+  }
+
+  let rows;
+  let source;
+  if (datasetId) {
+    const loaded = await loadDatasetRows(userId, datasetId);
+    rows = loaded.data;
+    source = { type: 'dataset', datasetId: loaded.dataset.id, name: loaded.dataset.name, timeColumn, valueColumn, hierarchy: columns };
+  } else if (Array.isArray(data) && data.length > 0) {
+    rows = data;
+    source = { type: 'inline', timeColumn, valueColumn, hierarchy: columns };
+  } else {
+    throw new ForecastInputError('Either a datasetId or data rows are required');
+  }
+
+  const series = readHierarchicalSeries(rows, timeColumn, valueColumn, columns, aggregate);
+  if (series.leaves.length === 0) {
+    throw new ForecastInputError('No rows have a date, a value and every hierarchy label');
+  }
+
+  const hierarchy = reconciler.buildHierarchy(series.leaves.map(leaf => leaf.labels), columns, structure);
+  if (hierarchy.nodes.length > MAX_NODES) {
+    throw new ForecastInputError(`The hierarchy has ${hierarchy.nodes.length} nodes; at most ${MAX_NODES} can be forecast at once`);
+  }
+
+  const history = reconciler.aggregateSeries(hierarchy.summing, series.leaves.map(leaf => leaf.values));
+
+  // The first node settles the frequency so every node uses the same dates
+  const forecasts = [];
+  for (const values of history) {
+    forecasts.push(await exports.forecastSeries(series.timeValues, values, {
+      ...options,
+      frequency: forecasts.length > 0 ? forecasts[0].frequency : frequency
+    }));
+  }
+
+  const base = forecasts.map(result => result.methods[result.bestMethod].values);
+
+  // wls and mint need residuals for every node; fall back to ols without them
+  let method = reconciliation;
+  let residuals = null;
+  if (reconciler.RESIDUAL_METHODS.includes(method)) {
+    residuals = readNodeResiduals(history, forecasts);
+    if (!residuals) method = 'ols';
+  }
+
+  const reconciled = reconciler.reconcile(base, hierarchy, method, { history, residuals });
+  const round = value => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+
+  // Bands keep each node's own width around the reconciled forecast
+  const describe = index => {
+    const result = forecasts[index];
+    const best = result.methods[result.bestMethod];
+    const interval = best.confidenceInterval;
+    const shift = reconciled.values[index].map((value, h) => value - base[index][h]);
+
+    return {
+      method: result.bestMethod,
+      metrics: best.metrics,
+      actual: history[index].map(round),
+      baseForecast: base[index].map(round),
+      forecast: reconciled.values[index].map(round),
+      lower: interval ? interval.lower.map((value, h) => round(value + shift[h])) : null,
+      upper: interval ? interval.upper.map((value, h) => round(value + shift[h])) : null
+    };
+  };
+
+  const nodes = hierarchy.nodes.map((node, index) => ({ id: node.id, name: node.name, level: node.level, labels: node.labels, ...describe(index) }));
+  const dates = forecasts[0].dates;
+
+  // Flat rows, one per node and date, ready to export as a dataset
+  const includeHistory = Boolean(exportRequest && exportRequest.includeHistory);
+  const flatRows = _.flatMap(nodes, node => {
+    const labels = _.fromPairs(columns.map(column => [column, node.labels[column] !== undefined ? node.labels[column] : 'All']));
+    const actual = includeHistory
+      ? series.timeValues.map((date, h) => ({ level: node.level, node: node.name, ...labels, date, type: 'actual', value: node.actual[h], baseForecast: null, lower: null, upper: null }))
+      : [];
+
+    return actual.concat(dates.map((date, h) => ({
+      level: node.level,
+      node: node.name,
+      ...labels,
+      date,
+      type: 'forecast',
+      value: node.forecast[h],
+      baseForecast: node.baseForecast[h],
+      lower: node.lower ? node.lower[h] : null,
+      upper: node.upper ? node.upper[h] : null
+    })));
+  });
+
+  const response = {
+    source,
+    structure,
+    reconciliation: {
+      method,
+      requested: reconciliation,
+      shrinkage: reconciled.shrinkage !== undefined ? round(reconciled.shrinkage) : null,
+      proportions: reconciled.proportions ? reconciled.proportions.map(round) : null
+    },
+    frequency: forecasts[0].frequency,
+    horizon: forecasts[0].horizon,
+    confidenceLevel: forecasts[0].confidenceLevel,
+    dates,
+    incoherence: {
+      base: round(reconciler.measureIncoherence(hierarchy, base)),
+      reconciled: round(reconciler.measureIncoherence(hierarchy, reconciled.values))
+    },
+    tree: reconciler.buildTree(hierarchy, index => _.omit(nodes[index], ['id', 'name', 'level', 'labels'])),
+    groups: structure === 'grouped'
+      ? nodes.filter((node, index) => !hierarchy.nodes[index].inTree)
+      : [],
+    rows: flatRows,
+    originalData: {
+      dates: series.timeValues,
+      series: series.leaves.length,
+      skippedRows: series.skipped,
+      combinedRows: series.combined
+    }
+  };
+
+  if (exportRequest) {
+    response.export = await exportRows(flatRows, {
+      format: exportRequest.format,
+      fileName: exportRequest.fileName || 'hierarchical_forecast'
+    });
+  }
+
+  logger.info('Generated hierarchical forecast', {
+    userId,
+    datasetId: datasetId || null,
+    nodes: hierarchy.nodes.length,
+    reconciliation: method,
+    horizon: response.horizon
+  });
+
+  return response;
+};
@@ -0,0 +1,102 @@
+jest.mock('../database/models', () => ({ FinancialDataset: { findOne: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }));
+jest.mock('./transformationReplayService', () => ({ reconstructDataset: jest.fn() }));
+
+const moment = require('moment');
+const { FinancialDataset } = require('../database/models');
+const { reconstructDataset } = require('./transformationReplayService');
+const { ForecastInputError } = require('./timeSeries/errors');
+const { detectTimeFrequency } = require('./timeSeries/timeSeriesAnalyzer');
+const { forecastSeries, runForecast } = require('./forecastService');
+
+const months = Array.from({ length: 36 }, (_, i) => moment.utc('2022-01-01').add(i, 'months').format('YYYY-MM-DD'));
+const values = months.map((month, i) => 1000 + 10 * i + 80 * Math.sin((2 * Math.PI * i) / 12));
+
+beforeEach(() => {
+  FinancialDataset.findOne.mockImplementation(async ({ where }) => (where.id === 4 && where.userId === 1 ? { id: 4, name: 'Sales' } : null));
+  // Two sales on most days of the month, one row without an amount
+  reconstructDataset.mockResolvedValue({
+    data: [
+      ...months.flatMap((month, i) => [
+        { booked: month, amount: String(values[i] - 100) },
+        { booked: month, amount: 100 }
+      ]),
+      { booked: '2025-01-01', amount: '' }
+    ]
+  });
+});
+
+describe('detectTimeFrequency', () => {
+  it('reads the most common gap between dates', () => {
+    expect(detectTimeFrequency(months)).toBe('monthly');
+    expect(detectTimeFrequency(['2024-01-01', '2024-04-01', '2024-07-01', '2024-10-01'])).toBe('quarterly');
+    expect(detectTimeFrequency(['2024-01-01', '2024-01-08', '2024-01-15'])).toBe('weekly');
+    expect(detectTimeFrequency(['2024-01-01', '2024-01-20', '2024-03-01'])).toBe('irregular');
+  });
+});
+
+describe('forecastSeries', () => {
+  it('forecasts with every method and reports their accuracy and bands', async () => {
+    const result = await forecastSeries(months, values, { horizon: 3, confidenceLevel: 90 });
+
+    expect(result).toMatchObject({ frequency: 'monthly', horizon: 3, confidenceLevel: 0.9, dates: ['2025-01-01', '2025-02-01', '2025-03-01'] });
+    expect(Object.keys(result.methods)).toEqual(expect.arrayContaining(['naive', 'linearRegression', 'holtWinters']));
+    expect(result.methods[result.bestMethod]).toBeDefined();
+
+    Object.values(result.methods).forEach(method => {
+      expect(method.values).toHaveLength(3);
+      if (method.confidenceInterval) {
+        method.values.forEach((value, h) => {
+          expect(method.confidenceInterval.lower[h]).toBeLessThanOrEqual(value);
+          expect(method.confidenceInterval.upper[h]).toBeGreaterThanOrEqual(value);
+        });
+      }
+    });
+    expect(result.methods.naive.metrics).toMatchObject({ holdoutPoints: expect.any(Number), mape: expect.any(Number) });
+  });
+
+  it('runs only the requested method', async () => {
+    const result = await forecastSeries(months, values, { horizon: 2, method: 'linearRegression' });
+
+    expect(Object.keys(result.methods)).toEqual(['linearRegression']);
+    expect(result.bestMethod).toBe('linearRegression');
+  });
+
+  it('rejects input it cannot forecast', async () => {
+    await expect(forecastSeries(months, values, { method: 'prophet' })).rejects.toThrow('Unknown method "prophet"');
+    await expect(forecastSeries(months.slice(0, 4), values.slice(0, 4))).rejects.toThrow('At least 5 data points are required');
+    await expect(forecastSeries(['2024-01-01', '2024-01-20', '2024-03-01', '2024-03-05', '2024-06-30'], [1, 2, 3, 4, 5]))
+      .rejects.toThrow('The dates are not evenly spaced');
+    await expect(forecastSeries(months, values, { horizon: 0 })).rejects.toThrow('horizon must be a positive whole number');
+    await expect(forecastSeries(months, values, { confidenceLevel: 0.5 })).rejects.toThrow(ForecastInputError);
+    await expect(forecastSeries(months.slice(0, 12), values.slice(0, 12), { method: 'holtWinters' }))
+      .rejects.toThrow('holtWinters needs at least two full seasonal cycles of data');
+  });
+});
+
+describe('runForecast', () => {
+  it('forecasts two columns of a stored dataset, one value per date', async () => {
+    const result = await runForecast(1, { datasetId: 4, timeColumn: 'booked', valueColumn: 'amount', options: { horizon: 2 } });
+
+    expect(result.source).toEqual({ type: 'dataset', datasetId: 4, name: 'Sales', timeColumn: 'booked', valueColumn: 'amount' });
+    expect(result.originalData.values[5]).toBeCloseTo(values[5], 6);
+    expect(result.originalData).toMatchObject({ skippedRows: 1, combinedRows: 36 });
+    expect(result.forecast.values).toEqual(result.methods[result.bestMethod].values);
+    expect(result.forecast).toMatchObject({ dates: ['2025-01-01', '2025-02-01'], confidenceLevel: 95 });
+  });
+
+  it('forecasts an inline series sorted by date', async () => {
+    const result = await runForecast(1, { timeValues: [...months].reverse(), values: [...values].reverse(), options: { horizon: 1 } });
+
+    expect(result.source).toEqual({ type: 'inline' });
+    expect(result.originalData.dates[0]).toBe('2022-01-01');
+  });
+
+  it('rejects missing datasets, columns and mismatched arrays', async () => {
+    await expect(runForecast(2, { datasetId: 4, timeColumn: 'booked', valueColumn: 'amount' })).rejects.toThrow('Dataset not found');
+    await expect(runForecast(1, { datasetId: 4, timeColumn: 'booked', valueColumn: 'total' })).rejects.toThrow('Column "total" not found in the dataset');
+    await expect(runForecast(1, { datasetId: 4, timeColumn: 'booked' })).rejects.toThrow('timeColumn and valueColumn are required');
+    await expect(runForecast(1, { timeValues: months, values: values.slice(1) })).rejects.toThrow('must have the same length');
+    await expect(runForecast(1, { timeValues: ['2024-01-01', 'soon'], values: [1, 2] })).rejects.toThrow('Point 2 has an invalid date or value');
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Formula Value Coercion
+ * Converts raw cell values into typed formula values
+ */
+const { FormulaEvaluationError } = require('./errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Placeholders that mean "no value" in exported financial data
+const NULL_TOKENS = ['n/a', 'na', '#n/a', 'null', 'none', 'nil', '-', '--', '—', '?', '#value!', '#ref!', '#div/0!'];
+
+// ISO 4217 codes accepted next to an amount, e.g. "USD 1,200" or "1.200,00 EUR"
+const CURRENCY_CODES = [
+  'AED', 'ARS', 'AUD', 'BGN', 'BRL', 'CAD', 'CHF', 'CLP', 'CNY', 'COP', 'CZK', 'DKK', 'EGP', 'EUR',
+  'GBP', 'HKD', 'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JPY', 'KES', 'KRW', 'KWD', 'MAD', 'MXN', 'MYR',
+  'NGN', 'NOK', 'NZD', 'PEN', 'PHP', 'PKR', 'PLN', 'QAR', 'RON', 'RSD', 'RUB', 'SAR', 'SEK', 'SGD',
+  'THB', 'TRY', 'TWD', 'UAH', 'USD', 'VND', 'ZAR'
+];
+
+// Integer parts written with a thousands separator, including lakh grouping ("1,23,456")
+const GROUPED_INTEGER = {
+  ',': /^\d{1,3}(?:,\d{2,3})*,\d{3}$/,
+  '.': /^\d{1,3}(?:\.\d{2,3})*\.\d{3}$/
+};
+
+const LEADING_CODE = /^([A-Z]{3})\s+(?=[-+(]?[$€£¥₹]?\.?\d)/;
+const TRAILING_CODE = /([\d.%)])\s+([A-Z]{3})$/;
+
+/**
+ * Check whether a raw cell value should be treated as missing
+ * @param {*} value - Raw value
+ * @returns {boolean} - True for null, undefined and blank strings
+ */
+const isBlank = (value) =>
+  value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Check whether a raw cell value is blank or a placeholder such as "N/A"
+ * @param {*} value - Raw value
+ * @returns {boolean} - True for blank values and NULL_TOKENS
+ */
+const isMissing = (value) =>
+  isBlank(value) || (typeof value === 'string' && NULL_TOKENS.includes(value.trim().toLowerCase()));
+
+/**
+ * Guess the decimal separator of an unsigned number
+ * The last of "." and "," is the decimal separator when both appear; a lone
+ * separator followed by groups of exactly three digits is a thousands separator.
+ * @param {string} text - Number text without sign or currency
+ * @returns {string} - "." or ","
+ */
+const detectDecimalSeparator = (text) => {
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+
+  if (lastDot >= 0 && lastComma >= 0) return lastComma > lastDot ? ',' : '.';
+  if (lastComma >= 0) return /^\d{1,3}(,\d{3})+$/.test(text) ? '.' : ',';
+  if (lastDot >= 0 && /^\d{1,3}(\.\d{3}){2,}$/.test(text)) return ',';
+  return '.';
+};
+
+/**
+ * Remove an ISO currency code written before or after an amount
+ * Only known codes separated from the number by whitespace are removed, so
+ * identifiers such as "INV-0001" are left alone.
+ * @param {string} text - Trimmed value text
+ * @returns {string} - Text without the code
+ */
+const stripCurrencyCode = (text) => {
+  const leading = LEADING_CODE.exec(text);
+  if (leading && CURRENCY_CODES.includes(leading[1])) return text.slice(leading[0].length);
+
+  const trailing = TRAILING_CODE.exec(text);
+  if (trailing && CURRENCY_CODES.includes(trailing[2])) return text.slice(0, trailing.index + 1);
+
+  return text;
+};
+
+/**
+ * Parse a number written in any common locale
+ * Handles currency symbols and codes, thousands separators ("1,234.56", "1.234,56",
+ * "1 234,56", "1'234.56"), accounting negatives "(500)", trailing minus signs "500-"
+ * and percentages.
+ * @param {*} value - Value to parse
+ * @param {Object} options - Options
+ * @param {string} options.decimalSeparator - "." or ","; detected per value when omitted
+ * @returns {number|null} - Number, null for blank values, or NaN when the value is not a number
+ */
+const parseNumber = (value, options = {}) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return NaN;
+
+  let text = stripCurrencyCode(String(value).trim().replace(/[\u00a0\u202f]/g, ' '));
+  let negative = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = stripCurrencyCode(text.slice(1, -1).trim());
+  }
+
+  text = text.replace(/[$€£¥₹\s']/g, '');
+
+  if (text.endsWith('-')) {
+    negative = !negative;
+    text = text.slice(0, -1);
+  }
+  if (/^[-+]/.test(text)) {
+    if (text[0] === '-') negative = !negative;
+    text = text.slice(1);
+  }
+
+  let percent = false;
+  if (text.endsWith('%')) {
+    percent = true;
+    text = text.slice(0, -1);
+  }
+
+  const decimalSeparator = options.decimalSeparator || detectDecimalSeparator(text);
+  const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+  const [integer, ...fraction] = text.split(decimalSeparator);
+
+  // Separators that do not fit the decimal separator make the value unreadable
+  // rather than a guess: "$1,200.50" read with a "," decimal separator is not 1.2005
+  if (fraction.length > 1 || fraction.some(part => part.includes(groupSeparator)) ||
+    (integer.includes(groupSeparator) && !GROUPED_INTEGER[groupSeparator].test(integer))) {
+    return NaN;
+  }
+  text = integer.split(groupSeparator).join('') + (fraction.length > 0 ? `.${fraction[0]}` : '');
+
+  if (!/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return NaN;
+
+  let number = parseFloat(text);
+  if (percent) number /= 100;
+  return negative ? -number : number;
+};
+
+/**
+ * Convert a value to a number
+ * Accepts currency symbols, thousands separators in any common locale and
+ * accounting negatives like "(500)"
+ * @param {*} value - Value to convert
+ * @returns {number|null} - Number, or null for blank values
+ */
+const toNumber = (value) => {
+  if (value instanceof Date) {
+    throw new FormulaEvaluationError('Cannot use a date as a number');
+  }
+
+  const number = parseNumber(value);
+  if (Number.isNaN(number)) {
+    throw new FormulaEvaluationError(`"${value}" is not a number`);
+  }
+
+  return number;
+};
+
+/**
+ * Convert a value to a Date
+ * @param {*} value - Value to convert
+ * @returns {Date|null} - Date, or null for blank values
+ */
+const toDate = (value) => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value;
+
+  if (typeof value === 'number') {
+    throw new FormulaEvaluationError(`${value} is not a date; use DATE() to build one`);
+  }
+
+  const text = String(value).trim();
+
+  // Treat plain ISO dates as UTC midnight so date math is not shifted by the server timezone
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (isoMatch) {
+    return new Date(Date.UTC(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3])));
+  }
+
+  // Numeric dates: dotted dates and first parts above 12 are day-first, others month-first
+  const numericMatch = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{4})$/.exec(text);
+  if (numericMatch) {
+    const [, first, separator, second, year] = numericMatch;
+    const dayFirst = separator === '.' || Number(first) > 12;
+    const day = Number(dayFirst ? first : second);
+    const month = Number(dayFirst ? second : first);
+    const date = new Date(Date.UTC(Number(year), month - 1, day));
+    if (month < 1 || month > 12 || date.getUTCDate() !== day) {
+      throw new FormulaEvaluationError(`"${value}" is not a date`);
+    }
+    return date;
+  }
+
+  const timestamp = Date.parse(text);
+  if (isNaN(timestamp)) {
+    throw new FormulaEvaluationError(`"${value}" is not a date`);
+  }
+
+  return new Date(timestamp);
+};
+
+/**
+ * Convert a value to a boolean
+ * @param {*} value - Value to convert
+ * @returns {boolean|null} - Boolean, or null for blank values
+ */
+const toBoolean = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+
+  throw new FormulaEvaluationError(`"${value}" is not a boolean`);
+};
+
+/**
+ * Convert a value to a string
+ * Dates are rendered as ISO dates without a time component
+ * @param {*} value - Value to convert
+ * @returns {string} - String representation (blank values become "")
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value);
+};
+
+/**
+ * Coerce a raw cell value according to the detected column type
+ * @param {*} value - Raw cell value
+ * @param {string} columnType - Type from the column profiler
+ * @returns {*} - Typed value
+ */
+const coerceColumnValue = (value, columnType) => {
+  if (isBlank(value)) return null;
+  if (columnType !== 'string' && isMissing(value)) return null;
+
+  switch (columnType) {
+    case 'number':
+      return toNumber(value);
+    case 'date':
+      return toDate(value);
+    case 'boolean':
+      return toBoolean(value);
+    case 'string':
+      return String(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Get the runtime type name of a typed value
+ * @param {*} value - Typed value
+ * @returns {string} - number, string, date, boolean or null
+ */
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+};
+
+module.exports = {
+  MS_PER_DAY,
+  NULL_TOKENS,
+  CURRENCY_CODES,
+  isBlank,
+  isMissing,
+  detectDecimalSeparator,
+  parseNumber,
+  toNumber,
+  toDate,
+  toBoolean,
+  toText,
+  coerceColumnValue,
+  typeOf
+};
@@ -0,0 +1,71 @@
+const { parseNumber, toNumber, detectDecimalSeparator, isMissing } = require('./coercion');
+
+describe('parseNumber', () => {
+  it('reads numbers written in common locales', () => {
+    expect(parseNumber('1,234.56')).toBe(1234.56);
+    expect(parseNumber('1.234,56')).toBe(1234.56);
+    expect(parseNumber('1 234,56')).toBe(1234.56);
+    expect(parseNumber("1'234.56")).toBe(1234.56);
+    expect(parseNumber('12.5%')).toBe(0.125);
+  });
+
+  it('reads lakh grouping', () => {
+    expect(parseNumber('1,23,456.78')).toBe(123456.78);
+  });
+
+  it('rejects separators that do not fit the given decimal separator', () => {
+    expect(parseNumber('$1,200.50', { decimalSeparator: ',' })).toBeNaN();
+    expect(parseNumber('1.200,50', { decimalSeparator: '.' })).toBeNaN();
+    expect(parseNumber('1.200,50', { decimalSeparator: ',' })).toBe(1200.5);
+    expect(parseNumber('1,2,3')).toBeNaN();
+  });
+
+  it('reads accounting negatives and trailing minus signs', () => {
+    expect(parseNumber('(500)')).toBe(-500);
+    expect(parseNumber('500-')).toBe(-500);
+    expect(parseNumber('($1,200.00)')).toBe(-1200);
+  });
+
+  it('strips currency symbols and known ISO codes separated by a space', () => {
+    expect(parseNumber('$1,200')).toBe(1200);
+    expect(parseNumber('USD 1,200.50')).toBe(1200.5);
+    expect(parseNumber('1.200,50 EUR')).toBe(1200.5);
+    expect(parseNumber('(GBP 75)')).toBe(-75);
+    expect(parseNumber('EUR -40')).toBe(-40);
+  });
+
+  it('keeps identifiers as text', () => {
+    expect(parseNumber('INV-0001')).toBeNaN();
+    expect(parseNumber('PAY-0001')).toBeNaN();
+    expect(parseNumber('ABC 12')).toBeNaN();
+    expect(parseNumber('12 ABC')).toBeNaN();
+    expect(parseNumber('USD1200')).toBeNaN();
+  });
+
+  it('returns null for blanks', () => {
+    expect(parseNumber('  ')).toBeNull();
+    expect(parseNumber(null)).toBeNull();
+  });
+});
+
+describe('toNumber', () => {
+  it('refuses to do arithmetic on identifiers', () => {
+    expect(() => toNumber('INV-0001')).toThrow('"INV-0001" is not a number');
+  });
+});
+
+describe('detectDecimalSeparator', () => {
+  it('tells thousands separators from decimal separators', () => {
+    expect(detectDecimalSeparator('1,234')).toBe('.');
+    expect(detectDecimalSeparator('1,5')).toBe(',');
+    expect(detectDecimalSeparator('1.234.567')).toBe(',');
+  });
+});
+
+describe('isMissing', () => {
+  it('treats placeholders as missing', () => {
+    expect(isMissing('N/A')).toBe(true);
+    expect(isMissing('#DIV/0!')).toBe(true);
+    expect(isMissing('0')).toBe(false);
+  });
+});
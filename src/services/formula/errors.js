@@ -0,0 +1,51 @@
+/**
+ * Formula Engine Error Classes
+ */
+
+/**
+ * Base Formula Error
+ */
+class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(position !== null ? `${message} (at position ${position})` : message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+/**
+ * Syntax Error - raised by the tokenizer and parser
+ */
+class FormulaSyntaxError extends FormulaError {
+  constructor(message, position = null) {
+    super(message, position);
+    this.name = 'FormulaSyntaxError';
+  }
+}
+
+/**
+ * Type Error - raised when a formula does not type check against the dataset columns
+ */
+class FormulaTypeError extends FormulaError {
+  constructor(message, position = null) {
+    super(message, position);
+    this.name = 'FormulaTypeError';
+  }
+}
+
+/**
+ * Evaluation Error - raised while evaluating a formula against a single row
+ */
+class FormulaEvaluationError extends FormulaError {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaEvaluationError';
+  }
+}
+
+module.exports = {
+  FormulaError,
+  FormulaSyntaxError,
+  FormulaTypeError,
+  FormulaEvaluationError
+};
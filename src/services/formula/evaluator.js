@@ -0,0 +1,198 @@
+/**
+ * Formula Evaluator
+ * Evaluates a type-checked formula AST against a single data row
+ *
+ * Blank values behave like SQL NULL: arithmetic and comparisons involving
+ * NULL yield NULL, and IF/CASE treat a NULL condition as false.
+ * Use COALESCE() to substitute defaults.
+ */
+const {
+  MS_PER_DAY,
+  toNumber,
+  toDate,
+  toBoolean,
+  toText,
+  coerceColumnValue,
+  typeOf
+} = require('./coercion');
+const { getFunction } = require('./functions');
+const { FormulaEvaluationError } = require('./errors');
+
+/**
+ * Compare two typed values
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (left, right) => {
+  const leftType = typeOf(left);
+  const rightType = typeOf(right);
+
+  if (leftType === 'date' || rightType === 'date') {
+    return toDate(left).getTime() - toDate(right).getTime();
+  }
+
+  if (leftType === 'number' || rightType === 'number') {
+    return toNumber(left) - toNumber(right);
+  }
+
+  if (leftType === 'boolean' || rightType === 'boolean') {
+    return Number(toBoolean(left)) - Number(toBoolean(right));
+  }
+
+  return toText(left).localeCompare(toText(right), undefined, { sensitivity: 'accent' });
+};
+
+/**
+ * Evaluate a binary operation
+ * @param {string} operator - Operator
+ * @param {Function} leftThunk - Thunk returning the left value
+ * @param {Function} rightThunk - Thunk returning the right value
+ * @returns {*} - Result
+ */
+const evaluateBinary = (operator, leftThunk, rightThunk) => {
+  // Logical operators short-circuit
+  if (operator === 'AND') {
+    const left = toBoolean(leftThunk());
+    if (left === false) return false;
+    const right = toBoolean(rightThunk());
+    if (right === false) return false;
+    return left === null || right === null ? null : true;
+  }
+
+  if (operator === 'OR') {
+    const left = toBoolean(leftThunk());
+    if (left === true) return true;
+    const right = toBoolean(rightThunk());
+    if (right === true) return true;
+    return left === null || right === null ? null : false;
+  }
+
+  const left = leftThunk();
+  const right = rightThunk();
+
+  if (operator === '&') {
+    return toText(left) + toText(right);
+  }
+
+  if (left === null || right === null) {
+    return null;
+  }
+
+  const leftType = typeOf(left);
+  const rightType = typeOf(right);
+
+  switch (operator) {
+    case '+':
+      if (leftType === 'date') return new Date(left.getTime() + toNumber(right) * MS_PER_DAY);
+      if (rightType === 'date') return new Date(right.getTime() + toNumber(left) * MS_PER_DAY);
+      return toNumber(left) + toNumber(right);
+
+    case '-':
+      if (leftType === 'date' && rightType === 'date') {
+        return Math.round((left.getTime() - right.getTime()) / MS_PER_DAY);
+      }
+      if (leftType === 'date') return new Date(left.getTime() - toNumber(right) * MS_PER_DAY);
+      return toNumber(left) - toNumber(right);
+
+    case '*':
+      return toNumber(left) * toNumber(right);
+
+    case '/': {
+      const divisor = toNumber(right);
+      if (divisor === 0) throw new FormulaEvaluationError('Division by zero');
+      return toNumber(left) / divisor;
+    }
+
+    case '%': {
+      const divisor = toNumber(right);
+      if (divisor === 0) throw new FormulaEvaluationError('Division by zero');
+      return toNumber(left) % divisor;
+    }
+
+    case '^':
+      return Math.pow(toNumber(left), toNumber(right));
+
+    case '=': return compareValues(left, right) === 0;
+    case '<>': return compareValues(left, right) !== 0;
+    case '<': return compareValues(left, right) < 0;
+    case '<=': return compareValues(left, right) <= 0;
+    case '>': return compareValues(left, right) > 0;
+    case '>=': return compareValues(left, right) >= 0;
+
+    default:
+      throw new FormulaEvaluationError(`Unknown operator ${operator}`);
+  }
+};
+
+/**
+ * Evaluate an AST node against a row
+ * @param {Object} node - Type-checked AST node
+ * @param {Object} row - Data row
+ * @returns {*} - Typed value
+ */
+const evaluateNode = (node, row) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'column': {
+      const name = node.resolvedName || node.name;
+      try {
+        return coerceColumnValue(row[name], node.columnType);
+      } catch (error) {
+        throw new FormulaEvaluationError(`Column "${name}": ${error.message}`);
+      }
+    }
+
+    case 'unary': {
+      const value = evaluateNode(node.operand, row);
+      if (node.operator === 'NOT') {
+        const bool = toBoolean(value);
+        return bool === null ? null : !bool;
+      }
+      const number = toNumber(value);
+      if (number === null) return null;
+      return node.operator === '-' ? -number : number;
+    }
+
+    case 'binary':
+      return evaluateBinary(
+        node.operator,
+        () => evaluateNode(node.left, row),
+        () => evaluateNode(node.right, row)
+      );
+
+    case 'call': {
+      const definition = getFunction(node.name);
+      if (definition.lazy) {
+        return definition.evaluate(...node.args.map(arg => () => evaluateNode(arg, row)));
+      }
+      return definition.evaluate(...node.args.map(arg => evaluateNode(arg, row)));
+    }
+
+    default:
+      throw new FormulaEvaluationError(`Unknown expression type ${node.type}`);
+  }
+};
+
+/**
+ * Evaluate a formula against a row and validate the numeric result
+ * @param {Object} ast - Type-checked AST
+ * @param {Object} row - Data row
+ * @returns {*} - Typed value
+ */
+const evaluate = (ast, row) => {
+  const value = evaluateNode(ast, row);
+
+  if (typeof value === 'number' && !isFinite(value)) {
+    throw new FormulaEvaluationError('Result is not a finite number');
+  }
+
+  return value;
+};
+
+module.exports = {
+  evaluate,
+  compareValues
+};
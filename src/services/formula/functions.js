@@ -0,0 +1,348 @@
+/**
+ * Formula Function Library
+ * Built-in functions available to calculated-column formulas
+ *
+ * Each function declares its parameter types so formulas can be type checked
+ * before they run. Parameter specs:
+ *   'number'    - required parameter of that type
+ *   'number?'   - optional parameter
+ *   'number...' - zero or more trailing parameters
+ *   'text'      - any value, converted to a string
+ *   'any'       - any value
+ *
+ * Lazy functions receive thunks instead of values so that untaken branches
+ * (and their errors) are never evaluated.
+ */
+const _ = require('lodash');
+const {
+  MS_PER_DAY,
+  toNumber,
+  toDate,
+  toBoolean,
+  toText
+} = require('./coercion');
+const { FormulaTypeError, FormulaEvaluationError } = require('./errors');
+
+const DATE_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+/**
+ * Combine the result types of alternative branches (IF, CASE, COALESCE)
+ * @param {Array} types - Branch types
+ * @param {string} functionName - Function name used in error messages
+ * @returns {string} - Unified type
+ */
+const unifyTypes = (types, functionName) => {
+  const concrete = _.uniq(types.filter(type => type !== 'null' && type !== 'any'));
+
+  if (concrete.length > 1) {
+    throw new FormulaTypeError(
+      `${functionName}() returns values of different types (${concrete.join(', ')})`
+    );
+  }
+
+  if (concrete.length === 1) {
+    return types.includes('any') ? 'any' : concrete[0];
+  }
+
+  return types.includes('any') ? 'any' : 'null';
+};
+
+/**
+ * Normalize a date unit argument
+ * @param {*} unit - Unit such as "month" or "months"
+ * @returns {string} - Canonical unit
+ */
+const normalizeUnit = (unit) => {
+  const normalized = toText(unit === null || unit === undefined ? 'day' : unit)
+    .toLowerCase()
+    .replace(/s$/, '');
+
+  if (!DATE_UNITS.includes(normalized)) {
+    throw new FormulaEvaluationError(`Unknown date unit "${unit}". Use one of: ${DATE_UNITS.join(', ')}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Add calendar months to a date, clamping to the end of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add (may be negative)
+ * @returns {Date} - Resulting date
+ */
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const targetMonthEnd = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const day = Math.min(date.getUTCDate(), targetMonthEnd);
+
+  return new Date(Date.UTC(year, month, day, date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()));
+};
+
+/**
+ * Whole calendar months between two dates
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} - Month difference
+ */
+const monthsBetween = (start, end) => {
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+
+  if (months > 0 && end.getUTCDate() < start.getUTCDate()) months--;
+  if (months < 0 && end.getUTCDate() > start.getUTCDate()) months++;
+
+  return months;
+};
+
+/**
+ * Apply a numeric function, propagating nulls
+ * @param {Function} fn - Function over numbers
+ * @returns {Function} - Function over raw values
+ */
+const numeric = (fn) => (...args) => {
+  const numbers = args.map(toNumber);
+  if (numbers.some(n => n === null)) return null;
+  return fn(...numbers);
+};
+
+const FUNCTIONS = {
+  // Conditional logic
+  IF: {
+    params: ['boolean', 'any', 'any?'],
+    lazy: true,
+    check: (argTypes) => unifyTypes(argTypes.slice(1), 'IF'),
+    evaluate: (condition, whenTrue, whenFalse) => {
+      if (toBoolean(condition())) return whenTrue();
+      return whenFalse ? whenFalse() : null;
+    }
+  },
+  CASE: {
+    params: ['any...'],
+    lazy: true,
+    check: (argTypes) => {
+      if (argTypes.length < 2) {
+        throw new FormulaTypeError('CASE() needs at least one condition and value pair');
+      }
+      const valueTypes = argTypes.filter((type, index) =>
+        index % 2 === 1 || (argTypes.length % 2 === 1 && index === argTypes.length - 1)
+      );
+      return unifyTypes(valueTypes, 'CASE');
+    },
+    evaluate: (...thunks) => {
+      for (let i = 0; i + 1 < thunks.length; i += 2) {
+        if (toBoolean(thunks[i]())) return thunks[i + 1]();
+      }
+      // An odd trailing argument is the ELSE value
+      return thunks.length % 2 === 1 ? thunks[thunks.length - 1]() : null;
+    }
+  },
+  COALESCE: {
+    params: ['any', 'any...'],
+    lazy: true,
+    check: (argTypes) => unifyTypes(argTypes, 'COALESCE'),
+    evaluate: (...thunks) => {
+      for (const thunk of thunks) {
+        const value = thunk();
+        if (value !== null && value !== undefined && value !== '') return value;
+      }
+      return null;
+    }
+  },
+  IFERROR: {
+    params: ['any', 'any'],
+    lazy: true,
+    check: (argTypes) => unifyTypes(argTypes, 'IFERROR'),
+    evaluate: (value, fallback) => {
+      try {
+        return value();
+      } catch (error) {
+        if (error instanceof FormulaEvaluationError) return fallback();
+        throw error;
+      }
+    }
+  },
+  ISNULL: {
+    params: ['any'],
+    returns: 'boolean',
+    evaluate: (value) => value === null || value === undefined || value === ''
+  },
+
+  // Math
+  ROUND: {
+    params: ['number', 'number?'],
+    returns: 'number',
+    evaluate: (value, digits) => {
+      const number = toNumber(value);
+      if (number === null) return null;
+      const factor = Math.pow(10, toNumber(digits) || 0);
+      // Round half away from zero, as spreadsheets do
+      return Math.sign(number) * Math.round(Math.abs(number) * factor + Number.EPSILON) / factor;
+    }
+  },
+  ABS: { params: ['number'], returns: 'number', evaluate: numeric(Math.abs) },
+  FLOOR: { params: ['number'], returns: 'number', evaluate: numeric(Math.floor) },
+  CEILING: { params: ['number'], returns: 'number', evaluate: numeric(Math.ceil) },
+  SQRT: {
+    params: ['number'],
+    returns: 'number',
+    evaluate: numeric((n) => {
+      if (n < 0) throw new FormulaEvaluationError('SQRT() of a negative number');
+      return Math.sqrt(n);
+    })
+  },
+  POWER: { params: ['number', 'number'], returns: 'number', evaluate: numeric(Math.pow) },
+  MOD: {
+    params: ['number', 'number'],
+    returns: 'number',
+    evaluate: numeric((a, b) => {
+      if (b === 0) throw new FormulaEvaluationError('Division by zero');
+      return a % b;
+    })
+  },
+  MIN: {
+    params: ['number', 'number...'],
+    returns: 'number',
+    evaluate: (...args) => {
+      const numbers = args.map(toNumber).filter(n => n !== null);
+      return numbers.length ? Math.min(...numbers) : null;
+    }
+  },
+  MAX: {
+    params: ['number', 'number...'],
+    returns: 'number',
+    evaluate: (...args) => {
+      const numbers = args.map(toNumber).filter(n => n !== null);
+      return numbers.length ? Math.max(...numbers) : null;
+    }
+  },
+  VALUE: { params: ['any'], returns: 'number', evaluate: (value) => toNumber(value) },
+
+  // Text
+  CONCAT: {
+    params: ['text', 'text...'],
+    returns: 'string',
+    evaluate: (...args) => args.map(toText).join('')
+  },
+  TEXT: { params: ['any'], returns: 'string', evaluate: (value) => toText(value) },
+  UPPER: { params: ['text'], returns: 'string', evaluate: (value) => toText(value).toUpperCase() },
+  LOWER: { params: ['text'], returns: 'string', evaluate: (value) => toText(value).toLowerCase() },
+  TRIM: { params: ['text'], returns: 'string', evaluate: (value) => toText(value).trim() },
+  LEN: { params: ['text'], returns: 'number', evaluate: (value) => toText(value).length },
+  LEFT: {
+    params: ['text', 'number?'],
+    returns: 'string',
+    evaluate: (value, count) => toText(value).slice(0, count === undefined ? 1 : toNumber(count))
+  },
+  RIGHT: {
+    params: ['text', 'number?'],
+    returns: 'string',
+    evaluate: (value, count) => {
+      const text = toText(value);
+      const n = count === undefined ? 1 : toNumber(count);
+      return n > 0 ? text.slice(-n) : '';
+    }
+  },
+  CONTAINS: {
+    params: ['text', 'text'],
+    returns: 'boolean',
+    evaluate: (value, search) => toText(value).toLowerCase().includes(toText(search).toLowerCase())
+  },
+
+  // Dates
+  DATE: {
+    params: ['any', 'number?', 'number?'],
+    check: (argTypes) => {
+      if (argTypes.length === 2) {
+        throw new FormulaTypeError('DATE() takes either a date string or year, month and day');
+      }
+      return 'date';
+    },
+    evaluate: (first, month, day) => {
+      if (month === undefined) return toDate(first);
+      const parts = [first, month, day].map(toNumber);
+      if (parts.some(p => p === null)) return null;
+      return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+    }
+  },
+  TODAY: {
+    params: [],
+    returns: 'date',
+    evaluate: () => {
+      const now = new Date();
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+  },
+  YEAR: { params: ['date'], returns: 'number', evaluate: (value) => { const d = toDate(value); return d && d.getUTCFullYear(); } },
+  MONTH: { params: ['date'], returns: 'number', evaluate: (value) => { const d = toDate(value); return d && d.getUTCMonth() + 1; } },
+  DAY: { params: ['date'], returns: 'number', evaluate: (value) => { const d = toDate(value); return d && d.getUTCDate(); } },
+  QUARTER: {
+    params: ['date'],
+    returns: 'number',
+    evaluate: (value) => { const d = toDate(value); return d && Math.floor(d.getUTCMonth() / 3) + 1; }
+  },
+  DATEADD: {
+    params: ['date', 'number', 'text?'],
+    returns: 'date',
+    evaluate: (value, amount, unit) => {
+      const date = toDate(value);
+      const n = toNumber(amount);
+      if (date === null || n === null) return null;
+
+      switch (normalizeUnit(unit)) {
+        case 'day': return new Date(date.getTime() + n * MS_PER_DAY);
+        case 'week': return new Date(date.getTime() + n * 7 * MS_PER_DAY);
+        case 'month': return addMonths(date, n);
+        case 'quarter': return addMonths(date, n * 3);
+        case 'year': return addMonths(date, n * 12);
+        default: return null;
+      }
+    }
+  },
+  DATEDIFF: {
+    params: ['date', 'date', 'text?'],
+    returns: 'number',
+    evaluate: (endValue, startValue, unit) => {
+      const end = toDate(endValue);
+      const start = toDate(startValue);
+      if (end === null || start === null) return null;
+
+      switch (normalizeUnit(unit)) {
+        case 'day': return Math.round((end - start) / MS_PER_DAY);
+        case 'week': return Math.trunc(Math.round((end - start) / MS_PER_DAY) / 7);
+        case 'month': return monthsBetween(start, end);
+        case 'quarter': return Math.trunc(monthsBetween(start, end) / 3);
+        case 'year': return Math.trunc(monthsBetween(start, end) / 12);
+        default: return null;
+      }
+    }
+  },
+  EOMONTH: {
+    params: ['date', 'number?'],
+    returns: 'date',
+    evaluate: (value, months) => {
+      const date = toDate(value);
+      if (date === null) return null;
+      const shifted = addMonths(date, toNumber(months) || 0);
+      return new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, 0));
+    }
+  }
+};
+
+/**
+ * Look up a function definition
+ * @param {string} name - Function name (case-insensitive)
+ * @returns {Object|null} - Function definition
+ */
+const getFunction = (name) => FUNCTIONS[String(name).toUpperCase()] || null;
+
+/**
+ * List the names of all available functions
+ * @returns {Array} - Function names
+ */
+const listFunctions = () => Object.keys(FUNCTIONS);
+
+module.exports = {
+  getFunction,
+  listFunctions,
+  unifyTypes
+};
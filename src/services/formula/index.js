@@ -0,0 +1,168 @@
+/**
+ * Formula Engine
+ * Sandboxed, Excel-like formula language for calculated columns
+ *
+ * Formulas are parsed into an AST and type checked against the dataset's
+ * column types before any row is touched. Nothing is ever passed to eval().
+ *
+ * Examples:
+ *   price * quantity
+ *   [Unit Price] * (1 - [Discount %])
+ *   IF(amount > 10000, "large", "small")
+ *   ROUND(COALESCE(tax, 0) + net, 2)
+ *   DATEDIFF(paid_date, invoice_date, "day")
+ *   first_name & " " & last_name
+ */
+const { tokenize } = require('./tokenizer');
+const { parse, getReferencedColumns } = require('./parser');
+const { checkTypes } = require('./typeChecker');
+const { evaluate } = require('./evaluator');
+const { toText } = require('./coercion');
+const { listFunctions } = require('./functions');
+const errors = require('./errors');
+
+// Cap the number of per-row errors kept so a broken formula on a large file stays cheap
+const DEFAULT_MAX_ERRORS = 100;
+
+/**
+ * Parse and type check a formula
+ * @param {string} formula - Formula text
+ * @param {Object} columnTypes - Map of column name to detected type
+ * @returns {Object} - Compiled formula with ast, resultType and referenced columns
+ */
+const compileFormula = (formula, columnTypes = {}) => {
+  const ast = parse(formula);
+  const resultType = checkTypes(ast, columnTypes);
+
+  return {
+    formula,
+    ast,
+    resultType,
+    columns: getReferencedColumns(ast)
+  };
+};
+
+/**
+ * Convert a typed formula result into a value suitable for a data row
+ * @param {*} value - Typed value
+ * @returns {*} - Plain value (dates become ISO date strings)
+ */
+const toCellValue = (value) => {
+  if (value instanceof Date) return toText(value);
+  return value === undefined ? null : value;
+};
+
+/**
+ * Evaluate a formula for every row of a dataset
+ * Syntax and type errors are thrown; errors on individual rows are collected.
+ * @param {Array} data - Data rows
+ * @param {string|Object} formula - Formula text or a compiled formula
+ * @param {Object} options - Options
+ * @param {Object} options.columnTypes - Map of column name to detected type
+ * @param {number} options.maxErrors - Maximum number of row errors to report
+ * @returns {Object} - { values, errors, errorCount, resultType }
+ */
+const evaluateFormula = (data, formula, options = {}) => {
+  const { columnTypes = {}, maxErrors = DEFAULT_MAX_ERRORS } = options;
+  const compiled = typeof formula === 'string' ? compileFormula(formula, columnTypes) : formula;
+
+  const values = [];
+  const rowErrors = [];
+  let errorCount = 0;
+
+  data.forEach((row, index) => {
+    try {
+      values.push(toCellValue(evaluate(compiled.ast, row)));
+    } catch (error) {
+      if (!(error instanceof errors.FormulaEvaluationError)) {
+        throw error;
+      }
+      values.push(null);
+      errorCount++;
+      if (rowErrors.length < maxErrors) {
+        rowErrors.push({ row: index, message: error.message });
+      }
+    }
+  });
+
+  return {
+    values,
+    errors: rowErrors,
+    errorCount,
+    resultType: compiled.resultType
+  };
+};
+
+/**
+ * Add a calculated column to a dataset
+ * @param {Array} data - Data rows
+ * @param {string} formula - Formula text
+ * @param {string} newColumn - Name of the column to create or overwrite
+ * @param {Object} options - Same options as evaluateFormula
+ * @returns {Object} - { data, errors, errorCount, resultType, columns }
+ */
+const addCalculatedColumn = (data, formula, newColumn, options = {}) => {
+  const compiled = compileFormula(formula, options.columnTypes);
+  const result = evaluateFormula(data, compiled, options);
+
+  return {
+    data: data.map((row, index) => ({ ...row, [newColumn]: result.values[index] })),
+    errors: result.errors,
+    errorCount: result.errorCount,
+    resultType: result.resultType,
+    columns: compiled.columns
+  };
+};
+
+/**
+ * List the columns a formula references, without type checking
+ * @param {string} formula - Formula text
+ * @returns {Array} - Column names as written in the formula
+ */
+const getFormulaColumns = (formula) => getReferencedColumns(parse(formula));
+
+/**
+ * Rewrite the column references of a formula
+ * Used to adapt saved formulas to renamed columns; function names and literals are left alone.
+ * @param {string} formula - Formula text
+ * @param {Object} mapping - Map of old column name to new column name
+ * @returns {string} - Formula text with renamed columns
+ */
+const renameColumns = (formula, mapping) => {
+  const tokens = tokenize(formula);
+  const lowerMapping = Object.keys(mapping).reduce((acc, key) => ({ ...acc, [key.toLowerCase()]: mapping[key] }), {});
+  const lookup = (name) => mapping[name] || lowerMapping[name.toLowerCase()] || null;
+  const replacements = [];
+
+  tokens.forEach((token, index) => {
+    const isColumn = token.type === 'column' ||
+      (token.type === 'identifier' && tokens[index + 1].type !== '(');
+    const newName = isColumn ? lookup(token.value) : null;
+    if (!newName) return;
+
+    const end = token.type === 'column'
+      ? formula.indexOf(']', token.position) + 1
+      : token.position + token.value.length;
+    const text = /^[A-Za-z_][A-Za-z0-9_.]*$/.test(newName) && token.type === 'identifier'
+      ? newName
+      : `[${newName}]`;
+
+    replacements.push({ start: token.position, end, text });
+  });
+
+  // Apply from the end so earlier positions stay valid
+  return replacements.reverse().reduce(
+    (result, { start, end, text }) => result.slice(0, start) + text + result.slice(end),
+    formula
+  );
+};
+
+module.exports = {
+  compileFormula,
+  getFormulaColumns,
+  renameColumns,
+  evaluateFormula,
+  addCalculatedColumn,
+  listFunctions,
+  ...errors
+};
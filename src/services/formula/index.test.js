@@ -0,0 +1,104 @@
+const {
+  compileFormula,
+  evaluateFormula,
+  addCalculatedColumn,
+  getFormulaColumns,
+  renameColumns,
+  FormulaSyntaxError,
+  FormulaTypeError
+} = require('./index');
+
+const columnTypes = {
+  'Unit Price': 'number',
+  quantity: 'number',
+  tax: 'number',
+  region: 'string',
+  invoice_date: 'date',
+  paid_date: 'date'
+};
+
+const rows = [
+  { 'Unit Price': '$1,200.00', quantity: 2, tax: 10, region: 'EMEA', invoice_date: '2024-01-31', paid_date: '2024-03-01' },
+  { 'Unit Price': '(50)', quantity: 4, tax: '', region: 'apac', invoice_date: '2024-02-15', paid_date: '' }
+];
+
+const values = (formula, data = rows) => evaluateFormula(data, formula, { columnTypes }).values;
+
+describe('evaluateFormula', () => {
+  it('does arithmetic on formatted numbers with the usual precedence', () => {
+    expect(values('[Unit Price] * quantity + 2 ^ 2')).toEqual([2404, -196]);
+  });
+
+  it('propagates blanks like SQL NULL and substitutes defaults with COALESCE', () => {
+    expect(values('quantity + tax')).toEqual([12, null]);
+    expect(values('quantity + COALESCE(tax, 0)')).toEqual([12, 4]);
+  });
+
+  it('branches with IF and CASE', () => {
+    expect(values('IF(quantity > 3, "bulk", "single")')).toEqual(['single', 'bulk']);
+    expect(values('CASE(UPPER(region) = "EMEA", 1, region = "APAC", 2, 0)')).toEqual([1, 2]);
+  });
+
+  it('concatenates text and applies text functions', () => {
+    expect(values('UPPER(region) & "-" & TEXT(quantity)')).toEqual(['EMEA-2', 'APAC-4']);
+    expect(values('LEFT(region, 2)')).toEqual(['EM', 'ap']);
+  });
+
+  it('does date math and returns dates as ISO strings', () => {
+    expect(values('DATEDIFF(paid_date, invoice_date, "day")')).toEqual([30, null]);
+    expect(values('EOMONTH(invoice_date, 1)')).toEqual(['2024-02-29', '2024-03-31']);
+  });
+
+  it('collects row errors and leaves those cells empty', () => {
+    const result = evaluateFormula([{ quantity: 2, tax: 0 }, { quantity: 3, tax: 1 }], 'quantity / tax', { columnTypes });
+
+    expect(result.values).toEqual([null, 3]);
+    expect(result.errorCount).toBe(1);
+    expect(result.errors[0].row).toBe(0);
+  });
+});
+
+describe('compileFormula', () => {
+  it('infers the result type and referenced columns', () => {
+    const compiled = compileFormula('ROUND([Unit Price] * quantity, 2)', columnTypes);
+
+    expect(compiled.resultType).toBe('number');
+    expect(compiled.columns).toEqual(['Unit Price', 'quantity']);
+  });
+
+  it('reports syntax errors before any row is touched', () => {
+    expect(() => compileFormula('quantity *', columnTypes)).toThrow(FormulaSyntaxError);
+    expect(() => compileFormula('ROUND(quantity', columnTypes)).toThrow(FormulaSyntaxError);
+  });
+
+  it('reports unknown columns, unknown functions and mismatched types', () => {
+    expect(() => compileFormula('discount * 2', columnTypes)).toThrow(FormulaTypeError);
+    expect(() => compileFormula('VLOOKUP(quantity)', columnTypes)).toThrow(FormulaTypeError);
+    expect(() => compileFormula('invoice_date * 2', columnTypes)).toThrow(FormulaTypeError);
+    expect(() => compileFormula('region + 1', columnTypes)).toThrow('Use "&" or CONCAT() to join text');
+    expect(() => compileFormula('ROUND()', columnTypes)).toThrow('ROUND() expects');
+  });
+
+  it('never evaluates JavaScript', () => {
+    expect(() => compileFormula('process.exit(1)', columnTypes)).toThrow();
+    expect(() => compileFormula('constructor.constructor("return 1")()', columnTypes)).toThrow();
+  });
+});
+
+describe('addCalculatedColumn', () => {
+  it('adds the column without changing the input rows', () => {
+    const result = addCalculatedColumn(rows, '[Unit Price] * quantity', 'line_total', { columnTypes });
+
+    expect(result.data.map(row => row.line_total)).toEqual([2400, -200]);
+    expect(rows[0].line_total).toBeUndefined();
+    expect(result.resultType).toBe('number');
+  });
+});
+
+describe('renameColumns', () => {
+  it('rewrites column references and leaves functions and text alone', () => {
+    expect(getFormulaColumns('ROUND(price * qty, 2)')).toEqual(['price', 'qty']);
+    expect(renameColumns('ROUND(price * qty, 2) & "price"', { price: 'Unit Price', qty: 'quantity' }))
+      .toBe('ROUND([Unit Price] * quantity, 2) & "price"');
+  });
+});
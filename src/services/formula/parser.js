@@ -0,0 +1,239 @@
+/**
+ * Formula Parser
+ * Recursive descent parser that turns formula tokens into an AST
+ *
+ * Precedence, lowest to highest:
+ *   OR, AND, NOT, comparison, & (concat), + -, * / %, unary -, ^
+ */
+const { tokenize } = require('./tokenizer');
+const { FormulaSyntaxError } = require('./errors');
+
+// Aliases accepted from users coming from spreadsheet or programming syntax
+const OPERATOR_ALIASES = {
+  '==': '=',
+  '!=': '<>',
+  '&&': 'AND',
+  '||': 'OR',
+  '!': 'NOT'
+};
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * Create a parser over a token list
+ * @param {Array} tokens - Tokens from the tokenizer
+ * @returns {Object} - Parser with a parse() method
+ */
+const createParser = (tokens) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+
+  const advance = () => tokens[index++];
+
+  /**
+   * Normalized operator or keyword value of the current token
+   */
+  const currentOperator = () => {
+    const token = peek();
+    if (token.type !== 'operator' && token.type !== 'keyword') return null;
+    return OPERATOR_ALIASES[token.value] || token.value;
+  };
+
+  const expect = (type, description) => {
+    const token = peek();
+    if (token.type !== type) {
+      throw new FormulaSyntaxError(`Expected ${description}`, token.position);
+    }
+    return advance();
+  };
+
+  const parseBinaryLevel = (operators, parseOperand) => () => {
+    let left = parseOperand();
+
+    while (operators.includes(currentOperator())) {
+      const token = advance();
+      const operator = OPERATOR_ALIASES[token.value] || token.value;
+      const right = parseOperand();
+      left = { type: 'binary', operator, left, right, position: token.position };
+    }
+
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    switch (token.type) {
+      case 'number':
+        advance();
+        return { type: 'literal', value: token.value, valueType: 'number', position: token.position };
+
+      case 'string':
+        advance();
+        return { type: 'literal', value: token.value, valueType: 'string', position: token.position };
+
+      case 'column':
+        advance();
+        return { type: 'column', name: token.value, position: token.position };
+
+      case 'keyword':
+        if (token.value === 'TRUE' || token.value === 'FALSE') {
+          advance();
+          return { type: 'literal', value: token.value === 'TRUE', valueType: 'boolean', position: token.position };
+        }
+        if (token.value === 'NULL') {
+          advance();
+          return { type: 'literal', value: null, valueType: 'null', position: token.position };
+        }
+        throw new FormulaSyntaxError(`Unexpected keyword ${token.value}`, token.position);
+
+      case 'identifier': {
+        advance();
+        if (peek().type === '(') {
+          return parseCall(token);
+        }
+        return { type: 'column', name: token.value, position: token.position };
+      }
+
+      case '(': {
+        advance();
+        const expression = parseOr();
+        expect(')', 'closing parenthesis');
+        return expression;
+      }
+
+      case 'eof':
+        throw new FormulaSyntaxError('Unexpected end of formula', token.position);
+
+      default:
+        throw new FormulaSyntaxError(`Unexpected "${token.value}"`, token.position);
+    }
+  };
+
+  const parseCall = (nameToken) => {
+    expect('(', 'opening parenthesis');
+    const args = [];
+
+    if (peek().type !== ')') {
+      args.push(parseOr());
+      while (peek().type === ',') {
+        advance();
+        args.push(parseOr());
+      }
+    }
+
+    expect(')', `closing parenthesis for ${nameToken.value}()`);
+
+    return {
+      type: 'call',
+      name: nameToken.value.toUpperCase(),
+      args,
+      position: nameToken.position
+    };
+  };
+
+  // Exponentiation is right associative and binds tighter than unary minus
+  const parsePower = () => {
+    const base = parsePrimary();
+
+    if (currentOperator() === '^') {
+      const token = advance();
+      const exponent = parseUnary();
+      return { type: 'binary', operator: '^', left: base, right: exponent, position: token.position };
+    }
+
+    return base;
+  };
+
+  const parseUnary = () => {
+    const operator = currentOperator();
+
+    if (operator === '-' || operator === '+') {
+      const token = advance();
+      const operand = parseUnary();
+      return { type: 'unary', operator, operand, position: token.position };
+    }
+
+    return parsePower();
+  };
+
+  const parseMultiplicative = parseBinaryLevel(['*', '/', '%'], parseUnary);
+  const parseAdditive = parseBinaryLevel(['+', '-'], parseMultiplicative);
+  const parseConcat = parseBinaryLevel(['&'], parseAdditive);
+  const parseComparison = parseBinaryLevel(COMPARISON_OPERATORS, parseConcat);
+
+  const parseNot = () => {
+    if (currentOperator() === 'NOT') {
+      const token = advance();
+      const operand = parseNot();
+      return { type: 'unary', operator: 'NOT', operand, position: token.position };
+    }
+
+    return parseComparison();
+  };
+
+  const parseAnd = parseBinaryLevel(['AND'], parseNot);
+  const parseOr = parseBinaryLevel(['OR'], parseAnd);
+
+  return {
+    parse: () => {
+      // Allow a leading "=" as in spreadsheet formulas
+      if (peek().type === 'operator' && peek().value === '=') {
+        advance();
+      }
+
+      const ast = parseOr();
+      const trailing = peek();
+
+      if (trailing.type !== 'eof') {
+        throw new FormulaSyntaxError(`Unexpected "${trailing.value}"`, trailing.position);
+      }
+
+      return ast;
+    }
+  };
+};
+
+/**
+ * Parse a formula into an AST
+ * @param {string} formula - Formula text
+ * @returns {Object} - Root AST node
+ */
+const parse = (formula) => {
+  const tokens = tokenize(formula);
+  return createParser(tokens).parse();
+};
+
+/**
+ * Collect all column names referenced in an AST
+ * @param {Object} node - AST node
+ * @param {Set} columns - Accumulator
+ * @returns {Array} - Referenced column names
+ */
+const getReferencedColumns = (node, columns = new Set()) => {
+  switch (node.type) {
+    case 'column':
+      columns.add(node.name);
+      break;
+    case 'unary':
+      getReferencedColumns(node.operand, columns);
+      break;
+    case 'binary':
+      getReferencedColumns(node.left, columns);
+      getReferencedColumns(node.right, columns);
+      break;
+    case 'call':
+      node.args.forEach(arg => getReferencedColumns(arg, columns));
+      break;
+    default:
+      break;
+  }
+
+  return Array.from(columns);
+};
+
+module.exports = {
+  parse,
+  getReferencedColumns
+};
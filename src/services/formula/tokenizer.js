@@ -0,0 +1,189 @@
+/**
+ * Formula Tokenizer
+ * Splits a formula string into tokens for the parser
+ */
+const { FormulaSyntaxError } = require('./errors');
+
+// Multi-character operators must be listed before their single-character prefixes
+const OPERATORS = ['<>', '!=', '==', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '&', '=', '<', '>', '!'];
+
+const KEYWORDS = {
+  AND: 'AND',
+  OR: 'OR',
+  NOT: 'NOT',
+  TRUE: 'TRUE',
+  FALSE: 'FALSE',
+  NULL: 'NULL'
+};
+
+/**
+ * Check whether a character can start an identifier
+ * @param {string} char - Character to test
+ * @returns {boolean} - True for letters and underscore
+ */
+const isIdentifierStart = (char) => /[A-Za-z_]/.test(char);
+
+/**
+ * Check whether a character can continue an identifier
+ * @param {string} char - Character to test
+ * @returns {boolean} - True for letters, digits, underscore and dot
+ */
+const isIdentifierPart = (char) => /[A-Za-z0-9_.]/.test(char);
+
+/**
+ * Read a quoted string literal starting at the given position
+ * @param {string} input - Formula text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} - Token and the index after the closing quote
+ */
+const readString = (input, start) => {
+  const quote = input[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (char === '\\' && i + 1 < input.length) {
+      value += input[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Doubled quotes are an escaped quote, as in Excel
+    if (char === quote) {
+      if (input[i + 1] === quote) {
+        value += quote;
+        i += 2;
+        continue;
+      }
+      return { token: { type: 'string', value, position: start }, next: i + 1 };
+    }
+
+    value += char;
+    i++;
+  }
+
+  throw new FormulaSyntaxError('Unterminated string literal', start);
+};
+
+/**
+ * Read a bracketed column reference such as [Unit Price]
+ * @param {string} input - Formula text
+ * @param {number} start - Index of the opening bracket
+ * @returns {Object} - Token and the index after the closing bracket
+ */
+const readBracketedColumn = (input, start) => {
+  const end = input.indexOf(']', start + 1);
+
+  if (end === -1) {
+    throw new FormulaSyntaxError('Unterminated column reference', start);
+  }
+
+  const name = input.slice(start + 1, end).trim();
+  if (!name) {
+    throw new FormulaSyntaxError('Empty column reference', start);
+  }
+
+  return { token: { type: 'column', value: name, position: start }, next: end + 1 };
+};
+
+/**
+ * Read a numeric literal, including decimals and exponents
+ * @param {string} input - Formula text
+ * @param {number} start - Index of the first digit or dot
+ * @returns {Object} - Token and the index after the number
+ */
+const readNumber = (input, start) => {
+  const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(input.slice(start));
+
+  if (!match) {
+    throw new FormulaSyntaxError('Invalid number', start);
+  }
+
+  return {
+    token: { type: 'number', value: parseFloat(match[0]), position: start },
+    next: start + match[0].length
+  };
+};
+
+/**
+ * Tokenize a formula
+ * @param {string} input - Formula text
+ * @returns {Array} - Array of tokens ending with an 'eof' token
+ */
+const tokenize = (input) => {
+  if (typeof input !== 'string') {
+    throw new FormulaSyntaxError('Formula must be a string');
+  }
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const { token, next } = readString(input, i);
+      tokens.push(token);
+      i = next;
+      continue;
+    }
+
+    if (char === '[') {
+      const { token, next } = readBracketedColumn(input, i);
+      tokens.push(token);
+      i = next;
+      continue;
+    }
+
+    if (/\d/.test(char) || (char === '.' && /\d/.test(input[i + 1] || ''))) {
+      const { token, next } = readNumber(input, i);
+      tokens.push(token);
+      i = next;
+      continue;
+    }
+
+    if (isIdentifierStart(char)) {
+      let end = i + 1;
+      while (end < input.length && isIdentifierPart(input[end])) {
+        end++;
+      }
+      const word = input.slice(i, end);
+      const keyword = KEYWORDS[word.toUpperCase()];
+
+      tokens.push(keyword
+        ? { type: 'keyword', value: keyword, position: i }
+        : { type: 'identifier', value: word, position: i });
+      i = end;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new FormulaSyntaxError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: input.length });
+  return tokens;
+};
+
+module.exports = {
+  tokenize
+};
@@ -0,0 +1,232 @@
+/**
+ * Formula Type Checker
+ * Validates a formula AST against the dataset's column types before evaluation
+ */
+const { getFunction, listFunctions } = require('./functions');
+const { FormulaTypeError } = require('./errors');
+
+// Parameter types and the expression types they accept
+const ACCEPTED_TYPES = {
+  any: null,
+  text: null,
+  number: ['number', 'any', 'null'],
+  date: ['date', 'string', 'any', 'null'],
+  boolean: ['boolean', 'number', 'any', 'null']
+};
+
+/**
+ * Map a detectColumnType result onto a formula type
+ * @param {string} columnType - Column type (number, date, boolean, string, unknown)
+ * @returns {string} - Formula type
+ */
+const toFormulaType = (columnType) => {
+  if (['number', 'date', 'boolean', 'string'].includes(columnType)) {
+    return columnType;
+  }
+  return 'any';
+};
+
+/**
+ * Resolve a column reference, falling back to a case-insensitive match
+ * @param {string} name - Referenced name
+ * @param {Object} columnTypes - Map of column name to type
+ * @param {number} position - Position of the reference in the formula
+ * @returns {string} - Actual column name
+ */
+const resolveColumn = (name, columnTypes, position) => {
+  if (Object.prototype.hasOwnProperty.call(columnTypes, name)) {
+    return name;
+  }
+
+  const matches = Object.keys(columnTypes).filter(col => col.toLowerCase() === name.toLowerCase());
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  const spaced = Object.keys(columnTypes).find(col => col.toLowerCase().startsWith(`${name.toLowerCase()} `));
+  const hint = spaced ? ` Did you mean [${spaced}]? Column names containing spaces must be wrapped in brackets.` : '';
+  throw new FormulaTypeError(`Unknown column "${name}".${hint}`, position);
+};
+
+/**
+ * Check whether an expression type satisfies a parameter type
+ * @param {string} paramType - Declared parameter type
+ * @param {string} argType - Inferred argument type
+ * @returns {boolean} - True if compatible
+ */
+const isAccepted = (paramType, argType) => {
+  const accepted = ACCEPTED_TYPES[paramType];
+  return accepted === null || accepted.includes(argType);
+};
+
+/**
+ * Check a function call's arity and argument types
+ * @param {Object} node - Call node
+ * @param {Object} definition - Function definition
+ * @param {Array} argTypes - Inferred argument types
+ */
+const checkArguments = (node, definition, argTypes) => {
+  const params = definition.params;
+  const variadic = params.length > 0 && params[params.length - 1].endsWith('...');
+  const required = params.filter(p => !p.endsWith('?') && !p.endsWith('...')).length;
+  const maximum = variadic ? Infinity : params.length;
+
+  if (argTypes.length < required || argTypes.length > maximum) {
+    const expected = maximum === Infinity
+      ? `at least ${required}`
+      : required === maximum ? `${required}` : `${required} to ${maximum}`;
+    throw new FormulaTypeError(
+      `${node.name}() expects ${expected} argument(s) but got ${argTypes.length}`,
+      node.position
+    );
+  }
+
+  argTypes.forEach((argType, index) => {
+    const spec = params[Math.min(index, params.length - 1)];
+    const paramType = spec.replace(/(\?|\.\.\.)$/, '');
+
+    if (!isAccepted(paramType, argType)) {
+      throw new FormulaTypeError(
+        `Argument ${index + 1} of ${node.name}() must be a ${paramType}, got ${argType}`,
+        node.args[index].position
+      );
+    }
+  });
+};
+
+/**
+ * Infer the type of a binary operation
+ * @param {Object} node - Binary node
+ * @param {string} left - Left operand type
+ * @param {string} right - Right operand type
+ * @returns {string} - Result type
+ */
+const checkBinary = (node, left, right) => {
+  const { operator } = node;
+  const flexible = (type) => type === 'any' || type === 'null';
+  const mismatch = () => new FormulaTypeError(
+    `Cannot apply "${operator}" to ${left} and ${right}`,
+    node.position
+  );
+
+  switch (operator) {
+    case '&':
+      return 'string';
+
+    case '+':
+      if (left === 'string' || right === 'string') {
+        throw new FormulaTypeError('Use "&" or CONCAT() to join text', node.position);
+      }
+      if (left === 'date' && (right === 'number' || flexible(right))) return 'date';
+      if (right === 'date' && (left === 'number' || flexible(left))) return 'date';
+      if ((left === 'number' || flexible(left)) && (right === 'number' || flexible(right))) {
+        return left === 'any' || right === 'any' ? 'any' : 'number';
+      }
+      throw mismatch();
+
+    case '-':
+      if (left === 'date' && right === 'date') return 'number';
+      if (left === 'date' && (right === 'number' || flexible(right))) return 'date';
+      if ((left === 'number' || flexible(left)) && (right === 'number' || flexible(right))) {
+        return left === 'any' || right === 'any' ? 'any' : 'number';
+      }
+      throw mismatch();
+
+    case '*':
+    case '/':
+    case '%':
+    case '^':
+      if ((left === 'number' || flexible(left)) && (right === 'number' || flexible(right))) {
+        return 'number';
+      }
+      throw mismatch();
+
+    case 'AND':
+    case 'OR':
+      if (!isAccepted('boolean', left) || !isAccepted('boolean', right)) {
+        throw mismatch();
+      }
+      return 'boolean';
+
+    default:
+      // Comparisons: operands must be of the same kind; string literals may be compared to dates
+      if (flexible(left) || flexible(right) || left === right ||
+          (left === 'date' && right === 'string') || (left === 'string' && right === 'date')) {
+        return 'boolean';
+      }
+      throw mismatch();
+  }
+};
+
+/**
+ * Infer and check the type of an AST node
+ * Column nodes are annotated with the resolved column name and type.
+ * @param {Object} node - AST node
+ * @param {Object} columnTypes - Map of column name to detected type
+ * @returns {string} - Inferred type
+ */
+const checkNode = (node, columnTypes) => {
+  switch (node.type) {
+    case 'literal':
+      return node.valueType;
+
+    case 'column': {
+      const resolvedName = resolveColumn(node.name, columnTypes, node.position);
+      node.resolvedName = resolvedName;
+      node.columnType = columnTypes[resolvedName];
+      return toFormulaType(node.columnType);
+    }
+
+    case 'unary': {
+      const operandType = checkNode(node.operand, columnTypes);
+      if (node.operator === 'NOT') {
+        if (!isAccepted('boolean', operandType)) {
+          throw new FormulaTypeError(`Cannot apply NOT to ${operandType}`, node.position);
+        }
+        return 'boolean';
+      }
+      if (!isAccepted('number', operandType)) {
+        throw new FormulaTypeError(`Cannot negate ${operandType}`, node.position);
+      }
+      return 'number';
+    }
+
+    case 'binary':
+      return checkBinary(
+        node,
+        checkNode(node.left, columnTypes),
+        checkNode(node.right, columnTypes)
+      );
+
+    case 'call': {
+      const definition = getFunction(node.name);
+      if (!definition) {
+        throw new FormulaTypeError(
+          `Unknown function ${node.name}(). Available functions: ${listFunctions().join(', ')}`,
+          node.position
+        );
+      }
+
+      const argTypes = node.args.map(arg => checkNode(arg, columnTypes));
+      checkArguments(node, definition, argTypes);
+
+      return definition.check ? definition.check(argTypes, node) : definition.returns;
+    }
+
+    default:
+      throw new FormulaTypeError(`Unknown expression type ${node.type}`);
+  }
+};
+
+/**
+ * Type check a formula AST
+ * @param {Object} ast - Parsed formula
+ * @param {Object} columnTypes - Map of column name to detected type
+ * @returns {string} - Result type of the formula
+ */
+const checkTypes = (ast, columnTypes = {}) => checkNode(ast, columnTypes);
+
+module.exports = {
+  checkTypes,
+  toFormulaType
+};
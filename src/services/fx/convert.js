@@ -0,0 +1,278 @@
+/**
+ * Currency conversion
+ * Converts amount columns into a reporting currency at the rate for each
+ * row's transaction date, and records the rates used so the conversion can be
+ * replayed exactly.
+ */
+const _ = require('lodash');
+const { isMissing, parseNumber } = require('../formula/coercion');
+const { findCurrency } = require('../../utils/columnProfiler');
+const { normalizeCurrency, toDay, checkRateType, ratePeriod } = require('./rateTable');
+const { FxRateError } = require('./errors');
+
+const CURRENCY_COLUMN_NAME = /^(?:currency|ccy|curr|currency[\s_-]?code|ccy[\s_-]?code|iso[\s_-]?currency|transaction[\s_-]?currency|txn[\s_-]?currency)$/i;
+
+// Missing-rate examples kept in a conversion report
+const MAX_MISSING_EXAMPLES = 10;
+
+// Marks rows whose amounts were left in their own currency by an in-place conversion
+const UNCONVERTED_COLUMN = 'fx_unconverted';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find the column holding each row's currency code
+ * @param {Array} data - Rows
+ * @returns {string|null} - Column name
+ */
+const findCurrencyColumn = (data) => {
+  if (!Array.isArray(data) || data.length === 0) return null;
+
+  const columns = Object.keys(data[0]);
+  const sample = data.slice(0, 200);
+  const holdsCodes = (column) => {
+    const values = sample.map(row => row[column]).filter(value => !isMissing(value));
+    return values.length > 0 && values.every(value => normalizeCurrency(value));
+  };
+
+  return columns.find(column => CURRENCY_COLUMN_NAME.test(column.trim()) && holdsCodes(column)) || null;
+};
+
+/**
+ * Work out the currency of one amount
+ * @returns {string|null} - ISO code from the currency column, the fixed source currency or the cell text
+ */
+const rowCurrency = (row, value, { currencyColumn, sourceCurrency }) => {
+  if (currencyColumn) return normalizeCurrency(row[currencyColumn]);
+  if (sourceCurrency) return sourceCurrency;
+  return typeof value === 'string' ? findCurrency(value) : null;
+};
+
+/**
+ * Convert amount columns into a target currency
+ * @param {Array} data - Rows
+ * @param {Object} options - Options
+ * @param {Array} options.columns - Amount columns to convert
+ * @param {string} options.targetCurrency - Reporting currency
+ * @param {string} options.currencyColumn - Column with each row's currency
+ * @param {string} options.sourceCurrency - Currency of every row, when there is no currency column
+ * @param {string} options.dateColumn - Transaction date column
+ * @param {string} options.date - Date to convert at when there is no date column
+ * @param {string} options.rateType - spot, average or closing (default spot)
+ * @param {string} options.newColumn - Write the result here instead of over the amount (one column only)
+ * @param {string} options.suffix - Suffix for new columns, e.g. "_eur"; amounts are replaced when neither is set
+ * @param {Object} rates - Rate table or pinned rates with getRate(from, to, date, type)
+ * @returns {Object} - { data, report: { converted, currencies, missing, rates, unconvertedColumn } }
+ *   Amounts without a rate are empty in new columns; converted in place they keep their
+ *   original value and currency, and their rows are flagged in the fx_unconverted column.
+ */
+const convertAmounts = (data, options, rates) => {
+  const targetCurrency = normalizeCurrency(options.targetCurrency);
+  if (!targetCurrency) {
+    throw new FxRateError('A target currency code is required (e.g. EUR)');
+  }
+  if (!rates || typeof rates.getRate !== 'function') {
+    throw new FxRateError('No FX rates are loaded; upload a rate table first');
+  }
+
+  const columns = _.castArray(options.columns || []).filter(Boolean);
+  if (columns.length === 0) {
+    throw new FxRateError('Choose the amount columns to convert');
+  }
+  if (options.newColumn && columns.length > 1) {
+    throw new FxRateError('newColumn can only be used when converting one column');
+  }
+
+  const rateType = checkRateType(options.rateType);
+  const currencyColumn = options.currencyColumn || null;
+  const sourceCurrency = options.sourceCurrency ? normalizeCurrency(options.sourceCurrency) : null;
+  if (options.sourceCurrency && !sourceCurrency) {
+    throw new FxRateError(`"${options.sourceCurrency}" is not a currency code`);
+  }
+
+  const fixedDate = options.date ? toDay(options.date) : null;
+  if (!options.dateColumn && !fixedDate) {
+    throw new FxRateError('Conversion needs a transaction date column or a date to convert at');
+  }
+
+  const outputColumn = (column) => options.newColumn || (options.suffix ? `${column}${options.suffix}` : column);
+  const inPlace = !options.newColumn && !options.suffix;
+  const used = new Map();
+  const currencies = {};
+  const missing = { count: 0, examples: [] };
+  const unconverted = new Set();
+  let converted = 0;
+
+  const result = data.map((row, index) => {
+    const next = { ...row };
+    const day = options.dateColumn ? toDay(row[options.dateColumn]) : fixedDate;
+    let complete = true;
+
+    columns.forEach(column => {
+      const value = row[column];
+      if (isMissing(value)) {
+        next[outputColumn(column)] = null;
+        return;
+      }
+
+      const amount = parseNumber(value);
+      const currency = rowCurrency(row, value, { currencyColumn, sourceCurrency });
+      const found = currency && day && !Number.isNaN(amount) ? rates.getRate(currency, targetCurrency, day, rateType) : null;
+
+      if (!found) {
+        complete = false;
+        missing.count++;
+        if (missing.examples.length < MAX_MISSING_EXAMPLES) {
+          missing.examples.push({
+            row: index,
+            column,
+            currency: currency || null,
+            date: day,
+            reason: Number.isNaN(amount) ? 'not a number'
+              : !currency ? 'unknown currency'
+                : !day ? 'no date' : 'no rate'
+          });
+        }
+        // Never overwrite an amount that could not be converted
+        if (!inPlace) next[outputColumn(column)] = null;
+        return;
+      }
+
+      currencies[currency] = (currencies[currency] || 0) + 1;
+      converted++;
+      next[outputColumn(column)] = round2(amount * found.rate);
+
+      if (currency !== targetCurrency) {
+        const period = ratePeriod(day, rateType);
+        const key = `${currency}/${period}`;
+        if (!used.has(key)) {
+          used.set(key, { from: currency, to: targetCurrency, type: rateType, period, rate: found.rate, rateDate: found.rateDate });
+        }
+      }
+    });
+
+    // A row keeps its currency until all of its amounts are converted
+    if (currencyColumn && complete && inPlace) {
+      next[currencyColumn] = targetCurrency;
+    }
+    if (!complete) unconverted.add(index);
+    return next;
+  });
+
+  // Amounts left in place in their own currency are flagged so they are not mistaken for converted ones
+  const flagged = inPlace && unconverted.size > 0;
+  if (flagged) {
+    result.forEach((row, index) => { row[UNCONVERTED_COLUMN] = unconverted.has(index); });
+  }
+
+  return {
+    data: result,
+    report: {
+      targetCurrency,
+      rateType,
+      converted,
+      currencies,
+      missing,
+      rates: _.sortBy([...used.values()], ['from', 'period']),
+      unconvertedColumn: flagged ? UNCONVERTED_COLUMN : null
+    }
+  };
+};
+
+/**
+ * Describe the currencies of an amount column
+ * @param {Array} data - Rows
+ * @param {string} column - Amount column
+ * @param {Object} options - Options
+ * @param {string} options.currencyColumn - Column with each row's currency
+ * @returns {Object} - { currencies: { code: count }, mixed }
+ */
+const describeCurrencies = (data, column, { currencyColumn } = {}) => {
+  const currencies = {};
+  data.forEach(row => {
+    const value = row[column];
+    if (isMissing(value)) return;
+    const currency = rowCurrency(row, value, { currencyColumn });
+    if (currency) currencies[currency] = (currencies[currency] || 0) + 1;
+  });
+
+  return { currencies, mixed: Object.keys(currencies).length > 1 };
+};
+
+/**
+ * Bring statement figures into one currency
+ * Flows (income statement items) are converted at the month-average rate and
+ * balances at the closing rate of the period end date.
+ * @param {Object} figures - Name to number, or to { amount, currency }
+ * @param {Object} options - Options
+ * @param {string} options.currency - Currency of plain numbers
+ * @param {string} options.reportingCurrency - Convert every figure into this currency
+ * @param {string} options.date - Period end date used to look up rates
+ * @param {Object} options.rates - Rate table, required with reportingCurrency
+ * @param {Array} options.flowItems - Names of the flow figures
+ * @returns {Object} - { values, currency: { currencies, mixed, reportingCurrency, converted, warning } }
+ */
+const normalizeFigures = (figures, options = {}) => {
+  const defaultCurrency = normalizeCurrency(options.currency);
+  const reportingCurrency = options.reportingCurrency ? normalizeCurrency(options.reportingCurrency) : null;
+  if (options.reportingCurrency && !reportingCurrency) {
+    throw new FxRateError(`"${options.reportingCurrency}" is not a currency code`);
+  }
+
+  const flowItems = new Set(options.flowItems || []);
+  const values = {};
+  const currencies = {};
+  const converted = [];
+
+  Object.entries(figures).forEach(([name, figure]) => {
+    const isObject = figure !== null && typeof figure === 'object';
+    const amount = isObject ? figure.amount : figure;
+    if (amount === undefined || amount === null) return;
+
+    const currency = (isObject && normalizeCurrency(figure.currency)) || defaultCurrency;
+    const value = parseNumber(amount);
+    if (currency) currencies[currency] = (currencies[currency] || 0) + 1;
+
+    if (!reportingCurrency || !currency || currency === reportingCurrency) {
+      values[name] = value;
+      return;
+    }
+
+    if (!options.rates || !options.date) {
+      throw new FxRateError('Converting to a reporting currency needs FX rates and the period end date');
+    }
+
+    const rateType = flowItems.has(name) ? 'average' : 'closing';
+    const found = options.rates.getRate(currency, reportingCurrency, options.date, rateType);
+    if (!found) {
+      throw new FxRateError(`No ${rateType} rate from ${currency} to ${reportingCurrency} for ${toDay(options.date) || options.date}`);
+    }
+
+    values[name] = value * found.rate;
+    converted.push({ item: name, from: currency, rateType, rate: found.rate, rateDate: found.rateDate });
+  });
+
+  const codes = Object.keys(currencies).sort();
+  const mixed = !reportingCurrency && codes.length > 1;
+
+  return {
+    values,
+    currency: {
+      currencies: codes,
+      mixed,
+      reportingCurrency: reportingCurrency || (codes.length === 1 ? codes[0] : null),
+      converted,
+      warning: mixed
+        ? `Figures are in ${codes.join(', ')}; ratios mixing currencies are not meaningful. Set a reporting currency to convert them.`
+        : null
+    }
+  };
+};
+
+module.exports = {
+  UNCONVERTED_COLUMN,
+  findCurrencyColumn,
+  convertAmounts,
+  describeCurrencies,
+  normalizeFigures
+};
@@ -0,0 +1,75 @@
+const { createRateTable, createPinnedRates } = require('./rateTable');
+const { convertAmounts, findCurrencyColumn, UNCONVERTED_COLUMN } = require('./convert');
+
+const rates = createRateTable([
+  { from: 'USD', to: 'EUR', date: '2024-01-15', rate: 0.9 },
+  { from: 'USD', to: 'EUR', date: '2024-02-15', rate: 0.8 }
+]);
+
+const data = [
+  { date: '2024-01-16', amount: 100, currency: 'USD' },
+  { date: '2024-02-15', amount: 50, currency: 'usd' },
+  { date: '2024-01-16', amount: 70, currency: 'GBP' },
+  { date: '2024-01-16', amount: 20, currency: 'EUR' }
+];
+
+const options = { columns: ['amount'], targetCurrency: 'EUR', currencyColumn: 'currency', dateColumn: 'date' };
+
+describe('convertAmounts', () => {
+  it('converts in place at the rate of each row date', () => {
+    const { data: converted, report } = convertAmounts(data, options, rates);
+
+    expect(converted.map(row => row.amount)).toEqual([90, 40, 70, 20]);
+    expect(report.converted).toBe(3);
+    expect(report.rates).toEqual([
+      { from: 'USD', to: 'EUR', type: 'spot', period: '2024-01-16', rate: 0.9, rateDate: '2024-01-15' },
+      { from: 'USD', to: 'EUR', type: 'spot', period: '2024-02-15', rate: 0.8, rateDate: '2024-02-15' }
+    ]);
+  });
+
+  it('keeps amounts without a rate in their own currency and flags their rows', () => {
+    const { data: converted, report } = convertAmounts(data, options, rates);
+
+    expect(converted[2]).toMatchObject({ amount: 70, currency: 'GBP', [UNCONVERTED_COLUMN]: true });
+    expect(converted[0]).toMatchObject({ currency: 'EUR', [UNCONVERTED_COLUMN]: false });
+    expect(report.unconvertedColumn).toBe(UNCONVERTED_COLUMN);
+    expect(report.missing).toEqual({
+      count: 1,
+      examples: [{ row: 2, column: 'amount', currency: 'GBP', date: '2024-01-16', reason: 'no rate' }]
+    });
+  });
+
+  it('leaves new columns empty when there is no rate', () => {
+    const { data: converted, report } = convertAmounts(data, { ...options, suffix: '_eur' }, rates);
+
+    expect(converted.map(row => row.amount_eur)).toEqual([90, 40, null, 20]);
+    expect(converted[2].amount).toBe(70);
+    expect(converted[2]).not.toHaveProperty(UNCONVERTED_COLUMN);
+    expect(report.unconvertedColumn).toBeNull();
+  });
+
+  it('does not flag rows when every amount converts', () => {
+    const { data: converted } = convertAmounts(data.slice(0, 2), options, rates);
+
+    converted.forEach(row => expect(row).not.toHaveProperty(UNCONVERTED_COLUMN));
+  });
+
+  it('replays the recorded rates exactly', () => {
+    const first = convertAmounts(data, options, rates);
+    const replayed = convertAmounts(data, options, createPinnedRates(first.report.rates));
+
+    expect(replayed.data).toEqual(first.data);
+  });
+
+  it('requires a target currency and a date', () => {
+    expect(() => convertAmounts(data, { ...options, targetCurrency: 'euro' }, rates)).toThrow('target currency');
+    expect(() => convertAmounts(data, { ...options, dateColumn: null }, rates)).toThrow('transaction date');
+  });
+});
+
+describe('findCurrencyColumn', () => {
+  it('finds a column of currency codes by its name', () => {
+    expect(findCurrencyColumn(data)).toBe('currency');
+    expect(findCurrencyColumn([{ ccy: 'Dollars', amount: 1 }])).toBeNull();
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * FX Error Classes
+ */
+
+/**
+ * FX Rate Error - raised when a rate file cannot be read or a conversion is
+ * missing what it needs (target currency, rates, dates)
+ */
+class FxRateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FxRateError';
+  }
+}
+
+module.exports = {
+  FxRateError
+};
@@ -0,0 +1,23 @@
+/**
+ * FX Rates
+ * Rate tables loaded from uploaded files and conversion of amounts into a
+ * reporting currency at spot, month-average or closing rates
+ */
+const { RATE_TYPES, normalizeCurrency, createRateTable, createPinnedRates } = require('./rateTable');
+const { parseRateRows } = require('./rateFile');
+const { UNCONVERTED_COLUMN, findCurrencyColumn, convertAmounts, describeCurrencies, normalizeFigures } = require('./convert');
+const { FxRateError } = require('./errors');
+
+module.exports = {
+  RATE_TYPES,
+  normalizeCurrency,
+  createRateTable,
+  createPinnedRates,
+  parseRateRows,
+  UNCONVERTED_COLUMN,
+  findCurrencyColumn,
+  convertAmounts,
+  describeCurrencies,
+  normalizeFigures,
+  FxRateError
+};
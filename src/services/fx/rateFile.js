@@ -0,0 +1,130 @@
+/**
+ * FX rate files
+ * Reads rate tables exported from banks, central banks or treasury systems.
+ *
+ * Layouts:
+ *   long - one rate per row: date, from, to, rate and optionally the rate type
+ *   wide - one date per row and one column per currency, quoted against a
+ *          base currency (ECB style: 1 EUR = 1.0876 USD)
+ */
+const { isMissing, parseNumber } = require('../formula/coercion');
+const { normalizeCurrency, toDay, checkRateType } = require('./rateTable');
+const { FxRateError } = require('./errors');
+
+const DATE_NAMES = /^(?:date|rate[\s_-]?date|as[\s_-]?of|effective[\s_-]?date|period|month|time[\s_-]?period)$/i;
+const FROM_NAMES = /^(?:from|from[\s_-]?currency|base|base[\s_-]?currency|source[\s_-]?currency|currency[\s_-]?from|ccy[\s_-]?from)$/i;
+const TO_NAMES = /^(?:to|to[\s_-]?currency|quote|quote[\s_-]?currency|target[\s_-]?currency|currency|currency[\s_-]?to|ccy[\s_-]?to|ccy)$/i;
+const RATE_NAMES = /^(?:rate|fx[\s_-]?rate|exchange[\s_-]?rate|value|obs[\s_-]?value|mid|mid[\s_-]?rate)$/i;
+const TYPE_NAMES = /^(?:type|rate[\s_-]?type|kind)$/i;
+
+const TYPE_ALIASES = {
+  spot: 'spot',
+  daily: 'spot',
+  mid: 'spot',
+  average: 'average',
+  avg: 'average',
+  'month average': 'average',
+  monthly_average: 'average',
+  closing: 'closing',
+  close: 'closing',
+  'month end': 'closing',
+  month_end: 'closing',
+  period_end: 'closing'
+};
+
+const findColumn = (columns, pattern) => columns.find(column => pattern.test(column.trim())) || null;
+
+/**
+ * Read a rate type as written in a file
+ */
+const readType = (value, fallback) => {
+  if (isMissing(value)) return fallback;
+  const type = TYPE_ALIASES[String(value).trim().toLowerCase().replace(/[\s-]+/g, ' ')] ||
+    TYPE_ALIASES[String(value).trim().toLowerCase().replace(/[\s-]+/g, '_')];
+  if (!type) {
+    throw new FxRateError(`Unknown rate type "${value}". Use spot, average or closing`);
+  }
+  return type;
+};
+
+/**
+ * Read the rows of a rate file into rates
+ * @param {Array} rows - Parsed rows
+ * @param {Object} options - Options
+ * @param {string} options.baseCurrency - Currency the columns of a wide file are quoted against
+ * @param {string} options.rateType - Rate type of rows that do not name one (default spot)
+ * @returns {Object} - { rates: [{ from, to, date, type, rate }], skipped, layout }
+ */
+const parseRateRows = (rows, options = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new FxRateError('The rate file has no rows');
+  }
+
+  const defaultType = checkRateType(options.rateType);
+  const columns = Object.keys(rows[0]);
+  const dateColumn = findColumn(columns, DATE_NAMES);
+  if (!dateColumn) {
+    throw new FxRateError('The rate file needs a date column');
+  }
+
+  const fromColumn = findColumn(columns, FROM_NAMES);
+  const toColumn = findColumn(columns.filter(column => column !== fromColumn), TO_NAMES);
+  const rateColumn = findColumn(columns, RATE_NAMES);
+  const typeColumn = findColumn(columns, TYPE_NAMES);
+  const rates = [];
+  const skipped = [];
+
+  const push = (index, entry) => {
+    if (!entry.date || !entry.from || !entry.to || Number.isNaN(entry.rate) || !(entry.rate > 0)) {
+      skipped.push(index);
+      return;
+    }
+    rates.push(entry);
+  };
+
+  if (rateColumn && toColumn) {
+    const base = normalizeCurrency(options.baseCurrency);
+    if (!fromColumn && !base) {
+      throw new FxRateError('The rate file has no "from" currency column; set baseCurrency');
+    }
+
+    rows.forEach((row, index) => push(index, {
+      date: toDay(row[dateColumn]),
+      from: fromColumn ? normalizeCurrency(row[fromColumn]) : base,
+      to: normalizeCurrency(row[toColumn]),
+      type: typeColumn ? readType(row[typeColumn], defaultType) : defaultType,
+      rate: parseNumber(row[rateColumn])
+    }));
+
+    return { rates, skipped: skipped.length, layout: 'long' };
+  }
+
+  // Wide layout: every column named like a currency code holds rates
+  const currencyColumns = columns.filter(column => column !== dateColumn && normalizeCurrency(column));
+  const base = normalizeCurrency(options.baseCurrency);
+  if (currencyColumns.length === 0) {
+    throw new FxRateError('No rate columns found; use date, from, to and rate columns, or one column per currency code');
+  }
+  if (!base) {
+    throw new FxRateError('Set baseCurrency: the currency the rate columns are quoted against');
+  }
+
+  rows.forEach((row, index) => {
+    currencyColumns.forEach(column => {
+      if (isMissing(row[column])) return;
+      push(index, {
+        date: toDay(row[dateColumn]),
+        from: base,
+        to: normalizeCurrency(column),
+        type: typeColumn ? readType(row[typeColumn], defaultType) : defaultType,
+        rate: parseNumber(row[column])
+      });
+    });
+  });
+
+  return { rates, skipped: new Set(skipped).size, layout: 'wide' };
+};
+
+module.exports = {
+  parseRateRows
+};
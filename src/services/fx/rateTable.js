@@ -0,0 +1,213 @@
+/**
+ * FX rate table
+ * Looks up the rate between two currencies for a date. Rates are stored as
+ * "1 from = rate to"; inverse rates and rates through a third currency are
+ * derived when the pair itself is missing.
+ *
+ * Rate types:
+ *   spot    - the rate on the date, or the latest one before it
+ *   average - the month's average rate, or the mean of its spot rates
+ *   closing - the month's closing rate, or its last spot rate
+ */
+const _ = require('lodash');
+const { isMissing, toDate, MS_PER_DAY } = require('../formula/coercion');
+const { FxRateError } = require('./errors');
+
+const RATE_TYPES = ['spot', 'average', 'closing'];
+
+// How old a spot rate may be and still be used for a later date
+const DEFAULT_MAX_AGE_DAYS = 7;
+
+/**
+ * Normalize a currency code
+ * @param {*} value - Code as written ("usd", " EUR ")
+ * @returns {string|null} - Upper-case ISO code, or null when the value is not one
+ */
+const normalizeCurrency = (value) => {
+  if (isMissing(value)) return null;
+  const code = String(value).trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+/**
+ * Read a date as YYYY-MM-DD
+ * @returns {string|null} - Date, or null when the value is not a date
+ */
+const toDay = (value) => {
+  if (isMissing(value)) return null;
+  try {
+    const date = toDate(value);
+    return date ? date.toISOString().slice(0, 10) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a rate type
+ */
+const checkRateType = (type) => {
+  const rateType = type || 'spot';
+  if (!RATE_TYPES.includes(rateType)) {
+    throw new FxRateError(`Unknown rate type "${type}". Use ${RATE_TYPES.join(', ')}`);
+  }
+  return rateType;
+};
+
+/**
+ * The period a looked-up rate belongs to: the day for spot rates, the month otherwise
+ */
+const ratePeriod = (day, type) => (type === 'spot' ? day : day.slice(0, 7));
+
+/**
+ * Build a rate table
+ * @param {Array} rates - [{ from, to, date, type, rate }]
+ * @param {Object} options - Options
+ * @param {number} options.maxAgeDays - How old a spot rate may be (default 7)
+ * @returns {Object} - { currencies, size, getRate(from, to, date, type) }
+ */
+const createRateTable = (rates = [], options = {}) => {
+  const maxAgeDays = options.maxAgeDays !== undefined ? Number(options.maxAgeDays) : DEFAULT_MAX_AGE_DAYS;
+  const series = new Map();
+
+  const add = (from, to, type, day, rate, derived) => {
+    const key = `${from}/${to}/${type}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ day, time: Date.parse(day), rate, derived });
+  };
+
+  rates.forEach(entry => {
+    const from = normalizeCurrency(entry.from);
+    const to = normalizeCurrency(entry.to);
+    const day = toDay(entry.date);
+    const rate = Number(entry.rate);
+    if (!from || !to || !day || !(rate > 0) || from === to) return;
+
+    const type = checkRateType(entry.type);
+    add(from, to, type, day, rate, null);
+    add(to, from, type, day, 1 / rate, 'inverse');
+  });
+
+  // Direct rates win over inverse ones on the same day
+  series.forEach((entries, key) => {
+    series.set(key, _.sortBy(_.uniqBy(_.sortBy(entries, entry => (entry.derived ? 1 : 0)), 'day'), 'time'));
+  });
+
+  const currencies = _.uniq([...series.keys()].map(key => key.split('/')[0])).sort();
+
+  /**
+   * Look up a pair without going through a third currency
+   */
+  const lookupPair = (from, to, day, type) => {
+    const month = day.slice(0, 7);
+    const inMonth = (key) => (series.get(key) || []).filter(entry => entry.day.slice(0, 7) === month);
+
+    if (type === 'spot') {
+      const entries = series.get(`${from}/${to}/spot`) || [];
+      const time = Date.parse(day);
+      const entry = _.findLast(entries, candidate => candidate.time <= time);
+      if (!entry || (time - entry.time) / MS_PER_DAY > maxAgeDays) return null;
+      return { rate: entry.rate, rateDate: entry.day, source: entry.derived || 'spot' };
+    }
+
+    const published = inMonth(`${from}/${to}/${type}`);
+    if (published.length > 0) {
+      const entry = _.last(published);
+      return { rate: entry.rate, rateDate: entry.day, source: entry.derived || type };
+    }
+
+    const spots = inMonth(`${from}/${to}/spot`);
+    if (spots.length === 0) return null;
+    return type === 'average'
+      ? { rate: _.meanBy(spots, 'rate'), rateDate: month, source: `mean of ${spots.length} spot rates` }
+      : { rate: _.last(spots).rate, rateDate: _.last(spots).day, source: 'last spot rate of the month' };
+  };
+
+  // Rows of a dataset share few currency/date combinations
+  const cache = new Map();
+
+  /**
+   * Get the rate converting one unit of "from" into "to"
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {*} date - Transaction date
+   * @param {string} type - spot, average or closing
+   * @returns {Object|null} - { rate, rateDate, source, via }, or null when no rate is known
+   */
+  const getRate = (from, to, date, type = 'spot') => {
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    const day = toDay(date);
+    const rateType = checkRateType(type);
+    if (!source || !target || !day) return null;
+    if (source === target) return { rate: 1, rateDate: day, source: 'same currency' };
+
+    const key = `${source}/${target}/${rateType}/${day}`;
+    if (!cache.has(key)) cache.set(key, findRate(source, target, day, rateType));
+    return cache.get(key);
+  };
+
+  /**
+   * Find a rate directly or through a third currency
+   */
+  const findRate = (source, target, day, rateType) => {
+    const direct = lookupPair(source, target, day, rateType);
+    if (direct) return direct;
+
+    // Cross rate through a currency both sides have rates against
+    for (const via of currencies) {
+      if (via === source || via === target) continue;
+      const first = lookupPair(source, via, day, rateType);
+      const second = first && lookupPair(via, target, day, rateType);
+      if (second) {
+        return {
+          rate: first.rate * second.rate,
+          rateDate: first.rateDate < second.rateDate ? first.rateDate : second.rateDate,
+          source: 'cross rate',
+          via
+        };
+      }
+    }
+
+    return null;
+  };
+
+  return {
+    currencies,
+    size: rates.length,
+    getRate
+  };
+};
+
+/**
+ * Build a lookup from the rates a conversion recorded, so replaying it gives the same result
+ * @param {Array} rates - [{ from, to, type, period, rate }]
+ * @returns {Object} - { getRate(from, to, date, type) }
+ */
+const createPinnedRates = (rates = []) => {
+  const pinned = new Map(rates.map(entry => [`${entry.from}/${entry.to}/${entry.type}/${entry.period}`, entry]));
+
+  return {
+    getRate: (from, to, date, type = 'spot') => {
+      const source = normalizeCurrency(from);
+      const target = normalizeCurrency(to);
+      const day = toDay(date);
+      if (!source || !target || !day) return null;
+      if (source === target) return { rate: 1, rateDate: day, source: 'same currency' };
+
+      const entry = pinned.get(`${source}/${target}/${type}/${ratePeriod(day, type)}`);
+      return entry ? { rate: entry.rate, rateDate: entry.rateDate || entry.period, source: 'recorded' } : null;
+    }
+  };
+};
+
+module.exports = {
+  RATE_TYPES,
+  DEFAULT_MAX_AGE_DAYS,
+  normalizeCurrency,
+  toDay,
+  checkRateType,
+  ratePeriod,
+  createRateTable,
+  createPinnedRates
+};
@@ -0,0 +1,241 @@
+/**
+ * FX Rate Service
+ * Stores the FX rate tables users upload and loads them for conversions.
+ * Rates stay local: nothing is fetched from a rate provider.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const Papa = require('papaparse');
+const _ = require('lodash');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { FxRate, sequelize } = require('../database/models');
+const { readWorkbook, readSheet } = require('../utils/workbookReader');
+const { parseRateRows, createRateTable, normalizeCurrency, FxRateError } = require('./fx');
+
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls'];
+
+/**
+ * Read the rows of an uploaded rate file
+ * @param {Object} file - { path, name } of an uploaded file, or { content, name } for CSV text
+ * @returns {Promise<Array>} - Rows
+ */
+const readRateFile = async (file) => {
+  const name = file.name || file.originalname || '';
+
+  if (file.path && WORKBOOK_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    return readSheet(readWorkbook(await fs.readFile(file.path))).data;
+  }
+
+  const content = file.content !== undefined ? String(file.content) : await fs.readFile(file.path, 'utf8');
+  const parsed = Papa.parse(content.replace(/^\uFEFF/, ''), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim()
+  });
+  return parsed.data;
+};
+
+/**
+ * Convert a rate record into a plain object
+ */
+const formatRate = (rate) => ({
+  id: rate.id,
+  from: rate.fromCurrency,
+  to: rate.toCurrency,
+  date: rate.rateDate,
+  type: rate.rateType,
+  rate: Number(rate.rate),
+  source: rate.source
+});
+
+/**
+ * Import an FX rate file
+ * Rates already stored for the same pair, type and date are replaced.
+ * @param {number} userId - User ID
+ * @param {Object} file - { path, name } of an uploaded CSV or Excel file, or { content, name } for CSV text
+ * @param {Object} options - Options
+ * @param {string} options.baseCurrency - Currency the columns of a wide file are quoted against
+ * @param {string} options.rateType - Rate type of rows that do not name one (spot, average or closing)
+ * @returns {Promise<Object>} - { imported, replaced, skipped, layout, pairs }
+ */
+exports.importRates = async (userId, file, options = {}) => {
+  if (!file || (!file.path && file.content === undefined)) {
+    throw new FxRateError('No rate file uploaded');
+  }
+
+  let rows;
+  try {
+    rows = await readRateFile(file);
+  } finally {
+    if (file.path) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+
+  const { rates, skipped, layout } = parseRateRows(rows, options);
+  if (rates.length === 0) {
+    throw new FxRateError('No valid rates found in the file');
+  }
+
+  // A file may repeat a rate; the last one wins
+  const unique = _.uniqBy([...rates].reverse(), rate => `${rate.from}/${rate.to}/${rate.type}/${rate.date}`).reverse();
+  const source = file.name || file.originalname || null;
+  const groups = _.groupBy(unique, rate => `${rate.from}/${rate.to}/${rate.type}`);
+
+  const replaced = await sequelize.transaction(async (transaction) => {
+    let removed = 0;
+    for (const group of Object.values(groups)) {
+      const { from, to, type } = group[0];
+      removed += await FxRate.destroy({
+        where: {
+          userId,
+          fromCurrency: from,
+          toCurrency: to,
+          rateType: type,
+          rateDate: { [Op.in]: group.map(rate => rate.date) }
+        },
+        transaction
+      });
+    }
+
+    await FxRate.bulkCreate(unique.map(rate => ({
+      fromCurrency: rate.from,
+      toCurrency: rate.to,
+      rate: rate.rate,
+      rateDate: rate.date,
+      rateType: rate.type,
+      source,
+      userId
+    })), { transaction });
+
+    return removed;
+  });
+
+  const pairs = Object.values(groups).map(group => ({
+    from: group[0].from,
+    to: group[0].to,
+    type: group[0].type,
+    count: group.length,
+    firstDate: _.minBy(group, 'date').date,
+    lastDate: _.maxBy(group, 'date').date
+  }));
+
+  logger.info('Imported FX rates', { userId, source, imported: unique.length, replaced, skipped, layout });
+
+  return {
+    imported: unique.length,
+    replaced,
+    skipped,
+    layout,
+    pairs
+  };
+};
+
+/**
+ * Build the where clause for rate filters
+ */
+const rateFilter = (userId, filters = {}) => {
+  const where = { userId };
+  const from = normalizeCurrency(filters.from);
+  const to = normalizeCurrency(filters.to);
+  if (from) where.fromCurrency = from;
+  if (to) where.toCurrency = to;
+  if (filters.type) where.rateType = filters.type;
+  if (filters.source) where.source = filters.source;
+  if (filters.startDate || filters.endDate) {
+    where.rateDate = {
+      ...(filters.startDate ? { [Op.gte]: filters.startDate } : {}),
+      ...(filters.endDate ? { [Op.lte]: filters.endDate } : {})
+    };
+  }
+  return where;
+};
+
+/**
+ * List the user's FX rates
+ * @param {number} userId - User ID
+ * @param {Object} filters - Filters
+ * @param {string} filters.from - Source currency
+ * @param {string} filters.to - Target currency
+ * @param {string} filters.type - Rate type
+ * @param {string} filters.startDate - First rate date
+ * @param {string} filters.endDate - Last rate date
+ * @param {number} filters.limit - Maximum rates returned (default 1000)
+ * @returns {Promise<Object>} - { pairs, rates }: a summary per pair and type, and the matching rates, newest first
+ */
+exports.listRates = async (userId, filters = {}) => {
+  const where = rateFilter(userId, filters);
+
+  const pairs = await FxRate.findAll({
+    where,
+    attributes: [
+      'fromCurrency',
+      'toCurrency',
+      'rateType',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.fn('MIN', sequelize.col('rateDate')), 'firstDate'],
+      [sequelize.fn('MAX', sequelize.col('rateDate')), 'lastDate']
+    ],
+    group: ['fromCurrency', 'toCurrency', 'rateType'],
+    order: [['fromCurrency', 'ASC'], ['toCurrency', 'ASC'], ['rateType', 'ASC']],
+    raw: true
+  });
+
+  const rates = await FxRate.findAll({
+    where,
+    order: [['rateDate', 'DESC'], ['fromCurrency', 'ASC'], ['toCurrency', 'ASC']],
+    limit: Math.min(parseInt(filters.limit, 10) || 1000, 10000)
+  });
+
+  return {
+    pairs: pairs.map(pair => ({
+      from: pair.fromCurrency,
+      to: pair.toCurrency,
+      type: pair.rateType,
+      count: Number(pair.count),
+      firstDate: pair.firstDate,
+      lastDate: pair.lastDate
+    })),
+    rates: rates.map(formatRate)
+  };
+};
+
+/**
+ * Delete FX rates
+ * @param {number} userId - User ID
+ * @param {Object} filters - Same filters as listRates; every rate of the user is deleted when empty
+ * @returns {Promise<number>} - Rates deleted
+ */
+exports.deleteRates = async (userId, filters = {}) => {
+  const deleted = await FxRate.destroy({ where: rateFilter(userId, filters) });
+  logger.info('Deleted FX rates', { userId, deleted });
+  return deleted;
+};
+
+/**
+ * Load the user's rates into a rate table for conversions
+ * @param {number} userId - User ID
+ * @param {Object} options - Options
+ * @param {number} options.maxAgeDays - How old a spot rate may be
+ * @returns {Promise<Object>} - Rate table
+ */
+exports.loadRateTable = async (userId, options = {}) => {
+  const rates = await FxRate.findAll({
+    where: { userId },
+    attributes: ['fromCurrency', 'toCurrency', 'rate', 'rateDate', 'rateType'],
+    raw: true
+  });
+
+  if (rates.length === 0) {
+    throw new FxRateError('No FX rates have been uploaded');
+  }
+
+  return createRateTable(rates.map(rate => ({
+    from: rate.fromCurrency,
+    to: rate.toCurrency,
+    date: rate.rateDate,
+    type: rate.rateType,
+    rate: Number(rate.rate)
+  })), options);
+};
@@ -0,0 +1,554 @@
+/**
+ * Ingestion Service
+ * Streams large CSV/XLSX/JSON uploads row by row. One pass computes the row
+ * count, content hash and column profile and writes a normalized NDJSON copy
+ * that later transformations replay against. Progress is kept per job so the
+ * UI can poll it while the file is processed.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { once } = require('events');
+const Papa = require('papaparse');
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const { createProfileAccumulator } = require('../utils/columnProfiler');
+const { readWorkbook, inspectWorkbook, getDefaultSheet, resolveSheetName, sheetRows, streamWorkbookRows } = require('../utils/workbookReader');
+const { DATA_DIR, getDatasetPath } = require('../utils/datasetLoader');
+const { detectStatementFormat, parseStatement } = require('./bankStatements');
+const { FinancialDataset } = require('../database/models');
+
+// Rows returned as the upload preview
+const PREVIEW_ROWS = 5;
+
+// Finished jobs are forgotten after an hour
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.xlsx': 'excel',
+  '.xls': 'excel',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+// Bytes read from .txt and .xml files to recognize bank statements
+const SNIFF_BYTES = 4096;
+
+const jobs = new Map();
+
+/**
+ * Read the start of a file as text
+ * @param {string} filePath - File path
+ * @returns {string} - Up to SNIFF_BYTES of content
+ */
+const readSample = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytes = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.toString('utf8', 0, bytes);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Work out the ingestion format of a file from its name
+ * .txt and .xml files are sniffed for bank statements when the path is given.
+ * @param {string} fileName - Original file name
+ * @param {string} filePath - Uploaded file path, used to sniff the content
+ * @returns {string} - csv, excel, json, ndjson or a statement format (ofx, mt940, camt053, qif)
+ */
+const detectFormat = (fileName, filePath = null) => {
+  const statementFormat = detectStatementFormat(fileName, filePath ? readSample(filePath) : '');
+  if (statementFormat) return statementFormat;
+
+  const format = FORMATS[path.extname(fileName || '').toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported file format "${path.extname(fileName || '') || fileName}"`);
+  }
+  return format;
+};
+
+/**
+ * Read a file as a stream, hashing it and reporting bytes read
+ * @param {string} filePath - File path
+ * @param {Object} io - Reader context ({ hash, onBytes })
+ * @returns {Object} - Readable stream
+ */
+const openSource = (filePath, { hash, onBytes }) => {
+  const source = fs.createReadStream(filePath);
+  source.on('data', (chunk) => {
+    hash.update(chunk);
+    onBytes(chunk.length);
+  });
+  return source;
+};
+
+/**
+ * Read a whole file, hashing it and reporting bytes read
+ * @param {string} filePath - File path
+ * @param {Object} io - Reader context ({ hash, onBytes })
+ * @returns {Buffer} - File content
+ */
+const readSource = (filePath, { hash, onBytes }) => {
+  const buffer = fs.readFileSync(filePath);
+  hash.update(buffer);
+  onBytes(buffer.length);
+  return buffer;
+};
+
+/**
+ * Yield the rows of a CSV file without loading it into memory
+ */
+async function* readCsvRows(filePath, io) {
+  const source = openSource(filePath, io);
+  const parser = Papa.parse(Papa.NODE_STREAM_INPUT, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true
+  });
+
+  source.on('error', error => parser.destroy(error));
+  source.pipe(parser);
+
+  for await (const row of parser) {
+    yield row;
+  }
+}
+
+/**
+ * Yield the rows of a newline-delimited JSON file
+ */
+async function* readNdjsonRows(filePath, io) {
+  const lines = readline.createInterface({ input: openSource(filePath, io), crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (line.trim() === '') continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check whether a file is a zip archive, as .xlsx workbooks are
+ * @param {string} filePath - File path
+ * @returns {boolean} - False for legacy .xls workbooks
+ */
+const isZipFile = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const signature = Buffer.alloc(4);
+    fs.readSync(fd, signature, 0, 4, 0);
+    return signature.toString('binary') === 'PK\x03\x04';
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Yield the rows of the selected sheets of a workbook
+ * .xlsx files are streamed, so only a few rows are held at a time. Several
+ * sheets are unioned, with a "sheet" column telling them apart.
+ */
+async function* readExcelRows(filePath, io) {
+  if (!isZipFile(filePath)) {
+    yield* readLegacyExcelRows(filePath, io);
+    return;
+  }
+
+  const { options, info } = io;
+  const unioned = Boolean(options.sheets && options.sheets.length > 1);
+
+  // The file is hashed as it is first read; a second read for the default sheet is not
+  let opened = false;
+  const openStream = () => {
+    if (opened) return fs.createReadStream(filePath);
+    opened = true;
+    return openSource(filePath, io);
+  };
+
+  for await (const { sheet, row } of streamWorkbookRows(openStream, options, info)) {
+    yield unioned ? { sheet, ...row } : row;
+  }
+
+  // The selection is part of the content, so each sheet of a workbook gets its own hash
+  io.hash.update(JSON.stringify({ sheets: _.map(info.sheetsRead, 'sheet'), headerRows: options.headerRows || {}, keepSubtotals: Boolean(options.keepSubtotals) }));
+}
+
+/**
+ * Yield the rows of the selected sheets of a legacy .xls workbook
+ * The xlsx package has to read the whole workbook, but rows are produced one
+ * at a time instead of being collected into an array of objects.
+ */
+async function* readLegacyExcelRows(filePath, io) {
+  const { options, info } = io;
+  const workbook = readWorkbook(readSource(filePath, io));
+  const sheets = inspectWorkbook(workbook);
+  const selected = (options.sheets && options.sheets.length > 0 ? options.sheets : [getDefaultSheet(workbook)])
+    .map(sheet => resolveSheetName(workbook, sheet));
+
+  // The selection is part of the content, so each sheet of a workbook gets its own hash
+  io.hash.update(JSON.stringify({ sheets: selected, headerRows: options.headerRows || {}, keepSubtotals: Boolean(options.keepSubtotals) }));
+  io.onTotalRows(_.sumBy(sheets.filter(sheet => selected.includes(sheet.name)), 'rowCount'));
+
+  info.sheets = sheets;
+  info.sheetsRead = [];
+
+  for (const name of selected) {
+    const stats = {};
+    const sheetOptions = {
+      headerRow: (options.headerRows || {})[name],
+      keepSubtotals: options.keepSubtotals
+    };
+
+    for (const row of sheetRows(workbook, name, sheetOptions, stats)) {
+      yield selected.length > 1 ? { sheet: name, ...row } : row;
+    }
+
+    info.sheetsRead.push(_.pick(stats, ['sheet', 'headerRow', 'range', 'columns', 'subtotalRows']));
+  }
+}
+
+/**
+ * Yield the rows of a JSON array file
+ * A JSON document cannot be split safely without a streaming parser, so it is
+ * parsed whole; use NDJSON for very large exports.
+ */
+async function* readJsonRows(filePath, io) {
+  const parsed = JSON.parse(readSource(filePath, io).toString('utf8'));
+  const rows = Array.isArray(parsed) ? parsed : [parsed];
+  io.onTotalRows(rows.length);
+
+  for (const row of rows) {
+    yield row;
+  }
+}
+
+/**
+ * Yield the normalized transactions of a bank statement
+ * Statements are small, so the file is parsed whole.
+ */
+async function* readStatementRows(filePath, io) {
+  const { transactions, statements } = parseStatement(
+    readSource(filePath, io).toString('utf8'),
+    io.format,
+    _.pick(io.options, ['currency'])
+  );
+  io.onTotalRows(transactions.length);
+  io.info.statements = statements;
+
+  for (const transaction of transactions) {
+    yield transaction;
+  }
+}
+
+const READERS = {
+  csv: readCsvRows,
+  excel: readExcelRows,
+  json: readJsonRows,
+  ndjson: readNdjsonRows,
+  ofx: readStatementRows,
+  mt940: readStatementRows,
+  camt053: readStatementRows,
+  qif: readStatementRows
+};
+
+/**
+ * Give every row the same columns, in first-seen order
+ * @param {Object} row - Parsed row
+ * @param {Array} columns - Columns seen so far (extended in place)
+ * @returns {Object} - Row with null for missing values
+ */
+const normalizeRow = (row, columns) => {
+  Object.keys(row).forEach(column => {
+    if (column !== '__parsed_extra' && !columns.includes(column)) columns.push(column);
+  });
+
+  const normalized = {};
+  columns.forEach(column => {
+    const value = row[column];
+    normalized[column] = value === undefined || (typeof value === 'number' && !isFinite(value)) ? null : value;
+  });
+  return normalized;
+};
+
+/**
+ * Stream a file once: count rows, hash it, profile its columns and write an NDJSON copy
+ * @param {string} filePath - Uploaded file path
+ * @param {Object} options - Options
+ * @param {string} options.fileName - Original file name, used to detect the format
+ * @param {string} options.outputPath - Where to write the normalized NDJSON copy
+ * @param {Array} options.sheets - Workbook sheets to read (names or indexes); several are unioned
+ * @param {Object} options.headerRows - 1-based header row per sheet name, overriding detection
+ * @param {boolean} options.keepSubtotals - Keep workbook subtotal and total rows
+ * @param {string} options.currency - Currency of QIF statements, which do not record one
+ * @param {Function} options.onProgress - Called with { bytesRead, totalBytes, rowCount, percent }
+ * @returns {Promise<Object>} - { format, rowCount, dataHash, columns, preview, outputPath },
+ *   plus { sheets, sheetsRead } for workbooks and { statements } for bank statements
+ */
+exports.ingestFile = async (filePath, options = {}) => {
+  const format = detectFormat(options.fileName || filePath, filePath);
+  const totalBytes = fs.statSync(filePath).size;
+  const hash = crypto.createHash('md5');
+  const accumulator = createProfileAccumulator();
+  const columns = [];
+  const preview = [];
+  const info = {};
+  const onProgress = options.onProgress || (() => {});
+
+  // CSV, NDJSON and .xlsx workbooks report progress by bytes read; .xls workbooks and
+  // JSON arrays are read whole first and then report by rows produced
+  const streamed = format === 'csv' || format === 'ndjson' || (format === 'excel' && isZipFile(filePath));
+
+  let bytesRead = 0;
+  let rowCount = 0;
+  let totalRows = null;
+
+  const report = () => onProgress({
+    bytesRead,
+    totalBytes,
+    rowCount,
+    percent: !streamed
+      ? Math.min(99, Math.floor((rowCount / (totalRows || 1)) * 100))
+      : Math.min(99, Math.floor((bytesRead / (totalBytes || 1)) * 100))
+  });
+
+  const outputPath = options.outputPath || `${filePath}.ndjson`;
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const output = fs.createWriteStream(outputPath);
+
+  // Write errors are kept rather than thrown from the stream: they are checked
+  // between rows, and a write still in flight when the stream is destroyed
+  // after a failure must not crash the process
+  let writeError = null;
+  output.on('error', (error) => {
+    writeError = writeError || error;
+  });
+
+  try {
+    const rows = READERS[format](filePath, {
+      format,
+      hash,
+      options,
+      info,
+      onBytes: (bytes) => {
+        bytesRead += bytes;
+        if (streamed) report();
+      },
+      onTotalRows: (count) => { totalRows = count; }
+    });
+
+    for await (const parsed of rows) {
+      const row = normalizeRow(parsed, columns);
+      if (Object.values(row).every(value => value === null || value === '')) continue;
+
+      accumulator.add(row);
+      if (preview.length < PREVIEW_ROWS) preview.push(row);
+      rowCount += 1;
+
+      if (writeError) throw writeError;
+      if (!output.write(`${JSON.stringify(row)}\n`)) {
+        await once(output, 'drain');
+      }
+      if (!streamed && rowCount % 1000 === 0) report();
+    }
+
+    if (writeError) throw writeError;
+    output.end();
+    await once(output, 'finish');
+  } catch (error) {
+    output.destroy();
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  }
+
+  if (rowCount === 0) {
+    fs.rmSync(outputPath, { force: true });
+    throw new Error('No data found in the file');
+  }
+
+  return {
+    format,
+    rowCount,
+    dataHash: hash.digest('hex'),
+    columns: accumulator.finish(),
+    preview,
+    outputPath,
+    ...info
+  };
+};
+
+/**
+ * Store an ingested file as a dataset whose source is the NDJSON copy
+ * @param {number} userId - Owner
+ * @param {string} fileName - Original file name
+ * @param {Object} result - Result of ingestFile
+ * @param {string} datasetName - Dataset name; defaults to the file name
+ * @returns {Promise<Object>} - FinancialDataset record
+ */
+const registerIngestedDataset = async (userId, fileName, result, datasetName = fileName) => {
+  const baseName = path.basename(fileName, path.extname(fileName));
+
+  const [dataset, created] = await FinancialDataset.findOrCreate({
+    where: {
+      userId,
+      name: datasetName,
+      dataHash: result.dataHash
+    },
+    defaults: {
+      description: result.statements
+        ? `Bank statement (${result.format.toUpperCase()}) from ${fileName}`
+        : `Dataset from ${fileName}${result.sheetsRead ? ` (${_.map(result.sheetsRead, 'sheet').join(', ')})` : ''}`,
+      sourceType: 'upload',
+      format: 'ndjson',
+      columns: JSON.stringify(result.columns),
+      rowCount: result.rowCount,
+      storageKey: `user_${userId}/${result.dataHash}/${baseName}.ndjson`
+    }
+  });
+
+  // The same file was ingested before; keep the stored copy
+  const storedPath = getDatasetPath(dataset);
+  if (!created && fs.existsSync(storedPath)) {
+    fs.rmSync(result.outputPath, { force: true });
+  } else {
+    fs.mkdirSync(path.dirname(storedPath), { recursive: true });
+    fs.renameSync(result.outputPath, storedPath);
+  }
+
+  return dataset;
+};
+
+/**
+ * Public view of a job
+ * @param {Object} job - Job state
+ * @returns {Object} - Copy safe to send to clients
+ */
+const toJobView = (job) => ({ ...job, result: job.result ? { ...job.result } : null });
+
+/**
+ * Start ingesting an uploaded file in the background
+ * @param {Object} file - Uploaded file ({ path, originalname, size })
+ * @param {number} userId - User ID
+ * @param {Object} options - { sheets, headerRows, keepSubtotals } for workbooks, { currency } for
+ *   QIF statements, and datasetName
+ * @returns {Object} - { jobId, completion } where completion resolves to the finished job
+ */
+exports.startIngestion = (file, userId, options = {}) => {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    userId,
+    fileName: file.originalname,
+    status: 'processing',
+    bytesRead: 0,
+    totalBytes: file.size || 0,
+    rowCount: 0,
+    percent: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+  jobs.set(id, job);
+
+  const stagingPath = path.join(DATA_DIR, `user_${userId}`, 'staging', `${id}.ndjson`);
+
+  const completion = exports.ingestFile(file.path, {
+    ..._.pick(options, ['sheets', 'headerRows', 'keepSubtotals', 'currency']),
+    fileName: file.originalname,
+    outputPath: stagingPath,
+    onProgress: (progress) => Object.assign(job, progress)
+  })
+    .then(async (result) => {
+      const dataset = await registerIngestedDataset(userId, file.originalname, result, options.datasetName);
+
+      Object.assign(job, {
+        status: 'completed',
+        percent: 100,
+        rowCount: result.rowCount,
+        result: {
+          datasetId: dataset.id,
+          format: result.format,
+          rowCount: result.rowCount,
+          dataHash: result.dataHash,
+          columns: result.columns,
+          preview: result.preview,
+          sheets: result.sheets,
+          sheetsRead: result.sheetsRead,
+          statements: result.statements
+        }
+      });
+    })
+    .catch((error) => {
+      logger.error('Error ingesting file:', { error, fileName: file.originalname });
+      fs.rmSync(stagingPath, { force: true });
+      Object.assign(job, { status: 'failed', error: error.message });
+    })
+    .then(() => {
+      job.finishedAt = new Date().toISOString();
+      setTimeout(() => jobs.delete(id), JOB_TTL_MS).unref();
+      return toJobView(job);
+    });
+
+  return { jobId: id, completion };
+};
+
+/**
+ * Ingest chosen sheets of an uploaded workbook
+ * In "separate" mode every sheet becomes its own dataset; in "union" mode the
+ * sheets are stacked into one dataset with a "sheet" column.
+ * @param {Object} file - Uploaded file ({ path, originalname, size })
+ * @param {number} userId - User ID
+ * @param {Object} selection - { sheets, mode, headerRows, keepSubtotals }
+ * @returns {Array} - [{ sheets, jobId, completion }]
+ */
+exports.startSheetIngestion = (file, userId, selection = {}) => {
+  const { sheets = [], mode = 'separate', headerRows, keepSubtotals } = selection;
+
+  if (detectFormat(file.originalname) !== 'excel') {
+    throw new Error('Sheets can only be chosen for Excel workbooks');
+  }
+  if (!['separate', 'union'].includes(mode)) {
+    throw new Error('Sheet mode must be "separate" or "union"');
+  }
+  if (sheets.length === 0) {
+    throw new Error('Choose at least one sheet');
+  }
+
+  const groups = mode === 'union' ? [sheets] : sheets.map(sheet => [sheet]);
+
+  return groups.map(group => ({
+    sheets: group,
+    ...exports.startIngestion(file, userId, {
+      sheets: group,
+      headerRows,
+      keepSubtotals,
+      datasetName: `${file.originalname} - ${group.join(' + ')}`
+    })
+  }));
+};
+
+/**
+ * Get the progress of an ingestion job
+ * @param {string} jobId - Job ID
+ * @param {number} userId - User ID; jobs are only visible to their owner
+ * @returns {Object|null} - Job state, or null when unknown
+ */
+exports.getIngestionJob = (jobId, userId) => {
+  const job = jobs.get(jobId);
+  if (!job || job.userId !== userId) return null;
+  return toJobView(job);
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+jest.mock('../database/models', () => ({ FinancialDataset: { findOrCreate: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/datasetLoader', () => {
+  const nodePath = jest.requireActual('path');
+  const dataDir = nodePath.join(jest.requireActual('os').tmpdir(), `ingestion-test-${process.pid}`);
+  return {
+    DATA_DIR: dataDir,
+    getDatasetPath: dataset => nodePath.join(dataDir, dataset.storageKey)
+  };
+});
+
+const { FinancialDataset } = require('../database/models');
+const { DATA_DIR } = require('../utils/datasetLoader');
+const { ingestFile, startIngestion, getIngestionJob } = require('./ingestionService');
+
+let dir;
+
+const writeFile = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+const readNdjson = (filePath) => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+const csv = [
+  'date,account,amount,memo',
+  '2024-01-31,6100,1200.50,Rent',
+  '2024-02-29,6200,,',
+  '',
+  '2024-03-31,6100,980,Rent'
+].join('\n');
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+  FinancialDataset.findOrCreate.mockImplementation(async ({ where, defaults }) => [{ id: 12, ...where, ...defaults }, true]);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('ingestFile', () => {
+  it('counts, hashes and profiles a CSV in one pass and writes an NDJSON copy', async () => {
+    const filePath = writeFile('ledger.csv', csv);
+    const progress = [];
+
+    const result = await ingestFile(filePath, { fileName: 'ledger.csv', onProgress: update => progress.push(update) });
+
+    expect(result).toMatchObject({ format: 'csv', rowCount: 3, outputPath: `${filePath}.ndjson` });
+    expect(result.dataHash).toBe(crypto.createHash('md5').update(csv).digest('hex'));
+    expect(result.preview[1]).toEqual({ date: '2024-02-29', account: 6200, amount: null, memo: null });
+    expect(readNdjson(result.outputPath).map(row => row.amount)).toEqual([1200.5, null, 980]);
+    expect(result.columns.find(column => column.name === 'amount')).toMatchObject({ type: 'number' });
+    expect(progress[progress.length - 1]).toMatchObject({ bytesRead: csv.length, totalBytes: csv.length });
+  });
+
+  it('reads newline-delimited and array JSON', async () => {
+    const ndjson = await ingestFile(writeFile('rows.ndjson', '{"a":1}\n\n{"a":2,"b":"x"}\n'));
+    const array = await ingestFile(writeFile('rows.json', JSON.stringify([{ a: 1 }, { a: 2 }])));
+
+    expect(readNdjson(ndjson.outputPath)).toEqual([{ a: 1 }, { a: 2, b: 'x' }]);
+    expect(array).toMatchObject({ format: 'json', rowCount: 2 });
+  });
+
+  it('reports the line of invalid NDJSON and removes the partial copy', async () => {
+    const filePath = writeFile('rows.ndjson', '{"a":1}\n{"a":\n');
+
+    await expect(ingestFile(filePath)).rejects.toThrow('Invalid JSON on line 2');
+    expect(fs.existsSync(`${filePath}.ndjson`)).toBe(false);
+  });
+
+  it('rejects empty files and unsupported formats', async () => {
+    await expect(ingestFile(writeFile('empty.csv', 'a,b\n'))).rejects.toThrow('No data found in the file');
+    await expect(ingestFile(writeFile('notes.docx', 'x'))).rejects.toThrow('Unsupported file format ".docx"');
+  });
+});
+
+describe('startIngestion', () => {
+  beforeEach(() => {
+    // Jobs expire on an unref'd Node timer; the jsdom test environment returns plain ids
+    jest.spyOn(global, 'setTimeout').mockImplementation(() => ({ unref: () => {} }));
+  });
+
+  afterEach(() => {
+    global.setTimeout.mockRestore();
+  });
+
+  it('stores the dataset and reports the finished job to its owner only', async () => {
+    const filePath = writeFile('upload-1', csv);
+    const { jobId, completion } = startIngestion({ path: filePath, originalname: 'ledger.csv', size: csv.length }, 7);
+
+    const job = await completion;
+
+    expect(job).toMatchObject({ status: 'completed', percent: 100, rowCount: 3, result: { datasetId: 12, format: 'csv' } });
+    const { defaults } = FinancialDataset.findOrCreate.mock.calls[0][0];
+    expect(defaults).toMatchObject({ format: 'ndjson', rowCount: 3 });
+    expect(readNdjson(path.join(DATA_DIR, defaults.storageKey))).toHaveLength(3);
+    expect(getIngestionJob(jobId, 7).status).toBe('completed');
+    expect(getIngestionJob(jobId, 8)).toBeNull();
+  });
+
+  it('marks the job failed with the reason', async () => {
+    const filePath = writeFile('upload-2', 'a,b\n');
+
+    const job = await startIngestion({ path: filePath, originalname: 'empty.csv', size: 4 }, 7).completion;
+
+    expect(job).toMatchObject({ status: 'failed', error: 'No data found in the file' });
+    expect(FinancialDataset.findOrCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,1178 @@
+/**
+ * Rule-based Intent Parser
+ * Deterministic, offline interpretation of the most common chat commands.
+ * Produces the same { intent, operation, columns, conditions, explanation }
+ * shape as the OpenAI interpreter, or null when a command is not recognised.
+ *
+ * Examples:
+ *   sort by amount descending
+ *   remove duplicates on invoice_id
+ *   filter region = EMEA
+ *   show rows where amount > 10000 and vendor in (Acme, Globex)
+ *   sum revenue by month
+ *   pivot amount by region across month
+ *   unpivot Jan to Dec into period and amount
+ *   calculate total = price * quantity
+ *   convert amount to number using comma decimals
+ *   fill missing amount with median
+ *   left join on customer_id
+ */
+const { getFormulaColumns } = require('./formula');
+const { describeCondition } = require('../utils/filterConditions');
+const { findPeriodColumns } = require('../utils/dataTransformer');
+const { normalizeCurrency } = require('./fx');
+
+// Example commands shown when nothing could interpret a request
+const EXAMPLE_COMMANDS = [
+  'sort by amount descending',
+  'remove duplicates on invoice_id',
+  'merge similar vendors',
+  'filter region = EMEA',
+  'show rows where amount > 10000 and date between 2024-Q1 and 2024-Q2',
+  'sum revenue by month',
+  'pivot amount by region across month',
+  'unpivot Jan to Dec into period and amount',
+  'calculate total = price * quantity',
+  'convert amount to EUR using month average rates',
+  'merge on customer_id'
+];
+
+const SORT_DIRECTIONS = {
+  asc: 'asc',
+  ascending: 'asc',
+  'a-z': 'asc',
+  'low to high': 'asc',
+  'lowest first': 'asc',
+  'smallest first': 'asc',
+  'oldest first': 'asc',
+  desc: 'desc',
+  descending: 'desc',
+  'z-a': 'desc',
+  'high to low': 'desc',
+  'highest first': 'desc',
+  'largest first': 'desc',
+  'biggest first': 'desc',
+  'newest first': 'desc'
+};
+
+const AGGREGATE_FUNCTIONS = {
+  sum: 'sum',
+  total: 'sum',
+  average: 'average',
+  avg: 'average',
+  mean: 'average',
+  min: 'min',
+  minimum: 'min',
+  max: 'max',
+  maximum: 'max',
+  count: 'count',
+  'number of': 'count',
+  median: 'median',
+  'distinct count': 'distinct_count',
+  'count distinct': 'distinct_count',
+  'unique count': 'distinct_count',
+  'number of distinct': 'distinct_count',
+  'number of unique': 'distinct_count',
+  first: 'first',
+  last: 'last',
+  'weighted average': 'weighted_average',
+  'weighted avg': 'weighted_average',
+  'weighted mean': 'weighted_average'
+};
+
+const TIME_GRAINS = {
+  day: 'day',
+  daily: 'day',
+  week: 'week',
+  weekly: 'week',
+  month: 'month',
+  monthly: 'month',
+  quarter: 'quarter',
+  quarterly: 'quarter',
+  year: 'year',
+  yearly: 'year',
+  annual: 'year'
+};
+
+const JOIN_TYPES = {
+  inner: 'inner',
+  left: 'left',
+  'left outer': 'left',
+  right: 'right',
+  'right outer': 'right',
+  full: 'full',
+  outer: 'full',
+  'full outer': 'full'
+};
+
+const RATE_TYPES = {
+  spot: 'spot',
+  daily: 'spot',
+  average: 'average',
+  avg: 'average',
+  'month average': 'average',
+  'monthly average': 'average',
+  'month-average': 'average',
+  closing: 'closing',
+  'month end': 'closing',
+  'month-end': 'closing',
+  'period end': 'closing',
+  'period-end': 'closing'
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (words) => Object.keys(words)
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join('|');
+
+/**
+ * Normalize a command: trim, collapse whitespace and drop polite prefixes
+ * @param {string} input - Raw user input
+ * @returns {string} - Normalized command
+ */
+const normalizeInput = (input) => String(input || '')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .replace(/[.!?]+$/, '')
+  .replace(/^(?:please|can you|could you|would you|i want to|i'd like to|i would like to|let's|lets)\s+/i, '')
+  .replace(/\s+please$/i, '')
+  .trim();
+
+/**
+ * Strip quotes, brackets and filler words around a column name
+ * @param {string} text - Column text
+ * @returns {string} - Cleaned name
+ */
+const cleanName = (text) => String(text)
+  .trim()
+  .replace(/^(?:the\s+)?(?:column\s+)?/i, '')
+  .replace(/\s+column$/i, '')
+  .replace(/^["'`[]|["'`\]]$/g, '')
+  .trim();
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Resolve a column name against the known columns
+ * Without known columns the cleaned text is returned as is.
+ * @param {string} text - Column as written by the user
+ * @param {Array} columns - Known column names
+ * @returns {string|null} - Column name, or null when no column matches
+ */
+const resolveColumn = (text, columns) => {
+  const name = cleanName(text);
+  if (!name) return null;
+  if (!columns || columns.length === 0) return name;
+
+  const exact = columns.find(col => col === name) ||
+    columns.find(col => col.toLowerCase() === name.toLowerCase());
+  if (exact) return exact;
+
+  const normalized = normalizeName(name);
+  const singular = normalized.replace(/s$/, '');
+
+  return columns.find(col => normalizeName(col) === normalized) ||
+    columns.find(col => normalizeName(col).replace(/s$/, '') === singular) ||
+    null;
+};
+
+/**
+ * Resolve a list of columns such as "region, product and channel"
+ * A list is first tried as a single column so names containing "and" still resolve.
+ * @param {string} text - Column list
+ * @param {Array} columns - Known column names
+ * @returns {Array|null} - Column names, or null if any column is unknown
+ */
+const resolveColumnList = (text, columns) => {
+  if (columns && columns.length > 0) {
+    const whole = resolveColumn(text, columns);
+    if (whole) return [whole];
+  }
+
+  const parts = text.split(/\s*(?:,|\band\b|&)\s*/i).filter(Boolean);
+  const resolved = parts.map(part => resolveColumn(part, columns));
+
+  return resolved.length > 0 && resolved.every(Boolean) ? resolved : null;
+};
+
+/**
+ * Convert a filter value to a number or boolean where the text clearly is one
+ * @param {string} text - Value as written
+ * @returns {*} - Typed value
+ */
+const parseValue = (text) => {
+  const value = text.trim();
+  const quoted = /^(["'])(.*)\1$/.exec(value);
+  if (quoted) return quoted[2];
+
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  // Amounts such as 10,000 or $1,250.50
+  if (/^-?[$€£]?\d{1,3}(,\d{3})*(\.\d+)?$/.test(value)) return Number(value.replace(/[$€£,]/g, ''));
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  return value;
+};
+
+/**
+ * Find the first date column for time-grain grouping
+ * @param {Object} columnTypes - Map of column name to detected type
+ * @returns {string|null} - Column name
+ */
+const findDateColumn = (columnTypes = {}) => Object.keys(columnTypes).find(col => columnTypes[col] === 'date') || null;
+
+/**
+ * Resolve grouping columns such as "region and month", where a time grain
+ * ("month") groups the first date column by period
+ * @param {string} text - Grouping text
+ * @param {Object} context - { columns, columnTypes }
+ * @returns {Object|null} - { groupBy, dateColumn, timeGrain }, or null if a part is unknown
+ */
+const resolveGroupColumns = (text, { columns, columnTypes }) => {
+  const whole = columns.length > 0 ? resolveColumn(text, columns) : null;
+  if (whole) return { groupBy: [whole], dateColumn: null, timeGrain: null };
+
+  const groupBy = [];
+  let timeGrain = null;
+
+  for (const part of text.split(/\s*(?:,|\band\b|&|\bthen\b)\s*/i).filter(Boolean)) {
+    const column = resolveColumn(part, columns);
+    const grain = TIME_GRAINS[cleanName(part).toLowerCase()];
+
+    if (column) {
+      groupBy.push(column);
+    } else if (grain && !timeGrain) {
+      timeGrain = grain;
+      groupBy.push(grain);
+    } else {
+      return null;
+    }
+  }
+
+  const dateColumn = timeGrain ? findDateColumn(columnTypes) : null;
+  if (groupBy.length === 0 || (timeGrain && !dateColumn)) return null;
+
+  return { groupBy, dateColumn, timeGrain };
+};
+
+/**
+ * Split "sum of amount" into an aggregate function and column text
+ * @param {string} text - Metric text
+ * @returns {Object} - { fn, columnText }; fn is null when no function is named
+ */
+const splitMetric = (text) => {
+  const match = new RegExp(`^(${alternation(AGGREGATE_FUNCTIONS)})\\s+(?:of\\s+(?:the\\s+)?)?(.+)$`, 'i').exec(text.trim());
+  return match
+    ? { fn: AGGREGATE_FUNCTIONS[match[1].toLowerCase()], columnText: match[2] }
+    : { fn: null, columnText: text };
+};
+
+/**
+ * Describe grouping columns, naming the date column behind a time grain
+ */
+const describeGroups = (groupBy, { dateColumn, timeGrain }) => groupBy
+  .map(key => (timeGrain && key === timeGrain ? `${timeGrain} of ${dateColumn}` : key))
+  .join(', ');
+
+const SORT_PATTERN = new RegExp(
+  `^(?:sort|order|arrange|rank)\\s+(?:(?:the\\s+)?(?:data|rows|records|table)\\s+)?by\\s+(.+?)` +
+  `(?:\\s+(?:in\\s+|from\\s+)?(${alternation(SORT_DIRECTIONS)})(?:\\s+order)?)?$`,
+  'i'
+);
+
+const DEDUPE_PATTERN = /^(?:(?:remove|drop|delete|eliminate)\s+(?:all\s+)?(?:the\s+)?duplicates?(?:\s+(?:rows|records|entries))?|dedupe|de-duplicate|deduplicate)(?:\s+(?:the\s+)?(?:data|rows|records))?(?:\s+(?:on|by|based on|using|in|for)\s+(.+))?$/i;
+
+const FUZZY_DEDUPE_PATTERN = /^(?:(?:merge|remove|drop|find|group|dedupe|deduplicate)\s+(?:all\s+)?(?:the\s+)?(?:fuzzy|similar|near[- ]?duplicate|probable|likely)\s*(.*?)|fuzzy\s+(?:dedupe|de-duplicate|deduplicate|match(?:ing)?)(?:\s+(.+?))?)(?:\s+(?:with\s+)?(?:a\s+)?threshold\s+(?:of\s+)?(\d+(?:\.\d+)?)(%)?)?$/i;
+
+const FUZZY_DEDUPE_TARGET = /^(?:duplicates?|matches|records|rows|entries)?\s*(?:(?:on|by|based on|using|in|for)\s+)?(.*)$/i;
+
+const FILTER_PATTERN = /^(?:filter|show|keep|select|find|only show|show only)\s+(?:(?:only\s+)?(?:the\s+)?(?:data|rows|records|entries|transactions)\s+)?(?:(?:where|with|for|whose)\s+)?(.+)$/i;
+
+const COMPARISON_WORDS = {
+  'is equal to': 'eq',
+  'equal to': 'eq',
+  equals: 'eq',
+  is: 'eq',
+  'is not': 'ne',
+  "isn't": 'ne',
+  'not equal to': 'ne',
+  'does not equal': 'ne',
+  'greater than or equal to': 'gte',
+  'at least': 'gte',
+  'no less than': 'gte',
+  'less than or equal to': 'lte',
+  'at most': 'lte',
+  'no more than': 'lte',
+  'greater than': 'gt',
+  'more than': 'gt',
+  over: 'gt',
+  above: 'gt',
+  after: 'gt',
+  exceeds: 'gt',
+  'less than': 'lt',
+  'fewer than': 'lt',
+  under: 'lt',
+  below: 'lt',
+  before: 'lt'
+};
+
+const COMPARISON_SYMBOLS = {
+  '>=': 'gte',
+  '<=': 'lte',
+  '!=': 'ne',
+  '<>': 'ne',
+  '==': 'eq',
+  '=': 'eq',
+  '>': 'gt',
+  '<': 'lt'
+};
+
+const TEXT_MATCHES = {
+  contains: 'contains',
+  contain: 'contains',
+  includes: 'contains',
+  include: 'contains',
+  'does not contain': 'not_contains',
+  "doesn't contain": 'not_contains',
+  'not containing': 'not_contains',
+  'starts with': 'starts_with',
+  'start with': 'starts_with',
+  'begins with': 'starts_with',
+  'ends with': 'ends_with',
+  'end with': 'ends_with',
+  matches: 'matches'
+};
+
+const NULL_PATTERN = /^(.+?)\s+(?:is\s+)?(not\s+)?(?:empty|blank|null|missing)$/i;
+const NOT_NULL_PATTERN = /^(.+?)\s+(?:is\s+not\s+(?:empty|blank|null|missing)|has\s+a\s+value)$/i;
+const BETWEEN_PATTERN = /^(.+?)\s+(?:is\s+)?(not\s+)?between\s+(.+?)\s+and\s+(.+)$/i;
+const IN_PATTERN = /^(.+?)\s+(?:is\s+)?(not\s+in|in|not\s+one\s+of|one\s+of)\s+\(?(.+?)\)?$/i;
+const TEXT_MATCH_PATTERN = new RegExp(`^(.+?)\\s+(${alternation(TEXT_MATCHES)})\\s+(.+)$`, 'i');
+const COMPARISON_WORD_PATTERN = new RegExp(`^(.+?)\\s+(?:is\\s+)?(${alternation(COMPARISON_WORDS)})\\s+(.+)$`, 'i');
+const COMPARISON_SYMBOL_PATTERN = new RegExp(`^(.+?)\\s*(${alternation(COMPARISON_SYMBOLS)})\\s*(.+)$`);
+
+const AGGREGATE_PATTERN = new RegExp(
+  `^(?:(?:calculate|compute|show|get|give me|what is|what's)\\s+)?(?:the\\s+)?` +
+  `((?:${alternation(AGGREGATE_FUNCTIONS)})\\b.+?)\\s+(?:by|per|for each|grouped by|group by)\\s+(.+)$`,
+  'i'
+);
+
+// "in EUR" after an aggregate converts the amounts first
+const CURRENCY_SUFFIX_PATTERN = new RegExp(
+  `\\s+in\\s+([A-Za-z]{3})(?:\\s+(?:using|at|with)\\s+(?:the\\s+)?(${alternation(RATE_TYPES)})(?:\\s+(?:fx\\s+|exchange\\s+)?rates?)?)?$`,
+  'i'
+);
+
+const WEIGHT_PATTERN = /\s+weighted by\s+(.+?)(?=\s+(?:by|per|for each|grouped by|group by)\s+|$)/i;
+
+const PIVOT_PATTERN = /^(?:(?:create|make|build|show)\s+(?:a\s+|me\s+a\s+)?)?(?:pivot(?:\s+table)?|cross[- ]?tab(?:ulate|ulation)?)\s+(?:(?:of|on|for)\s+)?(.+?)(\s+with\s+(?:row\s+)?totals?)?$/i;
+
+const UNPIVOT_PATTERN = /^(?:unpivot|melt|reshape(?:\s+(?:the\s+)?data)?\s+(?:to|into)\s+long(?:\s+format)?|turn\s+(?:the\s+)?columns\s+into\s+rows)(?:\s+(.+?))?(?:\s+(?:into|as)\s+(.+?)\s+and\s+(.+))?$/i;
+
+const CALCULATE_PATTERN = /^(?:calculate|compute|add(?:\s+a)?(?:\s+new)?\s+column|create(?:\s+a)?(?:\s+new)?\s+column|new column)\s+(.+?)\s*(?:=|\bas\b)\s*(.+)$/i;
+
+const CONVERT_CURRENCY_PATTERN = new RegExp(
+  `^(?:convert|translate|restate)\\s+(.+?)\\s+(?:to|into|in)\\s+([A-Za-z]{3})` +
+  `(?:\\s+(?:using|at|with)\\s+(?:the\\s+)?(${alternation(RATE_TYPES)})(?:\\s+(?:fx\\s+|exchange\\s+)?rates?)?)?$`,
+  'i'
+);
+
+const TRIM_PATTERN = /^(?:trim|strip|remove|clean(?:\s+up)?)\s+(?:the\s+)?(extra\s+)?(?:white\s*space|spaces)(?:\s+(?:in|from|on)\s+(.+))?$|^(?:trim|strip)\s+(?!(?:the\s+)?outliers)(.+)$/i;
+
+const CASE_NAMES = {
+  upper: 'upper',
+  uppercase: 'upper',
+  'upper case': 'upper',
+  capitals: 'upper',
+  lower: 'lower',
+  lowercase: 'lower',
+  'lower case': 'lower',
+  title: 'title',
+  'title case': 'title',
+  titlecase: 'title',
+  capitalize: 'title',
+  'proper case': 'title',
+  sentence: 'sentence',
+  'sentence case': 'sentence'
+};
+
+const CASE_PATTERN = new RegExp(
+  `^(?:(?:convert|change|make|set|normali[sz]e|put)\\s+(.+?)\\s+(?:to|into|in)\\s+(${alternation(CASE_NAMES)})(?:\\s+case)?` +
+  `|(uppercase|lowercase|capitalize|title\\s*case|proper\\s*case)\\s+(.+))$`,
+  'i'
+);
+
+const CAST_TYPES = {
+  number: 'number',
+  numbers: 'number',
+  numeric: 'number',
+  decimal: 'number',
+  decimals: 'number',
+  integer: 'number',
+  integers: 'number',
+  amount: 'number',
+  amounts: 'number',
+  date: 'date',
+  dates: 'date',
+  boolean: 'boolean',
+  booleans: 'boolean',
+  'true/false': 'boolean',
+  text: 'string',
+  string: 'string',
+  strings: 'string'
+};
+
+const CAST_PATTERN = new RegExp(
+  `^(?:convert|cast|change|parse|treat|format)\\s+(.+?)\\s+(?:to|into|as)\\s+(?:an?\\s+)?(${alternation(CAST_TYPES)})` +
+  '(?:\\s+(?:using|with|in|from)\\s+(.+))?$',
+  'i'
+);
+
+const FILL_METHODS = {
+  forward: 'forward',
+  'forward fill': 'forward',
+  previous: 'forward',
+  'previous value': 'forward',
+  'value above': 'forward',
+  down: 'forward',
+  ffill: 'forward',
+  backward: 'backward',
+  'backward fill': 'backward',
+  next: 'backward',
+  'next value': 'backward',
+  'value below': 'backward',
+  up: 'backward',
+  bfill: 'backward',
+  mean: 'mean',
+  average: 'mean',
+  median: 'median'
+};
+
+const FILL_PATTERN = /^(?:(?:fill|impute|replace)\s+(?:in\s+)?(?:the\s+)?(?:missing|blanks?|empty|nulls?|gaps)(?:\s+(?:values?|cells?))?(?:\s+(?:in|for|of))?(?:\s+(?!(?:with|using|by)\b)(.+?))?(?:\s+(?:with|using|by)\s+(?:the\s+)?(.+?))?|(forward|backward|ffill|bfill)(?:[\s-]fill)?\s+(.+?))$/i;
+
+const DROP_PATTERN = /^(?:drop|delete|remove)\s+(?:the\s+)?columns?\s+(.+)$/i;
+
+const RENAME_PATTERN = /^rename\s+(?:the\s+)?(?:column\s+)?(.+?)\s+(?:to|as|into)\s+(.+)$/i;
+
+const OUTLIER_PATTERN = /^(?:cap|clip|winsori[sz]e|trim|limit)\s+(?:the\s+)?(?:extreme\s+values|outliers)(?:\s+(?:in|of|for|on)\s+(.+?))?(?:\s+(?:at|to|using|with|beyond)\s+(?:the\s+)?(.+))?$/i;
+
+const MERGE_PATTERN = new RegExp(
+  `^(?:(${alternation(JOIN_TYPES)})\\s+)?(?:merge|join|combine|match)` +
+  `(?:\\s+(?:the\\s+)?(?:files|datasets|data|tables|sheets))?(?:\\s+(?:on|by|using|matching on)\\s+(.+))?$`,
+  'i'
+);
+
+const UNION_PATTERN = /^(?:append|stack|union)(?:\s+(?:the\s+)?(?:files|datasets|data|tables|sheets))?(?:\s+together)?$/i;
+
+/**
+ * Sort rule: "sort by amount descending"
+ */
+const parseSort = (text, { columns }) => {
+  const match = SORT_PATTERN.exec(text);
+  if (!match) return null;
+
+  const sortColumns = resolveColumnList(match[1], columns);
+  if (!sortColumns) return null;
+
+  const order = match[2] ? SORT_DIRECTIONS[match[2].toLowerCase()] : 'asc';
+
+  return {
+    intent: 'Sort data',
+    operation: 'sort',
+    columns: sortColumns,
+    conditions: { order },
+    explanation: `Sort by ${sortColumns.join(', ')} in ${order === 'desc' ? 'descending' : 'ascending'} order`
+  };
+};
+
+/**
+ * Duplicate rule: "remove duplicates on invoice_id"
+ */
+const parseRemoveDuplicates = (text, { columns }) => {
+  const match = DEDUPE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const keyColumns = match[1] ? resolveColumnList(match[1], columns) : [];
+  if (!keyColumns) return null;
+
+  return {
+    intent: 'Remove duplicates',
+    operation: 'remove_duplicates',
+    columns: keyColumns,
+    conditions: {},
+    explanation: keyColumns.length > 0
+      ? `Remove rows with the same ${keyColumns.join(', ')}`
+      : 'Remove rows that are exact duplicates'
+  };
+};
+
+/**
+ * Fuzzy duplicate rule: "merge similar vendors", "find fuzzy duplicates in vendor_name",
+ * "fuzzy dedupe on name, city threshold 0.9"
+ */
+const parseFuzzyDuplicates = (text, { columns }) => {
+  const match = FUZZY_DEDUPE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const target = FUZZY_DEDUPE_TARGET.exec((match[1] !== undefined ? match[1] : match[2]) || '')[1].trim();
+  if (!target) return null;
+
+  // "merge similar vendors" names the column by its content: vendors -> vendor_name
+  const singular = normalizeName(target).replace(/s$/, '');
+  const named = columns.filter(col => normalizeName(col).startsWith(singular));
+  const keyColumns = resolveColumnList(target, columns) || (named.length === 1 ? named : null);
+  if (!keyColumns) return null;
+
+  const conditions = {};
+  if (match[3]) {
+    conditions.threshold = match[4] || Number(match[3]) > 1 ? Number(match[3]) / 100 : Number(match[3]);
+  }
+
+  return {
+    intent: 'Merge probable duplicates',
+    operation: 'merge_duplicates',
+    columns: keyColumns,
+    conditions,
+    explanation: `Merge rows with similar ${keyColumns.join(', ')}`
+  };
+};
+
+/**
+ * Parse a single filter comparison such as "amount > 1000", "date between 2024-Q1 and 2024-Q2",
+ * "vendor in (Acme, Globex)", "memo contains refund" or "approver is empty"
+ * @param {string} text - Condition text
+ * @param {Array} columns - Known column names
+ * @returns {Object|null} - Leaf condition, or null if the text is not one comparison
+ */
+const parseComparison = (text, columns) => {
+  const leaf = (columnText, operator, value) => {
+    const column = resolveColumn(columnText, columns);
+    if (!column) return null;
+    return value === undefined ? { column, operator } : { column, operator, value };
+  };
+  let match;
+
+  if ((match = NOT_NULL_PATTERN.exec(text))) return leaf(match[1], 'is_not_null');
+  if ((match = NULL_PATTERN.exec(text))) return leaf(match[1], match[2] ? 'is_not_null' : 'is_null');
+
+  if ((match = BETWEEN_PATTERN.exec(text))) {
+    return leaf(match[1], match[2] ? 'not_between' : 'between', [parseValue(match[3]), parseValue(match[4])]);
+  }
+
+  if ((match = IN_PATTERN.exec(text))) {
+    const values = match[3].split(/\s*(?:,|\bor\b)\s*/i).filter(Boolean).map(parseValue);
+    return leaf(match[1], /^not/i.test(match[2]) ? 'not_in' : 'in', values);
+  }
+
+  if ((match = TEXT_MATCH_PATTERN.exec(text))) {
+    return leaf(match[1], TEXT_MATCHES[match[2].toLowerCase()], parseValue(match[3]));
+  }
+
+  const symbol = COMPARISON_SYMBOL_PATTERN.exec(text);
+  const word = COMPARISON_WORD_PATTERN.exec(text);
+  // Whichever operator comes first splits the column from the value
+  match = symbol && (!word || symbol[1].length <= word[1].length) ? symbol : word;
+  if (!match) return null;
+
+  const operator = match === symbol
+    ? COMPARISON_SYMBOLS[match[2]]
+    : COMPARISON_WORDS[match[2].toLowerCase()];
+
+  return leaf(match[1], operator, parseValue(match[3]));
+};
+
+/**
+ * Split text on a connective and parse each part, re-joining parts that do not
+ * parse on their own ("amount between 10 and 20 and region = EMEA")
+ * @param {string} text - Condition text
+ * @param {string} connective - and / or
+ * @param {Function} parsePart - Parses one part, returning null on failure
+ * @returns {Object|null} - Single condition, { and | or: [...] }, or null if any part cannot be parsed
+ */
+const splitConditions = (text, connective, parsePart) => {
+  const pieces = text.split(new RegExp(`\\s+${connective}\\s+`, 'i'));
+  const parts = [];
+  let pending = null;
+
+  for (const piece of pieces) {
+    pending = pending === null ? piece : `${pending} ${connective} ${piece}`;
+    const parsed = parsePart(pending);
+    if (parsed) {
+      parts.push(parsed);
+      pending = null;
+    }
+  }
+
+  if (pending !== null || parts.length === 0) return null;
+  return parts.length === 1 ? parts[0] : { [connective]: parts };
+};
+
+/**
+ * Parse a filter condition with AND binding tighter than OR
+ * Values that contain a connective ("vendor is Smith and Sons") fall back to a single comparison.
+ * @param {string} text - Condition text
+ * @param {Array} columns - Known column names
+ * @returns {Object|null} - Condition tree
+ */
+const parseConditionText = (text, columns) => {
+  const parseComparisons = part => splitConditions(part, 'and', piece => parseComparison(piece, columns)) ||
+    parseComparison(part, columns);
+
+  return splitConditions(text, 'or', parseComparisons) || parseComparisons(text);
+};
+
+/**
+ * List the columns a condition tree refers to
+ * @param {Object} condition - Condition tree
+ * @returns {Array} - Column names
+ */
+const getConditionColumns = (condition) => {
+  const children = condition.and || condition.or;
+  if (children) return Array.from(new Set(children.flatMap(getConditionColumns)));
+  return [condition.column];
+};
+
+/**
+ * Filter rule: "filter region = EMEA", "show rows where amount > 10000 and vendor in (Acme, Globex)"
+ */
+const parseFilter = (text, { columns }) => {
+  const match = FILTER_PATTERN.exec(text);
+  if (!match) return null;
+
+  const conditions = parseConditionText(match[1], columns);
+  if (!conditions) return null;
+
+  return {
+    intent: 'Filter rows',
+    operation: 'filter',
+    columns: getConditionColumns(conditions),
+    conditions,
+    explanation: `Keep rows where ${describeCondition(conditions)}`
+  };
+};
+
+/**
+ * Aggregate rule: "sum revenue by month", "average amount and count invoice_id per region",
+ * "median amount by region and product", "weighted average of price weighted by quantity by region"
+ */
+const parseAggregate = (text, { columns, columnTypes }) => {
+  const currencyMatch = CURRENCY_SUFFIX_PATTERN.exec(text);
+  const targetCurrency = currencyMatch ? normalizeCurrency(currencyMatch[1]) : null;
+  const metricText = targetCurrency ? text.slice(0, currencyMatch.index) : text;
+  const weightMatch = WEIGHT_PATTERN.exec(metricText);
+  const match = AGGREGATE_PATTERN.exec(weightMatch ? metricText.replace(weightMatch[0], '') : metricText);
+  if (!match) return null;
+
+  const weightColumn = weightMatch ? resolveColumn(weightMatch[1], columns) : null;
+  if (weightMatch && !weightColumn) return null;
+
+  const metrics = [];
+  let currentFunction = null;
+
+  for (const part of match[1].split(/\s*(?:,|\band\b)\s*/i).filter(Boolean)) {
+    const { fn, columnText } = splitMetric(part);
+    if (fn) currentFunction = fn;
+
+    const column = resolveColumn(columnText, columns);
+    if (!column || !currentFunction) return null;
+
+    const metric = { column, function: currentFunction };
+    if (currentFunction === 'weighted_average') {
+      if (!weightColumn) return null;
+      metric.weightColumn = weightColumn;
+    }
+    metrics.push(metric);
+  }
+
+  const groups = resolveGroupColumns(cleanName(match[2]), { columns, columnTypes });
+  if (!groups) return null;
+
+  const conditions = {
+    type: 'aggregate',
+    groupBy: groups.groupBy.length === 1 ? groups.groupBy[0] : groups.groupBy,
+    metrics
+  };
+  if (groups.timeGrain) {
+    Object.assign(conditions, { dateColumn: groups.dateColumn, timeGrain: groups.timeGrain });
+  }
+  if (targetCurrency) {
+    conditions.targetCurrency = targetCurrency;
+    if (currencyMatch[2]) conditions.rateType = RATE_TYPES[currencyMatch[2].toLowerCase()];
+  }
+
+  return {
+    intent: 'Aggregate data',
+    operation: 'calculate',
+    columns: metrics.map(m => m.column),
+    conditions,
+    explanation: `Calculate ${metrics.map(m => `${m.function} of ${m.column}`).join(', ')} grouped by ` +
+      describeGroups(groups.groupBy, groups) + (targetCurrency ? ` in ${targetCurrency}` : '')
+  };
+};
+
+/**
+ * Split "pivot revenue by region and month" into its value and groups
+ * A leading amount (or function of a column) is the value; the first group after
+ * "by" becomes the rows and the others the pivot columns.
+ * @returns {Object|null} - { fn, valueColumn, groups }, or null when the text does not start with a value
+ */
+const splitPivotValue = (body, { columns, columnTypes }) => {
+  const match = /^(.+?)\s+by\s+(.+)$/i.exec(body);
+  if (!match) return null;
+
+  const { fn, columnText } = splitMetric(match[1]);
+  const valueColumn = resolveColumn(columnText, columns);
+  const groups = match[2].split(/\s*(?:,|\band\b|&|\bthen\b|\bby\b)\s*/i).filter(Boolean);
+  if (!valueColumn) return null;
+
+  // Without a known type, "region by status" counts rows, as a cross-tab of two groups
+  const type = columnTypes[valueColumn];
+  if (!fn && (type ? type !== 'number' : groups.length < 2)) return null;
+
+  return { fn, valueColumn, groups };
+};
+
+/**
+ * Pivot rule: "pivot amount by region across month", "pivot revenue by region and month",
+ * "pivot average of price by product by quarter", "cross-tab region by status" (counts rows)
+ */
+const parsePivot = (text, { columns, columnTypes }) => {
+  const match = PIVOT_PATTERN.exec(text);
+  if (!match) return null;
+
+  const body = match[1];
+  const across = /^(.+?)\s+(?:across|against|versus|vs\.?|with columns)\s+(.+)$/i.exec(body);
+  const valueFirst = across ? null : splitPivotValue(body, { columns, columnTypes });
+  let value = null;
+  let rowText;
+  let columnText;
+
+  if (valueFirst) {
+    // A pivot of a value needs both rows and columns: "pivot revenue by region" is an aggregate
+    if (valueFirst.groups.length < 2) return null;
+    rowText = valueFirst.groups[0];
+    columnText = valueFirst.groups.slice(1).join(', ');
+    value = { fn: valueFirst.fn, column: valueFirst.valueColumn };
+  } else {
+    const split = across || /^(.+)\s+by\s+(.+)$/i.exec(body);
+    if (!split) return null;
+
+    const valueSplit = /^(.+?)\s+by\s+(.+)$/i.exec(split[1]);
+    rowText = valueSplit ? valueSplit[2] : split[1];
+    columnText = split[2];
+
+    if (valueSplit) {
+      const { fn, columnText: valueText } = splitMetric(valueSplit[1]);
+      value = { fn, column: resolveColumn(valueText, columns) };
+      if (!value.column) return null;
+    }
+  }
+
+  const rows = resolveGroupColumns(cleanName(rowText), { columns, columnTypes });
+  const pivotColumns = resolveGroupColumns(cleanName(columnText), { columns, columnTypes });
+  if (!rows || !pivotColumns) return null;
+  if (rows.timeGrain && pivotColumns.timeGrain) return null;
+
+  const conditions = { rows: rows.groupBy, columns: pivotColumns.groupBy };
+  const grain = rows.timeGrain ? rows : pivotColumns;
+  if (grain.timeGrain) {
+    Object.assign(conditions, { dateColumn: grain.dateColumn, timeGrain: grain.timeGrain });
+  }
+
+  if (value) {
+    if (value.fn === 'weighted_average') return null;
+
+    const type = columnTypes[value.column];
+    conditions.valueColumn = value.column;
+    conditions.function = value.fn || (!type || type === 'number' ? 'sum' : 'count');
+  } else {
+    conditions.function = 'count';
+  }
+
+  if (match[2]) conditions.totals = true;
+
+  const grainFree = [...conditions.rows, ...conditions.columns].filter(col => col !== conditions.timeGrain);
+
+  return {
+    intent: 'Pivot table',
+    operation: 'pivot',
+    columns: conditions.valueColumn ? [...grainFree, conditions.valueColumn] : grainFree,
+    conditions,
+    explanation: `Pivot ${conditions.valueColumn ? `${conditions.function} of ${conditions.valueColumn}` : 'row counts'} ` +
+      `by ${describeGroups(conditions.rows, conditions)} across ${describeGroups(conditions.columns, conditions)}`
+  };
+};
+
+/**
+ * Unpivot rule: "unpivot Jan to Dec into period and amount", "unpivot months keeping account",
+ * "melt all columns except account"
+ */
+const parseUnpivot = (text, { columns }) => {
+  const match = UNPIVOT_PATTERN.exec(text);
+  if (!match) return null;
+
+  let body = (match[1] || '').trim();
+  let idColumns = null;
+
+  const keep = /^(.*?)\s*,?\s*\b(?:keeping|keep|except|excluding|but|by|for each)\s+(.+)$/i.exec(body);
+  if (keep) {
+    idColumns = resolveColumnList(keep[2], columns);
+    if (!idColumns) return null;
+    body = keep[1];
+  }
+
+  body = body.replace(/^(?:all\s+)?(?:the\s+)?(?:other\s+)?(?:columns?)?$/i, '');
+
+  let valueColumns = [];
+  let periods = false;
+
+  // With only kept columns, every other column is unpivoted
+  if (!body && idColumns) {
+    valueColumns = [];
+  } else if (!body || /^(?:the\s+)?(?:months?|periods?|quarters?|years?|dates?)(?:\s+columns)?$/i.test(body)) {
+    valueColumns = findPeriodColumns(columns);
+    if (valueColumns.length === 0) return null;
+    periods = true;
+  } else {
+    const range = /^(?:columns\s+)?(.+?)\s+(?:to|through|thru|-)\s+(.+)$/i.exec(body);
+    const from = range && columns.length > 0 ? resolveColumn(range[1], columns) : null;
+    const to = range && columns.length > 0 ? resolveColumn(range[2], columns) : null;
+
+    if (from && to && columns.indexOf(from) <= columns.indexOf(to)) {
+      valueColumns = columns.slice(columns.indexOf(from), columns.indexOf(to) + 1);
+    } else {
+      valueColumns = resolveColumnList(body.replace(/^columns\s+/i, ''), columns);
+      if (!valueColumns) return null;
+    }
+    periods = findPeriodColumns(valueColumns).length === valueColumns.length;
+  }
+
+  const conditions = {
+    namesTo: match[2] ? cleanName(match[2]) : (periods ? 'period' : 'attribute'),
+    valuesTo: match[3] ? cleanName(match[3]) : 'value'
+  };
+  if (idColumns) conditions.idColumns = idColumns;
+  if (valueColumns.length > 0) conditions.valueColumns = valueColumns;
+
+  return {
+    intent: 'Unpivot columns',
+    operation: 'unpivot',
+    columns: valueColumns,
+    conditions,
+    explanation: `Turn ${valueColumns.length > 0 ? valueColumns.join(', ') : `every column except ${idColumns.join(', ')}`} ` +
+      `into ${conditions.namesTo} and ${conditions.valuesTo} rows`
+  };
+};
+
+/**
+ * Calculated column rule: "calculate total = price * quantity"
+ */
+const parseCalculate = (text) => {
+  const match = CALCULATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const newColumn = cleanName(match[1]);
+  const formula = match[2].trim();
+
+  let referenced;
+  try {
+    referenced = getFormulaColumns(formula);
+  } catch (error) {
+    // Not a formula the engine understands; leave it to the language model
+    return null;
+  }
+
+  return {
+    intent: 'Calculate column',
+    operation: 'calculate',
+    columns: referenced,
+    conditions: { formula, newColumn },
+    explanation: `Calculate ${newColumn} as ${formula}`
+  };
+};
+
+/**
+ * Whitespace rule: "trim whitespace", "remove extra spaces from vendor", "trim vendor"
+ */
+const parseTrim = (text, { columns }) => {
+  const match = TRIM_PATTERN.exec(text);
+  if (!match) return null;
+
+  const columnText = match[2] || match[3];
+  const targets = columnText ? resolveColumnList(columnText, columns) : [];
+  if (!targets) return null;
+
+  return {
+    intent: 'Trim whitespace',
+    operation: 'trim_whitespace',
+    columns: targets,
+    conditions: { collapse: Boolean(match[1]) },
+    explanation: `Trim whitespace in ${targets.length > 0 ? targets.join(', ') : 'all text columns'}`
+  };
+};
+
+/**
+ * Case rule: "convert vendor to upper case", "capitalize name"
+ */
+const parseCase = (text, { columns }) => {
+  const match = CASE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const caseName = (match[2] || match[3]).toLowerCase().replace(/\s+/g, ' ');
+  const mode = CASE_NAMES[caseName] || CASE_NAMES[caseName.replace(/\s/g, '')];
+  const targets = resolveColumnList(match[1] || match[4], columns);
+  if (!mode || !targets) return null;
+
+  return {
+    intent: 'Change case',
+    operation: 'change_case',
+    columns: targets,
+    conditions: { case: mode },
+    explanation: `Convert ${targets.join(', ')} to ${mode} case`
+  };
+};
+
+/**
+ * Type conversion rule: "convert amount to number", "parse amount as number using comma decimals",
+ * "convert posted to date using DD/MM/YYYY"
+ */
+const parseCast = (text, { columns }) => {
+  const match = CAST_PATTERN.exec(text);
+  if (!match) return null;
+
+  const targets = resolveColumnList(match[1], columns);
+  if (!targets) return null;
+
+  const type = CAST_TYPES[match[2].toLowerCase()];
+  const conditions = { type };
+  const optionText = match[3] || '';
+
+  if (type === 'number' && /comma/i.test(optionText)) conditions.decimalSeparator = ',';
+  if (type === 'number' && /\b(?:dot|point|period)\b/i.test(optionText)) conditions.decimalSeparator = '.';
+
+  const format = /\b([DMY]{1,4}[/.\-\s][DMY]{1,4}[/.\-\s][DMY]{1,4})\b/i.exec(optionText);
+  if (type === 'date' && format) conditions.dateFormat = format[1].toUpperCase();
+
+  return {
+    intent: 'Convert column type',
+    operation: 'cast',
+    columns: targets,
+    conditions,
+    explanation: `Convert ${targets.join(', ')} to ${type}`
+  };
+};
+
+/**
+ * Currency conversion rule: "convert amount to EUR", "convert amount and fee into USD using closing rates",
+ * "restate revenue in GBP at month average rates"
+ */
+const parseConvertCurrency = (text, { columns, columnTypes }) => {
+  const match = CONVERT_CURRENCY_PATTERN.exec(text);
+  if (!match) return null;
+
+  const targetCurrency = normalizeCurrency(match[2]);
+  const targets = resolveColumnList(match[1], columns);
+  if (!targetCurrency || !targets) return null;
+
+  const conditions = { targetCurrency };
+  if (match[3]) conditions.rateType = RATE_TYPES[match[3].toLowerCase()];
+
+  const dateColumn = findDateColumn(columnTypes);
+  if (dateColumn) conditions.dateColumn = dateColumn;
+
+  return {
+    intent: 'Convert currency',
+    operation: 'convert_currency',
+    columns: targets,
+    conditions,
+    explanation: `Convert ${targets.join(', ')} to ${targetCurrency} at ${conditions.rateType || 'spot'} rates` +
+      (dateColumn ? ` by ${dateColumn}` : '')
+  };
+};
+
+/**
+ * Fill rule: "fill missing amount with median", "fill blanks in region with previous value",
+ * "forward fill account", "fill missing values in amount with 0"
+ */
+const parseFill = (text, { columns }) => {
+  const match = FILL_PATTERN.exec(text);
+  if (!match) return null;
+
+  const columnText = match[1] || match[4];
+  const targets = columnText ? resolveColumnList(columnText, columns) : [];
+  if (!targets) return null;
+
+  const methodText = (match[3] || match[2] || 'forward').toLowerCase().trim();
+  const method = FILL_METHODS[methodText] ||
+    FILL_METHODS[methodText.replace(/\s+(?:fill|value)$/, '')] ||
+    (methodText === 'zero' ? 'value' : null);
+  const conditions = method ? { method } : { method: 'value', value: parseValue(match[2]) };
+  if (methodText === 'zero') conditions.value = 0;
+
+  return {
+    intent: 'Fill missing values',
+    operation: 'fill_missing',
+    columns: targets,
+    conditions,
+    explanation: `Fill missing values in ${targets.length > 0 ? targets.join(', ') : 'all columns'} using ` +
+      (conditions.method === 'value' ? `"${conditions.value}"` : `${conditions.method} fill`)
+  };
+};
+
+/**
+ * Drop rule: "drop column notes", "remove columns memo and reference"
+ */
+const parseDrop = (text, { columns }) => {
+  const match = DROP_PATTERN.exec(text);
+  if (!match) return null;
+
+  const targets = resolveColumnList(match[1], columns);
+  if (!targets) return null;
+
+  return {
+    intent: 'Drop columns',
+    operation: 'drop_column',
+    columns: targets,
+    conditions: {},
+    explanation: `Remove ${targets.join(', ')}`
+  };
+};
+
+/**
+ * Rename rule: "rename amt to amount"
+ */
+const parseRename = (text, { columns }) => {
+  const match = RENAME_PATTERN.exec(text);
+  if (!match) return null;
+
+  const column = resolveColumn(match[1], columns);
+  const newName = cleanName(match[2]);
+  if (!column || !newName) return null;
+
+  return {
+    intent: 'Rename column',
+    operation: 'rename_column',
+    columns: [column],
+    conditions: { column, newName },
+    explanation: `Rename ${column} to ${newName}`
+  };
+};
+
+/**
+ * Outlier rule: "cap outliers in amount", "winsorize amount at 1% and 99%",
+ * "clip outliers in amount using iqr", "cap outliers beyond 3 standard deviations"
+ */
+const parseOutliers = (text, { columns, columnTypes }) => {
+  const match = OUTLIER_PATTERN.exec(text);
+  if (!match) return null;
+
+  const targets = match[1]
+    ? resolveColumnList(match[1], columns)
+    : Object.keys(columnTypes).filter(col => columnTypes[col] === 'number');
+  if (!targets || targets.length === 0) return null;
+
+  const optionText = match[2] || '';
+  let conditions = { method: 'percentile', lower: 0.05, upper: 0.95 };
+  const percentiles = /(\d+(?:\.\d+)?)(?:st|nd|rd|th|%)?\s*(?:percentiles?\s*)?(?:and|to|-)\s*(\d+(?:\.\d+)?)/i.exec(optionText);
+
+  if (/\biqr\b|interquartile/i.test(optionText)) {
+    conditions = { method: 'iqr', k: 1.5 };
+  } else if (/std|standard deviation|sigma|z-?score/i.test(optionText)) {
+    const threshold = /(\d+(?:\.\d+)?)/.exec(optionText);
+    conditions = { method: 'zscore', threshold: threshold ? Number(threshold[1]) : 3 };
+  } else if (percentiles) {
+    conditions = { method: 'percentile', lower: Number(percentiles[1]) / 100, upper: Number(percentiles[2]) / 100 };
+  }
+
+  return {
+    intent: 'Cap outliers',
+    operation: 'cap_outliers',
+    columns: targets,
+    conditions,
+    explanation: `Cap outliers in ${targets.join(', ')} using the ${conditions.method} method`
+  };
+};
+
+/**
+ * Merge rule: "merge on customer_id", "left join on id", "append the files"
+ */
+const parseMerge = (text, { columns }) => {
+  if (UNION_PATTERN.test(text)) {
+    return {
+      intent: 'Combine files',
+      operation: 'merge',
+      columns: [],
+      conditions: { joinType: 'union' },
+      explanation: 'Stack the files on top of each other'
+    };
+  }
+
+  const match = MERGE_PATTERN.exec(text);
+  if (!match || !match[2]) return null;
+
+  const keys = resolveColumnList(match[2], columns);
+  if (!keys) return null;
+
+  const joinType = match[1] ? JOIN_TYPES[match[1].toLowerCase()] : 'inner';
+
+  return {
+    intent: 'Merge files',
+    operation: 'merge',
+    columns: keys,
+    conditions: { joinType, leftOn: keys },
+    explanation: `${joinType.charAt(0).toUpperCase()}${joinType.slice(1)} join on ${keys.join(', ')}`
+  };
+};
+
+// Order matters: aggregates start with words ("calculate sum of") that other rules also accept
+const RULES = [
+  parseSort,
+  parseFuzzyDuplicates,
+  parseRemoveDuplicates,
+  parsePivot,
+  parseUnpivot,
+  parseAggregate,
+  parseCalculate,
+  parseTrim,
+  parseCase,
+  parseCast,
+  parseConvertCurrency,
+  parseFill,
+  parseDrop,
+  parseRename,
+  parseOutliers,
+  parseFilter,
+  parseMerge
+];
+
+/**
+ * Interpret a command with the built-in rules
+ * @param {string} input - User input
+ * @param {Object} options - Options
+ * @param {Array} options.columns - Known column names used to resolve column references
+ * @param {Object} options.columnTypes - Map of column name to detected type, used for "by month" grouping
+ * @returns {Object|null} - Interpretation, or null if no rule matches
+ */
+const parseIntent = (input, options = {}) => {
+  const text = normalizeInput(input);
+  if (!text) return null;
+
+  const context = {
+    columns: options.columns || [],
+    columnTypes: options.columnTypes || {}
+  };
+
+  for (const rule of RULES) {
+    const result = rule(text, context);
+    if (result) {
+      return { ...result, source: 'rules' };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  EXAMPLE_COMMANDS,
+  parseIntent,
+  resolveColumn
+};
@@ -0,0 +1,108 @@
+const { parseIntent } = require('./intentParser');
+
+const columns = ['date', 'region', 'product', 'status', 'vendor_name', 'revenue', 'price', 'amount', 'invoice_id'];
+const columnTypes = {
+  date: 'date',
+  region: 'string',
+  product: 'string',
+  status: 'string',
+  vendor_name: 'string',
+  revenue: 'number',
+  price: 'number',
+  amount: 'number',
+  invoice_id: 'string'
+};
+
+const parse = (text) => parseIntent(text, { columns, columnTypes });
+
+describe('parseIntent', () => {
+  it('returns null for empty or unknown commands', () => {
+    expect(parse('')).toBeNull();
+    expect(parse('tell me a joke')).toBeNull();
+  });
+
+  it('parses exact duplicate removal on key columns', () => {
+    const result = parse('remove duplicates on invoice_id');
+
+    expect(result.operation).toBe('remove_duplicates');
+    expect(result.columns).toEqual(['invoice_id']);
+    expect(result.source).toBe('rules');
+  });
+
+  it('parses fuzzy duplicates with a percentage threshold', () => {
+    const result = parse('merge similar vendors with threshold 90%');
+
+    expect(result.operation).toBe('merge_duplicates');
+    expect(result.columns).toEqual(['vendor_name']);
+    expect(result.conditions.threshold).toBeCloseTo(0.9);
+  });
+
+  it('parses an aggregate by a time grain of the date column', () => {
+    const result = parse('sum revenue by month');
+
+    expect(result.operation).toBe('calculate');
+    expect(result.conditions).toMatchObject({ dateColumn: 'date', timeGrain: 'month' });
+  });
+
+  describe('pivot', () => {
+    it('reads the leading amount as the value and splits the groups after "by"', () => {
+      const result = parse('pivot revenue by region and month');
+
+      expect(result.operation).toBe('pivot');
+      expect(result.conditions).toEqual({
+        rows: ['region'],
+        columns: ['month'],
+        dateColumn: 'date',
+        timeGrain: 'month',
+        valueColumn: 'revenue',
+        function: 'sum'
+      });
+      expect(result.columns).toEqual(['region', 'revenue']);
+    });
+
+    it('keeps an explicit function and several pivot columns', () => {
+      const result = parse('pivot max price by region, product and status with totals');
+
+      expect(result.conditions).toMatchObject({
+        rows: ['region'],
+        columns: ['product', 'status'],
+        valueColumn: 'price',
+        function: 'max',
+        totals: true
+      });
+    });
+
+    it('reads "across" as the pivot columns', () => {
+      const result = parse('pivot amount by region across month');
+
+      expect(result.conditions).toMatchObject({
+        rows: ['region'],
+        columns: ['month'],
+        valueColumn: 'amount',
+        function: 'sum'
+      });
+    });
+
+    it('reads chained "by" groups after a function of a column', () => {
+      const result = parse('pivot average of price by product by quarter');
+
+      expect(result.conditions).toMatchObject({
+        rows: ['product'],
+        columns: ['quarter'],
+        timeGrain: 'quarter',
+        valueColumn: 'price',
+        function: 'average'
+      });
+    });
+
+    it('counts rows for a cross-tab of two text columns', () => {
+      const result = parse('cross-tab region by status');
+
+      expect(result.conditions).toEqual({ rows: ['region'], columns: ['status'], function: 'count' });
+    });
+
+    it('does not pivot an amount with a single group', () => {
+      expect(parse('pivot revenue by region')).toBeNull();
+    });
+  });
+});
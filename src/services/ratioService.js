@@ -0,0 +1,75 @@
+/**
+ * Ratio Service
+ * Calculates financial ratios for a user's statements, converting currencies
+ * with the user's FX rates and comparing against a benchmark dataset.
+ */
+const logger = require('../utils/logger');
+const { FinancialDataset } = require('../database/models');
+const { analyzeRatios, buildBenchmark, RatioInputError } = require('./ratios');
+const { reconstructDataset } = require('./transformationReplayService');
+const { loadRateTable } = require('./fxRateService');
+
+/**
+ * Load a benchmark from the current version of a dataset
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset with peer statements or published ratios
+ * @param {Object} options - buildBenchmark options
+ * @returns {Promise<Object>} - Benchmark with the dataset it came from
+ */
+const loadBenchmark = async (userId, datasetId, options) => {
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error('Benchmark dataset not found');
+  }
+
+  const { data } = await reconstructDataset(dataset, { userId });
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new RatioInputError('The benchmark dataset has no rows');
+  }
+
+  return {
+    ...buildBenchmark(data, options),
+    dataset: { id: dataset.id, name: dataset.name }
+  };
+};
+
+/**
+ * Calculate ratios for one or more periods
+ * @param {number} userId - User ID
+ * @param {Object} params - Parameters
+ * @param {Object|Array} params.statements - Statements by period, or one flat statement
+ * @param {number} params.benchmarkDatasetId - Dataset of peer statements or benchmark ratios to compare against
+ * @param {string} params.company - Name of the company in the benchmark dataset, left out of the peers
+ * @param {string} params.reportingCurrency - Convert every figure into this currency
+ * @param {string} params.date - Period end date for a statement without a period
+ * @param {boolean} params.averageBalances - Use average balances for turnover and return ratios
+ * @returns {Promise<Object>} - { periods, latest, benchmark }
+ */
+exports.calculateRatios = async (userId, params) => {
+  const { statements, benchmarkDatasetId, company, reportingCurrency, date, averageBalances } = params;
+
+  if (!statements || typeof statements !== 'object') {
+    throw new RatioInputError('Financial statements are required');
+  }
+
+  const fxRates = reportingCurrency ? await loadRateTable(userId) : null;
+  const benchmark = benchmarkDatasetId
+    ? await loadBenchmark(userId, benchmarkDatasetId, { exclude: company, reportingCurrency, fxRates })
+    : null;
+
+  const result = analyzeRatios(statements, { reportingCurrency, fxRates, date, averageBalances, benchmark });
+
+  if (benchmark) {
+    result.benchmark.dataset = benchmark.dataset;
+    if (benchmark.skipped && benchmark.skipped.length > 0) result.benchmark.skipped = benchmark.skipped;
+    if (benchmark.unknown && benchmark.unknown.length > 0) result.benchmark.unknown = benchmark.unknown;
+  }
+
+  logger.info('Calculated financial ratios', {
+    userId,
+    periods: result.periods.length,
+    benchmarkDatasetId: benchmarkDatasetId || null
+  });
+
+  return result;
+};
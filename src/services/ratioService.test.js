@@ -0,0 +1,44 @@
+jest.mock('../database/models', () => ({ FinancialDataset: { findOne: jest.fn() } }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock('./transformationReplayService', () => ({ reconstructDataset: jest.fn() }));
+jest.mock('./fxRateService', () => ({ loadRateTable: jest.fn() }));
+
+const { FinancialDataset } = require('../database/models');
+const { reconstructDataset } = require('./transformationReplayService');
+const { loadRateTable } = require('./fxRateService');
+const { calculateRatios } = require('./ratioService');
+
+const statements = { '2024': { revenue: 1000, netIncome: 120, totalAssets: 1000, shareholderEquity: 600 } };
+const peers = { id: 5, userId: 1, name: 'Peer set' };
+
+beforeEach(() => {
+  FinancialDataset.findOne.mockImplementation(async ({ where }) => (where.id === 5 && where.userId === 1 ? peers : null));
+  reconstructDataset.mockResolvedValue({
+    data: [
+      { company: 'Acme', revenue: 1000, netIncome: 900, totalAssets: 1000, equity: 500 },
+      { company: 'Beta', revenue: 1000, netIncome: 50, totalAssets: 1000, equity: 500 },
+      { company: 'Gamma', revenue: 1000, netIncome: 100, totalAssets: 1000, equity: 500 },
+      { company: 'Empty', headcount: 4 }
+    ]
+  });
+});
+
+describe('calculateRatios', () => {
+  it('compares against the peers of a benchmark dataset', async () => {
+    const result = await calculateRatios(1, { statements, benchmarkDatasetId: 5, company: 'Acme' });
+
+    expect(result.benchmark.dataset).toEqual({ id: 5, name: 'Peer set' });
+    expect(result.benchmark.peers).toEqual(['Beta', 'Gamma']);
+    expect(result.benchmark.skipped).toEqual([{ entity: 'Empty', reason: expect.stringContaining('No recognizable line items') }]);
+    expect(result.benchmark.comparison.returnOnEquity).toMatchObject({ value: 20, median: 15, position: 'above' });
+    expect(loadRateTable).not.toHaveBeenCalled();
+  });
+
+  it("does not read another user's benchmark dataset", async () => {
+    await expect(calculateRatios(2, { statements, benchmarkDatasetId: 5 })).rejects.toThrow('Benchmark dataset not found');
+  });
+
+  it('needs statements', async () => {
+    await expect(calculateRatios(1, {})).rejects.toThrow('Financial statements are required');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Ratio benchmarks
+ * Summarizes a peer set into quartiles per ratio and places a company's
+ * ratios against them. A benchmark comes either from peer statements (the
+ * engine computes each peer's ratios) or from a table of published ratio
+ * medians and quartiles.
+ */
+const _ = require('lodash');
+const { isMissing, parseNumber } = require('../formula/coercion');
+const { RATIOS } = require('./definitions');
+const { resolveItem } = require('./statements');
+const { RatioInputError } = require('./errors');
+
+const RATIO_NAMES = /^(?:ratio|ratio[\s_-]?name|metric|kpi|indicator)$/i;
+const MEDIAN_NAMES = /^(?:median|p50|benchmark|value|industry[\s_-]?median)$/i;
+const P25_NAMES = /^(?:p25|q1|lower[\s_-]?quartile|25th)$/i;
+const P75_NAMES = /^(?:p75|q3|upper[\s_-]?quartile|75th)$/i;
+
+// Benchmarks compare the Altman Z-score next to the catalog ratios
+const COMPARED = [
+  ...RATIOS.map(({ key, label, unit, better, aliases }) => ({ key, label, unit, better, aliases })),
+  { key: 'altmanZ', label: 'Altman Z-score', unit: 'score', better: 'higher', aliases: ['altman z', 'z score', 'altman'] }
+];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9/]/g, '');
+
+const RATIO_LOOKUP = new Map(_.flatMap(COMPARED, ({ key, label, aliases }) => [
+  [normalizeKey(key), key],
+  [normalizeKey(label), key],
+  ...aliases.map(alias => [normalizeKey(alias), key])
+]));
+
+/**
+ * Find the ratio a benchmark row names
+ * @param {string} name - Name as written ("ROE", "Days sales outstanding")
+ * @returns {string|null} - Ratio key
+ */
+const resolveRatio = (name) => (isMissing(name) ? null : RATIO_LOOKUP.get(normalizeKey(name)) || null);
+
+/**
+ * Value at a quantile using linear interpolation
+ * @param {Array} sorted - Sorted numbers
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} - Value
+ */
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Collect the computed ratio values of a period into one flat object
+ * @param {Object} period - Analyzed period
+ * @returns {Object} - Ratio key to value
+ */
+const flattenRatios = (period) => {
+  const values = {};
+  Object.values(period.ratios).forEach(group => {
+    Object.entries(group).forEach(([key, result]) => {
+      if (result.status === 'ok') values[key] = result.value;
+    });
+  });
+  if (period.altmanZ.status === 'ok') values.altmanZ = period.altmanZ.value;
+  return values;
+};
+
+/**
+ * Summarize the latest ratios of each peer
+ * @param {Array} peers - [{ entity, period }] with each peer's analyzed latest period
+ * @returns {Object} - Benchmark: { source: 'peers', peers, ratios: { key: { median, p25, p75, min, max, count, values } } }
+ */
+const summarizePeers = (peers) => {
+  const flattened = peers.map(({ entity, period }) => ({ entity, values: flattenRatios(period) }));
+  const ratios = {};
+
+  COMPARED.forEach(({ key }) => {
+    const values = flattened
+      .filter(peer => peer.values[key] !== undefined)
+      .map(peer => peer.values[key]);
+    if (values.length === 0) return;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    ratios[key] = {
+      median: round(quantile(sorted, 0.5)),
+      p25: round(quantile(sorted, 0.25)),
+      p75: round(quantile(sorted, 0.75)),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      count: sorted.length,
+      values: sorted
+    };
+  });
+
+  return {
+    source: 'peers',
+    peers: flattened.map(peer => peer.entity),
+    ratios
+  };
+};
+
+/**
+ * Tell whether dataset rows hold published ratios rather than statements
+ * @param {Array} rows - Dataset rows
+ * @returns {boolean} - True when a ratio column names known ratios
+ */
+const isRatioTable = (rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) return false;
+  const columns = Object.keys(rows[0]);
+  const ratioColumn = columns.find(column => RATIO_NAMES.test(column.trim()));
+  if (!ratioColumn || !columns.some(column => MEDIAN_NAMES.test(column.trim()))) return false;
+
+  const names = rows.map(row => row[ratioColumn]).filter(name => !isMissing(name));
+  const ratios = names.filter(name => resolveRatio(name)).length;
+  const items = names.filter(name => resolveItem(name)).length;
+  return ratios > 0 && ratios >= items;
+};
+
+/**
+ * Read a table of published benchmark ratios
+ * Percent ratios are given in percent (a 35% margin is 35).
+ * @param {Array} rows - Rows with a ratio name, a median (or value) and optional p25 / p75
+ * @returns {Object} - Benchmark: { source: 'table', ratios, unknown }
+ */
+const readBenchmarkTable = (rows) => {
+  const columns = Object.keys(rows[0] || {});
+  const find = pattern => columns.find(column => pattern.test(column.trim())) || null;
+  const ratioColumn = find(RATIO_NAMES);
+  const medianColumn = find(MEDIAN_NAMES);
+  const p25Column = find(P25_NAMES);
+  const p75Column = find(P75_NAMES);
+  if (!ratioColumn || !medianColumn) {
+    throw new RatioInputError('A benchmark table needs a ratio column and a median or value column');
+  }
+
+  const ratios = {};
+  const unknown = [];
+  rows.forEach(row => {
+    const key = resolveRatio(row[ratioColumn]);
+    const median = parseNumber(row[medianColumn]);
+    if (!key || median === null || Number.isNaN(median)) {
+      if (!isMissing(row[ratioColumn])) unknown.push(String(row[ratioColumn]));
+      return;
+    }
+
+    const p25 = p25Column ? parseNumber(row[p25Column]) : null;
+    const p75 = p75Column ? parseNumber(row[p75Column]) : null;
+    ratios[key] = {
+      median,
+      p25: Number.isFinite(p25) ? p25 : null,
+      p75: Number.isFinite(p75) ? p75 : null
+    };
+  });
+
+  if (Object.keys(ratios).length === 0) {
+    throw new RatioInputError('No known ratios found in the benchmark table');
+  }
+
+  return { source: 'table', ratios, unknown };
+};
+
+/**
+ * Share of peer values below a value, counting ties as half
+ */
+const percentileRank = (values, value) => {
+  const below = values.filter(peer => peer < value).length;
+  const equal = values.filter(peer => peer === value).length;
+  return Math.round(((below + equal / 2) / values.length) * 100);
+};
+
+/**
+ * Place a company's ratios against a benchmark
+ * @param {Object} period - The company's analyzed period
+ * @param {Object} benchmark - Benchmark from summarizePeers or readBenchmarkTable
+ * @returns {Object} - { key: { value, median, p25, p75, difference, percentile, position, assessment } }
+ */
+const compareToBenchmark = (period, benchmark) => {
+  const values = flattenRatios(period);
+  const comparison = {};
+
+  COMPARED.forEach(({ key, label, unit, better }) => {
+    const reference = benchmark.ratios[key];
+    if (!reference) return;
+
+    if (values[key] === undefined) {
+      comparison[key] = { label, unit, value: null, median: reference.median, status: 'not_computable', reason: 'The ratio is not computable for this company' };
+      return;
+    }
+
+    const value = values[key];
+    const lower = reference.p25 !== null ? reference.p25 : reference.median;
+    const upper = reference.p75 !== null ? reference.p75 : reference.median;
+    const position = value > upper ? 'above' : value < lower ? 'below' : 'within';
+    const assessment = !better || position === 'within' ? 'neutral'
+      : (position === 'above') === (better === 'higher') ? 'favourable' : 'unfavourable';
+
+    comparison[key] = {
+      label,
+      unit,
+      value,
+      median: reference.median,
+      p25: reference.p25,
+      p75: reference.p75,
+      difference: round(value - reference.median),
+      percentile: reference.values ? percentileRank(reference.values, value) : null,
+      position,
+      assessment,
+      status: 'ok'
+    };
+  });
+
+  return comparison;
+};
+
+module.exports = {
+  resolveRatio,
+  flattenRatios,
+  summarizePeers,
+  isRatioTable,
+  readBenchmarkTable,
+  compareToBenchmark
+};
@@ -0,0 +1,313 @@
+/**
+ * Ratio definitions
+ * Every ratio names its group, unit and which direction is better, and reads
+ * its inputs through a period context. A ratio whose inputs are missing or
+ * whose denominator is zero is reported as not computable, with the reason,
+ * rather than as NaN or Infinity.
+ */
+
+/**
+ * Raised inside a ratio calculation when an input is missing or unusable
+ */
+class NotComputable extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'NotComputable';
+  }
+}
+
+const GROUPS = ['profitability', 'liquidity', 'leverage', 'efficiency'];
+
+// better: the direction that is favourable against a benchmark (null when neither is)
+const RATIOS = [
+  {
+    key: 'grossProfitMargin', group: 'profitability', label: 'Gross profit margin', unit: 'percent', better: 'higher',
+    formula: 'grossProfit / revenue', aliases: ['gross margin'],
+    calculate: ctx => ctx.divide(ctx.item('grossProfit'), ctx.item('revenue'), 'revenue') * 100
+  },
+  {
+    key: 'operatingProfitMargin', group: 'profitability', label: 'Operating profit margin', unit: 'percent', better: 'higher',
+    formula: 'operatingProfit / revenue', aliases: ['operating margin', 'ebit margin'],
+    calculate: ctx => ctx.divide(ctx.item('operatingProfit'), ctx.item('revenue'), 'revenue') * 100
+  },
+  {
+    key: 'ebitdaMargin', group: 'profitability', label: 'EBITDA margin', unit: 'percent', better: 'higher',
+    formula: 'ebitda / revenue', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('ebitda'), ctx.item('revenue'), 'revenue') * 100
+  },
+  {
+    key: 'netProfitMargin', group: 'profitability', label: 'Net profit margin', unit: 'percent', better: 'higher',
+    formula: 'netIncome / revenue', aliases: ['net margin', 'profit margin'],
+    calculate: ctx => ctx.divide(ctx.item('netIncome'), ctx.item('revenue'), 'revenue') * 100
+  },
+  {
+    key: 'returnOnAssets', group: 'profitability', label: 'Return on assets', unit: 'percent', better: 'higher',
+    formula: 'netIncome / totalAssets', aliases: ['roa'],
+    calculate: ctx => ctx.divide(ctx.item('netIncome'), ctx.balance('totalAssets'), 'totalAssets') * 100
+  },
+  {
+    key: 'returnOnEquity', group: 'profitability', label: 'Return on equity', unit: 'percent', better: 'higher',
+    formula: 'netIncome / shareholderEquity', aliases: ['roe'],
+    calculate: ctx => ctx.divide(ctx.item('netIncome'), ctx.balance('shareholderEquity'), 'shareholderEquity') * 100
+  },
+  {
+    key: 'currentRatio', group: 'liquidity', label: 'Current ratio', unit: 'ratio', better: 'higher',
+    formula: 'currentAssets / currentLiabilities', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('currentAssets'), ctx.item('currentLiabilities'), 'currentLiabilities')
+  },
+  {
+    key: 'quickRatio', group: 'liquidity', label: 'Quick ratio', unit: 'ratio', better: 'higher',
+    formula: '(currentAssets - inventory) / currentLiabilities', aliases: ['acid test'],
+    calculate: ctx => ctx.divide(ctx.item('currentAssets') - ctx.item('inventory'), ctx.item('currentLiabilities'), 'currentLiabilities')
+  },
+  {
+    key: 'cashRatio', group: 'liquidity', label: 'Cash ratio', unit: 'ratio', better: 'higher',
+    formula: 'cash / currentLiabilities', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('cash'), ctx.item('currentLiabilities'), 'currentLiabilities')
+  },
+  {
+    key: 'debtToEquity', group: 'leverage', label: 'Debt to equity', unit: 'ratio', better: 'lower',
+    formula: 'totalDebt / shareholderEquity', aliases: ['gearing', 'd/e'],
+    calculate: ctx => ctx.divide(ctx.item('totalDebt'), ctx.item('shareholderEquity'), 'shareholderEquity')
+  },
+  {
+    key: 'debtToAssets', group: 'leverage', label: 'Debt to assets', unit: 'ratio', better: 'lower',
+    formula: 'totalDebt / totalAssets', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('totalDebt'), ctx.item('totalAssets'), 'totalAssets')
+  },
+  {
+    key: 'interestCoverage', group: 'leverage', label: 'Interest coverage', unit: 'times', better: 'higher',
+    formula: 'operatingProfit / interestExpense', aliases: ['times interest earned'],
+    calculate: ctx => ctx.divide(ctx.item('operatingProfit'), ctx.item('interestExpense'), 'interestExpense')
+  },
+  {
+    key: 'debtServiceCoverage', group: 'leverage', label: 'Debt service coverage', unit: 'times', better: 'higher',
+    formula: 'ebitda / (interestExpense + principalRepayments)', aliases: ['dscr'],
+    calculate: ctx => ctx.divide(ctx.item('ebitda'), ctx.item('interestExpense') + ctx.item('principalRepayments'), 'Debt service')
+  },
+  {
+    key: 'assetTurnover', group: 'efficiency', label: 'Asset turnover', unit: 'times', better: 'higher',
+    formula: 'revenue / totalAssets', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('revenue'), ctx.balance('totalAssets'), 'totalAssets')
+  },
+  {
+    key: 'inventoryTurnover', group: 'efficiency', label: 'Inventory turnover', unit: 'times', better: 'higher',
+    formula: 'costOfGoodsSold / inventory', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('costOfGoodsSold'), ctx.balance('inventory'), 'inventory')
+  },
+  {
+    key: 'receivablesTurnover', group: 'efficiency', label: 'Receivables turnover', unit: 'times', better: 'higher',
+    formula: 'revenue / receivables', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('revenue'), ctx.balance('receivables'), 'receivables')
+  },
+  {
+    key: 'payablesTurnover', group: 'efficiency', label: 'Payables turnover', unit: 'times', better: null,
+    formula: 'costOfGoodsSold / payables', aliases: [],
+    calculate: ctx => ctx.divide(ctx.item('costOfGoodsSold'), ctx.balance('payables'), 'payables')
+  },
+  {
+    key: 'daysSalesOutstanding', group: 'efficiency', label: 'Days sales outstanding', unit: 'days', better: 'lower',
+    formula: 'receivables / revenue * days', aliases: ['dso'],
+    calculate: ctx => ctx.divide(ctx.balance('receivables'), ctx.item('revenue'), 'revenue') * ctx.days
+  },
+  {
+    key: 'daysInventoryOutstanding', group: 'efficiency', label: 'Days inventory outstanding', unit: 'days', better: 'lower',
+    formula: 'inventory / costOfGoodsSold * days', aliases: ['dio', 'days inventory'],
+    calculate: ctx => ctx.divide(ctx.balance('inventory'), ctx.item('costOfGoodsSold'), 'costOfGoodsSold') * ctx.days
+  },
+  {
+    key: 'daysPayablesOutstanding', group: 'efficiency', label: 'Days payables outstanding', unit: 'days', better: null,
+    formula: 'payables / costOfGoodsSold * days', aliases: ['dpo'],
+    calculate: ctx => ctx.divide(ctx.balance('payables'), ctx.item('costOfGoodsSold'), 'costOfGoodsSold') * ctx.days
+  },
+  {
+    key: 'cashConversionCycle', group: 'efficiency', label: 'Cash conversion cycle', unit: 'days', better: 'lower',
+    formula: 'daysSalesOutstanding + daysInventoryOutstanding - daysPayablesOutstanding', aliases: ['ccc'],
+    calculate: ctx => ctx.ratio('daysSalesOutstanding') + ctx.ratio('daysInventoryOutstanding') - ctx.ratio('daysPayablesOutstanding')
+  }
+];
+
+// Altman Z-score models: the original for listed companies (market value of
+// equity) and Z' for private companies (book value of equity)
+const ALTMAN_MODELS = {
+  public: {
+    label: 'Altman Z (public)',
+    weights: { workingCapital: 1.2, retainedEarnings: 1.4, ebit: 3.3, equity: 0.6, sales: 1.0 },
+    equityItem: 'marketCapitalization',
+    safe: 2.99,
+    distress: 1.81
+  },
+  private: {
+    label: "Altman Z' (private)",
+    weights: { workingCapital: 0.717, retainedEarnings: 0.847, ebit: 3.107, equity: 0.420, sales: 0.998 },
+    equityItem: 'shareholderEquity',
+    safe: 2.9,
+    distress: 1.23
+  }
+};
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Build the context ratios read their inputs from
+ * @param {Object} values - Line items of the period
+ * @param {Object} options - Options
+ * @param {Object} options.previous - Line items of the period before, for average balances
+ * @param {number} options.days - Days in the period
+ * @param {boolean} options.averageBalances - Average opening and closing balances
+ * @returns {Object} - Context with has, item, balance, divide and ratio
+ */
+const createContext = (values, { previous = null, days = 365, averageBalances = false } = {}) => {
+  const ctx = { days };
+  const results = {};
+
+  ctx.has = (name) => values[name] !== undefined && values[name] !== null && !Number.isNaN(values[name]);
+
+  ctx.item = (name) => {
+    const value = values[name];
+    if (!ctx.has(name)) {
+      throw new NotComputable(`Missing ${name}`);
+    }
+    return value;
+  };
+
+  // Balances set against a flow use the period average when the opening balance is known
+  ctx.balance = (name) => {
+    const closing = ctx.item(name);
+    if (!averageBalances || !previous || previous[name] === undefined || previous[name] === null) return closing;
+    return (previous[name] + closing) / 2;
+  };
+
+  ctx.divide = (numerator, denominator, name) => {
+    if (denominator === 0) {
+      throw new NotComputable(`${name} is zero`);
+    }
+    return numerator / denominator;
+  };
+
+  // Ratios built from other ratios
+  ctx.ratio = (key) => {
+    const result = ctx.evaluate(key);
+    if (result.status !== 'ok') {
+      throw new NotComputable(`${key} is not computable: ${result.reason}`);
+    }
+    return result.value;
+  };
+
+  ctx.evaluate = (key) => {
+    if (!results[key]) {
+      const definition = RATIOS.find(ratio => ratio.key === key);
+      results[key] = evaluate(() => definition.calculate(ctx), definition.unit);
+    }
+    return results[key];
+  };
+
+  return ctx;
+};
+
+/**
+ * Run a calculation, turning missing inputs into a not-computable result
+ * @param {Function} calculate - Returns the value
+ * @param {string} unit - Unit of the value
+ * @returns {Object} - { value, unit, status: 'ok' } or { value: null, unit, status: 'not_computable', reason }
+ */
+const evaluate = (calculate, unit) => {
+  try {
+    const value = calculate();
+    if (!Number.isFinite(value)) {
+      return { value: null, unit, status: 'not_computable', reason: 'The result is not a finite number' };
+    }
+    return { value: round(value), unit, status: 'ok' };
+  } catch (error) {
+    if (!(error instanceof NotComputable)) throw error;
+    return { value: null, unit, status: 'not_computable', reason: error.message };
+  }
+};
+
+/**
+ * Calculate every ratio of a period, by group
+ * @param {Object} ctx - Period context
+ * @returns {Object} - { group: { key: result } }
+ */
+const calculateRatios = (ctx) => {
+  const ratios = Object.fromEntries(GROUPS.map(group => [group, {}]));
+  RATIOS.forEach(({ key, group }) => {
+    ratios[group][key] = ctx.evaluate(key);
+  });
+  return ratios;
+};
+
+/**
+ * DuPont decomposition of return on equity
+ * Three factors: net margin x asset turnover x equity multiplier. Five factors
+ * split net margin into tax burden x interest burden x operating margin.
+ * @param {Object} ctx - Period context
+ * @returns {Object} - { returnOnEquity, threeFactor, fiveFactor }
+ */
+const calculateDupont = (ctx) => {
+  const factors = {
+    netMargin: () => ctx.divide(ctx.item('netIncome'), ctx.item('revenue'), 'revenue'),
+    taxBurden: () => ctx.divide(ctx.item('netIncome'), ctx.item('preTaxIncome'), 'preTaxIncome'),
+    interestBurden: () => ctx.divide(ctx.item('preTaxIncome'), ctx.item('operatingProfit'), 'operatingProfit'),
+    operatingMargin: () => ctx.divide(ctx.item('operatingProfit'), ctx.item('revenue'), 'revenue'),
+    assetTurnover: () => ctx.divide(ctx.item('revenue'), ctx.balance('totalAssets'), 'totalAssets'),
+    equityMultiplier: () => ctx.divide(ctx.balance('totalAssets'), ctx.balance('shareholderEquity'), 'shareholderEquity')
+  };
+
+  // Multiply the unrounded factors so the product matches return on equity
+  const decompose = (names) => {
+    const parts = Object.fromEntries(names.map(name => [name, evaluate(factors[name], 'ratio')]));
+    const missing = names.find(name => parts[name].status !== 'ok');
+    const returnOnEquity = missing
+      ? { value: null, unit: 'percent', status: 'not_computable', reason: `${missing} is not computable: ${parts[missing].reason}` }
+      : evaluate(() => names.reduce((total, name) => total * factors[name](), 1) * 100, 'percent');
+    return { ...parts, returnOnEquity };
+  };
+
+  return {
+    returnOnEquity: ctx.evaluate('returnOnEquity'),
+    threeFactor: decompose(['netMargin', 'assetTurnover', 'equityMultiplier']),
+    fiveFactor: decompose(['taxBurden', 'interestBurden', 'operatingMargin', 'assetTurnover', 'equityMultiplier'])
+  };
+};
+
+/**
+ * Altman Z-score
+ * Uses the public model when a market capitalization is given, otherwise Z'
+ * with book equity.
+ * @param {Object} ctx - Period context
+ * @returns {Object} - { model, label, value, status, reason?, zone, components }
+ */
+const calculateAltmanZ = (ctx) => {
+  const modelName = ctx.has('marketCapitalization') ? 'public' : 'private';
+  const model = ALTMAN_MODELS[modelName];
+
+  const components = {
+    workingCapital: evaluate(() => ctx.divide(ctx.item('currentAssets') - ctx.item('currentLiabilities'), ctx.item('totalAssets'), 'totalAssets'), 'ratio'),
+    retainedEarnings: evaluate(() => ctx.divide(ctx.item('retainedEarnings'), ctx.item('totalAssets'), 'totalAssets'), 'ratio'),
+    ebit: evaluate(() => ctx.divide(ctx.item('operatingProfit'), ctx.item('totalAssets'), 'totalAssets'), 'ratio'),
+    equity: evaluate(() => ctx.divide(ctx.item(model.equityItem), ctx.item('totalLiabilities'), 'totalLiabilities'), 'ratio'),
+    sales: evaluate(() => ctx.divide(ctx.item('revenue'), ctx.item('totalAssets'), 'totalAssets'), 'ratio')
+  };
+
+  const base = { model: modelName, label: model.label, unit: 'score', components };
+  const missing = Object.entries(components).find(([, result]) => result.status !== 'ok');
+  if (missing) {
+    return { ...base, value: null, status: 'not_computable', reason: `${missing[0]} component is not computable: ${missing[1].reason}`, zone: null };
+  }
+
+  const value = round(Object.entries(model.weights).reduce((total, [name, weight]) => total + weight * components[name].value, 0));
+  const zone = value > model.safe ? 'safe' : value < model.distress ? 'distress' : 'grey';
+
+  return { ...base, value, status: 'ok', zone, thresholds: { safe: model.safe, distress: model.distress } };
+};
+
+module.exports = {
+  GROUPS,
+  RATIOS,
+  ALTMAN_MODELS,
+  createContext,
+  calculateRatios,
+  calculateDupont,
+  calculateAltmanZ
+};
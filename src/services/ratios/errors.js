@@ -0,0 +1,18 @@
+/**
+ * Ratio Error Classes
+ */
+
+/**
+ * Ratio Input Error - raised when statements or a benchmark set cannot be
+ * read, e.g. no period has any recognizable line items
+ */
+class RatioInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RatioInputError';
+  }
+}
+
+module.exports = {
+  RatioInputError
+};
@@ -0,0 +1,156 @@
+/**
+ * Financial Ratio Engine
+ * Calculates ratios for statements across one or more periods
+ *
+ * Groups:
+ *   profitability - margins (gross, operating, EBITDA, net), ROA, ROE
+ *   liquidity     - current, quick and cash ratios
+ *   leverage      - debt to equity and assets, interest and debt service coverage
+ *   efficiency    - turnovers, DSO, DIO, DPO and the cash conversion cycle
+ *
+ * Each period also gets a DuPont decomposition of ROE and an Altman Z-score.
+ * Ratios that cannot be calculated carry the reason (a missing line item, a
+ * zero denominator) instead of NaN or Infinity, and items a statement leaves
+ * out are only derived from its other figures, never estimated.
+ */
+const _ = require('lodash');
+const { normalizeFigures } = require('../fx');
+const { LINE_ITEMS, FLOW_ITEMS, readStatements, readStatementRows, deriveItems } = require('./statements');
+const { GROUPS, RATIOS, createContext, calculateRatios, calculateDupont, calculateAltmanZ } = require('./definitions');
+const { summarizePeers, isRatioTable, readBenchmarkTable, compareToBenchmark } = require('./benchmarks');
+const { RatioInputError } = require('./errors');
+
+/**
+ * Add the change from the previous period to each ratio
+ */
+const addChanges = (ratios, previousRatios) => _.mapValues(ratios, (group, groupName) => _.mapValues(group, (result, key) => {
+  const before = previousRatios && previousRatios[groupName][key];
+  if (!before || before.status !== 'ok' || result.status !== 'ok') return result;
+  return { ...result, change: Math.round((result.value - before.value) * 10000) / 10000 };
+}));
+
+/**
+ * Analyze statements period by period
+ * @param {Object|Array} input - Statements (see readStatements)
+ * @param {Object} options - Options
+ * @param {string} options.reportingCurrency - Convert figures into this currency
+ * @param {Object} options.fxRates - Rate table, required with reportingCurrency
+ * @param {string} options.date - Period end date of a statement whose period gives none
+ * @param {boolean} options.averageBalances - Set flows against average balances when the prior period is given
+ * @returns {Array} - Analyzed periods, oldest first
+ */
+const analyzePeriods = (input, options = {}) => {
+  const statements = readStatements(input);
+  const averageBalances = options.averageBalances === true || options.averageBalances === 'true';
+  let previous = null;
+
+  return statements.map(statement => {
+    const { values: figures, currency } = normalizeFigures(statement.figures, {
+      currency: statement.currency,
+      reportingCurrency: options.reportingCurrency,
+      date: statement.date || options.date,
+      rates: options.fxRates,
+      flowItems: FLOW_ITEMS
+    });
+    const { values, derived } = deriveItems(figures);
+
+    const ctx = createContext(values, { previous: previous && previous.values, days: statement.days, averageBalances });
+    const ratios = calculateRatios(ctx);
+
+    const period = {
+      period: statement.period,
+      date: statement.date || options.date || null,
+      days: statement.days,
+      basis: averageBalances && previous ? 'average' : 'closing',
+      ratios: addChanges(ratios, previous && previous.ratios),
+      dupont: calculateDupont(ctx),
+      altmanZ: calculateAltmanZ(ctx),
+      values,
+      derived,
+      unknown: statement.unknown,
+      currency
+    };
+    previous = period;
+    return period;
+  });
+};
+
+/**
+ * Build a benchmark from dataset rows
+ * Rows holding peer statements are analyzed peer by peer and summarized into
+ * quartiles of their latest period; rows naming ratios are read as published
+ * benchmarks.
+ * @param {Array} rows - Dataset rows
+ * @param {Object} options - Options
+ * @param {string} options.exclude - Entity to leave out (the company itself)
+ * @param {string} options.reportingCurrency - Convert peer figures into this currency
+ * @param {Object} options.fxRates - Rate table
+ * @returns {Object} - Benchmark
+ */
+const buildBenchmark = (rows, options = {}) => {
+  if (isRatioTable(rows)) {
+    return readBenchmarkTable(rows);
+  }
+
+  const entities = readStatementRows(rows)
+    .filter(({ entity }) => !options.exclude || entity.toLowerCase() !== String(options.exclude).toLowerCase());
+
+  const peers = [];
+  const skipped = [];
+  entities.forEach(({ entity, statements }) => {
+    try {
+      peers.push({ entity, period: _.last(analyzePeriods(statements, _.omit(options, ['averageBalances']))) });
+    } catch (error) {
+      if (!(error instanceof RatioInputError)) throw error;
+      skipped.push({ entity, reason: error.message });
+    }
+  });
+
+  if (peers.length === 0) {
+    throw new RatioInputError('The benchmark dataset has no peer with recognizable statements');
+  }
+
+  return { ...summarizePeers(peers), skipped };
+};
+
+/**
+ * Calculate ratios for one company
+ * @param {Object|Array} input - Statements for one or more periods
+ * @param {Object} options - Options
+ * @param {string} options.reportingCurrency - Convert figures into this currency
+ * @param {Object} options.fxRates - Rate table
+ * @param {boolean} options.averageBalances - Use average balances for turnover and return ratios
+ * @param {Object} options.benchmark - Benchmark to compare the latest period against (see buildBenchmark)
+ * @returns {Object} - { periods, latest, benchmark }
+ */
+const analyzeRatios = (input, options = {}) => {
+  const periods = analyzePeriods(input, options);
+  const latest = _.last(periods);
+
+  const result = {
+    periods: periods.map(period => _.omit(period, ['values'])),
+    latest: latest.period
+  };
+
+  if (options.benchmark) {
+    result.benchmark = {
+      source: options.benchmark.source,
+      peers: options.benchmark.peers,
+      period: latest.period,
+      comparison: compareToBenchmark(latest, options.benchmark)
+    };
+  }
+
+  return result;
+};
+
+module.exports = {
+  LINE_ITEMS,
+  GROUPS,
+  RATIOS,
+  analyzeRatios,
+  analyzePeriods,
+  buildBenchmark,
+  readStatements,
+  RatioInputError
+};
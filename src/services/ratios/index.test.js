@@ -0,0 +1,129 @@
+const { analyzeRatios, analyzePeriods, buildBenchmark, readStatements, RatioInputError } = require('./index');
+
+const statements = {
+  '2023': {
+    revenue: 1000, costOfGoodsSold: 600, operatingProfit: 150, depreciation: 50, interestExpense: 25, taxExpense: 30,
+    netIncome: 95, cash: 100, receivables: 120, inventory: 80, currentAssets: 300, payables: 60, currentLiabilities: 150,
+    totalAssets: 1000, totalLiabilities: 600, totalDebt: 400, retainedEarnings: 200, principalRepayments: 75
+  },
+  '2024': {
+    revenue: 1200, costOfGoodsSold: 720, operatingProfit: 180, depreciation: 60, interestExpense: 30, taxExpense: 36,
+    netIncome: 114, cash: 150, receivables: 150, inventory: 90, currentAssets: 360, payables: 72, currentLiabilities: 180,
+    totalAssets: 1200, totalLiabilities: 700, totalDebt: 450, retainedEarnings: 260, principalRepayments: 90
+  }
+};
+
+describe('readStatements', () => {
+  it('reads statements keyed by period, matching line items by name', () => {
+    const [first, second] = readStatements({
+      currency: 'EUR',
+      periods: { '2024-Q2': { Revenue: 500, 'Cost of sales': 300, Headcount: 12 }, '2024-Q1': { sales: 450 } }
+    });
+
+    expect(first).toMatchObject({ period: '2024-Q1', date: '2024-03-31', days: 91, currency: 'EUR', figures: { revenue: 450 } });
+    expect(second.figures).toEqual({ revenue: 500, costOfGoodsSold: 300 });
+    expect(second.unknown).toEqual(['Headcount']);
+  });
+
+  it('needs recognizable line items', () => {
+    expect(() => readStatements({ headcount: 12 })).toThrow(RatioInputError);
+    expect(() => readStatements(null)).toThrow('Financial statements are required');
+  });
+});
+
+describe('analyzePeriods', () => {
+  const [previous, latest] = analyzePeriods(statements);
+
+  it('calculates ratios per period, oldest first, with the change from the prior period', () => {
+    expect(previous.period).toBe('2023');
+    expect(latest.ratios.profitability.grossProfitMargin).toEqual({ value: 40, unit: 'percent', status: 'ok', change: 0 });
+    expect(latest.ratios.profitability.ebitdaMargin.value).toBe(20);
+    expect(latest.ratios.profitability.returnOnEquity.value).toBe(22.8);
+    expect(latest.ratios.leverage.debtServiceCoverage.value).toBe(2);
+    expect(latest.ratios.liquidity.currentRatio).toMatchObject({ value: 2, change: 0 });
+  });
+
+  it('calculates working capital days and the cash conversion cycle', () => {
+    const { efficiency } = latest.ratios;
+
+    expect(efficiency.daysSalesOutstanding.value).toBe(45.625);
+    expect(efficiency.daysInventoryOutstanding.value).toBe(45.625);
+    expect(efficiency.daysPayablesOutstanding.value).toBe(36.5);
+    expect(efficiency.cashConversionCycle.value).toBe(54.75);
+  });
+
+  it('derives implied items and lists them', () => {
+    expect(latest.derived).toEqual(expect.arrayContaining([
+      { item: 'grossProfit', formula: 'revenue - costOfGoodsSold' },
+      { item: 'ebitda', formula: 'operatingProfit + depreciation' },
+      { item: 'shareholderEquity', formula: 'totalAssets - totalLiabilities' }
+    ]));
+  });
+
+  it('splits return on equity into DuPont factors', () => {
+    const { threeFactor, fiveFactor } = latest.dupont;
+
+    expect(threeFactor).toMatchObject({ netMargin: { value: 0.095 }, assetTurnover: { value: 1 }, equityMultiplier: { value: 2.4 } });
+    expect(threeFactor.returnOnEquity.value).toBe(22.8);
+    expect(fiveFactor.returnOnEquity.value).toBe(22.8);
+  });
+
+  it('scores the private Altman model without a market capitalization', () => {
+    expect(latest.altmanZ).toMatchObject({ model: 'private', status: 'ok', zone: 'grey' });
+    expect(latest.altmanZ.value).toBeCloseTo(2.055, 2);
+  });
+
+  it('uses average balances when asked', () => {
+    const [, averaged] = analyzePeriods(statements, { averageBalances: true });
+
+    expect(averaged.basis).toBe('average');
+    expect(averaged.ratios.profitability.returnOnAssets.value).toBe(10.3636);
+  });
+
+  it('explains ratios it cannot calculate instead of returning NaN', () => {
+    const [period] = analyzePeriods({ revenue: 1000, costOfGoodsSold: 600, receivables: 100, payables: 50, currentAssets: 200, currentLiabilities: 0 });
+
+    expect(period.ratios.liquidity.currentRatio).toEqual({ value: null, unit: 'ratio', status: 'not_computable', reason: 'currentLiabilities is zero' });
+    expect(period.ratios.liquidity.quickRatio.reason).toBe('Missing inventory');
+    expect(period.ratios.efficiency.cashConversionCycle.reason).toBe('daysInventoryOutstanding is not computable: Missing inventory');
+    expect(period.altmanZ).toMatchObject({ status: 'not_computable', zone: null });
+  });
+});
+
+describe('benchmarks', () => {
+  const peers = [
+    { company: 'Acme', year: 2024, revenue: 1000, netIncome: 500, totalAssets: 1000, equity: 500 },
+    { company: 'Beta', year: 2024, revenue: 1000, netIncome: 50, totalAssets: 1000, equity: 500 },
+    { company: 'Gamma', year: 2024, revenue: 1000, netIncome: 100, totalAssets: 1000, equity: 500 },
+    { company: 'Delta', year: 2024, revenue: 1000, netIncome: 150, totalAssets: 1000, equity: 500 }
+  ];
+
+  it('summarizes peer statements into quartiles, leaving the company out', () => {
+    const benchmark = buildBenchmark(peers, { exclude: 'acme' });
+
+    expect(benchmark.peers).toEqual(['Beta', 'Gamma', 'Delta']);
+    expect(benchmark.ratios.returnOnEquity).toMatchObject({ median: 20, p25: 15, p75: 25, count: 3 });
+
+    const { benchmark: result } = analyzeRatios(statements, { benchmark });
+    expect(result.period).toBe('2024');
+    expect(result.comparison.returnOnEquity).toMatchObject({ value: 22.8, difference: 2.8, percentile: 67, position: 'within', assessment: 'neutral' });
+  });
+
+  it('reads published benchmark ratios by name or abbreviation', () => {
+    const benchmark = buildBenchmark([
+      { ratio: 'ROE', median: 15, p25: 12, p75: 18 },
+      { ratio: 'DSO', median: 40, p25: '', p75: '' },
+      { ratio: 'Magic number', median: 1, p25: '', p75: '' }
+    ]);
+
+    const { comparison } = analyzeRatios(statements, { benchmark }).benchmark;
+
+    expect(benchmark.unknown).toEqual(['Magic number']);
+    expect(comparison.returnOnEquity).toMatchObject({ position: 'above', assessment: 'favourable', percentile: null });
+    expect(comparison.daysSalesOutstanding).toMatchObject({ position: 'above', assessment: 'unfavourable' });
+  });
+
+  it('needs at least one readable peer', () => {
+    expect(() => buildBenchmark([{ company: 'Beta', headcount: 12 }])).toThrow('no peer with recognizable statements');
+  });
+});
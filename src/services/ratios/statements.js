@@ -0,0 +1,256 @@
+/**
+ * Financial statements
+ * Reads statement figures for one or more periods into canonical line items,
+ * and derives the items a statement leaves out when its other figures imply them
+ * (gross profit from revenue and cost of goods sold, EBITDA from EBIT and D&A).
+ */
+const _ = require('lodash');
+const { isMissing, parseNumber } = require('../formula/coercion');
+const { RatioInputError } = require('./errors');
+
+// Canonical line items and the names they are written under
+const LINE_ITEMS = {
+  revenue: ['revenue', 'revenues', 'sales', 'net sales', 'total revenue', 'net revenue', 'turnover'],
+  costOfGoodsSold: ['cost of goods sold', 'cogs', 'cost of sales', 'cost of revenue'],
+  grossProfit: ['gross profit'],
+  operatingProfit: ['operating profit', 'operating income', 'ebit'],
+  depreciation: ['depreciation', 'depreciation and amortization', 'depreciation amortization', 'd&a', 'da'],
+  ebitda: ['ebitda'],
+  interestExpense: ['interest expense', 'interest', 'finance costs'],
+  preTaxIncome: ['pre tax income', 'pretax income', 'income before tax', 'profit before tax', 'ebt'],
+  taxExpense: ['tax expense', 'income tax', 'income tax expense', 'tax'],
+  netIncome: ['net income', 'net profit', 'net earnings', 'profit after tax'],
+  cash: ['cash', 'cash and equivalents', 'cash and cash equivalents'],
+  receivables: ['receivables', 'accounts receivable', 'trade receivables'],
+  inventory: ['inventory', 'inventories', 'stock'],
+  currentAssets: ['current assets', 'total current assets'],
+  payables: ['payables', 'accounts payable', 'trade payables'],
+  currentLiabilities: ['current liabilities', 'total current liabilities'],
+  totalAssets: ['total assets', 'assets'],
+  totalLiabilities: ['total liabilities', 'liabilities'],
+  totalDebt: ['total debt', 'debt', 'borrowings'],
+  shareholderEquity: ['shareholder equity', 'shareholders equity', 'stockholders equity', 'total equity', 'equity'],
+  retainedEarnings: ['retained earnings'],
+  marketCapitalization: ['market capitalization', 'market cap', 'market value of equity'],
+  principalRepayments: ['principal repayments', 'debt repayments', 'principal payments', 'scheduled principal'],
+  operatingCashFlow: ['operating cash flow', 'cash from operations'],
+  capitalExpenditure: ['capital expenditure', 'capex']
+};
+
+// Income statement and cash flow items cover a period; the rest are balances at its end
+const FLOW_ITEMS = [
+  'revenue', 'costOfGoodsSold', 'grossProfit', 'operatingProfit', 'depreciation', 'ebitda', 'interestExpense',
+  'preTaxIncome', 'taxExpense', 'netIncome', 'principalRepayments', 'operatingCashFlow', 'capitalExpenditure'
+];
+
+// Keys describing a statement rather than holding a figure
+const META_KEYS = ['period', 'year', 'fiscalYear', 'date', 'periodEnd', 'days', 'currency', 'company', 'entity', 'name', 'peer', 'ticker'];
+
+// Items a statement may leave out, with the figures that imply them
+const DERIVATIONS = [
+  { item: 'grossProfit', from: ['revenue', 'costOfGoodsSold'], formula: 'revenue - costOfGoodsSold', calculate: f => f.revenue - f.costOfGoodsSold },
+  { item: 'costOfGoodsSold', from: ['revenue', 'grossProfit'], formula: 'revenue - grossProfit', calculate: f => f.revenue - f.grossProfit },
+  { item: 'ebitda', from: ['operatingProfit', 'depreciation'], formula: 'operatingProfit + depreciation', calculate: f => f.operatingProfit + f.depreciation },
+  { item: 'operatingProfit', from: ['ebitda', 'depreciation'], formula: 'ebitda - depreciation', calculate: f => f.ebitda - f.depreciation },
+  { item: 'preTaxIncome', from: ['netIncome', 'taxExpense'], formula: 'netIncome + taxExpense', calculate: f => f.netIncome + f.taxExpense },
+  { item: 'totalLiabilities', from: ['totalAssets', 'shareholderEquity'], formula: 'totalAssets - shareholderEquity', calculate: f => f.totalAssets - f.shareholderEquity },
+  { item: 'shareholderEquity', from: ['totalAssets', 'totalLiabilities'], formula: 'totalAssets - totalLiabilities', calculate: f => f.totalAssets - f.totalLiabilities }
+];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9&]/g, '');
+
+const ITEM_LOOKUP = new Map(_.flatMap(Object.entries(LINE_ITEMS), ([item, names]) => [
+  [normalizeKey(item), item],
+  ...names.map(name => [normalizeKey(name), item])
+]));
+
+/**
+ * Find the canonical line item a figure name stands for
+ * @param {string} name - Name as written ("Accounts Receivable", "cogs")
+ * @returns {string|null} - Canonical item
+ */
+const resolveItem = (name) => ITEM_LOOKUP.get(normalizeKey(name)) || null;
+
+/**
+ * The last day of a period label
+ * @param {string} period - "2024", "2024-Q2", "Q2 2024" or "2024-03"
+ * @returns {string|null} - YYYY-MM-DD
+ */
+const periodEndDate = (period) => {
+  const text = String(period || '').trim();
+  let match = /^(?:FY\s?)?(\d{4})$/i.exec(text);
+  if (match) return `${match[1]}-12-31`;
+
+  match = /^(\d{4})[\s-]?Q([1-4])$/i.exec(text) || /^Q([1-4])[\s-]?(\d{4})$/i.exec(text);
+  if (match) {
+    const [year, quarter] = /^\d{4}$/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+    return new Date(Date.UTC(Number(year), Number(quarter) * 3, 0)).toISOString().slice(0, 10);
+  }
+
+  match = /^(\d{4})-(\d{2})$/.exec(text);
+  if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]), 0)).toISOString().slice(0, 10);
+
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : null;
+};
+
+/**
+ * Days a period covers, used for DSO, DIO and DPO
+ */
+const periodDays = (period) => {
+  const text = String(period || '');
+  if (/Q[1-4]/i.test(text)) return 91;
+  const month = /^(\d{4})-(\d{2})$/.exec(text);
+  if (month) return new Date(Date.UTC(Number(month[1]), Number(month[2]), 0)).getUTCDate();
+  return 365;
+};
+
+/**
+ * Read one statement
+ * @param {Object} raw - Figures by name, numbers or { amount, currency }, plus period, date, days and currency
+ * @param {string} fallbackPeriod - Period label when the statement has none
+ * @returns {Object} - { period, date, days, currency, figures, unknown }
+ */
+const readStatement = (raw, fallbackPeriod) => {
+  const period = String(raw.period || raw.year || raw.fiscalYear || fallbackPeriod);
+  const figures = {};
+  const unknown = [];
+
+  Object.entries(raw).forEach(([name, value]) => {
+    if (META_KEYS.includes(name) || isMissing(value)) return;
+    const item = resolveItem(name);
+    if (!item) {
+      unknown.push(name);
+      return;
+    }
+
+    // Figures may carry their own currency
+    const amount = value !== null && typeof value === 'object' ? value.amount : value;
+    const number = parseNumber(amount);
+    if (number === null || Number.isNaN(number)) {
+      unknown.push(name);
+      return;
+    }
+    figures[item] = value !== null && typeof value === 'object' ? { amount: number, currency: value.currency } : number;
+  });
+
+  return {
+    period,
+    date: raw.date || raw.periodEnd || periodEndDate(period),
+    days: Number(raw.days) > 0 ? Number(raw.days) : periodDays(period),
+    currency: raw.currency || null,
+    figures,
+    unknown
+  };
+};
+
+/**
+ * Read the statements of one company
+ * Accepts a single statement, an array of statements with a period each, an object
+ * of statements keyed by period ({ "2023": {...}, "2024": {...} }) or { periods } / { statements }.
+ * @param {Object|Array} input - Statements
+ * @returns {Array} - Statements in period order
+ */
+const readStatements = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new RatioInputError('Financial statements are required');
+  }
+
+  let entries;
+  if (Array.isArray(input)) {
+    entries = input.map((raw, index) => readStatement(raw, `period ${index + 1}`));
+  } else if (Array.isArray(input.statements)) {
+    entries = input.statements.map((raw, index) => readStatement({ currency: input.currency, ...raw }, `period ${index + 1}`));
+  } else if (input.periods && typeof input.periods === 'object') {
+    entries = Object.entries(input.periods).map(([period, raw]) => readStatement({ currency: input.currency, ...raw, period }, period));
+  } else if (Object.values(input).length > 0 && Object.entries(input).every(([key, value]) => (
+    value !== null && typeof value === 'object' && !('amount' in value) && periodEndDate(key)
+  ))) {
+    entries = Object.entries(input).map(([period, raw]) => readStatement({ ...raw, period }, period));
+  } else {
+    entries = [readStatement(input, 'current')];
+  }
+
+  const statements = entries.filter(statement => Object.keys(statement.figures).length > 0);
+  if (statements.length === 0) {
+    throw new RatioInputError('No recognizable line items found (e.g. revenue, netIncome, totalAssets)');
+  }
+
+  return _.sortBy(statements, statement => statement.date || statement.period);
+};
+
+/**
+ * Fill in the items a statement's other figures imply
+ * @param {Object} values - Item to number
+ * @returns {Object} - { values, derived: [{ item, formula }] }
+ */
+const deriveItems = (values) => {
+  const result = { ...values };
+  const derived = [];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    DERIVATIONS.forEach(({ item, from, formula, calculate }) => {
+      if (result[item] === undefined && from.every(name => result[name] !== undefined)) {
+        result[item] = calculate(result);
+        derived.push({ item, formula });
+        changed = true;
+      }
+    });
+  }
+
+  return { values: result, derived };
+};
+
+const ENTITY_NAMES = /^(?:company|entity|peer|name|ticker|organization|organisation|firm)$/i;
+const PERIOD_NAMES = /^(?:period|year|fiscal[\s_-]?year|fy|quarter|date)$/i;
+const ITEM_NAMES = /^(?:item|line[\s_-]?item|account|metric|line|caption)$/i;
+const VALUE_NAMES = /^(?:value|amount|balance)$/i;
+
+const findColumn = (columns, pattern) => columns.find(column => pattern.test(column.trim())) || null;
+
+/**
+ * Read statements held in dataset rows
+ * Rows are either one statement per row (line items as columns) or one figure
+ * per row (item and value columns); either may name the entity and period.
+ * @param {Array} rows - Dataset rows
+ * @returns {Array} - [{ entity, statements }]
+ */
+const readStatementRows = (rows) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new RatioInputError('The statement dataset has no rows');
+  }
+
+  const columns = Object.keys(rows[0]);
+  const entityColumn = findColumn(columns, ENTITY_NAMES);
+  const periodColumn = findColumn(columns, PERIOD_NAMES);
+  const itemColumn = findColumn(columns, ITEM_NAMES);
+  const valueColumn = findColumn(columns, VALUE_NAMES);
+  const entityOf = row => (entityColumn && !isMissing(row[entityColumn]) ? String(row[entityColumn]) : 'dataset');
+  const periodOf = row => (periodColumn && !isMissing(row[periodColumn]) ? String(row[periodColumn]) : 'current');
+
+  let byEntity;
+  if (itemColumn && valueColumn) {
+    byEntity = _.mapValues(_.groupBy(rows, entityOf), entityRows => _.map(_.groupBy(entityRows, periodOf), (periodRows, period) => ({
+      period,
+      ...Object.fromEntries(periodRows.map(row => [row[itemColumn], row[valueColumn]]))
+    })));
+  } else {
+    byEntity = _.mapValues(_.groupBy(rows, entityOf), entityRows => entityRows.map(row => ({
+      ..._.omit(row, [entityColumn, periodColumn].filter(Boolean)),
+      period: periodOf(row)
+    })));
+  }
+
+  return Object.entries(byEntity).map(([entity, statements]) => ({ entity, statements }));
+};
+
+module.exports = {
+  LINE_ITEMS,
+  FLOW_ITEMS,
+  resolveItem,
+  periodEndDate,
+  readStatements,
+  readStatementRows,
+  deriveItems
+};
@@ -0,0 +1,432 @@
+/**
+ * Recipe Service
+ * Saves a dataset's transformation chain as a reusable recipe and applies it
+ * to newly uploaded datasets. Recipes can be parameterized (a step value is
+ * replaced by a named {{placeholder}}) and adapt to drifting headers through
+ * column mapping.
+ */
+const _ = require('lodash');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const timelineTracking = require('../utils/timelineTracking');
+const { TransformationRecipe, FinancialDataset } = require('../database/models');
+const { loadDatasetRows } = require('../utils/datasetLoader');
+const { getColumns, getStepColumns, renameStepColumns, matchColumns } = require('../utils/columnMapping');
+const { recordDatasetVersion, runTransformation, storeTransformation } = require('./transformationPersistenceService');
+const { loadRateTable } = require('./fxRateService');
+const {
+  getTransformationChain,
+  reconstructDataset,
+  toInterpretation,
+  loadRecordedSources,
+  parseStoredJson
+} = require('./transformationReplayService');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+// Conditions that only hold for the data they were recorded on: conversions pin
+// its FX rates. Other files are converted at the rates stored when applied.
+const RECORDED_CONDITIONS = ['rates'];
+
+/**
+ * Refuse steps that cannot be repeated on other data
+ * Reviewed duplicate merges name the rows of the file they were reviewed on,
+ * so they are neither recorded nor applied; duplicates in a new file need
+ * their own review.
+ * @param {Array} steps - Recipe steps with an operation each
+ */
+const assertRepeatable = (steps) => {
+  const index = steps.findIndex(step => step.operation === 'merge_duplicates');
+  if (index >= 0) {
+    throw new Error(`Step ${index + 1} merges reviewed duplicates, which only apply to the rows they were reviewed on. ` +
+      'Save the recipe up to the step before it and review the duplicates of each new file separately');
+  }
+};
+
+/**
+ * Convert a recipe record into a plain object with parsed JSON fields
+ * @param {Object} recipe - TransformationRecipe record
+ * @returns {Object} - Recipe
+ */
+const formatRecipe = (recipe) => ({
+  id: recipe.id,
+  name: recipe.name,
+  description: recipe.description,
+  steps: parseStoredJson(recipe.steps, []),
+  parameters: parseStoredJson(recipe.parameters, []),
+  inputColumns: parseStoredJson(recipe.inputColumns, []),
+  isShared: recipe.isShared,
+  sourceDatasetId: recipe.sourceDatasetId,
+  userId: recipe.userId,
+  createdAt: recipe.createdAt,
+  updatedAt: recipe.updatedAt
+});
+
+/**
+ * Find a recipe the user owns or that has been shared
+ * @param {number} userId - User ID
+ * @param {number} recipeId - Recipe ID
+ * @param {Object} options - Options
+ * @param {boolean} options.ownedOnly - Only match the user's own recipes
+ * @returns {Promise<Object>} - TransformationRecipe record
+ */
+const findRecipe = async (userId, recipeId, { ownedOnly = false } = {}) => {
+  const recipe = await TransformationRecipe.findOne({
+    where: {
+      id: recipeId,
+      ...(ownedOnly ? { userId } : { [Op.or]: [{ userId }, { isShared: true }] })
+    }
+  });
+
+  if (!recipe) {
+    throw new Error('Recipe not found');
+  }
+
+  return recipe;
+};
+
+/**
+ * Replace step values with named placeholders
+ * @param {Array} steps - Recipe steps
+ * @param {Array} parameters - [{ name, step, path, description }] with 1-based step numbers
+ * @returns {Object} - { steps, parameters } with defaults taken from the replaced values
+ */
+const parameterizeSteps = (steps, parameters = []) => {
+  const templated = _.cloneDeep(steps);
+
+  const definitions = parameters.map(({ name, step, path, description = '' }) => {
+    if (!name || !/^[A-Za-z0-9_]+$/.test(name)) {
+      throw new Error(`Invalid parameter name "${name}". Use letters, digits and underscores`);
+    }
+
+    // Merge sources name stored datasets, which must never come from the caller
+    if (_.toPath(path)[0] === 'sources') {
+      throw new Error(`Parameter "${name}" cannot replace the merge sources of a step`);
+    }
+
+    const target = templated[step - 1];
+    if (!target || !_.has(target, path)) {
+      throw new Error(`Parameter "${name}" points to ${path} of step ${step}, which does not exist`);
+    }
+
+    const defaultValue = _.get(target, path);
+    _.set(target, path, `{{${name}}}`);
+
+    return { name, description, default: defaultValue };
+  });
+
+  if (_.uniqBy(definitions, 'name').length !== definitions.length) {
+    throw new Error('Parameter names must be unique');
+  }
+
+  return { steps: templated, parameters: definitions };
+};
+
+/**
+ * Fill the placeholders of recipe steps with parameter values
+ * A value that is exactly one placeholder keeps the parameter's type.
+ * @param {*} value - Step or part of a step
+ * @param {Object} values - Map of parameter name to value
+ * @returns {*} - Filled copy
+ */
+const fillPlaceholders = (value, values) => {
+  if (typeof value === 'string') {
+    const whole = /^\{\{\s*([A-Za-z0-9_]+)\s*\}\}$/.exec(value);
+    if (whole) return values[whole[1]];
+
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name]));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, values));
+  }
+
+  if (value && typeof value === 'object') {
+    return _.mapValues(value, item => fillPlaceholders(item, values));
+  }
+
+  return value;
+};
+
+/**
+ * Work out which recorded input columns the recipe actually reads
+ * @param {Object} recipe - Formatted recipe
+ * @returns {Array} - Column names
+ */
+const getRequiredColumns = (recipe) => {
+  const byLowerName = new Map(recipe.inputColumns.map(column => [column.toLowerCase(), column]));
+  const referenced = _.uniq(_.flatMap(recipe.steps, getStepColumns));
+
+  // Formulas match columns case-insensitively, so resolve references the same way
+  return _.uniq(referenced
+    .map(column => (recipe.inputColumns.includes(column) ? column : byLowerName.get(column.toLowerCase())))
+    .filter(Boolean));
+};
+
+/**
+ * Save the transformation chain of a dataset as a recipe
+ * @param {number} userId - User ID
+ * @param {Object} params - Recipe parameters
+ * @param {number} params.datasetId - Dataset whose chain is saved
+ * @param {string} params.name - Recipe name
+ * @param {string} params.description - Optional description
+ * @param {boolean} params.isShared - Make the recipe visible to other users
+ * @param {number} params.upToTransformationId - Save the chain up to this transformation; defaults to the current version
+ * @param {Array} params.parameters - Optional [{ name, step, path, description }] values to turn into parameters
+ * @returns {Promise<Object>} - Created recipe
+ */
+exports.createRecipe = async (userId, params) => {
+  const {
+    datasetId,
+    name,
+    description = null,
+    isShared = false,
+    upToTransformationId = null,
+    parameters = []
+  } = params;
+
+  if (!datasetId || !name) {
+    throw new Error('Dataset ID and recipe name are required');
+  }
+
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error('Dataset not found');
+  }
+
+  const chain = await getTransformationChain(dataset.id, { userId, upToTransformationId });
+  if (chain.length === 0) {
+    throw new Error('The dataset has no transformations to save');
+  }
+
+  const recordedSteps = chain.map(transformation => {
+    const { intent, operation, columns, conditions, sources } = toInterpretation(transformation);
+    return {
+      name: intent,
+      operation,
+      columns,
+      conditions: _.omit(conditions, RECORDED_CONDITIONS),
+      ...(sources.length > 0 ? { sources } : {})
+    };
+  });
+
+  assertRepeatable(recordedSteps);
+  const { steps, parameters: definitions } = parameterizeSteps(recordedSteps, parameters);
+
+  const recipe = await TransformationRecipe.create({
+    userId,
+    name,
+    description,
+    isShared: Boolean(isShared),
+    sourceDatasetId: dataset.id,
+    steps: JSON.stringify(steps),
+    parameters: JSON.stringify(definitions),
+    inputColumns: JSON.stringify(getColumns(loadDatasetRows(dataset)))
+  });
+
+  logger.info('Created transformation recipe', { recipeId: recipe.id, datasetId, steps: steps.length });
+
+  return formatRecipe(recipe);
+};
+
+/**
+ * List the user's recipes and recipes shared by others
+ * @param {number} userId - User ID
+ * @param {Object} options - Options
+ * @param {boolean} options.includeShared - Include other users' shared recipes
+ * @returns {Promise<Array>} - Recipes
+ */
+exports.listRecipes = async (userId, { includeShared = true } = {}) => {
+  const recipes = await TransformationRecipe.findAll({
+    where: includeShared ? { [Op.or]: [{ userId }, { isShared: true }] } : { userId },
+    order: [['updatedAt', 'DESC']]
+  });
+
+  return recipes.map(formatRecipe);
+};
+
+/**
+ * Get a single recipe
+ * @param {number} userId - User ID
+ * @param {number} recipeId - Recipe ID
+ * @returns {Promise<Object>} - Recipe
+ */
+exports.getRecipe = async (userId, recipeId) => formatRecipe(await findRecipe(userId, recipeId));
+
+/**
+ * Update a recipe's name, description or sharing
+ * @param {number} userId - User ID
+ * @param {number} recipeId - Recipe ID
+ * @param {Object} updates - { name, description, isShared }
+ * @returns {Promise<Object>} - Updated recipe
+ */
+exports.updateRecipe = async (userId, recipeId, updates) => {
+  const recipe = await findRecipe(userId, recipeId, { ownedOnly: true });
+  const allowed = _.pick(updates, ['name', 'description', 'isShared']);
+
+  await recipe.update(allowed);
+  return formatRecipe(recipe);
+};
+
+/**
+ * Delete a recipe
+ * @param {number} userId - User ID
+ * @param {number} recipeId - Recipe ID
+ * @returns {Promise<void>}
+ */
+exports.deleteRecipe = async (userId, recipeId) => {
+  const recipe = await findRecipe(userId, recipeId, { ownedOnly: true });
+  await recipe.destroy();
+};
+
+/**
+ * Match a recipe's input columns to a dataset's columns
+ * @param {number} userId - User ID
+ * @param {number} recipeId - Recipe ID
+ * @param {number} datasetId - Target dataset ID
+ * @param {Object} columnMapping - Optional map of recipe column to dataset column
+ * @returns {Promise<Object>} - { mapping, missing, invalid, availableColumns }
+ */
+exports.resolveColumnMapping = async (userId, recipeId, datasetId, columnMapping = {}) => {
+  const recipe = formatRecipe(await findRecipe(userId, recipeId));
+  const { data } = await reconstructDataset(datasetId, { userId });
+  const availableColumns = getColumns(data);
+
+  return {
+    ...matchColumns(getRequiredColumns(recipe), availableColumns, columnMapping),
+    availableColumns
+  };
+};
+
+/**
+ * Apply a recipe to a dataset, on top of its current version
+ * All steps run before anything is stored, so a failing step leaves the dataset untouched.
+ * @param {number} userId - User ID
+ * @param {number} recipeId - Recipe ID
+ * @param {number} datasetId - Target dataset ID
+ * @param {Object} options - Options
+ * @param {Object} options.columnMapping - Map of recipe column to dataset column for renamed headers
+ * @param {Object} options.parameters - Values for the recipe's parameters
+ * @returns {Promise<Object>} - { data, steps, columnMapping, message }
+ */
+exports.applyRecipe = async (userId, recipeId, datasetId, options = {}) => {
+  const { columnMapping = {}, parameters = {} } = options;
+
+  const recipe = formatRecipe(await findRecipe(userId, recipeId));
+  assertRepeatable(recipe.steps);
+
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error('Dataset not found');
+  }
+
+  const current = await reconstructDataset(dataset, { userId });
+
+  // Map the recipe's columns onto this file's headers
+  const { mapping, missing, invalid } = matchColumns(
+    getRequiredColumns(recipe),
+    getColumns(current.data),
+    columnMapping
+  );
+
+  if (invalid.length > 0) {
+    throw new Error(`Mapped columns not found in the dataset: ${invalid.map(i => `${i.column} -> ${i.mappedTo}`).join(', ')}`);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Columns required by the recipe are missing: ${missing.join(', ')}. Provide a column mapping for them`);
+  }
+
+  // Fill parameters, falling back to the values the recipe was recorded with
+  const unknown = Object.keys(parameters).filter(name => !recipe.parameters.some(p => p.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown recipe parameters: ${unknown.join(', ')}`);
+  }
+
+  const values = recipe.parameters.reduce((acc, p) => ({
+    ...acc,
+    [p.name]: parameters[p.name] !== undefined ? parameters[p.name] : p.default
+  }), {});
+
+  // Merge sources are kept as recorded, so no parameter can point them at another dataset
+  const steps = recipe.steps.map(step => renameStepColumns({
+    ...fillPlaceholders(_.omit(step, 'sources'), values),
+    ...(step.sources ? { sources: step.sources } : {})
+  }, mapping));
+
+  // Run every step before storing anything
+  timelineTracking.resetSession(userId);
+
+  let data = current.data;
+  const results = [];
+
+  for (const [index, step] of steps.entries()) {
+    const interpretation = {
+      intent: step.name,
+      operation: step.operation,
+      columns: step.columns,
+      conditions: step.conditions,
+      explanation: step.name
+    };
+
+    // A step that breaks the dataset's validation rules stops the recipe before anything is stored
+    const { result, validation, executionTime } = await runTransformation({
+      userId,
+      dataset,
+      data,
+      interpretation,
+      context: {
+        sourceName: dataset.name,
+        loadFxRates: () => loadRateTable(userId),
+        resolveSources: () => loadRecordedSources(step.sources || [], userId)
+      },
+      details: { recipe: recipe.name, step: index + 1 },
+      metadata: { recipeId: recipe.id }
+    });
+
+    results.push({ step, interpretation, result, validation, rowsBefore: data.length, executionTime });
+    data = result.data;
+  }
+
+  // Store the steps as a chain on top of the current version
+  let parentId = current.transformationId;
+
+  await recordDatasetVersion(dataset, current.data, { userId, transformationId: parentId });
+  const appliedSteps = [];
+
+  for (const { step, interpretation, result, validation, rowsBefore, executionTime } of results) {
+    const transformation = await storeTransformation({
+      userId,
+      dataset,
+      parentId,
+      interpretation,
+      result,
+      validation,
+      rowsBefore,
+      executionTime,
+      sources: step.sources,
+      parameters: { recipeId: recipe.id },
+      description: `Recipe "${recipe.name}"`,
+      metadata: { recipeId: recipe.id }
+    });
+
+    parentId = transformation.id;
+    appliedSteps.push({
+      transformationId: transformation.id,
+      name: step.name,
+      operation: step.operation,
+      rowsBefore,
+      rowsAfter: result.data.length,
+      message: result.message,
+      ...(validation ? { validation: validation.summary } : {})
+    });
+  }
+
+  logger.info('Applied transformation recipe', { recipeId: recipe.id, datasetId: dataset.id, steps: appliedSteps.length });
+
+  return {
+    data,
+    steps: appliedSteps,
+    columnMapping: mapping,
+    message: `Applied recipe "${recipe.name}" (${appliedSteps.length} steps): ${current.data.length} rows in, ${data.length} rows out.`
+  };
+};
@@ -0,0 +1,172 @@
+jest.mock('../database/models', () => ({
+  TransformationRecipe: { findOne: jest.fn(), create: jest.fn() },
+  DataTransformation: { create: jest.fn() },
+  FinancialDataset: { findOne: jest.fn() }
+}));
+jest.mock('../utils/timelineTracking', () => ({
+  resetSession: jest.fn(),
+  trackAsyncStep: jest.fn(),
+  trackStep: jest.fn()
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock('../utils/datasetLoader', () => ({ loadDatasetRows: jest.fn() }));
+jest.mock('./transformationExecutor', () => ({ executeOperation: jest.fn() }));
+jest.mock('./datasetVersionService', () => ({ recordVersion: jest.fn() }));
+jest.mock('./validationService', () => ({ validateData: jest.fn() }));
+jest.mock('./fxRateService', () => ({ loadRateTable: jest.fn() }));
+jest.mock('./transformationReplayService', () => ({
+  getTransformationChain: jest.fn(),
+  reconstructDataset: jest.fn(),
+  toInterpretation: jest.fn(),
+  loadRecordedSources: jest.fn(),
+  parseStoredJson: (value, fallback) => (value ? JSON.parse(value) : fallback)
+}));
+
+const { TransformationRecipe, DataTransformation, FinancialDataset } = require('../database/models');
+const timelineTracking = require('../utils/timelineTracking');
+const { loadDatasetRows } = require('../utils/datasetLoader');
+const { executeOperation } = require('./transformationExecutor');
+const { recordVersion } = require('./datasetVersionService');
+const { validateData } = require('./validationService');
+const replay = require('./transformationReplayService');
+const recipeService = require('./recipeService');
+
+const rows = [{ vendor: 'ACME Corp.', amount: 100 }, { vendor: 'Acme Corporation', amount: 50 }];
+
+// A conversion with pinned rates followed by a join with another stored dataset
+const chain = [
+  {
+    intent: 'Convert amounts to EUR',
+    operation: 'convert_currency',
+    columns: ['amount'],
+    conditions: { targetCurrency: 'EUR', rates: [{ from: 'USD', to: 'EUR', rate: 0.9 }] },
+    sources: []
+  },
+  {
+    intent: 'Join vendor master data',
+    operation: 'join',
+    columns: ['vendor'],
+    conditions: {},
+    sources: [{ name: 'Vendors', datasetId: 7 }]
+  }
+];
+
+beforeEach(() => {
+  FinancialDataset.findOne.mockImplementation(async ({ where }) => ({ id: where.id, userId: where.userId, name: 'Invoices' }));
+  TransformationRecipe.create.mockImplementation(async attributes => ({ id: 1, ...attributes }));
+  DataTransformation.create.mockImplementation(async attributes => ({ id: 100 + DataTransformation.create.mock.calls.length, ...attributes }));
+  loadDatasetRows.mockReturnValue(rows);
+  replay.getTransformationChain.mockResolvedValue(chain);
+  replay.toInterpretation.mockImplementation(transformation => transformation);
+  replay.reconstructDataset.mockResolvedValue({ data: rows, transformationId: 5 });
+  replay.loadRecordedSources.mockResolvedValue([{ name: 'Vendors', data: [] }]);
+  timelineTracking.trackAsyncStep.mockImplementation((info, run) => run());
+  timelineTracking.trackStep.mockResolvedValue();
+  recordVersion.mockResolvedValue();
+  validateData.mockResolvedValue(null);
+  executeOperation.mockImplementation(async (data, interpretation, options) => {
+    if (interpretation.operation === 'join') await options.resolveSources();
+    return { data, message: `${interpretation.operation} done` };
+  });
+});
+
+describe('createRecipe', () => {
+  it('turns step values into parameters and drops the conditions recorded for that file', async () => {
+    const recipe = await recipeService.createRecipe(1, {
+      datasetId: 3,
+      name: 'Vendor cleanup',
+      parameters: [{ name: 'currency', step: 1, path: 'conditions.targetCurrency' }]
+    });
+
+    expect(recipe.parameters).toEqual([{ name: 'currency', description: '', default: 'EUR' }]);
+    expect(recipe.steps[0].conditions).toEqual({ targetCurrency: '{{currency}}' });
+    expect(recipe.steps[1].sources).toEqual([{ name: 'Vendors', datasetId: 7 }]);
+    expect(recipe.inputColumns).toEqual(['vendor', 'amount']);
+  });
+
+  it('refuses to record reviewed duplicate merges', async () => {
+    replay.getTransformationChain.mockResolvedValue([...chain, {
+      intent: 'Merge 1 duplicate group',
+      operation: 'merge_duplicates',
+      columns: ['vendor'],
+      conditions: { decisions: [{ rows: [0, 1], survivor: 0 }], rowCount: 2 },
+      sources: []
+    }]);
+
+    await expect(recipeService.createRecipe(1, { datasetId: 3, name: 'Vendor cleanup' }))
+      .rejects.toThrow('Step 3 merges reviewed duplicates');
+    expect(TransformationRecipe.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to turn merge sources into parameters', async () => {
+    await expect(recipeService.createRecipe(1, {
+      datasetId: 3,
+      name: 'Vendor cleanup',
+      parameters: [{ name: 'vendors', step: 2, path: 'sources[0].datasetId' }]
+    })).rejects.toThrow('Parameter "vendors" cannot replace the merge sources of a step');
+
+    expect(TransformationRecipe.create).not.toHaveBeenCalled();
+  });
+
+  it('only saves chains of the user\'s own datasets', async () => {
+    FinancialDataset.findOne.mockResolvedValue(null);
+
+    await expect(recipeService.createRecipe(2, { datasetId: 3, name: 'Copy' })).rejects.toThrow('Dataset not found');
+    expect(FinancialDataset.findOne).toHaveBeenCalledWith({ where: { id: 3, userId: 2 } });
+  });
+});
+
+describe('applyRecipe', () => {
+  const storedRecipe = {
+    id: 1,
+    userId: 1,
+    name: 'Vendor cleanup',
+    steps: JSON.stringify([
+      { name: 'Convert amounts to EUR', operation: 'convert_currency', columns: ['amount'], conditions: { targetCurrency: '{{currency}}' } },
+      { name: 'Join vendor master data', operation: 'join', columns: ['vendor'], conditions: {}, sources: [{ name: 'Vendors', datasetId: 7 }] }
+    ]),
+    parameters: JSON.stringify([{ name: 'currency', description: '', default: 'EUR' }]),
+    inputColumns: JSON.stringify(['vendor', 'amount'])
+  };
+
+  beforeEach(() => {
+    TransformationRecipe.findOne.mockResolvedValue(storedRecipe);
+  });
+
+  it('fills parameters and loads merge sources as the applying user', async () => {
+    const result = await recipeService.applyRecipe(2, 1, 4, { parameters: { currency: 'GBP' } });
+
+    expect(executeOperation.mock.calls[0][1].conditions).toEqual({ targetCurrency: 'GBP' });
+    expect(replay.loadRecordedSources).toHaveBeenCalledWith([{ name: 'Vendors', datasetId: 7 }], 2);
+    expect(result.steps.map(step => step.operation)).toEqual(['convert_currency', 'join']);
+    expect(DataTransformation.create.mock.calls[1][0].parentId).toBe(101);
+  });
+
+  it('falls back to the recorded parameter values', async () => {
+    await recipeService.applyRecipe(2, 1, 4);
+
+    expect(executeOperation.mock.calls[0][1].conditions).toEqual({ targetCurrency: 'EUR' });
+  });
+
+  it('refuses recipes saved with a reviewed duplicate merge', async () => {
+    TransformationRecipe.findOne.mockResolvedValue({
+      ...storedRecipe,
+      steps: JSON.stringify([{ name: 'Merge 1 duplicate group', operation: 'merge_duplicates', columns: ['vendor'], conditions: {} }])
+    });
+
+    await expect(recipeService.applyRecipe(2, 1, 4)).rejects.toThrow('Step 1 merges reviewed duplicates');
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('rejects parameters the recipe does not have', async () => {
+    await expect(recipeService.applyRecipe(2, 1, 4, { parameters: { vendors: 8 } }))
+      .rejects.toThrow('Unknown recipe parameters: vendors');
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('asks for a mapping when a required column is missing', async () => {
+    replay.reconstructDataset.mockResolvedValue({ data: [{ supplier: 'ACME', amount: 1 }], transformationId: null });
+
+    await expect(recipeService.applyRecipe(2, 1, 4)).rejects.toThrow('Columns required by the recipe are missing: vendor');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Reconciliation entries
+ * Reads the rows of a ledger or bank dataset into entries with an amount in
+ * cents, a day number and the text used to match references.
+ */
+const { isMissing, parseNumber, toDate, MS_PER_DAY } = require('../formula/coercion');
+const { tokenize } = require('../../utils/fuzzyMatcher');
+const { ReconciliationError } = require('./errors');
+
+const DATE_NAMES = /^(?:date|booking[\s_-]?date|posting[\s_-]?date|post[\s_-]?date|transaction[\s_-]?date|entry[\s_-]?date|value[\s_-]?date)$/i;
+const AMOUNT_NAMES = /^(?:amount|amt|net[\s_-]?amount|transaction[\s_-]?amount|value)$/i;
+const DEBIT_NAMES = /^(?:debit|debits|dr|debit[\s_-]?amount|withdrawals?|paid[\s_-]?out|money[\s_-]?out)$/i;
+const CREDIT_NAMES = /^(?:credit|credits|cr|credit[\s_-]?amount|deposits?|paid[\s_-]?in|money[\s_-]?in)$/i;
+const REFERENCE_NAMES = /^(?:reference|ref|ref[\s_-]?no|check[\s_-]?(?:no|number)|cheque[\s_-]?(?:no|number)|document[\s_-]?(?:no|number)?|doc[\s_-]?(?:no|number)?|invoice[\s_-]?(?:no|number|id)?|payment[\s_-]?(?:ref|reference|id))$/i;
+const DESCRIPTION_NAMES = /^(?:description|memo|narrative|details|remittance[\s_-]?info(?:rmation)?|text|payee|counterparty|name)$/i;
+
+// Reference tokens shorter than this ("to", "01") say nothing on their own
+const MIN_REFERENCE_LENGTH = 3;
+
+/**
+ * Find the first column whose name matches a pattern
+ */
+const findColumn = (columns, pattern) => columns.find(column => pattern.test(column.trim())) || null;
+
+/**
+ * Work out which columns hold the amount, date, reference and description
+ * @param {Array} data - Rows
+ * @param {Object} settings - Columns given by the caller: { amountColumn, debitColumn, creditColumn, dateColumn, referenceColumn, descriptionColumn }
+ * @param {string} side - "ledger" or "bank", used in error messages
+ * @returns {Object} - { amount, debit, credit, date, reference, description }
+ */
+const resolveColumns = (data, settings = {}, side) => {
+  const columns = Object.keys(data[0] || {});
+  const check = (column) => {
+    if (column && !columns.includes(column)) {
+      throw new ReconciliationError(`Column "${column}" not found in the ${side} data`);
+    }
+    return column || null;
+  };
+
+  const resolved = {
+    amount: check(settings.amountColumn),
+    debit: check(settings.debitColumn),
+    credit: check(settings.creditColumn),
+    date: check(settings.dateColumn) || findColumn(columns, DATE_NAMES),
+    reference: check(settings.referenceColumn) || findColumn(columns, REFERENCE_NAMES),
+    description: check(settings.descriptionColumn) || findColumn(columns, DESCRIPTION_NAMES)
+  };
+
+  if (!resolved.amount && !resolved.debit && !resolved.credit) {
+    resolved.amount = findColumn(columns, AMOUNT_NAMES);
+    if (!resolved.amount) {
+      resolved.debit = findColumn(columns, DEBIT_NAMES);
+      resolved.credit = findColumn(columns, CREDIT_NAMES);
+    }
+  }
+
+  if (!resolved.amount && !resolved.debit && !resolved.credit) {
+    throw new ReconciliationError(`No amount column found in the ${side} data; set amountColumn, or debitColumn and creditColumn`);
+  }
+
+  return resolved;
+};
+
+/**
+ * Read a number, treating blanks as zero
+ */
+const readAmount = (value) => {
+  if (isMissing(value)) return 0;
+  return parseNumber(value);
+};
+
+/**
+ * Read a date as a whole day number
+ * @returns {number|null} - Days since the epoch, or null when the value is blank or not a date
+ */
+const readDay = (value) => {
+  if (isMissing(value)) return null;
+  try {
+    const date = toDate(value);
+    return date ? Math.floor(date.getTime() / MS_PER_DAY) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Format a day number as YYYY-MM-DD
+ */
+const formatDay = (day) => (day === null ? null : new Date(day * MS_PER_DAY).toISOString().slice(0, 10));
+
+/**
+ * Read the rows of one side into entries
+ * With debit and credit columns the amount is signed from the account
+ * holder's point of view: ledger debits to the cash account and bank
+ * credits both increase cash, so they are positive.
+ * @param {Array} data - Rows
+ * @param {Object} columns - Resolved columns
+ * @param {string} side - "ledger" or "bank"
+ * @returns {Object} - { entries, skipped }
+ */
+const readEntries = (data, columns, side) => {
+  const entries = [];
+  const skipped = [];
+
+  data.forEach((row, index) => {
+    let amount;
+    if (columns.amount) {
+      amount = readAmount(row[columns.amount]);
+    } else {
+      const debit = columns.debit ? readAmount(row[columns.debit]) : 0;
+      const credit = columns.credit ? readAmount(row[columns.credit]) : 0;
+      amount = side === 'ledger' ? debit - credit : credit - debit;
+    }
+
+    if (Number.isNaN(amount)) {
+      skipped.push({ row: index, reason: 'amount is not a number' });
+      return;
+    }
+
+    const reference = columns.reference && !isMissing(row[columns.reference]) ? String(row[columns.reference]).trim() : null;
+    const description = columns.description && !isMissing(row[columns.description]) ? String(row[columns.description]).trim() : null;
+    // "INV-1001" is matched by its number, so "invoice 1001" on the other side finds it
+    const tokens = tokenize(reference).filter(token => token.length >= MIN_REFERENCE_LENGTH);
+    const numbered = tokens.filter(token => /\d/.test(token));
+    const referenceTokens = numbered.length > 0 ? numbered : tokens;
+
+    entries.push({
+      row: index,
+      amount,
+      cents: Math.round(amount * 100),
+      day: columns.date ? readDay(row[columns.date]) : null,
+      reference,
+      description,
+      referenceKey: referenceTokens.join(' '),
+      referenceTokens,
+      // Everything a reference from the other side may appear in
+      textTokens: new Set([...tokenize(reference), ...tokenize(description)])
+    });
+  });
+
+  return { entries, skipped };
+};
+
+/**
+ * The public view of an entry used in reports
+ */
+const describeEntry = (entry) => ({
+  row: entry.row,
+  date: formatDay(entry.day),
+  amount: entry.amount,
+  ...(entry.reference ? { reference: entry.reference } : {}),
+  ...(entry.description ? { description: entry.description } : {})
+});
+
+module.exports = {
+  resolveColumns,
+  readEntries,
+  describeEntry,
+  formatDay
+};
@@ -0,0 +1,18 @@
+/**
+ * Reconciliation Error Classes
+ */
+
+/**
+ * Reconciliation Error - raised when a side of the reconciliation cannot be
+ * read, e.g. its amount column is missing or the options are invalid
+ */
+class ReconciliationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReconciliationError';
+  }
+}
+
+module.exports = {
+  ReconciliationError
+};
@@ -0,0 +1,227 @@
+/**
+ * Bank Reconciliation Engine
+ * Matches ledger entries to bank transactions
+ *
+ * Match types:
+ *   one_to_one  - one ledger entry and one bank transaction
+ *   one_to_many - one ledger entry settled by several bank transactions
+ *   many_to_one - several ledger entries in one bank transaction (e.g. a batch deposit)
+ *
+ * Pairs are scored on amount (within a tolerance), dates (within a window of
+ * days) and references found on the other side. Confident, unambiguous
+ * matches are accepted; weaker or ambiguous ones are returned as suggestions
+ * with their confidence, and everything else is listed as unmatched.
+ */
+const _ = require('lodash');
+const { resolveColumns, readEntries, describeEntry } = require('./entries');
+const { findCandidatePairs, matchOneToOne, findGroups } = require('./matcher');
+const { ReconciliationError } = require('./errors');
+
+const AMOUNT_MATCHES = ['same', 'opposite', 'absolute'];
+
+const DEFAULT_OPTIONS = {
+  amountMatch: 'same',
+  amountTolerance: 0.005,
+  nearAmountTolerance: 0.02,
+  dateWindow: 3,
+  matchThreshold: 0.8,
+  suggestionThreshold: 0.5,
+  allowGroups: true,
+  maxGroupSize: 5,
+  maxCandidates: 5,
+  maxSuggestionsPerEntry: 3
+};
+
+/**
+ * Check and complete the reconciliation options
+ * @param {Object} options - Options given by the caller
+ * @returns {Object} - Options with defaults
+ */
+const normalizeOptions = (options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ..._.omitBy(_.omit(options, ['ledger', 'bank']), value => value === undefined || value === null) };
+
+  if (!AMOUNT_MATCHES.includes(settings.amountMatch)) {
+    throw new ReconciliationError(`amountMatch must be ${AMOUNT_MATCHES.join(', ')}`);
+  }
+
+  ['amountTolerance', 'nearAmountTolerance', 'dateWindow', 'matchThreshold', 'suggestionThreshold', 'maxGroupSize'].forEach(key => {
+    settings[key] = Number(settings[key]);
+    if (Number.isNaN(settings[key]) || settings[key] < 0) {
+      throw new ReconciliationError(`${key} must be a number of at least 0`);
+    }
+  });
+
+  if (settings.matchThreshold > 1 || settings.suggestionThreshold > settings.matchThreshold) {
+    throw new ReconciliationError('Thresholds must satisfy suggestionThreshold <= matchThreshold <= 1');
+  }
+
+  settings.allowGroups = settings.allowGroups !== false && settings.allowGroups !== 'false';
+  settings.ledger = options.ledger || {};
+  settings.bank = options.bank || {};
+
+  return settings;
+};
+
+/**
+ * Convert an entry's amount so both sides are compared with the same sign
+ */
+const alignSign = (entry, amountMatch, side) => {
+  if (amountMatch === 'absolute') return { ...entry, cents: Math.abs(entry.cents) };
+  if (amountMatch === 'opposite' && side === 'bank') return { ...entry, cents: -entry.cents };
+  return entry;
+};
+
+/**
+ * Sum entry amounts in cents and return currency units
+ */
+const total = (entries) => _.sumBy(entries, 'cents') / 100;
+
+/**
+ * Describe a one-to-one pair in the report
+ */
+const describePair = (pair) => ({
+  type: 'one_to_one',
+  ledger: [describeEntry(pair.ledger)],
+  bank: [describeEntry(pair.bank)],
+  confidence: pair.confidence,
+  amountDifference: pair.amountDifference,
+  reasons: pair.reasons
+});
+
+/**
+ * Describe a group in the report
+ */
+const describeGroup = (group, targetIsBank) => {
+  const ledger = targetIsBank ? group.members : [group.target];
+  const bank = targetIsBank ? [group.target] : group.members;
+
+  return {
+    type: targetIsBank ? 'many_to_one' : 'one_to_many',
+    ledger: ledger.map(describeEntry),
+    bank: bank.map(describeEntry),
+    confidence: group.confidence,
+    amountDifference: Math.round((_.sumBy(ledger, 'cents') - _.sumBy(bank, 'cents'))) / 100,
+    reasons: group.reasons
+  };
+};
+
+/**
+ * Reconcile ledger entries with bank transactions
+ * @param {Array} ledgerRows - Ledger rows
+ * @param {Array} bankRows - Bank rows
+ * @param {Object} options - Options
+ * @param {Object} options.ledger - Ledger columns: { amountColumn | debitColumn + creditColumn, dateColumn, referenceColumn, descriptionColumn }
+ * @param {Object} options.bank - Bank columns, as for the ledger
+ * @param {string} options.amountMatch - "same" sign (default), "opposite" sign, or "absolute" amounts
+ * @param {number} options.amountTolerance - Largest amount difference of a match (default 0.005)
+ * @param {number} options.nearAmountTolerance - Relative difference still worth suggesting, e.g. bank fees (default 0.02)
+ * @param {number} options.dateWindow - Days between ledger and bank dates (default 3; suggestions up to twice that)
+ * @param {number} options.matchThreshold - Confidence needed to accept a match (default 0.8)
+ * @param {number} options.suggestionThreshold - Confidence needed to suggest a match (default 0.5)
+ * @param {boolean} options.allowGroups - Look for one-to-many and many-to-one matches (default true)
+ * @param {number} options.maxGroupSize - Most entries in a group (default 5)
+ * @returns {Object} - { matches, suggestions, unmatched: { ledger, bank }, summary, columns, skipped, options }
+ */
+const reconcile = (ledgerRows, bankRows, options = {}) => {
+  if (!Array.isArray(ledgerRows) || ledgerRows.length === 0) {
+    throw new ReconciliationError('The ledger has no rows');
+  }
+  if (!Array.isArray(bankRows) || bankRows.length === 0) {
+    throw new ReconciliationError('The bank data has no rows');
+  }
+
+  const settings = normalizeOptions(options);
+  const columns = {
+    ledger: resolveColumns(ledgerRows, settings.ledger, 'ledger'),
+    bank: resolveColumns(bankRows, settings.bank, 'bank')
+  };
+
+  const ledgerRead = readEntries(ledgerRows, columns.ledger, 'ledger');
+  const bankRead = readEntries(bankRows, columns.bank, 'bank');
+  const ledger = ledgerRead.entries.map(entry => alignSign(entry, settings.amountMatch, 'ledger'));
+  const bank = bankRead.entries.map(entry => alignSign(entry, settings.amountMatch, 'bank'));
+
+  const matchedLedger = new Set();
+  const matchedBank = new Set();
+  const matches = [];
+  const suggestions = [];
+
+  // One-to-one matches first; they are the strongest evidence
+  const pairs = findCandidatePairs(ledger, bank, settings);
+  matchOneToOne(pairs, matchedLedger, matchedBank, settings).forEach(pair => matches.push(describePair(pair)));
+
+  if (settings.allowGroups) {
+    // Several ledger entries in one bank transaction, then the other way round
+    [true, false].forEach(targetIsBank => {
+      const targets = (targetIsBank ? bank : ledger).filter(entry => !(targetIsBank ? matchedBank : matchedLedger).has(entry.row));
+      const parts = (targetIsBank ? ledger : bank).filter(entry => !(targetIsBank ? matchedLedger : matchedBank).has(entry.row));
+
+      findGroups(targets, parts, settings, targetIsBank).forEach(group => {
+        if (group.confidence < settings.suggestionThreshold) return;
+
+        if (group.confidence < settings.matchThreshold) {
+          suggestions.push(describeGroup(group, targetIsBank));
+          return;
+        }
+
+        const [ledgerMatched, bankMatched] = targetIsBank ? [group.members, [group.target]] : [[group.target], group.members];
+        ledgerMatched.forEach(entry => matchedLedger.add(entry.row));
+        bankMatched.forEach(entry => matchedBank.add(entry.row));
+        matches.push(describeGroup(group, targetIsBank));
+      });
+    });
+  }
+
+  // Pairs left open because they were weak or ambiguous
+  _(pairs)
+    .filter(pair => pair.confidence >= settings.suggestionThreshold &&
+      !matchedLedger.has(pair.ledger.row) && !matchedBank.has(pair.bank.row))
+    .groupBy(pair => pair.ledger.row)
+    .values()
+    .forEach(ledgerPairs => ledgerPairs.slice(0, settings.maxSuggestionsPerEntry).forEach(pair => suggestions.push(describePair(pair))));
+
+  const unmatchedLedger = ledger.filter(entry => !matchedLedger.has(entry.row));
+  const unmatchedBank = bank.filter(entry => !matchedBank.has(entry.row));
+  const byConfidence = (list) => _.orderBy(list, ['confidence', item => item.ledger[0].row], ['desc', 'asc'])
+    .map((item, index) => ({ id: index + 1, ...item }));
+
+  return {
+    matches: byConfidence(matches),
+    suggestions: byConfidence(suggestions),
+    unmatched: {
+      ledger: unmatchedLedger.map(describeEntry),
+      bank: unmatchedBank.map(describeEntry)
+    },
+    summary: {
+      ledgerEntries: ledger.length,
+      bankEntries: bank.length,
+      matches: matches.length,
+      oneToOne: matches.filter(match => match.type === 'one_to_one').length,
+      oneToMany: matches.filter(match => match.type === 'one_to_many').length,
+      manyToOne: matches.filter(match => match.type === 'many_to_one').length,
+      suggestions: suggestions.length,
+      matchedLedger: matchedLedger.size,
+      matchedBank: matchedBank.size,
+      unmatchedLedger: unmatchedLedger.length,
+      unmatchedBank: unmatchedBank.length,
+      ledgerTotal: total(ledger),
+      bankTotal: total(bank),
+      unmatchedLedgerTotal: total(unmatchedLedger),
+      unmatchedBankTotal: total(unmatchedBank),
+      difference: Math.round(_.sumBy(ledger, 'cents') - _.sumBy(bank, 'cents')) / 100
+    },
+    columns,
+    skipped: {
+      ledger: ledgerRead.skipped,
+      bank: bankRead.skipped
+    },
+    options: _.omit(settings, ['ledger', 'bank'])
+  };
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  reconcile,
+  normalizeOptions,
+  ReconciliationError
+};
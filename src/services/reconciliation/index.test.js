@@ -0,0 +1,58 @@
+const { reconcile, ReconciliationError } = require('./index');
+
+const ledger = [
+  { date: '2024-03-01', amount: 1200, reference: 'INV-1001', description: 'Acme invoice' },
+  { date: '2024-03-04', amount: 300, reference: 'INV-1002', description: 'Globex' },
+  { date: '2024-03-04', amount: 450, reference: 'INV-1003', description: 'Initech' },
+  { date: '2024-03-10', amount: -80, reference: 'CHQ-17', description: 'Office supplies' }
+];
+
+const bank = [
+  { date: '2024-03-02', amount: 1200, description: 'ACME CORP invoice 1001' },
+  { date: '2024-03-05', amount: 750, description: 'Batch deposit' },
+  { date: '2024-03-20', amount: -15, description: 'Account fee' }
+];
+
+describe('reconcile', () => {
+  it('matches pairs, batch deposits and leaves the rest unmatched', () => {
+    const result = reconcile(ledger, bank);
+
+    expect(result.matches.map(match => [match.type, match.ledger.map(entry => entry.row), match.bank.map(entry => entry.row)])).toEqual([
+      ['one_to_one', [0], [0]],
+      ['many_to_one', [1, 2], [1]]
+    ]);
+    expect(result.unmatched.ledger.map(entry => entry.row)).toEqual([3]);
+    expect(result.unmatched.bank.map(entry => entry.row)).toEqual([2]);
+    expect(result.summary).toMatchObject({ matches: 2, oneToOne: 1, manyToOne: 1, unmatchedLedgerTotal: -80, unmatchedBankTotal: -15 });
+  });
+
+  it('does not match amounts outside the date window', () => {
+    const result = reconcile(ledger.slice(0, 1), [{ ...bank[0], date: '2024-03-20' }]);
+
+    expect(result.matches).toEqual([]);
+  });
+
+  it('leaves ambiguous pairs for review', () => {
+    const candidates = [
+      { date: '2024-03-03', amount: 300, description: 'Transfer from Globex' },
+      { date: '2024-03-05', amount: 300, description: 'Transfer from Initech' }
+    ];
+
+    const result = reconcile([{ date: '2024-03-04', amount: 300, description: 'Transfer' }], candidates);
+
+    expect(result.matches).toEqual([]);
+    expect(result.suggestions).toHaveLength(2);
+  });
+
+  it('compares absolute amounts when asked', () => {
+    const negated = bank.map(entry => ({ ...entry, amount: -entry.amount }));
+
+    expect(reconcile(ledger, negated).summary.oneToOne).toBe(0);
+    expect(reconcile(ledger, negated, { amountMatch: 'opposite' }).summary.oneToOne).toBe(1);
+  });
+
+  it('rejects empty sides and invalid options', () => {
+    expect(() => reconcile([], bank)).toThrow('The ledger has no rows');
+    expect(() => reconcile(ledger, bank, { suggestionThreshold: 0.9, matchThreshold: 0.8 })).toThrow(ReconciliationError);
+  });
+});
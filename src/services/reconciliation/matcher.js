@@ -0,0 +1,272 @@
+/**
+ * Reconciliation matcher
+ * Scores ledger/bank pairs and finds one-to-one matches and groups of
+ * entries whose amounts add up to one entry on the other side.
+ */
+const _ = require('lodash');
+
+// Entries compared against one entry when looking for a group that adds up
+const MAX_GROUP_CANDIDATES = 15;
+
+// Upper bound on the subsets tried per target entry
+const MAX_SEARCH_STEPS = 20000;
+
+// Matches this close in confidence to a rival are too ambiguous to accept without review
+const AMBIGUITY_MARGIN = 0.05;
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Whether one entry's reference appears on the other entry
+ * @returns {boolean|null} - true when it appears, null when there is no reference to compare
+ */
+const referenceFound = (from, to) => {
+  if (from.referenceTokens.length === 0) return null;
+  return from.referenceTokens.every(token => to.textTokens.has(token));
+};
+
+/**
+ * Compare the references of a ledger and a bank entry
+ * A reference that does not appear is not held against the pair: bank
+ * references are usually the bank's own IDs.
+ * @returns {number|null} - 1 when a reference matches, null otherwise
+ */
+const scoreReference = (ledger, bank) => {
+  if (ledger.referenceKey && ledger.referenceKey === bank.referenceKey) return 1;
+  return referenceFound(ledger, bank) || referenceFound(bank, ledger) ? 1 : null;
+};
+
+/**
+ * Score the dates of two entries
+ * @returns {number|null} - Score between 0 and 1, or null when the dates are too far apart
+ */
+const scoreDays = (days, options) => {
+  if (days === null) return 0.5;
+  if (days <= options.dateWindow) return 1 - (days / (options.dateWindow + 1)) * 0.5;
+  if (days <= options.dateWindow * 2) return 0.25;
+  return null;
+};
+
+/**
+ * Combine the amount, date and reference scores into a confidence
+ */
+const combineScores = (amountScore, dayScore, referenceScore) => (referenceScore === null
+  ? 0.6 * amountScore + 0.4 * dayScore
+  : 0.45 * amountScore + 0.25 * dayScore + 0.3 * referenceScore);
+
+/**
+ * Day difference between two entries
+ */
+const dayGap = (a, b) => (a.day === null || b.day === null ? null : Math.abs(a.day - b.day));
+
+/**
+ * Score a ledger/bank pair
+ * @param {Object} ledger - Ledger entry
+ * @param {Object} bank - Bank entry, its cents already converted to the ledger's sign
+ * @param {Object} options - { amountTolerance, nearAmountTolerance, dateWindow }
+ * @returns {Object|null} - { confidence, amountDifference, days, reasons }, or null when they cannot match
+ */
+const scorePair = (ledger, bank, options) => {
+  const difference = Math.abs(ledger.cents - bank.cents) / 100;
+  const largest = Math.max(Math.abs(ledger.cents), Math.abs(bank.cents)) / 100;
+  let amountScore = 0;
+
+  if (difference <= options.amountTolerance + 1e-9) {
+    amountScore = 1;
+  } else if (Math.sign(ledger.cents) === Math.sign(bank.cents) && difference <= largest * options.nearAmountTolerance) {
+    amountScore = 0.5;
+  } else {
+    return null;
+  }
+
+  const days = dayGap(ledger, bank);
+  const dayScore = scoreDays(days, options);
+  if (dayScore === null) return null;
+
+  const referenceScore = scoreReference(ledger, bank);
+  const reasons = [
+    amountScore === 1 ? 'amount matches' : `amount differs by ${round(difference, 2)}`,
+    days === null ? 'date missing' : days === 0 ? 'same date' : `${days} day${days === 1 ? '' : 's'} apart`
+  ];
+  if (referenceScore === 1) reasons.push('reference matches');
+
+  return {
+    confidence: round(combineScores(amountScore, dayScore, referenceScore)),
+    amountDifference: (ledger.cents - bank.cents) / 100,
+    days,
+    referenceMatch: referenceScore === 1,
+    reasons
+  };
+};
+
+/**
+ * Find the candidate pairs of every ledger entry
+ * Bank entries are sorted by amount so each ledger entry only looks at
+ * amounts within the tolerance.
+ * @returns {Array} - [{ ledger, bank, confidence, ... }], best first
+ */
+const findCandidatePairs = (ledgerEntries, bankEntries, options) => {
+  const sorted = _.sortBy(bankEntries, 'cents');
+  const cents = sorted.map(entry => entry.cents);
+  const pairs = [];
+
+  ledgerEntries.forEach(ledger => {
+    const spread = Math.max(options.amountTolerance * 100, Math.abs(ledger.cents) * options.nearAmountTolerance);
+    let index = _.sortedIndex(cents, ledger.cents - spread - 1);
+
+    const candidates = [];
+    for (; index < sorted.length && sorted[index].cents <= ledger.cents + spread + 1; index += 1) {
+      const score = scorePair(ledger, sorted[index], options);
+      if (score) candidates.push({ ledger, bank: sorted[index], ...score });
+    }
+
+    pairs.push(..._.orderBy(candidates, ['confidence'], ['desc']).slice(0, options.maxCandidates));
+  });
+
+  return _.orderBy(pairs, ['confidence', pair => pair.days === null ? Infinity : pair.days, pair => pair.ledger.row, pair => pair.bank.row], ['desc', 'asc', 'asc', 'asc']);
+};
+
+/**
+ * Whether two entries are interchangeable: pairing with either gives the same result
+ */
+const interchangeable = (a, b) => a.cents === b.cents && a.day === b.day && a.referenceKey === b.referenceKey;
+
+/**
+ * Accept one-to-one matches, best first
+ * A pair is accepted when its confidence reaches the threshold and it is not
+ * ambiguous, unless a reference confirms it. A pair is ambiguous when an
+ * entry has more close candidates than there are interchangeable entries to
+ * serve them: two identical ledger lines and two bank lines can be paired
+ * either way, one ledger line and two bank lines cannot.
+ * @returns {Array} - Accepted pairs
+ */
+const matchOneToOne = (pairs, matchedLedger, matchedBank, options) => {
+  const accepted = [];
+  const open = (pair) => !matchedLedger.has(pair.ledger.row) && !matchedBank.has(pair.bank.row);
+  const byLedger = _.groupBy(pairs, pair => pair.ledger.row);
+  const byBank = _.groupBy(pairs, pair => pair.bank.row);
+  const ledgerEntries = _.uniqBy(pairs.map(pair => pair.ledger), 'row');
+  const bankEntries = _.uniqBy(pairs.map(pair => pair.bank), 'row');
+
+  // Each close alternative on the other side needs its own stand-in for this entry
+  const ambiguous = (pair, ownPairs, otherSide, entry, entries, matched) => {
+    const alternatives = ownPairs.filter(other => open(other) && other !== pair &&
+      other.confidence >= pair.confidence - AMBIGUITY_MARGIN && !interchangeable(other[otherSide], pair[otherSide]));
+    const standIns = entries.filter(candidate => candidate.row !== entry.row && !matched.has(candidate.row) &&
+      interchangeable(candidate, entry));
+    return alternatives.length > standIns.length;
+  };
+
+  pairs.forEach(pair => {
+    if (pair.confidence < options.matchThreshold || !open(pair)) return;
+
+    if (!pair.referenceMatch && (
+      ambiguous(pair, byLedger[pair.ledger.row], 'bank', pair.ledger, ledgerEntries, matchedLedger) ||
+      ambiguous(pair, byBank[pair.bank.row], 'ledger', pair.bank, bankEntries, matchedBank)
+    )) {
+      return;
+    }
+
+    matchedLedger.add(pair.ledger.row);
+    matchedBank.add(pair.bank.row);
+    accepted.push(pair);
+  });
+
+  return accepted;
+};
+
+/**
+ * Find entries whose amounts add up to a target amount
+ * @param {number} target - Target amount in cents
+ * @param {Array} candidates - Entries, in order of preference
+ * @param {Object} options - { amountTolerance, maxGroupSize }
+ * @returns {Array|null} - Entries of the first group found, or null
+ */
+const findSubset = (target, candidates, options) => {
+  const tolerance = Math.floor(options.amountTolerance * 100 + 1e-9);
+  const sign = Math.sign(target);
+  const amounts = candidates.map(entry => entry.cents * sign);
+  const goal = target * sign;
+  // Remaining totals let the search stop once the rest cannot reach the goal
+  const remaining = amounts.map((amount, index) => _.sum(amounts.slice(index)));
+  let steps = 0;
+
+  const search = (start, total, chosen) => {
+    if (chosen.length >= 2 && Math.abs(goal - total) <= tolerance) return chosen;
+    if (chosen.length >= options.maxGroupSize || steps >= MAX_SEARCH_STEPS) return null;
+
+    for (let index = start; index < amounts.length; index += 1) {
+      steps += 1;
+      if (total + remaining[index] < goal - tolerance) return null;
+      if (total + amounts[index] > goal + tolerance) continue;
+
+      const found = search(index + 1, total + amounts[index], [...chosen, index]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const found = search(0, 0, []);
+  return found ? found.map(index => candidates[index]) : null;
+};
+
+/**
+ * Find groups of entries on one side that add up to a single entry on the other
+ * @param {Array} targets - Unmatched entries that may be the sum of others
+ * @param {Array} parts - Unmatched entries of the other side
+ * @param {Object} options - Reconciliation options
+ * @param {boolean} targetIsBank - Whether the targets are bank entries
+ * @returns {Array} - [{ target, members, confidence, reasons }]
+ */
+const findGroups = (targets, parts, options, targetIsBank) => {
+  const groups = [];
+  const used = new Set();
+
+  _.orderBy(targets, [entry => Math.abs(entry.cents)], ['desc']).forEach(target => {
+    const candidates = _.orderBy(
+      parts
+        .filter(part => !used.has(part.row) && Math.sign(part.cents) === Math.sign(target.cents) &&
+          Math.abs(part.cents) <= Math.abs(target.cents) + options.amountTolerance * 100)
+        .map(part => {
+          const days = dayGap(part, target);
+          const reference = targetIsBank ? scoreReference(part, target) : scoreReference(target, part);
+          return { part, days, dayScore: scoreDays(days, options), reference };
+        })
+        .filter(candidate => candidate.days === null || candidate.days <= options.dateWindow),
+      [candidate => (candidate.reference === 1 ? 0 : 1), candidate => (candidate.days === null ? Infinity : candidate.days), candidate => candidate.part.row],
+      ['asc', 'asc', 'asc']
+    ).slice(0, MAX_GROUP_CANDIDATES);
+
+    if (candidates.length < 2) return;
+
+    const members = findSubset(target.cents, candidates.map(candidate => candidate.part), options);
+    if (!members) return;
+
+    const chosen = candidates.filter(candidate => members.includes(candidate.part));
+    const referenceMatches = chosen.filter(candidate => candidate.reference === 1).length;
+    const dayScore = _.meanBy(chosen, 'dayScore');
+    // Amounts can add up by coincidence; without every reference confirming, trust a group a little less
+    const confidence = combineScores(1, dayScore, referenceMatches > 0 ? referenceMatches / chosen.length : null) *
+      (referenceMatches === chosen.length ? 1 : 0.9);
+
+    const maxDays = _.max(chosen.map(candidate => candidate.days));
+    const reasons = [
+      `${members.length} entries add up to the amount`,
+      maxDays === undefined || maxDays === null ? 'dates missing' : `within ${maxDays} day${maxDays === 1 ? '' : 's'}`
+    ];
+    if (referenceMatches > 0) reasons.push(`${referenceMatches} of ${members.length} references match`);
+
+    members.forEach(member => used.add(member.row));
+    groups.push({ target, members, confidence: round(confidence), reasons });
+  });
+
+  return groups;
+};
+
+module.exports = {
+  scorePair,
+  findCandidatePairs,
+  matchOneToOne,
+  findSubset,
+  findGroups
+};
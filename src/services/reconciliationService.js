@@ -0,0 +1,141 @@
+/**
+ * Reconciliation Service
+ * Reconciles the current version of a ledger dataset with a bank dataset
+ * and saves the result as an AnalysisReport of type "reconciliation".
+ */
+const logger = require('../utils/logger');
+const { AnalysisReport, FinancialDataset } = require('../database/models');
+const { reconcile } = require('./reconciliation');
+const { reconstructDataset, parseStoredJson } = require('./transformationReplayService');
+
+const REPORT_TYPE = 'reconciliation';
+
+/**
+ * Find a user's dataset
+ * @returns {Promise<Object>} - FinancialDataset record
+ */
+const findDataset = async (userId, datasetId, label) => {
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error(`${label} dataset not found`);
+  }
+  return dataset;
+};
+
+/**
+ * Convert a report record into a reconciliation
+ * @param {Object} report - AnalysisReport record
+ * @param {Object} options - Options
+ * @param {boolean} options.full - Include matches, suggestions and unmatched entries
+ * @returns {Object} - Reconciliation
+ */
+const formatReport = (report, { full = true } = {}) => {
+  const results = parseStoredJson(report.results, {});
+
+  return {
+    id: report.id,
+    name: report.name,
+    description: report.description,
+    ledger: results.ledger,
+    bank: results.bank,
+    summary: results.summary,
+    createdAt: report.createdAt,
+    ...(full ? {
+      matches: results.matches || [],
+      suggestions: results.suggestions || [],
+      unmatched: results.unmatched || { ledger: [], bank: [] },
+      columns: results.columns,
+      skipped: results.skipped,
+      options: results.options
+    } : {})
+  };
+};
+
+/**
+ * Reconcile a ledger dataset with a bank dataset and save the report
+ * @param {number} userId - User ID
+ * @param {Object} params - Parameters
+ * @param {number} params.ledgerDatasetId - Ledger dataset ID
+ * @param {number} params.bankDatasetId - Bank dataset ID
+ * @param {string} params.name - Optional report name
+ * @param {string} params.description - Optional report description
+ * @param {Object} params.options - Reconciliation options (columns per side, tolerances, thresholds)
+ * @returns {Promise<Object>} - Saved reconciliation
+ */
+exports.reconcileDatasets = async (userId, params) => {
+  const { ledgerDatasetId, bankDatasetId, name, description = null, options = {} } = params;
+
+  if (!ledgerDatasetId || !bankDatasetId) {
+    throw new Error('Ledger and bank dataset IDs are required');
+  }
+
+  const ledgerDataset = await findDataset(userId, ledgerDatasetId, 'Ledger');
+  const bankDataset = await findDataset(userId, bankDatasetId, 'Bank');
+
+  // Reconcile the versions the user currently sees
+  const ledger = await reconstructDataset(ledgerDataset, { userId });
+  const bank = await reconstructDataset(bankDataset, { userId });
+
+  const startTime = Date.now();
+  const result = reconcile(ledger.data, bank.data, options);
+
+  const report = await AnalysisReport.create({
+    userId,
+    name: name || `Reconciliation of ${ledgerDataset.name} with ${bankDataset.name}`,
+    description,
+    type: REPORT_TYPE,
+    results: JSON.stringify({
+      ledger: { datasetId: ledgerDataset.id, name: ledgerDataset.name, transformationId: ledger.transformationId },
+      bank: { datasetId: bankDataset.id, name: bankDataset.name, transformationId: bank.transformationId },
+      ...result
+    }),
+    datasetId: ledgerDataset.id,
+    transformationId: ledger.transformationId
+  });
+
+  logger.info('Reconciled datasets', {
+    reportId: report.id,
+    ledgerDatasetId: ledgerDataset.id,
+    bankDatasetId: bankDataset.id,
+    matches: result.summary.matches,
+    suggestions: result.summary.suggestions,
+    executionTime: Date.now() - startTime
+  });
+
+  return formatReport(report);
+};
+
+/**
+ * List the user's reconciliations, newest first
+ * @param {number} userId - User ID
+ * @param {Object} options - Options
+ * @param {number} options.datasetId - Only reconciliations of this ledger dataset
+ * @returns {Promise<Array>} - Reconciliations with their summaries
+ */
+exports.listReconciliations = async (userId, { datasetId } = {}) => {
+  const reports = await AnalysisReport.findAll({
+    where: {
+      userId,
+      type: REPORT_TYPE,
+      ...(datasetId ? { datasetId } : {})
+    },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  return reports.map(report => formatReport(report, { full: false }));
+};
+
+/**
+ * Get a saved reconciliation
+ * @param {number} userId - User ID
+ * @param {number} reportId - Report ID
+ * @returns {Promise<Object>} - Reconciliation
+ */
+exports.getReconciliation = async (userId, reportId) => {
+  const report = await AnalysisReport.findOne({ where: { id: reportId, userId, type: REPORT_TYPE } });
+  if (!report) {
+    throw new Error('Reconciliation not found');
+  }
+
+  return formatReport(report);
+};
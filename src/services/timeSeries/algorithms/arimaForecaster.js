@@ -0,0 +1,529 @@
+/**
+ * ARIMA / SARIMA Forecaster
+ * Fits ARIMA(p,d,q) and seasonal ARIMA(p,d,q)(P,D,Q)m models
+ *
+ * The differencing orders come from tests on the data: D from the strength of
+ * the seasonal pattern, d from repeated KPSS tests. The AR and MA orders are
+ * then chosen by information criterion (AICc by default) over a grid of
+ * candidates, each fitted by conditional sum of squares. Coefficients are
+ * searched through a transform that keeps every model stationary and
+ * invertible, and prediction intervals come from the model's psi weights.
+ */
+const _ = require('lodash');
+
+// Largest orders tried during automatic selection
+const MAX_ORDER = { p: 3, q: 3, P: 1, Q: 1, total: 5 };
+
+// KPSS level-stationarity critical value at 5%
+const KPSS_CRITICAL = 0.463;
+
+// Seasonal strength above which the series is seasonally differenced
+const SEASONAL_STRENGTH_THRESHOLD = 0.64;
+
+/**
+ * Difference a series
+ * @param {Array} values - Array of values
+ * @param {number} lag - Lag (1 for regular, the period for seasonal differencing)
+ * @returns {Array} - Differenced values, lag shorter
+ */
+function difference(values, lag = 1) {
+  const result = [];
+  for (let i = lag; i < values.length; i++) {
+    result.push(values[i] - values[i - lag]);
+  }
+  return result;
+}
+
+/**
+ * KPSS test statistic for level stationarity
+ * @param {Array} values - Array of values
+ * @returns {number} - Test statistic; above 0.463 rejects stationarity at 5%
+ */
+function kpssStatistic(values) {
+  const n = values.length;
+  const mean = _.mean(values);
+  const residuals = values.map(value => value - mean);
+
+  let cumulative = 0;
+  let eta = 0;
+  residuals.forEach(residual => {
+    cumulative += residual;
+    eta += cumulative * cumulative;
+  });
+  eta /= n * n;
+
+  // Long-run variance with Bartlett weights
+  const lags = Math.floor(3 * Math.sqrt(n) / 13);
+  let longRunVariance = residuals.reduce((sum, residual) => sum + residual * residual, 0) / n;
+  for (let lag = 1; lag <= lags; lag++) {
+    let covariance = 0;
+    for (let t = lag; t < n; t++) {
+      covariance += residuals[t] * residuals[t - lag];
+    }
+    longRunVariance += 2 * (1 - lag / (lags + 1)) * covariance / n;
+  }
+
+  return longRunVariance > 0 ? eta / longRunVariance : 0;
+}
+
+/**
+ * Number of regular differences needed for stationarity
+ * @param {Array} values - Array of values
+ * @param {number} maxD - Largest order allowed
+ * @returns {number} - d
+ */
+function chooseDifferencing(values, maxD = 2) {
+  let series = values;
+  for (let d = 0; d < maxD; d++) {
+    if (series.length < 10 || variance(series) === 0 || kpssStatistic(series) <= KPSS_CRITICAL) return d;
+    series = difference(series);
+  }
+  return maxD;
+}
+
+/**
+ * Strength of the seasonal pattern, from 0 to 1
+ * Measured on a classical decomposition: 1 - Var(remainder) / Var(seasonal + remainder).
+ * @param {Array} values - Array of values
+ * @param {number} period - Seasonal period
+ * @returns {number} - Seasonal strength
+ */
+function seasonalStrength(values, period) {
+  if (period < 2 || values.length < period * 2) return 0;
+
+  // Centered moving average of order period (2 x period when even)
+  const half = Math.floor(period / 2);
+  const trend = values.map((value, index) => {
+    if (index < half || index >= values.length - half) return null;
+    if (period % 2 === 1) return _.mean(values.slice(index - half, index + half + 1));
+    const window = values.slice(index - half, index + half + 1);
+    return (_.sum(window) - (window[0] + window[window.length - 1]) / 2) / period;
+  });
+
+  const detrended = values.map((value, index) => (trend[index] === null ? null : value - trend[index]));
+  const seasonal = _.range(period).map(position => {
+    const points = detrended.filter((value, index) => value !== null && index % period === position);
+    return points.length > 0 ? _.mean(points) : 0;
+  });
+  const seasonalMean = _.mean(seasonal);
+
+  const remainder = [];
+  const seasonalPlusRemainder = [];
+  detrended.forEach((value, index) => {
+    if (value === null) return;
+    const effect = seasonal[index % period] - seasonalMean;
+    remainder.push(value - effect);
+    seasonalPlusRemainder.push(value);
+  });
+
+  const total = variance(seasonalPlusRemainder);
+  return total > 0 ? Math.max(0, 1 - variance(remainder) / total) : 0;
+}
+
+/**
+ * Number of seasonal differences needed
+ * @param {Array} values - Array of values
+ * @param {number} period - Seasonal period
+ * @returns {number} - D (0 or 1)
+ */
+function chooseSeasonalDifferencing(values, period) {
+  return seasonalStrength(values, period) >= SEASONAL_STRENGTH_THRESHOLD ? 1 : 0;
+}
+
+/**
+ * Map unconstrained values to the coefficients of a stationary AR polynomial
+ * Each value becomes a partial autocorrelation in (-1, 1) and the
+ * Durbin-Levinson recursion turns them into coefficients.
+ * @param {Array} raw - Unconstrained values
+ * @returns {Array} - Coefficients
+ */
+function toStationary(raw) {
+  let coefficients = [];
+  raw.forEach((value, k) => {
+    const partial = Math.tanh(value);
+    const next = coefficients.map((coefficient, j) => coefficient - partial * coefficients[k - 1 - j]);
+    next.push(partial);
+    coefficients = next;
+  });
+  return coefficients;
+}
+
+/**
+ * Multiply polynomials given as coefficient arrays (index = power of B)
+ */
+function multiplyPolynomials(a, b) {
+  const result = Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => b.forEach((y, j) => { result[i + j] += x * y; }));
+  return result;
+}
+
+/**
+ * Polynomial 1 + sign * (c1 B^lag + c2 B^2lag + ...)
+ */
+function lagPolynomial(coefficients, lag, sign) {
+  const polynomial = Array(coefficients.length * lag + 1).fill(0);
+  polynomial[0] = 1;
+  coefficients.forEach((coefficient, index) => { polynomial[(index + 1) * lag] = sign * coefficient; });
+  return polynomial;
+}
+
+/**
+ * Expand the regular and seasonal polynomials into one set of lag weights
+ * @returns {Object} - { ar, ma } where w_t = sum ar_i w_{t-i} + e_t + sum ma_j e_{t-j}
+ */
+function expandPolynomials({ ar, ma, seasonalAr, seasonalMa }, period) {
+  const arPolynomial = multiplyPolynomials(lagPolynomial(ar, 1, -1), lagPolynomial(seasonalAr, period, -1));
+  const maPolynomial = multiplyPolynomials(lagPolynomial(ma, 1, 1), lagPolynomial(seasonalMa, period, 1));
+  return {
+    ar: arPolynomial.slice(1).map(value => -value),
+    ma: maPolynomial.slice(1)
+  };
+}
+
+/**
+ * Residuals of an ARMA model by conditional sum of squares
+ * Residuals before `start` are taken as zero.
+ * @param {Array} series - Differenced series
+ * @param {Array} ar - Expanded AR weights
+ * @param {Array} ma - Expanded MA weights
+ * @param {number} mean - Mean of the differenced series
+ * @param {number} start - First index with a residual
+ * @returns {Array} - Residuals
+ */
+function armaResiduals(series, ar, ma, mean, start) {
+  const residuals = Array(series.length).fill(0);
+  for (let t = start; t < series.length; t++) {
+    let prediction = mean;
+    for (let i = 0; i < ar.length; i++) {
+      if (ar[i] !== 0) prediction += ar[i] * (series[t - i - 1] - mean);
+    }
+    for (let j = 0; j < ma.length; j++) {
+      if (ma[j] !== 0 && t - j - 1 >= 0) prediction += ma[j] * residuals[t - j - 1];
+    }
+    residuals[t] = series[t] - prediction;
+  }
+  return residuals;
+}
+
+/**
+ * Minimize a function with the Nelder-Mead simplex method
+ * @param {Function} objective - Function of a parameter array
+ * @param {Array} start - Starting point
+ * @param {Array} steps - Initial step per parameter
+ * @param {Object} options - { maxIterations, tolerance }
+ * @returns {Object} - { point, value }
+ */
+function nelderMead(objective, start, steps, options = {}) {
+  const dimension = start.length;
+  const maxIterations = options.maxIterations || 250 * dimension;
+  const tolerance = options.tolerance || 1e-8;
+
+  let simplex = [start, ...start.map((value, index) => {
+    const point = [...start];
+    point[index] += steps[index];
+    return point;
+  })].map(point => ({ point, value: objective(point) }));
+
+  const combine = (a, b, weight) => a.map((value, index) => value + weight * (b[index] - value));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    simplex = _.sortBy(simplex, 'value');
+    const best = simplex[0];
+    const worst = simplex[dimension];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = _.range(dimension).map(index => _.mean(simplex.slice(0, dimension).map(vertex => vertex.point[index])));
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = objective(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = objective(expanded);
+      simplex[dimension] = expandedValue < reflectedValue
+        ? { point: expanded, value: expandedValue }
+        : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[dimension - 1].value) {
+      simplex[dimension] = { point: reflected, value: reflectedValue };
+    } else {
+      const contracted = reflectedValue < worst.value
+        ? combine(centroid, reflected, 0.5)
+        : combine(centroid, worst.point, 0.5);
+      const contractedValue = objective(contracted);
+      if (contractedValue < Math.min(reflectedValue, worst.value)) {
+        simplex[dimension] = { point: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map((vertex, index) => {
+          if (index === 0) return vertex;
+          const point = combine(best.point, vertex.point, 0.5);
+          return { point, value: objective(point) };
+        });
+      }
+    }
+  }
+
+  return _.minBy(simplex, 'value');
+}
+
+/**
+ * Fit an ARIMA model with given orders
+ * @param {Array} values - Array of values
+ * @param {Object} spec - { p, d, q, P, D, Q, period }
+ * @param {Object} options - Options
+ * @param {number} options.start - First index (of the differenced series) used in the fit, to compare models on the same observations
+ * @returns {Object|null} - Fitted model, or null when the series is too short for the orders
+ */
+function fitArima(values, spec, options = {}) {
+  const { p = 0, d = 0, q = 0, P = 0, D = 0, Q = 0 } = spec;
+  const period = P > 0 || D > 0 || Q > 0 ? spec.period : 1;
+
+  let series = values;
+  for (let i = 0; i < D; i++) series = difference(series, period);
+  for (let i = 0; i < d; i++) series = difference(series);
+
+  const includeMean = d + D <= 1;
+  const start = Math.max(options.start || 0, p + P * period);
+  const parameterCount = p + q + P + Q + (includeMean ? 1 : 0);
+  const observations = series.length - start;
+  if (observations < parameterCount + 3) return null;
+
+  const scale = Math.sqrt(variance(series)) || 1;
+  const unpack = (x) => ({
+    ar: toStationary(x.slice(0, p)),
+    ma: toStationary(x.slice(p, p + q)).map(value => -value),
+    seasonalAr: toStationary(x.slice(p + q, p + q + P)),
+    seasonalMa: toStationary(x.slice(p + q + P, p + q + P + Q)).map(value => -value),
+    mean: includeMean ? x[p + q + P + Q] : 0
+  });
+
+  const sumOfSquares = (x) => {
+    const coefficients = unpack(x);
+    const { ar, ma } = expandPolynomials(coefficients, period);
+    const residuals = armaResiduals(series, ar, ma, coefficients.mean, start);
+    let total = 0;
+    for (let t = start; t < series.length; t++) total += residuals[t] * residuals[t];
+    return Number.isFinite(total) ? total : Infinity;
+  };
+
+  const initial = [...Array(p + q + P + Q).fill(0), ...(includeMean ? [_.mean(series)] : [])];
+  const steps = [...Array(p + q + P + Q).fill(0.5), ...(includeMean ? [scale * 0.1] : [])];
+  const { point } = parameterCount > 0
+    ? nelderMead(sumOfSquares, initial, steps)
+    : { point: [] };
+
+  const coefficients = unpack(point);
+  const expanded = expandPolynomials(coefficients, period);
+  const residuals = armaResiduals(series, expanded.ar, expanded.ma, coefficients.mean, start);
+  const sse = residuals.slice(start).reduce((sum, residual) => sum + residual * residual, 0);
+  const sigma2 = sse / observations;
+  if (!Number.isFinite(sigma2)) return null;
+
+  // Gaussian log likelihood at the CSS estimate; sigma2 counts as a parameter
+  const logLikelihood = -0.5 * observations * (Math.log(2 * Math.PI * Math.max(sigma2, 1e-12)) + 1);
+  const k = parameterCount + 1;
+
+  return {
+    order: [p, d, q],
+    seasonalOrder: [P, D, Q, P > 0 || D > 0 || Q > 0 ? period : 0],
+    coefficients: {
+      ar: coefficients.ar,
+      ma: coefficients.ma,
+      seasonalAr: coefficients.seasonalAr,
+      seasonalMa: coefficients.seasonalMa,
+      mean: includeMean ? coefficients.mean : null
+    },
+    expanded,
+    residuals,
+    start,
+    sigma2,
+    observations,
+    logLikelihood,
+    aic: -2 * logLikelihood + 2 * k,
+    aicc: observations - k - 1 > 0 ? -2 * logLikelihood + 2 * k + (2 * k * (k + 1)) / (observations - k - 1) : Infinity,
+    bic: -2 * logLikelihood + k * Math.log(observations)
+  };
+}
+
+/**
+ * Choose orders and fit the best model
+ * Orders given in the options are kept; the rest are chosen from the data.
+ * @param {Array} values - Array of values
+ * @param {Object} options - Options
+ * @param {number} options.period - Seasonal period; 0 or 1 for a non-seasonal model
+ * @param {number} options.p - AR order
+ * @param {number} options.d - Differencing order
+ * @param {number} options.q - MA order
+ * @param {number} options.P - Seasonal AR order
+ * @param {number} options.D - Seasonal differencing order
+ * @param {number} options.Q - Seasonal MA order
+ * @param {string} options.criterion - aicc (default), aic or bic
+ * @returns {Object|null} - Fitted model, or null when no candidate fits
+ */
+function selectModel(values, options = {}) {
+  const period = options.period > 1 ? options.period : 0;
+  const criterion = ['aic', 'aicc', 'bic'].includes(options.criterion) ? options.criterion : 'aicc';
+  const given = (key) => options[key] !== undefined && options[key] !== null;
+
+  const D = period ? (given('D') ? options.D : chooseSeasonalDifferencing(values, period)) : 0;
+  const seasonallyDifferenced = D > 0 ? difference(values, period) : values;
+  const d = given('d') ? options.d : chooseDifferencing(seasonallyDifferenced);
+
+  const range = (key, max) => (given(key) ? [options[key]] : _.range(max + 1));
+  const candidates = [];
+  range('p', MAX_ORDER.p).forEach(p => range('q', MAX_ORDER.q).forEach(q => {
+    (period ? range('P', MAX_ORDER.P) : [0]).forEach(P => (period ? range('Q', MAX_ORDER.Q) : [0]).forEach(Q => {
+      if (p + q + P + Q <= MAX_ORDER.total || ['p', 'q', 'P', 'Q'].every(given)) candidates.push({ p, q, P, Q });
+    }));
+  }));
+
+  // Every candidate is scored on the same observations
+  const start = Math.max(..._.map(candidates, 'p')) + Math.max(..._.map(candidates, 'P')) * (period || 1);
+  const fitted = candidates
+    .map(orders => fitArima(values, { ...orders, d, D, period }, { start }))
+    .filter(model => model && Number.isFinite(model[criterion]));
+
+  if (fitted.length === 0) return null;
+  const best = _.minBy(fitted, criterion);
+  return { ...best, criterion, candidatesTried: fitted.length };
+}
+
+/**
+ * Forecast from a fitted model
+ * The differencing is folded into the AR weights, so forecasts and their
+ * psi weights are computed on the original scale.
+ * @param {Object} model - Fitted model
+ * @param {Array} values - Series the model was fitted on (or that series extended with new values)
+ * @param {number} horizon - Forecast horizon
+ * @returns {Object} - { values, standardErrors }
+ */
+function forecastArima(model, values, horizon) {
+  const [, d] = model.order;
+  const [, D, , period] = model.seasonalOrder;
+
+  // Full AR polynomial on the original series: stationary AR x (1-B)^d x (1-B^m)^D
+  let polynomial = [1, ...model.expanded.ar.map(value => -value)];
+  for (let i = 0; i < d; i++) polynomial = multiplyPolynomials(polynomial, [1, -1]);
+  for (let i = 0; i < D; i++) polynomial = multiplyPolynomials(polynomial, lagPolynomial([1], period, -1));
+  const ar = polynomial.slice(1).map(value => -value);
+  const ma = model.expanded.ma;
+
+  const mean = model.coefficients.mean || 0;
+  const constant = mean * (1 - _.sum(model.expanded.ar));
+
+  // Residuals on the original index; refiltered when values extend the fitted series
+  const offset = d + D * period;
+  let series = values;
+  for (let i = 0; i < D; i++) series = difference(series, period);
+  for (let i = 0; i < d; i++) series = difference(series);
+  const differencedResiduals = armaResiduals(series, model.expanded.ar, ma, mean, Math.min(model.start, series.length));
+  const residuals = [...Array(offset).fill(0), ...differencedResiduals];
+
+  const history = [...values];
+  const forecasts = [];
+  for (let h = 0; h < horizon; h++) {
+    const t = history.length;
+    let prediction = constant;
+    for (let i = 0; i < ar.length; i++) {
+      if (ar[i] !== 0 && t - i - 1 >= 0) prediction += ar[i] * history[t - i - 1];
+    }
+    for (let j = 0; j < ma.length; j++) {
+      const index = t - j - 1;
+      if (ma[j] !== 0 && index >= 0 && index < residuals.length) prediction += ma[j] * residuals[index];
+    }
+    history.push(prediction);
+    forecasts.push(prediction);
+  }
+
+  // psi weights of the full model give the h-step forecast variance
+  const psi = [1];
+  for (let j = 1; j < horizon; j++) {
+    let weight = j <= ma.length ? ma[j - 1] : 0;
+    for (let i = 1; i <= Math.min(j, ar.length); i++) weight += ar[i - 1] * psi[j - i];
+    psi.push(weight);
+  }
+  let cumulative = 0;
+  const standardErrors = psi.map(weight => {
+    cumulative += weight * weight;
+    return Math.sqrt(model.sigma2 * cumulative);
+  });
+
+  return { values: forecasts, standardErrors };
+}
+
+/**
+ * Fit a model and forecast
+ * @param {Array} values - Array of values
+ * @param {number} horizon - Forecast horizon
+ * @param {Object} options - Orders, period and criterion (see selectModel)
+ * @returns {Array} - Forecasted values
+ */
+function generateArimaForecast(values, horizon, options = {}) {
+  const model = selectModel(values, options);
+  if (!model) return Array(horizon).fill(values[values.length - 1]);
+  return forecastArima(model, values, horizon).values;
+}
+
+/**
+ * Calculate forecast accuracy for an ARIMA model
+ * The orders are kept and the coefficients refitted on the first half.
+ * @param {Array} values - Original values
+ * @param {Object} model - Model selected on the full series
+ * @returns {number|null} - Forecast accuracy (MAPE)
+ */
+function calculateAccuracy(values, model) {
+  const splitPoint = Math.floor(values.length / 2);
+  const trainingData = values.slice(0, splitPoint);
+  const testData = values.slice(splitPoint);
+
+  const [p, d, q] = model.order;
+  const [P, D, Q, period] = model.seasonalOrder;
+  const refitted = fitArima(trainingData, { p, d, q, P, D, Q, period });
+  if (!refitted) return null;
+
+  const forecasts = forecastArima(refitted, trainingData, testData.length).values;
+
+  const errors = [];
+  for (let i = 0; i < testData.length; i++) {
+    if (testData[i] !== 0) {
+      errors.push(Math.abs((testData[i] - forecasts[i]) / testData[i]));
+    }
+  }
+
+  if (errors.length === 0) return null;
+
+  return _.mean(errors) * 100; // MAPE as percentage
+}
+
+/**
+ * Describe a model's orders, e.g. ARIMA(1,1,1)(0,1,1)12
+ */
+function describeOrder(model) {
+  const [P, D, Q, period] = model.seasonalOrder;
+  const seasonal = period ? `(${P},${D},${Q})${period}` : '';
+  return `${period ? 'SARIMA' : 'ARIMA'}(${model.order.join(',')})${seasonal}`;
+}
+
+function variance(values) {
+  if (values.length <= 1) return 0;
+  const mean = _.mean(values);
+  return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+}
+
+module.exports = {
+  difference,
+  kpssStatistic,
+  chooseDifferencing,
+  seasonalStrength,
+  chooseSeasonalDifferencing,
+  fitArima,
+  selectModel,
+  forecastArima,
+  generateArimaForecast,
+  calculateAccuracy,
+  describeOrder,
+  name: 'ARIMA',
+  description: 'Autoregressive integrated moving average with orders chosen by information criterion',
+  seasonal: {
+    name: 'SARIMA',
+    description: 'Seasonal ARIMA with seasonal differencing and seasonal AR/MA terms'
+  }
+};
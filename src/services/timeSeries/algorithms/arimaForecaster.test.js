@@ -0,0 +1,64 @@
+const arima = require('./arimaForecaster');
+
+// Deterministic noise so the fits are repeatable
+const noise = (t) => Math.sin(t * 12.9898) * 0.5;
+
+const trend = Array.from({ length: 60 }, (_, t) => 100 + 2 * t + noise(t));
+const seasonalPattern = [5, 3, 0, -2, -4, -6, -5, -2, 0, 2, 4, 5];
+const monthly = Array.from({ length: 72 }, (_, t) => 200 + 0.5 * t + 10 * seasonalPattern[t % 12] / 6 + noise(t));
+
+describe('difference', () => {
+  it('differences at the given lag', () => {
+    expect(arima.difference([1, 3, 6, 10])).toEqual([2, 3, 4]);
+    expect(arima.difference([1, 2, 3, 11, 12, 13], 3)).toEqual([10, 10, 10]);
+  });
+});
+
+describe('chooseDifferencing', () => {
+  it('differences a trending series and leaves a stationary one', () => {
+    expect(arima.chooseDifferencing(trend)).toBeGreaterThanOrEqual(1);
+    expect(arima.chooseDifferencing(trend.map((_, t) => noise(t)))).toBe(0);
+  });
+});
+
+describe('selectModel', () => {
+  it('keeps the orders it is given', () => {
+    const model = arima.selectModel(trend, { p: 1, d: 1, q: 0 });
+
+    expect(model.order).toEqual([1, 1, 0]);
+    expect(arima.describeOrder(model)).toBe('ARIMA(1,1,0)');
+  });
+
+  it('picks seasonal differencing for a seasonal series', () => {
+    const model = arima.selectModel(monthly, { period: 12 });
+
+    expect(model.seasonalOrder[1]).toBe(1);
+    expect(model.seasonalOrder[3]).toBe(12);
+  });
+});
+
+describe('forecastArima', () => {
+  it('continues a trend with widening standard errors', () => {
+    const model = arima.selectModel(trend);
+    const { values, standardErrors } = arima.forecastArima(model, trend, 6);
+
+    values.forEach((value, h) => expect(value).toBeCloseTo(100 + 2 * (60 + h), -1));
+    expect(standardErrors[5]).toBeGreaterThan(standardErrors[0]);
+  });
+
+  it('repeats the seasonal pattern', () => {
+    const forecasts = arima.generateArimaForecast(monthly, 12, { period: 12 });
+
+    // The peak (months 0 and 11) and trough months of the pattern stay where they were
+    expect([0, 11]).toContain(forecasts.indexOf(Math.max(...forecasts)));
+    expect(forecasts.indexOf(Math.min(...forecasts))).toBe(5);
+  });
+});
+
+describe('calculateAccuracy', () => {
+  it('scores the selected orders on the second half', () => {
+    const model = arima.selectModel(trend);
+
+    expect(arima.calculateAccuracy(trend, model)).toBeLessThan(5);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Time Series Error Classes
+ */
+
+/**
+ * Forecast Input Error - raised when a series cannot be forecast as given,
+ * e.g. a column missing from the dataset or too few numeric values
+ */
+class ForecastInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForecastInputError';
+  }
+}
+
+module.exports = {
+  ForecastInputError
+};
@@ -14,6 +14,10 @@ const exponentialSmoothingForecaster = require('./algorithms/exponentialSmoothin
 const doubleExponentialSmoothingForecaster = require('./algorithms/doubleExponentialSmoothingForecaster');
 const seasonalNaiveForecaster = require('./algorithms/seasonalNaiveForecaster');
 const holtWintersForecaster = require('./algorithms/holtWintersForecaster');
+const arimaForecaster = require('./algorithms/arimaForecaster');
+
+// Error classes
+const { ForecastInputError } = require('./errors');
 
 // Utility modules
 const timeUtils = require('./utils/timeUtils');
@@ -34,7 +38,9 @@ module.exports = {
     exponentialSmoothing: exponentialSmoothingForecaster,
     doubleExponentialSmoothing: doubleExponentialSmoothingForecaster,
     seasonalNaive: seasonalNaiveForecaster,
-    holtWinters: holtWintersForecaster
+    holtWinters: holtWintersForecaster,
+    arima: arimaForecaster,
+    sarima: arimaForecaster
   },
   
   // Utility functions
@@ -42,5 +48,7 @@ module.exports = {
     time: timeUtils,
     seasonality: seasonalityDetector,
     accuracy: accuracyUtils
-  }
+  },
+  
+  ForecastInputError
 };
@@ -17,12 +17,11 @@ const externalFeatures = require('./externalFeatures');
  * @returns {Array} - Generated features
  */
 async function generateFeatures(timeValues, values, frequency, options = {}) {
-  // Combine all features
+  // Combine all features, tagged with where their values come from
   const features = [
-    ...timeFeatures.extractTimeFeatures(timeValues, frequency),
-    ...lagFeatures.generateLagFeatures(values, options.maxLag),
-    ...statisticalFeatures.generateStatisticalFeatures(values, frequency),
-    ...transformFeatures.generateTransformFeatures(values)
+    ...timeFeatures.extractTimeFeatures(timeValues, frequency)
+      .map(feature => ({ ...feature, origin: 'calendar' })),
+    ...generateValueFeatures(values, frequency, options)
   ];
 
   // Add external features if requested
@@ -32,14 +31,32 @@ async function generateFeatures(timeValues, values, frequency, options = {}) {
       frequency, 
       options.externalFeatureConfig
     );
-    features.push(...externalFeats);
+    features.push(...externalFeats.map(feature => ({ ...feature, origin: 'external' })));
   }
 
   return features;
 }
 
+/**
+ * Generate the features derived from the series values themselves
+ * (lags, rolling statistics and transforms). Regressors call this again on
+ * the extended series while forecasting so lags include earlier predictions.
+ * @param {Array} values - Array of numeric values
+ * @param {string} frequency - Detected data frequency
+ * @param {Object} options - Feature engineering options
+ * @returns {Array} - Generated value features
+ */
+function generateValueFeatures(values, frequency, options = {}) {
+  return [
+    ...lagFeatures.generateLagFeatures(values, options.maxLag),
+    ...statisticalFeatures.generateStatisticalFeatures(values, frequency),
+    ...transformFeatures.generateTransformFeatures(values)
+  ].map(feature => ({ ...feature, origin: 'history' }));
+}
+
 module.exports = {
   generateFeatures,
+  generateValueFeatures,
   timeFeatures,
   lagFeatures,
   statisticalFeatures,
@@ -7,6 +7,7 @@ const featureEngineering = require('./featureEngineering');
 const validation = require('./validation');
 const registry = require('./registry');
 const training = require('./training');
+const regression = require('./regression');
 const pipeline = require('./pipeline');
 
 module.exports = {
@@ -14,5 +15,6 @@ module.exports = {
   validation,
   registry,
   training,
+  regression,
   pipeline
 };
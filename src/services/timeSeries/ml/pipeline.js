@@ -11,9 +11,11 @@ const featureEngineering = require('./featureEngineering');
 const validation = require('./validation');
 const registry = require('./registry');
 const training = require('./training');
+const regression = require('./regression');
 
 // Import base forecaster
 const timeSeriesForecaster = require('../timeSeriesForecaster');
+const timeUtils = require('../utils/timeUtils');
 
 /**
  * Run the complete ML pipeline for a time series
@@ -52,11 +54,13 @@ async function runPipeline(timeValues, values, frequency, options = {}) {
     logger.info('Model training complete', { modelCount: Object.keys(modelResults).length });
     
     // Step 4: Validate models
-    const validationResults = validation.evaluateModels(
+    const validationResults = await validation.evaluateModels(
       modelResults,
       validationData.timeValues,
       validationData.values,
-      frequency
+      frequency,
+      trainData,
+      features
     );
     logger.info('Model validation complete');
     
@@ -65,11 +69,16 @@ async function runPipeline(timeValues, values, frequency, options = {}) {
     logger.info('Best model selected', { method: bestModel.method, metrics: bestModel.metrics });
     
     // Step 6: Test final model
-    const testResults = validation.evaluateModel(
+    const testResults = await validation.evaluateModel(
       bestModel,
       testData.timeValues,
       testData.values,
-      frequency
+      frequency,
+      {
+        timeValues: [...trainData.timeValues, ...validationData.timeValues],
+        values: [...trainData.values, ...validationData.values]
+      },
+      features
     );
     logger.info('Model testing complete', { metrics: testResults.metrics });
     
@@ -85,17 +94,27 @@ async function runPipeline(timeValues, values, frequency, options = {}) {
     logger.info('Model registered', { modelId });
     
     // Step 8: Generate final forecasts with best model
-    const forecastHorizon = options.horizon || timeSeriesForecaster.utils.time.getDefaultHorizon(frequency);
-    const finalForecasts = await timeSeriesForecaster.generateForecasts(
-      timeValues,
-      values,
-      frequency,
-      {
-        method: bestModel.method,
-        ...bestModel.parameters,
-        horizon: forecastHorizon
-      }
-    );
+    const forecastHorizon = options.horizon || timeUtils.getDefaultHorizon(frequency);
+    const finalForecasts = regression.isFeatureMethod(bestModel.method)
+      ? regression.generateRegressionForecasts(
+        bestModel.method,
+        timeValues,
+        values,
+        frequency,
+        features,
+        bestModel.parameters,
+        { ...options, horizon: forecastHorizon }
+      )
+      : await timeSeriesForecaster.generateForecasts(
+        timeValues,
+        values,
+        frequency,
+        {
+          method: bestModel.method,
+          ...bestModel.parameters,
+          horizon: forecastHorizon
+        }
+      );
     
     // Step 9: Generate confidence intervals
     const forecastsWithCI = timeSeriesForecaster.generateConfidenceIntervals(
@@ -146,7 +165,7 @@ async function retrainModel(modelId, newTimeValues, newValues, options = {}) {
     const combinedValues = [...historicalData.values, ...newValues];
     
     // Step 4: Determine if retraining is needed
-    const shouldRetrain = validation.checkRetrainingNeed(
+    const shouldRetrain = await validation.checkRetrainingNeed(
       existingModel,
       historicalData,
       newTimeValues,
@@ -176,12 +195,13 @@ async function retrainModel(modelId, newTimeValues, newValues, options = {}) {
     );
     
     // Step 6: Compare new model with existing model
-    const improvement = validation.compareModels(
+    const improvement = await validation.compareModels(
       existingModel,
       pipelineResults.model,
       newTimeValues,
       newValues,
-      frequency
+      frequency,
+      historicalData
     );
     
     // Step 7: Decide whether to keep new model
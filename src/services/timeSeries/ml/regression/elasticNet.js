@@ -0,0 +1,139 @@
+/**
+ * Elastic-Net Regression
+ * Linear regression with combined L1/L2 penalties, fitted by coordinate descent.
+ * An l1Ratio of 0 gives ridge regression, 1 gives the lasso.
+ */
+const _ = require('lodash');
+
+/**
+ * Soft-thresholding operator used by the L1 penalty
+ * @param {number} value - Value to shrink
+ * @param {number} threshold - Shrinkage amount
+ * @returns {number} - Shrunk value
+ */
+function softThreshold(value, threshold) {
+  if (value > threshold) return value - threshold;
+  if (value < -threshold) return value + threshold;
+  return 0;
+}
+
+/**
+ * Fit an elastic-net regression
+ * Inputs and target are standardised before fitting, so alpha is on the
+ * same scale whatever the units of the series.
+ * @param {Array} X - Design matrix (array of rows)
+ * @param {Array} y - Target values
+ * @param {Object} options - Fitting options
+ * @param {number} options.alpha - Overall penalty strength (default 0.1)
+ * @param {number} options.l1Ratio - Share of the penalty that is L1 (default 0)
+ * @param {number} options.maxIterations - Maximum coordinate descent sweeps (default 1000)
+ * @param {number} options.tolerance - Convergence tolerance on coefficient change (default 1e-6)
+ * @returns {Object} - Fitted model with intercept and coefficients
+ */
+function fitElasticNet(X, y, options = {}) {
+  const alpha = options.alpha !== undefined ? options.alpha : 0.1;
+  const l1Ratio = options.l1Ratio !== undefined ? options.l1Ratio : 0;
+  const maxIterations = options.maxIterations || 1000;
+  const tolerance = options.tolerance || 1e-6;
+
+  const n = X.length;
+  const p = n > 0 ? X[0].length : 0;
+
+  // Standardise the target
+  const yMean = _.mean(y);
+  const yScale = Math.sqrt(_.mean(y.map(v => Math.pow(v - yMean, 2)))) || 1;
+  const residuals = y.map(v => (v - yMean) / yScale);
+
+  // Standardise each column (stored column-major for the sweeps)
+  const means = [];
+  const scales = [];
+  const columns = [];
+
+  for (let j = 0; j < p; j++) {
+    const column = X.map(row => row[j]);
+    const mean = _.mean(column);
+    const scale = Math.sqrt(_.mean(column.map(v => Math.pow(v - mean, 2))));
+
+    means.push(mean);
+    scales.push(scale);
+    columns.push(scale > 0 ? column.map(v => (v - mean) / scale) : null);
+  }
+
+  // Coordinate descent; each standardised column has mean square 1
+  const weights = Array(p).fill(0);
+  const l1Penalty = alpha * l1Ratio;
+  const l2Denominator = 1 + alpha * (1 - l1Ratio);
+  let iterations = 0;
+
+  for (; iterations < maxIterations; iterations++) {
+    let maxChange = 0;
+
+    for (let j = 0; j < p; j++) {
+      const column = columns[j];
+      if (!column) continue;
+
+      let rho = 0;
+      for (let i = 0; i < n; i++) {
+        rho += column[i] * residuals[i];
+      }
+      rho = rho / n + weights[j];
+
+      const updated = softThreshold(rho, l1Penalty) / l2Denominator;
+      const delta = updated - weights[j];
+
+      if (delta !== 0) {
+        for (let i = 0; i < n; i++) {
+          residuals[i] -= delta * column[i];
+        }
+        weights[j] = updated;
+        maxChange = Math.max(maxChange, Math.abs(delta));
+      }
+    }
+
+    if (maxChange < tolerance) break;
+  }
+
+  // Convert back to the original scale
+  const coefficients = weights.map((w, j) => (scales[j] > 0 ? w * yScale / scales[j] : 0));
+  const intercept = yMean - coefficients.reduce((sum, c, j) => sum + c * means[j], 0);
+
+  return {
+    intercept,
+    coefficients,
+    standardizedCoefficients: weights,
+    alpha,
+    l1Ratio,
+    iterations
+  };
+}
+
+/**
+ * Predict a single row
+ * @param {Object} model - Fitted elastic-net model
+ * @param {Array} row - Encoded feature row
+ * @returns {number} - Prediction
+ */
+function predictElasticNet(model, row) {
+  return model.coefficients.reduce((sum, c, j) => sum + c * row[j], model.intercept);
+}
+
+/**
+ * Importance of each encoded column: the absolute standardised coefficient,
+ * normalised to sum to 1
+ * @param {Object} model - Fitted elastic-net model
+ * @returns {Array} - Importance per encoded column
+ */
+function calculateImportance(model) {
+  const magnitudes = model.standardizedCoefficients.map(Math.abs);
+  const total = _.sum(magnitudes);
+
+  return magnitudes.map(m => (total > 0 ? m / total : 0));
+}
+
+module.exports = {
+  fitElasticNet,
+  predictElasticNet,
+  calculateImportance,
+  name: 'Elastic-Net Regression',
+  description: 'Ridge / elastic-net regression on lag, calendar, statistical and external features'
+};
@@ -0,0 +1,203 @@
+/**
+ * Feature Matrix Construction
+ * Turns engineered feature objects into a design matrix for the regressors
+ * and rebuilds input rows for recursive multi-step forecasts
+ */
+const _ = require('lodash');
+const featureEngineering = require('../featureEngineering');
+
+// Columns that only become complete after a long warm-up are dropped
+const MAX_WARMUP_SHARE = 0.4;
+
+/**
+ * Check for a usable numeric value
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a finite number
+ */
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Read the input for a column when predicting position t.
+ * History features at t include the value at t itself, so the regressor
+ * sees them one step behind; calendar and external features are known at t.
+ * @param {Object} column - Feature column
+ * @param {number} t - Position being predicted
+ * @returns {number|null} - Input value
+ */
+function inputAt(column, t) {
+  const value = column.origin === 'history' ? column.values[t - 1] : column.values[t];
+  return isNumber(value) ? value : null;
+}
+
+/**
+ * Build the training design matrix
+ * @param {Array} values - Array of numeric values
+ * @param {Array} features - Generated features, aligned with values
+ * @param {Object} options - Matrix options
+ * @param {string} options.target - 'level' to predict values, 'difference' to predict changes
+ * @returns {Object} - Columns, design matrix, targets and the last input row
+ */
+function buildDesignMatrix(values, features, options = {}) {
+  const n = values.length;
+  const target = options.target || 'level';
+  const maxWarmup = Math.floor((n - 1) * MAX_WARMUP_SHARE);
+
+  // Keep the first feature of each name; features without an origin are
+  // treated as external regressors supplied by the caller
+  const candidates = _.uniqBy(features, 'name').map(feature => ({
+    name: feature.name,
+    type: feature.type,
+    description: feature.description,
+    origin: feature.origin || 'external',
+    values: feature.values
+  }));
+
+  // Drop columns with a long warm-up or gaps after it
+  const usable = [];
+
+  for (const column of candidates) {
+    let first = null;
+
+    for (let t = 1; t < n; t++) {
+      if (inputAt(column, t) !== null) {
+        first = t;
+        break;
+      }
+    }
+
+    if (first === null || first - 1 > maxWarmup) continue;
+
+    let complete = true;
+    for (let t = first; t < n; t++) {
+      if (inputAt(column, t) === null) {
+        complete = false;
+        break;
+      }
+    }
+
+    if (complete) {
+      usable.push({ ...column, first });
+    }
+  }
+
+  const start = Math.max(1, ...usable.map(column => column.first));
+  const rowIndex = _.range(start, n);
+
+  // Drop columns that are constant over the training rows
+  const columns = [];
+
+  for (const column of usable) {
+    const observed = _.uniq(rowIndex.map(t => inputAt(column, t)));
+    if (observed.length < 2) continue;
+
+    columns.push({
+      name: column.name,
+      type: column.type,
+      origin: column.origin,
+      description: column.description,
+      levels: column.type === 'categorical' ? observed.sort((a, b) => a - b) : undefined,
+      values: column.values
+    });
+  }
+
+  const rawRows = rowIndex.map(t => columns.map(column => inputAt(column, t)));
+  const X = rawRows.map(raw => encodeRow(columns, raw));
+  const y = rowIndex.map(t => (target === 'difference' ? values[t] - values[t - 1] : values[t]));
+
+  return {
+    columns: columns.map(column => _.omit(column, 'values')),
+    X,
+    y,
+    rowIndex,
+    lastInputs: rawRows.length > 0 ? rawRows[rawRows.length - 1] : []
+  };
+}
+
+/**
+ * Encode a raw input row; categorical columns are one-hot encoded over the
+ * levels seen in training
+ * @param {Array} columns - Column definitions
+ * @param {Array} raw - Raw input values, one per column
+ * @returns {Array} - Encoded row
+ */
+function encodeRow(columns, raw) {
+  const row = [];
+
+  columns.forEach((column, k) => {
+    if (column.levels) {
+      column.levels.forEach(level => row.push(raw[k] === level ? 1 : 0));
+    } else {
+      row.push(isNumber(raw[k]) ? raw[k] : 0);
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Name of the source column for each encoded position
+ * @param {Array} columns - Column definitions
+ * @returns {Array} - Column name per encoded position
+ */
+function getEncodedColumnNames(columns) {
+  return _.flatMap(columns, column => (column.levels ? column.levels.map(() => column.name) : [column.name]));
+}
+
+/**
+ * Rebuild the raw inputs for the next forecast step. History features are
+ * regenerated from the series extended with earlier predictions, calendar
+ * features from the forecast date, and external features are read from the
+ * supplied features past the end of the history. Anything unavailable keeps
+ * its previous value.
+ * @param {Object} fitted - Fitted regressor
+ * @param {Array} values - History including earlier predictions
+ * @param {string} date - Date being forecast
+ * @param {Array} previous - Raw inputs used for the previous step
+ * @param {Array} features - Feature objects aligned with the history
+ * @returns {Array} - Raw inputs, one per column
+ */
+function readNextInputs(fitted, values, date, previous, features = []) {
+  const index = values.length;
+  const origins = new Set(fitted.columns.map(column => column.origin));
+
+  const history = origins.has('history')
+    ? _.fromPairs(
+      featureEngineering
+        .generateValueFeatures(values, fitted.frequency, { maxLag: fitted.maxLag })
+        .map(feature => [feature.name, feature.values[index - 1]])
+    )
+    : {};
+
+  const calendar = origins.has('calendar')
+    ? _.fromPairs(
+      featureEngineering.timeFeatures
+        .extractTimeFeatures([date], fitted.frequency)
+        .map(feature => [feature.name, feature.values[0]])
+    )
+    : {};
+
+  const external = _.keyBy(features, 'name');
+
+  return fitted.columns.map((column, k) => {
+    let value;
+
+    if (column.origin === 'history') {
+      value = history[column.name];
+    } else if (column.origin === 'calendar') {
+      value = calendar[column.name];
+    } else if (external[column.name]) {
+      value = external[column.name].values[index];
+    }
+
+    return isNumber(value) ? value : previous[k];
+  });
+}
+
+module.exports = {
+  buildDesignMatrix,
+  encodeRow,
+  getEncodedColumnNames,
+  readNextInputs
+};
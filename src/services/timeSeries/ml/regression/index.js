@@ -0,0 +1,247 @@
+/**
+ * Feature-based Regression Forecasters
+ * Trains regressors on the engineered feature matrix and forecasts
+ * recursively, regenerating lag features from earlier predictions
+ */
+const _ = require('lodash');
+const timeUtils = require('../../utils/timeUtils');
+const featureMatrix = require('./featureMatrix');
+const elasticNet = require('./elasticNet');
+const gradientBoosting = require('./gradientBoosting');
+
+// Minimum complete feature rows needed to fit a regressor
+const MIN_TRAINING_ROWS = 12;
+
+// Share of the series held out when measuring accuracy
+const HOLDOUT_SHARE = 0.2;
+
+const regressors = {
+  elasticNet: {
+    name: elasticNet.name,
+    description: elasticNet.description,
+    defaults: { alpha: 0.1, l1Ratio: 0, target: 'level' },
+    fit: elasticNet.fitElasticNet,
+    predict: elasticNet.predictElasticNet,
+    importance: elasticNet.calculateImportance
+  },
+  gradientBoosting: {
+    name: gradientBoosting.name,
+    description: gradientBoosting.description,
+    // Trees cannot extrapolate, so they model period-over-period changes
+    defaults: { nEstimators: 100, learningRate: 0.1, maxDepth: 3, minSamplesLeaf: 3, target: 'difference' },
+    fit: gradientBoosting.fitGradientBoosting,
+    predict: gradientBoosting.predictGradientBoosting,
+    importance: gradientBoosting.calculateImportance
+  }
+};
+
+/**
+ * Check whether a method is a feature-based regressor
+ * @param {string} method - Forecasting method
+ * @returns {boolean} - Whether the method trains on features
+ */
+function isFeatureMethod(method) {
+  return Object.prototype.hasOwnProperty.call(regressors, method);
+}
+
+/**
+ * Fit a feature-based regressor
+ * @param {string} method - 'elasticNet' or 'gradientBoosting'
+ * @param {Array} timeValues - Array of time values
+ * @param {Array} values - Array of numeric values
+ * @param {string} frequency - Data frequency
+ * @param {Array} features - Generated features, aligned with values (may run longer)
+ * @param {Object} parameters - Model parameters
+ * @param {Object} options - Training options (maxLag is reused when regenerating lags)
+ * @returns {Object} - Fitted regressor
+ */
+function fitRegressor(method, timeValues, values, frequency, features, parameters = {}, options = {}) {
+  const regressor = regressors[method];
+
+  if (!regressor) {
+    throw new Error(`Unknown feature-based method: ${method}`);
+  }
+
+  const settings = { ...regressor.defaults, ...parameters };
+  const design = featureMatrix.buildDesignMatrix(values, features, { target: settings.target });
+
+  if (design.X.length < MIN_TRAINING_ROWS) {
+    throw new Error(
+      `Not enough complete feature rows to train ${method} (${design.X.length}, need ${MIN_TRAINING_ROWS})`
+    );
+  }
+
+  if (design.columns.length === 0) {
+    throw new Error(`No usable features to train ${method}`);
+  }
+
+  const model = regressor.fit(design.X, design.y, settings);
+
+  // One-step residuals give the spread of the forecast errors
+  const residuals = design.X.map((row, i) => design.y[i] - regressor.predict(model, row));
+  const residualStd = Math.sqrt(_.mean(residuals.map(r => r * r)));
+
+  // Sum one-hot columns back onto the feature they came from
+  const encodedNames = featureMatrix.getEncodedColumnNames(design.columns);
+  const importance = {};
+
+  regressor.importance(model).forEach((value, j) => {
+    importance[encodedNames[j]] = (importance[encodedNames[j]] || 0) + value;
+  });
+
+  return {
+    method,
+    parameters: settings,
+    frequency,
+    maxLag: options.maxLag,
+    columns: design.columns,
+    lastInputs: design.lastInputs,
+    model,
+    residualStd,
+    trainingRows: design.X.length,
+    importance
+  };
+}
+
+/**
+ * Forecast recursively from a fitted regressor. Each prediction is appended
+ * to the history before the next step's lag features are regenerated.
+ * @param {Object} fitted - Fitted regressor
+ * @param {Array} timeValues - History time values
+ * @param {Array} values - History values
+ * @param {number} horizon - Number of steps to forecast
+ * @param {Object} options - Forecast options
+ * @param {Array} options.features - Features aligned with the history; values
+ *   past its end are used as known future values for external features
+ * @returns {Object} - Forecast values, dates and standard errors
+ */
+function forecastRegressor(fitted, timeValues, values, horizon, options = {}) {
+  const regressor = regressors[fitted.method];
+  const dates = timeUtils.generateFutureTimePoints(
+    timeValues[timeValues.length - 1], fitted.frequency, horizon, timeValues
+  );
+
+  const history = values.slice();
+  const forecasts = [];
+  let previous = fitted.lastInputs;
+
+  for (let h = 0; h < horizon; h++) {
+    const inputs = featureMatrix.readNextInputs(fitted, history, dates[h], previous, options.features);
+    const prediction = regressor.predict(fitted.model, featureMatrix.encodeRow(fitted.columns, inputs));
+    const value = fitted.parameters.target === 'difference'
+      ? history[history.length - 1] + prediction
+      : prediction;
+
+    forecasts.push(value);
+    history.push(value);
+    previous = inputs;
+  }
+
+  return {
+    values: forecasts,
+    dates,
+    // Recursive errors accumulate roughly like a random walk
+    standardErrors: forecasts.map((_value, h) => fitted.residualStd * Math.sqrt(h + 1))
+  };
+}
+
+/**
+ * Calculate forecast accuracy by fitting on the start of the series and
+ * forecasting the held-out end recursively
+ * @param {string} method - 'elasticNet' or 'gradientBoosting'
+ * @param {Array} timeValues - Array of time values
+ * @param {Array} values - Array of numeric values
+ * @param {string} frequency - Data frequency
+ * @param {Array} features - Generated features, aligned with values
+ * @param {Object} parameters - Model parameters
+ * @param {Object} options - Training options
+ * @returns {number|null} - Forecast accuracy (MAPE), null if it cannot be measured
+ */
+function calculateAccuracy(method, timeValues, values, frequency, features, parameters = {}, options = {}) {
+  const splitPoint = Math.floor(values.length * (1 - HOLDOUT_SHARE));
+  const testData = values.slice(splitPoint);
+
+  if (testData.length === 0) return null;
+
+  let forecast;
+
+  try {
+    const fitted = fitRegressor(
+      method,
+      timeValues.slice(0, splitPoint),
+      values.slice(0, splitPoint),
+      frequency,
+      features,
+      parameters,
+      options
+    );
+
+    forecast = forecastRegressor(
+      fitted,
+      timeValues.slice(0, splitPoint),
+      values.slice(0, splitPoint),
+      testData.length,
+      { features }
+    ).values;
+  } catch (error) {
+    return null;
+  }
+
+  const errors = [];
+  for (let i = 0; i < testData.length; i++) {
+    if (testData[i] !== 0) {
+      errors.push(Math.abs((testData[i] - forecast[i]) / testData[i]));
+    }
+  }
+
+  if (errors.length === 0) return null;
+
+  return _.mean(errors) * 100; // MAPE as percentage
+}
+
+/**
+ * Fit a regressor on the full series and forecast it, returning the same
+ * shape as timeSeriesForecaster.generateForecasts
+ * @param {string} method - 'elasticNet' or 'gradientBoosting'
+ * @param {Array} timeValues - Array of time values
+ * @param {Array} values - Array of numeric values
+ * @param {string} frequency - Data frequency
+ * @param {Array} features - Generated features, aligned with values
+ * @param {Object} parameters - Model parameters
+ * @param {Object} options - Forecast options (horizon, maxLag)
+ * @returns {Object} - Forecast results
+ */
+function generateRegressionForecasts(method, timeValues, values, frequency, features, parameters = {}, options = {}) {
+  const horizon = options.horizon || timeUtils.getDefaultHorizon(frequency);
+  const fitted = fitRegressor(method, timeValues, values, frequency, features, parameters, options);
+  const forecast = forecastRegressor(fitted, timeValues, values, horizon, { features });
+
+  return {
+    horizonPeriods: horizon,
+    horizonDates: forecast.dates,
+    methods: {
+      [method]: {
+        name: regressors[method].name,
+        description: regressors[method].description,
+        values: forecast.values,
+        standardErrors: forecast.standardErrors,
+        parameters: fitted.parameters,
+        featureImportance: fitted.importance,
+        accuracy: calculateAccuracy(method, timeValues, values, frequency, features, parameters, options)
+      }
+    },
+    bestMethod: method
+  };
+}
+
+module.exports = {
+  isFeatureMethod,
+  fitRegressor,
+  forecastRegressor,
+  calculateAccuracy,
+  generateRegressionForecasts,
+  methods: Object.keys(regressors),
+  elasticNet,
+  gradientBoosting,
+  featureMatrix
+};
@@ -0,0 +1,178 @@
+jest.mock('../../../../utils/logger', () => ({ info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() }));
+
+const regression = require('./index');
+const featureEngineering = require('../featureEngineering');
+const training = require('../training');
+const validation = require('../validation');
+
+const { elasticNet, gradientBoosting, featureMatrix } = regression;
+
+const monthsFrom = (year, count) => Array.from({ length: count }, (_value, i) =>
+  new Date(Date.UTC(year, i, 1)).toISOString().slice(0, 10));
+
+// Monthly revenue growing by 20 a month on top of 5x the marketing spend,
+// which is planned six months past the end of the history
+const campaign = [10, 30, 20, 40, 15, 35];
+const months = monthsFrom(2021, 36);
+const spend = [...months, ...campaign].map((_value, i) => campaign[i % 6]);
+const revenue = months.map((_value, i) => 1000 + 20 * i + 5 * spend[i]);
+const marketingSpend = { name: 'marketing_spend', type: 'numerical', values: spend, description: 'Planned marketing spend' };
+
+describe('elasticNet', () => {
+  const X = [];
+  const y = [];
+  for (let i = 0; i < 30; i++) {
+    X.push([i % 7, (i * 3) % 5, (i * 7) % 3]);
+    y.push(5 + 2 * (i % 7) - 3 * ((i * 3) % 5));
+  }
+
+  it('recovers a linear relationship without a penalty', () => {
+    const model = elasticNet.fitElasticNet(X, y, { alpha: 0 });
+
+    expect(model.intercept).toBeCloseTo(5, 5);
+    expect(model.coefficients[0]).toBeCloseTo(2, 5);
+    expect(model.coefficients[1]).toBeCloseTo(-3, 5);
+    expect(elasticNet.predictElasticNet(model, [4, 1, 0])).toBeCloseTo(10, 5);
+  });
+
+  it('shrinks coefficients with ridge and drops unused columns with the lasso', () => {
+    const ridge = elasticNet.fitElasticNet(X, y, { alpha: 1 });
+    const lasso = elasticNet.fitElasticNet(X, y, { alpha: 0.5, l1Ratio: 1 });
+
+    expect(Math.abs(ridge.coefficients[0])).toBeLessThan(2);
+    expect(Math.abs(ridge.coefficients[1])).toBeLessThan(3);
+    expect(lasso.coefficients[2]).toBe(0);
+  });
+
+  it('reports importance as the share of the standardised coefficients', () => {
+    const importance = elasticNet.calculateImportance(elasticNet.fitElasticNet(X, y, { alpha: 0 }));
+
+    expect(importance[0] + importance[1]).toBeCloseTo(1, 5);
+    expect(importance[2]).toBeCloseTo(0, 5);
+  });
+});
+
+describe('gradientBoosting', () => {
+  it('fits a step a straight line cannot', () => {
+    const X = [];
+    const y = [];
+    for (let i = 0; i < 40; i++) {
+      X.push([i % 10, (i * 7) % 4]);
+      y.push(i % 10 >= 5 ? 100 : 10);
+    }
+
+    const model = gradientBoosting.fitGradientBoosting(X, y, {});
+
+    expect(gradientBoosting.predictGradientBoosting(model, [7, 0])).toBeCloseTo(100, 1);
+    expect(gradientBoosting.predictGradientBoosting(model, [2, 3])).toBeCloseTo(10, 1);
+    expect(gradientBoosting.calculateImportance(model)).toEqual([1, 0]);
+  });
+});
+
+describe('featureMatrix', () => {
+  it('reads history features one step behind and drops unusable columns', () => {
+    const design = featureMatrix.buildDesignMatrix([100, 110, 125, 120, 130], [
+      { name: 'lag_1', type: 'numerical', origin: 'history', values: [null, 100, 110, 125, 120] },
+      { name: 'quarter', type: 'categorical', origin: 'calendar', values: [1, 1, 2, 2, 3] },
+      { name: 'fx_rate', type: 'numerical', values: [1, 1, 1, 1, 1] },
+      { name: 'headcount', type: 'numerical', values: [null, null, null, 5, 6] }
+    ], { target: 'difference' });
+
+    // Constant and late-starting columns are dropped; quarters are one-hot encoded
+    expect(design.columns.map(column => column.name)).toEqual(['lag_1', 'quarter']);
+    expect(design.columns[1].levels).toEqual([2, 3]);
+    expect(design.X).toEqual([[100, 1, 0], [110, 1, 0], [125, 0, 1]]);
+    expect(design.y).toEqual([15, -5, 10]);
+    expect(design.lastInputs).toEqual([125, 3]);
+    expect(featureMatrix.getEncodedColumnNames(design.columns)).toEqual(['lag_1', 'quarter', 'quarter']);
+  });
+});
+
+describe('fitRegressor and forecastRegressor', () => {
+  const steady = monthsFrom(2022, 24);
+  const steadyValues = steady.map((_value, i) => 500 + 10 * i);
+  const lag = featureEngineering.lagFeatures.generateLagFeatures(steadyValues, 1)
+    .filter(feature => feature.name === 'lag_1')
+    .map(feature => ({ ...feature, origin: 'history' }));
+
+  it('regenerates lags from earlier predictions when forecasting several steps', () => {
+    const fitted = regression.fitRegressor('elasticNet', steady, steadyValues, 'monthly', lag, { alpha: 0 }, { maxLag: 1 });
+    const forecast = regression.forecastRegressor(fitted, steady, steadyValues, 3, { features: lag });
+
+    expect(fitted.trainingRows).toBe(22);
+    expect(fitted.importance).toEqual({ lag_1: 1 });
+    expect(forecast.dates).toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+    forecast.values.forEach((value, h) => expect(value).toBeCloseTo(740 + 10 * h, 5));
+  });
+
+  it('uses the known future values of external features', () => {
+    const fitted = regression.fitRegressor('elasticNet', months, revenue, 'monthly', [marketingSpend], { alpha: 0.001 });
+    const forecast = regression.forecastRegressor(fitted, months, revenue, 6, { features: [marketingSpend] });
+
+    expect(fitted.importance).toEqual({ marketing_spend: 1 });
+    // Months with a bigger campaign are forecast higher
+    const [slope] = fitted.model.coefficients;
+    expect(slope).toBeGreaterThan(4);
+    forecast.values.forEach((value, h) => expect(value - forecast.values[0]).toBeCloseTo(slope * (campaign[h] - campaign[0]), 5));
+    expect(forecast.standardErrors[3]).toBeCloseTo(fitted.residualStd * 2, 5);
+  });
+
+  it('forecasts a driven series from its engineered features with gradient boosting', async () => {
+    const features = [
+      ...await featureEngineering.generateFeatures(months, revenue, 'monthly', {}),
+      marketingSpend
+    ];
+
+    const fitted = regression.fitRegressor('gradientBoosting', months, revenue, 'monthly', features);
+    const forecast = regression.forecastRegressor(fitted, months, revenue, 3, { features });
+
+    expect(fitted.parameters.target).toBe('difference');
+    expect(fitted.importance.marketing_spend).toBeGreaterThan(0.1);
+    forecast.values.forEach((value, h) => expect(value).toBeCloseTo(1000 + 20 * (36 + h) + 5 * campaign[h], 0));
+  });
+
+  it('explains why a regressor cannot be trained', () => {
+    expect(() => regression.fitRegressor('xgboost', steady, steadyValues, 'monthly', lag))
+      .toThrow('Unknown feature-based method: xgboost');
+    expect(() => regression.fitRegressor('elasticNet', steady.slice(0, 8), steadyValues.slice(0, 8), 'monthly', lag))
+      .toThrow('Not enough complete feature rows to train elasticNet (6, need 12)');
+    expect(() => regression.fitRegressor('elasticNet', steady, steadyValues, 'monthly', [{ name: 'flat', values: steady.map(() => 1) }]))
+      .toThrow('No usable features to train elasticNet');
+  });
+
+  it('returns forecasts in the shape of the univariate forecaster', () => {
+    const result = regression.generateRegressionForecasts('elasticNet', steady, steadyValues, 'monthly', lag, { alpha: 0 }, { horizon: 2, maxLag: 1 });
+
+    expect(result).toMatchObject({ horizonPeriods: 2, horizonDates: ['2024-01-01', '2024-02-01'], bestMethod: 'elasticNet' });
+    expect(result.methods.elasticNet).toMatchObject({
+      name: 'Elastic-Net Regression',
+      parameters: { alpha: 0, l1Ratio: 0, target: 'level' },
+      featureImportance: { lag_1: 1 },
+      accuracy: 0
+    });
+  });
+});
+
+describe('training and model selection', () => {
+  it('trains regressors alongside univariate methods and selects the most accurate', async () => {
+    const features = [
+      ...await featureEngineering.generateFeatures(months, revenue, 'monthly', {}),
+      marketingSpend
+    ];
+    const history = { timeValues: months.slice(0, 30), values: revenue.slice(0, 30) };
+
+    const models = await training.trainModels(
+      history.timeValues, history.values, 'monthly', features, { methods: ['naive', 'gradientBoosting'], horizon: 6 }
+    );
+    const results = await validation.evaluateModels(models, months.slice(30), revenue.slice(30), 'monthly', history, features);
+    const best = validation.selectBestModel(results);
+
+    const importance = models.gradientBoosting.features;
+    expect(models.gradientBoosting.status).toBe('trained');
+    expect(importance[0].importance).toBeGreaterThanOrEqual(importance[1].importance);
+    expect(importance.find(feature => feature.name === 'marketing_spend')).toMatchObject({ used: true });
+    expect(models.naive.features.every(feature => feature.importance === 0 && !feature.used)).toBe(true);
+    expect(best.method).toBe('gradientBoosting');
+    expect(best.metrics.mape).toBeLessThan(1);
+  });
+});
@@ -6,6 +6,7 @@ const _ = require('lodash');
 const logger = require('../../../../utils/logger');
 const timeSeriesForecaster = require('../../timeSeriesForecaster');
 const validation = require('../validation');
+const regression = require('../regression');
 
 /**
  * Tune hyperparameters for a specific forecasting method
@@ -48,19 +49,31 @@ async function tuneHyperparameters(method, timeValues, values, frequency, featur
     for (const params of paramCombinations) {
       try {
         // Generate forecasts with the current parameters
-        const forecasts = await timeSeriesForecaster.generateForecasts(
-          trainData.timeValues,
-          trainData.values,
-          frequency,
-          {
-            method,
-            ...params,
-            horizon: validationData.values.length
-          }
-        );
+        let forecastValues;
         
-        // Extract forecast values
-        const forecastValues = forecasts.methods[method].values;
+        if (regression.isFeatureMethod(method)) {
+          // Features are passed unsplit so external values stay known over the validation period
+          const fitted = regression.fitRegressor(
+            method, trainData.timeValues, trainData.values, frequency, features, params, options
+          );
+          forecastValues = regression.forecastRegressor(
+            fitted, trainData.timeValues, trainData.values, validationData.values.length, { features }
+          ).values;
+        } else {
+          const forecasts = await timeSeriesForecaster.generateForecasts(
+            trainData.timeValues,
+            trainData.values,
+            frequency,
+            {
+              method,
+              ...params,
+              horizon: validationData.values.length
+            }
+          );
+          
+          // Extract forecast values
+          forecastValues = forecasts.methods[method].values;
+        }
         
         // Calculate error metrics
         const metrics = calculateTuningMetrics(validationData.values, forecastValues);
@@ -188,6 +201,46 @@ function getParameterGrid(method, frequency, options = {}) {
         seasonalPeriod: periods
       };
     
+    case 'arima':
+      // Orders left out of the grid are chosen by information criterion
+      return {
+        p: options.pValues || [0, 1, 2],
+        d: options.dValues || [0, 1],
+        q: options.qValues || [0, 1, 2]
+      };
+    
+    case 'sarima': {
+      const seasonalParams = {
+        p: options.pValues || [0, 1],
+        d: options.dValues || [0, 1],
+        q: options.qValues || [0, 1],
+        P: options.seasonalPValues || [0, 1],
+        D: options.seasonalDValues || [0, 1],
+        Q: options.seasonalQValues || [0, 1]
+      };
+      
+      // If seasonal period is provided, use it
+      const seasonalPeriod = options.seasonalPeriod;
+      
+      return {
+        ...seasonalParams,
+        seasonalPeriod: seasonalPeriod ? [seasonalPeriod] : getSeasonalPeriodsForFrequency(frequency)
+      };
+    }
+    
+    case 'elasticNet':
+      return {
+        alpha: options.regularizationValues || [0.01, 0.1, 1],
+        l1Ratio: options.l1RatioValues || [0, 0.5, 1]
+      };
+    
+    case 'gradientBoosting':
+      return {
+        nEstimators: options.nEstimatorsValues || [50, 100, 200],
+        learningRate: options.learningRateValues || [0.05, 0.1],
+        maxDepth: options.maxDepthValues || [2, 3]
+      };
+    
     default:
       return {};
   }
@@ -241,6 +294,30 @@ function getDefaultParameters(method, frequency) {
       };
     }
     
+    case 'arima':
+      // Orders are chosen by information criterion
+      return {};
+    
+    case 'sarima': {
+      const periods = getSeasonalPeriodsForFrequency(frequency);
+      return {
+        seasonalPeriod: periods[0] // Use first period as default
+      };
+    }
+    
+    case 'elasticNet':
+      return {
+        alpha: 0.1,
+        l1Ratio: 0 // Ridge
+      };
+    
+    case 'gradientBoosting':
+      return {
+        nEstimators: 100,
+        learningRate: 0.1,
+        maxDepth: 3
+      };
+    
     default:
       return {};
   }
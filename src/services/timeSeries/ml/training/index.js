@@ -29,7 +29,11 @@ async function trainModels(timeValues, values, frequency, features, options = {}
       'exponentialSmoothing',
       'doubleExponentialSmoothing',
       'seasonalNaive',
-      'holtWinters'
+      'holtWinters',
+      'arima',
+      'sarima',
+      'elasticNet',
+      'gradientBoosting'
     ];
     
     const results = {};
@@ -136,6 +140,28 @@ function getDefaultParameters(method, options = {}) {
         seasonalPeriod: options.seasonalPeriod
       };
     
+    case 'arima':
+      // Orders are chosen by information criterion
+      return {};
+    
+    case 'sarima':
+      return {
+        seasonalPeriod: options.seasonalPeriod
+      };
+    
+    case 'elasticNet':
+      return {
+        alpha: options.regularization || 0.1,
+        l1Ratio: options.l1Ratio || 0
+      };
+    
+    case 'gradientBoosting':
+      return {
+        nEstimators: options.nEstimators || 100,
+        learningRate: options.learningRate || 0.1,
+        maxDepth: options.maxDepth || 3
+      };
+    
     default:
       return {};
   }
@@ -5,6 +5,8 @@
 const _ = require('lodash');
 const logger = require('../../../../utils/logger');
 const timeSeriesForecaster = require('../../timeSeriesForecaster');
+const timeUtils = require('../../utils/timeUtils');
+const regression = require('../regression');
 
 /**
  * Train a specific forecasting model
@@ -21,6 +23,27 @@ async function trainModel(method, timeValues, values, frequency, features, param
   try {
     logger.info(`Training ${method} model with parameters:`, parameters);
     
+    const horizon = options.horizon || timeUtils.getDefaultHorizon(frequency);
+    
+    // Feature-based regressors train on the feature matrix itself
+    if (regression.isFeatureMethod(method)) {
+      const fitted = regression.fitRegressor(method, timeValues, values, frequency, features, parameters, options);
+      
+      return {
+        method,
+        parameters: fitted.parameters,
+        metrics: {
+          accuracy: regression.calculateAccuracy(
+            method, timeValues, values, frequency, features, parameters, options
+          )
+        },
+        features: getFeatureImportance(features, method, fitted),
+        regressor: fitted,
+        timestamp: new Date().toISOString(),
+        status: 'trained'
+      };
+    }
+    
     // Apply feature preprocessing if needed
     const processedValues = applyFeaturePreprocessing(values, features, method, options);
     
@@ -32,7 +55,7 @@ async function trainModel(method, timeValues, values, frequency, features, param
       {
         method,
         ...parameters,
-        horizon: options.horizon || timeSeriesForecaster.utils.time.getDefaultHorizon(frequency)
+        horizon
       }
     );
     
@@ -47,7 +70,7 @@ async function trainModel(method, timeValues, values, frequency, features, param
         accuracy: modelInfo.accuracy,
         // Add more metrics if available in the forecast results
       },
-      features: getFeatureImportance(features, method, options),
+      features: getFeatureImportance(features, method),
       timestamp: new Date().toISOString(),
       status: 'trained'
     };
@@ -68,8 +91,8 @@ async function trainModel(method, timeValues, values, frequency, features, param
  * @returns {Array} - Processed values
  */
 function applyFeaturePreprocessing(values, features, method, options = {}) {
-  // For simple models, we don't need feature preprocessing yet
-  // This is a placeholder for future ML integration
+  // Univariate forecasters work on the raw values; feature-based
+  // regressors build their own matrix (see ../regression)
   return values;
 }
 
@@ -77,19 +100,23 @@ function applyFeaturePreprocessing(values, features, method, options = {}) {
  * Calculate feature importance for the trained model
  * @param {Array} features - Generated features
  * @param {string} method - Forecasting method
- * @param {Object} options - Training options
- * @returns {Array} - Feature importance
+ * @param {Object} fitted - Fitted feature-based regressor, if any
+ * @returns {Array} - Feature importance, most important first
  */
-function getFeatureImportance(features, method, options = {}) {
-  // For simple models, feature importance is not applicable yet
-  // This is a placeholder for future ML integration
+function getFeatureImportance(features, method, fitted = null) {
+  // Univariate methods ignore the features, so every importance is zero
+  const importance = fitted ? fitted.importance : {};
   
-  // Return skeleton for feature importance
-  return features.map(feature => ({
-    name: feature.name,
-    importance: 0, // Placeholder value
-    description: feature.description
-  }));
+  return _.orderBy(
+    _.uniqBy(features, 'name').map(feature => ({
+      name: feature.name,
+      importance: importance[feature.name] || 0,
+      used: fitted ? fitted.columns.some(column => column.name === feature.name) : false,
+      description: feature.description
+    })),
+    'importance',
+    'desc'
+  );
 }
 
 /**
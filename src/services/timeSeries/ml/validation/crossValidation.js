@@ -20,7 +20,7 @@ function performTimeSeriesCV(timeValues, values, frequency, options = {}) {
   const minTrainSize = options.minTrainSize || Math.max(10, Math.floor(values.length * 0.3));
   const horizon = options.horizon || 1;
   const numFolds = options.numFolds || 5;
-  const methods = options.methods || ['naive', 'movingAverage', 'linearRegression', 'exponentialSmoothing', 'doubleExponentialSmoothing', 'seasonalNaive', 'holtWinters'];
+  const methods = options.methods || ['naive', 'movingAverage', 'linearRegression', 'exponentialSmoothing', 'doubleExponentialSmoothing', 'seasonalNaive', 'holtWinters', 'arima', 'sarima'];
   
   // Ensure we have enough data
   if (values.length < minTrainSize + horizon * numFolds) {
@@ -25,15 +25,17 @@ function splitTimeSeriesData(timeValues, values, features, splitRatio = [0.7, 0.
  * @param {Array} timeValues - Validation time values
  * @param {Array} values - Validation values
  * @param {string} frequency - Data frequency
+ * @param {Object} history - Data the models were trained on ({ timeValues, values })
+ * @param {Array} features - Generated features aligned with the history
  * @returns {Array} - Evaluation results for each model
  */
-function evaluateModels(models, timeValues, values, frequency) {
+async function evaluateModels(models, timeValues, values, frequency, history = null, features = []) {
   const results = [];
   
   for (const method of Object.keys(models)) {
     const model = models[method];
     
-    const evaluation = evaluateModel(model, timeValues, values, frequency);
+    const evaluation = await evaluateModel(model, timeValues, values, frequency, history, features);
     results.push(evaluation);
   }
   
@@ -46,10 +48,12 @@ function evaluateModels(models, timeValues, values, frequency) {
  * @param {Array} timeValues - Validation time values
  * @param {Array} values - Validation values
  * @param {string} frequency - Data frequency
+ * @param {Object} history - Data preceding the validation values ({ timeValues, values })
+ * @param {Array} features - Generated features aligned with the history
  * @returns {Object} - Evaluation result
  */
-function evaluateModel(model, timeValues, values, frequency) {
-  return metrics.calculateMetrics(model, timeValues, values, frequency);
+function evaluateModel(model, timeValues, values, frequency, history = null, features = []) {
+  return metrics.calculateMetrics(model, timeValues, values, frequency, history, features);
 }
 
 /**
@@ -68,10 +72,11 @@ function selectBestModel(validationResults) {
  * @param {Array} timeValues - Test time values
  * @param {Array} values - Test values
  * @param {string} frequency - Data frequency
+ * @param {Object} history - Data preceding the test values ({ timeValues, values })
  * @returns {Object} - Comparison result
  */
-function compareModels(existingModel, newModel, timeValues, values, frequency) {
-  return modelSelection.compareModels(existingModel, newModel, timeValues, values, frequency);
+function compareModels(existingModel, newModel, timeValues, values, frequency, history = null) {
+  return modelSelection.compareModels(existingModel, newModel, timeValues, values, frequency, history);
 }
 
 /**
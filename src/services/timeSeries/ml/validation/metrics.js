@@ -4,6 +4,7 @@
  */
 const _ = require('lodash');
 const timeSeriesForecaster = require('../../timeSeriesForecaster');
+const regression = require('../regression');
 
 /**
  * Calculate metrics for a given forecast model
@@ -11,10 +12,21 @@ const timeSeriesForecaster = require('../../timeSeriesForecaster');
  * @param {Array} timeValues - Time values for evaluation
  * @param {Array} values - Actual values
  * @param {string} frequency - Data frequency
+ * @param {Object} history - Data preceding the evaluation period ({ timeValues, values })
+ * @param {Array} features - Generated features aligned with the history
  * @returns {Object} - Metrics for the model
  */
-function calculateMetrics(model, timeValues, values, frequency) {
+async function calculateMetrics(model, timeValues, values, frequency, history = null, features = []) {
   try {
+    // Models that failed to train have nothing to evaluate
+    if (model.status === 'failed') {
+      return {
+        method: model.method,
+        metrics: null,
+        error: model.error
+      };
+    }
+    
     // Create a short-term forecast matching the actual values length
     const horizon = values.length;
     
@@ -30,7 +42,7 @@ function calculateMetrics(model, timeValues, values, frequency) {
     }
     
     // Generate forecasts using this model
-    const forecasts = generateForecastsFromModel(model, timeValues, values, frequency, horizon);
+    const forecasts = await generateForecastsFromModel(model, timeValues, values, frequency, horizon, history, features);
     
     // Calculate metrics
     const metrics = {
@@ -47,7 +59,8 @@ function calculateMetrics(model, timeValues, values, frequency) {
       method: model.method,
       parameters: model.parameters,
       metrics,
-      forecastValues: forecasts
+      forecastValues: forecasts,
+      ...(model.regressor && { regressor: model.regressor })
     };
   } catch (error) {
     return {
@@ -65,19 +78,33 @@ function calculateMetrics(model, timeValues, values, frequency) {
  * @param {Array} values - Actual values
  * @param {string} frequency - Data frequency
  * @param {number} horizon - Forecast horizon
+ * @param {Object} history - Data to forecast from ({ timeValues, values }); defaults
+ *   to the values before the last `horizon` points
+ * @param {Array} features - Generated features aligned with the history
  * @returns {Array} - Forecasted values
  */
-function generateForecastsFromModel(model, timeValues, values, frequency, horizon) {
+async function generateForecastsFromModel(model, timeValues, values, frequency, horizon, history = null, features = []) {
   // Use a portion of the data as history for forecasting
   const forecastStartIdx = Math.max(0, timeValues.length - horizon);
-  const historyTimeValues = timeValues.slice(0, forecastStartIdx);
-  const historyValues = values.slice(0, forecastStartIdx);
+  const historyTimeValues = history ? history.timeValues : timeValues.slice(0, forecastStartIdx);
+  const historyValues = history ? history.values : values.slice(0, forecastStartIdx);
   
   // Generate forecasts using the appropriate method
   let forecastResults;
   
   try {
-    forecastResults = timeSeriesForecaster.generateForecasts(
+    // Feature-based regressors forecast recursively from their fitted state
+    if (model.regressor) {
+      return regression.forecastRegressor(
+        model.regressor,
+        historyTimeValues,
+        historyValues,
+        horizon,
+        { features }
+      ).values;
+    }
+    
+    forecastResults = await timeSeriesForecaster.generateForecasts(
       historyTimeValues,
       historyValues,
       frequency,
@@ -60,24 +60,27 @@ function selectBestModel(validationResults) {
  * @param {Array} timeValues - Test time values
  * @param {Array} values - Test values
  * @param {string} frequency - Data frequency
+ * @param {Object} history - Data preceding the test values ({ timeValues, values })
  * @returns {Object} - Comparison result
  */
-function compareModels(existingModel, newModel, timeValues, values, frequency) {
+async function compareModels(existingModel, newModel, timeValues, values, frequency, history = null) {
   // Generate forecasts from both models
-  const existingForecasts = metrics.generateForecastsFromModel(
+  const existingForecasts = await metrics.generateForecastsFromModel(
     existingModel, 
     timeValues, 
     values, 
     frequency, 
-    values.length
+    values.length,
+    history
   );
   
-  const newForecasts = metrics.generateForecastsFromModel(
+  const newForecasts = await metrics.generateForecastsFromModel(
     newModel, 
     timeValues, 
     values, 
     frequency, 
-    values.length
+    values.length,
+    history
   );
   
   // Calculate metrics for both models
@@ -151,7 +154,7 @@ function compareModels(existingModel, newModel, timeValues, values, frequency) {
  * @param {Object} options - Options for retraining check
  * @returns {boolean} - Whether retraining is needed
  */
-function checkRetrainingNeed(model, historicalData, newTimeValues, newValues, options = {}) {
+async function checkRetrainingNeed(model, historicalData, newTimeValues, newValues, options = {}) {
   // Default thresholds
   const driftThreshold = options.driftThreshold || 0.2; // 20% change in distribution
   const minNewDataPoints = options.minNewDataPoints || 5;
@@ -176,12 +179,13 @@ function checkRetrainingNeed(model, historicalData, newTimeValues, newValues, op
   
   // Check forecast error on new data
   const forecastHorizon = newValues.length;
-  const forecasts = metrics.generateForecastsFromModel(
+  const forecasts = await metrics.generateForecastsFromModel(
     model,
-    historicalData.timeValues,
-    historicalData.values,
+    newTimeValues,
+    newValues,
     historicalData.frequency,
-    forecastHorizon
+    forecastHorizon,
+    historicalData
   );
   
   const mape = metrics.calculateMAPE(newValues, forecasts);
@@ -483,3 +483,5 @@ exports.testStationarity = (values) => {
             'Non-stationary due to changing variance'
   };
 };
+
+exports.detectTimeFrequency = detectTimeFrequency;
@@ -0,0 +1,364 @@
+/**
+ * Time Series Decomposer
+ * Splits a time series into trend, seasonal and residual components
+ *
+ * Methods:
+ *   classical - centered moving average trend, seasonal indices averaged per
+ *               position in the cycle (additive or multiplicative)
+ *   stl       - Seasonal-Trend decomposition using Loess: iterates loess
+ *               smoothing of the cycle-subseries and of the deseasonalized
+ *               series, with robustness weights against outliers
+ */
+const _ = require('lodash');
+const moment = require('moment');
+const seasonalityDetector = require('./utils/seasonalityDetector');
+
+const METHODS = ['auto', 'classical', 'stl'];
+const MODELS = ['auto', 'additive', 'multiplicative'];
+
+// Labels for positions in the cycle, by frequency and period
+const POSITION_FORMATS = {
+  daily: { 7: 'ddd' },
+  monthly: { 12: 'MMM' },
+  quarterly: { 4: '[Q]Q' }
+};
+
+/**
+ * Decompose a time series
+ * @param {Array} timeValues - Array of time values
+ * @param {Array} values - Array of numeric values
+ * @param {string} frequency - Detected data frequency
+ * @param {Object} options - Options
+ * @param {string} options.method - auto, classical or stl (auto uses STL with three or more full cycles)
+ * @param {string} options.model - auto, additive or multiplicative (auto picks the better fit)
+ * @param {number} options.period - Seasonal period (detected from the frequency by default)
+ * @param {boolean} options.robust - Downweight outliers in STL (default true)
+ * @returns {Object} - { method, model, period, observed, trend, seasonal, residual, seasonalIndices, strength }
+ */
+exports.decomposeTimeSeries = (timeValues, values, frequency, options = {}) => {
+  const method = options.method || 'auto';
+  const requestedModel = options.model || 'auto';
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown decomposition method "${method}". Use ${METHODS.join(', ')}`);
+  }
+  if (!MODELS.includes(requestedModel)) {
+    throw new Error(`Unknown decomposition model "${requestedModel}". Use ${MODELS.join(', ')}`);
+  }
+
+  const n = values.length;
+  const period = options.period || seasonalityDetector.detectSeasonalPeriod(values, frequency);
+  const positive = values.every(value => value > 0);
+  if (requestedModel === 'multiplicative' && !positive) {
+    throw new Error('Multiplicative decomposition needs values that are all above zero');
+  }
+
+  const base = { frequency, period, timeValues, observed: values };
+
+  // Seasonality needs two full cycles; otherwise only the trend is estimated
+  if (!period || period < 2 || n < period * 2) {
+    const trend = loess(values, nextOdd(Math.max(3, Math.round(n / 3))));
+    return {
+      ...base,
+      method: 'trend_only',
+      model: 'additive',
+      trend,
+      seasonal: values.map(() => 0),
+      residual: values.map((value, i) => value - trend[i]),
+      seasonalIndices: [],
+      strength: measureStrength(values.map((value, i) => value - trend[i]), trend, null),
+      reason: `Seasonal decomposition needs at least two full cycles (${period * 2 || 'unknown'} points); only the trend was estimated`
+    };
+  }
+
+  const resolvedMethod = method === 'auto' ? (n >= period * 3 ? 'stl' : 'classical') : method;
+  const decompose = resolvedMethod === 'stl'
+    ? model => decomposeStl(values, period, model, options.robust !== false)
+    : model => decomposeClassical(values, period, model);
+
+  const model = requestedModel === 'auto'
+    ? (positive && swingsScaleWithLevel(values, decompose('additive'), period) ? 'multiplicative' : 'additive')
+    : requestedModel;
+  const result = decompose(model);
+
+  return {
+    ...base,
+    method: resolvedMethod,
+    model,
+    trend: result.trend,
+    seasonal: result.seasonal,
+    residual: result.residual,
+    seasonalIndices: describeSeasonalIndices(timeValues, result.seasonal, period, frequency, model),
+    strength: model === 'multiplicative'
+      ? measureStrength(logOf(result.residual), logOf(result.trend), logOf(result.seasonal))
+      : measureStrength(result.residual, result.trend, result.seasonal)
+  };
+};
+
+/**
+ * Classical decomposition
+ * The trend is a centered moving average over one cycle and is undefined
+ * (null) for the first and last half cycle.
+ * @returns {Object} - { trend, seasonal, residual }
+ */
+const decomposeClassical = (values, period, model) => {
+  const trend = centeredMovingAverage(values, period);
+  const multiplicative = model === 'multiplicative';
+
+  // Average the detrended values at each position in the cycle
+  const sums = Array(period).fill(0);
+  const counts = Array(period).fill(0);
+  values.forEach((value, i) => {
+    if (trend[i] === null) return;
+    sums[i % period] += multiplicative ? value / trend[i] : value - trend[i];
+    counts[i % period]++;
+  });
+  const raw = sums.map((sum, position) => (counts[position] > 0 ? sum / counts[position] : (multiplicative ? 1 : 0)));
+
+  // Indices add up to zero (additive) or average one (multiplicative) over a cycle
+  const mean = _.mean(raw);
+  const indices = raw.map(index => (multiplicative ? index / mean : index - mean));
+  const seasonal = values.map((value, i) => indices[i % period]);
+
+  return {
+    trend,
+    seasonal,
+    residual: values.map((value, i) => {
+      if (trend[i] === null) return null;
+      return multiplicative ? value / (trend[i] * seasonal[i]) : value - trend[i] - seasonal[i];
+    })
+  };
+};
+
+/**
+ * STL decomposition
+ * Multiplicative series are decomposed on the log scale and transformed back.
+ * @returns {Object} - { trend, seasonal, residual }
+ */
+const decomposeStl = (values, period, model, robust) => {
+  const multiplicative = model === 'multiplicative';
+  const series = multiplicative ? values.map(Math.log) : values;
+  const n = series.length;
+
+  const seasonalSpan = 7;
+  const trendSpan = nextOdd(Math.ceil((1.5 * period) / (1 - 1.5 / seasonalSpan)));
+  const lowPassSpan = nextOdd(period);
+  const innerLoops = 2;
+  const outerLoops = robust ? 6 : 1;
+
+  let weights = Array(n).fill(1);
+  let trend = Array(n).fill(0);
+  let seasonal = Array(n).fill(0);
+
+  for (let outer = 0; outer < outerLoops; outer++) {
+    for (let inner = 0; inner < innerLoops; inner++) {
+      // Smooth each cycle-subseries of the detrended series, extended by one
+      // cycle at each end so the low-pass filter covers the whole series
+      const detrended = series.map((value, i) => value - trend[i]);
+      const cycle = Array(n + 2 * period).fill(0);
+      for (let position = 0; position < period; position++) {
+        const indexes = _.range(position, n, period);
+        const subseries = indexes.map(i => detrended[i]);
+        const subWeights = indexes.map(i => weights[i]);
+        const smoothed = [-1, ...subseries.keys(), subseries.length].map(x => fitAt(subseries, seasonalSpan, subWeights, x));
+        smoothed.forEach((value, k) => { cycle[position + k * period] = value; });
+      }
+
+      // Remove what the cycle-subseries carry of the trend
+      const lowPass = loess(movingAverage(movingAverage(movingAverage(cycle, period), period), 3), lowPassSpan);
+      seasonal = _.range(n).map(i => cycle[i + period] - lowPass[i]);
+
+      trend = loess(series.map((value, i) => value - seasonal[i]), trendSpan, weights);
+    }
+
+    if (robust) {
+      weights = robustnessWeights(series.map((value, i) => value - trend[i] - seasonal[i]));
+    }
+  }
+
+  const residual = series.map((value, i) => value - trend[i] - seasonal[i]);
+  if (!multiplicative) {
+    return { trend, seasonal, residual };
+  }
+  return {
+    trend: trend.map(Math.exp),
+    seasonal: seasonal.map(Math.exp),
+    residual: residual.map(Math.exp)
+  };
+};
+
+/**
+ * Centered moving average over one cycle (2 x m for an even period)
+ * @returns {Array} - Averages, null where the window does not fit
+ */
+const centeredMovingAverage = (values, period) => {
+  const half = Math.floor(period / 2);
+  return values.map((value, i) => {
+    if (i - half < 0 || i + half >= values.length) return null;
+    if (period % 2 === 1) {
+      return _.mean(values.slice(i - half, i + half + 1));
+    }
+    const window = values.slice(i - half, i + half + 1);
+    return (_.sum(window) - (window[0] + window[window.length - 1]) / 2) / period;
+  });
+};
+
+/**
+ * Local linear loess fit at one position
+ * @param {Array} values - Values at positions 0..n-1
+ * @param {number} span - Neighbours used for the fit
+ * @param {Array} weights - Robustness weights (default 1)
+ * @param {number} x - Position to fit, which may lie just outside the values
+ * @returns {number} - Fitted value
+ */
+const fitAt = (values, span, weights, x) => {
+  const n = values.length;
+  const q = Math.min(span, n);
+
+  // The q nearest positions
+  const left = Math.max(0, Math.min(Math.round(x) - Math.floor(q / 2), n - q));
+  const right = left + q - 1;
+  const maxDistance = Math.max(x - left, right - x) * (span > n ? span / n : 1) + 1e-9;
+
+  let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (let j = left; j <= right; j++) {
+    const u = Math.abs(j - x) / maxDistance;
+    const w = Math.pow(1 - Math.pow(u, 3), 3) * (weights ? weights[j] : 1);
+    if (w <= 0) continue;
+    sw += w;
+    sx += w * j;
+    sy += w * values[j];
+    sxx += w * j * j;
+    sxy += w * j * values[j];
+  }
+  if (sw === 0) return values[Math.min(n - 1, Math.max(0, Math.round(x)))];
+
+  const meanX = sx / sw;
+  const meanY = sy / sw;
+  const varianceX = sxx / sw - meanX * meanX;
+  if (varianceX < 1e-12) return meanY;
+  const slope = (sxy / sw - meanX * meanY) / varianceX;
+  return meanY + slope * (x - meanX);
+};
+
+/**
+ * Loess smoothing of equally spaced values
+ * @param {Array} values - Values at positions 0..n-1
+ * @param {number} span - Neighbours used for each fit
+ * @param {Array} weights - Robustness weights (default 1)
+ * @returns {Array} - Smoothed values
+ */
+const loess = (values, span, weights = null) => {
+  if (values.length <= 1) return [...values];
+  return values.map((value, i) => fitAt(values, span, weights, i));
+};
+
+/**
+ * Trailing moving average; the result is window - 1 values shorter
+ */
+const movingAverage = (values, window) => _.range(values.length - window + 1)
+  .map(i => _.mean(values.slice(i, i + window)));
+
+/**
+ * Bisquare weights from residuals, scaled by six median absolute residuals
+ */
+const robustnessWeights = (residuals) => {
+  const absolute = residuals.map(Math.abs);
+  const scale = 6 * median(absolute);
+  if (scale === 0) return residuals.map(() => 1);
+  return absolute.map(value => {
+    const u = value / scale;
+    return u < 1 ? Math.pow(1 - u * u, 2) : 0;
+  });
+};
+
+/**
+ * Trend and seasonal strength (0 to 1): the share of variation left after
+ * removing the residual, as in Hyndman & Athanasopoulos
+ * @returns {Object} - { trend, seasonal }
+ */
+const measureStrength = (residual, trend, seasonal) => {
+  const pairs = residual.map((r, i) => ({ r, t: trend[i], s: seasonal ? seasonal[i] : 0 }))
+    .filter(({ r, t }) => r !== null && t !== null && Number.isFinite(r) && Number.isFinite(t));
+  if (pairs.length < 3) return { trend: 0, seasonal: 0 };
+
+  const residualVariance = variance(pairs.map(({ r }) => r));
+  const strength = (combined) => {
+    const total = variance(combined);
+    return total === 0 ? 0 : round(Math.max(0, 1 - residualVariance / total));
+  };
+
+  return {
+    trend: strength(pairs.map(({ r, t }) => t + r)),
+    seasonal: seasonal ? strength(pairs.map(({ r, s }) => s + r)) : 0
+  };
+};
+
+/**
+ * Describe the seasonal index at each position in the cycle
+ * @returns {Array} - [{ position, label, value, effect }] where effect is the percent
+ *   (multiplicative) or amount (additive) above or below the trend
+ */
+const describeSeasonalIndices = (timeValues, seasonal, period, frequency, model) => {
+  const format = (POSITION_FORMATS[frequency] || {})[period];
+
+  // Positions repeat every cycle; the last full cycle gives the current shape
+  return _.range(seasonal.length - period, seasonal.length).map(index => {
+    const time = moment(timeValues[index]);
+    const value = seasonal[index];
+    return {
+      position: index % period,
+      label: format && time.isValid() ? time.format(format) : `Period ${(index % period) + 1}`,
+      value: round(value),
+      effect: round(model === 'multiplicative' ? (value - 1) * 100 : value)
+    };
+  }).sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Tell whether the seasonal swings grow and shrink with the level of the series
+ * Compares, cycle by cycle, how much the swing (median absolute deviation from
+ * the trend, so single outliers don't count) varies in absolute terms and
+ * relative to the trend; a steadier relative swing points to a multiplicative model.
+ * @param {Array} values - Series
+ * @param {Object} additive - Additive decomposition of the series
+ * @param {number} period - Seasonal period
+ * @returns {boolean} - True for a multiplicative series
+ */
+const swingsScaleWithLevel = (values, additive, period) => {
+  const cycles = _.chunk(_.range(values.length), period)
+    .filter(indexes => indexes.length === period && indexes.every(i => additive.trend[i] !== null))
+    .map(indexes => {
+      const detrended = indexes.map(i => values[i] - additive.trend[i]);
+      const centre = median(detrended);
+      return {
+        swing: median(detrended.map(value => Math.abs(value - centre))),
+          level: _.mean(indexes.map(i => additive.trend[i]))
+      };
+    });
+  if (cycles.length < 2) return false;
+
+  const variation = (numbers) => {
+    const mean = _.mean(numbers);
+    return mean === 0 ? Infinity : Math.sqrt(variance(numbers)) / Math.abs(mean);
+  };
+  return variation(cycles.map(({ swing, level }) => swing / level)) < variation(cycles.map(({ swing }) => swing));
+};
+
+const nextOdd = (value) => (Math.round(value) % 2 === 1 ? Math.round(value) : Math.round(value) + 1);
+
+const logOf = (values) => values.map(value => (value === null ? null : Math.log(value)));
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function variance(values) {
+  if (values.length <= 1) return 0;
+  const mean = _.mean(values);
+  return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+}
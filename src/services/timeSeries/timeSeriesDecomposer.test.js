@@ -0,0 +1,66 @@
+const moment = require('moment');
+const { decomposeTimeSeries } = require('./timeSeriesDecomposer');
+
+const months = (count) => Array.from({ length: count }, (_, i) => moment.utc('2021-01-01').add(i, 'months').format('YYYY-MM-DD'));
+const wave = (i) => Math.sin((2 * Math.PI * i) / 12);
+
+// Linear growth with a fixed yearly swing peaking in April
+const additive = Array.from({ length: 48 }, (_, i) => 100 + 2 * i + 10 * wave(i));
+// The swing is 20% of a level that grows fivefold
+const multiplicative = Array.from({ length: 48 }, (_, i) => (100 + 10 * i) * (1 + 0.2 * wave(i)));
+
+const effects = (result) => Object.fromEntries(result.seasonalIndices.map(index => [index.label, index.effect]));
+
+describe('decomposeTimeSeries', () => {
+  it('recovers an additive seasonal pattern with the classical method', () => {
+    const result = decomposeTimeSeries(months(48), additive, 'monthly', { method: 'classical', model: 'additive' });
+
+    expect(result).toMatchObject({ method: 'classical', model: 'additive', period: 12, strength: { trend: 1, seasonal: 1 } });
+    expect(effects(result)).toMatchObject({ Apr: 10, Oct: -10 });
+    expect(effects(result).Jan).toBeCloseTo(0, 6);
+    // The centered moving average is undefined for the first and last half cycle
+    expect(result.trend.slice(0, 7).map(value => value !== null)).toEqual([false, false, false, false, false, false, true]);
+    expect(result.trend[6]).toBeCloseTo(112, 6);
+    expect(result.residual[6]).toBeCloseTo(0, 6);
+  });
+
+  it('uses STL for three or more cycles and picks the model that fits', () => {
+    const steady = decomposeTimeSeries(months(48), additive, 'monthly');
+    const growing = decomposeTimeSeries(months(48), multiplicative, 'monthly');
+
+    expect(steady).toMatchObject({ method: 'stl', model: 'additive' });
+    expect(effects(steady).Apr).toBeCloseTo(10, 2);
+    steady.observed.forEach((value, i) => {
+      expect(steady.trend[i] + steady.seasonal[i] + steady.residual[i]).toBeCloseTo(value, 6);
+    });
+    expect(growing).toMatchObject({ method: 'stl', model: 'multiplicative' });
+  });
+
+  it('reports multiplicative indices in percent of the trend', () => {
+    const result = decomposeTimeSeries(months(48), multiplicative, 'monthly', { method: 'classical', model: 'multiplicative' });
+
+    expect(effects(result).Apr).toBeCloseTo(20, 0);
+    expect(effects(result).Oct).toBeCloseTo(-20, 0);
+    expect(result.strength.seasonal).toBeGreaterThan(0.99);
+  });
+
+  it('estimates only the trend without two full cycles', () => {
+    const result = decomposeTimeSeries(months(18), additive.slice(0, 18), 'monthly');
+
+    expect(result).toMatchObject({ method: 'trend_only', seasonalIndices: [] });
+    expect(result.seasonal.every(value => value === 0)).toBe(true);
+    expect(result.reason).toBe('Seasonal decomposition needs at least two full cycles (24 points); only the trend was estimated');
+  });
+
+  it('labels quarters and rejects unknown options', () => {
+    const quarters = Array.from({ length: 12 }, (_, i) => moment.utc('2021-01-01').add(i * 3, 'months').format('YYYY-MM-DD'));
+    const values = quarters.map((time, i) => 50 + i + [5, -5, 10, -10][i % 4]);
+
+    expect(effects(decomposeTimeSeries(quarters, values, 'quarterly', { method: 'classical' }))).toEqual({
+      Q1: expect.any(Number), Q2: expect.any(Number), Q3: expect.any(Number), Q4: expect.any(Number)
+    });
+    expect(() => decomposeTimeSeries(quarters, values, 'quarterly', { method: 'x11' })).toThrow('Unknown decomposition method "x11"');
+    expect(() => decomposeTimeSeries(quarters, values.map(value => value - 60), 'quarterly', { model: 'multiplicative' }))
+      .toThrow('Multiplicative decomposition needs values that are all above zero');
+  });
+});
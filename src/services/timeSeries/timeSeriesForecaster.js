@@ -19,6 +19,7 @@ const exponentialSmoothingForecaster = require('./algorithms/exponentialSmoothin
 const doubleExponentialSmoothingForecaster = require('./algorithms/doubleExponentialSmoothingForecaster');
 const seasonalNaiveForecaster = require('./algorithms/seasonalNaiveForecaster');
 const holtWintersForecaster = require('./algorithms/holtWintersForecaster');
+const arimaForecaster = require('./algorithms/arimaForecaster');
 
 /**
  * Generate forecasts using multiple methods
@@ -168,6 +169,59 @@ exports.generateForecasts = async (timeValues, values, frequency, options = {})
       };
     }
     
+    // Method 8: ARIMA, with orders chosen by information criterion unless given
+    const arimaOrders = _.pick(options, ['p', 'd', 'q', 'criterion']);
+    if ((!specificMethod || specificMethod === 'arima') && values.length >= 10) {
+      const model = arimaForecaster.selectModel(values, arimaOrders);
+      
+      if (model) {
+        const { values: arimaForecasts, standardErrors } = arimaForecaster.forecastArima(model, values, horizon);
+        forecasts.methods.arima = {
+          name: arimaForecaster.name,
+          description: `${arimaForecaster.description} (${arimaForecaster.describeOrder(model)})`,
+          values: arimaForecasts,
+          standardErrors,
+          order: model.order,
+          coefficients: model.coefficients,
+          criterion: model.criterion,
+          aic: model.aic,
+          aicc: model.aicc,
+          bic: model.bic,
+          accuracy: arimaForecaster.calculateAccuracy(values, model)
+        };
+      }
+    }
+    
+    // Method 9: Seasonal ARIMA for series with at least two full cycles
+    if ((!specificMethod || specificMethod === 'sarima') && 
+        seasonalPeriod > 1 && values.length >= seasonalPeriod * 2 + 6) {
+      
+      const model = arimaForecaster.selectModel(values, {
+        ...arimaOrders,
+        ..._.pick(options, ['P', 'D', 'Q']),
+        period: seasonalPeriod
+      });
+      
+      if (model) {
+        const { values: sarimaForecasts, standardErrors } = arimaForecaster.forecastArima(model, values, horizon);
+        forecasts.methods.sarima = {
+          name: arimaForecaster.seasonal.name,
+          description: `${arimaForecaster.seasonal.description} (${arimaForecaster.describeOrder(model)})`,
+          values: sarimaForecasts,
+          standardErrors,
+          order: model.order,
+          seasonalOrder: model.seasonalOrder,
+          period: seasonalPeriod,
+          coefficients: model.coefficients,
+          criterion: model.criterion,
+          aic: model.aic,
+          aicc: model.aicc,
+          bic: model.bic,
+          accuracy: arimaForecaster.calculateAccuracy(values, model)
+        };
+      }
+    }
+    
     // Determine the best forecasting method based on accuracy metrics
     const methodAccuracies = Object.keys(forecasts.methods)
       .map(method => ({ method, accuracy: forecasts.methods[method].accuracy }))
@@ -220,9 +274,12 @@ exports.generateConfidenceIntervals = (values, forecasts, confidenceLevel = 0.95
     const upperBounds = [];
     
     for (let i = 0; i < forecastValues.length; i++) {
-      // Wider intervals for forecasts further into the future
-      const widthMultiplier = 1 + (i * 0.1); // Increases width by 10% for each step ahead
-      const margin = criticalValue * rmse * widthMultiplier;
+      // Models with a forecast variance (ARIMA) give their own standard errors;
+      // otherwise widen the interval by 10% for each step ahead
+      const widthMultiplier = 1 + (i * 0.1);
+      const margin = forecast.standardErrors
+        ? criticalValue * forecast.standardErrors[i]
+        : criticalValue * rmse * widthMultiplier;
       
       lowerBounds.push(forecastValues[i] - margin);
       upperBounds.push(forecastValues[i] + margin);
@@ -0,0 +1,440 @@
+/**
+ * Time Series Insight Generator
+ * Turns the trend, seasonality, anomalies, change points and forecasts of a
+ * series into narrative findings ranked by how much they matter. Findings are
+ * built from the numbers alone, so the same series always reads the same way.
+ *
+ * Each finding: { id, type, title, text, impact, confidence, score, rank, details }
+ *   impact     - positive, negative or neutral for the measure (a rising cost is negative)
+ *   confidence - 0-100, how well the statistics support the finding
+ *   score      - 0-1, used for ranking: confidence weighted by the size of the effect
+ */
+const _ = require('lodash');
+const moment = require('moment');
+
+// Measures where a higher value is bad news
+const LOWER_IS_BETTER = /cost|expense|spend|debt|loss|churn|refund|return|defect|days|dso|dio|overdue|liabilit|tax|fee/i;
+
+const PERIOD_NAMES = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter',
+  yearly: 'year'
+};
+
+// Shifts in level beyond this many are left to the chart
+const MAX_CHANGE_POINTS = 3;
+
+// Order of finding types when scores tie
+const TYPE_ORDER = ['trend', 'change_point', 'forecast', 'seasonality', 'anomaly', 'volatility', 'correlation'];
+
+/**
+ * Generate ranked insights for one series
+ * @param {Object} params - Parameters
+ * @param {Array} params.data - Rows
+ * @param {string} params.timeColumn - Time column
+ * @param {string} params.valueColumn - Value column
+ * @param {Object} params.trend - Trend analysis
+ * @param {Object} params.seasonality - Seasonality analysis
+ * @param {Array} params.anomalies - Detected anomalies
+ * @param {Array} params.changePoints - Detected change points
+ * @param {Object} params.forecasts - Forecast results
+ * @param {Object} params.decomposition - Trend, seasonal and residual components
+ * @param {boolean} params.higherIsBetter - Whether a rising value is good news (guessed from the column name)
+ * @param {number} params.limit - Maximum findings returned
+ * @returns {Array} - Findings, most important first
+ */
+exports.generateInsights = (params) => {
+  const { valueColumn, trend, seasonality, anomalies = [], changePoints = [], forecasts, decomposition } = params;
+  const series = readSeries(params);
+  if (series.values.length < 3) return [];
+
+  const context = {
+    label: humanize(valueColumn),
+    unit: PERIOD_NAMES[(decomposition && decomposition.frequency) || detectFrequency(series.times)] || 'period',
+    direction: params.higherIsBetter !== undefined
+      ? (params.higherIsBetter ? 1 : -1)
+      : (LOWER_IS_BETTER.test(valueColumn || '') ? -1 : 1),
+    series
+  };
+
+  const findings = [
+    describeTrend(trend, decomposition, context),
+    describeSeasonality(seasonality, decomposition, context),
+    ...describeChangePoints(changePoints, context),
+    describeAnomalies(anomalies, context),
+    describeForecast(forecasts, context),
+    describeVolatility(decomposition, context)
+  ].filter(Boolean);
+
+  return rank(findings, params.limit);
+};
+
+/**
+ * Generate insights comparing several series
+ * @param {Array} datasets - [{ name, data, timeColumn, valueColumn }]
+ * @param {Object} comparison - { trendComparison, seasonalityComparison, correlationMatrix }
+ * @returns {Array} - Findings, most important first
+ */
+exports.generateComparisonInsights = (datasets, comparison) => {
+  const names = datasets.map((dataset, index) => dataset.name || `Series ${index + 1}`);
+  const findings = [];
+  const { trendComparison, seasonalityComparison, correlationMatrix } = comparison;
+
+  if (trendComparison) {
+    const directions = trendComparison.directions;
+    const growth = datasets.map((dataset, index) => {
+      const { values } = readSeries(dataset);
+      const mean = _.mean(values.map(Math.abs));
+      return mean ? (trendComparison.slopes[index] / mean) * 100 : 0;
+    });
+    const fastest = _.maxBy(names.map((name, index) => ({ name, growth: growth[index], strength: trendComparison.strengths[index] })), 'growth');
+    const slowest = _.minBy(names.map((name, index) => ({ name, growth: growth[index] })), 'growth');
+    const meanStrength = _.mean(trendComparison.strengths.filter(Number.isFinite)) || 0;
+
+    findings.push({
+      type: 'trend',
+      title: trendComparison.similarDirections ? `All series are ${directions[0]}` : 'The series move in different directions',
+      text: trendComparison.similarDirections
+        ? `All ${names.length} series are ${directions[0]}. ${fastest.name} changes fastest (${formatPercent(fastest.growth)} of its average per period) and ${slowest.name} slowest (${formatPercent(slowest.growth)}).`
+        : `${names.map((name, index) => `${name} is ${directions[index]}`).join(', ')}.`,
+      impact: 'neutral',
+      confidence: toConfidence(meanStrength),
+      score: meanStrength,
+      details: { directions, growthPerPeriod: growth.map(round) }
+    });
+  }
+
+  if (seasonalityComparison && seasonalityComparison.detected.some(Boolean)) {
+    const seasonal = names.filter((name, index) => seasonalityComparison.detected[index]);
+    const strength = _.mean(seasonalityComparison.strengths.filter(Number.isFinite)) || 0;
+    findings.push({
+      type: 'seasonality',
+      title: seasonalityComparison.allSeasonal ? 'Every series is seasonal' : 'Seasonality differs between the series',
+      text: seasonalityComparison.allSeasonal
+        ? `All series repeat a seasonal pattern${seasonalityComparison.similarPatterns ? ` over the same ${seasonalityComparison.periods[0]}-period cycle` : ', though over different cycles'}.`
+        : `${listNames(seasonal)} ${seasonal.length === 1 ? 'shows' : 'show'} a seasonal pattern; the other series do not.`,
+      impact: 'neutral',
+      confidence: toConfidence(strength),
+      score: strength * 0.8,
+      details: { detected: seasonalityComparison.detected, periods: seasonalityComparison.periods }
+    });
+  }
+
+  if (Array.isArray(correlationMatrix)) {
+    for (let i = 0; i < correlationMatrix.length; i++) {
+      for (let j = i + 1; j < correlationMatrix.length; j++) {
+        const correlation = correlationMatrix[i][j];
+        if (correlation === null || Math.abs(correlation) < 0.7) continue;
+        findings.push({
+          type: 'correlation',
+          title: `${names[i]} and ${names[j]} move ${correlation > 0 ? 'together' : 'in opposite directions'}`,
+          text: `${names[i]} and ${names[j]} are ${Math.abs(correlation) >= 0.9 ? 'very strongly' : 'strongly'} ${correlation > 0 ? 'positively' : 'negatively'} correlated (r = ${correlation.toFixed(2)}). Shared trends can drive this, so it does not show that one causes the other.`,
+          impact: 'neutral',
+          confidence: toConfidence(Math.abs(correlation)),
+          score: Math.abs(correlation) * 0.9,
+          details: { series: [names[i], names[j]], correlation: round(correlation) }
+        });
+      }
+    }
+  }
+
+  return rank(findings);
+};
+
+/**
+ * Describe the direction and size of the trend
+ */
+const describeTrend = (trend, decomposition, { label, unit, direction, series }) => {
+  if (!trend || !Number.isFinite(trend.slope)) return null;
+
+  // The trend component shows the underlying change without the seasonal swings
+  const trendLine = decomposition && decomposition.trend
+    ? decomposition.trend.filter(value => value !== null && Number.isFinite(value))
+    : null;
+  const start = trendLine && trendLine.length > 1 ? trendLine[0] : trend.intercept;
+  const end = trendLine && trendLine.length > 1 ? _.last(trendLine) : trend.intercept + trend.slope * (series.values.length - 1);
+  const totalChange = start ? ((end - start) / Math.abs(start)) * 100 : null;
+  const perPeriod = _.mean(series.values.map(Math.abs)) ? (trend.slope / _.mean(series.values.map(Math.abs))) * 100 : 0;
+  const fit = Number.isFinite(trend.rSquared) ? Math.max(0, trend.rSquared) : 0;
+
+  if (trend.type === 'stable' || (Math.abs(perPeriod) < 0.1 && (totalChange === null || Math.abs(totalChange) < 2))) {
+    return {
+      type: 'trend',
+      title: `${label} is flat`,
+      text: `${label} shows no meaningful trend over ${series.values.length} ${plural(unit, series.values.length)}.`,
+      impact: 'neutral',
+      confidence: toConfidence(1 - fit),
+      score: 0.2,
+      details: { slope: round(trend.slope), rSquared: round(fit) }
+    };
+  }
+
+  const rising = trend.slope > 0;
+  const strength = fit >= 0.7 ? 'strong' : fit >= 0.4 ? 'moderate' : 'weak';
+  const size = totalChange !== null ? Math.min(1, Math.abs(totalChange) / 25) : 0.5;
+
+  return {
+    type: 'trend',
+    title: `${label} is ${rising ? 'rising' : 'falling'}`,
+    text: `${label} ${rising ? 'rose' : 'fell'}${totalChange !== null ? ` ${formatPercent(Math.abs(totalChange))}` : ''} over the series, about ${formatPercent(Math.abs(perPeriod))} per ${unit}: a ${strength} ${rising ? 'upward' : 'downward'} trend (R² ${fit.toFixed(2)}).`,
+    impact: impactOf(rising ? 1 : -1, direction),
+    confidence: toConfidence(fit),
+    score: fit * (0.5 + 0.5 * size),
+    details: {
+      slope: round(trend.slope),
+      changePerPeriod: round(perPeriod),
+      totalChange: totalChange !== null ? round(totalChange) : null,
+      rSquared: round(fit)
+    }
+  };
+};
+
+/**
+ * Describe the seasonal peaks and troughs
+ */
+const describeSeasonality = (seasonality, decomposition, { label }) => {
+  const indices = decomposition && decomposition.seasonalIndices;
+  const strength = decomposition && decomposition.strength ? decomposition.strength.seasonal : (seasonality && seasonality.strength) || 0;
+  const detected = (seasonality && seasonality.detected) || strength >= 0.4;
+  if (!detected || !indices || indices.length < 2) return null;
+
+  const peak = _.maxBy(indices, 'effect');
+  const trough = _.minBy(indices, 'effect');
+  const multiplicative = decomposition.model === 'multiplicative';
+  const describe = ({ effect }) => (multiplicative ? formatPercent(effect, true) : formatNumber(effect, true));
+
+  return {
+    type: 'seasonality',
+    title: `${label} peaks in ${peak.label}`,
+    text: `${label} follows a ${decomposition.period}-period seasonal cycle: it peaks in ${peak.label} (${describe(peak)} against the trend) and is lowest in ${trough.label} (${describe(trough)}). Seasonality accounts for ${formatPercent(strength * 100)} of the variation once the trend is removed.`,
+    impact: 'neutral',
+    confidence: toConfidence(strength),
+    score: strength * 0.85,
+    details: {
+      period: decomposition.period,
+      model: decomposition.model,
+      strength: round(strength),
+      peak: { label: peak.label, effect: peak.effect },
+      trough: { label: trough.label, effect: trough.effect }
+    }
+  };
+};
+
+/**
+ * Describe each shift in the level of the series
+ */
+const describeChangePoints = (changePoints, { label, direction }) => changePoints
+  .filter(point => Number.isFinite(point.leftMean) && Number.isFinite(point.rightMean))
+  .map(point => {
+    const change = point.leftMean !== 0 ? ((point.rightMean - point.leftMean) / Math.abs(point.leftMean)) * 100 : null;
+    const up = point.rightMean > point.leftMean;
+    const significance = Math.min(1, (point.tStatistic || 0) / 6);
+    const size = change !== null ? Math.min(1, Math.abs(change) / 30) : 0.5;
+
+    return {
+      type: 'change_point',
+      title: `${label} shifted ${up ? 'up' : 'down'} around ${formatTime(point.timestamp)}`,
+      text: `Around ${formatTime(point.timestamp)}, the average level of ${label.toLowerCase()} moved from ${formatNumber(point.leftMean)} to ${formatNumber(point.rightMean)}${change !== null ? ` (${formatPercent(change, true)})` : ''}.`,
+      impact: impactOf(up ? 1 : -1, direction),
+      confidence: toConfidence(significance),
+      score: significance * (0.4 + 0.5 * size),
+      details: {
+        timestamp: point.timestamp,
+        before: round(point.leftMean),
+        after: round(point.rightMean),
+        percentChange: change !== null ? round(change) : null,
+        tStatistic: round(point.tStatistic || 0)
+      }
+    };
+  })
+  .sort((a, b) => b.score - a.score)
+  .slice(0, MAX_CHANGE_POINTS);
+
+/**
+ * Describe the anomalies, naming the largest
+ */
+const describeAnomalies = (anomalies, { label, direction, series }) => {
+  if (!anomalies || anomalies.length === 0) return null;
+
+  const mean = _.mean(series.values);
+  const deviation = standardDeviation(series.values);
+  const scored = anomalies.map(anomaly => ({
+    ...anomaly,
+    zScore: Number.isFinite(anomaly.zScore) ? anomaly.zScore : (deviation ? Math.abs(anomaly.value - mean) / deviation : 0)
+  }));
+  const largest = _.maxBy(scored, 'zScore');
+  const high = scored.filter(anomaly => anomaly.direction === 'positive').length;
+  const low = scored.length - high;
+  const share = scored.length / series.values.length;
+
+  const counts = [high ? `${high} unusually high` : null, low ? `${low} unusually low` : null].filter(Boolean).join(' and ');
+  return {
+    type: 'anomaly',
+    title: `${scored.length} unusual ${plural('value', scored.length)} in ${label.toLowerCase()}`,
+    text: `${label} has ${counts} ${plural('value', scored.length)}. The largest is ${formatNumber(largest.value)} on ${formatTime(largest.timestamp)}, ${largest.zScore.toFixed(1)} standard deviations ${largest.value >= mean ? 'above' : 'below'} the average.`,
+    impact: high && !low ? impactOf(1, direction) : low && !high ? impactOf(-1, direction) : 'neutral',
+    confidence: toConfidence(Math.min(1, largest.zScore / 5)),
+    score: Math.min(1, largest.zScore / 6) * (share > 0.1 ? 0.6 : 0.8),
+    details: {
+      count: scored.length,
+      high,
+      low,
+      largest: { timestamp: largest.timestamp, value: largest.value, zScore: round(largest.zScore) }
+    }
+  };
+};
+
+/**
+ * Describe where the best forecast ends up
+ */
+const describeForecast = (forecasts, { label, unit, direction, series }) => {
+  if (!forecasts || !forecasts.bestMethod || !forecasts.methods[forecasts.bestMethod]) return null;
+
+  const forecast = forecasts.methods[forecasts.bestMethod];
+  const values = (forecast.values || []).filter(Number.isFinite);
+  if (values.length === 0) return null;
+
+  const last = _.last(series.values);
+  const end = _.last(values);
+  const change = last ? ((end - last) / Math.abs(last)) * 100 : null;
+  const endDate = forecasts.horizonDates ? _.last(forecasts.horizonDates) : null;
+
+  // Error (MAPE) on held-out data and the width of the interval both limit confidence
+  const mape = Number.isFinite(forecast.accuracy) ? forecast.accuracy : null;
+  const interval = forecast.confidenceIntervals;
+  const relativeWidth = interval && end ? (_.last(interval.upper) - _.last(interval.lower)) / 2 / Math.abs(end) : null;
+  const reliability = Math.max(0, 1 - (relativeWidth !== null ? relativeWidth : mape !== null ? mape / 100 * 2 : 0.5));
+
+  return {
+    type: 'forecast',
+    title: `${label} is forecast to ${end >= last ? 'rise' : 'fall'} to ${formatNumber(end)}`,
+    text: `The ${forecast.name || forecasts.bestMethod} forecast expects ${label.toLowerCase()} of ${formatNumber(end)}${endDate ? ` by ${formatTime(endDate)}` : ` in ${values.length} ${plural(unit, values.length)}`}${change !== null ? `, ${formatPercent(change, true)} from the last actual value` : ''}.${interval ? ` The ${interval.level}% interval at that point is ${formatNumber(_.last(interval.lower))} to ${formatNumber(_.last(interval.upper))}.` : ''}${mape !== null ? ` Its error on past data was ${formatPercent(mape)} (MAPE).` : ''}`,
+    impact: change === null || Math.abs(change) < 1 ? 'neutral' : impactOf(change > 0 ? 1 : -1, direction),
+    confidence: toConfidence(reliability),
+    score: reliability * Math.min(1, 0.4 + (change !== null ? Math.abs(change) / 40 : 0)),
+    details: {
+      method: forecasts.bestMethod,
+      horizon: values.length,
+      endValue: round(end),
+      endDate,
+      percentChange: change !== null ? round(change) : null,
+      mape: mape !== null ? round(mape) : null
+    }
+  };
+};
+
+/**
+ * Flag a series whose irregular movements are large next to its level
+ */
+const describeVolatility = (decomposition, { label, series }) => {
+  const residuals = decomposition && decomposition.residual
+    ? decomposition.residual.filter(value => value !== null && Number.isFinite(value))
+    : null;
+  if (!residuals || residuals.length < 5) return null;
+
+  const level = _.mean(series.values.map(Math.abs));
+  if (!level) return null;
+  const noise = decomposition.model === 'multiplicative'
+    ? standardDeviation(residuals) * 100
+    : (standardDeviation(residuals) / level) * 100;
+  if (noise < 10) return null;
+
+  return {
+    type: 'volatility',
+    title: `${label} is volatile`,
+    text: `Beyond its trend and seasonal pattern, ${label.toLowerCase()} moves irregularly by about ${formatPercent(noise)} of its level from one period to the next, so single periods say little on their own.`,
+    impact: 'negative',
+    confidence: toConfidence(Math.min(1, noise / 30)),
+    score: Math.min(1, noise / 40) * 0.7,
+    details: { irregularVariation: round(noise) }
+  };
+};
+
+/**
+ * Sort findings by score and number them
+ */
+const rank = (findings, limit) => {
+  const ranked = _.orderBy(
+    findings.map(finding => ({ ...finding, score: round(Math.max(0, Math.min(1, finding.score))) })),
+    ['score', finding => -TYPE_ORDER.indexOf(finding.type)],
+    ['desc', 'desc']
+  );
+
+  return ranked.slice(0, limit || ranked.length).map((finding, index) => ({
+    id: `${finding.type}-${index + 1}`,
+    rank: index + 1,
+    ...finding
+  }));
+};
+
+/**
+ * Read the series from rows, or from the analysis when given
+ */
+const readSeries = ({ data, timeColumn, valueColumn }) => {
+  const rows = (data || [])
+    .map(row => ({ time: row[timeColumn], value: parseFloat(row[valueColumn]) }))
+    .filter(row => !isNaN(row.value));
+  const sorted = _.sortBy(rows, row => moment(row.time).valueOf());
+  return { times: sorted.map(row => row.time), values: sorted.map(row => row.value) };
+};
+
+/**
+ * Guess the frequency from the typical gap between times
+ */
+const detectFrequency = (times) => {
+  if (times.length < 2) return null;
+  const gaps = _.range(1, times.length).map(i => moment(times[i]).diff(moment(times[i - 1]), 'days'));
+  const gap = median(gaps);
+  if (gap <= 3) return 'daily';
+  if (gap <= 8) return 'weekly';
+  if (gap <= 31) return 'monthly';
+  if (gap <= 92) return 'quarterly';
+  return 'yearly';
+};
+
+const impactOf = (movement, direction) => (movement * direction > 0 ? 'positive' : 'negative');
+
+const toConfidence = (value) => Math.round(Math.max(0, Math.min(1, value)) * 100);
+
+const humanize = (column) => {
+  const text = String(column || 'value').replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+};
+
+const plural = (word, count) => (count === 1 ? word : `${word}s`);
+
+const listNames = (names) => (names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} and ${_.last(names)}`);
+
+const formatTime = (value) => {
+  const time = moment(value);
+  return time.isValid() ? time.format('YYYY-MM-DD') : String(value);
+};
+
+const formatNumber = (value, signed = false) => {
+  const text = Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 2 });
+  if (!signed) return value < 0 ? `-${text}` : text;
+  return `${value >= 0 ? '+' : '-'}${text}`;
+};
+
+const formatPercent = (value, signed = false) => {
+  const text = `${Math.abs(value).toFixed(1)}%`;
+  if (!signed) return value < 0 ? `-${text}` : text;
+  return `${value >= 0 ? '+' : '-'}${text}`;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function standardDeviation(values) {
+  if (values.length <= 1) return 0;
+  const mean = _.mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1));
+}
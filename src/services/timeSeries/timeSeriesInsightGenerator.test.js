@@ -0,0 +1,96 @@
+const moment = require('moment');
+const { decomposeTimeSeries } = require('./timeSeriesDecomposer');
+const { generateInsights, generateComparisonInsights } = require('./timeSeriesInsightGenerator');
+
+const times = Array.from({ length: 36 }, (_, i) => moment.utc('2022-01-01').add(i, 'months').format('YYYY-MM-DD'));
+const values = times.map((time, i) => 1000 + 20 * i + 100 * Math.sin((2 * Math.PI * i) / 12));
+const decomposition = decomposeTimeSeries(times, values, 'monthly');
+
+const params = (valueColumn, extra = {}) => ({
+  data: times.map((time, i) => ({ month: time, [valueColumn]: values[i] })),
+  timeColumn: 'month',
+  valueColumn,
+  trend: { type: 'increasing', slope: 20, intercept: 1000, rSquared: 0.85 },
+  seasonality: { detected: true },
+  decomposition,
+  ...extra
+});
+
+describe('generateInsights', () => {
+  it('ranks findings about the trend and the seasonal pattern', () => {
+    const insights = generateInsights(params('net_revenue'));
+
+    expect(insights.map(insight => [insight.rank, insight.type])).toEqual([[1, 'trend'], [2, 'seasonality']]);
+    expect(insights[0]).toMatchObject({ id: 'trend-1', title: 'Net revenue is rising', impact: 'positive', confidence: 85 });
+    expect(insights[0].text).toBe('Net revenue rose 70.0% over the series, about 1.5% per month: a strong upward trend (R² 0.85).');
+    expect(insights[1]).toMatchObject({ title: 'Net revenue peaks in Apr', details: { period: 12, model: 'additive', trough: { label: 'Oct' } } });
+  });
+
+  it('reads a rising cost as bad news unless told otherwise', () => {
+    expect(generateInsights(params('operating_expenses'))[0].impact).toBe('negative');
+    expect(generateInsights(params('operating_expenses', { higherIsBetter: true }))[0].impact).toBe('positive');
+  });
+
+  it('describes shifts, anomalies and the forecast', () => {
+    const insights = generateInsights(params('revenue', {
+      changePoints: [{ timestamp: '2023-07-01', leftMean: 1100, rightMean: 1450, tStatistic: 6 }],
+      anomalies: [{ timestamp: '2023-03-01', value: 2400, direction: 'positive', zScore: 5.2 }],
+      forecasts: {
+        bestMethod: 'holtWinters',
+        horizonDates: ['2025-01-01', '2025-02-01', '2025-03-01'],
+        methods: {
+          holtWinters: {
+            name: 'Holt-Winters',
+            values: [1720, 1760, 1800],
+            accuracy: 4.2,
+            confidenceIntervals: { level: 95, lower: [1650, 1680, 1700], upper: [1790, 1840, 1900] }
+          }
+        }
+      }
+    }));
+    const byType = Object.fromEntries(insights.map(insight => [insight.type, insight]));
+
+    expect(byType.change_point.title).toBe('Revenue shifted up around 2023-07-01');
+    expect(byType.change_point.details.percentChange).toBeCloseTo(31.8182, 4);
+    expect(byType.anomaly.text).toBe('Revenue has 1 unusually high value. The largest is 2,400 on 2023-03-01, 5.2 standard deviations above the average.');
+    expect(byType.forecast.title).toBe('Revenue is forecast to rise to 1,800');
+    expect(byType.forecast.text).toContain('The 95% interval at that point is 1,700 to 1,900. Its error on past data was 4.2% (MAPE).');
+    expect(insights.map(insight => insight.rank)).toEqual(insights.map((insight, index) => index + 1));
+  });
+
+  it('gives the same findings for the same series, up to the limit', () => {
+    expect(generateInsights(params('revenue'))).toEqual(generateInsights(params('revenue')));
+    expect(generateInsights(params('revenue', { limit: 1 }))).toHaveLength(1);
+  });
+
+  it('calls a series without a meaningful trend flat', () => {
+    const [finding] = generateInsights(params('revenue', { trend: { type: 'stable', slope: 0, intercept: 1000, rSquared: 0 }, decomposition: null }));
+
+    expect(finding).toMatchObject({ type: 'trend', title: 'Revenue is flat', impact: 'neutral' });
+  });
+
+  it('needs at least three values', () => {
+    expect(generateInsights({ ...params('revenue'), data: [{ month: '2024-01-01', revenue: 1 }] })).toEqual([]);
+  });
+});
+
+describe('generateComparisonInsights', () => {
+  it('compares trends and flags strong correlations', () => {
+    const datasets = ['Sales', 'Costs'].map((name, index) => ({
+      name,
+      timeColumn: 'month',
+      valueColumn: 'amount',
+      data: times.map((time, i) => ({ month: time, amount: (index + 1) * (100 + i) }))
+    }));
+
+    const insights = generateComparisonInsights(datasets, {
+      trendComparison: { directions: ['increasing', 'increasing'], slopes: [1, 2], strengths: [0.9, 0.9], similarDirections: true },
+      correlationMatrix: [[1, 0.95], [0.95, 1]]
+    });
+
+    expect(insights.map(insight => insight.type)).toEqual(['trend', 'correlation']);
+    expect(insights[0].title).toBe('All series are increasing');
+    expect(insights[1].title).toBe('Sales and Costs move together');
+    expect(insights[1].text).toContain('very strongly positively correlated (r = 0.95)');
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Time Series Reconciler
+ * Builds hierarchical and grouped aggregation structures and reconciles
+ * forecasts made independently at every node so that each aggregate equals
+ * the sum of the series below it
+ *
+ * Methods (ỹ = S·G·ŷ, S the summing matrix):
+ *   bottomUp - bottom-level forecasts summed up the structure
+ *   topDown  - the total forecast split by each bottom series' share of the
+ *              historical average (proportions of historical averages)
+ *   ols      - G = (S'S)⁻¹S', the projection closest to the base forecasts
+ *   wls      - MinT with a diagonal W of one-step residual variances
+ *   mint     - MinT with the shrinkage estimate of the full residual
+ *              covariance (Wickramasuriya, Athanasopoulos and Hyndman, 2019)
+ */
+const _ = require('lodash');
+const { ForecastInputError } = require('./errors');
+
+const METHODS = ['bottomUp', 'topDown', 'ols', 'wls', 'mint'];
+const STRUCTURES = ['hierarchical', 'grouped'];
+
+// Methods that need one-step residuals for every node
+const RESIDUAL_METHODS = ['wls', 'mint'];
+
+/**
+ * Build the aggregation structure over the bottom-level series
+ * Hierarchical structures nest the columns in the order given
+ * (product → region → entity). Grouped structures also aggregate every other
+ * combination of the columns (e.g. region totals across products).
+ * @param {Array} leaves - Label objects of the bottom-level series, e.g. { product: 'A', region: 'EU' }
+ * @param {Array} columns - Hierarchy columns, top level first
+ * @param {string} structure - hierarchical or grouped
+ * @returns {Object} - { nodes, summing, leafNodes }
+ */
+exports.buildHierarchy = (leaves, columns, structure = 'hierarchical') => {
+  if (!STRUCTURES.includes(structure)) {
+    throw new ForecastInputError(`Unknown structure "${structure}". Use ${STRUCTURES.join(', ')}`);
+  }
+
+  // Column sets that form a level; nesting prefixes always come first so the
+  // tree follows the column order
+  const prefixes = _.range(columns.length + 1).map(depth => columns.slice(0, depth));
+  const levels = structure === 'grouped'
+    ? _.uniqBy([...prefixes, ..._.sortBy(subsetsOf(columns), 'length')], set => set.join('|'))
+    : prefixes;
+
+  const nodes = [];
+  levels.forEach(levelColumns => {
+    const groups = _.groupBy(_.range(leaves.length), index => keyOf(leaves[index], levelColumns));
+
+    Object.keys(groups).sort().forEach(key => {
+      const labels = _.pick(leaves[groups[key][0]], levelColumns);
+      nodes.push({
+        id: key,
+        name: levelColumns.length === 0 ? 'Total' : levelColumns.map(column => labels[column]).join(' / '),
+        level: levelColumns.length === 0 ? 'total' : levelColumns.join(' × '),
+        depth: levelColumns.length,
+        labels,
+        // Only nested nodes have a parent in the tree
+        parentId: isPrefix(levelColumns, columns) && levelColumns.length > 0
+          ? keyOf(labels, levelColumns.slice(0, -1))
+          : null,
+        inTree: isPrefix(levelColumns, columns),
+        leaves: groups[key]
+      });
+    });
+  });
+
+  const summing = nodes.map(node => {
+    const row = Array(leaves.length).fill(0);
+    node.leaves.forEach(index => { row[index] = 1; });
+    return row;
+  });
+
+  // Node holding each bottom-level series, in leaf order
+  const leafNodes = leaves.map((leaf, index) =>
+    nodes.findIndex(node => node.depth === columns.length && node.leaves[0] === index));
+
+  return { nodes, summing, leafNodes };
+};
+
+/**
+ * Sum bottom-level series up the structure
+ * @param {Array} summing - Summing matrix (nodes × leaves)
+ * @param {Array} leafSeries - One series per leaf, all the same length
+ * @returns {Array} - One series per node
+ */
+exports.aggregateSeries = (summing, leafSeries) => multiply(summing, leafSeries);
+
+/**
+ * Reconcile base forecasts
+ * @param {Array} baseForecasts - Base forecast per node (nodes × horizon)
+ * @param {Object} hierarchy - Structure from buildHierarchy
+ * @param {string} method - bottomUp, topDown, ols, wls or mint
+ * @param {Object} options - Options
+ * @param {Array} options.history - Observed series per node, needed for topDown
+ * @param {Array} options.residuals - One-step residuals per node (nodes × points), needed for wls and mint
+ * @returns {Object} - { method, values (nodes × horizon), shrinkage }
+ */
+exports.reconcile = (baseForecasts, hierarchy, method, options = {}) => {
+  if (!METHODS.includes(method)) {
+    throw new ForecastInputError(`Unknown reconciliation "${method}". Use ${METHODS.join(', ')}`);
+  }
+
+  const { summing, leafNodes } = hierarchy;
+
+  if (method === 'bottomUp') {
+    return { method, values: multiply(summing, leafNodes.map(index => baseForecasts[index])) };
+  }
+
+  if (method === 'topDown') {
+    const history = options.history;
+    const total = history[hierarchy.nodes.findIndex(node => node.depth === 0)];
+    const totalMean = _.mean(total);
+
+    // Split evenly when the total has averaged zero
+    const proportions = leafNodes.map(index => (totalMean === 0
+      ? 1 / leafNodes.length
+      : _.mean(history[index]) / totalMean));
+    const totalForecast = baseForecasts[hierarchy.nodes.findIndex(node => node.depth === 0)];
+
+    return {
+      method,
+      proportions,
+      values: multiply(summing, proportions.map(share => totalForecast.map(value => value * share)))
+    };
+  }
+
+  // Optimal combination: ỹ = S (S'W⁻¹S)⁻¹ S'W⁻¹ ŷ
+  let weights;
+  let shrinkage = null;
+
+  if (method === 'ols') {
+    weights = identity(summing.length);
+  } else {
+    const covariance = shrinkCovariance(options.residuals);
+    shrinkage = method === 'mint' ? covariance.lambda : 1;
+    weights = method === 'mint' ? covariance.matrix : covariance.target;
+  }
+
+  let mapping;
+  try {
+    mapping = combinationMatrix(summing, weights);
+  } catch (error) {
+    // A near-singular shrunk covariance falls back to its diagonal
+    if (method !== 'mint') throw error;
+    const covariance = shrinkCovariance(options.residuals);
+    mapping = combinationMatrix(summing, covariance.target);
+    shrinkage = 1;
+  }
+
+  return {
+    method,
+    shrinkage,
+    values: multiply(summing, multiply(mapping, baseForecasts))
+  };
+};
+
+/**
+ * Largest gap between an aggregate and the sum of the bottom series under it
+ * @param {Object} hierarchy - Structure from buildHierarchy
+ * @param {Array} forecasts - Forecast per node (nodes × horizon)
+ * @returns {number} - Largest absolute gap
+ */
+exports.measureIncoherence = (hierarchy, forecasts) => {
+  const bottom = hierarchy.leafNodes.map(index => forecasts[index]);
+  const summed = multiply(hierarchy.summing, bottom);
+
+  return _.max(forecasts.map((row, i) => _.max(row.map((value, h) => Math.abs(value - summed[i][h]))))) || 0;
+};
+
+/**
+ * Arrange nodes as a tree following the column order
+ * @param {Object} hierarchy - Structure from buildHierarchy
+ * @param {Function} describe - Maps a node index to the fields to show for it
+ * @returns {Object} - Root node with nested children
+ */
+exports.buildTree = (hierarchy, describe) => {
+  const treeNodes = hierarchy.nodes
+    .map((node, index) => ({ node, index }))
+    .filter(({ node }) => node.inTree);
+  const children = _.groupBy(treeNodes.filter(({ node }) => node.parentId !== null), ({ node }) => node.parentId);
+
+  const toTree = ({ node, index }) => ({
+    id: node.id,
+    name: node.name,
+    level: node.level,
+    labels: node.labels,
+    ...describe(index),
+    children: (children[node.id] || []).map(toTree)
+  });
+
+  return toTree(treeNodes.find(({ node }) => node.depth === 0));
+};
+
+exports.METHODS = METHODS;
+exports.STRUCTURES = STRUCTURES;
+exports.RESIDUAL_METHODS = RESIDUAL_METHODS;
+
+/**
+ * Shrinkage estimate of a residual covariance towards its diagonal
+ * (Schäfer and Strimmer, 2005). Residuals are not centered, as in MinT.
+ * @param {Array} residuals - Residuals per node (nodes × points)
+ * @returns {Object} - { matrix, target, lambda }
+ */
+const shrinkCovariance = (residuals) => {
+  const p = residuals.length;
+  const n = residuals[0].length;
+
+  // Series with no residual variance (e.g. all zero) get a tiny floor so W stays invertible
+  const raw = residuals.map(row => row.reduce((sum, value) => sum + value * value, 0) / n);
+  const floor = Math.max(_.max(raw) * 1e-8, 1e-12);
+  const variances = raw.map(value => Math.max(value, floor));
+
+  const covariance = residuals.map((row, i) => residuals.map((other, j) => (i === j
+    ? variances[i]
+    : row.reduce((sum, value, t) => sum + value * other[t], 0) / n)));
+  const target = covariance.map((row, i) => row.map((value, j) => (i === j ? value : 0)));
+
+  if (n < 2) {
+    return { matrix: target, target, lambda: 1 };
+  }
+
+  // λ = Σ Var(r_ij) / Σ r_ij² over the off-diagonal correlations
+  const scaled = residuals.map((row, i) => row.map(value => value / Math.sqrt(variances[i])));
+  let numerator = 0;
+  let denominator = 0;
+
+  for (let i = 0; i < p; i++) {
+    for (let j = 0; j < p; j++) {
+      if (i === j) continue;
+
+      let products = 0;
+      let squares = 0;
+      for (let t = 0; t < n; t++) {
+        const product = scaled[i][t] * scaled[j][t];
+        products += product;
+        squares += product * product;
+      }
+
+      numerator += (squares - (products * products) / n) / (n * (n - 1));
+      denominator += Math.pow(products / n, 2);
+    }
+  }
+
+  const lambda = denominator === 0 ? 1 : Math.min(1, Math.max(0, numerator / denominator));
+  const matrix = covariance.map((row, i) => row.map((value, j) => (i === j ? value : (1 - lambda) * value)));
+
+  return { matrix, target, lambda };
+};
+
+/**
+ * G = (S'W⁻¹S)⁻¹ S'W⁻¹
+ * @param {Array} summing - Summing matrix S
+ * @param {Array} weights - Error covariance W
+ * @returns {Array} - Mapping from base forecasts to bottom-level forecasts
+ */
+const combinationMatrix = (summing, weights) => {
+  const weightedSumming = solve(weights, summing);                    // W⁻¹S
+  const information = multiply(transpose(summing), weightedSumming);  // S'W⁻¹S
+  return solve(information, transpose(weightedSumming));
+};
+
+/**
+ * Every non-empty subset of the columns, keeping their order
+ */
+const subsetsOf = (columns) => _.range(1, Math.pow(2, columns.length))
+  .map(mask => columns.filter((column, index) => mask & (1 << index)));
+
+const isPrefix = (set, columns) => set.every((column, index) => columns[index] === column);
+
+const keyOf = (labels, columns) => (columns.length === 0
+  ? 'total'
+  : columns.map(column => `${column}=${labels[column]}`).join('|'));
+
+const identity = (size) => _.range(size).map(i => _.range(size).map(j => (i === j ? 1 : 0)));
+
+const transpose = (matrix) => (matrix.length === 0 ? [] : matrix[0].map((_value, j) => matrix.map(row => row[j])));
+
+function multiply(left, right) {
+  const columns = right.length > 0 ? right[0].length : 0;
+  return left.map(row => {
+    const result = Array(columns).fill(0);
+    row.forEach((value, k) => {
+      if (value === 0) return;
+      const other = right[k];
+      for (let j = 0; j < columns; j++) {
+        result[j] += value * other[j];
+      }
+    });
+    return result;
+  });
+}
+
+/**
+ * Solve A·X = B by Gaussian elimination with partial pivoting
+ * @param {Array} matrix - Square matrix A
+ * @param {Array} rhs - Right-hand side B (rows × columns)
+ * @returns {Array} - X
+ */
+function solve(matrix, rhs) {
+  const size = matrix.length;
+  const a = matrix.map(row => row.slice());
+  const b = rhs.map(row => row.slice());
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-14) {
+      throw new Error('Reconciliation matrix is singular');
+    }
+
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < size; k++) a[row][k] -= factor * a[col][k];
+      for (let k = 0; k < b[row].length; k++) b[row][k] -= factor * b[col][k];
+    }
+  }
+
+  for (let col = size - 1; col >= 0; col--) {
+    for (let k = 0; k < b[col].length; k++) {
+      let sum = b[col][k];
+      for (let j = col + 1; j < size; j++) sum -= a[col][j] * b[j][k];
+      b[col][k] = sum / a[col][col];
+    }
+  }
+
+  return b;
+}
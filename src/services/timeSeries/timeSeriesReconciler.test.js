@@ -0,0 +1,67 @@
+const reconciler = require('./timeSeriesReconciler');
+
+// Two regions, each with two products
+const leaves = [
+  { region: 'EU', product: 'A' },
+  { region: 'EU', product: 'B' },
+  { region: 'US', product: 'A' },
+  { region: 'US', product: 'B' }
+];
+
+const nodeIndex = (hierarchy, name) => hierarchy.nodes.findIndex(node => node.name === name);
+
+describe('buildHierarchy', () => {
+  it('nests the columns in the order given', () => {
+    const hierarchy = reconciler.buildHierarchy(leaves, ['region', 'product']);
+
+    expect(hierarchy.nodes.map(node => node.name)).toEqual(['Total', 'EU', 'US', 'EU / A', 'EU / B', 'US / A', 'US / B']);
+    expect(hierarchy.summing[nodeIndex(hierarchy, 'EU')]).toEqual([1, 1, 0, 0]);
+    expect(hierarchy.leafNodes).toEqual([3, 4, 5, 6]);
+  });
+
+  it('also aggregates every other combination when grouped', () => {
+    const hierarchy = reconciler.buildHierarchy(leaves, ['region', 'product'], 'grouped');
+    const productA = hierarchy.nodes.find(node => node.level === 'product' && node.labels.product === 'A');
+
+    expect(productA.leaves).toEqual([0, 2]);
+    expect(productA.inTree).toBe(false);
+  });
+
+  it('rejects unknown structures', () => {
+    expect(() => reconciler.buildHierarchy(leaves, ['region'], 'flat')).toThrow('Unknown structure');
+  });
+});
+
+describe('reconcile', () => {
+  const hierarchy = reconciler.buildHierarchy(leaves, ['region', 'product']);
+  const history = reconciler.aggregateSeries(hierarchy.summing, [[10, 10], [30, 30], [20, 20], [40, 40]]);
+
+  // Incoherent base forecasts: the totals do not add up
+  const base = [[120], [45], [55], [12], [28], [22], [38]];
+
+  it('sums the bottom forecasts up the structure', () => {
+    const { values } = reconciler.reconcile(base, hierarchy, 'bottomUp');
+
+    expect(values.map(row => row[0])).toEqual([100, 40, 60, 12, 28, 22, 38]);
+    expect(reconciler.measureIncoherence(hierarchy, values)).toBe(0);
+  });
+
+  it('splits the total by historical proportions top down', () => {
+    const { values, proportions } = reconciler.reconcile(base, hierarchy, 'topDown', { history });
+
+    expect(proportions).toEqual([0.1, 0.3, 0.2, 0.4]);
+    expect(values[hierarchy.leafNodes[3]][0]).toBeCloseTo(48);
+    expect(reconciler.measureIncoherence(hierarchy, values)).toBeCloseTo(0);
+  });
+
+  it('makes optimal combination forecasts coherent', () => {
+    const { values } = reconciler.reconcile(base, hierarchy, 'ols');
+
+    expect(reconciler.measureIncoherence(hierarchy, base)).toBeGreaterThan(0);
+    expect(reconciler.measureIncoherence(hierarchy, values)).toBeCloseTo(0);
+  });
+
+  it('rejects unknown methods', () => {
+    expect(() => reconciler.reconcile(base, hierarchy, 'middleOut')).toThrow('Unknown reconciliation');
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * Time Series Visualizer
+ * Builds chart specifications that map one-to-one onto Recharts components,
+ * so the dashboard can render them without reshaping the data.
+ *
+ * Spec: {
+ *   id, chart: 'ComposedChart' | 'LineChart' | 'BarChart', title, description,
+ *   data: [{ time, ...one key per series }],
+ *   xAxis: { dataKey }, yAxis: { label, unit },
+ *   series: [{ component: 'Line' | 'Area' | 'Bar' | 'Scatter', props }],
+ *   referenceLines: [{ x | y, label, stroke }],
+ *   markers: [{ x, y, label, kind, fill }]
+ * }
+ *
+ * `props` are passed straight to the component. A forecast band is an Area
+ * whose dataKey holds [lower, upper] pairs.
+ */
+const _ = require('lodash');
+const moment = require('moment');
+
+const PALETTE = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+
+const COLORS = {
+  actual: '#3B82F6',
+  trend: '#10B981',
+  forecast: '#8B5CF6',
+  band: '#8B5CF6',
+  anomaly: '#EF4444',
+  changePoint: '#F59E0B',
+  seasonal: '#EC4899',
+  residual: '#9CA3AF'
+};
+
+/**
+ * Generate the charts for a full analysis
+ * @param {Object} params - Parameters
+ * @param {Array} params.data - Rows
+ * @param {string} params.timeColumn - Time column
+ * @param {string} params.valueColumn - Value column
+ * @param {Object} params.analysis - Analyzer result (trend, anomalies, change points)
+ * @param {Object} params.forecasts - Forecast results
+ * @param {Object} params.decomposition - Decomposition result
+ * @returns {Array} - Chart specs
+ */
+exports.generateChartSpecs = ({ data, timeColumn, valueColumn, analysis = {}, forecasts, decomposition }) => {
+  const series = readSeries(data, timeColumn, valueColumn);
+  if (series.length === 0) return [];
+
+  const label = humanize(valueColumn);
+  const charts = [overviewChart(series, label, analysis, decomposition)];
+
+  if (forecasts && forecasts.bestMethod) {
+    charts.push(forecastChart(series, label, forecasts));
+  }
+
+  if (decomposition && decomposition.trend) {
+    charts.push(...decompositionCharts(decomposition, label));
+  }
+
+  if (decomposition && decomposition.seasonalIndices && decomposition.seasonalIndices.length > 1) {
+    charts.push(seasonalProfileChart(decomposition, label));
+  }
+
+  return charts;
+};
+
+/**
+ * Generate the charts for a forecast
+ * @param {Object} params - Parameters
+ * @param {Array} params.data - Rows
+ * @param {string} params.timeColumn - Time column
+ * @param {string} params.valueColumn - Value column
+ * @param {Object} params.forecasts - Forecast results, with intervals on the best method
+ * @returns {Array} - Chart specs
+ */
+exports.generateForecastCharts = ({ data, timeColumn, valueColumn, forecasts }) => {
+  const series = readSeries(data, timeColumn, valueColumn);
+  if (series.length === 0 || !forecasts || !forecasts.bestMethod) return [];
+
+  const label = humanize(valueColumn);
+  const charts = [forecastChart(series, label, forecasts)];
+
+  const methods = Object.keys(forecasts.methods || {});
+  if (methods.length > 1) {
+    charts.push(methodComparisonChart(series, label, forecasts, methods));
+  }
+
+  return charts;
+};
+
+/**
+ * Generate the charts comparing several series
+ * @param {Array} datasets - [{ name, data, timeColumn, valueColumn }]
+ * @param {Object} comparison - { trendComparison, seasonalityComparison, correlationMatrix }
+ * @returns {Array} - Chart specs
+ */
+exports.generateComparisonCharts = (datasets, comparison = {}) => {
+  const named = datasets.map((dataset, index) => ({
+    name: dataset.name || `Series ${index + 1}`,
+    key: `series${index + 1}`,
+    color: PALETTE[index % PALETTE.length],
+    points: readSeries(dataset.data, dataset.timeColumn, dataset.valueColumn)
+  })).filter(dataset => dataset.points.length > 0);
+  if (named.length === 0) return [];
+
+  const lines = named.map(({ name, key, color }) => lineSeries(key, name, color));
+  const charts = [{
+    ...baseSpec('comparison-overlay', 'LineChart', 'Series compared'),
+    description: 'Each series on its own scale',
+    data: mergeSeries(named, point => point.value),
+    series: lines
+  }];
+
+  // Rebasing to 100 shows relative growth when the scales differ
+  charts.push({
+    ...baseSpec('comparison-indexed', 'LineChart', 'Growth indexed to 100'),
+    description: 'Each series divided by its first value',
+    data: mergeSeries(named, (point, points) => (points[0].value ? round((point.value / points[0].value) * 100) : null)),
+    yAxis: { label: 'Index (first value = 100)' },
+    series: lines,
+    referenceLines: [{ y: 100, stroke: '#6B7280', strokeDasharray: '3 3' }]
+  });
+
+  if (comparison.trendComparison) {
+    charts.push({
+      ...baseSpec('comparison-slopes', 'BarChart', 'Trend per period'),
+      xAxis: { dataKey: 'name' },
+      data: named.map((dataset, index) => ({
+        name: dataset.name,
+        slope: round(comparison.trendComparison.slopes[index]),
+        direction: comparison.trendComparison.directions[index]
+      })),
+      series: [{ component: 'Bar', props: { dataKey: 'slope', name: 'Slope', fill: PALETTE[0] } }],
+      referenceLines: [{ y: 0, stroke: '#6B7280' }]
+    });
+  }
+
+  return charts;
+};
+
+/**
+ * Generate the chart of anomalies
+ * @param {Object} params - Parameters
+ * @param {Array} params.data - Rows
+ * @param {string} params.timeColumn - Time column
+ * @param {string} params.valueColumn - Value column
+ * @param {Array} params.anomalies - Detected anomalies
+ * @returns {Array} - Chart specs
+ */
+exports.generateAnomalyCharts = ({ data, timeColumn, valueColumn, anomalies = [] }) => {
+  const series = readSeries(data, timeColumn, valueColumn);
+  if (series.length === 0) return [];
+
+  const label = humanize(valueColumn);
+  const byTime = _.keyBy(anomalies, anomaly => formatTime(anomaly.timestamp));
+
+  return [{
+    ...baseSpec('anomalies', 'ComposedChart', `${label} anomalies`),
+    description: `${anomalies.length} unusual ${anomalies.length === 1 ? 'value' : 'values'}`,
+    data: series.map(point => ({
+      time: point.time,
+      actual: point.value,
+      anomaly: byTime[point.time] ? point.value : null
+    })),
+    yAxis: { label },
+    series: [
+      lineSeries('actual', label, COLORS.actual),
+      anomalySeries()
+    ],
+    markers: anomalyMarkers(anomalies)
+  }];
+};
+
+/**
+ * Actual values with the trend, anomalies and change points
+ */
+const overviewChart = (series, label, analysis, decomposition) => {
+  const trendLine = decomposition && decomposition.trend;
+  const byTime = _.keyBy(analysis.anomalies || [], anomaly => formatTime(anomaly.timestamp));
+
+  // Fall back to the fitted line when there is no decomposition
+  const trendAt = (index) => {
+    if (trendLine && trendLine[index] !== null && trendLine[index] !== undefined) return round(trendLine[index]);
+    if (!trendLine && analysis.trend && Number.isFinite(analysis.trend.slope)) {
+      return round(analysis.trend.intercept + analysis.trend.slope * index);
+    }
+    return null;
+  };
+
+  return {
+    ...baseSpec('overview', 'ComposedChart', label),
+    description: 'Actual values, trend, anomalies and shifts in level',
+    data: series.map((point, index) => ({
+      time: point.time,
+      actual: point.value,
+      trend: trendAt(index),
+      anomaly: byTime[point.time] ? point.value : null
+    })),
+    yAxis: { label },
+    series: [
+      lineSeries('actual', label, COLORS.actual),
+      { component: 'Line', props: { ...lineSeries('trend', 'Trend', COLORS.trend).props, strokeDasharray: '5 5' } },
+      anomalySeries()
+    ],
+    referenceLines: (analysis.changePoints || []).map(point => ({
+      x: formatTime(point.timestamp),
+      stroke: COLORS.changePoint,
+      strokeDasharray: '3 3',
+      label: `Shift ${point.rightMean >= point.leftMean ? 'up' : 'down'}`
+    })),
+    markers: anomalyMarkers(analysis.anomalies || [])
+  };
+};
+
+/**
+ * History followed by the best forecast and its interval
+ */
+const forecastChart = (series, label, forecasts) => {
+  const best = forecasts.methods[forecasts.bestMethod];
+  const interval = best.confidenceIntervals;
+  const last = _.last(series);
+
+  const history = series.map(point => ({ time: point.time, actual: point.value, forecast: null, band: null }));
+  // Start the forecast at the last actual value so the two lines join
+  history[history.length - 1].forecast = last.value;
+  if (interval) history[history.length - 1].band = [last.value, last.value];
+
+  const future = best.values.map((value, index) => ({
+    time: formatTime(forecasts.horizonDates[index]),
+    actual: null,
+    forecast: round(value),
+    band: interval ? [round(interval.lower[index]), round(interval.upper[index])] : null
+  }));
+
+  const seriesSpecs = [];
+  if (interval) {
+    seriesSpecs.push({
+      component: 'Area',
+      props: {
+        dataKey: 'band',
+        name: `${interval.level}% interval`,
+        stroke: 'none',
+        fill: COLORS.band,
+        fillOpacity: 0.15,
+        type: 'monotone',
+        connectNulls: false
+      }
+    });
+  }
+  seriesSpecs.push(
+    lineSeries('actual', label, COLORS.actual),
+    { component: 'Line', props: { ...lineSeries('forecast', best.name || forecasts.bestMethod, COLORS.forecast).props, strokeDasharray: '5 5' } }
+  );
+
+  return {
+    ...baseSpec('forecast', 'ComposedChart', `${label} forecast`),
+    description: `${best.name || forecasts.bestMethod}, ${best.values.length} periods ahead`,
+    data: [...history, ...future],
+    yAxis: { label },
+    series: seriesSpecs,
+    referenceLines: [{ x: last.time, stroke: '#6B7280', strokeDasharray: '3 3', label: 'Forecast start' }]
+  };
+};
+
+/**
+ * Every method's forecast side by side
+ */
+const methodComparisonChart = (series, label, forecasts, methods) => {
+  const tail = series.slice(-Math.max(12, forecasts.horizonPeriods || 0));
+  const keys = methods.map((method, index) => ({ method, key: `method${index + 1}` }));
+
+  const history = tail.map(point => ({ time: point.time, actual: point.value }));
+  const future = forecasts.horizonDates.map((date, index) => {
+    const row = { time: formatTime(date), actual: null };
+    keys.forEach(({ method, key }) => {
+      const value = forecasts.methods[method].values[index];
+      row[key] = Number.isFinite(value) ? round(value) : null;
+    });
+    return row;
+  });
+  keys.forEach(({ key }) => { history[history.length - 1][key] = _.last(tail).value; });
+
+  return {
+    ...baseSpec('forecast-methods', 'LineChart', 'Forecast methods compared'),
+    description: `Best: ${forecasts.methods[forecasts.bestMethod].name || forecasts.bestMethod}`,
+    data: [...history, ...future],
+    yAxis: { label },
+    series: [
+      lineSeries('actual', label, COLORS.actual),
+      ...keys.map(({ method, key }, index) => {
+        const spec = lineSeries(key, forecasts.methods[method].name || method, PALETTE[(index + 1) % PALETTE.length]);
+        spec.props.strokeWidth = method === forecasts.bestMethod ? 3 : 1.5;
+        return spec;
+      })
+    ]
+  };
+};
+
+/**
+ * One panel per component: trend, seasonal and residual
+ */
+const decompositionCharts = (decomposition, label) => {
+  const times = decomposition.timeValues.map(formatTime);
+  const multiplicative = decomposition.model === 'multiplicative';
+  const panel = (key, title, color, values, extra = {}) => ({
+    ...baseSpec(`decomposition-${key}`, extra.chart || 'LineChart', title),
+    group: 'decomposition',
+    data: times.map((time, index) => ({ time, [key]: values[index] === null || values[index] === undefined ? null : round(values[index]) })),
+    series: [extra.chart === 'BarChart'
+      ? { component: 'Bar', props: { dataKey: key, name: title, fill: color } }
+      : lineSeries(key, title, color)],
+    referenceLines: extra.baseline !== undefined ? [{ y: extra.baseline, stroke: '#6B7280' }] : [],
+    yAxis: { label: extra.unit }
+  });
+
+  const charts = [panel('trend', `${label} trend`, COLORS.trend, decomposition.trend, { unit: label })];
+  if (decomposition.method !== 'trend_only') {
+    charts.push(panel('seasonal', 'Seasonal', COLORS.seasonal, decomposition.seasonal, {
+      baseline: multiplicative ? 1 : 0,
+      unit: multiplicative ? 'Factor' : label
+    }));
+  }
+  charts.push(panel('residual', 'Residual', COLORS.residual, decomposition.residual, {
+    chart: 'BarChart',
+    baseline: multiplicative ? 1 : 0,
+    unit: multiplicative ? 'Factor' : label
+  }));
+  return charts;
+};
+
+/**
+ * Average seasonal effect at each position of the cycle
+ */
+const seasonalProfileChart = (decomposition, label) => {
+  const multiplicative = decomposition.model === 'multiplicative';
+  return {
+    ...baseSpec('seasonal-profile', 'BarChart', 'Seasonal pattern'),
+    description: multiplicative ? 'Percent above or below the trend' : `${label} above or below the trend`,
+    xAxis: { dataKey: 'label' },
+    data: decomposition.seasonalIndices.map(index => ({ label: index.label, effect: index.effect })),
+    yAxis: { label: multiplicative ? 'Percent' : label, unit: multiplicative ? '%' : undefined },
+    series: [{ component: 'Bar', props: { dataKey: 'effect', name: 'Seasonal effect', fill: COLORS.seasonal } }],
+    referenceLines: [{ y: 0, stroke: '#6B7280' }]
+  };
+};
+
+const baseSpec = (id, chart, title) => ({
+  id,
+  chart,
+  title,
+  xAxis: { dataKey: 'time' },
+  yAxis: {},
+  series: [],
+  referenceLines: [],
+  markers: []
+});
+
+const lineSeries = (dataKey, name, stroke) => ({
+  component: 'Line',
+  props: { dataKey, name, stroke, type: 'monotone', dot: false, strokeWidth: 2, connectNulls: false }
+});
+
+const anomalySeries = () => ({
+  component: 'Scatter',
+  props: { dataKey: 'anomaly', name: 'Anomaly', fill: COLORS.anomaly }
+});
+
+const anomalyMarkers = (anomalies) => anomalies.map(anomaly => ({
+  x: formatTime(anomaly.timestamp),
+  y: anomaly.value,
+  kind: 'anomaly',
+  fill: COLORS.anomaly,
+  label: `${anomaly.direction === 'negative' ? 'Low' : 'High'}${Number.isFinite(anomaly.zScore) ? ` (z ${anomaly.zScore.toFixed(1)})` : ''}`
+}));
+
+/**
+ * Join series on time into one row per time
+ */
+const mergeSeries = (named, valueOf) => {
+  const rows = {};
+  named.forEach(({ key, points }) => {
+    points.forEach(point => {
+      rows[point.time] = rows[point.time] || { time: point.time };
+      rows[point.time][key] = valueOf(point, points);
+    });
+  });
+  return _.sortBy(Object.values(rows), row => moment(row.time).valueOf());
+};
+
+/**
+ * Numeric points sorted by time, with times formatted for the axis
+ */
+const readSeries = (data, timeColumn, valueColumn) => _.sortBy(
+  (data || [])
+    .map(row => ({ raw: row[timeColumn], value: parseFloat(row[valueColumn]) }))
+    .filter(point => !isNaN(point.value) && point.raw !== null && point.raw !== undefined),
+  point => moment(point.raw).valueOf()
+).map(point => ({ time: formatTime(point.raw), value: round(point.value) }));
+
+const formatTime = (value) => {
+  const time = moment(value);
+  return time.isValid() ? time.format('YYYY-MM-DD') : String(value);
+};
+
+const humanize = (column) => {
+  const text = String(column || 'value').replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim();
+  return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
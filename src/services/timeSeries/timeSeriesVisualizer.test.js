@@ -0,0 +1,112 @@
+const moment = require('moment');
+const { decomposeTimeSeries } = require('./timeSeriesDecomposer');
+const { generateChartSpecs, generateForecastCharts, generateComparisonCharts, generateAnomalyCharts } = require('./timeSeriesVisualizer');
+
+const times = Array.from({ length: 24 }, (_, i) => moment.utc('2023-01-01').add(i, 'months').format('YYYY-MM-DD'));
+const values = times.map((time, i) => 500 + 10 * i + 50 * Math.sin((2 * Math.PI * i) / 12));
+// Rows arrive unsorted, with a blank value that is left out
+const data = [...times.map((time, i) => ({ month: time, revenue: values[i] })).reverse(), { month: '2025-06-01', revenue: '' }];
+
+const forecasts = {
+  bestMethod: 'linear',
+  horizonPeriods: 2,
+  horizonDates: ['2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z'],
+  methods: {
+    linear: { name: 'Linear trend', values: [750, 760], confidenceIntervals: { level: 95, lower: [700, 705], upper: [800, 815] } },
+    naive: { name: 'Naive', values: [730, 730] }
+  }
+};
+const anomalies = [{ timestamp: '2023-06-01', value: values[5], direction: 'positive', zScore: 3.4 }];
+
+describe('generateChartSpecs', () => {
+  const decomposition = decomposeTimeSeries(times, values, 'monthly', { method: 'classical' });
+  const charts = generateChartSpecs({
+    data,
+    timeColumn: 'month',
+    valueColumn: 'revenue',
+    analysis: { anomalies, changePoints: [{ timestamp: '2024-01-01', leftMean: 540, rightMean: 660 }] },
+    forecasts,
+    decomposition
+  });
+  const byId = Object.fromEntries(charts.map(chart => [chart.id, chart]));
+
+  it('builds the overview, forecast, decomposition and seasonal charts', () => {
+    expect(charts.map(chart => chart.id)).toEqual([
+      'overview', 'forecast', 'decomposition-trend', 'decomposition-seasonal', 'decomposition-residual', 'seasonal-profile'
+    ]);
+  });
+
+  it('plots actual values in time order with the trend, anomalies and shifts', () => {
+    const { data: rows, series, referenceLines, markers } = byId.overview;
+
+    expect(rows).toHaveLength(24);
+    expect(rows[0]).toEqual({ time: '2023-01-01', actual: 500, trend: null, anomaly: null });
+    expect(rows[5].anomaly).toBe(rows[5].actual);
+    expect(series.map(spec => [spec.component, spec.props.dataKey])).toEqual([['Line', 'actual'], ['Line', 'trend'], ['Scatter', 'anomaly']]);
+    expect(referenceLines).toEqual([expect.objectContaining({ x: '2024-01-01', label: 'Shift up' })]);
+    expect(markers).toEqual([expect.objectContaining({ x: '2023-06-01', kind: 'anomaly', label: 'High (z 3.4)' })]);
+  });
+
+  it('joins the forecast to the last actual value and draws its interval as a band', () => {
+    const { data: rows, series } = byId.forecast;
+    const last = rows[23];
+
+    expect(last.forecast).toBe(last.actual);
+    expect(last.band).toEqual([last.actual, last.actual]);
+    expect(rows.slice(24)).toEqual([
+      { time: '2025-01-01', actual: null, forecast: 750, band: [700, 800] },
+      { time: '2025-02-01', actual: null, forecast: 760, band: [705, 815] }
+    ]);
+    expect(series[0]).toMatchObject({ component: 'Area', props: { dataKey: 'band', name: '95% interval' } });
+  });
+
+  it('plots the seasonal profile by month', () => {
+    expect(byId['seasonal-profile'].data.map(row => row.label)).toEqual(['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']);
+    expect(byId['decomposition-residual'].chart).toBe('BarChart');
+  });
+});
+
+describe('generateForecastCharts', () => {
+  it('compares every method next to the best forecast', () => {
+    const [forecast, methods] = generateForecastCharts({ data, timeColumn: 'month', valueColumn: 'revenue', forecasts });
+
+    expect(forecast.id).toBe('forecast');
+    expect(methods.description).toBe('Best: Linear trend');
+    expect(methods.data).toHaveLength(14);
+    expect(methods.data[13]).toEqual({ time: '2025-02-01', actual: null, method1: 760, method2: 730 });
+    expect(methods.series.map(spec => spec.props.strokeWidth)).toEqual([2, 3, 1.5]);
+  });
+
+  it('returns no charts without a forecast', () => {
+    expect(generateForecastCharts({ data, timeColumn: 'month', valueColumn: 'revenue' })).toEqual([]);
+  });
+});
+
+describe('generateComparisonCharts', () => {
+  it('overlays the series and rebases them to 100', () => {
+    const datasets = [
+      { name: 'Sales', timeColumn: 'month', valueColumn: 'amount', data: [{ month: '2024-01-01', amount: 200 }, { month: '2024-02-01', amount: 250 }] },
+      { name: 'Costs', timeColumn: 'date', valueColumn: 'value', data: [{ date: '2024-02-01', value: 90 }, { date: '2024-01-01', value: 100 }] }
+    ];
+
+    const [overlay, indexed, slopes] = generateComparisonCharts(datasets, {
+      trendComparison: { slopes: [50, -10], directions: ['increasing', 'decreasing'] }
+    });
+
+    expect(overlay.data).toEqual([
+      { time: '2024-01-01', series1: 200, series2: 100 },
+      { time: '2024-02-01', series1: 250, series2: 90 }
+    ]);
+    expect(indexed.data[1]).toEqual({ time: '2024-02-01', series1: 125, series2: 90 });
+    expect(slopes.data).toEqual([{ name: 'Sales', slope: 50, direction: 'increasing' }, { name: 'Costs', slope: -10, direction: 'decreasing' }]);
+  });
+});
+
+describe('generateAnomalyCharts', () => {
+  it('marks each anomaly on the series', () => {
+    const [chart] = generateAnomalyCharts({ data, timeColumn: 'month', valueColumn: 'revenue', anomalies });
+
+    expect(chart.description).toBe('1 unusual value');
+    expect(chart.data.filter(row => row.anomaly !== null).map(row => row.time)).toEqual(['2023-06-01']);
+  });
+});
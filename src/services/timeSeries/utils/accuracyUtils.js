@@ -25,6 +25,9 @@ function calculatePredictionErrors(values, method, forecast) {
   // Generate one-step-ahead forecasts for the test data
   const forecasts = [];
   
+  // ARIMA coefficients are fitted once on the training data and kept fixed
+  let arimaModel;
+  
   for (let i = 0; i < testData.length; i++) {
     const currentData = [...trainingData, ...testData.slice(0, i)];
     let nextForecast;
@@ -89,6 +92,18 @@ function calculatePredictionErrors(values, method, forecast) {
             nextForecast = currentData[currentData.length - 1];
           }
           break;
+        case 'arima':
+        case 'sarima':
+          const arimaForecaster = require('../algorithms/arimaForecaster');
+          if (arimaModel === undefined) {
+            const [p, d, q] = forecast.order;
+            const [P, D, Q, period] = forecast.seasonalOrder || [0, 0, 0, 0];
+            arimaModel = arimaForecaster.fitArima(trainingData, { p, d, q, P, D, Q, period });
+          }
+          nextForecast = arimaModel
+            ? arimaForecaster.forecastArima(arimaModel, currentData, 1).values[0]
+            : currentData[currentData.length - 1];
+          break;
         default:
           nextForecast = currentData[currentData.length - 1];
       }
@@ -151,6 +166,9 @@ function getForecastingMethod(method) {
         return require('../algorithms/seasonalNaiveForecaster');
       case 'holtWinters':
         return require('../algorithms/holtWintersForecaster');
+      case 'arima':
+      case 'sarima':
+        return require('../algorithms/arimaForecaster');
       default:
         return null;
     }
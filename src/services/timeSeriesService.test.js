@@ -0,0 +1,43 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const moment = require('moment');
+const { analyzeTimeSeries, compareTimeSeries, detectAnomalies } = require('./timeSeriesService');
+
+const months = Array.from({ length: 36 }, (_, i) => moment.utc('2022-01-01').add(i, 'months').format('YYYY-MM-DD'));
+const revenue = months.map((month, i) => ({ month, revenue: 1000 + 15 * i + 120 * Math.sin((2 * Math.PI * i) / 12) }));
+
+describe('analyzeTimeSeries', () => {
+  it('decomposes the series and returns insights and charts', async () => {
+    const result = await analyzeTimeSeries(revenue, 'month', 'revenue', { horizon: 3 });
+
+    expect(result.frequency).toBe('monthly');
+    expect(result.decomposition).toMatchObject({ method: 'stl', period: 12 });
+    expect(result.insights[0]).toMatchObject({ rank: 1, type: expect.any(String), title: expect.any(String) });
+    expect(result.insights.map(insight => insight.type)).toContain('seasonality');
+    expect(result.visualizations.map(chart => chart.id)).toEqual(expect.arrayContaining(['overview', 'decomposition-trend', 'seasonal-profile']));
+  });
+});
+
+describe('compareTimeSeries', () => {
+  it('compares several series', async () => {
+    const costs = revenue.map(row => ({ month: row.month, costs: row.revenue * 0.6 }));
+
+    const result = await compareTimeSeries([
+      { name: 'Revenue', data: revenue, timeColumn: 'month', valueColumn: 'revenue' },
+      { name: 'Costs', data: costs, timeColumn: 'month', valueColumn: 'costs' }
+    ]);
+
+    expect(result.visualizations.map(chart => chart.id)).toEqual(['comparison-overlay', 'comparison-indexed', 'comparison-slopes']);
+    expect(result.insights.find(insight => insight.type === 'correlation').title).toBe('Revenue and Costs move together');
+  });
+});
+
+describe('detectAnomalies', () => {
+  it('marks the anomalies it finds on a chart', async () => {
+    const spiked = revenue.map((row, i) => (i === 20 ? { ...row, revenue: 5000 } : row));
+
+    const result = await detectAnomalies(spiked, 'month', 'revenue');
+
+    expect(result.visualizations[0].markers.map(marker => marker.x)).toContain(months[20]);
+  });
+});
@@ -1,6 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const { TimelineEvent, sequelize, User, FinancialDataset, DataTransformation } = require('../database/models');
 const logger = require('../utils/logger');
+const { reconstructDataset } = require('./transformationReplayService');
+const transformationHistory = require('./transformationHistoryService');
 const timeUtil = require('../utils/timeUtil');
 
 /**
@@ -471,7 +473,7 @@ exports.revertToTimelineEvent = async (params) => {
         {
           model: DataTransformation,
           as: 'transformation',
-          attributes: ['id', 'status']
+          attributes: ['id', 'status', 'parentId']
         }
       ]
     });
@@ -485,28 +487,29 @@ exports.revertToTimelineEvent = async (params) => {
     // Mark later events as undone
     for (const laterEvent of laterEvents) {
       await laterEvent.update({ status: 'undone' });
-      
-      // If the event has an associated transformation, mark it as undone too
-      if (laterEvent.transformation) {
-        await laterEvent.transformation.update({ status: 'undone' });
-      }
     }
     
-    // If the event is a data transformation, get the transformation state
     let transformationData = null;
-    let datasetId = event.datasetId;
+    const datasetId = event.datasetId || (allEvents.find(e => e.datasetId) || {}).datasetId;
     
-    if (event.step <= 3 && event.transformation) {
-      // If reverting to DATA_INGESTION or NLP_PROCESSING or DATA_TRANSFORMATION
-      transformationData = event.transformation.resultPreview;
-    } else if (event.step > 3) {
-      // If reverting to a later step, find the last data transformation
-      const lastTransformation = allEvents.find(e => 
-        e.step === 3 && e.status !== 'undone'
-      );
+    if (datasetId) {
+      // The transformation this session produced, if any
+      const sessionEvent = allEvents.find(e => e.transformation);
+      const sessionTransformation = sessionEvent ? sessionEvent.transformation : null;
       
-      if (lastTransformation && lastTransformation.transformation) {
-        transformationData = lastTransformation.transformation.resultPreview;
+      if (sessionTransformation) {
+        // Events from the transformation step onwards keep the session's transformation;
+        // earlier events go back to the version it was applied to
+        const keepSessionTransformation = event.step >= TIMELINE_STEPS.DATA_TRANSFORMATION.step;
+        const { data } = await transformationHistory.checkout(
+          userId,
+          datasetId,
+          keepSessionTransformation ? sessionTransformation.id : sessionTransformation.parentId
+        );
+        transformationData = data;
+      } else {
+        const { data } = await reconstructDataset(datasetId, { userId });
+        transformationData = data;
       }
     }
     
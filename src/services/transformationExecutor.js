@@ -0,0 +1,504 @@
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const formulaEngine = require('./formula');
+const { joinData, unionData } = require('../utils/dataMerger');
+const {
+  MIXED_CURRENCY,
+  detectColumnTypeMap,
+  getAmountColumns,
+  calculateAggregations,
+  pivotData,
+  unpivotData
+} = require('../utils/dataTransformer');
+const { normalizeCondition, compileCondition, describeCondition } = require('../utils/filterConditions');
+const cleansing = require('../utils/dataCleansing');
+const fuzzyMatcher = require('../utils/fuzzyMatcher');
+const fx = require('./fx');
+
+// Join type spellings the interpreter may produce
+const MERGE_TYPE_ALIASES = {
+  inner: 'inner',
+  left: 'left',
+  left_outer: 'left',
+  right: 'right',
+  right_outer: 'right',
+  full: 'full',
+  outer: 'full',
+  full_outer: 'full',
+  union: 'union',
+  append: 'union',
+  stack: 'union',
+  concat: 'union'
+};
+
+const RATE_TYPE_LABELS = {
+  spot: 'spot',
+  average: 'month-average',
+  closing: 'closing'
+};
+
+/**
+ * Merge the current data with one or more additional sources
+ * @param {Array} data - Current data rows
+ * @param {Object} interpretation - Interpreted operation
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} - Merged data, message and details
+ */
+const executeMerge = async (data, interpretation, context) => {
+  const conditions = interpretation.conditions || {};
+  const sources = context.resolveSources ? await context.resolveSources(conditions) : [];
+
+  if (sources.length === 0) {
+    return {
+      data,
+      message: 'I need at least two files or datasets to merge. Please upload the other file or tell me which dataset to use.',
+      details: null
+    };
+  }
+
+  const requestedType = String(conditions.joinType || conditions.type || 'inner').toLowerCase().replace(/[\s-]/g, '_');
+  const mergeType = MERGE_TYPE_ALIASES[requestedType];
+
+  if (!mergeType) {
+    throw new Error(`Unsupported merge type "${requestedType}"`);
+  }
+
+  const baseName = context.sourceName || 'current data';
+
+  if (mergeType === 'union') {
+    const result = unionData(
+      [{ name: baseName, data }, ...sources],
+      {
+        caseInsensitive: conditions.caseInsensitive !== false,
+        sourceColumn: conditions.sourceColumn || null
+      }
+    );
+    return { data: result.data, message: result.message, details: { merge: [result.report] } };
+  }
+
+  const leftOn = [].concat(conditions.leftOn || conditions.on || interpretation.columns || []);
+  const rightOn = conditions.rightOn ? [].concat(conditions.rightOn) : leftOn;
+
+  let merged = data;
+  let leftName = baseName;
+  const reports = [];
+  const messages = [];
+
+  for (const source of sources) {
+    const result = joinData(merged, source.data, {
+      type: mergeType,
+      leftOn,
+      rightOn,
+      caseInsensitive: Boolean(conditions.caseInsensitive),
+      suffixes: conditions.suffixes,
+      leftName,
+      rightName: source.name
+    });
+
+    merged = result.data;
+    reports.push(result.report);
+    messages.push(result.message);
+    leftName = `${leftName} + ${source.name}`;
+  }
+
+  return {
+    data: merged,
+    message: messages.join(' '),
+    details: { merge: reports }
+  };
+};
+
+/**
+ * Get the FX rates for a conversion
+ * Rates recorded by an earlier run are reused as they were, so a replay converts
+ * every amount exactly as the original transformation did.
+ * @param {Object} conditions - Operation conditions
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} - Rates with getRate(from, to, date, type)
+ */
+const resolveFxRates = async (conditions, context) => {
+  if (conditions.rates) return fx.createPinnedRates(conditions.rates);
+  if (context.loadFxRates) return context.loadFxRates();
+  throw new fx.FxRateError('No FX rates are available; upload a rate table first');
+};
+
+/**
+ * Convert amount columns into a target currency
+ * @param {Array} data - Data rows
+ * @param {Object} options - convertAmounts options; the date and currency columns are detected when omitted
+ * @param {Object} conditions - Operation conditions, for recorded rates
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} - { data, report, settings }, where settings are the options as resolved
+ */
+const convertCurrency = async (data, options, conditions, context) => {
+  const columnTypes = context.columnTypes || detectColumnTypeMap(data);
+  const settings = {
+    ...options,
+    currencyColumn: options.currencyColumn || (options.sourceCurrency ? null : fx.findCurrencyColumn(data)),
+    dateColumn: options.dateColumn || (options.date ? null : Object.keys(columnTypes).find(column => columnTypes[column] === 'date') || null)
+  };
+
+  const rates = await resolveFxRates(conditions, context);
+  const { data: converted, report } = fx.convertAmounts(data, settings, rates);
+  return { data: converted, report, settings };
+};
+
+/**
+ * Describe a currency conversion for the chat reply
+ */
+const describeConversion = (report, settings) => {
+  const currencies = Object.entries(report.currencies).map(([code, count]) => `${count} in ${code}`).join(', ');
+  const basis = settings.dateColumn ? `by ${settings.dateColumn}` : `as of ${settings.date}`;
+  let message = `at ${RATE_TYPE_LABELS[report.rateType]} rates ${basis}${currencies ? ` (${currencies})` : ''}.`;
+
+  if (report.missing.count > 0) {
+    const example = report.missing.examples[0];
+    const outcome = report.unconvertedColumn
+      ? `were kept in their original currency (flagged in ${report.unconvertedColumn})`
+      : 'were left empty';
+    message += ` ${report.missing.count} amount(s) could not be converted and ${outcome} (first issue: row ${example.row + 1}: ${example.reason}${example.currency ? ` for ${example.currency}` : ''}).`;
+  }
+  return message;
+};
+
+/**
+ * Convert amount columns into a reporting currency
+ * The rates used are returned in the conditions so the stored transformation replays identically.
+ * @param {Array} data - Current data rows
+ * @param {Object} interpretation - Interpreted operation
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} - Converted data, message, details and the conditions to store
+ */
+const executeCurrencyConversion = async (data, interpretation, context) => {
+  const conditions = interpretation.conditions || {};
+  const { data: converted, report, settings } = await convertCurrency(data, {
+    columns: interpretation.columns || [],
+    targetCurrency: conditions.targetCurrency,
+    currencyColumn: conditions.currencyColumn,
+    sourceCurrency: conditions.sourceCurrency,
+    dateColumn: conditions.dateColumn,
+    date: conditions.date,
+    rateType: conditions.rateType,
+    newColumn: conditions.newColumn,
+    suffix: conditions.suffix
+  }, conditions, context);
+
+  if (report.missing.count > 0) {
+    logger.warn('Currency conversion left amounts without a rate', { missing: report.missing.count, targetCurrency: report.targetCurrency });
+  }
+
+  return {
+    data: converted,
+    message: `I've converted ${settings.columns.join(', ')} to ${report.targetCurrency} ${describeConversion(report, settings)}`,
+    details: { currency: report },
+    conditions: {
+      ...conditions,
+      currencyColumn: settings.currencyColumn,
+      dateColumn: settings.dateColumn,
+      rates: report.rates
+    }
+  };
+};
+
+/**
+ * Aggregate rows by group, minding the currency of the amounts
+ * Amounts are converted first when the conditions name a targetCurrency;
+ * otherwise groups that add up several currencies are flagged.
+ * @param {Array} data - Current data rows
+ * @param {Object} interpretation - Interpreted operation
+ * @param {Object} context - Execution context
+ * @returns {Promise<Object>} - Aggregated data, message, details and the conditions to store
+ */
+const executeAggregate = async (data, interpretation, context) => {
+  const conditions = interpretation.conditions || {};
+  const groupBy = [].concat(conditions.groupBy || []);
+  const metrics = conditions.metrics || [];
+  const amountColumns = getAmountColumns(metrics);
+  let source = data;
+  let currencyColumn = conditions.currencyColumn || fx.findCurrencyColumn(data);
+  let conversion = null;
+
+  if (conditions.targetCurrency && amountColumns.length > 0) {
+    conversion = await convertCurrency(data, {
+      columns: amountColumns,
+      targetCurrency: conditions.targetCurrency,
+      currencyColumn,
+      sourceCurrency: conditions.sourceCurrency,
+      dateColumn: conditions.rateDateColumn || conditions.dateColumn,
+      date: conditions.rateDate,
+      rateType: conditions.rateType
+    }, conditions, context);
+    source = conversion.data;
+    currencyColumn = conversion.settings.currencyColumn;
+  }
+
+  const result = calculateAggregations(source, groupBy, metrics, {
+    dateColumn: conditions.dateColumn,
+    timeGrain: conditions.timeGrain,
+    currencyColumn
+  });
+
+  const groupLabels = groupBy.map(key => (
+    conditions.timeGrain && key === conditions.timeGrain ? `${key} of ${conditions.dateColumn}` : key
+  ));
+  let message = groupLabels.length > 0
+    ? `I've calculated aggregate values grouped by ${groupLabels.join(', ')}.`
+    : "I've calculated summary values across all rows.";
+
+  if (conversion) {
+    message += ` Amounts were converted to ${conversion.report.targetCurrency} ${describeConversion(conversion.report, conversion.settings)}`;
+    return {
+      data: result.data,
+      message,
+      details: { currency: conversion.report },
+      conditions: {
+        ...conditions,
+        currencyColumn: conversion.settings.currencyColumn,
+        rateDateColumn: conversion.settings.dateColumn,
+        rates: conversion.report.rates
+      }
+    };
+  }
+
+  // Without a currency column, amounts may still carry their currency in the text ("$1,200", "€80")
+  const currencies = currencyColumn
+    ? _.uniq(data.map(row => fx.normalizeCurrency(row[currencyColumn])).filter(Boolean)).sort()
+    : _.uniq(_.flatMap(amountColumns, column => Object.keys(fx.describeCurrencies(data, column).currencies))).sort();
+  const mixedGroups = currencyColumn ? result.mixedGroups : (currencies.length > 1 ? result.data.length : 0);
+
+  if (mixedGroups > 0) {
+    message += ` Warning: ${mixedGroups} of ${result.data.length} total(s) add up amounts in different currencies (${currencies.join(', ')})` +
+      `${currencyColumn ? ` and are marked ${MIXED_CURRENCY} in ${currencyColumn}` : ''}. Group by ${currencyColumn || 'currency'} or convert to a reporting currency first.`;
+  }
+
+  return {
+    data: result.data,
+    message,
+    details: mixedGroups > 0 ? { currency: { column: currencyColumn, currencies, mixedGroups } } : null
+  };
+};
+
+/**
+ * Execute an interpreted transformation against a dataset
+ * The same executor is used for live chat transformations and for replaying
+ * stored transformations, so it must stay deterministic.
+ * @param {Array} data - Data rows
+ * @param {Object} interpretation - { operation, columns, conditions, explanation }
+ * @param {Object} context - Execution context
+ * @param {Object} context.columnTypes - Map of column name to detected type (detected from the data if omitted)
+ * @param {Function} context.resolveSources - Async function returning additional [{ name, data }] for merges
+ * @param {string} context.sourceName - Label of the current data used in reports
+ * @param {Function} context.loadFxRates - Async function returning the user's FX rate table for conversions
+ * @returns {Promise<Object>} - { data, message, details, conditions, review }; conditions are only returned when
+ *   they should be stored instead of the interpreted ones, e.g. with the FX rates a conversion used, and
+ *   review is true for reports that leave the data unchanged until the user confirms them
+ */
+exports.executeOperation = async (data, interpretation, context = {}) => {
+  const columns = interpretation.columns || [];
+  const conditions = interpretation.conditions || {};
+  let transformedData = data;
+  let message = '';
+  let details = null;
+
+  switch (interpretation.operation) {
+    case 'merge':
+      return executeMerge(data, interpretation, context);
+
+    case 'filter': {
+      if (!normalizeCondition(conditions)) {
+        message = "I couldn't find a filter condition. Try something like \"amount > 1000 and region is EMEA\".";
+        break;
+      }
+
+      const predicate = compileCondition(conditions, {
+        columnTypes: context.columnTypes || detectColumnTypeMap(data),
+        data
+      });
+      transformedData = data.filter(predicate);
+      message = `I've filtered the data where ${describeCondition(conditions)}. Kept ${transformedData.length} of ${data.length} rows.`;
+      break;
+    }
+
+    case 'remove_duplicates':
+      // Without key columns, rows must match on every column
+      transformedData = _.uniqBy(data, row => (columns.length > 0
+        ? columns.map(col => row[col]).join('|')
+        : JSON.stringify(row)
+      ));
+      message = `I've removed duplicates based on ${columns.length > 0 ? columns.join(', ') : 'all columns'}. Found ${data.length - transformedData.length} duplicates.`;
+      break;
+
+    case 'merge_duplicates': {
+      // Merging removes rows, so only decisions made on reviewed duplicate
+      // clusters are applied, and only to the exact data that was reviewed
+      const decisions = conditions.decisions;
+
+      if (!decisions) {
+        const report = fuzzyMatcher.findDuplicateClusters(data, {
+          columns,
+          fields: conditions.fields,
+          threshold: conditions.threshold,
+          blocking: conditions.blocking,
+          survivor: conditions.survivor,
+          columnTypes: context.columnTypes || detectColumnTypeMap(data)
+        });
+        const found = report.summary.clusters;
+
+        // The clusters are the result; the data stays as it is until they are reviewed
+        return {
+          data,
+          message: found > 0
+            ? `I found ${found} group${found === 1 ? '' : 's'} of probable duplicates${columns.length > 0 ? ` on ${columns.join(', ')}` : ''} covering ${report.summary.duplicateRows + found} rows. Review them in the duplicate review and confirm which to merge; no rows were removed.`
+            : `I didn't find probable duplicates${columns.length > 0 ? ` on ${columns.join(', ')}` : ''}.`,
+          details: {
+            duplicates: {
+              clusters: report.clusters,
+              summary: report.summary,
+              reviewed: false
+            }
+          },
+          review: true
+        };
+      }
+      if (conditions.rowCount !== undefined && Number(conditions.rowCount) !== data.length) {
+        throw new Error('The data changed since the duplicates were reviewed; review them again');
+      }
+
+      const result = fuzzyMatcher.mergeClusters(data, decisions, { fillBlanks: conditions.fillBlanks });
+      transformedData = result.data;
+      details = {
+        duplicates: {
+          clusters: result.clusters,
+          removed: result.removed,
+          reviewed: true
+        }
+      };
+      message = `I've merged ${result.clusters} reviewed group${result.clusters === 1 ? '' : 's'} of probable duplicates${columns.length > 0 ? ` on ${columns.join(', ')}` : ''}, removing ${result.removed} row${result.removed === 1 ? '' : 's'}.`;
+      break;
+    }
+
+    case 'sort':
+      transformedData = _.orderBy(data, columns, conditions.order || 'asc');
+      message = `I've sorted the data by ${columns.join(', ')} in ${conditions.order || 'ascending'} order.`;
+      break;
+
+    case 'calculate':
+      if (conditions.type === 'aggregate') {
+        return executeAggregate(data, interpretation, context);
+      } else {
+        // Calculate a new column with the sandboxed formula engine
+        const formula = conditions.formula;
+        const newColumn = conditions.newColumn || 'calculated_value';
+
+        if (!formula) {
+          message = "I couldn't find a formula to calculate. Try something like \"price * quantity\".";
+          break;
+        }
+
+        const result = formulaEngine.addCalculatedColumn(data, formula, newColumn, {
+          columnTypes: context.columnTypes || detectColumnTypeMap(data)
+        });
+        transformedData = result.data;
+        details = { formulaErrors: result.errors };
+
+        message = `I've calculated a new column "${newColumn}" based on your formula: ${formula}.`;
+        if (result.errorCount > 0) {
+          message += ` ${result.errorCount} row(s) could not be calculated and were left empty (first issue: row ${result.errors[0].row + 1}: ${result.errors[0].message}).`;
+          logger.warn('Formula evaluation errors', { formula, errorCount: result.errorCount });
+        }
+      }
+      break;
+
+    case 'pivot': {
+      const result = pivotData(data, conditions);
+      transformedData = result.data;
+      details = { pivotColumns: result.columns };
+      message = result.data === data ? result.message : `I've created a pivot table: ${result.message}.`;
+
+      // Cells add up amounts in several currencies unless the pivot splits by currency
+      const currencyColumn = conditions.currencyColumn || fx.findCurrencyColumn(data);
+      const keys = [...[].concat(conditions.rows || []), ...[].concat(conditions.columns || [])];
+      const sumsAmounts = getAmountColumns([{ column: conditions.valueColumn, function: conditions.function }]).length > 0;
+      if (result.data !== data && sumsAmounts && !(currencyColumn && keys.includes(currencyColumn))) {
+        const { currencies, mixed } = fx.describeCurrencies(data, conditions.valueColumn, { currencyColumn });
+        if (mixed) {
+          details.currency = { column: currencyColumn, currencies: Object.keys(currencies).sort(), mixed };
+          message += ` Warning: ${conditions.valueColumn} is in ${details.currency.currencies.join(', ')}; add ${currencyColumn || 'the currency'} to the pivot or convert to a reporting currency first.`;
+        }
+      }
+      break;
+    }
+
+    case 'convert_currency':
+      return executeCurrencyConversion(data, interpretation, context);
+
+    case 'unpivot': {
+      const result = unpivotData(data, conditions);
+      transformedData = result.data;
+      message = result.data === data ? result.message : `I've reshaped the data: ${result.message}.`;
+      break;
+    }
+
+    case 'trim_whitespace': {
+      const result = cleansing.trimWhitespace(data, columns, { collapse: Boolean(conditions.collapse) });
+      transformedData = result.data;
+      message = `I've cleaned up the text: ${result.message}.`;
+      break;
+    }
+
+    case 'change_case': {
+      const result = cleansing.changeCase(data, columns, conditions.case);
+      transformedData = result.data;
+      message = `I've normalized the text: ${result.message}.`;
+      break;
+    }
+
+    case 'cast': {
+      const result = cleansing.castColumns(data, columns, conditions.type, conditions);
+      transformedData = result.data;
+      details = { castErrors: result.errors };
+      message = `I've changed the column type: ${result.message}.`;
+      if (result.errorCount > 0) {
+        logger.warn('Type conversion errors', { columns, type: conditions.type, errorCount: result.errorCount });
+      }
+      break;
+    }
+
+    case 'fill_missing': {
+      const result = cleansing.fillMissing(data, columns, conditions.method, conditions.value);
+      transformedData = result.data;
+      message = `I've filled the gaps: ${result.message}.`;
+      break;
+    }
+
+    case 'drop_column':
+    case 'remove_column': {
+      const result = cleansing.dropColumns(data, columns);
+      transformedData = result.data;
+      message = `I've removed columns: ${result.message}.`;
+      break;
+    }
+
+    case 'rename_column': {
+      const renames = conditions.renames || [{ column: conditions.column || columns[0], newName: conditions.newName }];
+      const result = cleansing.renameColumns(data, renames);
+      transformedData = result.data;
+      message = `I've renamed columns: ${result.message}.`;
+      break;
+    }
+
+    case 'cap_outliers': {
+      const result = cleansing.capOutliers(data, columns, conditions);
+      transformedData = result.data;
+      details = { outlierCaps: result.caps };
+      message = `I've capped outliers: ${result.message}.`;
+      break;
+    }
+
+    default:
+      message = `I'm processing your request: ${interpretation.explanation}`;
+      break;
+  }
+
+  return { data: transformedData, message, details };
+};
@@ -0,0 +1,78 @@
+const { executeOperation } = require('./transformationExecutor');
+
+const vendors = [
+  { vendor: 'ACME Corp.', city: null },
+  { vendor: 'Globex', city: 'Rome' },
+  { vendor: 'Acme Corporation', city: 'Berlin' }
+];
+
+describe('merge_duplicates', () => {
+  const interpretation = { intent: 'Merge similar vendors', operation: 'merge_duplicates', columns: ['vendor'], conditions: {} };
+
+  it('reports the clusters for review and leaves the data unchanged', async () => {
+    const result = await executeOperation(vendors, interpretation);
+
+    expect(result.review).toBe(true);
+    expect(result.data).toBe(vendors);
+    expect(result.details.duplicates).toMatchObject({ reviewed: false, summary: { clusters: 1 } });
+    expect(result.details.duplicates.clusters[0].rows).toEqual([0, 2]);
+    expect(result.message).toContain('I found 1 group of probable duplicates on vendor covering 2 rows');
+  });
+
+  it('says so when there are no duplicates', async () => {
+    const result = await executeOperation(vendors.slice(0, 2), interpretation);
+
+    expect(result.review).toBe(true);
+    expect(result.details.duplicates.clusters).toEqual([]);
+    expect(result.message).toBe("I didn't find probable duplicates on vendor.");
+  });
+
+  it('merges the reviewed decisions', async () => {
+    const result = await executeOperation(vendors, {
+      ...interpretation,
+      conditions: { decisions: [{ rows: [0, 2], survivor: 0 }], rowCount: 3 }
+    });
+
+    expect(result.review).toBeUndefined();
+    expect(result.data).toEqual([{ vendor: 'ACME Corp.', city: 'Berlin' }, { vendor: 'Globex', city: 'Rome' }]);
+    expect(result.details.duplicates).toEqual({ clusters: 1, removed: 1, reviewed: true });
+  });
+
+  it('refuses decisions made on different data', async () => {
+    await expect(executeOperation(vendors, {
+      ...interpretation,
+      conditions: { decisions: [{ rows: [0, 2], survivor: 0 }], rowCount: 4 }
+    })).rejects.toThrow('The data changed since the duplicates were reviewed');
+  });
+});
+
+describe('merge', () => {
+  const ledger = [{ account: '6100', cost_center: 'CC-10' }, { account: '6200', cost_center: 'CC-20' }];
+  const mapping = { name: 'Cost centers', data: [{ cost_center: 'CC-10', name: 'Finance' }] };
+  const merge = (conditions, sources = [mapping]) => executeOperation(
+    ledger,
+    { intent: 'Merge', operation: 'merge', columns: ['cost_center'], conditions },
+    { sourceName: 'GL', resolveSources: async () => sources }
+  );
+
+  it('joins each source in turn and records the join reports', async () => {
+    const result = await merge({ joinType: 'left outer' });
+
+    expect(result.data.map(row => row.name)).toEqual(['Finance', null]);
+    expect(result.details.merge[0]).toMatchObject({ type: 'left', leftName: 'GL', rightName: 'Cost centers', unmatchedLeftRows: 1 });
+  });
+
+  it('stacks the sources for a union', async () => {
+    const result = await merge({ type: 'append' }, [{ name: 'February', data: [{ account: '6300', cost_center: 'CC-30' }] }]);
+
+    expect(result.data.map(row => row.account)).toEqual(['6100', '6200', '6300']);
+    expect(result.details.merge[0].type).toBe('union');
+  });
+
+  it('asks for another file when there is nothing to merge with', async () => {
+    const result = await merge({}, []);
+
+    expect(result.data).toBe(ledger);
+    expect(result.message).toContain('I need at least two files or datasets to merge');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Transformation History Service
+ * Maintains a dataset's transformation history as a tree. Every transformation
+ * points at the transformation it was applied on top of (parentId); the active
+ * version is the path from the original data to the head transformation.
+ * Transformations on that path are 'completed', every other one is 'undone'
+ * and can be brought back with redo or checkout.
+ */
+const logger = require('../utils/logger');
+const { DataTransformation } = require('../database/models');
+const { reconstructDataset } = require('./transformationReplayService');
+
+/**
+ * Load every transformation of a dataset, oldest first
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Array>} - DataTransformation records
+ */
+const loadTransformations = (userId, datasetId) => DataTransformation.findAll({
+  where: { userId, datasetId },
+  order: [['createdAt', 'ASC'], ['id', 'ASC']]
+});
+
+/**
+ * Find the head of the active path
+ * @param {Array} transformations - Transformations, oldest first
+ * @returns {Object|null} - Most recent completed transformation
+ */
+const findHead = (transformations) => {
+  const completed = transformations.filter(t => t.status === 'completed');
+  return completed.length > 0 ? completed[completed.length - 1] : null;
+};
+
+/**
+ * Collect the ids on the path from the original data to a transformation
+ * @param {Map} byId - Transformations by id
+ * @param {Object|null} target - Last transformation of the path
+ * @returns {Set} - Transformation ids
+ */
+const getPathIds = (byId, target) => {
+  const ids = new Set();
+
+  for (let node = target; node && !ids.has(node.id); node = byId.get(node.parentId)) {
+    ids.add(node.id);
+  }
+
+  return ids;
+};
+
+/**
+ * Make a transformation the head of the active path
+ * @param {Array} transformations - Transformations, oldest first
+ * @param {Object|null} target - New head, or null for the original data
+ * @returns {Promise<void>}
+ */
+const moveHead = async (transformations, target) => {
+  const byId = new Map(transformations.map(t => [t.id, t]));
+  const pathIds = getPathIds(byId, target);
+
+  for (const transformation of transformations) {
+    const status = pathIds.has(transformation.id) ? 'completed' : 'undone';
+
+    // Failed transformations never become part of a version
+    if (transformation.status !== status && transformation.status !== 'failed') {
+      await transformation.update({ status });
+    }
+  }
+};
+
+/**
+ * Build the result returned after the head moved
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {string} message - Message for the user
+ * @returns {Promise<Object>} - { data, message, headId, rowCount }
+ */
+const buildVersionResult = async (userId, datasetId, message) => {
+  const { data, transformationId } = await reconstructDataset(datasetId, { userId });
+
+  return {
+    data,
+    message,
+    headId: transformationId,
+    rowCount: data.length
+  };
+};
+
+/**
+ * Undo the head transformation
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Reconstructed data and the undone operation
+ */
+exports.undo = async (userId, datasetId) => {
+  const transformations = await loadTransformations(userId, datasetId);
+  const head = findHead(transformations);
+
+  if (!head) {
+    throw new Error('No operations to undo');
+  }
+
+  const parent = transformations.find(t => t.id === head.parentId) || null;
+  await moveHead(transformations, parent);
+
+  logger.info('Undid transformation', { datasetId, transformationId: head.id });
+
+  const result = await buildVersionResult(
+    userId,
+    datasetId,
+    parent
+      ? `Undone ${head.name} operation. Reverted to previous state.`
+      : 'Reverted to original data state'
+  );
+
+  return { ...result, undoneOperation: head.name };
+};
+
+/**
+ * Redo the most recently undone child of the head transformation
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Reconstructed data and the redone operation
+ */
+exports.redo = async (userId, datasetId) => {
+  const transformations = await loadTransformations(userId, datasetId);
+  const head = findHead(transformations);
+  const headId = head ? head.id : null;
+
+  const candidates = transformations
+    .filter(t => t.status === 'undone' && (t.parentId || null) === headId)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  if (candidates.length === 0) {
+    throw new Error('No operations to redo');
+  }
+
+  const next = candidates[0];
+  await moveHead(transformations, next);
+
+  logger.info('Redid transformation', { datasetId, transformationId: next.id });
+
+  const result = await buildVersionResult(userId, datasetId, `Redone ${next.name} operation.`);
+  return { ...result, redoneOperation: next.name };
+};
+
+/**
+ * Check out any transformation in the history, switching branches if needed
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {number|null} transformationId - Transformation to check out, or null for the original data
+ * @returns {Promise<Object>} - Reconstructed data
+ */
+exports.checkout = async (userId, datasetId, transformationId) => {
+  const transformations = await loadTransformations(userId, datasetId);
+  let target = null;
+
+  if (transformationId) {
+    target = transformations.find(t => t.id === Number(transformationId));
+
+    if (!target) {
+      throw new Error(`Transformation ${transformationId} not found for this dataset`);
+    }
+    if (target.status === 'failed') {
+      throw new Error('A failed transformation cannot be checked out');
+    }
+  }
+
+  await moveHead(transformations, target);
+
+  logger.info('Checked out transformation', { datasetId, transformationId: target ? target.id : null });
+
+  return buildVersionResult(
+    userId,
+    datasetId,
+    target ? `Switched to the version after ${target.name}.` : 'Switched to the original data.'
+  );
+};
+
+/**
+ * Get the transformation history of a dataset as a tree
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Object>} - { headId, canUndo, canRedo, roots }
+ */
+exports.getTree = async (userId, datasetId) => {
+  const transformations = await loadTransformations(userId, datasetId);
+  const byId = new Map(transformations.map(t => [t.id, t]));
+  const head = findHead(transformations);
+  const headId = head ? head.id : null;
+  const pathIds = getPathIds(byId, head);
+
+  const nodes = new Map(transformations.map(t => [t.id, {
+    id: t.id,
+    parentId: t.parentId || null,
+    name: t.name,
+    operation: t.operation,
+    status: t.status,
+    createdAt: t.createdAt,
+    isHead: t.id === headId,
+    onActivePath: pathIds.has(t.id),
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return {
+    datasetId: Number(datasetId),
+    headId,
+    canUndo: Boolean(head),
+    canRedo: transformations.some(t => t.status === 'undone' && (t.parentId || null) === headId),
+    roots
+  };
+};
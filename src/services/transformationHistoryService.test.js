@@ -0,0 +1,105 @@
+jest.mock('../database/models', () => ({ DataTransformation: { findAll: jest.fn() } }));
+jest.mock('./transformationReplayService', () => ({ reconstructDataset: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn() }));
+
+const { DataTransformation } = require('../database/models');
+const { reconstructDataset } = require('./transformationReplayService');
+const { undo, redo, checkout, getTree } = require('./transformationHistoryService');
+
+let transformations;
+let clock;
+
+const record = (id, parentId, name, status, minute) => ({
+  id,
+  parentId,
+  name,
+  operation: name,
+  status,
+  createdAt: new Date(Date.UTC(2024, 0, 1, 9, minute)),
+  updatedAt: new Date(Date.UTC(2024, 0, 1, 9, minute)),
+  async update(values) {
+    Object.assign(this, values, { updatedAt: new Date(Date.UTC(2024, 0, 1, 10, ++clock)) });
+  }
+});
+
+const statuses = () => Object.fromEntries(transformations.map(t => [t.id, t.status]));
+
+beforeEach(() => {
+  clock = 0;
+  // filter(1) -> sort(2) -> rename(3) is active
+  transformations = [
+    record(1, null, 'filter', 'completed', 1),
+    record(2, 1, 'sort', 'completed', 2),
+    record(3, 2, 'rename', 'completed', 3)
+  ];
+  DataTransformation.findAll.mockImplementation(async () => transformations);
+  reconstructDataset.mockImplementation(async () => {
+    const head = transformations.filter(t => t.status === 'completed').pop();
+    return { data: [{ head: head ? head.id : null }], transformationId: head ? head.id : null };
+  });
+});
+
+describe('undo and redo', () => {
+  it('steps back to the parent and returns the reconstructed data', async () => {
+    const result = await undo(1, 3);
+
+    expect(statuses()).toEqual({ 1: 'completed', 2: 'completed', 3: 'undone' });
+    expect(result).toMatchObject({ undoneOperation: 'rename', headId: 2, data: [{ head: 2 }], rowCount: 1 });
+  });
+
+  it('reverts to the original data after the first operation', async () => {
+    await undo(1, 3);
+    await undo(1, 3);
+    const result = await undo(1, 3);
+
+    expect(result.message).toBe('Reverted to original data state');
+    expect(result.headId).toBeNull();
+    await expect(undo(1, 3)).rejects.toThrow('No operations to undo');
+  });
+
+  it('redoes the undone steps in order', async () => {
+    await undo(1, 3);
+    await undo(1, 3);
+
+    expect((await redo(1, 3)).redoneOperation).toBe('sort');
+    expect((await redo(1, 3)).redoneOperation).toBe('rename');
+    await expect(redo(1, 3)).rejects.toThrow('No operations to redo');
+  });
+});
+
+describe('branching', () => {
+  beforeEach(async () => {
+    // Undo two steps, then apply a new operation on top of filter
+    await undo(1, 3);
+    await undo(1, 3);
+    transformations.push(record(4, 1, 'pivot', 'completed', 30));
+  });
+
+  it('keeps the abandoned steps as a sibling branch', async () => {
+    const tree = await getTree(1, 3);
+
+    expect(tree).toMatchObject({ headId: 4, canUndo: true, canRedo: false });
+    expect(tree.roots).toHaveLength(1);
+    expect(tree.roots[0].children.map(child => [child.id, child.onActivePath])).toEqual([[2, false], [4, true]]);
+    expect(tree.roots[0].children[0].children[0]).toMatchObject({ id: 3, status: 'undone' });
+  });
+
+  it('checks out the other branch and back', async () => {
+    const result = await checkout(1, 3, 3);
+
+    expect(statuses()).toEqual({ 1: 'completed', 2: 'completed', 3: 'completed', 4: 'undone' });
+    expect(result.headId).toBe(3);
+
+    await checkout(1, 3, '4');
+    expect(statuses()).toEqual({ 1: 'completed', 2: 'undone', 3: 'undone', 4: 'completed' });
+  });
+
+  it('checks out the original data and refuses unknown or failed transformations', async () => {
+    await checkout(1, 3, null);
+    expect(Object.values(statuses())).toEqual(['undone', 'undone', 'undone', 'undone']);
+
+    transformations.push(record(5, 4, 'join', 'failed', 40));
+    await expect(checkout(1, 3, 5)).rejects.toThrow('A failed transformation cannot be checked out');
+    await expect(checkout(1, 3, 99)).rejects.toThrow('Transformation 99 not found');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Transformation Persistence Service
+ * The one pipeline that runs a transformation on a stored dataset and keeps
+ * its result: the step is tracked on the timeline, checked against the
+ * dataset's validation rules, stored as a DataTransformation on top of its
+ * parent and recorded as a dataset version. Chat commands, recipes and
+ * reviewed duplicate merges all go through it so they are stored alike.
+ */
+const logger = require('../utils/logger');
+const timelineTracking = require('../utils/timelineTracking');
+const { DataTransformation } = require('../database/models');
+const { executeOperation } = require('./transformationExecutor');
+const { recordVersion } = require('./datasetVersionService');
+const { validateData } = require('./validationService');
+const { ValidationFailedError } = require('./validation');
+
+/**
+ * Record a dataset state as a version, logging instead of failing
+ * @param {Object} dataset - FinancialDataset record
+ * @param {Array} data - Rows
+ * @param {Object} options - Options
+ * @param {number} options.userId - User ID
+ * @param {number} options.transformationId - Transformation that produced the rows (null for the original data)
+ * @returns {Promise<void>}
+ */
+exports.recordDatasetVersion = (dataset, data, { userId, transformationId }) =>
+  recordVersion(dataset, data, { userId, transformationId })
+    .then(() => undefined)
+    .catch(error => logger.error('Error recording dataset version:', { error }));
+
+/**
+ * Run a transformation and check its result against the dataset's validation rules
+ * Nothing is stored; a result that breaks a blocking rule throws ValidationFailedError.
+ * @param {Object} params - Parameters
+ * @param {number} params.userId - User ID
+ * @param {Object} params.dataset - FinancialDataset record
+ * @param {Array} params.data - Rows the transformation runs on
+ * @param {Object} params.interpretation - { intent, operation, columns, conditions }
+ * @param {Object} params.context - Execution context for executeOperation
+ * @param {Object} params.details - Extra timeline details, e.g. the recipe step
+ * @param {Object} params.metadata - Timeline metadata
+ * @returns {Promise<Object>} - { result, validation, executionTime }
+ */
+exports.runTransformation = async ({ userId, dataset, data, interpretation, context = {}, details = {}, metadata }) => {
+  const startTime = Date.now();
+
+  const result = await timelineTracking.trackAsyncStep(
+    {
+      userId,
+      stepKey: 'DATA_TRANSFORMATION',
+      datasetId: dataset.id,
+      details: {
+        ...details,
+        operation: interpretation.operation,
+        columns: interpretation.columns,
+        conditions: interpretation.conditions,
+        rowCount: data.length
+      },
+      ...(metadata ? { metadata } : {})
+    },
+    () => executeOperation(data, interpretation, context)
+  );
+
+  // Review results leave the data as it was, so there is nothing new to validate
+  const validation = result.review ? null : await validateData(dataset, result.data, { userId });
+  if (validation && validation.blocked) {
+    await timelineTracking.trackStep({
+      userId,
+      stepKey: 'DATA_VALIDATION',
+      datasetId: dataset.id,
+      status: 'failed',
+      details: {
+        ...details,
+        originalRowCount: data.length,
+        transformedRowCount: result.data.length,
+        validation
+      },
+      ...(metadata ? { metadata } : {})
+    });
+
+    throw new ValidationFailedError(validation);
+  }
+
+  return { result, validation, executionTime: Date.now() - startTime };
+};
+
+/**
+ * Store a transformation result on top of its parent
+ * The conditions the executor resolved (e.g. the FX rates a conversion used)
+ * are recorded in place of the requested ones so replays match.
+ * @param {Object} params - Parameters
+ * @param {number} params.userId - User ID
+ * @param {Object} params.dataset - FinancialDataset record
+ * @param {number} params.parentId - Transformation the result builds on (null for the original data)
+ * @param {Object} params.interpretation - { intent, operation, columns, conditions }
+ * @param {Object} params.result - Executor result
+ * @param {Object} params.validation - Validation report, or null
+ * @param {number} params.rowsBefore - Row count the transformation ran on
+ * @param {number} params.executionTime - Milliseconds
+ * @param {Array} params.sources - Merge sources to record
+ * @param {Object} params.parameters - Extra stored parameters, e.g. { recipeId }
+ * @param {string} params.description - Optional description
+ * @param {string} params.originalDataHash - Hash of the data the chain starts from (default: the dataset's)
+ * @param {Object} params.metadata - Timeline metadata
+ * @returns {Promise<Object>} - DataTransformation record
+ */
+exports.storeTransformation = async ({
+  userId,
+  dataset,
+  parentId,
+  interpretation,
+  result,
+  validation,
+  rowsBefore,
+  executionTime,
+  sources = null,
+  parameters = {},
+  description = null,
+  originalDataHash = dataset.dataHash,
+  metadata
+}) => {
+  const transformation = await DataTransformation.create({
+    userId,
+    datasetId: dataset.id,
+    name: interpretation.intent,
+    ...(description ? { description } : {}),
+    operation: interpretation.operation,
+    parameters: JSON.stringify({
+      columns: interpretation.columns,
+      conditions: result.conditions || interpretation.conditions,
+      ...(sources && sources.length > 0 ? { sources } : {}),
+      ...parameters
+    }),
+    originalDataHash,
+    resultPreview: JSON.stringify(result.data.slice(0, 5)),
+    report: result.details ? JSON.stringify(result.details) : null,
+    status: 'completed',
+    parentId,
+    executionTime
+  });
+
+  await exports.recordDatasetVersion(dataset, result.data, { userId, transformationId: transformation.id });
+
+  await timelineTracking.trackStep({
+    userId,
+    stepKey: 'DATA_VALIDATION',
+    datasetId: dataset.id,
+    transformationId: transformation.id,
+    details: {
+      originalRowCount: rowsBefore,
+      transformedRowCount: result.data.length,
+      // Null when the dataset has no validation rules
+      validation
+    },
+    ...(metadata ? { metadata } : {})
+  });
+
+  return transformation;
+};
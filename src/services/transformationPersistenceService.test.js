@@ -0,0 +1,118 @@
+jest.mock('../database/models', () => ({ DataTransformation: { create: jest.fn() } }));
+jest.mock('../utils/timelineTracking', () => ({ trackAsyncStep: jest.fn(), trackStep: jest.fn() }));
+jest.mock('../utils/logger', () => ({ error: jest.fn() }));
+jest.mock('./transformationExecutor', () => ({ executeOperation: jest.fn() }));
+jest.mock('./datasetVersionService', () => ({ recordVersion: jest.fn() }));
+jest.mock('./validationService', () => ({ validateData: jest.fn() }));
+
+const { DataTransformation } = require('../database/models');
+const timelineTracking = require('../utils/timelineTracking');
+const logger = require('../utils/logger');
+const { executeOperation } = require('./transformationExecutor');
+const { recordVersion } = require('./datasetVersionService');
+const { validateData } = require('./validationService');
+const { ValidationFailedError } = require('./validation');
+const { runTransformation, storeTransformation, recordDatasetVersion } = require('./transformationPersistenceService');
+
+const dataset = { id: 3, name: 'Invoices', dataHash: 'abc' };
+const data = [{ amount: 100, currency: 'USD' }, { amount: 50, currency: 'EUR' }];
+const interpretation = {
+  intent: 'Convert amounts to EUR',
+  operation: 'convert_currency',
+  columns: ['amount'],
+  conditions: { targetCurrency: 'EUR' }
+};
+const converted = {
+  data: [{ amount: 90, currency: 'EUR' }, { amount: 50, currency: 'EUR' }],
+  message: 'Converted 1 amount',
+  details: { fx: { converted: 1 } },
+  conditions: { targetCurrency: 'EUR', rates: [{ from: 'USD', to: 'EUR', rate: 0.9 }] }
+};
+
+beforeEach(() => {
+  timelineTracking.trackAsyncStep.mockImplementation((info, run) => run());
+  timelineTracking.trackStep.mockResolvedValue();
+  executeOperation.mockResolvedValue(converted);
+  validateData.mockResolvedValue(null);
+  recordVersion.mockResolvedValue({ id: 1 });
+  DataTransformation.create.mockImplementation(async attributes => ({ id: 42, ...attributes }));
+});
+
+describe('runTransformation', () => {
+  it('runs the step on the timeline and returns its result', async () => {
+    const { result, validation } = await runTransformation({
+      userId: 1, dataset, data, interpretation, details: { recipe: 'Monthly close', step: 2 }
+    });
+
+    expect(result).toBe(converted);
+    expect(validation).toBeNull();
+    expect(timelineTracking.trackAsyncStep.mock.calls[0][0]).toMatchObject({
+      stepKey: 'DATA_TRANSFORMATION',
+      datasetId: 3,
+      details: { recipe: 'Monthly close', step: 2, operation: 'convert_currency', rowCount: 2 }
+    });
+  });
+
+  it('throws and records the failed validation when a blocking rule breaks', async () => {
+    const report = {
+      blocked: true,
+      results: [{ passed: false, severity: 'error', message: 'amount must not be empty' }],
+      summary: { errors: 1 }
+    };
+    validateData.mockResolvedValue(report);
+
+    await expect(runTransformation({ userId: 1, dataset, data, interpretation })).rejects.toThrow(ValidationFailedError);
+    expect(timelineTracking.trackStep).toHaveBeenCalledWith(expect.objectContaining({
+      stepKey: 'DATA_VALIDATION',
+      status: 'failed',
+      details: expect.objectContaining({ originalRowCount: 2, transformedRowCount: 2, validation: report })
+    }));
+  });
+
+  it('does not validate review results, which leave the data unchanged', async () => {
+    executeOperation.mockResolvedValue({ data, message: 'I found 1 group', details: null, review: true });
+
+    const { validation } = await runTransformation({ userId: 1, dataset, data, interpretation });
+
+    expect(validation).toBeNull();
+    expect(validateData).not.toHaveBeenCalled();
+  });
+});
+
+describe('storeTransformation', () => {
+  it('records the resolved conditions, sources and extra parameters on top of the parent', async () => {
+    const transformation = await storeTransformation({
+      userId: 1,
+      dataset,
+      parentId: 7,
+      interpretation,
+      result: converted,
+      validation: null,
+      rowsBefore: 2,
+      executionTime: 5,
+      sources: [{ name: 'Rates', datasetId: 9 }],
+      parameters: { recipeId: 4 }
+    });
+
+    const stored = DataTransformation.create.mock.calls[0][0];
+    expect(JSON.parse(stored.parameters)).toEqual({
+      columns: ['amount'],
+      conditions: converted.conditions,
+      sources: [{ name: 'Rates', datasetId: 9 }],
+      recipeId: 4
+    });
+    expect(stored).toMatchObject({ parentId: 7, originalDataHash: 'abc', status: 'completed', report: JSON.stringify(converted.details) });
+    expect(recordVersion).toHaveBeenCalledWith(dataset, converted.data, { userId: 1, transformationId: 42 });
+    expect(timelineTracking.trackStep).toHaveBeenCalledWith(expect.objectContaining({ stepKey: 'DATA_VALIDATION', transformationId: 42 }));
+    expect(transformation.id).toBe(42);
+  });
+});
+
+describe('recordDatasetVersion', () => {
+  it('logs instead of failing when the version cannot be stored', async () => {
+    recordVersion.mockRejectedValue(new Error('disk full'));
+
+    await expect(recordDatasetVersion(dataset, data, { userId: 1, transformationId: null })).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
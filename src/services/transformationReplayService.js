@@ -0,0 +1,202 @@
+/**
+ * Transformation Replay Service
+ * Reconstructs any version of a dataset by re-applying its stored
+ * DataTransformation chain to the original source file.
+ */
+const logger = require('../utils/logger');
+const { DataTransformation, FinancialDataset } = require('../database/models');
+const { loadDatasetRows } = require('../utils/datasetLoader');
+const { executeOperation } = require('./transformationExecutor');
+
+/**
+ * Parse a JSON column stored as TEXT
+ * @param {*} value - Stored value
+ * @param {*} fallback - Value returned when parsing fails
+ * @returns {*} - Parsed value
+ */
+const parseStoredJson = (value, fallback = null) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Turn a stored transformation back into an executable interpretation
+ * @param {Object} transformation - DataTransformation record
+ * @returns {Object} - { operation, columns, conditions, explanation, sources }
+ */
+const toInterpretation = (transformation) => {
+  const parameters = parseStoredJson(transformation.parameters, {});
+
+  return {
+    intent: transformation.name,
+    operation: transformation.operation,
+    columns: parameters.columns || [],
+    conditions: parameters.conditions || {},
+    explanation: transformation.description || transformation.name,
+    sources: parameters.sources || []
+  };
+};
+
+/**
+ * Load the merge sources recorded for a transformation
+ * Only sources stored as datasets can be replayed, and only from the datasets
+ * of the user replaying them.
+ * @param {Array} sources - Recorded sources ({ name, datasetId, dataHash })
+ * @param {number} userId - User whose datasets the sources must be
+ * @returns {Promise<Array>} - [{ name, data }]
+ */
+const loadRecordedSources = async (sources, userId) => Promise.all(sources.map(async (source) => {
+  if (!source.datasetId) {
+    throw new Error(`Merge source "${source.name}" was not stored and cannot be replayed`);
+  }
+  if (!userId) {
+    throw new Error('A user is required to load merge sources');
+  }
+
+  const dataset = await FinancialDataset.findOne({ where: { id: source.datasetId, userId } });
+  if (!dataset) {
+    throw new Error(`Merge source dataset ${source.datasetId} not found`);
+  }
+
+  return { name: dataset.name, data: loadDatasetRows(dataset) };
+}));
+
+/**
+ * Get the ordered chain of transformations that produces a dataset version
+ * The chain follows parentId links from the requested transformation back to
+ * the original data, so transformations on other branches are never included.
+ * @param {number} datasetId - Dataset ID
+ * @param {Object} options - Options
+ * @param {number} options.userId - Restrict to a user's transformations
+ * @param {number} options.upToTransformationId - Last transformation of the chain; defaults to the head
+ * @returns {Promise<Array>} - DataTransformation records, oldest first
+ */
+exports.getTransformationChain = async (datasetId, options = {}) => {
+  const { userId = null, upToTransformationId = null } = options;
+
+  const transformations = await DataTransformation.findAll({
+    where: {
+      datasetId,
+      ...(userId ? { userId } : {})
+    },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  const byId = new Map(transformations.map(t => [t.id, t]));
+
+  let target;
+  if (upToTransformationId) {
+    target = byId.get(Number(upToTransformationId));
+
+    if (!target) {
+      throw new Error(`Transformation ${upToTransformationId} not found for this dataset`);
+    }
+  } else {
+    // The head is the most recent transformation on the active path
+    target = transformations.filter(t => t.status === 'completed').pop();
+  }
+
+  const chain = [];
+  const seen = new Set();
+  for (let node = target; node && !seen.has(node.id); node = byId.get(node.parentId)) {
+    seen.add(node.id);
+    chain.unshift(node);
+  }
+
+  return chain;
+};
+
+/**
+ * Re-apply a chain of transformations to source data
+ * @param {Array} sourceData - Rows of the original dataset
+ * @param {Array} transformations - DataTransformation records, oldest first
+ * @param {Object} options - Options
+ * @param {string} options.sourceName - Label of the source dataset
+ * @param {number} options.userId - Owner of the merge sources
+ * @returns {Promise<Object>} - { data, steps }
+ */
+exports.replayTransformations = async (sourceData, transformations, options = {}) => {
+  let data = sourceData;
+  const steps = [];
+
+  for (const transformation of transformations) {
+    const interpretation = toInterpretation(transformation);
+    const before = data.length;
+
+    const result = await executeOperation(data, interpretation, {
+      sourceName: options.sourceName,
+      resolveSources: () => loadRecordedSources(interpretation.sources, options.userId)
+    });
+
+    data = result.data;
+    steps.push({
+      transformationId: transformation.id,
+      operation: transformation.operation,
+      name: transformation.name,
+      rowsBefore: before,
+      rowsAfter: data.length
+    });
+  }
+
+  return { data, steps };
+};
+
+/**
+ * Reconstruct a dataset version in full
+ * @param {number|Object} datasetOrId - FinancialDataset record or ID
+ * @param {Object} options - Options
+ * @param {number} options.userId - Restrict to a user's datasets and transformations
+ * @param {number} options.transformationId - Reconstruct the state right after this transformation;
+ *   omit for the current state, or pass 0 for the original data
+ * @returns {Promise<Object>} - { dataset, data, steps, transformationId }
+ */
+exports.reconstructDataset = async (datasetOrId, options = {}) => {
+  const { userId = null, transformationId = null } = options;
+
+  const dataset = typeof datasetOrId === 'object'
+    ? datasetOrId
+    : await FinancialDataset.findByPk(datasetOrId);
+
+  if (!dataset || (userId && dataset.userId && dataset.userId !== userId)) {
+    throw new Error('Dataset not found');
+  }
+
+  const sourceData = loadDatasetRows(dataset);
+
+  if (transformationId === 0) {
+    return { dataset, data: sourceData, steps: [], transformationId: null };
+  }
+
+  const chain = await exports.getTransformationChain(dataset.id, {
+    userId,
+    upToTransformationId: transformationId
+  });
+
+  const { data, steps } = await exports.replayTransformations(sourceData, chain, {
+    sourceName: dataset.name,
+    userId: userId || dataset.userId
+  });
+
+  logger.info('Reconstructed dataset version', {
+    datasetId: dataset.id,
+    transformationId: transformationId || (chain.length ? chain[chain.length - 1].id : null),
+    steps: steps.length,
+    rowCount: data.length
+  });
+
+  return {
+    dataset,
+    data,
+    steps,
+    transformationId: chain.length ? chain[chain.length - 1].id : null
+  };
+};
+
+exports.parseStoredJson = parseStoredJson;
+exports.toInterpretation = toInterpretation;
+exports.loadRecordedSources = loadRecordedSources;
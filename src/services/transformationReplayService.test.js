@@ -0,0 +1,92 @@
+jest.mock('../database/models', () => ({
+  DataTransformation: { findAll: jest.fn() },
+  FinancialDataset: { findOne: jest.fn(), findByPk: jest.fn() }
+}));
+jest.mock('../utils/datasetLoader', () => ({ loadDatasetRows: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const { DataTransformation, FinancialDataset } = require('../database/models');
+const { loadDatasetRows } = require('../utils/datasetLoader');
+const { getTransformationChain, reconstructDataset } = require('./transformationReplayService');
+
+const dataset = { id: 3, userId: 1, name: 'Invoices' };
+const source = [
+  { invoice: 'INV-1', amount: 500, cost_center: 'CC-10' },
+  { invoice: 'INV-2', amount: 20000, cost_center: 'CC-20' },
+  { invoice: 'INV-3', amount: 1500, cost_center: 'CC-10' }
+];
+const mapping = { id: 9, userId: 1, name: 'Cost centers' };
+const mappingRows = [{ cost_center: 'CC-10', name: 'Finance' }];
+
+const transformation = (id, parentId, operation, parameters, status = 'completed') => ({
+  id, parentId, operation, status, name: operation, parameters: JSON.stringify(parameters)
+});
+
+// 1 filter -> 2 sort -> 3 merge is the active path; 4 is an abandoned branch off 1
+const history = [
+  transformation(1, null, 'filter', { columns: ['amount'], conditions: { column: 'amount', operator: '<', value: 10000 } }),
+  transformation(2, 1, 'sort', { columns: ['amount'], conditions: { order: 'desc' } }),
+  transformation(4, 1, 'remove_column', { columns: ['cost_center'] }, 'undone'),
+  transformation(3, 2, 'merge', {
+    columns: ['cost_center'],
+    conditions: { joinType: 'left' },
+    sources: [{ name: 'Cost centers', datasetId: 9 }]
+  })
+];
+
+beforeEach(() => {
+  DataTransformation.findAll.mockResolvedValue(history);
+  FinancialDataset.findByPk.mockResolvedValue(dataset);
+  FinancialDataset.findOne.mockImplementation(async ({ where }) => (where.id === 9 && where.userId === 1 ? mapping : null));
+  loadDatasetRows.mockImplementation(record => (record === mapping ? mappingRows : source));
+});
+
+describe('getTransformationChain', () => {
+  it('follows parent links from the head of the active path', async () => {
+    const chain = await getTransformationChain(3, { userId: 1 });
+
+    expect(chain.map(t => t.id)).toEqual([1, 2, 3]);
+  });
+
+  it('follows a branch back to the original data', async () => {
+    const chain = await getTransformationChain(3, { upToTransformationId: 4 });
+
+    expect(chain.map(t => t.id)).toEqual([1, 4]);
+  });
+
+  it('rejects transformations of other datasets', async () => {
+    await expect(getTransformationChain(3, { upToTransformationId: 77 })).rejects.toThrow('Transformation 77 not found');
+  });
+});
+
+describe('reconstructDataset', () => {
+  it('replays the whole chain, including merges with stored datasets', async () => {
+    const result = await reconstructDataset(3, { userId: 1 });
+
+    expect(result.transformationId).toBe(3);
+    expect(result.data).toEqual([
+      { invoice: 'INV-3', amount: 1500, cost_center: 'CC-10', name: 'Finance' },
+      { invoice: 'INV-1', amount: 500, cost_center: 'CC-10', name: 'Finance' }
+    ]);
+    expect(result.steps.map(step => [step.operation, step.rowsBefore, step.rowsAfter]))
+      .toEqual([['filter', 3, 2], ['sort', 2, 2], ['merge', 2, 2]]);
+  });
+
+  it('reconstructs an earlier version or the original data', async () => {
+    const afterFilter = await reconstructDataset(3, { userId: 1, transformationId: 1 });
+    const original = await reconstructDataset(3, { userId: 1, transformationId: 0 });
+
+    expect(afterFilter.data.map(row => row.invoice)).toEqual(['INV-1', 'INV-3']);
+    expect(original).toMatchObject({ data: source, steps: [], transformationId: null });
+  });
+
+  it('only loads merge sources owned by the user', async () => {
+    FinancialDataset.findOne.mockResolvedValue(null);
+
+    await expect(reconstructDataset(3, { userId: 1 })).rejects.toThrow('Merge source dataset 9 not found');
+  });
+
+  it("refuses other users' datasets", async () => {
+    await expect(reconstructDataset(3, { userId: 2 })).rejects.toThrow('Dataset not found');
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Validation Error Classes
+ */
+
+/**
+ * Rule Error - raised when a rule definition is incomplete or invalid
+ */
+class ValidationRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationRuleError';
+  }
+}
+
+/**
+ * Validation Failed Error - raised when a rule with severity "error" fails,
+ * blocking the transformation; the full report is attached
+ */
+class ValidationFailedError extends Error {
+  constructor(report) {
+    const failed = report.results.filter(result => !result.passed && result.severity === 'error');
+    super(`Validation failed: ${failed.map(result => result.message).join('; ')}`);
+    this.name = 'ValidationFailedError';
+    this.report = report;
+  }
+}
+
+module.exports = {
+  ValidationRuleError,
+  ValidationFailedError
+};
@@ -0,0 +1,142 @@
+/**
+ * Data Validation Rules Engine
+ * Checks a dataset against the expectations declared on it
+ *
+ * Rule types:
+ *   not_null       - columns are filled in
+ *   unique         - a column, or a combination of columns, has no duplicates
+ *   range          - numbers or dates between min and/or max
+ *   allowed_values - values come from a list
+ *   regex          - values match a pattern
+ *   reference      - values exist in a column of another dataset
+ *   balanced       - debits equal credits, overall or per group
+ *   row_count      - the number of rows is within bounds
+ *
+ * A failing rule with severity "error" blocks the transformation that
+ * produced the data; a failing "warning" is reported and the data is kept.
+ */
+const { RULE_TYPES, getRuleColumns, findMissingColumns } = require('./rules');
+const { ValidationRuleError, ValidationFailedError } = require('./errors');
+
+const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Check and normalize a rule definition
+ * @param {Object} definition - { type, name, severity, parameters }
+ * @returns {Object} - { type, name, severity, parameters }
+ */
+const normalizeRule = (definition = {}) => {
+  const type = String(definition.type || '').toLowerCase();
+  const ruleType = RULE_TYPES[type];
+
+  if (!ruleType) {
+    throw new ValidationRuleError(`Unknown rule type: ${definition.type}. Use ${Object.keys(RULE_TYPES).join(', ')}`);
+  }
+
+  const severity = definition.severity || 'error';
+  if (!SEVERITIES.includes(severity)) {
+    throw new ValidationRuleError(`Severity must be ${SEVERITIES.join(' or ')}`);
+  }
+
+  const parameters = ruleType.prepare(definition.parameters || {});
+
+  return {
+    type,
+    name: definition.name || ruleType.describe(parameters),
+    severity,
+    parameters
+  };
+};
+
+/**
+ * Run one rule against the data
+ * @param {Array} data - Rows
+ * @param {Object} rule - { id, type, name, severity, parameters }
+ * @param {Object} context - { loadReference }
+ * @returns {Promise<Object>} - Rule result
+ */
+const runRule = async (data, rule, context) => {
+  const base = {
+    ...(rule.id ? { ruleId: rule.id } : {}),
+    name: rule.name || rule.type,
+    type: rule.type,
+    severity: rule.severity || 'error'
+  };
+  const failure = (message, failed = 0) => ({
+    ...base,
+    passed: false,
+    failed,
+    checked: data.length,
+    unit: 'rows',
+    examples: [],
+    message: `${base.name}: ${message}`
+  });
+
+  try {
+    const { type, parameters, name } = normalizeRule(rule);
+    base.name = name;
+
+    // A rule on a column the transformation removed fails rather than passing vacuously
+    const missing = findMissingColumns(data, getRuleColumns(type, parameters));
+    if (missing.length > 0 && data.length > 0) {
+      return failure(`column ${missing.map(column => `"${column}"`).join(', ')} not found`, data.length);
+    }
+
+    const result = await RULE_TYPES[type].check(data, parameters, context);
+    return {
+      ...base,
+      passed: result.failed === 0,
+      ...result,
+      message: result.failed === 0
+        ? `${name}: passed`
+        : `${name}: ${result.failed} of ${result.checked} ${result.unit === 'dataset' ? 'checks' : result.unit} failed`
+    };
+  } catch (error) {
+    // A rule that cannot run (e.g. its reference dataset is gone) counts as failed
+    return failure(error.message);
+  }
+};
+
+/**
+ * Validate data against a set of rules
+ * @param {Array} data - Rows
+ * @param {Array} rules - [{ id, type, name, severity, parameters }]
+ * @param {Object} context - Options
+ * @param {Function} context.loadReference - async (datasetId) => rows, for reference rules
+ * @returns {Promise<Object>} - { passed, blocked, summary, results, rowCount, validatedAt }
+ */
+const runValidation = async (data, rules, context = {}) => {
+  const results = [];
+  for (const rule of rules) {
+    results.push(await runRule(data, rule, {
+      loadReference: () => Promise.reject(new Error('Reference datasets are not available')),
+      ...context
+    }));
+  }
+
+  const failed = results.filter(result => !result.passed);
+  const errors = failed.filter(result => result.severity === 'error');
+
+  return {
+    passed: failed.length === 0,
+    blocked: errors.length > 0,
+    summary: {
+      rules: results.length,
+      passed: results.length - failed.length,
+      errors: errors.length,
+      warnings: failed.length - errors.length
+    },
+    results,
+    rowCount: data.length,
+    validatedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  RULE_TYPES,
+  SEVERITIES,
+  normalizeRule,
+  runValidation,
+  ValidationRuleError,
+  ValidationFailedError
+};
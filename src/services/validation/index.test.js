@@ -0,0 +1,126 @@
+const { normalizeRule, runValidation, ValidationRuleError, ValidationFailedError } = require('./index');
+
+const journal = [
+  { entry: 'JE-1', account: '1000', debit: 500, credit: 0, status: 'posted', booked: '2024-01-15' },
+  { entry: 'JE-1', account: '4000', debit: 0, credit: 500, status: 'posted', booked: '2024-01-15' },
+  { entry: 'JE-2', account: '6100', debit: 120, credit: 0, status: 'draft', booked: '2024-02-03' },
+  { entry: 'JE-2', account: '', debit: 0, credit: 100, status: 'Posted', booked: '2023-12-31' }
+];
+
+const run = (rule, data = journal, context) => runValidation(data, [rule], context).then(report => report.results[0]);
+
+describe('normalizeRule', () => {
+  it('names rules after what they check', () => {
+    expect(normalizeRule({ type: 'not_null', parameters: { column: 'account' } }))
+      .toEqual({ type: 'not_null', name: 'account filled in', severity: 'error', parameters: { columns: ['account'] } });
+    expect(normalizeRule({ type: 'Range', parameters: { column: 'debit', min: 0 } }).name).toBe('debit at least 0');
+    expect(normalizeRule({ type: 'balanced', parameters: { debitColumn: 'debit', creditColumn: 'credit', groupBy: 'entry' } }).name)
+      .toBe('debit equals credit per entry');
+  });
+
+  it('accepts the rules it normalized, as they are stored', () => {
+    const rule = normalizeRule({ type: 'balanced', parameters: { column: 'amount' } });
+
+    expect(normalizeRule(rule)).toEqual(rule);
+  });
+
+  it('rejects incomplete or unknown rules', () => {
+    expect(() => normalizeRule({ type: 'spellcheck' })).toThrow(ValidationRuleError);
+    expect(() => normalizeRule({ type: 'not_null' })).toThrow('Choose the column the rule checks');
+    expect(() => normalizeRule({ type: 'range', parameters: { column: 'debit' } })).toThrow('needs "min", "max" or both');
+    expect(() => normalizeRule({ type: 'range', parameters: { column: 'debit', min: 0, max: '2024-01-01' } }))
+      .toThrow('must both be numbers or both be dates');
+    expect(() => normalizeRule({ type: 'regex', parameters: { column: 'entry', pattern: '(' } })).toThrow('Invalid pattern');
+    expect(() => normalizeRule({ type: 'row_count', parameters: { min: 1.5 } })).toThrow('whole numbers');
+    expect(() => normalizeRule({ type: 'unique', severity: 'fatal', parameters: { column: 'entry' } })).toThrow('Severity must be');
+  });
+});
+
+describe('rule checks', () => {
+  it('finds blank and duplicate values', async () => {
+    const blanks = await run({ type: 'not_null', parameters: { columns: ['account', 'status'] } });
+    const duplicates = await run({ type: 'unique', parameters: { columns: ['entry', 'account'] } });
+    const entries = await run({ type: 'unique', parameters: { column: 'entry' } });
+
+    expect(blanks).toMatchObject({ passed: false, failed: 1, checked: 4, examples: [{ row: 4, column: 'account', value: '' }] });
+    expect(duplicates.passed).toBe(true);
+    expect(entries.examples).toEqual([
+      { row: 2, column: 'entry', value: 'JE-1', firstRow: 1 },
+      { row: 4, column: 'entry', value: 'JE-2', firstRow: 3 }
+    ]);
+  });
+
+  it('checks number and date ranges', async () => {
+    const amounts = await run({ type: 'range', parameters: { column: 'debit', min: 0, max: 400 } });
+    const dates = await run({ type: 'range', parameters: { column: 'booked', min: '2024-01-01' } });
+
+    expect(amounts.examples).toEqual([{ row: 1, column: 'debit', value: 500 }]);
+    expect(dates.examples).toEqual([{ row: 4, column: 'booked', value: '2023-12-31' }]);
+  });
+
+  it('checks allowed values and patterns', async () => {
+    const statuses = await run({ type: 'allowed_values', parameters: { column: 'status', values: ['posted'] } });
+    const anyCase = await run({ type: 'allowed_values', parameters: { column: 'status', values: ['posted', 'draft'], ignoreCase: true } });
+    const accounts = await run({ type: 'regex', parameters: { column: 'account', pattern: '^\\d{4}$', flags: 'g' } });
+
+    expect(statuses.examples.map(example => example.value)).toEqual(['draft', 'Posted']);
+    expect(anyCase.passed).toBe(true);
+    // Blanks are left to not-null rules, and the g flag keeps no state between rows
+    expect(accounts.passed).toBe(true);
+  });
+
+  it('checks values against another dataset', async () => {
+    const chart = [{ code: '1000' }, { code: '4000' }];
+    const loadReference = jest.fn().mockResolvedValue(chart);
+
+    const result = await run({ type: 'reference', parameters: { column: 'account', datasetId: '9', referenceColumn: 'code' } }, journal, { loadReference });
+
+    expect(loadReference).toHaveBeenCalledWith(9);
+    expect(result.examples).toEqual([{ row: 3, column: 'account', value: '6100' }]);
+  });
+
+  it('fails reference rules that cannot load their dataset', async () => {
+    const result = await run({ type: 'reference', parameters: { column: 'account', datasetId: 9 } });
+
+    expect(result).toMatchObject({ passed: false, message: 'account found in account of dataset 9: Reference datasets are not available' });
+  });
+
+  it('checks that debits equal credits per group', async () => {
+    const result = await run({ type: 'balanced', parameters: { debitColumn: 'debit', creditColumn: 'credit', groupBy: ['entry'] } });
+    const signed = await run({ type: 'balanced', parameters: { column: 'amount', tolerance: 0.01 } }, [{ amount: '1,000.00' }, { amount: -999.995 }]);
+
+    expect(result).toMatchObject({ failed: 1, checked: 2, unit: 'groups' });
+    expect(result.examples).toEqual([{ group: { entry: 'JE-2' }, debits: 120, credits: 100, difference: -20, rows: 2 }]);
+    expect(result.message).toBe('debit equals credit per entry: 1 of 2 groups failed');
+    expect(signed.passed).toBe(true);
+  });
+
+  it('checks the row count', async () => {
+    const result = await run({ type: 'row_count', parameters: { min: 5 } });
+
+    expect(result).toMatchObject({ passed: false, unit: 'dataset', examples: [{ rowCount: 4 }], message: 'at least 5 rows: 1 of 1 checks failed' });
+  });
+
+  it('fails rules on columns the data no longer has', async () => {
+    const result = await run({ type: 'not_null', parameters: { column: 'memo' } });
+
+    expect(result).toMatchObject({ passed: false, failed: 4, message: 'memo filled in: column "memo" not found' });
+  });
+});
+
+describe('runValidation', () => {
+  it('blocks on failing errors and only reports failing warnings', async () => {
+    const rules = [
+      { id: 1, type: 'not_null', severity: 'warning', parameters: { column: 'account' } },
+      { id: 2, type: 'row_count', parameters: { max: 10 } }
+    ];
+
+    const warned = await runValidation(journal, rules);
+    const blocked = await runValidation(journal, [...rules, { id: 3, type: 'unique', parameters: { column: 'entry' } }]);
+
+    expect(warned).toMatchObject({ passed: false, blocked: false, summary: { rules: 2, passed: 1, errors: 0, warnings: 1 }, rowCount: 4 });
+    expect(warned.results[0].ruleId).toBe(1);
+    expect(blocked.blocked).toBe(true);
+    expect(new ValidationFailedError(blocked).message).toBe('Validation failed: entry unique: 2 of 4 rows failed');
+  });
+});
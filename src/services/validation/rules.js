@@ -0,0 +1,404 @@
+/**
+ * Validation Rule Types
+ * Each type normalizes its parameters, describes itself in one line and
+ * checks a dataset. A check returns the number of failures, what was
+ * checked (rows, groups or the dataset) and a few examples.
+ */
+const { isMissing, parseNumber, toDate } = require('../formula/coercion');
+const { ValidationRuleError } = require('./errors');
+
+// Failures listed per rule; the count always covers every failure
+const MAX_EXAMPLES = 5;
+
+// Difference below which debits and credits are considered equal
+const DEFAULT_TOLERANCE = 0.005;
+
+/**
+ * Collect failures, keeping only the first examples
+ * @returns {Object} - { add(example), result(checked, unit) }
+ */
+const createCollector = () => {
+  const examples = [];
+  let failed = 0;
+
+  return {
+    add: (example) => {
+      failed += 1;
+      if (examples.length < MAX_EXAMPLES) examples.push(example);
+    },
+    result: (checked, unit = 'rows') => ({ failed, checked, unit, examples })
+  };
+};
+
+/**
+ * Read the column list of a rule: "columns" or a single "column"
+ * @param {Object} parameters - Rule parameters
+ * @returns {Array} - Column names
+ */
+const toColumnList = (parameters) => {
+  const columns = parameters.columns !== undefined ? parameters.columns : parameters.column;
+  const list = (Array.isArray(columns) ? columns : [columns]).filter(column => column !== undefined && column !== null && column !== '');
+
+  if (list.length === 0) {
+    throw new ValidationRuleError('Choose the column the rule checks');
+  }
+  return list.map(String);
+};
+
+/**
+ * Require a single column parameter
+ */
+const requireColumn = (parameters, name = 'column') => {
+  if (!parameters[name]) {
+    throw new ValidationRuleError(`The rule needs a "${name}" parameter`);
+  }
+  return String(parameters[name]);
+};
+
+/**
+ * Columns a rule reads that the data does not have
+ * @param {Array} data - Rows
+ * @param {Array} columns - Column names
+ * @returns {Array} - Missing column names
+ */
+const findMissingColumns = (data, columns) => {
+  const present = new Set(data.flatMap(row => Object.keys(row)));
+  return columns.filter(column => !present.has(column));
+};
+
+/**
+ * Parse a range bound; numbers stay numbers, anything else must be a date
+ * @returns {Object|null} - { kind, value } or null when the bound is not set
+ */
+const toBound = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = parseNumber(value);
+  if (typeof number === 'number' && !Number.isNaN(number)) return { kind: 'number', value: number };
+
+  let date = null;
+  try {
+    date = toDate(value);
+  } catch (error) {
+    date = null;
+  }
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ValidationRuleError(`"${name}" must be a number or a date`);
+  }
+  return { kind: 'date', value: date.getTime() };
+};
+
+/**
+ * Parse a cell for comparison with a range bound
+ * @returns {number} - Number or timestamp; NaN when the value does not parse
+ */
+const toComparable = (value, kind) => {
+  if (kind === 'number') {
+    const number = parseNumber(value);
+    return number === null ? NaN : number;
+  }
+
+  try {
+    const date = toDate(value);
+    return date ? date.getTime() : NaN;
+  } catch (error) {
+    return NaN;
+  }
+};
+
+const RULE_TYPES = {
+  not_null: {
+    prepare: (parameters) => ({ columns: toColumnList(parameters) }),
+    describe: ({ columns }) => `${columns.join(', ')} filled in`,
+    check: (data, { columns }) => {
+      const failures = createCollector();
+
+      data.forEach((row, index) => {
+        columns.forEach(column => {
+          if (isMissing(row[column])) failures.add({ row: index + 1, column, value: row[column] === undefined ? null : row[column] });
+        });
+      });
+
+      return failures.result(data.length);
+    }
+  },
+
+  unique: {
+    prepare: (parameters) => ({ columns: toColumnList(parameters) }),
+    describe: ({ columns }) => `${columns.join(' + ')} unique`,
+    check: (data, { columns }) => {
+      const failures = createCollector();
+      const seen = new Map();
+
+      data.forEach((row, index) => {
+        const values = columns.map(column => row[column]);
+        // Blank keys are left to not-null rules
+        if (values.every(isMissing)) return;
+
+        const key = JSON.stringify(values.map(value => String(value).trim()));
+        if (seen.has(key)) {
+          failures.add({ row: index + 1, column: columns.join(', '), value: values.join(', '), firstRow: seen.get(key) });
+        } else {
+          seen.set(key, index + 1);
+        }
+      });
+
+      return failures.result(data.length);
+    }
+  },
+
+  range: {
+    prepare: (parameters) => {
+      const column = requireColumn(parameters);
+      const min = toBound(parameters.min, 'min');
+      const max = toBound(parameters.max, 'max');
+
+      if (!min && !max) {
+        throw new ValidationRuleError('A range rule needs "min", "max" or both');
+      }
+      if (min && max && min.kind !== max.kind) {
+        throw new ValidationRuleError('"min" and "max" must both be numbers or both be dates');
+      }
+      if (min && max && min.value > max.value) {
+        throw new ValidationRuleError('"min" is greater than "max"');
+      }
+
+      return { column, min: parameters.min, max: parameters.max };
+    },
+    describe: ({ column, min, max }) => {
+      if (min !== undefined && min !== null && max !== undefined && max !== null) return `${column} between ${min} and ${max}`;
+      return min !== undefined && min !== null ? `${column} at least ${min}` : `${column} at most ${max}`;
+    },
+    check: (data, { column, min, max }) => {
+      const failures = createCollector();
+      const lower = toBound(min, 'min');
+      const upper = toBound(max, 'max');
+      const kind = (lower || upper).kind;
+
+      data.forEach((row, index) => {
+        const value = row[column];
+        if (isMissing(value)) return;
+
+        const comparable = toComparable(value, kind);
+        if (Number.isNaN(comparable)) {
+          failures.add({ row: index + 1, column, value, reason: `not a ${kind}` });
+        } else if ((lower && comparable < lower.value) || (upper && comparable > upper.value)) {
+          failures.add({ row: index + 1, column, value });
+        }
+      });
+
+      return failures.result(data.length);
+    }
+  },
+
+  allowed_values: {
+    prepare: (parameters) => {
+      const column = requireColumn(parameters);
+      if (!Array.isArray(parameters.values) || parameters.values.length === 0) {
+        throw new ValidationRuleError('An allowed values rule needs a non-empty "values" list');
+      }
+      return { column, values: parameters.values, ignoreCase: Boolean(parameters.ignoreCase) };
+    },
+    describe: ({ column, values }) => `${column} one of ${values.slice(0, 5).join(', ')}${values.length > 5 ? ', ...' : ''}`,
+    check: (data, { column, values, ignoreCase }) => {
+      const failures = createCollector();
+      const normalize = value => (ignoreCase ? String(value).trim().toLowerCase() : String(value).trim());
+      const allowed = new Set(values.map(normalize));
+
+      data.forEach((row, index) => {
+        const value = row[column];
+        if (!isMissing(value) && !allowed.has(normalize(value))) {
+          failures.add({ row: index + 1, column, value });
+        }
+      });
+
+      return failures.result(data.length);
+    }
+  },
+
+  regex: {
+    prepare: (parameters) => {
+      const column = requireColumn(parameters);
+      if (!parameters.pattern) {
+        throw new ValidationRuleError('A regex rule needs a "pattern"');
+      }
+
+      const flags = parameters.flags || '';
+      try {
+        new RegExp(parameters.pattern, flags);
+      } catch (error) {
+        throw new ValidationRuleError(`Invalid pattern: ${error.message}`);
+      }
+      return { column, pattern: String(parameters.pattern), flags };
+    },
+    describe: ({ column, pattern }) => `${column} matches /${pattern}/`,
+    check: (data, { column, pattern, flags }) => {
+      const failures = createCollector();
+      // Without the g flag test() keeps no state between rows
+      const expression = new RegExp(pattern, flags.replace('g', ''));
+
+      data.forEach((row, index) => {
+        const value = row[column];
+        if (!isMissing(value) && !expression.test(String(value))) {
+          failures.add({ row: index + 1, column, value });
+        }
+      });
+
+      return failures.result(data.length);
+    }
+  },
+
+  reference: {
+    prepare: (parameters) => {
+      const column = requireColumn(parameters);
+      if (!parameters.datasetId) {
+        throw new ValidationRuleError('A reference rule needs the "datasetId" of the dataset it refers to');
+      }
+      return {
+        column,
+        datasetId: Number(parameters.datasetId),
+        referenceColumn: String(parameters.referenceColumn || column)
+      };
+    },
+    describe: ({ column, datasetId, referenceColumn }) => `${column} found in ${referenceColumn} of dataset ${datasetId}`,
+    check: async (data, { column, datasetId, referenceColumn }, context) => {
+      const failures = createCollector();
+      const referenceRows = await context.loadReference(datasetId);
+
+      if (findMissingColumns(referenceRows, [referenceColumn]).length > 0) {
+        throw new ValidationRuleError(`Column "${referenceColumn}" is not in dataset ${datasetId}`);
+      }
+
+      const known = new Set(referenceRows
+        .map(row => row[referenceColumn])
+        .filter(value => !isMissing(value))
+        .map(value => String(value).trim()));
+
+      data.forEach((row, index) => {
+        const value = row[column];
+        if (!isMissing(value) && !known.has(String(value).trim())) {
+          failures.add({ row: index + 1, column, value });
+        }
+      });
+
+      return failures.result(data.length);
+    }
+  },
+
+  balanced: {
+    prepare: (parameters) => {
+      const tolerance = parameters.tolerance !== undefined ? Number(parameters.tolerance) : DEFAULT_TOLERANCE;
+      if (Number.isNaN(tolerance) || tolerance < 0) {
+        throw new ValidationRuleError('"tolerance" must be a positive number');
+      }
+
+      // Stored rules that are not grouped keep an empty groupBy list
+      const groupBy = parameters.groupBy && parameters.groupBy.length > 0 ? toColumnList({ columns: parameters.groupBy }) : [];
+
+      if (parameters.debitColumn || parameters.creditColumn) {
+        return {
+          debitColumn: requireColumn(parameters, 'debitColumn'),
+          creditColumn: requireColumn(parameters, 'creditColumn'),
+          groupBy,
+          tolerance
+        };
+      }
+
+      // A single signed amount column nets to zero
+      return { column: requireColumn(parameters), groupBy, tolerance };
+    },
+    describe: ({ debitColumn, creditColumn, column, groupBy }) => {
+      const balance = column ? `${column} nets to zero` : `${debitColumn} equals ${creditColumn}`;
+      return groupBy.length > 0 ? `${balance} per ${groupBy.join(', ')}` : balance;
+    },
+    check: (data, { debitColumn, creditColumn, column, groupBy, tolerance }) => {
+      const failures = createCollector();
+      const groups = new Map();
+      const amount = value => {
+        const number = parseNumber(value);
+        return typeof number === 'number' && !Number.isNaN(number) ? number : 0;
+      };
+
+      data.forEach(row => {
+        const key = JSON.stringify(groupBy.map(name => (row[name] === undefined ? null : row[name])));
+        const totals = groups.get(key) || { debits: 0, credits: 0, rows: 0 };
+
+        if (column) {
+          const value = amount(row[column]);
+          if (value < 0) totals.debits -= value;
+          else totals.credits += value;
+        } else {
+          totals.debits += amount(row[debitColumn]);
+          totals.credits += amount(row[creditColumn]);
+        }
+        totals.rows += 1;
+        groups.set(key, totals);
+      });
+
+      groups.forEach((totals, key) => {
+        const difference = totals.credits - totals.debits;
+        if (Math.abs(difference) > tolerance) {
+          const values = JSON.parse(key);
+          failures.add({
+            ...(groupBy.length > 0 ? { group: groupBy.reduce((acc, name, i) => ({ ...acc, [name]: values[i] }), {}) } : {}),
+            debits: Math.round(totals.debits * 100) / 100,
+            credits: Math.round(totals.credits * 100) / 100,
+            difference: Math.round(difference * 100) / 100,
+            rows: totals.rows
+          });
+        }
+      });
+
+      return failures.result(groups.size, groupBy.length > 0 ? 'groups' : 'dataset');
+    }
+  },
+
+  row_count: {
+    prepare: (parameters) => {
+      const min = parameters.min !== undefined && parameters.min !== null ? Number(parameters.min) : null;
+      const max = parameters.max !== undefined && parameters.max !== null ? Number(parameters.max) : null;
+
+      if (min === null && max === null) {
+        throw new ValidationRuleError('A row count rule needs "min", "max" or both');
+      }
+      if ([min, max].some(bound => bound !== null && (!Number.isInteger(bound) || bound < 0))) {
+        throw new ValidationRuleError('Row count bounds must be whole numbers');
+      }
+      if (min !== null && max !== null && min > max) {
+        throw new ValidationRuleError('"min" is greater than "max"');
+      }
+      return { min, max };
+    },
+    describe: ({ min, max }) => {
+      if (min !== null && max !== null) return `between ${min} and ${max} rows`;
+      return min !== null ? `at least ${min} rows` : `at most ${max} rows`;
+    },
+    check: (data, { min, max }) => {
+      const failures = createCollector();
+      if ((min !== null && data.length < min) || (max !== null && data.length > max)) {
+        failures.add({ rowCount: data.length });
+      }
+      return failures.result(1, 'dataset');
+    }
+  }
+};
+
+/**
+ * Columns of the data a rule reads
+ * @param {string} type - Rule type
+ * @param {Object} parameters - Normalized parameters
+ * @returns {Array} - Column names
+ */
+const getRuleColumns = (type, parameters) => {
+  if (type === 'balanced') {
+    return [parameters.column, parameters.debitColumn, parameters.creditColumn, ...parameters.groupBy].filter(Boolean);
+  }
+  if (type === 'row_count') return [];
+  return parameters.columns || [parameters.column];
+};
+
+module.exports = {
+  RULE_TYPES,
+  getRuleColumns,
+  findMissingColumns
+};
@@ -0,0 +1,211 @@
+/**
+ * Validation Service
+ * Stores the validation rules declared on a dataset and runs them. Every
+ * transformation is validated before it is stored: failing "error" rules
+ * block it, failing "warnings" are reported with the result. The report is
+ * recorded in the DATA_VALIDATION timeline event.
+ */
+const _ = require('lodash');
+const logger = require('../utils/logger');
+const { ValidationRule, FinancialDataset } = require('../database/models');
+const { normalizeRule, runValidation } = require('./validation');
+const { reconstructDataset, parseStoredJson } = require('./transformationReplayService');
+
+/**
+ * Convert a rule record into a plain object with parsed parameters
+ * @param {Object} rule - ValidationRule record
+ * @returns {Object} - Rule
+ */
+const formatRule = (rule) => ({
+  id: rule.id,
+  name: rule.name,
+  type: rule.type,
+  severity: rule.severity,
+  parameters: parseStoredJson(rule.parameters, {}),
+  enabled: rule.enabled,
+  datasetId: rule.datasetId,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+/**
+ * Find a user's dataset
+ * @returns {Promise<Object>} - FinancialDataset record
+ */
+const findDataset = async (userId, datasetId) => {
+  const dataset = await FinancialDataset.findOne({ where: { id: datasetId, userId } });
+  if (!dataset) {
+    throw new Error('Dataset not found');
+  }
+  return dataset;
+};
+
+/**
+ * Find a user's rule
+ * @returns {Promise<Object>} - ValidationRule record
+ */
+const findRule = async (userId, ruleId) => {
+  const rule = await ValidationRule.findOne({ where: { id: ruleId, userId } });
+  if (!rule) {
+    throw new Error('Validation rule not found');
+  }
+  return rule;
+};
+
+/**
+ * Check a normalized rule against the user's datasets
+ * Reference rules may only point at datasets the user owns.
+ */
+const checkRuleTargets = async (userId, rule) => {
+  if (rule.type === 'reference') {
+    await findDataset(userId, rule.parameters.datasetId);
+  }
+};
+
+/**
+ * Load the current version of referenced datasets, once per validation run
+ * @param {number} userId - User ID
+ * @returns {Function} - async (datasetId) => rows
+ */
+const createReferenceLoader = (userId) => {
+  const cache = new Map();
+
+  return (datasetId) => {
+    if (!cache.has(datasetId)) {
+      cache.set(datasetId, reconstructDataset(datasetId, { userId }).then(version => version.data));
+    }
+    return cache.get(datasetId);
+  };
+};
+
+/**
+ * Declare a validation rule on a dataset
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {Object} definition - { type, name, severity, parameters, enabled }
+ * @returns {Promise<Object>} - Created rule
+ */
+exports.createRule = async (userId, datasetId, definition) => {
+  const dataset = await findDataset(userId, datasetId);
+  const rule = normalizeRule(definition);
+  await checkRuleTargets(userId, rule);
+
+  const record = await ValidationRule.create({
+    userId,
+    datasetId: dataset.id,
+    name: rule.name,
+    type: rule.type,
+    severity: rule.severity,
+    parameters: JSON.stringify(rule.parameters),
+    enabled: definition.enabled !== false
+  });
+
+  logger.info('Created validation rule', { ruleId: record.id, datasetId: dataset.id, type: rule.type });
+
+  return formatRule(record);
+};
+
+/**
+ * List the rules of a dataset
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Array>} - Rules, oldest first
+ */
+exports.listRules = async (userId, datasetId) => {
+  const dataset = await findDataset(userId, datasetId);
+  const rules = await ValidationRule.findAll({
+    where: { datasetId: dataset.id, userId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  return rules.map(formatRule);
+};
+
+/**
+ * Update a rule's name, severity, parameters or whether it is enabled
+ * @param {number} userId - User ID
+ * @param {number} ruleId - Rule ID
+ * @param {Object} updates - { name, severity, parameters, enabled }
+ * @returns {Promise<Object>} - Updated rule
+ */
+exports.updateRule = async (userId, ruleId, updates) => {
+  const record = await findRule(userId, ruleId);
+  const current = formatRule(record);
+  const allowed = _.pick(updates, ['name', 'severity', 'parameters', 'enabled']);
+
+  // Re-check the whole definition; a changed type means a new rule
+  const rule = normalizeRule({
+    type: current.type,
+    name: allowed.name || (allowed.parameters ? null : current.name),
+    severity: allowed.severity || current.severity,
+    parameters: allowed.parameters || current.parameters
+  });
+  await checkRuleTargets(userId, rule);
+
+  await record.update({
+    name: rule.name,
+    severity: rule.severity,
+    parameters: JSON.stringify(rule.parameters),
+    ...(allowed.enabled !== undefined ? { enabled: Boolean(allowed.enabled) } : {})
+  });
+
+  return formatRule(record);
+};
+
+/**
+ * Delete a rule
+ * @param {number} userId - User ID
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+exports.deleteRule = async (userId, ruleId) => {
+  const record = await findRule(userId, ruleId);
+  await record.destroy();
+};
+
+/**
+ * Validate transformed data against the enabled rules of its dataset
+ * @param {Object} dataset - FinancialDataset record
+ * @param {Array} data - Rows produced by the transformation
+ * @param {Object} options - Options
+ * @param {number} options.userId - User ID
+ * @returns {Promise<Object|null>} - Validation report, or null when the dataset has no rules
+ */
+exports.validateData = async (dataset, data, { userId }) => {
+  const rules = await ValidationRule.findAll({
+    where: { datasetId: dataset.id, userId, enabled: true },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  if (rules.length === 0) return null;
+
+  const report = await runValidation(data, rules.map(formatRule), {
+    loadReference: createReferenceLoader(userId)
+  });
+
+  logger.info('Validated dataset', { datasetId: dataset.id, ...report.summary, blocked: report.blocked });
+
+  return report;
+};
+
+/**
+ * Validate a version of a dataset on demand
+ * @param {number} userId - User ID
+ * @param {number} datasetId - Dataset ID
+ * @param {Object} options - Options
+ * @param {number} options.transformationId - Version to validate; defaults to the current one, 0 for the original data
+ * @returns {Promise<Object>} - Validation report with the validated transformationId
+ */
+exports.validateDataset = async (userId, datasetId, options = {}) => {
+  const dataset = await findDataset(userId, datasetId);
+  const transformationId = options.transformationId !== undefined && options.transformationId !== null && options.transformationId !== ''
+    ? Number(options.transformationId)
+    : null;
+  const version = await reconstructDataset(dataset, { userId, transformationId });
+  const report = await exports.validateData(dataset, version.data, { userId });
+
+  return {
+    transformationId: version.transformationId,
+    ...(report || await runValidation(version.data, []))
+  };
+};
@@ -0,0 +1,104 @@
+jest.mock('../database/models', () => ({
+  ValidationRule: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn() },
+  FinancialDataset: { findOne: jest.fn() }
+}));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+jest.mock('./transformationReplayService', () => ({
+  reconstructDataset: jest.fn(),
+  parseStoredJson: (value, fallback) => (value ? JSON.parse(value) : fallback)
+}));
+
+const { ValidationRule, FinancialDataset } = require('../database/models');
+const { reconstructDataset } = require('./transformationReplayService');
+const { createRule, updateRule, validateData, validateDataset } = require('./validationService');
+
+const datasets = [{ id: 3, userId: 1, name: 'Journal' }, { id: 9, userId: 1, name: 'Chart of accounts' }, { id: 20, userId: 2 }];
+const journal = [{ account: '1000', amount: 500 }, { account: '7777', amount: -500 }];
+
+let rules;
+
+beforeEach(() => {
+  rules = [];
+  FinancialDataset.findOne.mockImplementation(async ({ where }) =>
+    datasets.find(dataset => dataset.id === Number(where.id) && dataset.userId === where.userId) || null);
+  ValidationRule.create.mockImplementation(async attributes => {
+    const rule = {
+      id: rules.length + 1,
+      ...attributes,
+      update: jest.fn(async function update(changes) { Object.assign(this, changes); })
+    };
+    rules.push(rule);
+    return rule;
+  });
+  ValidationRule.findOne.mockImplementation(async ({ where }) =>
+    rules.find(rule => rule.id === where.id && rule.userId === where.userId) || null);
+  ValidationRule.findAll.mockImplementation(async ({ where }) =>
+    rules.filter(rule => rule.datasetId === where.datasetId && (where.enabled === undefined || rule.enabled === where.enabled)));
+  reconstructDataset.mockImplementation(async (datasetOrId, { transformationId = null }) => (
+    datasetOrId === 9
+      ? { data: [{ code: '1000' }, { code: '4000' }] }
+      : { data: journal, transformationId: transformationId === null ? 14 : transformationId }
+  ));
+});
+
+describe('createRule', () => {
+  it('stores the normalized rule', async () => {
+    const rule = await createRule(1, 3, { type: 'balanced', severity: 'warning', parameters: { column: 'amount' } });
+
+    expect(rule).toMatchObject({ id: 1, name: 'amount nets to zero', type: 'balanced', severity: 'warning', enabled: true });
+    expect(rule.parameters).toEqual({ column: 'amount', groupBy: [], tolerance: 0.005 });
+  });
+
+  it("refuses other users' datasets, also as references", async () => {
+    await expect(createRule(1, 20, { type: 'not_null', parameters: { column: 'a' } })).rejects.toThrow('Dataset not found');
+    await expect(createRule(1, 3, { type: 'reference', parameters: { column: 'account', datasetId: 20 } }))
+      .rejects.toThrow('Dataset not found');
+  });
+});
+
+describe('updateRule', () => {
+  it('renames a rule after its new parameters unless it was given a name', async () => {
+    const { id } = await createRule(1, 3, { type: 'row_count', parameters: { min: 1 } });
+
+    const updated = await updateRule(1, id, { parameters: { min: 2 }, enabled: false });
+
+    expect(updated).toMatchObject({ name: 'at least 2 rows', parameters: { min: 2, max: null }, enabled: false });
+    await expect(updateRule(2, id, { severity: 'warning' })).rejects.toThrow('Validation rule not found');
+  });
+});
+
+describe('validateData', () => {
+  it('returns null when the dataset has no enabled rules', async () => {
+    await createRule(1, 3, { type: 'row_count', parameters: { min: 5 }, enabled: false });
+
+    expect(await validateData(datasets[0], journal, { userId: 1 })).toBeNull();
+  });
+
+  it('runs the enabled rules, loading referenced datasets once', async () => {
+    await createRule(1, 3, { type: 'reference', parameters: { column: 'account', datasetId: 9, referenceColumn: 'code' } });
+    await createRule(1, 3, { type: 'reference', severity: 'warning', parameters: { column: 'account', datasetId: 9, referenceColumn: 'code' } });
+
+    const report = await validateData(datasets[0], journal, { userId: 1 });
+
+    expect(report).toMatchObject({ blocked: true, summary: { rules: 2, errors: 1, warnings: 1 } });
+    expect(report.results[0].examples).toEqual([{ row: 2, column: 'account', value: '7777' }]);
+    expect(reconstructDataset).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('validateDataset', () => {
+  it('validates the requested version', async () => {
+    await createRule(1, 3, { type: 'balanced', parameters: { column: 'amount' } });
+
+    const current = await validateDataset(1, 3);
+    const original = await validateDataset(1, 3, { transformationId: '0' });
+
+    expect(current).toMatchObject({ transformationId: 14, passed: true });
+    expect(original.transformationId).toBe(0);
+    expect(reconstructDataset).toHaveBeenLastCalledWith(datasets[0], { userId: 1, transformationId: 0 });
+  });
+
+  it('reports an empty validation for datasets without rules', async () => {
+    expect(await validateDataset(1, 3)).toMatchObject({ transformationId: 14, passed: true, summary: { rules: 0 } });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Column mapping helpers for re-running saved transformation steps on files
+ * whose headers have drifted (renamed, re-cased or re-spaced columns)
+ */
+const formulaEngine = require('../services/formula');
+
+// Condition keys whose values name columns
+const COLUMN_KEYS = [
+  'column', 'columns', 'groupBy', 'on', 'leftOn', 'rightOn', 'dateColumn', 'weightColumn',
+  'rows', 'valueColumn', 'idColumns', 'valueColumns', 'blocking', 'fields',
+  'currencyColumn', 'rateDateColumn'
+];
+
+// Condition keys holding formulas that reference columns
+const FORMULA_KEYS = ['formula'];
+
+/**
+ * Normalize a column name for loose matching
+ * @param {string} name - Column name
+ * @returns {string} - Lowercase name without spaces or punctuation
+ */
+const normalizeColumnName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Collect all column names across rows, preserving first-seen order
+ * @param {Array} data - Data rows
+ * @returns {Array} - Column names
+ */
+const getColumns = (data) => {
+  const columns = new Set();
+  data.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return Array.from(columns);
+};
+
+/**
+ * Walk a step's columns and conditions, rewriting every column reference
+ * @param {*} value - Value to walk
+ * @param {Function} renameColumn - Maps one column name
+ * @param {Function} renameFormula - Maps the columns of one formula
+ * @param {string} key - Key the value is stored under
+ * @returns {*} - Rewritten copy
+ */
+const walk = (value, renameColumn, renameFormula, key = null) => {
+  if (value === null || value === undefined) return value;
+
+  if (COLUMN_KEYS.includes(key)) {
+    if (typeof value === 'string') return renameColumn(value);
+    if (Array.isArray(value)) {
+      return value.map(item => (typeof item === 'string' ? renameColumn(item) : walk(item, renameColumn, renameFormula)));
+    }
+  }
+
+  if (FORMULA_KEYS.includes(key) && typeof value === 'string') {
+    return renameFormula(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => walk(item, renameColumn, renameFormula));
+  }
+
+  if (typeof value === 'object') {
+    return Object.keys(value).reduce((acc, childKey) => ({
+      ...acc,
+      [childKey]: walk(value[childKey], renameColumn, renameFormula, childKey)
+    }), {});
+  }
+
+  return value;
+};
+
+/**
+ * List the columns a transformation step reads
+ * @param {Object} step - { operation, columns, conditions }
+ * @returns {Array} - Column names
+ */
+const getStepColumns = (step) => {
+  const columns = new Set();
+
+  walk(
+    { columns: step.columns || [], conditions: step.conditions || {} },
+    (name) => { columns.add(name); return name; },
+    (formula) => {
+      try {
+        formulaEngine.getFormulaColumns(formula).forEach(name => columns.add(name));
+      } catch (error) {
+        // An invalid formula fails when the step runs; it has no columns to map
+      }
+      return formula;
+    }
+  );
+
+  // A calculated column is written, not read
+  if (step.conditions && step.conditions.newColumn) {
+    columns.delete(step.conditions.newColumn);
+  }
+
+  // A time grain ("month") names periods of the date column, not a column
+  if (step.conditions && step.conditions.timeGrain) {
+    columns.delete(step.conditions.timeGrain);
+  }
+
+  return Array.from(columns);
+};
+
+/**
+ * Rename the columns a transformation step refers to
+ * @param {Object} step - { operation, columns, conditions, ... }
+ * @param {Object} mapping - Map of old column name to new column name
+ * @returns {Object} - Rewritten step
+ */
+const renameStepColumns = (step, mapping) => {
+  const renameColumn = (name) => (Object.prototype.hasOwnProperty.call(mapping, name) ? mapping[name] : name);
+  const renameFormula = (formula) => {
+    try {
+      return formulaEngine.renameColumns(formula, mapping);
+    } catch (error) {
+      return formula;
+    }
+  };
+
+  return {
+    ...step,
+    columns: walk(step.columns || [], renameColumn, renameFormula, 'columns'),
+    conditions: walk(step.conditions || {}, renameColumn, renameFormula)
+  };
+};
+
+/**
+ * Match expected columns to the columns of a dataset
+ * Explicit mappings win, then exact names, then case and punctuation-insensitive names.
+ * @param {Array} expectedColumns - Columns the saved steps need
+ * @param {Array} availableColumns - Columns present in the dataset
+ * @param {Object} explicitMapping - User-provided map of expected column to dataset column
+ * @returns {Object} - { mapping, missing, invalid }
+ */
+const matchColumns = (expectedColumns, availableColumns, explicitMapping = {}) => {
+  const mapping = {};
+  const missing = [];
+  const invalid = [];
+
+  expectedColumns.forEach(column => {
+    const explicit = explicitMapping[column];
+
+    if (explicit !== undefined) {
+      if (availableColumns.includes(explicit)) {
+        mapping[column] = explicit;
+      } else {
+        invalid.push({ column, mappedTo: explicit });
+      }
+      return;
+    }
+
+    if (availableColumns.includes(column)) {
+      mapping[column] = column;
+      return;
+    }
+
+    const match = availableColumns.find(col => normalizeColumnName(col) === normalizeColumnName(column));
+    if (match) {
+      mapping[column] = match;
+    } else {
+      missing.push(column);
+    }
+  });
+
+  return { mapping, missing, invalid };
+};
+
+module.exports = {
+  COLUMN_KEYS,
+  normalizeColumnName,
+  getColumns,
+  getStepColumns,
+  renameStepColumns,
+  matchColumns
+};
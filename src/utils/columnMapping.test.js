@@ -0,0 +1,64 @@
+const { getStepColumns, renameStepColumns, matchColumns } = require('./columnMapping');
+
+describe('getStepColumns', () => {
+  it('lists the blocking and field columns of a duplicate merge', () => {
+    const step = {
+      operation: 'merge_duplicates',
+      columns: ['Vendor'],
+      conditions: {
+        blocking: ['Vendor', { column: 'City', method: 'soundex' }],
+        fields: [{ column: 'Amount', method: 'number', tolerance: 1 }]
+      }
+    };
+
+    expect(getStepColumns(step)).toEqual(['Vendor', 'City', 'Amount']);
+  });
+
+  it('lists the currency and rate date columns of a conversion, but not the column it writes', () => {
+    const step = {
+      operation: 'convert_currency',
+      columns: ['Amount'],
+      conditions: { targetCurrency: 'EUR', currencyColumn: 'Ccy', rateDateColumn: 'Posted', newColumn: 'Amount EUR' }
+    };
+
+    expect(getStepColumns(step)).toEqual(['Amount', 'Ccy', 'Posted']);
+  });
+});
+
+describe('renameStepColumns', () => {
+  it('renames every column reference and leaves other values alone', () => {
+    const step = {
+      operation: 'merge_duplicates',
+      columns: ['Vendor'],
+      conditions: {
+        blocking: ['Vendor'],
+        fields: [{ column: 'Amount', method: 'number' }],
+        currencyColumn: 'Ccy',
+        decisions: [{ rows: [0, 1], survivor: 0 }]
+      }
+    };
+
+    expect(renameStepColumns(step, { Vendor: 'vendor_name', Amount: 'amt', Ccy: 'currency' })).toEqual({
+      operation: 'merge_duplicates',
+      columns: ['vendor_name'],
+      conditions: {
+        blocking: ['vendor_name'],
+        fields: [{ column: 'amt', method: 'number' }],
+        currencyColumn: 'currency',
+        decisions: [{ rows: [0, 1], survivor: 0 }]
+      }
+    });
+  });
+});
+
+describe('matchColumns', () => {
+  it('matches explicit, exact and loosely spelled columns', () => {
+    const result = matchColumns(['Vendor Name', 'Amount', 'Date', 'Memo'], ['vendor_name', 'Amount', 'Posted'], { Date: 'Posted' });
+
+    expect(result).toEqual({
+      mapping: { 'Vendor Name': 'vendor_name', Amount: 'Amount', Date: 'Posted' },
+      missing: ['Memo'],
+      invalid: []
+    });
+  });
+});
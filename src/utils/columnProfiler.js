@@ -0,0 +1,372 @@
+/**
+ * Column profiler
+ * One shared place that works out what each column holds: its type (with a
+ * confidence score), blanks, distinct values, numeric or date range, common
+ * values, currency and date format, and semantic hints such as account codes.
+ * Profiles are stored on FinancialDataset.columns and reused wherever the
+ * app needs column types.
+ */
+const moment = require('moment');
+const { isMissing, parseNumber, CURRENCY_CODES } = require('../services/formula/coercion');
+
+// Share of non-blank values that must agree before a column gets a type
+const TYPE_THRESHOLD = 0.9;
+
+// Rows inspected per column; larger datasets are sampled evenly
+const MAX_PROFILE_ROWS = 10000;
+
+const TOP_VALUES = 5;
+
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no', 'y', 'n'];
+
+const CURRENCY_SYMBOLS = {
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR'
+};
+
+// Candidate date formats, most specific first; MM/DD wins ties with DD/MM
+const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'YYYY-MM-DDTHH:mm:ss',
+  'YYYY-MM-DDTHH:mm:ss.SSSZ',
+  'YYYY-MM-DDTHH:mm:ssZ',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'YYYY/MM/DD',
+  'MM/DD/YYYY',
+  'DD/MM/YYYY',
+  'M/D/YYYY',
+  'D/M/YYYY',
+  'MM/DD/YY',
+  'DD/MM/YY',
+  'M/D/YY',
+  'D/M/YY',
+  'DD.MM.YYYY',
+  'D.M.YYYY',
+  'DD-MM-YYYY',
+  'MM-DD-YYYY',
+  'DD-MMM-YYYY',
+  'DD-MMM-YY',
+  'D MMM YYYY',
+  'D MMMM YYYY',
+  'MMM D, YYYY',
+  'MMMM D, YYYY',
+  'MMM YYYY',
+  'MMMM YYYY',
+  'YYYYMMDD'
+];
+
+// Shapes a text value must have before the date formats are tried
+const DATE_SHAPE = /^(?:\d{4}[-/]\d{1,2}[-/]\d{1,2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}[-\s][A-Za-z]{3,9}[-\s]\d{2,4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|[A-Za-z]{3,9}\s+\d{4}|\d{8})$/;
+
+const ID_NAME = /(?:^|[\s_-])(?:id|uuid|guid|key|no|num|number|ref|reference|code)$|^id(?:[\s_-]|$)/i;
+const ACCOUNT_NAME = /\b(?:account|acct|acc|gl|ledger|coa)(?:[\s_-]?(?:code|no|num|number|id))?\b|^(?:account|acct|gl)[\s_-]?(?:code|no|num|number|id)$/i;
+const ACCOUNT_VALUE = /^\d{3,8}(?:[-.]\d{1,6}){0,3}$/;
+const AMOUNT_NAME = /amount|amt|price|cost|revenue|expense|total|balance|debit|credit|value|sales|payment|fee|tax|income|spend|budget|actual|net|gross/i;
+const PERCENT_NAME = /percent|pct|%|rate|ratio|margin|share|growth/i;
+const YEAR_NAME = /^(?:fy|fiscal[\s_-]?year|year|yr)$/i;
+
+/**
+ * Pick an even sample of values so large files profile quickly
+ * @param {Array} values - All values
+ * @returns {Array} - At most MAX_PROFILE_ROWS values
+ */
+const sampleValues = (values) => {
+  if (values.length <= MAX_PROFILE_ROWS) return values;
+  const step = values.length / MAX_PROFILE_ROWS;
+  return Array.from({ length: MAX_PROFILE_ROWS }, (_, i) => values[Math.floor(i * step)]);
+};
+
+/**
+ * Find the currency named in a text value
+ * @param {string} text - Cell text
+ * @returns {string|null} - ISO currency code
+ */
+const findCurrency = (text) => {
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(sym => text.includes(sym));
+  if (symbol) return CURRENCY_SYMBOLS[symbol];
+
+  const code = /^([A-Z]{3})\s+[-+(]?\d|\d\s+([A-Z]{3})$/.exec(text.trim());
+  const found = code && (code[1] || code[2]);
+  return found && CURRENCY_CODES.includes(found) ? found : null;
+};
+
+/**
+ * Work out the date format that parses most of the values
+ * @param {Array} texts - Text values
+ * @returns {Object|null} - { format, matches }, or null when nothing looks like a date
+ */
+const detectDateFormat = (texts) => {
+  const candidates = texts.filter(text => DATE_SHAPE.test(text));
+  if (candidates.length === 0) return null;
+
+  let best = null;
+  DATE_FORMATS.forEach(format => {
+    const matches = candidates.filter(text => moment.utc(text, format, true).isValid()).length;
+    if (matches > 0 && (!best || matches > best.matches)) {
+      best = { format, matches };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Count values and return the most common ones
+ * @param {Array} values - Non-blank values
+ * @returns {Object} - { distinctCount, topValues: [{ value, count }] }
+ */
+const countValues = (values) => {
+  const counts = new Map();
+  values.forEach(value => {
+    const key = typeof value === 'string' ? value.trim() : String(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const topValues = Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_VALUES)
+    .map(([value, count]) => ({ value, count }));
+
+  return { distinctCount: counts.size, topValues };
+};
+
+const round = (value, digits = 4) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+
+/**
+ * Profile one column
+ * @param {Array} rawValues - Cell values in row order
+ * @param {string} name - Column name, used for semantic hints
+ * @param {Object} totals - Exact counts and numeric range when rawValues is a sample of a stream
+ * @returns {Object} - Column profile
+ */
+const profileValues = (rawValues, name = '', totals = null) => {
+  const values = sampleValues(rawValues);
+  const present = values.filter(value => !isMissing(value));
+  const count = totals ? totals.count : values.length;
+  const nullCount = totals ? totals.nullCount : values.length - present.length;
+  const texts = present.filter(value => typeof value === 'string').map(value => value.trim());
+
+  const profile = {
+    name,
+    type: 'unknown',
+    confidence: 0,
+    count: totals ? totals.count : rawValues.length,
+    nullCount,
+    nullRatio: count > 0 ? round(nullCount / count) : 0,
+    ...countValues(present),
+    min: null,
+    max: null,
+    mean: null,
+    currency: null,
+    dateFormat: null,
+    decimalSeparator: null,
+    semantic: [],
+    sampled: (totals ? totals.count : rawValues.length) > values.length
+  };
+
+  if (present.length === 0) return profile;
+
+  // Score every type on the share of values it can read
+  const numbers = present.map(value => parseNumber(value)).filter(value => value !== null && !Number.isNaN(value));
+  const booleans = present.filter(value => typeof value === 'boolean' || BOOLEAN_WORDS.includes(String(value).trim().toLowerCase()));
+  const nativeDates = present.filter(value => value instanceof Date);
+  const dateFormat = detectDateFormat(texts);
+  const dateCount = nativeDates.length + (dateFormat ? dateFormat.matches : 0);
+
+  const scores = {
+    number: numbers.length / present.length,
+    date: dateCount / present.length,
+    boolean: booleans.length / present.length
+  };
+
+  // Dates such as 20240131 also read as numbers; the date wins when every value is a valid date
+  if (scores.date >= TYPE_THRESHOLD && (scores.date >= scores.number || dateFormat.format === 'YYYYMMDD' && texts.length === present.length)) {
+    profile.type = 'date';
+    profile.confidence = round(scores.date, 2);
+    profile.dateFormat = dateFormat ? dateFormat.format : 'native';
+
+    const dates = [
+      ...nativeDates.map(date => moment.utc(date)),
+      ...(dateFormat ? texts.map(text => moment.utc(text, dateFormat.format, true)).filter(date => date.isValid()) : [])
+    ].sort((a, b) => a.valueOf() - b.valueOf());
+    profile.min = dates[0].toISOString();
+    profile.max = dates[dates.length - 1].toISOString();
+  } else if (scores.boolean >= TYPE_THRESHOLD && scores.boolean > scores.number) {
+    profile.type = 'boolean';
+    profile.confidence = round(scores.boolean, 2);
+  } else if (scores.number >= TYPE_THRESHOLD) {
+    profile.type = 'number';
+    profile.confidence = round(scores.number, 2);
+    const numeric = totals && totals.numericCount > 0
+      ? totals
+      : { min: Math.min(...numbers), max: Math.max(...numbers), sum: numbers.reduce((a, b) => a + b, 0), numericCount: numbers.length };
+    profile.min = numeric.min;
+    profile.max = numeric.max;
+    profile.mean = round(numeric.sum / numeric.numericCount);
+
+    const currencies = countValues(texts.map(findCurrency).filter(Boolean)).topValues;
+    profile.currency = currencies.length > 0 ? currencies[0].value : null;
+
+    const formatted = texts.filter(text => /\d[.,]\d/.test(text));
+    if (formatted.length > 0) {
+      const commaDecimals = formatted.filter(text => /,\d{1,2}(?:\D*)$/.test(text) && !/,\d{3}(?:\D*)$/.test(text)).length;
+      profile.decimalSeparator = commaDecimals > formatted.length / 2 ? ',' : '.';
+    }
+  } else {
+    profile.type = 'string';
+    profile.confidence = round(1 - Math.max(scores.number, scores.date, scores.boolean), 2);
+  }
+
+  profile.semantic = getSemanticHints(profile, present, texts);
+  return profile;
+};
+
+/**
+ * Work out what a column means beyond its type
+ * @param {Object} profile - Column profile
+ * @param {Array} present - Non-blank values
+ * @param {Array} texts - Text values
+ * @returns {Array} - Hints: account_code, currency_amount, percentage, id, year
+ */
+const getSemanticHints = (profile, present, texts) => {
+  const hints = [];
+  const { name, type } = profile;
+  const unique = profile.distinctCount / present.length;
+  const values = present.map(value => String(value).trim());
+
+  if (ACCOUNT_NAME.test(name) && !/name|desc/i.test(name) &&
+      values.filter(value => ACCOUNT_VALUE.test(value)).length / values.length >= TYPE_THRESHOLD) {
+    hints.push('account_code');
+  }
+
+  const percentTexts = texts.filter(text => /%\s*$/.test(text)).length;
+  const isPercent = type === 'number' && (
+    (texts.length > 0 && percentTexts / texts.length >= TYPE_THRESHOLD) ||
+    (PERCENT_NAME.test(name) && profile.min >= -100 && profile.max <= 100)
+  );
+  if (isPercent) hints.push('percentage');
+
+  if (type === 'number' && !isPercent && !hints.includes('account_code') &&
+      (profile.currency || (AMOUNT_NAME.test(name) && !ID_NAME.test(name)))) {
+    hints.push('currency_amount');
+  }
+
+  const integers = type === 'number' && values.every(value => /^\d+$/.test(value));
+  if (type === 'number' && integers && profile.min >= 1900 && profile.max <= 2100 &&
+      (YEAR_NAME.test(name) || profile.distinctCount <= 200)) {
+    hints.push('year');
+  }
+
+  const codeLike = values.every(value => /^[A-Za-z0-9][A-Za-z0-9._/-]*$/.test(value));
+  if (!hints.includes('year') && !hints.includes('currency_amount') && codeLike && present.length > 1 &&
+      (ID_NAME.test(name) ? unique >= 0.95 : (unique === 1 && integers && present.length >= 20))) {
+    hints.push('id');
+  }
+
+  return hints;
+};
+
+/**
+ * Profile every column of a dataset
+ * @param {Array} data - Data rows
+ * @returns {Array} - Column profiles in column order
+ */
+const profileColumns = (data) => {
+  const columns = Array.from(new Set((data || []).flatMap(row => Object.keys(row))));
+  return columns.map(column => profileValues(data.map(row => row[column]), column));
+};
+
+/**
+ * Profile one column of a dataset
+ * @param {Array} data - Data rows
+ * @param {string} column - Column name
+ * @returns {Object} - Column profile
+ */
+const profileColumn = (data, column) => profileValues((data || []).map(row => row[column]), column);
+
+/**
+ * Profile rows one at a time, for files too large to hold in memory
+ * Counts, blanks and numeric ranges are exact; types, formats, common values and
+ * hints come from an evenly spaced sample that halves whenever it fills up.
+ * @param {Object} options - Options
+ * @param {number} options.sampleSize - Rows kept for type detection
+ * @returns {Object} - { add(row), finish() }
+ */
+const createProfileAccumulator = ({ sampleSize = MAX_PROFILE_ROWS } = {}) => {
+  const totals = new Map();
+  let sample = [];
+  let stride = 1;
+  let rowCount = 0;
+
+  const add = (row) => {
+    Object.keys(row).forEach(column => {
+      if (!totals.has(column)) {
+        // Rows seen before the column first appeared had no value for it
+        totals.set(column, { present: 0, numericCount: 0, min: Infinity, max: -Infinity, sum: 0 });
+      }
+    });
+
+    totals.forEach((stats, column) => {
+      const value = row[column];
+      if (isMissing(value)) return;
+      stats.present += 1;
+
+      const number = parseNumber(value);
+      if (number !== null && !Number.isNaN(number)) {
+        stats.numericCount += 1;
+        stats.sum += number;
+        if (number < stats.min) stats.min = number;
+        if (number > stats.max) stats.max = number;
+      }
+    });
+
+    if (rowCount % stride === 0) {
+      sample.push(row);
+      if (sample.length >= sampleSize) {
+        sample = sample.filter((_, index) => index % 2 === 0);
+        stride *= 2;
+      }
+    }
+    rowCount += 1;
+  };
+
+  const finish = () => Array.from(totals.entries()).map(([column, stats]) =>
+    profileValues(sample.map(row => row[column]), column, {
+      ...stats,
+      count: rowCount,
+      nullCount: rowCount - stats.present
+    }));
+
+  return { add, finish };
+};
+
+/**
+ * Read stored column profiles (FinancialDataset.columns)
+ * @param {string|Array} columns - Stored JSON or parsed array
+ * @returns {Array} - Column profiles; entries from older uploads only have name and type
+ */
+const parseStoredProfiles = (columns) => {
+  if (!columns) return [];
+  if (Array.isArray(columns)) return columns;
+
+  try {
+    const parsed = JSON.parse(columns);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+module.exports = {
+  findCurrency,
+  detectDateFormat,
+  profileValues,
+  profileColumn,
+  profileColumns,
+  createProfileAccumulator,
+  parseStoredProfiles
+};
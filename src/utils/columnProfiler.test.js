@@ -0,0 +1,29 @@
+const { profileColumns, profileColumn } = require('./columnProfiler');
+
+describe('profileColumns', () => {
+  it('types invoice and payment IDs as text', () => {
+    const data = [
+      { id: 'INV-0001', amount: 'USD 1,200.00' },
+      { id: 'PAY-0001', amount: 'USD 80.50' },
+      { id: 'INV-0002', amount: 'USD 15.00' }
+    ];
+
+    const [id, amount] = profileColumns(data);
+
+    expect(id).toMatchObject({ name: 'id', type: 'string' });
+    expect(id.semantic).toContain('id');
+    expect(amount).toMatchObject({ type: 'number', currency: 'USD', min: 15, max: 1200 });
+  });
+
+  it('scores the type by the share of values it reads', () => {
+    const profile = profileColumn([{ v: '1' }, { v: '2' }, { v: 'N/A' }, { v: '4' }], 'v');
+
+    expect(profile).toMatchObject({ type: 'number', confidence: 1, nullCount: 1, mean: 2.3333 });
+  });
+
+  it('detects date formats', () => {
+    const profile = profileColumn([{ d: '31/01/2024' }, { d: '15/02/2024' }], 'd');
+
+    expect(profile).toMatchObject({ type: 'date', dateFormat: 'DD/MM/YYYY', min: '2024-01-31T00:00:00.000Z' });
+  });
+});
@@ -0,0 +1,539 @@
+/**
+ * Data cleansing operations
+ * Each operation takes data rows and returns a new copy together with a
+ * message, so they can be executed, replayed and offered as suggestions.
+ */
+const moment = require('moment');
+const { isBlank, parseNumber: parseLocaleNumber, toDate, toText } = require('../services/formula/coercion');
+const { detectDateFormat } = require('./columnProfiler');
+
+// Cap the number of per-cell cast failures kept for the report
+const MAX_CAST_ERRORS = 100;
+
+const CASE_MODES = ['upper', 'lower', 'title', 'sentence'];
+const CAST_TYPES = ['number', 'date', 'boolean', 'string'];
+const FILL_METHODS = ['forward', 'backward', 'mean', 'median', 'value'];
+const OUTLIER_METHODS = ['percentile', 'iqr', 'zscore'];
+
+// Numeric dates, whose day/month order cannot always be read from the value alone
+const NUMERIC_DATE = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{2}|\d{4})$/;
+
+const TRUE_WORDS = ['true', 'yes', 'y', '1', 't', 'on'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', 'f', 'off'];
+
+/**
+ * Collect all column names across rows, preserving first-seen order
+ * @param {Array} data - Data rows
+ * @returns {Array} - Column names
+ */
+const getAllColumns = (data) => Array.from(new Set(data.flatMap(row => Object.keys(row))));
+
+/**
+ * Columns holding at least one text value
+ * @param {Array} data - Data rows
+ * @returns {Array} - Column names
+ */
+const getTextColumns = (data) => getAllColumns(data).filter(col => data.some(row => typeof row[col] === 'string'));
+
+/**
+ * Check that the requested columns exist
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Requested columns
+ */
+const assertColumns = (data, columns) => {
+  const available = getAllColumns(data);
+  const unknown = columns.filter(col => !available.includes(col));
+
+  if (data.length > 0 && unknown.length > 0) {
+    throw new Error(`Column(s) not found: ${unknown.join(', ')}. Available columns: ${available.join(', ')}`);
+  }
+};
+
+/**
+ * Parse a numeric date such as 03/04/2024 in a known day/month order
+ * @param {string} text - Date text
+ * @param {boolean} dayFirst - Whether the day comes before the month
+ * @returns {Date|null} - Date, or null when the text is not a valid date in that order
+ */
+const parseNumericDate = (text, dayFirst) => {
+  const match = NUMERIC_DATE.exec(text);
+  if (!match) return null;
+
+  const [, first, , second, yearText] = match;
+  const day = Number(dayFirst ? first : second);
+  const month = Number(dayFirst ? second : first);
+  // Two-digit years follow moment's pivot: 69-99 are 1900s, 00-68 are 2000s
+  const year = yearText.length === 2 ? moment.parseTwoDigitYear(yearText) : Number(yearText);
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return month >= 1 && month <= 12 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Parse a date, optionally with an explicit format such as "DD/MM/YYYY"
+ * @param {*} value - Value to parse
+ * @param {string} format - moment format; when omitted ISO and common formats are accepted
+ * @param {Object} options - Options
+ * @param {boolean} options.dayFirst - Day/month order of numeric dates when no format is given;
+ *   guessed per value when omitted
+ * @returns {string|null} - ISO date (with time when present), null for blank values, or undefined when invalid
+ */
+const parseDateValue = (value, format, options = {}) => {
+  if (isBlank(value)) return null;
+
+  let date = null;
+  if (format) {
+    const parsed = moment.utc(String(value).trim(), format, true);
+    date = parsed.isValid() ? parsed.toDate() : null;
+  } else if (typeof options.dayFirst === 'boolean' && NUMERIC_DATE.test(String(value).trim())) {
+    date = parseNumericDate(String(value).trim(), options.dayFirst);
+  } else {
+    try {
+      date = toDate(value);
+    } catch (error) {
+      date = null;
+    }
+  }
+
+  if (!date || isNaN(date.getTime())) return undefined;
+
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.split('T')[0] : iso;
+};
+
+/**
+ * Day/month order of a column's numeric dates, from the format the profiler
+ * detects for them, so one column never mixes DD/MM and MM/DD
+ * @param {Array} data - Data rows
+ * @param {string} column - Column name
+ * @returns {Object|null} - { format, dayFirst }, or null when the column has no numeric dates
+ */
+const detectDayOrder = (data, column) => {
+  const texts = data
+    .map(row => row[column])
+    .filter(value => typeof value === 'string' && NUMERIC_DATE.test(value.trim()))
+    .map(value => value.trim());
+  const detected = texts.length > 0 ? detectDateFormat(texts) : null;
+
+  return detected ? { format: detected.format, dayFirst: detected.format.startsWith('D') } : null;
+};
+
+/**
+ * Parse a boolean from true/false, yes/no, y/n, 1/0, t/f and on/off
+ * @param {*} value - Value to parse
+ * @returns {boolean|null|undefined} - Boolean, null for blank values, or undefined when invalid
+ */
+const parseBooleanValue = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return value;
+
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_WORDS.includes(text)) return true;
+  if (FALSE_WORDS.includes(text)) return false;
+  return undefined;
+};
+
+/**
+ * Copy rows, replacing the given columns with mapped values
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Columns to map
+ * @param {Function} mapValue - (value, column, rowIndex) => new value
+ * @returns {Object} - { data, changed } where changed counts modified cells
+ */
+const mapCells = (data, columns, mapValue) => {
+  let changed = 0;
+
+  const mapped = data.map((row, rowIndex) => {
+    const copy = { ...row };
+    columns.forEach(column => {
+      if (!(column in row)) return;
+      const next = mapValue(row[column], column, rowIndex);
+      if (next !== row[column]) {
+        copy[column] = next;
+        changed++;
+      }
+    });
+    return copy;
+  });
+
+  return { data: mapped, changed };
+};
+
+/**
+ * Trim leading and trailing whitespace
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Columns to trim (default: every text column)
+ * @param {Object} options - Options
+ * @param {boolean} options.collapse - Also collapse repeated inner whitespace
+ * @returns {Object} - { data, message }
+ */
+const trimWhitespace = (data, columns = [], options = {}) => {
+  const targets = columns.length > 0 ? columns : getTextColumns(data);
+  assertColumns(data, targets);
+
+  const result = mapCells(data, targets, value => {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    return options.collapse ? trimmed.replace(/\s+/g, ' ') : trimmed;
+  });
+
+  return {
+    data: result.data,
+    message: `Trimmed whitespace in ${result.changed} cell(s) across ${targets.join(', ')}`
+  };
+};
+
+/**
+ * Normalize letter case
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Columns to change (default: every text column)
+ * @param {string} mode - upper, lower, title or sentence
+ * @returns {Object} - { data, message }
+ */
+const changeCase = (data, columns = [], mode = 'lower') => {
+  const caseMode = String(mode).toLowerCase();
+  if (!CASE_MODES.includes(caseMode)) {
+    throw new Error(`Unsupported case "${mode}". Use one of: ${CASE_MODES.join(', ')}`);
+  }
+
+  const targets = columns.length > 0 ? columns : getTextColumns(data);
+  assertColumns(data, targets);
+
+  const convert = {
+    upper: text => text.toUpperCase(),
+    lower: text => text.toLowerCase(),
+    title: text => text.toLowerCase().replace(/(^|[\s\-/(])(\p{L})/gu, (match, boundary, letter) => boundary + letter.toUpperCase()),
+    sentence: text => text.toLowerCase().replace(/^(\s*\p{L})/u, letter => letter.toUpperCase())
+  }[caseMode];
+
+  const result = mapCells(data, targets, value => (typeof value === 'string' ? convert(value) : value));
+
+  return {
+    data: result.data,
+    message: `Changed ${result.changed} cell(s) in ${targets.join(', ')} to ${caseMode} case`
+  };
+};
+
+/**
+ * Cast columns to a type
+ * Values that cannot be converted become null (or are kept with onInvalid "keep")
+ * and are listed in the report.
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Columns to cast
+ * @param {string} type - number, date, boolean or string
+ * @param {Object} options - Options
+ * @param {string} options.decimalSeparator - "." or "," for numbers; detected per value when omitted. Values whose
+ *   separators do not fit it, such as "$1,200.50" with ",", are reported as errors
+ * @param {string} options.dateFormat - moment format for dates, e.g. "DD/MM/YYYY"; when omitted the
+ *   day/month order of numeric dates is detected once per column
+ * @param {string} options.onInvalid - "null" (default) or "keep"
+ * @returns {Object} - { data, message, errors, errorCount }, plus dateFormats detected per column
+ */
+const castColumns = (data, columns, type, options = {}) => {
+  const targetType = String(type || '').toLowerCase();
+  if (!CAST_TYPES.includes(targetType)) {
+    throw new Error(`Unsupported type "${type}". Use one of: ${CAST_TYPES.join(', ')}`);
+  }
+  if (!columns || columns.length === 0) {
+    throw new Error('Choose at least one column to convert');
+  }
+  assertColumns(data, columns);
+
+  const dayOrders = targetType === 'date' && !options.dateFormat
+    ? Object.fromEntries(columns.map(column => [column, detectDayOrder(data, column)]))
+    : null;
+
+  const convert = {
+    number: value => {
+      const number = parseLocaleNumber(value, options);
+      return Number.isNaN(number) ? undefined : number;
+    },
+    date: (value, column) => parseDateValue(value, options.dateFormat, {
+      dayFirst: dayOrders && dayOrders[column] ? dayOrders[column].dayFirst : undefined
+    }),
+    boolean: parseBooleanValue,
+    string: value => (isBlank(value) ? null : toText(value))
+  }[targetType];
+
+  const errors = [];
+  let errorCount = 0;
+
+  const result = mapCells(data, columns, (value, column, rowIndex) => {
+    const converted = convert(value, column);
+    if (converted !== undefined) return converted;
+
+    errorCount++;
+    if (errors.length < MAX_CAST_ERRORS) {
+      errors.push({ row: rowIndex, column, value });
+    }
+    return options.onInvalid === 'keep' ? value : null;
+  });
+
+  const dateFormats = dayOrders
+    ? Object.fromEntries(Object.entries(dayOrders).filter(([, order]) => order).map(([column, order]) => [column, order.format]))
+    : null;
+
+  let message = `Converted ${columns.join(', ')} to ${targetType}`;
+  if (dateFormats && Object.keys(dateFormats).length > 0) {
+    message += ` (read as ${Object.entries(dateFormats).map(([column, format]) => `${format} in ${column}`).join(', ')})`;
+  }
+  if (errorCount > 0) {
+    message += `; ${errorCount} value(s) could not be converted (first: "${errors[0].value}" in row ${errors[0].row + 1})`;
+  }
+
+  return { data: result.data, message, errors, errorCount, ...(dateFormats ? { dateFormats } : {}) };
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number|null} - Median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Numeric values of a column, ignoring blanks and text
+ * @param {Array} data - Data rows
+ * @param {string} column - Column name
+ * @returns {Array} - Numbers
+ */
+const numericValues = (data, column) => data
+  .map(row => parseLocaleNumber(row[column]))
+  .filter(value => value !== null && !Number.isNaN(value));
+
+/**
+ * Fill missing values
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Columns to fill (default: every column with blanks)
+ * @param {string} method - forward, backward, mean, median or value
+ * @param {*} value - Fill value for the "value" method
+ * @returns {Object} - { data, message }
+ */
+const fillMissing = (data, columns = [], method = 'forward', value = null) => {
+  const fillMethod = String(method).toLowerCase();
+  if (!FILL_METHODS.includes(fillMethod)) {
+    throw new Error(`Unsupported fill method "${method}". Use one of: ${FILL_METHODS.join(', ')}`);
+  }
+  if (fillMethod === 'value' && isBlank(value)) {
+    throw new Error('A fill value is required');
+  }
+
+  const targets = columns.length > 0
+    ? columns
+    : getAllColumns(data).filter(col => data.some(row => isBlank(row[col])));
+  assertColumns(data, targets);
+
+  const fills = {};
+  targets.forEach(column => {
+    if (fillMethod === 'mean') {
+      const values = numericValues(data, column);
+      fills[column] = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    } else if (fillMethod === 'median') {
+      fills[column] = median(numericValues(data, column));
+    } else if (fillMethod === 'value') {
+      fills[column] = value;
+    }
+  });
+
+  const filled = data.map(row => ({ ...row }));
+  let changed = 0;
+
+  targets.forEach(column => {
+    if (fillMethod === 'forward' || fillMethod === 'backward') {
+      const order = fillMethod === 'forward' ? filled : [...filled].reverse();
+      let last = null;
+      order.forEach(row => {
+        if (isBlank(row[column])) {
+          if (last !== null) {
+            row[column] = last;
+            changed++;
+          }
+        } else {
+          last = row[column];
+        }
+      });
+    } else if (fills[column] !== null) {
+      filled.forEach(row => {
+        if (isBlank(row[column])) {
+          row[column] = fills[column];
+          changed++;
+        }
+      });
+    }
+  });
+
+  return {
+    data: filled,
+    message: `Filled ${changed} missing value(s) in ${targets.join(', ') || 'no columns'} using ${fillMethod === 'value' ? `"${value}"` : `${fillMethod} fill`}`
+  };
+};
+
+/**
+ * Drop columns
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Columns to remove
+ * @returns {Object} - { data, message }
+ */
+const dropColumns = (data, columns = []) => {
+  if (columns.length === 0) {
+    throw new Error('Choose at least one column to drop');
+  }
+  assertColumns(data, columns);
+
+  return {
+    data: data.map(row => {
+      const copy = { ...row };
+      columns.forEach(column => delete copy[column]);
+      return copy;
+    }),
+    message: `Dropped column(s) ${columns.join(', ')}`
+  };
+};
+
+/**
+ * Rename columns, keeping column order
+ * @param {Array} data - Data rows
+ * @param {Array} renames - [{ column, newName }]
+ * @returns {Object} - { data, message }
+ */
+const renameColumns = (data, renames = []) => {
+  if (renames.length === 0 || renames.some(r => !r.column || !r.newName)) {
+    throw new Error('Each rename needs a column and a new name');
+  }
+  assertColumns(data, renames.map(r => r.column));
+
+  const existing = getAllColumns(data);
+  const mapping = {};
+  renames.forEach(({ column, newName }) => {
+    mapping[column] = newName;
+  });
+
+  const clashes = renames.filter(({ newName }) => existing.includes(newName) && !mapping[newName]);
+  if (clashes.length > 0) {
+    throw new Error(`Column(s) already exist: ${clashes.map(r => r.newName).join(', ')}`);
+  }
+
+  return {
+    data: data.map(row => Object.keys(row).reduce((acc, key) => {
+      acc[mapping[key] || key] = row[key];
+      return acc;
+    }, {})),
+    message: `Renamed ${renames.map(r => `${r.column} to ${r.newName}`).join(', ')}`
+  };
+};
+
+/**
+ * Value at a percentile using linear interpolation
+ * @param {Array} sorted - Sorted numbers
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number} - Value
+ */
+const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Work out the lower and upper caps for a column
+ * @param {Array} values - Numbers in the column
+ * @param {Object} options - { method, lower, upper, k, threshold }
+ * @returns {Object|null} - { lower, upper }, or null without enough values
+ */
+const getCaps = (values, options) => {
+  if (values.length < 3) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+
+  switch (options.method) {
+    case 'iqr': {
+      const k = options.k === undefined ? 1.5 : Number(options.k);
+      const q1 = percentile(sorted, 0.25);
+      const q3 = percentile(sorted, 0.75);
+      return { lower: q1 - k * (q3 - q1), upper: q3 + k * (q3 - q1) };
+    }
+    case 'zscore': {
+      const threshold = options.threshold === undefined ? 3 : Number(options.threshold);
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+      return { lower: mean - threshold * sd, upper: mean + threshold * sd };
+    }
+    default: {
+      const lower = options.lower === undefined ? 0.05 : Number(options.lower);
+      const upper = options.upper === undefined ? 0.95 : Number(options.upper);
+      if (!(lower >= 0 && upper <= 1 && lower < upper)) {
+        throw new Error('Percentile caps must satisfy 0 <= lower < upper <= 1');
+      }
+      return { lower: percentile(sorted, lower), upper: percentile(sorted, upper) };
+    }
+  }
+};
+
+/**
+ * Cap outliers (winsorize) so extreme values are pulled in to the caps
+ * @param {Array} data - Data rows
+ * @param {Array} columns - Numeric columns to cap
+ * @param {Object} options - Options
+ * @param {string} options.method - percentile (default, lower/upper between 0 and 1), iqr (k) or zscore (threshold)
+ * @returns {Object} - { data, message, caps } where caps maps column to { lower, upper, capped }
+ */
+const capOutliers = (data, columns = [], options = {}) => {
+  const method = String(options.method || 'percentile').toLowerCase();
+  if (!OUTLIER_METHODS.includes(method)) {
+    throw new Error(`Unsupported outlier method "${options.method}". Use one of: ${OUTLIER_METHODS.join(', ')}`);
+  }
+  if (columns.length === 0) {
+    throw new Error('Choose at least one numeric column to cap');
+  }
+  assertColumns(data, columns);
+
+  const caps = {};
+  columns.forEach(column => {
+    const columnCaps = getCaps(numericValues(data, column), { ...options, method });
+    if (columnCaps) caps[column] = { ...columnCaps, capped: 0 };
+  });
+
+  const result = mapCells(data, Object.keys(caps), (value, column) => {
+    const number = parseLocaleNumber(value);
+    if (number === null || Number.isNaN(number)) return value;
+
+    const { lower, upper } = caps[column];
+    if (number < lower || number > upper) {
+      caps[column].capped++;
+      return Math.min(Math.max(number, lower), upper);
+    }
+    return value;
+  });
+
+  const summary = Object.keys(caps)
+    .map(column => `${column}: ${caps[column].capped} value(s) capped to [${caps[column].lower}, ${caps[column].upper}]`)
+    .join('; ');
+
+  return {
+    data: result.data,
+    message: `Capped outliers using the ${method} method (${summary || 'not enough numeric values'})`,
+    caps
+  };
+};
+
+module.exports = {
+  CASE_MODES,
+  CAST_TYPES,
+  FILL_METHODS,
+  OUTLIER_METHODS,
+  parseLocaleNumber,
+  parseDateValue,
+  parseBooleanValue,
+  trimWhitespace,
+  changeCase,
+  castColumns,
+  fillMissing,
+  dropColumns,
+  renameColumns,
+  capOutliers
+};
@@ -0,0 +1,83 @@
+const { castColumns, parseDateValue } = require('./dataCleansing');
+
+describe('castColumns', () => {
+  it('reads every numeric date of a column in one day/month order', () => {
+    // 31/01 can only be day first, so 01/02 is the 1st of February
+    const data = [{ date: '31/01/2024' }, { date: '01/02/2024' }, { date: '15/02/2024' }];
+
+    const result = castColumns(data, ['date'], 'date');
+
+    expect(result.data.map(row => row.date)).toEqual(['2024-01-31', '2024-02-01', '2024-02-15']);
+    expect(result.dateFormats).toEqual({ date: 'DD/MM/YYYY' });
+    expect(result.message).toContain('read as DD/MM/YYYY in date');
+  });
+
+  it('reads month-first columns month first', () => {
+    const data = [{ date: '01/31/2024' }, { date: '02/01/2024' }];
+
+    expect(castColumns(data, ['date'], 'date').data.map(row => row.date)).toEqual(['2024-01-31', '2024-02-01']);
+  });
+
+  it('detects the order of each column separately', () => {
+    const data = [
+      { booked: '13/01/2024', paid: '01/13/2024' },
+      { booked: '02/03/2024', paid: '02/03/2024' }
+    ];
+
+    const result = castColumns(data, ['booked', 'paid'], 'date');
+
+    expect(result.data[1]).toEqual({ booked: '2024-03-02', paid: '2024-02-03' });
+  });
+
+  it('uses an explicit date format', () => {
+    const result = castColumns([{ date: '03.04.24' }], ['date'], 'date', { dateFormat: 'DD.MM.YY' });
+
+    expect(result.data[0].date).toBe('2024-04-03');
+    expect(result).not.toHaveProperty('dateFormats');
+  });
+
+  it('reports values that cannot be converted', () => {
+    const data = [{ amount: '1.234,50' }, { amount: 'n/a' }, { amount: null }];
+
+    const result = castColumns(data, ['amount'], 'number', { decimalSeparator: ',' });
+
+    expect(result.data.map(row => row.amount)).toEqual([1234.5, null, null]);
+    expect(result.errorCount).toBe(1);
+    expect(result.errors).toEqual([{ row: 1, column: 'amount', value: 'n/a' }]);
+  });
+
+  it('reports numbers grouped differently from the chosen decimal separator', () => {
+    const data = [{ amount: '1.200,50' }, { amount: '$1,200.50' }];
+
+    const result = castColumns(data, ['amount'], 'number', { decimalSeparator: ',' });
+
+    expect(result.data.map(row => row.amount)).toEqual([1200.5, null]);
+    expect(result.errors).toEqual([{ row: 1, column: 'amount', value: '$1,200.50' }]);
+  });
+
+  it('keeps invalid values when asked', () => {
+    const result = castColumns([{ flag: 'maybe' }, { flag: 'yes' }], ['flag'], 'boolean', { onInvalid: 'keep' });
+
+    expect(result.data).toEqual([{ flag: 'maybe' }, { flag: true }]);
+  });
+
+  it('rejects unknown types and columns', () => {
+    expect(() => castColumns([{ a: 1 }], ['a'], 'money')).toThrow('Unsupported type');
+    expect(() => castColumns([{ a: 1 }], ['b'], 'number')).toThrow('Column(s) not found: b');
+  });
+});
+
+describe('parseDateValue', () => {
+  it('parses numeric dates in the given order', () => {
+    expect(parseDateValue('03/04/2024', null, { dayFirst: true })).toBe('2024-04-03');
+    expect(parseDateValue('03/04/2024', null, { dayFirst: false })).toBe('2024-03-04');
+  });
+
+  it('rejects dates that do not exist in that order', () => {
+    expect(parseDateValue('31/01/2024', null, { dayFirst: false })).toBeUndefined();
+  });
+
+  it('returns null for blanks', () => {
+    expect(parseDateValue('  ', null)).toBeNull();
+  });
+});
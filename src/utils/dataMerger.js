@@ -0,0 +1,306 @@
+/**
+ * Join and union helpers for combining multiple datasets
+ */
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'full'];
+
+// Number of unmatched keys to keep as examples in the join report
+const SAMPLE_SIZE = 5;
+
+/**
+ * Build a normalized join key for a row
+ * @param {Object} row - Data row
+ * @param {Array} columns - Key columns
+ * @param {Object} options - Key options
+ * @param {boolean} options.caseInsensitive - Compare keys ignoring case
+ * @returns {string|null} - Key, or null if any key column is blank
+ */
+const buildKey = (row, columns, { caseInsensitive = false } = {}) => {
+  const parts = [];
+
+  for (const column of columns) {
+    const value = row[column];
+    if (value === null || value === undefined) return null;
+
+    let part = String(value).trim();
+    if (part === '') return null;
+    if (caseInsensitive) part = part.toLowerCase();
+
+    parts.push(part);
+  }
+
+  // Use a separator that cannot appear in CSV cell values
+  return parts.join('\u0000');
+};
+
+/**
+ * Describe a row's key for the join report
+ * @param {Object} row - Data row
+ * @param {Array} columns - Key columns
+ * @returns {string} - Human readable key
+ */
+const describeKey = (row, columns) => columns
+  .map(col => (row[col] === null || row[col] === undefined || String(row[col]).trim() === '' ? '(blank)' : row[col]))
+  .join(' / ');
+
+/**
+ * Resolve key column names against a row, ignoring case if needed
+ * @param {Array} columns - Requested key columns
+ * @param {Array} available - Columns present in the dataset
+ * @param {string} side - "left" or "right", used in error messages
+ * @returns {Array} - Actual column names
+ */
+const resolveKeyColumns = (columns, available, side) => columns.map(column => {
+  if (available.includes(column)) return column;
+
+  const match = available.find(col => col.toLowerCase() === String(column).toLowerCase());
+  if (!match) {
+    throw new Error(`Key column "${column}" not found in ${side} dataset. Available columns: ${available.join(', ')}`);
+  }
+  return match;
+});
+
+/**
+ * Collect all column names across rows, preserving first-seen order
+ * @param {Array} data - Data rows
+ * @returns {Array} - Column names
+ */
+const getColumns = (data) => {
+  const columns = new Set();
+  data.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return Array.from(columns);
+};
+
+/**
+ * Join two datasets on one or more key columns
+ * @param {Array} left - Left dataset rows
+ * @param {Array} right - Right dataset rows
+ * @param {Object} options - Join options
+ * @param {string} options.type - inner, left, right or full
+ * @param {Array} options.leftOn - Key columns in the left dataset
+ * @param {Array} options.rightOn - Key columns in the right dataset (defaults to leftOn)
+ * @param {boolean} options.caseInsensitive - Compare keys ignoring case
+ * @param {Array} options.suffixes - Suffixes for conflicting non-key columns [left, right]
+ * @param {string} options.leftName - Label of the left dataset for the report
+ * @param {string} options.rightName - Label of the right dataset for the report
+ * @returns {Object} - Joined data, message and join quality report
+ */
+const joinData = (left, right, options = {}) => {
+  const {
+    type = 'inner',
+    caseInsensitive = false,
+    suffixes = ['_left', '_right'],
+    leftName = 'left',
+    rightName = 'right'
+  } = options;
+
+  if (!JOIN_TYPES.includes(type)) {
+    throw new Error(`Unsupported join type "${type}". Use one of: ${JOIN_TYPES.join(', ')}`);
+  }
+
+  const requestedLeftOn = [].concat(options.leftOn || options.on || []);
+  const requestedRightOn = [].concat(options.rightOn || requestedLeftOn);
+
+  if (requestedLeftOn.length === 0) {
+    throw new Error('At least one key column is required to join datasets');
+  }
+  if (requestedLeftOn.length !== requestedRightOn.length) {
+    throw new Error('Left and right key column lists must have the same length');
+  }
+
+  const leftColumns = getColumns(left);
+  const rightColumns = getColumns(right);
+  const leftOn = resolveKeyColumns(requestedLeftOn, leftColumns, leftName);
+  const rightOn = resolveKeyColumns(requestedRightOn, rightColumns, rightName);
+
+  // Work out output names; key columns are emitted once under their left name
+  const rightKeySet = new Set(rightOn);
+  const rightValueColumns = rightColumns.filter(col => !rightKeySet.has(col));
+  const leftKeySet = new Set(leftOn);
+  const conflicts = new Set(
+    rightValueColumns.filter(col => leftColumns.includes(col) && !leftKeySet.has(col))
+  );
+  rightValueColumns
+    .filter(col => leftKeySet.has(col))
+    .forEach(col => conflicts.add(col));
+
+  const leftOutputName = (col) => (conflicts.has(col) && !leftKeySet.has(col) ? `${col}${suffixes[0]}` : col);
+  const rightOutputName = (col) => (conflicts.has(col) ? `${col}${suffixes[1]}` : col);
+
+  // Index the right side by key
+  const rightIndex = new Map();
+  const rightBlankKeys = [];
+  right.forEach((row, index) => {
+    const key = buildKey(row, rightOn, { caseInsensitive });
+    if (key === null) {
+      rightBlankKeys.push(index);
+      return;
+    }
+    if (!rightIndex.has(key)) rightIndex.set(key, []);
+    rightIndex.get(key).push(index);
+  });
+
+  const buildRow = (leftRow, rightRow) => {
+    const output = {};
+
+    leftColumns.forEach(col => {
+      output[leftOutputName(col)] = leftRow ? leftRow[col] : null;
+    });
+
+    // For right-only rows, fill the shared key columns from the right side
+    if (!leftRow && rightRow) {
+      leftOn.forEach((col, i) => {
+        output[col] = rightRow[rightOn[i]];
+      });
+    }
+
+    rightValueColumns.forEach(col => {
+      output[rightOutputName(col)] = rightRow ? rightRow[col] : null;
+    });
+
+    return output;
+  };
+
+  const result = [];
+  const matchedRight = new Set();
+  const unmatchedLeftKeys = [];
+  let matchedLeftRows = 0;
+  let leftBlankKeys = 0;
+  let duplicateMatches = 0;
+
+  left.forEach(leftRow => {
+    const key = buildKey(leftRow, leftOn, { caseInsensitive });
+    if (key === null) leftBlankKeys++;
+
+    const matches = key !== null ? rightIndex.get(key) : null;
+
+    if (matches && matches.length > 0) {
+      matchedLeftRows++;
+      if (matches.length > 1) duplicateMatches++;
+      matches.forEach(rightIndexValue => {
+        matchedRight.add(rightIndexValue);
+        result.push(buildRow(leftRow, right[rightIndexValue]));
+      });
+    } else {
+      unmatchedLeftKeys.push(describeKey(leftRow, leftOn));
+      if (type === 'left' || type === 'full') {
+        result.push(buildRow(leftRow, null));
+      }
+    }
+  });
+
+  const unmatchedRightKeys = [];
+  right.forEach((rightRow, index) => {
+    if (matchedRight.has(index)) return;
+    unmatchedRightKeys.push(describeKey(rightRow, rightOn));
+    if (type === 'right' || type === 'full') {
+      result.push(buildRow(null, rightRow));
+    }
+  });
+
+  const report = {
+    type,
+    leftKeys: leftOn,
+    rightKeys: rightOn,
+    caseInsensitive,
+    leftName,
+    rightName,
+    leftRows: left.length,
+    rightRows: right.length,
+    resultRows: result.length,
+    matchedLeftRows,
+    matchedRightRows: matchedRight.size,
+    unmatchedLeftRows: left.length - matchedLeftRows,
+    unmatchedRightRows: right.length - matchedRight.size,
+    blankKeyRows: { left: leftBlankKeys, right: rightBlankKeys.length },
+    leftRowsWithMultipleMatches: duplicateMatches,
+    renamedColumns: Array.from(conflicts).map(col => ({
+      column: col,
+      left: leftKeySet.has(col) ? col : `${col}${suffixes[0]}`,
+      right: `${col}${suffixes[1]}`
+    })),
+    sampleUnmatchedLeft: unmatchedLeftKeys.slice(0, SAMPLE_SIZE),
+    sampleUnmatchedRight: unmatchedRightKeys.slice(0, SAMPLE_SIZE),
+    matchRate: left.length > 0 ? matchedLeftRows / left.length : 0
+  };
+
+  let message = `Performed ${type} join of ${leftName} and ${rightName} on ${leftOn.join(', ')}: ` +
+    `${result.length} rows, ${report.unmatchedLeftRows} unmatched in ${leftName}, ` +
+    `${report.unmatchedRightRows} unmatched in ${rightName}.`;
+
+  if (duplicateMatches > 0) {
+    message += ` ${duplicateMatches} ${leftName} rows matched more than one ${rightName} row.`;
+  }
+
+  return {
+    data: result,
+    message,
+    report
+  };
+};
+
+/**
+ * Stack datasets vertically, aligning columns by name
+ * @param {Array} datasets - Array of { name, data }
+ * @param {Object} options - Union options
+ * @param {boolean} options.caseInsensitive - Align column names ignoring case
+ * @param {string} options.sourceColumn - Optional column recording each row's source name
+ * @returns {Object} - Unioned data, message and report
+ */
+const unionData = (datasets, options = {}) => {
+  const { caseInsensitive = false, sourceColumn = null } = options;
+
+  if (!datasets || datasets.length === 0) {
+    return { data: [], message: 'No datasets to combine', report: { sources: [] } };
+  }
+
+  // Canonical column name per normalized name, in first-seen order
+  const canonical = new Map();
+  const normalize = (col) => (caseInsensitive ? col.toLowerCase() : col);
+
+  datasets.forEach(({ data }) => {
+    getColumns(data).forEach(col => {
+      if (!canonical.has(normalize(col))) canonical.set(normalize(col), col);
+    });
+  });
+
+  const columns = Array.from(canonical.values());
+  const result = [];
+
+  const sources = datasets.map(({ name, data }) => {
+    const present = new Set(getColumns(data).map(normalize));
+
+    data.forEach(row => {
+      const output = {};
+      columns.forEach(col => { output[col] = null; });
+      Object.keys(row).forEach(col => {
+        output[canonical.get(normalize(col))] = row[col];
+      });
+      if (sourceColumn) output[sourceColumn] = name;
+      result.push(output);
+    });
+
+    return {
+      name,
+      rows: data.length,
+      missingColumns: columns.filter(col => !present.has(normalize(col)))
+    };
+  });
+
+  return {
+    data: result,
+    message: `Combined ${datasets.length} datasets into ${result.length} rows with ${columns.length} columns.`,
+    report: {
+      type: 'union',
+      resultRows: result.length,
+      columns,
+      sources
+    }
+  };
+};
+
+module.exports = {
+  JOIN_TYPES,
+  joinData,
+  unionData
+};
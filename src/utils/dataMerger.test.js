@@ -0,0 +1,96 @@
+const { joinData, unionData } = require('./dataMerger');
+
+const ledger = [
+  { account: '6100', cost_center: 'cc-10', amount: 500 },
+  { account: '6200', cost_center: 'CC-20', amount: 250 },
+  { account: '6300', cost_center: 'CC-99', amount: 75 },
+  { account: '6400', cost_center: '', amount: 20 }
+];
+const costCenters = [
+  { cost_center: 'CC-10', name: 'Finance', amount: 1000 },
+  { cost_center: 'CC-20', name: 'Sales', amount: 2000 },
+  { cost_center: 'CC-30', name: 'Legal', amount: 3000 }
+];
+
+const join = (type, options = {}) => joinData(ledger, costCenters, { type, on: 'cost_center', caseInsensitive: true, ...options });
+
+describe('joinData', () => {
+  it('keeps only matching rows in an inner join', () => {
+    const result = join('inner');
+
+    expect(result.data.map(row => [row.account, row.name])).toEqual([['6100', 'Finance'], ['6200', 'Sales']]);
+  });
+
+  it('keeps the unmatched rows of the chosen side in outer joins', () => {
+    expect(join('left').data.map(row => row.name)).toEqual(['Finance', 'Sales', null, null]);
+    expect(join('right').data.map(row => row.cost_center)).toEqual(['cc-10', 'CC-20', 'CC-30']);
+    expect(join('full').data).toHaveLength(5);
+  });
+
+  it('matches keys exactly unless asked to ignore case', () => {
+    expect(join('inner', { caseInsensitive: false }).data.map(row => row.account)).toEqual(['6200']);
+  });
+
+  it('suffixes conflicting columns and emits the key once', () => {
+    const row = join('inner').data[0];
+
+    expect(row).toEqual({ account: '6100', cost_center: 'cc-10', amount_left: 500, name: 'Finance', amount_right: 1000 });
+    expect(join('inner').report.renamedColumns).toEqual([{ column: 'amount', left: 'amount_left', right: 'amount_right' }]);
+  });
+
+  it('joins on several key columns with different names on each side', () => {
+    const budget = [{ acct: '6100', cc: 'CC-10', budget: 600 }, { acct: '6100', cc: 'CC-20', budget: 100 }];
+    const result = joinData(ledger, budget, {
+      type: 'inner', leftOn: ['account', 'cost_center'], rightOn: ['acct', 'cc'], caseInsensitive: true
+    });
+
+    expect(result.data).toEqual([{ account: '6100', cost_center: 'cc-10', amount: 500, budget: 600 }]);
+  });
+
+  it('reports unmatched and blank keys on each side', () => {
+    const { report, message } = join('left', { leftName: 'GL', rightName: 'Cost centers' });
+
+    expect(report).toMatchObject({
+      matchedLeftRows: 2,
+      unmatchedLeftRows: 2,
+      unmatchedRightRows: 1,
+      blankKeyRows: { left: 1, right: 0 },
+      sampleUnmatchedLeft: ['CC-99', '(blank)'],
+      sampleUnmatchedRight: ['CC-30'],
+      matchRate: 0.5
+    });
+    expect(message).toContain('2 unmatched in GL, 1 unmatched in Cost centers');
+  });
+
+  it('counts left rows that match more than one right row', () => {
+    const result = joinData(ledger.slice(0, 1), [...costCenters, { cost_center: 'CC-10', name: 'Treasury' }], {
+      on: 'cost_center', caseInsensitive: true
+    });
+
+    expect(result.data.map(row => row.name)).toEqual(['Finance', 'Treasury']);
+    expect(result.report.leftRowsWithMultipleMatches).toBe(1);
+  });
+
+  it('rejects unknown join types and key columns', () => {
+    expect(() => join('cross')).toThrow('Unsupported join type "cross"');
+    expect(() => joinData(ledger, costCenters, { on: 'region' })).toThrow('Key column "region" not found in left dataset');
+  });
+});
+
+describe('unionData', () => {
+  it('stacks datasets, aligning columns by name and recording each source', () => {
+    const result = unionData([
+      { name: 'January', data: [{ Account: '6100', amount: 10 }] },
+      { name: 'February', data: [{ account: '6200', memo: 'accrual' }] }
+    ], { caseInsensitive: true, sourceColumn: 'source' });
+
+    expect(result.data).toEqual([
+      { Account: '6100', amount: 10, memo: null, source: 'January' },
+      { Account: '6200', amount: null, memo: 'accrual', source: 'February' }
+    ]);
+    expect(result.report.sources).toEqual([
+      { name: 'January', rows: 1, missingColumns: ['memo'] },
+      { name: 'February', rows: 1, missingColumns: ['amount'] }
+    ]);
+  });
+});
@@ -1,25 +1,33 @@
+const _ = require('lodash');
+const moment = require('moment');
+const { compileCondition, describeCondition } = require('./filterConditions');
+const { toNumber, toDate } = require('../services/formula/coercion');
+const { profileColumn, profileColumns } = require('./columnProfiler');
+
 /**
- * Filter data based on column and value
+ * Filter data based on a condition tree, or on a column and value
  * @param {Array} data - Data to filter
- * @param {string} column - Column name to filter by
- * @param {string} value - Value to filter by
+ * @param {Object|string} condition - Condition tree (see filterConditions), or a column name
+ * @param {string} value - Value to match when a column name is given
  * @returns {Object} Filtered data and message
  */
-const filterData = (data, column, value) => {
-  if (!column || value === undefined) {
+const filterData = (data, condition, value) => {
+  const tree = typeof condition === 'string'
+    ? (value === undefined ? null : { column: condition, operator: 'eq', value })
+    : condition;
+
+  if (!tree) {
     return {
       data,
       message: "Couldn't perform filtering due to missing conditions"
     };
   }
   
-  const filteredData = data.filter(row => 
-    String(row[column]).toLowerCase() === String(value).toLowerCase()
-  );
+  const filteredData = data.filter(compileCondition(tree, { data }));
   
   return {
     data: filteredData,
-    message: `Filtered data where ${column} equals "${value}"`
+    message: `Filtered data where ${describeCondition(tree)}`
   };
 };
 
@@ -85,70 +93,448 @@ const removeDuplicates = (data, columns) => {
   };
 };
 
+// Aggregate functions and the prefix of the column each one produces
+const AGGREGATE_FUNCTIONS = {
+  sum: 'sum',
+  average: 'avg',
+  min: 'min',
+  max: 'max',
+  count: 'count',
+  median: 'median',
+  distinct_count: 'distinct',
+  first: 'first',
+  last: 'last',
+  weighted_average: 'wavg'
+};
+
+const AGGREGATE_ALIASES = {
+  avg: 'average',
+  mean: 'average',
+  count_distinct: 'distinct_count',
+  unique_count: 'distinct_count',
+  nunique: 'distinct_count',
+  weighted_avg: 'weighted_average',
+  weighted_mean: 'weighted_average'
+};
+
+// Period label formats used when grouping dates by a time grain
+const PERIOD_FORMATS = {
+  day: 'YYYY-MM-DD',
+  week: 'GGGG-[W]WW',
+  month: 'YYYY-MM',
+  quarter: 'YYYY-[Q]Q',
+  year: 'YYYY'
+};
+
+const isBlankValue = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Read a cell as a number, accepting currency symbols and thousands separators
+ * @param {*} value - Cell value
+ * @returns {number|null} - Number, or null when the cell is blank or not numeric
+ */
+const toNumericValue = (value) => {
+  try {
+    return toNumber(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Label the period a date value falls in
+ * @param {*} value - Date cell value
+ * @param {string} grain - day, week, month, quarter or year
+ * @returns {string|null} - Period label, or null for blank and invalid dates
+ */
+const toPeriod = (value, grain) => {
+  try {
+    const date = toDate(value);
+    return date ? moment.utc(date).format(PERIOD_FORMATS[grain]) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalize an aggregate function name
+ * @param {string} name - Function name as written
+ * @returns {string} - Canonical function name
+ */
+const normalizeAggregateFunction = (name) => {
+  const key = String(name || 'sum').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const canonical = AGGREGATE_ALIASES[key] || key;
+
+  if (!AGGREGATE_FUNCTIONS[canonical]) {
+    throw new Error(`Unsupported aggregate function "${name}". Use one of: ${Object.keys(AGGREGATE_FUNCTIONS).join(', ')}`);
+  }
+
+  return canonical;
+};
+
+/**
+ * Name of the output column for a metric, e.g. sum_amount
+ * @param {Object} metric - { column, function, as }
+ * @returns {string} - Column name
+ */
+const getMetricName = (metric) => {
+  if (metric.as) return metric.as;
+  const prefix = AGGREGATE_FUNCTIONS[normalizeAggregateFunction(metric.function)];
+  return metric.column ? `${prefix}_${metric.column}` : prefix;
+};
+
+/**
+ * Aggregate the rows of one group
+ * @param {Array} rows - Rows in the group
+ * @param {Object} metric - { column, function, weightColumn }; count without a column counts rows
+ * @returns {*} - Aggregated value; null when there are no values to aggregate
+ */
+const aggregateValues = (rows, metric) => {
+  const fn = normalizeAggregateFunction(metric.function);
+  const { column } = metric;
+
+  if (fn === 'count') {
+    return column ? rows.filter(row => !isBlankValue(row[column])).length : rows.length;
+  }
+
+  if (fn === 'distinct_count') {
+    return new Set(rows.filter(row => !isBlankValue(row[column])).map(row => String(row[column]))).size;
+  }
+
+  if (fn === 'first' || fn === 'last') {
+    const filled = rows.filter(row => !isBlankValue(row[column]));
+    if (filled.length === 0) return null;
+    return (fn === 'first' ? filled[0] : filled[filled.length - 1])[column];
+  }
+
+  if (fn === 'weighted_average') {
+    const weightColumn = metric.weightColumn || metric.weight;
+    if (!weightColumn) {
+      throw new Error(`A weighted average of ${column} needs a weightColumn`);
+    }
+
+    let total = 0;
+    let weights = 0;
+    rows.forEach(row => {
+      const value = toNumericValue(row[column]);
+      const weight = toNumericValue(row[weightColumn]);
+      if (value === null || weight === null) return;
+      total += value * weight;
+      weights += weight;
+    });
+    return weights === 0 ? null : total / weights;
+  }
+
+  const values = rows.map(row => toNumericValue(row[column])).filter(val => val !== null);
+  if (fn === 'sum') return values.reduce((a, b) => a + b, 0);
+  if (values.length === 0) return null;
+
+  switch (fn) {
+    case 'average':
+      return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'min':
+      return Math.min(...values);
+    case 'max':
+      return Math.max(...values);
+    case 'median': {
+      const sorted = [...values].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build a function that reads the grouping values of a row
+ * A key named after the time grain groups the date column by period.
+ * @param {Array} keys - Group columns
+ * @param {Object} options - { dateColumn, timeGrain }
+ * @returns {Function} - (row) => Array of group values
+ */
+const groupValueReader = (keys, options = {}) => {
+  const { dateColumn, timeGrain } = options;
+
+  if (timeGrain && !PERIOD_FORMATS[timeGrain]) {
+    throw new Error(`Unsupported time grain "${timeGrain}"`);
+  }
+
+  const readers = keys.map(key => (timeGrain && key === timeGrain && dateColumn
+    ? row => toPeriod(row[dateColumn], timeGrain)
+    : row => (row[key] === undefined ? null : row[key])));
+
+  return row => readers.map(read => read(row));
+};
+
+/**
+ * Group rows by the values of one or more columns, keeping first-seen group order
+ * @param {Array} data - Data rows
+ * @param {Function} readValues - (row) => Array of group values
+ * @returns {Array} - [{ values, rows }]
+ */
+const groupRows = (data, readValues) => {
+  const groups = new Map();
+
+  data.forEach(row => {
+    const values = readValues(row);
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) {
+      groups.set(key, { values, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  return Array.from(groups.values());
+};
+
+// Aggregates that do not depend on the currency of the values
+const CURRENCY_FREE_FUNCTIONS = ['count', 'distinct_count'];
+
+// Currency label of a group whose amounts are in several currencies
+const MIXED_CURRENCY = 'MIXED';
+
+/**
+ * Columns whose amounts a set of metrics adds up, averages or compares
+ * @param {Array} metrics - Metrics ({ column, function })
+ * @returns {Array} - Column names; counted columns are left out
+ */
+const getAmountColumns = (metrics = []) => _.uniq(metrics
+  .filter(metric => metric.column && !CURRENCY_FREE_FUNCTIONS.includes(normalizeAggregateFunction(metric.function)))
+  .map(metric => metric.column));
+
+/**
+ * List the currencies of the amounts a group's metrics aggregate
+ * @param {Array} rows - Rows in the group
+ * @param {Array} columns - Amount columns
+ * @param {string} currencyColumn - Column with each row's currency
+ * @returns {Array} - Sorted currency codes
+ */
+const groupCurrencies = (rows, columns, currencyColumn) => {
+  const codes = new Set();
+  rows.forEach(row => {
+    if (isBlankValue(row[currencyColumn])) return;
+    if (columns.some(column => !isBlankValue(row[column]))) {
+      codes.add(String(row[currencyColumn]).trim().toUpperCase());
+    }
+  });
+  return Array.from(codes).sort();
+};
+
 /**
  * Calculate aggregations by group
  * @param {Array} data - Data to aggregate
- * @param {string} groupBy - Column to group by
- * @param {Array} metrics - Metrics to calculate
- * @returns {Object} Aggregated data and message
+ * @param {string|Array} groupBy - Column or columns to group by; none gives a single summary row
+ * @param {Array} metrics - Metrics to calculate ({ column, function, weightColumn, as })
+ * @param {Object} options - Options
+ * @param {string} options.dateColumn - Date column grouped by period when groupBy names the time grain
+ * @param {string} options.timeGrain - day, week, month, quarter or year
+ * @param {string} options.currencyColumn - Column with each row's currency; when the groups do not
+ *   already split by it, each result row gets its currency, or MIXED when amounts in several
+ *   currencies were combined
+ * @returns {Object} Aggregated data, message and the number of groups mixing currencies
  */
-const calculateAggregations = (data, groupBy, metrics = []) => {
-  if (!groupBy || !metrics || metrics.length === 0) {
+const calculateAggregations = (data, groupBy, metrics = [], options = {}) => {
+  const keys = [].concat(groupBy || []);
+
+  if (!metrics || metrics.length === 0) {
     return {
       data,
       message: "Couldn't perform calculation due to missing conditions"
     };
   }
   
-  // Group data
-  const groups = {};
-  data.forEach(row => {
-    const key = row[groupBy];
-    if (!groups[key]) {
-      groups[key] = [];
-    }
-    groups[key].push(row);
-  });
+  const groups = groupRows(data, groupValueReader(keys, options));
+  const { currencyColumn } = options;
+  const amountColumns = getAmountColumns(metrics);
+  const trackCurrency = Boolean(currencyColumn) && !keys.includes(currencyColumn) && amountColumns.length > 0;
+  let mixedGroups = 0;
   
-  // Calculate aggregates
-  const resultData = Object.keys(groups).map(key => {
-    const group = groups[key];
-    const result = { [groupBy]: key };
+  const resultData = groups.map(group => {
+    const result = {};
+    keys.forEach((key, index) => {
+      result[key] = group.values[index];
+    });
     
     metrics.forEach(metric => {
-      const values = group.map(item => parseFloat(item[metric.column])).filter(val => !isNaN(val));
-      
-      switch (metric.function) {
-        case 'sum':
-          result[`sum_${metric.column}`] = values.reduce((a, b) => a + b, 0);
-          break;
-        case 'average':
-          result[`avg_${metric.column}`] = values.reduce((a, b) => a + b, 0) / values.length;
-          break;
-        case 'min':
-          result[`min_${metric.column}`] = Math.min(...values);
-          break;
-        case 'max':
-          result[`max_${metric.column}`] = Math.max(...values);
-          break;
-        case 'count':
-          result[`count_${metric.column}`] = values.length;
-          break;
-      }
+      result[getMetricName(metric)] = aggregateValues(group.rows, metric);
     });
     
+    if (trackCurrency) {
+      const codes = groupCurrencies(group.rows, amountColumns, currencyColumn);
+      if (codes.length > 1) mixedGroups++;
+      result[currencyColumn] = codes.length > 1 ? MIXED_CURRENCY : codes[0] || null;
+    }
+    
     return result;
   });
   
   return {
     data: resultData,
-    message: `Calculated aggregations grouped by ${groupBy}`
+    message: keys.length > 0 ? `Calculated aggregations grouped by ${keys.join(', ')}` : 'Calculated aggregations across all rows',
+    mixedGroups
+  };
+};
+
+/**
+ * Pivot rows into a cross-tab: one row per row-key combination and one column per
+ * distinct value of the pivot columns, each cell aggregating the value column
+ * @param {Array} data - Data to pivot
+ * @param {Object} options - Options
+ * @param {Array} options.rows - Columns that identify output rows
+ * @param {Array} options.columns - Columns whose values become output columns
+ * @param {string} options.valueColumn - Column to aggregate (optional for count)
+ * @param {string} options.function - Aggregate function (default sum, or count without a value column)
+ * @param {string} options.weightColumn - Weight column for weighted_average
+ * @param {string} options.dateColumn - Date column used for a time grain key
+ * @param {string} options.timeGrain - Time grain, usable as a row or pivot column
+ * @param {*} options.fillValue - Value for empty cells (default 0 for count and distinct_count, null otherwise)
+ * @param {boolean} options.totals - Add a Total column aggregating each whole row
+ * @returns {Object} Pivoted data, message and the generated column names
+ */
+const pivotData = (data, options = {}) => {
+  const rowKeys = [].concat(options.rows || []);
+  const pivotKeys = [].concat(options.columns || []);
+
+  if (rowKeys.length === 0 || pivotKeys.length === 0) {
+    return {
+      data,
+      message: "Couldn't pivot the data: rows and columns are required",
+      columns: []
+    };
+  }
+
+  const metric = {
+    column: options.valueColumn,
+    function: options.function || (options.valueColumn ? 'sum' : 'count'),
+    weightColumn: options.weightColumn
+  };
+  // An empty cell counts no rows, so counts default to 0 rather than blank
+  const counted = ['count', 'distinct_count'].includes(normalizeAggregateFunction(metric.function));
+  const fillValue = options.fillValue === undefined ? (counted ? 0 : null) : options.fillValue;
+  const readPivot = groupValueReader(pivotKeys, options);
+  const labelOf = values => values.map(val => (isBlankValue(val) ? '(blank)' : String(val))).join(' / ');
+
+  // Output columns are the distinct pivot values in natural order
+  const pivotColumns = Array.from(new Set(data.map(row => labelOf(readPivot(row)))))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const resultData = groupRows(data, groupValueReader(rowKeys, options)).map(group => {
+    const result = {};
+    rowKeys.forEach((key, index) => {
+      result[key] = group.values[index];
+    });
+
+    const cells = _.groupBy(group.rows, row => labelOf(readPivot(row)));
+    pivotColumns.forEach(column => {
+      result[column] = cells[column] ? aggregateValues(cells[column], metric) : fillValue;
+    });
+
+    if (options.totals) {
+      result.Total = aggregateValues(group.rows, metric);
+    }
+
+    return result;
+  });
+
+  return {
+    data: resultData,
+    message: `Pivoted ${metric.column ? `${metric.function} of ${metric.column}` : 'row counts'} by ${rowKeys.join(', ')} across ${pivotKeys.join(', ')} (${pivotColumns.length} columns)`,
+    columns: pivotColumns
+  };
+};
+
+const PERIOD_COLUMN_PATTERN = new RegExp(
+  '^(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?(?:[\\s\'_-]*\\d{2,4})?' +
+  '|\\d{4}[-/]\\d{1,2}|(?:\\d{4}[\\s_-]?)?q[1-4](?:[\\s_-]?\\d{2,4})?|(?:fy)?\\s?(?:19|20)\\d{2})$',
+  'i'
+);
+
+/**
+ * Find columns named after periods (Jan, Feb 2024, 2024-03, Q1, FY2024), the typical
+ * layout of wide reports that need unpivoting
+ * @param {Array} columns - Column names
+ * @returns {Array} - Period column names; empty unless at least two are found
+ */
+const findPeriodColumns = (columns) => {
+  const periodColumns = columns.filter(col => PERIOD_COLUMN_PATTERN.test(String(col).trim()));
+  return periodColumns.length >= 2 ? periodColumns : [];
+};
+
+/**
+ * Unpivot (melt) wide columns into name/value rows, e.g. Jan, Feb, Mar into period and value
+ * @param {Array} data - Data to unpivot
+ * @param {Object} options - Options
+ * @param {Array} options.idColumns - Columns copied onto every output row
+ * @param {Array} options.valueColumns - Columns to unpivot (default: every column not in idColumns)
+ * @param {string} options.namesTo - Output column holding the former column name (default "attribute")
+ * @param {string} options.valuesTo - Output column holding the value (default "value")
+ * @param {boolean} options.dropBlanks - Skip blank cells
+ * @returns {Object} Unpivoted data and message
+ */
+const unpivotData = (data, options = {}) => {
+  const allColumns = Array.from(new Set(data.flatMap(row => Object.keys(row))));
+  const valueColumns = [].concat(options.valueColumns || []);
+  const idColumns = options.idColumns
+    ? [].concat(options.idColumns)
+    : allColumns.filter(col => !valueColumns.includes(col));
+  const meltColumns = valueColumns.length > 0 ? valueColumns : allColumns.filter(col => !idColumns.includes(col));
+  const namesTo = options.namesTo || 'attribute';
+  const valuesTo = options.valuesTo || 'value';
+
+  if (meltColumns.length === 0) {
+    return {
+      data,
+      message: "Couldn't unpivot the data: no columns to unpivot"
+    };
+  }
+
+  const resultData = [];
+  data.forEach(row => {
+    const base = _.pick(row, idColumns);
+    meltColumns.forEach(column => {
+      if (options.dropBlanks && isBlankValue(row[column])) return;
+      resultData.push({ ...base, [namesTo]: column, [valuesTo]: row[column] === undefined ? null : row[column] });
+    });
+  });
+
+  return {
+    data: resultData,
+    message: `Unpivoted ${meltColumns.length} columns (${meltColumns.join(', ')}) into ${namesTo} and ${valuesTo}, producing ${resultData.length} rows`
   };
 };
 
+/**
+ * Detect the data type of a column
+ * @param {Array} data - Data rows
+ * @param {string} columnName - Column to inspect
+ * @returns {string} - number, date, boolean, string or unknown
+ */
+const detectColumnType = (data, columnName) => profileColumn(data, columnName).type;
+
+/**
+ * Detect the data type of every column
+ * @param {Array} data - Data rows
+ * @returns {Object} - Map of column name to type
+ */
+const detectColumnTypeMap = (data) =>
+  _.fromPairs(profileColumns(data).map(profile => [profile.name, profile.type]));
+
 module.exports = {
+  detectColumnType,
+  detectColumnTypeMap,
   filterData,
   sortData,
   removeDuplicates,
-  calculateAggregations
+  AGGREGATE_FUNCTIONS,
+  PERIOD_FORMATS,
+  normalizeAggregateFunction,
+  getMetricName,
+  toPeriod,
+  MIXED_CURRENCY,
+  getAmountColumns,
+  calculateAggregations,
+  pivotData,
+  findPeriodColumns,
+  unpivotData
 };
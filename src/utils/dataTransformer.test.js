@@ -0,0 +1,81 @@
+const { pivotData, unpivotData, findPeriodColumns } = require('./dataTransformer');
+
+const sales = [
+  { region: 'EMEA', product: 'Widgets', month: 'Jan', amount: 100 },
+  { region: 'EMEA', product: 'Gadgets', month: 'Jan', amount: 40 },
+  { region: 'EMEA', product: 'Widgets', month: 'Feb', amount: 60 },
+  { region: 'APAC', product: 'Widgets', month: 'Feb', amount: 25 },
+  { region: 'APAC', product: 'Widgets', month: 'Feb', amount: 15 }
+];
+
+describe('pivotData', () => {
+  it('aggregates the value column into one column per pivot value', () => {
+    const result = pivotData(sales, { rows: ['region'], columns: ['month'], valueColumn: 'amount', totals: true });
+
+    expect(result.columns).toEqual(['Feb', 'Jan']);
+    expect(result.data).toEqual([
+      { region: 'EMEA', Feb: 60, Jan: 140, Total: 200 },
+      { region: 'APAC', Feb: 40, Jan: null, Total: 40 }
+    ]);
+  });
+
+  it('fills empty cells with 0 when counting', () => {
+    const counted = pivotData(sales, { rows: ['region'], columns: ['month'] });
+    const distinct = pivotData(sales, { rows: ['region'], columns: ['month'], valueColumn: 'product', function: 'count_distinct' });
+
+    expect(counted.data).toEqual([{ region: 'EMEA', Feb: 1, Jan: 2 }, { region: 'APAC', Feb: 2, Jan: 0 }]);
+    expect(distinct.data[1]).toEqual({ region: 'APAC', Feb: 1, Jan: 0 });
+  });
+
+  it('uses the fill value it is given', () => {
+    const result = pivotData(sales, { rows: ['region'], columns: ['month'], valueColumn: 'amount', fillValue: 0 });
+    const counted = pivotData(sales, { rows: ['region'], columns: ['month'], fillValue: '-' });
+
+    expect(result.data[1].Jan).toBe(0);
+    expect(counted.data[1].Jan).toBe('-');
+  });
+
+  it('joins several pivot columns into one label', () => {
+    const result = pivotData(sales, { rows: ['region'], columns: ['month', 'product'], valueColumn: 'amount' });
+
+    expect(result.columns).toEqual(['Feb / Widgets', 'Jan / Gadgets', 'Jan / Widgets']);
+  });
+
+  it('returns the data unchanged without rows or columns', () => {
+    const result = pivotData(sales, { rows: ['region'] });
+
+    expect(result.data).toBe(sales);
+    expect(result.message).toContain('rows and columns are required');
+  });
+});
+
+describe('unpivotData', () => {
+  const report = [
+    { account: 'Rent', Jan: 1000, Feb: 1000, Mar: '' },
+    { account: 'Travel', Jan: 250, Feb: null, Mar: 90 }
+  ];
+
+  it('melts the value columns into name and value rows', () => {
+    const result = unpivotData(report, { idColumns: ['account'], namesTo: 'period', valuesTo: 'amount' });
+
+    expect(result.data).toHaveLength(6);
+    expect(result.data.slice(0, 3)).toEqual([
+      { account: 'Rent', period: 'Jan', amount: 1000 },
+      { account: 'Rent', period: 'Feb', amount: 1000 },
+      { account: 'Rent', period: 'Mar', amount: '' }
+    ]);
+  });
+
+  it('drops blank cells when asked to', () => {
+    const result = unpivotData(report, { valueColumns: ['Jan', 'Feb', 'Mar'], dropBlanks: true });
+
+    expect(result.data.map(row => `${row.account} ${row.attribute}`)).toEqual(['Rent Jan', 'Rent Feb', 'Travel Jan', 'Travel Mar']);
+  });
+});
+
+describe('findPeriodColumns', () => {
+  it('finds columns named after months, quarters and years', () => {
+    expect(findPeriodColumns(['account', 'Jan 2024', '2024-02', 'Q1', 'FY2024', 'notes'])).toEqual(['Jan 2024', '2024-02', 'Q1', 'FY2024']);
+    expect(findPeriodColumns(['account', 'Jan'])).toEqual([]);
+  });
+});
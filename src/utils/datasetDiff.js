@@ -0,0 +1,258 @@
+/**
+ * Dataset diff
+ * Compares two versions of a dataset: schema changes (added, removed and
+ * retyped columns) and row changes. Rows are matched by an ID column when
+ * one is given or can be found; otherwise rows are compared by content,
+ * which reports added and removed rows but cannot tell a row was changed.
+ */
+
+// Rows listed per change kind; the summary always counts every row
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Compare two values as they are stored
+ * @returns {boolean} - Whether the values are the same
+ */
+const sameValue = (a, b) => {
+  const left = a === undefined ? null : a;
+  const right = b === undefined ? null : b;
+  return left === right || JSON.stringify(left) === JSON.stringify(right);
+};
+
+/**
+ * Canonical text of a row restricted to some columns
+ * @param {Object} row - Data row
+ * @param {Array} columns - Columns to include, in a fixed order
+ * @returns {string} - Row content
+ */
+const rowContent = (row, columns) => JSON.stringify(columns.map(column => (row[column] === undefined ? null : row[column])));
+
+/**
+ * Text of a key value; blanks have no key
+ * @returns {string|null} - Key
+ */
+const toKey = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  return String(value).trim();
+};
+
+/**
+ * Compare the columns of two versions
+ * @param {Array} fromProfiles - Column profiles of the older version
+ * @param {Array} toProfiles - Column profiles of the newer version
+ * @returns {Object} - { added, removed, typeChanged }
+ */
+const diffSchema = (fromProfiles, toProfiles) => {
+  const fromByName = new Map(fromProfiles.map(profile => [profile.name, profile]));
+  const toByName = new Map(toProfiles.map(profile => [profile.name, profile]));
+
+  return {
+    added: toProfiles.filter(profile => !fromByName.has(profile.name)).map(profile => ({ name: profile.name, type: profile.type })),
+    removed: fromProfiles.filter(profile => !toByName.has(profile.name)).map(profile => ({ name: profile.name, type: profile.type })),
+    typeChanged: toProfiles
+      .filter(profile => fromByName.has(profile.name) && fromByName.get(profile.name).type !== profile.type)
+      .map(profile => ({ name: profile.name, from: fromByName.get(profile.name).type, to: profile.type }))
+  };
+};
+
+/**
+ * Check that a column identifies the rows of a version
+ * @returns {boolean} - Whether every row has a distinct, non-blank value
+ */
+const isUniqueKey = (rows, column) => {
+  const seen = new Set();
+
+  for (const row of rows) {
+    const key = toKey(row[column]);
+    if (key === null || seen.has(key)) return false;
+    seen.add(key);
+  }
+
+  return rows.length > 0;
+};
+
+/**
+ * Find an ID column shared by both versions
+ * @param {Object} from - { rows, profiles }
+ * @param {Object} to - { rows, profiles }
+ * @returns {string|null} - Column name
+ */
+const detectKeyColumn = (from, to) => {
+  const fromIds = new Set(from.profiles.filter(profile => (profile.semantic || []).includes('id')).map(profile => profile.name));
+  const candidates = to.profiles
+    .filter(profile => fromIds.has(profile.name) && (profile.semantic || []).includes('id'))
+    .map(profile => profile.name);
+
+  return candidates.find(column => isUniqueKey(from.rows, column) && isUniqueKey(to.rows, column)) || null;
+};
+
+/**
+ * Index rows by key; later rows with a key already seen are counted as duplicates
+ * @returns {Object} - { byKey, duplicates, unkeyed }
+ */
+const indexRows = (rows, key) => {
+  const byKey = new Map();
+  let duplicates = 0;
+  let unkeyed = 0;
+
+  rows.forEach(row => {
+    const value = toKey(row[key]);
+    if (value === null) {
+      unkeyed += 1;
+    } else if (byKey.has(value)) {
+      duplicates += 1;
+    } else {
+      byKey.set(value, row);
+    }
+  });
+
+  return { byKey, duplicates, unkeyed };
+};
+
+/**
+ * Diff rows matched by a key column
+ */
+const diffByKey = (fromRows, toRows, key, columns, limit) => {
+  const from = indexRows(fromRows, key);
+  const to = indexRows(toRows, key);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let addedCount = 0;
+  let removedCount = 0;
+  let changedCount = 0;
+  let unchanged = 0;
+
+  to.byKey.forEach((row, value) => {
+    const previous = from.byKey.get(value);
+
+    if (!previous) {
+      addedCount += 1;
+      if (added.length < limit) added.push(row);
+      return;
+    }
+
+    const changes = columns
+      .filter(column => !sameValue(previous[column], row[column]))
+      .map(column => ({ column, from: previous[column] === undefined ? null : previous[column], to: row[column] === undefined ? null : row[column] }));
+
+    if (changes.length === 0) {
+      unchanged += 1;
+    } else {
+      changedCount += 1;
+      if (changed.length < limit) changed.push({ key: value, changes });
+    }
+  });
+
+  from.byKey.forEach((row, value) => {
+    if (!to.byKey.has(value)) {
+      removedCount += 1;
+      if (removed.length < limit) removed.push(row);
+    }
+  });
+
+  return {
+    counts: { added: addedCount, removed: removedCount, changed: changedCount, unchanged },
+    added,
+    removed,
+    changed,
+    warnings: [
+      from.duplicates + to.duplicates > 0 ? `${from.duplicates + to.duplicates} rows share a key with an earlier row and were not compared` : null,
+      from.unkeyed + to.unkeyed > 0 ? `${from.unkeyed + to.unkeyed} rows have no "${key}" value and were not compared` : null
+    ].filter(Boolean)
+  };
+};
+
+/**
+ * Diff rows by content; identical rows cancel out, the rest are added or removed
+ */
+const diffByContent = (fromRows, toRows, columns, limit) => {
+  const remaining = new Map();
+  fromRows.forEach(row => {
+    const content = rowContent(row, columns);
+    const entry = remaining.get(content) || { row, count: 0 };
+    entry.count += 1;
+    remaining.set(content, entry);
+  });
+
+  const added = [];
+  let addedCount = 0;
+  let unchanged = 0;
+
+  toRows.forEach(row => {
+    const entry = remaining.get(rowContent(row, columns));
+    if (entry && entry.count > 0) {
+      entry.count -= 1;
+      unchanged += 1;
+    } else {
+      addedCount += 1;
+      if (added.length < limit) added.push(row);
+    }
+  });
+
+  const removed = [];
+  let removedCount = 0;
+  remaining.forEach(({ row, count }) => {
+    removedCount += count;
+    for (let i = 0; i < count && removed.length < limit; i += 1) removed.push(row);
+  });
+
+  return {
+    counts: { added: addedCount, removed: removedCount, changed: 0, unchanged },
+    added,
+    removed,
+    changed: [],
+    warnings: []
+  };
+};
+
+/**
+ * Diff two versions of a dataset
+ * @param {Object} from - Older version { rows, profiles }
+ * @param {Object} to - Newer version { rows, profiles }
+ * @param {Object} options - Options
+ * @param {string} options.key - ID column to match rows by; detected when omitted
+ * @param {number} options.limit - Rows listed per change kind
+ * @returns {Object} - { key, mode, schema, summary, added, removed, changed, warnings, columns }
+ */
+const diffDatasets = (from, to, options = {}) => {
+  const limit = options.limit || DEFAULT_LIMIT;
+  const toNames = new Set(to.profiles.map(profile => profile.name));
+  // Row changes only cover columns both versions have; the rest are schema changes
+  const columns = from.profiles.map(profile => profile.name).filter(name => toNames.has(name));
+
+  let key = options.key || null;
+  if (key && !columns.includes(key)) {
+    throw new Error(`Key column "${key}" is not in both versions`);
+  }
+  if (!key) {
+    key = detectKeyColumn(from, to);
+  }
+
+  const rows = key
+    ? diffByKey(from.rows, to.rows, key, columns.filter(column => column !== key), limit)
+    : diffByContent(from.rows, to.rows, columns, limit);
+
+  return {
+    key,
+    mode: key ? 'keyed' : 'content',
+    columns,
+    schema: diffSchema(from.profiles, to.profiles),
+    summary: {
+      fromRows: from.rows.length,
+      toRows: to.rows.length,
+      ...rows.counts
+    },
+    added: rows.added,
+    removed: rows.removed,
+    changed: rows.changed,
+    truncated: Math.max(rows.counts.added, rows.counts.removed, rows.counts.changed) > limit,
+    warnings: rows.warnings
+  };
+};
+
+module.exports = {
+  diffDatasets,
+  diffSchema,
+  detectKeyColumn
+};
@@ -0,0 +1,95 @@
+const { diffDatasets, diffSchema, detectKeyColumn } = require('./datasetDiff');
+const { profileColumns } = require('./columnProfiler');
+
+const version = (rows) => ({ rows, profiles: profileColumns(rows) });
+
+const before = [
+  { invoice_id: 'INV-1', vendor: 'Acme', amount: 100 },
+  { invoice_id: 'INV-2', vendor: 'Globex', amount: 250 },
+  { invoice_id: 'INV-3', vendor: 'Initech', amount: 75 }
+];
+const after = [
+  { invoice_id: 'INV-1', vendor: 'Acme', amount: 100 },
+  { invoice_id: 'INV-2', vendor: 'Globex', amount: 260 },
+  { invoice_id: 'INV-4', vendor: 'Hooli', amount: 40 }
+];
+
+describe('diffDatasets', () => {
+  it('matches rows by a detected ID column', () => {
+    const diff = diffDatasets(version(before), version(after));
+
+    expect(diff.key).toBe('invoice_id');
+    expect(diff.mode).toBe('keyed');
+    expect(diff.summary).toEqual({ fromRows: 3, toRows: 3, added: 1, removed: 1, changed: 1, unchanged: 1 });
+    expect(diff.added).toEqual([after[2]]);
+    expect(diff.removed).toEqual([before[2]]);
+    expect(diff.changed).toEqual([{ key: 'INV-2', changes: [{ column: 'amount', from: 250, to: 260 }] }]);
+  });
+
+  it('uses the key column it is given', () => {
+    const diff = diffDatasets(version(before), version(after), { key: 'vendor' });
+
+    expect(diff.key).toBe('vendor');
+    expect(diff.changed[0]).toEqual({ key: 'Globex', changes: [{ column: 'amount', from: 250, to: 260 }] });
+    expect(() => diffDatasets(version(before), version(after), { key: 'due_date' }))
+      .toThrow('Key column "due_date" is not in both versions');
+  });
+
+  it('compares rows by content without a key', () => {
+    const from = [{ vendor: 'Acme', amount: 100 }, { vendor: 'Acme', amount: 100 }, { vendor: 'Globex', amount: 250 }];
+    const to = [{ vendor: 'Acme', amount: 100 }, { vendor: 'Globex', amount: 260 }];
+
+    const diff = diffDatasets(version(from), version(to));
+
+    expect(diff.mode).toBe('content');
+    expect(diff.summary).toMatchObject({ added: 1, removed: 2, changed: 0, unchanged: 1 });
+    expect(diff.removed).toEqual([{ vendor: 'Acme', amount: 100 }, { vendor: 'Globex', amount: 250 }]);
+  });
+
+  it('warns about duplicate and blank keys', () => {
+    const to = [...after, { invoice_id: 'INV-1', vendor: 'Acme', amount: 5 }, { invoice_id: '', vendor: 'Wayne', amount: 9 }];
+
+    const diff = diffDatasets(version(before), version(to), { key: 'invoice_id' });
+
+    expect(diff.warnings).toEqual([
+      '1 rows share a key with an earlier row and were not compared',
+      '1 rows have no "invoice_id" value and were not compared'
+    ]);
+  });
+
+  it('lists at most the limit but counts every row', () => {
+    const to = Array.from({ length: 5 }, (_, index) => ({ invoice_id: `NEW-${index}`, vendor: 'Acme', amount: index }));
+
+    const diff = diffDatasets(version(before), version(to), { key: 'invoice_id', limit: 2 });
+
+    expect(diff.added).toHaveLength(2);
+    expect(diff.summary.added).toBe(5);
+    expect(diff.truncated).toBe(true);
+  });
+
+  it('compares only the columns both versions have', () => {
+    const to = after.map(({ vendor, ...row }) => ({ ...row, vendor_name: vendor }));
+
+    const diff = diffDatasets(version(before), version(to), { key: 'invoice_id' });
+
+    expect(diff.columns).toEqual(['invoice_id', 'amount']);
+    expect(diff.schema.added).toEqual([{ name: 'vendor_name', type: 'string' }]);
+    expect(diff.schema.removed).toEqual([{ name: 'vendor', type: 'string' }]);
+  });
+});
+
+describe('diffSchema', () => {
+  it('reports retyped columns', () => {
+    const schema = diffSchema([{ name: 'amount', type: 'string' }], [{ name: 'amount', type: 'number' }]);
+
+    expect(schema).toEqual({ added: [], removed: [], typeChanged: [{ name: 'amount', from: 'string', to: 'number' }] });
+  });
+});
+
+describe('detectKeyColumn', () => {
+  it('ignores ID columns that repeat in either version', () => {
+    const to = [...after, { invoice_id: 'INV-1', vendor: 'Acme', amount: 5 }];
+
+    expect(detectKeyColumn(version(before), version(to))).toBeNull();
+  });
+});
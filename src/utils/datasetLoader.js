@@ -0,0 +1,55 @@
+const path = require('path');
+const fs = require('fs');
+const { parseFile } = require('./fileHelper');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Get the absolute path of a stored dataset file
+ * @param {Object} dataset - FinancialDataset record
+ * @returns {string} - Absolute file path
+ */
+const getDatasetPath = (dataset) => path.join(DATA_DIR, dataset.storageKey);
+
+/**
+ * Load all rows of a stored dataset
+ * @param {Object} dataset - FinancialDataset record
+ * @returns {Array} - Parsed rows
+ */
+const loadDatasetRows = (dataset) => {
+  if (!dataset || !dataset.storageKey) {
+    throw new Error('Dataset has no stored file');
+  }
+
+  const filePath = getDatasetPath(dataset);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Dataset file not found for "${dataset.name}"`);
+  }
+
+  return parseFile(filePath, dataset.format).data;
+};
+
+/**
+ * Store the source file of a dataset if it is not already stored
+ * Stored files are immutable: a dataset's storageKey contains the content hash.
+ * @param {Object} dataset - FinancialDataset record
+ * @param {string|Buffer} content - File content
+ * @returns {string} - Absolute file path
+ */
+const storeDatasetFile = (dataset, content) => {
+  const filePath = getDatasetPath(dataset);
+
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  return filePath;
+};
+
+module.exports = {
+  DATA_DIR,
+  getDatasetPath,
+  loadDatasetRows,
+  storeDatasetFile
+};
@@ -2,14 +2,19 @@ const path = require('path');
 const fs = require('fs');
 const Papa = require('papaparse');
 const xlsx = require('xlsx');
+const { readWorkbook, readSheet } = require('./workbookReader');
+const { profileColumns } = require('./columnProfiler');
+const { isStatementFormat, parseStatement } = require('../services/bankStatements');
 
 /**
  * Parse file data based on file format
  * @param {string} filePath - Path to the file
- * @param {string} format - File format (csv, excel, json)
- * @returns {Object} Parsed data
+ * @param {string} format - File format (csv, excel, json, ndjson) or bank statement format (ofx, mt940, camt053, qif)
+ * @param {Object} options - Workbook options: sheet (name or index), headerRow, keepSubtotals;
+ *   statement options: currency
+ * @returns {Object} Parsed data; workbooks also report the sheet, header row and range read
  */
-const parseFile = (filePath, format) => {
+const parseFile = (filePath, format, options = {}) => {
   if (!fs.existsSync(filePath)) {
     throw new Error(`File not found: ${filePath}`);
   }
@@ -17,7 +22,14 @@ const parseFile = (filePath, format) => {
   let parsedData;
 
   try {
-    if (format === 'csv' || filePath.endsWith('.csv')) {
+    if (isStatementFormat(format)) {
+      // Parse a bank statement into normalized transactions
+      const statement = parseStatement(fs.readFileSync(filePath, 'utf8'), format, options);
+      parsedData = {
+        data: statement.transactions,
+        statements: statement.statements
+      };
+    } else if (format === 'csv' || filePath.endsWith('.csv')) {
       // Parse CSV
       const csvData = fs.readFileSync(filePath, 'utf8');
       parsedData = Papa.parse(csvData, {
@@ -34,12 +46,13 @@ const parseFile = (filePath, format) => {
         throw new Error(`CSV parsing errors: ${errorMessage}`);
       }
     } else if (format === 'excel' || filePath.endsWith('.xlsx') || filePath.endsWith('.xls')) {
-      // Parse Excel
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      // Parse Excel: the chosen sheet, or the first sheet holding a table
+      parsedData = readSheet(readWorkbook(filePath), options.sheet, options);
+    } else if (format === 'ndjson' || filePath.endsWith('.ndjson')) {
+      // Parse newline-delimited JSON (one row per line), as written by streaming ingestion
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim() !== '');
       parsedData = {
-        data: xlsx.utils.sheet_to_json(worksheet)
+        data: lines.map(line => JSON.parse(line))
       };
     } else if (format === 'json' || filePath.endsWith('.json')) {
       // Parse JSON
@@ -65,31 +78,14 @@ const parseFile = (filePath, format) => {
 /**
  * Detect column types from parsed data
  * @param {Array} data - Parsed data array
- * @returns {Array} Column metadata
+ * @returns {Array} Column profiles (name, type, confidence, statistics and semantic hints)
  */
 const detectColumnTypes = (data) => {
   if (!data || !data[0]) {
     return [];
   }
   
-  return Object.keys(data[0]).map(key => {
-    // Detect column type
-    const values = data.map(row => row[key]).filter(val => val != null);
-    let type = 'string';
-    
-    if (values.length > 0) {
-      if (values.every(val => !isNaN(val))) {
-        type = 'number';
-      } else if (values.every(val => !isNaN(Date.parse(val)))) {
-        type = 'date';
-      }
-    }
-    
-    return {
-      name: key,
-      type
-    };
-  });
+  return profileColumns(data);
 };
 
 /**
@@ -0,0 +1,578 @@
+/**
+ * Filter condition trees
+ *
+ * A filter condition is either a leaf comparing one column to a value or a
+ * group combining other conditions:
+ *
+ *   { column: 'amount', operator: '>', value: 10000 }
+ *   { column: 'date', operator: 'between', value: ['2024-Q1', '2024-Q2'] }
+ *   { column: 'vendor', operator: 'in', value: ['Acme', 'Globex'] }
+ *   { column: 'description', operator: 'contains', value: 'refund' }
+ *   { column: 'approved_by', operator: 'is_null' }
+ *   { and: [ ... ] }, { or: [ ... ] }, { not: { ... } }
+ *
+ * Values are compared as numbers or dates when the column's detected type
+ * (or, failing that, the condition value) says so. Text comparisons ignore
+ * case unless the leaf sets caseSensitive. Blank cells only match is_null,
+ * like NULL in SQL.
+ */
+const moment = require('moment');
+const { isBlank, toNumber, toDate, toText } = require('../services/formula/coercion');
+
+const OPERATOR_ALIASES = {
+  '=': 'eq',
+  '==': 'eq',
+  eq: 'eq',
+  equals: 'eq',
+  is: 'eq',
+  '!=': 'ne',
+  '<>': 'ne',
+  ne: 'ne',
+  not_equals: 'ne',
+  is_not: 'ne',
+  '>': 'gt',
+  gt: 'gt',
+  greater_than: 'gt',
+  '>=': 'gte',
+  gte: 'gte',
+  '<': 'lt',
+  lt: 'lt',
+  less_than: 'lt',
+  '<=': 'lte',
+  lte: 'lte',
+  between: 'between',
+  not_between: 'not_between',
+  in: 'in',
+  not_in: 'not_in',
+  contains: 'contains',
+  not_contains: 'not_contains',
+  starts_with: 'starts_with',
+  ends_with: 'ends_with',
+  matches: 'matches',
+  regex: 'matches',
+  is_null: 'is_null',
+  is_blank: 'is_null',
+  is_empty: 'is_null',
+  is_not_null: 'is_not_null',
+  not_null: 'is_not_null',
+  is_not_blank: 'is_not_null',
+  is_not_empty: 'is_not_null'
+};
+
+const OPERATORS = Array.from(new Set(Object.values(OPERATOR_ALIASES)));
+
+const OPERATOR_LABELS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  between: 'between',
+  not_between: 'not between',
+  in: 'in',
+  not_in: 'not in',
+  contains: 'contains',
+  not_contains: 'does not contain',
+  starts_with: 'starts with',
+  ends_with: 'ends with',
+  matches: 'matches',
+  is_null: 'is blank',
+  is_not_null: 'is not blank'
+};
+
+const TEXT_OPERATORS = ['contains', 'not_contains', 'starts_with', 'ends_with', 'matches'];
+const LIST_OPERATORS = ['in', 'not_in'];
+const RANGE_OPERATORS = ['between', 'not_between'];
+const ORDER_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between', 'not_between'];
+
+// Long patterns are rejected to keep user-supplied regular expressions cheap
+const MAX_PATTERN_LENGTH = 200;
+
+// Quantifiers that let the preceding atom repeat: *, +, {n,}, {n,m} and {n} with n > 1
+const REPEATING_QUANTIFIER = /^(?:[*+]|\{\d+,\d*\}|\{\d*[2-9]\d*\}|\{\d*1\d+\})/;
+
+/**
+ * Normalize an operator name or symbol
+ * @param {string} operator - Operator as written
+ * @returns {string} - Canonical operator
+ */
+const normalizeOperator = (operator) => {
+  const key = String(operator === undefined || operator === null ? 'eq' : operator)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+  const canonical = OPERATOR_ALIASES[key];
+
+  if (!canonical) {
+    throw new Error(`Unsupported filter operator "${operator}". Use one of: ${OPERATORS.join(', ')}`);
+  }
+
+  return canonical;
+};
+
+/**
+ * Read the two bounds of a range value
+ * @param {Object} condition - Leaf condition
+ * @returns {Array} - [from, to]
+ */
+const readRange = (condition) => {
+  const { value } = condition;
+
+  if (Array.isArray(value) && value.length === 2) return value;
+  if (value && typeof value === 'object' && ('from' in value || 'to' in value)) return [value.from, value.to];
+  if ('min' in condition || 'max' in condition) return [condition.min, condition.max];
+
+  throw new Error(`"between" on ${condition.column} needs two values, e.g. [from, to]`);
+};
+
+/**
+ * Read the values of an IN list
+ * @param {*} value - Array or comma-separated string
+ * @returns {Array} - Values
+ */
+const readList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  if (value === null || value === undefined) return [];
+  return [value];
+};
+
+/**
+ * Check that a user-supplied regular expression matches in reasonable time
+ * A repeated group that itself repeats or has alternatives ("(a+)+", "(a|ab)*")
+ * and backreferences can backtrack exponentially on an ordinary cell and stall
+ * the server, so they are rejected before the pattern is compiled.
+ * @param {string} pattern - Pattern as given
+ */
+const checkPattern = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Regular expressions are limited to ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (/\\(?:[1-9]|k<)/.test(pattern)) {
+    throw new Error(`The pattern "${pattern}" uses a backreference, which filters do not support`);
+  }
+
+  // One entry per open group: whether it holds a repetition or an alternation
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ repeats: false, branches: false });
+    } else if (char === '|') {
+      if (group) group.branches = true;
+    } else if (char === ')') {
+      const closed = groups.pop() || { repeats: false, branches: false };
+      const repeated = REPEATING_QUANTIFIER.test(pattern.slice(i + 1));
+
+      if (repeated && (closed.repeats || closed.branches)) {
+        throw new Error(`The pattern "${pattern}" repeats a group that itself repeats or has alternatives, ` +
+          'which can take too long to match; simplify it, e.g. "a+" instead of "(a+)+"');
+      }
+      if (groups.length > 0 && (closed.repeats || repeated)) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (group && REPEATING_QUANTIFIER.test(pattern.slice(i))) {
+      group.repeats = true;
+    }
+  }
+
+  try {
+    new RegExp(pattern); // eslint-disable-line no-new
+  } catch (error) {
+    throw new Error(`"${pattern}" is not a valid regular expression: ${error.message}`);
+  }
+};
+
+
+/**
+ * Convert a condition into its canonical tree form
+ * Accepts { and: [] }, { or: [] }, { not: {} }, { operator: 'and', conditions: [] },
+ * arrays (combined with AND) and legacy { column, value } equality conditions.
+ * @param {Object|Array} condition - Condition as produced by the interpreter
+ * @returns {Object|null} - { type: 'and'|'or', conditions }, { type: 'not', condition },
+ *   { type: 'leaf', column, operator, value, caseSensitive } or null for an empty condition
+ */
+const normalizeCondition = (condition) => {
+  if (condition === null || condition === undefined) return null;
+
+  if (Array.isArray(condition)) {
+    return normalizeCondition({ and: condition });
+  }
+
+  if (typeof condition !== 'object') {
+    throw new Error('A filter condition must be an object');
+  }
+
+  const groupType = ['and', 'or'].find(type => Array.isArray(condition[type])) ||
+    (Array.isArray(condition.all) && 'and') ||
+    (Array.isArray(condition.any) && 'or');
+
+  if (groupType) {
+    const children = condition[groupType] || condition.all || condition.any;
+    return {
+      type: groupType,
+      conditions: children.map(normalizeCondition).filter(Boolean)
+    };
+  }
+
+  const logic = String(condition.logic || condition.operator || '').toLowerCase();
+  if (Array.isArray(condition.conditions) && ['and', 'or'].includes(logic || 'and')) {
+    return {
+      type: logic || 'and',
+      conditions: condition.conditions.map(normalizeCondition).filter(Boolean)
+    };
+  }
+
+  if (condition.not) {
+    return { type: 'not', condition: normalizeCondition(condition.not) };
+  }
+
+  if (!condition.column) {
+    return null;
+  }
+
+  const operator = normalizeOperator(condition.operator);
+  const leaf = {
+    type: 'leaf',
+    column: condition.column,
+    operator,
+    value: condition.value,
+    caseSensitive: Boolean(condition.caseSensitive)
+  };
+
+  if (RANGE_OPERATORS.includes(operator)) {
+    leaf.value = readRange(condition);
+  } else if (LIST_OPERATORS.includes(operator)) {
+    leaf.value = readList(condition.value !== undefined ? condition.value : condition.values);
+  } else if (!['is_null', 'is_not_null'].includes(operator) && condition.value === undefined) {
+    throw new Error(`Filter on ${condition.column} is missing a value`);
+  }
+
+  if (operator === 'matches') {
+    checkPattern(String(leaf.value));
+  }
+
+  return leaf;
+};
+
+/**
+ * Convert a value to a number without throwing
+ * @param {*} value - Value to convert
+ * @returns {number|null} - Number, or null if the value is blank or not numeric
+ */
+const safeNumber = (value) => {
+  try {
+    return toNumber(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Convert a value to a date without throwing
+ * @param {*} value - Value to convert
+ * @returns {Date|null} - Date, or null if the value is blank or not a date
+ */
+const safeDate = (value) => {
+  try {
+    return toDate(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Interpret a date or period ("2024", "2024-03", "2024-Q1", "Q1 2024", "Q1", "March 2024")
+ * @param {*} value - Date, date string or period label
+ * @param {number} referenceYear - Year used for periods given without one ("Q1")
+ * @returns {Object|null} - { start, end } in UTC, or null if the value is not a date
+ */
+const parsePeriod = (value, referenceYear = new Date().getUTCFullYear()) => {
+  if (value instanceof Date) return { start: value, end: value };
+  if (isBlank(value) || typeof value === 'number') return null;
+
+  const text = String(value).trim();
+  const utc = (year, month, day) => new Date(Date.UTC(year, month, day));
+  const endOf = (start, unit) => moment.utc(start).endOf(unit).toDate();
+
+  let match = /^(\d{4})$/.exec(text);
+  if (match) {
+    const start = utc(Number(match[1]), 0, 1);
+    return { start, end: endOf(start, 'year') };
+  }
+
+  match = /^(\d{4})-(\d{1,2})$/.exec(text);
+  if (match) {
+    const start = utc(Number(match[1]), Number(match[2]) - 1, 1);
+    return { start, end: endOf(start, 'month') };
+  }
+
+  match = /^(?:(\d{4})[-\s]?Q([1-4])|Q([1-4])(?:[-\s]?(\d{4}))?)$/i.exec(text);
+  if (match) {
+    const year = Number(match[1] || match[4] || referenceYear);
+    const quarter = Number(match[2] || match[3]);
+    const start = utc(year, (quarter - 1) * 3, 1);
+    return { start, end: endOf(start, 'quarter') };
+  }
+
+  const monthName = moment.utc(text, ['MMMM YYYY', 'MMM YYYY'], true);
+  if (monthName.isValid()) {
+    const start = monthName.toDate();
+    return { start, end: endOf(start, 'month') };
+  }
+
+  // A plain date covers the whole day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const start = safeDate(text);
+    return start ? { start, end: endOf(start, 'day') } : null;
+  }
+
+  const date = safeDate(text);
+  return date ? { start: date, end: date } : null;
+};
+
+/**
+ * Decide how a leaf compares values: as numbers, dates or text
+ * @param {Object} leaf - Canonical leaf condition
+ * @param {string} columnType - Detected column type
+ * @returns {string} - number, date or text
+ */
+const getComparisonMode = (leaf, columnType) => {
+  if (TEXT_OPERATORS.includes(leaf.operator)) return 'text';
+  if (columnType === 'number' || columnType === 'date') return columnType;
+
+  const sample = Array.isArray(leaf.value) ? leaf.value.find(v => !isBlank(v)) : leaf.value;
+  if (typeof sample === 'number') return 'number';
+  if (sample instanceof Date) return 'date';
+
+  if (typeof sample === 'string' && ORDER_OPERATORS.includes(leaf.operator)) {
+    if (safeNumber(sample) !== null) return 'number';
+    if (parsePeriod(sample)) return 'date';
+  }
+
+  return 'text';
+};
+
+/**
+ * Find the latest year in a date column, used to place periods such as "Q1"
+ * @param {Array} data - Data rows
+ * @param {string} column - Column name
+ * @returns {number} - Year
+ */
+const getReferenceYear = (data, column) => {
+  let latest = null;
+
+  (data || []).forEach(row => {
+    const date = safeDate(row[column]);
+    if (date && (!latest || date > latest)) latest = date;
+  });
+
+  return latest ? latest.getUTCFullYear() : new Date().getUTCFullYear();
+};
+
+/**
+ * Build a predicate for a leaf condition
+ * @param {Object} leaf - Canonical leaf condition
+ * @param {string} column - Resolved column name
+ * @param {string} columnType - Detected column type
+ * @param {Array} data - Data rows, used to resolve periods without a year
+ * @returns {Function} - (row) => boolean
+ */
+const compileLeaf = (leaf, column, columnType, data) => {
+  const { operator } = leaf;
+
+  if (operator === 'is_null') return row => isBlank(row[column]);
+  if (operator === 'is_not_null') return row => !isBlank(row[column]);
+
+  const mode = getComparisonMode(leaf, columnType);
+  const values = Array.isArray(leaf.value) ? leaf.value : [leaf.value];
+
+  if (mode === 'number') {
+    const targets = values.map(value => {
+      const number = safeNumber(value);
+      if (number === null) throw new Error(`"${value}" is not a number for the filter on ${column}`);
+      return number;
+    });
+    const [target, upper] = targets;
+
+    return (row) => {
+      const cell = safeNumber(row[column]);
+      if (cell === null) return false;
+
+      switch (operator) {
+        case 'eq': return cell === target;
+        case 'ne': return cell !== target;
+        case 'gt': return cell > target;
+        case 'gte': return cell >= target;
+        case 'lt': return cell < target;
+        case 'lte': return cell <= target;
+        case 'between': return cell >= target && cell <= upper;
+        case 'not_between': return cell < target || cell > upper;
+        case 'in': return targets.includes(cell);
+        case 'not_in': return !targets.includes(cell);
+        default: return false;
+      }
+    };
+  }
+
+  if (mode === 'date') {
+    const referenceYear = getReferenceYear(data, column);
+    const periods = values.map(value => {
+      const period = parsePeriod(value, referenceYear);
+      if (!period) throw new Error(`"${value}" is not a date or period for the filter on ${column}`);
+      return period;
+    });
+    const [first, last] = periods;
+    const within = (cell, period) => cell >= period.start && cell <= period.end;
+
+    return (row) => {
+      const cell = safeDate(row[column]);
+      if (!cell) return false;
+
+      switch (operator) {
+        case 'eq': return within(cell, first);
+        case 'ne': return !within(cell, first);
+        case 'gt': return cell > first.end;
+        case 'gte': return cell >= first.start;
+        case 'lt': return cell < first.start;
+        case 'lte': return cell <= first.end;
+        case 'between': return cell >= first.start && cell <= last.end;
+        case 'not_between': return cell < first.start || cell > last.end;
+        case 'in': return periods.some(period => within(cell, period));
+        case 'not_in': return !periods.some(period => within(cell, period));
+        default: return false;
+      }
+    };
+  }
+
+  // Text comparison
+  const fold = (text) => (leaf.caseSensitive ? text : text.toLowerCase());
+  const targets = values.map(value => fold(toText(value)));
+  const [target, upper] = targets;
+  const pattern = operator === 'matches' ? new RegExp(String(leaf.value), leaf.caseSensitive ? '' : 'i') : null;
+
+  return (row) => {
+    if (isBlank(row[column])) return false;
+    const raw = toText(row[column]);
+    const cell = fold(raw);
+
+    switch (operator) {
+      case 'eq': return cell === target;
+      case 'ne': return cell !== target;
+      case 'gt': return cell > target;
+      case 'gte': return cell >= target;
+      case 'lt': return cell < target;
+      case 'lte': return cell <= target;
+      case 'between': return cell >= target && cell <= upper;
+      case 'not_between': return cell < target || cell > upper;
+      case 'in': return targets.includes(cell);
+      case 'not_in': return !targets.includes(cell);
+      case 'contains': return cell.includes(target);
+      case 'not_contains': return !cell.includes(target);
+      case 'starts_with': return cell.startsWith(target);
+      case 'ends_with': return cell.endsWith(target);
+      case 'matches': return pattern.test(raw);
+      default: return false;
+    }
+  };
+};
+
+/**
+ * Compile a condition tree into a row predicate
+ * @param {Object|Array} condition - Condition tree (see module comment)
+ * @param {Object} options - Options
+ * @param {Object} options.columnTypes - Map of column name to detected type
+ * @param {Array} options.data - Data rows, used to resolve column names and periods without a year
+ * @returns {Function} - (row) => boolean; matches every row for an empty condition
+ */
+const compileCondition = (condition, options = {}) => {
+  const { columnTypes = {}, data = [] } = options;
+  const tree = normalizeCondition(condition);
+  const knownColumns = Object.keys(columnTypes).length > 0 ? Object.keys(columnTypes) : Object.keys(data[0] || {});
+
+  const resolveColumn = (column) => {
+    if (knownColumns.length === 0 || knownColumns.includes(column)) return column;
+
+    const match = knownColumns.find(col => col.toLowerCase() === String(column).toLowerCase());
+    if (!match) {
+      throw new Error(`Filter column "${column}" not found. Available columns: ${knownColumns.join(', ')}`);
+    }
+    return match;
+  };
+
+  const compile = (node) => {
+    if (!node) return () => true;
+
+    switch (node.type) {
+      case 'and': {
+        const predicates = node.conditions.map(compile);
+        return row => predicates.every(predicate => predicate(row));
+      }
+      case 'or': {
+        const predicates = node.conditions.map(compile);
+        return predicates.length === 0 ? () => true : row => predicates.some(predicate => predicate(row));
+      }
+      case 'not': {
+        const predicate = compile(node.condition);
+        return row => !predicate(row);
+      }
+      default: {
+        const column = resolveColumn(node.column);
+        return compileLeaf(node, column, columnTypes[column], data);
+      }
+    }
+  };
+
+  return compile(tree);
+};
+
+/**
+ * Describe a condition tree in words for user messages
+ * @param {Object|Array} condition - Condition tree
+ * @returns {string} - Description such as: amount > 10000 AND (vendor in (Acme, Globex) OR region = EMEA)
+ */
+const describeCondition = (condition) => {
+  const describe = (node, nested) => {
+    if (!node) return 'all rows';
+
+    switch (node.type) {
+      case 'and':
+      case 'or': {
+        const text = node.conditions.map(child => describe(child, true)).join(` ${node.type.toUpperCase()} `);
+        return nested && node.conditions.length > 1 ? `(${text})` : text;
+      }
+      case 'not':
+        return `NOT ${describe(node.condition, true)}`;
+      default: {
+        const label = OPERATOR_LABELS[node.operator];
+        if (['is_null', 'is_not_null'].includes(node.operator)) return `${node.column} ${label}`;
+        if (RANGE_OPERATORS.includes(node.operator)) return `${node.column} ${label} ${node.value[0]} and ${node.value[1]}`;
+        if (LIST_OPERATORS.includes(node.operator)) return `${node.column} ${label} (${node.value.join(', ')})`;
+        if (TEXT_OPERATORS.includes(node.operator)) return `${node.column} ${label} "${node.value}"`;
+        return `${node.column} ${label} ${node.value}`;
+      }
+    }
+  };
+
+  return describe(normalizeCondition(condition), false);
+};
+
+module.exports = {
+  OPERATORS,
+  normalizeOperator,
+  normalizeCondition,
+  compileCondition,
+  describeCondition,
+  parsePeriod
+};
@@ -0,0 +1,96 @@
+const { compileCondition, describeCondition, normalizeCondition, parsePeriod } = require('./filterConditions');
+
+const data = [
+  { invoice: 'INV-0001', vendor: 'Acme', amount: 12000, date: '2024-01-15', approved_by: 'Dana' },
+  { invoice: 'INV-0002', vendor: 'Globex', amount: 800, date: '2024-04-02', approved_by: '' },
+  { invoice: 'PAY-0001', vendor: 'Initech', amount: 15000, date: '2024-07-20', approved_by: 'Lee' },
+  { invoice: 'INV-0003', vendor: 'acme', amount: 300, date: '2024-11-30', approved_by: null }
+];
+const columnTypes = { invoice: 'text', vendor: 'text', amount: 'number', date: 'date', approved_by: 'text' };
+
+const filter = (condition) => {
+  const predicate = compileCondition(condition, { columnTypes, data });
+  return data.filter(predicate).map(row => row.invoice);
+};
+
+describe('compileCondition', () => {
+  it('compares numeric columns as numbers', () => {
+    expect(filter({ column: 'amount', operator: '>', value: '10000' })).toEqual(['INV-0001', 'PAY-0001']);
+    expect(filter({ column: 'amount', operator: 'between', value: [300, 800] })).toEqual(['INV-0002', 'INV-0003']);
+  });
+
+  it('matches dates against quarters and months', () => {
+    expect(filter({ column: 'date', operator: 'between', value: ['2024-Q1', '2024-Q2'] })).toEqual(['INV-0001', 'INV-0002']);
+    expect(filter({ column: 'date', operator: 'eq', value: 'July 2024' })).toEqual(['PAY-0001']);
+  });
+
+  it('compares text without case unless asked to', () => {
+    expect(filter({ column: 'vendor', operator: 'in', value: ['ACME', 'Globex'] })).toEqual(['INV-0001', 'INV-0002', 'INV-0003']);
+    expect(filter({ column: 'vendor', operator: 'eq', value: 'Acme', caseSensitive: true })).toEqual(['INV-0001']);
+  });
+
+  it('keeps identifiers with a code prefix as text', () => {
+    expect(filter({ column: 'invoice', operator: 'eq', value: 'INV-0001' })).toEqual(['INV-0001']);
+  });
+
+  it('treats blank cells as null', () => {
+    expect(filter({ column: 'approved_by', operator: 'is_null' })).toEqual(['INV-0002', 'INV-0003']);
+    expect(filter({ column: 'approved_by', operator: 'ne', value: 'Dana' })).toEqual(['PAY-0001']);
+  });
+
+  it('combines conditions with and, or and not', () => {
+    const condition = {
+      and: [
+        { column: 'amount', operator: '>=', value: 800 },
+        { or: [{ column: 'vendor', operator: 'starts_with', value: 'glo' }, { not: { column: 'invoice', operator: 'contains', value: 'INV' } }] }
+      ]
+    };
+
+    expect(filter(condition)).toEqual(['INV-0002', 'PAY-0001']);
+  });
+
+  it('resolves column names case-insensitively and reports unknown ones', () => {
+    expect(filter({ column: 'Vendor', operator: 'eq', value: 'Initech' })).toEqual(['PAY-0001']);
+    expect(() => filter({ column: 'customer', operator: 'eq', value: 'Acme' })).toThrow('Filter column "customer" not found');
+  });
+
+  it('matches regular expressions', () => {
+    expect(filter({ column: 'invoice', operator: 'matches', value: '^inv-000[12]$' })).toEqual(['INV-0001', 'INV-0002']);
+    expect(filter({ column: 'invoice', operator: 'matches', value: '^(INV|PAY)-\\d{4}$' })).toHaveLength(4);
+  });
+});
+
+describe('regular expression checks', () => {
+  const matches = (value) => () => normalizeCondition({ column: 'invoice', operator: 'matches', value });
+
+  it.each(['(a+)+$', '^(\\d+)*$', '(a|aa)*', '((ab)*)+', '(a{2,5}){3}'])('rejects the nested repetition in %s', (pattern) => {
+    expect(matches(pattern)).toThrow('repeats a group that itself repeats or has alternatives');
+  });
+
+  it('rejects backreferences and invalid patterns', () => {
+    expect(matches('(\\w)\\1')).toThrow('backreference');
+    expect(matches('(INV')).toThrow('is not a valid regular expression');
+    expect(matches('a'.repeat(201))).toThrow('limited to 200 characters');
+  });
+
+  it('accepts repetition that cannot backtrack into itself', () => {
+    ['(abc)+', '(foo|bar)?', '[(a+)]+', '\\(a+\\)+', '(x+y)z*'].forEach(pattern => expect(matches(pattern)).not.toThrow());
+  });
+});
+
+describe('parsePeriod', () => {
+  it('reads quarters, months and years without a year from the reference year', () => {
+    expect(parsePeriod('Q3', 2023)).toEqual({ start: new Date(Date.UTC(2023, 6, 1)), end: new Date(Date.UTC(2023, 8, 30, 23, 59, 59, 999)) });
+    expect(parsePeriod('2024').start).toEqual(new Date(Date.UTC(2024, 0, 1)));
+  });
+});
+
+describe('describeCondition', () => {
+  it('describes nested groups in words', () => {
+    const text = describeCondition({
+      and: [{ column: 'amount', operator: '>', value: 10000 }, { or: [{ column: 'vendor', operator: 'in', value: ['Acme', 'Globex'] }, { column: 'approved_by', operator: 'is_null' }] }]
+    });
+
+    expect(text).toMatch(/^amount .* 10000 AND \(vendor .*Acme, Globex.* OR approved_by .*\)$/);
+  });
+});
@@ -0,0 +1,573 @@
+/**
+ * Fuzzy record matching
+ * Finds probable duplicates such as "ACME Corp." and "Acme Corporation":
+ * values are normalized (case, accents, punctuation, legal suffixes and
+ * common abbreviations), compared with Jaro-Winkler and token similarity,
+ * and numbers and dates match within a tolerance. Numbers inside text
+ * ("Invoice 1001", "Vendor 100") must match exactly. Rows are only compared
+ * within blocks that share a key, so large lists stay fast. Rows are grouped
+ * with complete linkage: every pair in a cluster scores above the threshold,
+ * so similar names do not chain into one large cluster. Each cluster keeps
+ * one survivor.
+ */
+const _ = require('lodash');
+const { isMissing, parseNumber, toDate, MS_PER_DAY } = require('../services/formula/coercion');
+
+const DEFAULT_THRESHOLD = 0.85;
+
+// Characters of each token used as the default blocking key
+const PREFIX_LENGTH = 3;
+
+// Blocks larger than this are too common a key to be useful and are skipped
+const MAX_BLOCK_SIZE = 1000;
+
+// Without a text column to block on, every pair is compared up to this many rows
+const MAX_UNBLOCKED_ROWS = 3000;
+
+// Company forms dropped when comparing names
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'llc', 'llp', 'lp',
+  'plc', 'gmbh', 'ag', 'kg', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'oy', 'ab', 'as', 'pty', 'pte'
+]);
+
+const STOP_WORDS = new Set(['the', 'and', 'of']);
+
+const ABBREVIATIONS = {
+  intl: 'international',
+  mfg: 'manufacturing',
+  svc: 'services',
+  svcs: 'services',
+  dept: 'department',
+  assoc: 'associates',
+  bros: 'brothers',
+  natl: 'national',
+  grp: 'group',
+  hldgs: 'holdings',
+  mgmt: 'management',
+  tech: 'technology',
+  st: 'street',
+  ave: 'avenue',
+  rd: 'road'
+};
+
+const METHODS = ['text', 'exact', 'number', 'date'];
+
+const SURVIVOR_RULES = ['most_complete', 'first', 'last'];
+
+/**
+ * Split a value into normalized tokens
+ * @param {*} value - Raw value
+ * @returns {Array} - Tokens
+ */
+const tokenize = (value) => {
+  if (isMissing(value)) return [];
+
+  const tokens = String(value)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // Dotted initials: "S.A." -> "sa", "U.S.A." -> "usa"
+    .replace(/\b([a-z])\.(?=[a-z]\b)/g, '$1')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token);
+
+  const meaningful = tokens.filter(token => !STOP_WORDS.has(token) && !LEGAL_SUFFIXES.has(token));
+  // A name that is nothing but a legal form ("The Company") keeps its words
+  return meaningful.length > 0 ? meaningful : tokens;
+};
+
+/**
+ * Normalize a text value for comparison
+ * @param {*} value - Raw value
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value) => tokenize(value).join(' ');
+
+/**
+ * Jaro-Winkler similarity
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity between 0 and 1
+ */
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = start; j < end; j += 1) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (aMatches[i]) {
+      while (!bMatches[k]) k += 1;
+      if (a[i] !== b[k]) transpositions += 1;
+      k += 1;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * Token similarity: each token is matched to its closest token on the other
+ * side, so word order and an extra word matter little
+ * @param {Array} a - Tokens
+ * @param {Array} b - Tokens
+ * @returns {number} - Similarity between 0 and 1
+ */
+const tokenSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const best = (from, to) => _.mean(from.map(token => Math.max(...to.map(other => jaroWinkler(token, other)))));
+  return (best(a, b) + best(b, a)) / 2;
+};
+
+/**
+ * Numbers written in a value's tokens, without leading zeros
+ * @param {Array} tokens - Tokens
+ * @returns {string} - Sorted numbers, joined
+ */
+const numberKey = (tokens) => tokens
+  .flatMap(token => token.match(/\d+/g) || [])
+  .map(digits => digits.replace(/^0+(?=\d)/, ''))
+  .sort()
+  .join(' ');
+
+/**
+ * Similarity of two text values
+ * Values holding different numbers ("Invoice 1001" and "Invoice 1002") never match.
+ * @returns {number} - Similarity between 0 and 1
+ */
+const textSimilarity = (a, b) => {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (numberKey(tokensA) !== numberKey(tokensB)) return 0;
+  return Math.max(jaroWinkler(tokensA.join(' '), tokensB.join(' ')), tokenSimilarity(tokensA, tokensB));
+};
+
+/**
+ * Parse a date for tolerance comparison
+ * @returns {number} - Timestamp, or NaN
+ */
+const toTime = (value) => {
+  try {
+    const date = toDate(value);
+    return date ? date.getTime() : NaN;
+  } catch (error) {
+    return NaN;
+  }
+};
+
+/**
+ * Compare one field of two rows
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {Object} field - { method, tolerance }
+ * @returns {number|null} - Similarity between 0 and 1, or null when either value is blank
+ */
+const compareField = (a, b, field) => {
+  if (isMissing(a) || isMissing(b)) return null;
+
+  switch (field.method) {
+    case 'exact':
+      return normalizeText(a) === normalizeText(b) ? 1 : 0;
+
+    case 'number': {
+      const x = parseNumber(a);
+      const y = parseNumber(b);
+      if (Number.isNaN(x) || Number.isNaN(y)) return 0;
+      const tolerance = field.relative ? field.tolerance * Math.max(Math.abs(x), Math.abs(y)) : field.tolerance;
+      return Math.abs(x - y) <= tolerance + 1e-9 ? 1 : 0;
+    }
+
+    case 'date': {
+      const x = toTime(a);
+      const y = toTime(b);
+      if (Number.isNaN(x) || Number.isNaN(y)) return 0;
+      return Math.abs(x - y) / MS_PER_DAY <= field.tolerance ? 1 : 0;
+    }
+
+    default:
+      return textSimilarity(a, b);
+  }
+};
+
+/**
+ * Build the compared fields from columns and their types
+ * @param {Array} columns - Column names
+ * @param {Array} fields - Optional [{ column, method, weight, tolerance, relative }]
+ * @param {Object} columnTypes - Map of column name to detected type
+ * @returns {Array} - Fields with method, weight and tolerance filled in
+ */
+const buildFields = (columns = [], fields = null, columnTypes = {}) => {
+  const requested = fields && fields.length > 0
+    ? fields
+    : columns.map(column => ({ column }));
+
+  if (requested.length === 0) {
+    throw new Error('Choose the columns to compare, e.g. the vendor name');
+  }
+
+  return requested.map(field => {
+    const type = columnTypes[field.column];
+    const method = field.method || (type === 'number' ? 'number' : type === 'date' ? 'date' : 'text');
+
+    if (!METHODS.includes(method)) {
+      throw new Error(`Unknown match method "${method}". Use ${METHODS.join(', ')}`);
+    }
+
+    return {
+      column: field.column,
+      method,
+      weight: field.weight !== undefined ? Number(field.weight) : 1,
+      tolerance: Number(field.tolerance) || 0,
+      relative: Boolean(field.relative)
+    };
+  });
+};
+
+/**
+ * Score a pair of rows: the weighted average of the fields both rows fill in
+ * @returns {number} - Score between 0 and 1
+ */
+const scorePair = (a, b, fields) => {
+  let total = 0;
+  let weights = 0;
+
+  fields.forEach(field => {
+    const similarity = compareField(a[field.column], b[field.column], field);
+    if (similarity === null) return;
+    total += similarity * field.weight;
+    weights += field.weight;
+  });
+
+  return weights > 0 ? total / weights : 0;
+};
+
+/**
+ * Soundex code of a word, for phonetic blocking
+ */
+const soundex = (word) => {
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  const letters = word.replace(/[^a-z]/g, '');
+  if (!letters) return word;
+
+  let code = letters[0];
+  let previous = codes[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const digit = codes[letter];
+    if (digit && digit !== previous) code += digit;
+    if (letter !== 'h' && letter !== 'w') previous = digit;
+  }
+  return code.padEnd(4, '0').slice(0, 4);
+};
+
+/**
+ * Blocking keys of a row; rows are only compared when they share a key
+ * @param {Object} row - Data row
+ * @param {Array} blocking - [{ column, method: 'prefix' | 'token' | 'exact' | 'soundex', length }]
+ * @returns {Array} - Keys
+ */
+const getBlockKeys = (row, blocking) => _.uniq(blocking.flatMap((block, index) => {
+  const tokens = tokenize(row[block.column]);
+  if (tokens.length === 0) return [];
+
+  switch (block.method) {
+    case 'exact':
+      return [`${index}:${tokens.join(' ')}`];
+    case 'token':
+      return tokens.map(token => `${index}:${token}`);
+    case 'soundex':
+      return tokens.map(token => `${index}:${soundex(token)}`);
+    default:
+      return tokens
+        .filter(token => token.length >= 2)
+        .map(token => `${index}:${token.slice(0, block.length || PREFIX_LENGTH)}`);
+  }
+}));
+
+/**
+ * Find the candidate pairs to compare
+ * @returns {Object} - { pairs: [[i, j]], skippedBlocks: [{ column, key, rows }] }
+ */
+const findCandidatePairs = (data, fields, blocking) => {
+  const blocks = blocking && blocking.length > 0
+    ? blocking.map(block => (typeof block === 'string' ? { column: block } : block))
+    : fields.filter(field => field.method === 'text' || field.method === 'exact').slice(0, 1).map(field => ({
+      column: field.column,
+      method: field.method === 'exact' ? 'exact' : 'prefix'
+    }));
+
+  if (blocks.length === 0) {
+    if (data.length > MAX_UNBLOCKED_ROWS) {
+      throw new Error(`Comparing ${data.length} rows needs a text column or blocking key`);
+    }
+    const pairs = [];
+    for (let i = 0; i < data.length; i += 1) {
+      for (let j = i + 1; j < data.length; j += 1) pairs.push([i, j]);
+    }
+    return { pairs, skippedBlocks: [] };
+  }
+
+  const members = new Map();
+  data.forEach((row, index) => {
+    getBlockKeys(row, blocks).forEach(key => {
+      if (!members.has(key)) members.set(key, []);
+      members.get(key).push(index);
+    });
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  const skippedBlocks = [];
+
+  members.forEach((indexes, key) => {
+    if (indexes.length > MAX_BLOCK_SIZE) {
+      const separator = key.indexOf(':');
+      skippedBlocks.push({
+        column: blocks[Number(key.slice(0, separator))].column,
+        key: key.slice(separator + 1),
+        rows: indexes.length
+      });
+      return;
+    }
+    for (let a = 0; a < indexes.length; a += 1) {
+      for (let b = a + 1; b < indexes.length; b += 1) {
+        const key = indexes[a] * data.length + indexes[b];
+        if (!seen.has(key)) {
+          seen.add(key);
+          pairs.push([indexes[a], indexes[b]]);
+        }
+      }
+    }
+  });
+
+  return { pairs, skippedBlocks };
+};
+
+/**
+ * Count the filled-in values of a row
+ */
+const countFilled = (row) => Object.values(row).filter(value => !isMissing(value)).length;
+
+/**
+ * Choose the row that survives a cluster
+ * @param {Array} data - Rows
+ * @param {Array} rows - Row indexes of the cluster, ascending
+ * @param {string} rule - most_complete, first or last
+ * @returns {number} - Row index
+ */
+const chooseSurvivor = (data, rows, rule = 'most_complete') => {
+  if (!SURVIVOR_RULES.includes(rule)) {
+    throw new Error(`Unknown survivor rule "${rule}". Use ${SURVIVOR_RULES.join(', ')}`);
+  }
+  if (rule === 'first') return rows[0];
+  if (rule === 'last') return rows[rows.length - 1];
+
+  return rows.reduce((best, index) => (countFilled(data[index]) > countFilled(data[best]) ? index : best), rows[0]);
+};
+
+/**
+ * Group probable duplicates
+ * @param {Array} data - Rows
+ * @param {Object} options - Options
+ * @param {Array} options.columns - Columns to compare
+ * @param {Array} options.fields - Detailed fields [{ column, method, weight, tolerance, relative }]; overrides columns
+ * @param {number} options.threshold - Minimum score of a duplicate pair (0-1)
+ * @param {Array} options.blocking - Blocking keys [{ column, method, length }] or column names
+ * @param {string} options.survivor - Suggested survivor: most_complete, first or last
+ * @param {Object} options.columnTypes - Map of column name to detected type
+ * @returns {Object} - { clusters: [{ id, rows, survivor, score, members }], summary }
+ */
+const findDuplicateClusters = (data, options = {}) => {
+  const fields = buildFields(options.columns, options.fields, options.columnTypes);
+  const threshold = options.threshold !== undefined ? Number(options.threshold) : DEFAULT_THRESHOLD;
+
+  if (Number.isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error('The match threshold must be between 0 and 1');
+  }
+
+  const { pairs, skippedBlocks } = findCandidatePairs(data, fields, options.blocking);
+
+  // Scores of the pairs compared so far, by "i:j" with i < j
+  const scores = new Map();
+  const pairScore = (i, j) => {
+    const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+    if (!scores.has(key)) scores.set(key, scorePair(data[i], data[j], fields));
+    return scores.get(key);
+  };
+
+  const edges = [];
+  pairs.forEach(([i, j]) => {
+    const score = pairScore(i, j);
+    if (score >= threshold) edges.push({ i, j, score });
+  });
+
+  // Complete linkage: the best pairs are joined first, and two clusters only
+  // join when every row of one matches every row of the other
+  const clusterOf = new Map();
+  _.orderBy(edges, ['score', 'i', 'j'], ['desc', 'asc', 'asc']).forEach(({ i, j }) => {
+    const a = clusterOf.get(i) || [i];
+    const b = clusterOf.get(j) || [j];
+    if (a === b) return;
+    if (!a.every(x => b.every(y => pairScore(x, y) >= threshold))) return;
+
+    const joined = a.concat(b);
+    joined.forEach(index => clusterOf.set(index, joined));
+  });
+
+  const groups = _.uniq([...clusterOf.values()]);
+
+  const clusters = _.sortBy(groups.map(indexes => [...indexes].sort((a, b) => a - b)), [
+    rows => -rows.length,
+    rows => rows[0]
+  ]).map((rows, position) => {
+    const survivor = chooseSurvivor(data, rows, options.survivor);
+    const clusterScores = rows.flatMap((x, n) => rows.slice(n + 1).map(y => pairScore(x, y)));
+
+    return {
+      id: position + 1,
+      rows,
+      survivor,
+      score: Math.round(_.mean(clusterScores) * 1000) / 1000,
+      members: rows.map(index => ({
+        row: index,
+        score: index === survivor ? 1 : Math.round(pairScore(survivor, index) * 1000) / 1000,
+        values: _.pick(data[index], fields.map(field => field.column))
+      }))
+    };
+  });
+
+  return {
+    clusters,
+    summary: {
+      rows: data.length,
+      comparedPairs: pairs.length,
+      clusters: clusters.length,
+      duplicateRows: _.sumBy(clusters, cluster => cluster.rows.length - 1),
+      // Keys shared by too many rows are not compared; their duplicates may be missed
+      skippedBlocks,
+      warning: skippedBlocks.length > 0
+        ? `${skippedBlocks.length} blocking key${skippedBlocks.length === 1 ? ' was' : 's were'} shared by more than ${MAX_BLOCK_SIZE} rows and not compared (e.g. "${skippedBlocks[0].key}" in ${skippedBlocks[0].column}); choose a more specific blocking key to check them`
+        : null,
+      threshold,
+      fields
+    }
+  };
+};
+
+/**
+ * Merge clusters of duplicates into their survivors
+ * The survivor keeps its position; blank values of the survivor are filled
+ * from the other rows of its cluster unless fillBlanks is false.
+ * @param {Array} data - Rows
+ * @param {Array} decisions - [{ rows: [index], survivor: index }]
+ * @param {Object} options - Options
+ * @param {boolean} options.fillBlanks - Fill the survivor's blanks from the merged rows (default true)
+ * @returns {Object} - { data, clusters, removed }
+ */
+const mergeClusters = (data, decisions, options = {}) => {
+  const fillBlanks = options.fillBlanks !== false;
+  const removed = new Set();
+  const merged = new Map();
+
+  // Check every group before merging any, so one bad group changes nothing
+  const groupOf = new Map();
+  const groups = decisions.map(({ rows, survivor }, position) => {
+    const name = `Duplicate group ${position + 1}`;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error(`${name} has no rows`);
+    }
+
+    const indexes = _.uniq(rows.map(Number));
+    const keep = survivor === null || survivor === '' ? NaN : Number(survivor);
+
+    const outside = rows.find(row => {
+      const index = Number(row);
+      return row === null || row === '' || !Number.isInteger(index) || index < 0 || index >= data.length;
+    });
+    if (outside !== undefined) {
+      throw new Error(`${name} refers to row ${JSON.stringify(outside)}, which is not in the data; review the duplicates again`);
+    }
+    if (!Number.isInteger(keep)) {
+      throw new Error(`${name} has no valid survivor (got ${JSON.stringify(survivor)}); choose one of rows ${indexes.join(', ')}`);
+    }
+    if (!indexes.includes(keep)) {
+      throw new Error(`${name}: survivor row ${keep} is not one of its rows ${indexes.join(', ')}`);
+    }
+
+    indexes.forEach(index => {
+      if (groupOf.has(index)) {
+        throw new Error(`Row ${index} appears in duplicate groups ${groupOf.get(index) + 1} and ${position + 1}; a row can only be merged once`);
+      }
+      groupOf.set(index, position);
+    });
+
+    return { indexes, keep };
+  });
+
+  groups.forEach(({ indexes, keep }) => {
+    const others = indexes.filter(index => index !== keep);
+    let row = data[keep];
+    if (fillBlanks) {
+      row = { ...row };
+      others.forEach(index => {
+        Object.entries(data[index]).forEach(([column, value]) => {
+          if (isMissing(row[column]) && !isMissing(value)) row[column] = value;
+        });
+      });
+    }
+
+    merged.set(keep, row);
+    others.forEach(index => removed.add(index));
+  });
+
+  return {
+    data: data
+      .map((row, index) => (merged.has(index) ? merged.get(index) : row))
+      .filter((row, index) => !removed.has(index)),
+    clusters: decisions.length,
+    removed: removed.size
+  };
+};
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  SURVIVOR_RULES,
+  tokenize,
+  normalizeText,
+  jaroWinkler,
+  textSimilarity,
+  buildFields,
+  scorePair,
+  findDuplicateClusters,
+  mergeClusters
+};
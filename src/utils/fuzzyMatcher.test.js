@@ -0,0 +1,108 @@
+const {
+  textSimilarity,
+  findDuplicateClusters,
+  mergeClusters
+} = require('./fuzzyMatcher');
+
+describe('textSimilarity', () => {
+  it('matches names that differ in case, punctuation and legal form', () => {
+    expect(textSimilarity('ACME Corp.', 'Acme Corporation')).toBe(1);
+    expect(textSimilarity('Intl. Business Machines', 'International Business Machines Inc')).toBe(1);
+  });
+
+  it('never matches values holding different numbers', () => {
+    expect(textSimilarity('Invoice 1001', 'Invoice 1002')).toBe(0);
+    expect(textSimilarity('Vendor 100', 'Vendor 1009')).toBe(0);
+    expect(textSimilarity('Store 7', 'Store')).toBe(0);
+  });
+
+  it('ignores leading zeros when comparing numbers', () => {
+    expect(textSimilarity('Invoice 0012', 'invoice 12')).toBeGreaterThan(0.85);
+  });
+});
+
+describe('findDuplicateClusters', () => {
+  it('groups spellings of the same name and suggests a survivor', () => {
+    const data = [
+      { vendor: 'ACME Corp.', city: null },
+      { vendor: 'Globex' },
+      { vendor: 'Acme Corporation', city: 'Berlin' },
+      { vendor: 'Acme Inc' }
+    ];
+
+    const { clusters, summary } = findDuplicateClusters(data, { columns: ['vendor'] });
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].rows).toEqual([0, 2, 3]);
+    expect(clusters[0].survivor).toBe(2);
+    expect(summary.duplicateRows).toBe(2);
+  });
+
+  it('does not treat numbered invoices as duplicates', () => {
+    const data = [1001, 1002, 1003].map(number => ({ name: `Invoice ${number}` }));
+
+    expect(findDuplicateClusters(data, { columns: ['name'] }).clusters).toEqual([]);
+  });
+
+  it('does not chain similar names into one cluster', () => {
+    // Each name is close to its neighbours but the ends of the chain are far apart
+    const data = ['Jonson', 'Johnson', 'Johnston', 'Johnstone', 'Johnstown'].map(name => ({ name }));
+
+    const { clusters } = findDuplicateClusters(data, { columns: ['name'], threshold: 0.9 });
+
+    clusters.forEach(cluster => {
+      cluster.rows.forEach((a, i) => cluster.rows.slice(i + 1).forEach(b => {
+        expect(textSimilarity(data[a].name, data[b].name)).toBeGreaterThanOrEqual(0.9);
+      }));
+    });
+    expect(clusters.every(cluster => cluster.rows.length < data.length)).toBe(true);
+  });
+
+  it('reports blocks too common to compare', () => {
+    const data = Array.from({ length: 1001 }, (_, i) => ({ name: `Vendor ${i}` }));
+
+    const { summary } = findDuplicateClusters(data, { columns: ['name'] });
+
+    expect(summary.skippedBlocks).toEqual([{ column: 'name', key: 'ven', rows: 1001 }]);
+    expect(summary.warning).toMatch(/not compared/);
+  });
+
+  it('rejects thresholds outside 0-1', () => {
+    expect(() => findDuplicateClusters([{ a: 'x' }], { columns: ['a'], threshold: 2 })).toThrow('between 0 and 1');
+  });
+});
+
+describe('mergeClusters', () => {
+  const data = [
+    { vendor: 'ACME Corp.', city: null },
+    { vendor: 'Acme Corporation', city: 'Berlin' },
+    { vendor: 'Acme Inc', city: 'Paris' },
+    { vendor: 'Globex', city: 'Rome' }
+  ];
+
+  it('keeps the survivor and fills its blanks from the merged rows', () => {
+    const result = mergeClusters(data, [{ rows: [0, 1, 2], survivor: 0 }]);
+
+    expect(result.removed).toBe(2);
+    expect(result.data).toEqual([
+      { vendor: 'ACME Corp.', city: 'Berlin' },
+      { vendor: 'Globex', city: 'Rome' }
+    ]);
+  });
+
+  it('names the row that appears in two groups', () => {
+    expect(() => mergeClusters(data, [
+      { rows: [0, 1], survivor: 0 },
+      { rows: [1, 2], survivor: 2 }
+    ])).toThrow('Row 1 appears in duplicate groups 1 and 2');
+  });
+
+  it('names a missing or foreign survivor', () => {
+    expect(() => mergeClusters(data, [{ rows: [0, 1] }])).toThrow('Duplicate group 1 has no valid survivor');
+    expect(() => mergeClusters(data, [{ rows: [0, 1], survivor: 3 }])).toThrow('survivor row 3 is not one of its rows 0, 1');
+  });
+
+  it('names a row outside the data', () => {
+    expect(() => mergeClusters(data, [{ rows: [0, 9], survivor: 0 }])).toThrow('refers to row 9');
+  });
+});
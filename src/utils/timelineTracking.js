@@ -44,6 +44,7 @@ exports.resetSession = (userId) => {
  * @param {string} params.transformationId - Optional transformation ID
  * @param {Object} params.details - Optional details about the step
  * @param {Object} params.metadata - Optional additional metadata
+ * @param {string} params.status - Optional status (completed, failed); defaults to completed
  * @returns {Promise<Object>} - Created timeline event
  */
 exports.trackStep = async (params) => {
@@ -53,7 +54,8 @@ exports.trackStep = async (params) => {
     datasetId = null, 
     transformationId = null, 
     details = null, 
-    metadata = null 
+    metadata = null,
+    status = 'completed'
   } = params;
 
   if (!userId || !stepKey) {
@@ -71,7 +73,8 @@ exports.trackStep = async (params) => {
       datasetId,
       transformationId,
       details,
-      metadata
+      metadata,
+      status
     });
     
     return event;
@@ -0,0 +1,763 @@
+/**
+ * Workbook reader
+ * Finds the data table on each sheet of a finance workbook: skips cover sheets
+ * and merged title rows, detects the header row (including a merged group row
+ * above it, e.g. "2024" over "Q1 | Q2"), fills merged cells and leaves out
+ * subtotal rows. .xlsx files can also be streamed row by row, so large
+ * workbooks are never held in memory.
+ */
+const xlsx = require('xlsx');
+const ExcelJS = require('exceljs');
+
+// Rows searched for the header
+const HEADER_SCAN_ROWS = 30;
+
+// Label cells that mark subtotal and total rows
+const SUBTOTAL_PATTERN = /^\s*(?:sub[\s-]?total|grand\s+total|total)\b|\btotals?\s*:?\s*$/i;
+
+// Columns at the start of a row that are checked for subtotal labels
+const LABEL_COLUMNS = 3;
+
+/**
+ * Read a workbook from a file path or buffer
+ * Cells keep their raw values, so "$1,234.00" formatted numbers stay numbers.
+ * @param {string|Buffer} source - File path or file content
+ * @returns {Object} - xlsx workbook
+ */
+const readWorkbook = (source) => (Buffer.isBuffer(source)
+  ? xlsx.read(source, { cellDates: true })
+  : xlsx.readFile(source, { cellDates: true }));
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Index merged ranges by the cells they cover
+ * @param {Array} merges - [{ s: { r, c }, e: { r, c } }]
+ * @returns {Object} - { merged: Map of "r,c" to the top-left cell, spans: Map of "r,c" to merge width }
+ */
+const indexMerges = (merges = []) => {
+  const merged = new Map();
+  const spans = new Map();
+
+  merges.forEach(merge => {
+    spans.set(`${merge.s.r},${merge.s.c}`, merge.e.c - merge.s.c + 1);
+    for (let r = merge.s.r; r <= merge.e.r; r += 1) {
+      for (let c = merge.s.c; c <= merge.e.c; c += 1) {
+        if (r !== merge.s.r || c !== merge.s.c) merged.set(`${r},${c}`, merge.s);
+      }
+    }
+  });
+
+  return { merged, spans };
+};
+
+/**
+ * Build a cell reader that fills merged cells with their top-left value
+ * @param {Object} worksheet - xlsx worksheet
+ * @returns {Object} - { value(r, c), text(r, c), mergeWidth(r, c) }
+ */
+const createCellReader = (worksheet) => {
+  const { merged, spans } = indexMerges(worksheet['!merges']);
+
+  const cellAt = (r, c) => {
+    const origin = merged.get(`${r},${c}`);
+    return worksheet[xlsx.utils.encode_cell(origin || { r, c })];
+  };
+
+  return {
+    value: (r, c) => {
+      const cell = cellAt(r, c);
+      if (!cell || cell.t === 'z' || cell.t === 'e') return null;
+      return typeof cell.v === 'string' ? cell.v.trim() : cell.v;
+    },
+    // Formatted text, used for header labels such as "Jan-24"
+    text: (r, c) => {
+      const cell = cellAt(r, c);
+      if (!cell || cell.v === null || cell.v === undefined) return '';
+      return String(cell.w !== undefined ? cell.w : cell.v).replace(/\s+/g, ' ').trim();
+    },
+    mergeWidth: (r, c) => spans.get(`${r},${c}`) || 1
+  };
+};
+
+const isText = (value) => typeof value === 'string' && Number.isNaN(Number(value.replace(/[,$%()\s]/g, '')));
+
+// Years and dates are labels in headers such as "Account | 2023 | 2024"
+const isPeriodLabel = (value) => value instanceof Date || (Number.isInteger(value) && value >= 1900 && value <= 2100);
+
+/**
+ * Describe the non-empty cells of a row
+ * @param {Object} reader - Cell reader
+ * @param {number} r - Row index
+ * @param {Object} range - Sheet range
+ * @returns {Object} - { filled, text, distinctText, first, last }
+ */
+const describeRow = (reader, r, range) => {
+  const texts = [];
+  const periods = [];
+  let filled = 0;
+  let first = null;
+  let last = null;
+
+  for (let c = range.s.c; c <= range.e.c; c += 1) {
+    const value = reader.value(r, c);
+    if (isEmpty(value)) continue;
+
+    filled += 1;
+    if (first === null) first = c;
+    last = c;
+    if (isText(value)) texts.push(value);
+    else if (isPeriodLabel(value)) periods.push(String(value));
+  }
+
+  const labels = texts.length > 0 ? [...texts, ...periods] : texts;
+  return { filled, text: texts.length, distinctText: new Set(labels).size, first, last };
+};
+
+/**
+ * Find the header row: the first row mostly made of distinct labels that is as
+ * wide as the table below it. Merged title rows repeat one label and are skipped.
+ * @param {Object} reader - Cell reader
+ * @param {Object} range - Sheet range
+ * @returns {Object|null} - { row, detected }, where detected is false when the first
+ *   non-empty row was used as a fallback; null for an empty sheet
+ */
+const detectHeaderRow = (reader, range) => {
+  const lastScanRow = Math.min(range.e.r, range.s.r + HEADER_SCAN_ROWS);
+  const rows = [];
+  for (let r = range.s.r; r <= Math.min(range.e.r, lastScanRow + 5); r += 1) {
+    rows.push({ r, ...describeRow(reader, r, range) });
+  }
+
+  const widest = Math.max(0, ...rows.map(row => row.filled));
+  if (widest === 0) return null;
+
+  const header = rows.find(row => row.r <= lastScanRow &&
+    row.distinctText >= Math.min(2, widest) &&
+    row.filled >= Math.max(Math.min(2, widest), Math.ceil(widest * 0.6)) &&
+    row.distinctText >= row.filled * 0.6 &&
+    rows.some(next => next.r > row.r && next.filled > 0));
+
+  return header
+    ? { row: header.r, detected: true }
+    : { row: rows.find(row => row.filled > 0).r, detected: false };
+};
+
+/**
+ * Check whether a row holds group labels merged over some, but not all, columns
+ * @param {Object} reader - Cell reader
+ * @param {number} r - Row index
+ * @param {number} firstColumn - First column of the table
+ * @param {number} lastColumn - Last column of the table
+ * @returns {boolean} - True for a group row such as "2024" over "Q1 | Q2"
+ */
+const isGroupRow = (reader, r, firstColumn, lastColumn) => Array.from(
+  { length: lastColumn - firstColumn + 1 },
+  (_, i) => reader.mergeWidth(r, firstColumn + i)
+).some(width => width > 1 && width <= lastColumn - firstColumn);
+
+/**
+ * Locate the data table on a sheet
+ * @param {Object} worksheet - xlsx worksheet
+ * @param {Object} options - Options
+ * @param {number} options.headerRow - 1-based header row that overrides detection
+ * @returns {Object|null} - { reader, headerRow, detected, groupRow, firstColumn, lastColumn, lastRow, columns }
+ */
+const locateTable = (worksheet, options = {}) => {
+  if (!worksheet || !worksheet['!ref']) return null;
+
+  const range = xlsx.utils.decode_range(worksheet['!ref']);
+  const reader = createCellReader(worksheet);
+  const detection = options.headerRow
+    ? { row: Number(options.headerRow) - 1, detected: true }
+    : detectHeaderRow(reader, range);
+  if (!detection || detection.row < range.s.r || detection.row > range.e.r) return null;
+  const headerRow = detection.row;
+
+  const header = describeRow(reader, headerRow, range);
+  if (header.filled === 0) return null;
+  const firstColumn = header.first;
+  let lastColumn = header.last;
+
+  // Data may extend past the last labelled column (an unlabelled comment or total column)
+  let lastRow = headerRow;
+  for (let r = headerRow + 1; r <= range.e.r; r += 1) {
+    const row = describeRow(reader, r, { s: { c: firstColumn }, e: { c: range.e.c } });
+    if (row.filled > 0) {
+      lastRow = r;
+      lastColumn = Math.max(lastColumn, row.last);
+    }
+  }
+
+  // Notes under the table ("Source: ...") follow a blank row and fill a single cell
+  while (lastRow > headerRow + 1) {
+    const row = describeRow(reader, lastRow, { s: { c: firstColumn }, e: { c: lastColumn } });
+    const above = describeRow(reader, lastRow - 1, { s: { c: firstColumn }, e: { c: lastColumn } });
+    if (!(row.filled === 1 && row.text === 1 && lastColumn > firstColumn && above.filled === 0)) break;
+    lastRow -= 2;
+    while (lastRow > headerRow && describeRow(reader, lastRow, { s: { c: firstColumn }, e: { c: lastColumn } }).filled === 0) {
+      lastRow -= 1;
+    }
+  }
+
+  // A row of merged group labels directly above the header prefixes the column names
+  const groupRow = headerRow - 1 >= range.s.r && isGroupRow(reader, headerRow - 1, firstColumn, lastColumn) ? headerRow - 1 : null;
+
+  const columns = buildColumnNames(reader, headerRow, groupRow, firstColumn, lastColumn);
+
+  return { reader, range, headerRow, detected: detection.detected, groupRow, firstColumn, lastColumn, lastRow, columns };
+};
+
+/**
+ * Build unique column names from the header row
+ * @returns {Array} - Column names; blanks become Column_<n>, repeats get a suffix
+ */
+const buildColumnNames = (reader, headerRow, groupRow, firstColumn, lastColumn) => {
+  const seen = {};
+
+  return Array.from({ length: lastColumn - firstColumn + 1 }, (_, i) => {
+    const c = firstColumn + i;
+    const label = reader.text(headerRow, c);
+    const group = groupRow === null ? '' : reader.text(groupRow, c);
+    let name = [group, label].filter(Boolean).join(' ') || `Column_${i + 1}`;
+
+    seen[name] = (seen[name] || 0) + 1;
+    if (seen[name] > 1) name = `${name}_${seen[name]}`;
+    return name;
+  });
+};
+
+/**
+ * Check whether a row is a subtotal or total line
+ * @param {Array} values - Row values in column order
+ * @returns {boolean} - True when a label cell reads like "Total", "Subtotal" or "Total Revenue"
+ */
+const isSubtotalRow = (values) => values
+  .slice(0, LABEL_COLUMNS)
+  .some(value => typeof value === 'string' && SUBTOTAL_PATTERN.test(value));
+
+/**
+ * Read one row of a located table as an object
+ * @param {Object} table - { reader, headerRow, firstColumn, columns }
+ * @param {number} r - Row index
+ * @param {Object} options - { keepSubtotals }
+ * @param {Object} stats - Counts subtotal rows in subtotalRows
+ * @returns {Object|null} - Row, or null for a blank, repeated header or skipped subtotal row
+ */
+const readTableRow = ({ reader, headerRow, firstColumn, columns }, r, options, stats) => {
+  const values = columns.map((_, i) => reader.value(r, firstColumn + i));
+  if (values.every(isEmpty)) return null;
+  if (values.every((value, i) => reader.text(r, firstColumn + i) === reader.text(headerRow, firstColumn + i))) return null;
+
+  if (isSubtotalRow(values)) {
+    stats.subtotalRows += 1;
+    if (!options.keepSubtotals) return null;
+  }
+
+  const row = {};
+  columns.forEach((column, i) => {
+    row[column] = isEmpty(values[i]) ? null : values[i];
+  });
+  return row;
+};
+
+/**
+ * Yield the rows of a located table as objects
+ * Blank rows, repeated header rows (page breaks) and, unless kept, subtotal rows are skipped.
+ * @param {Object} table - Result of locateTable
+ * @param {Object} options - Options
+ * @param {boolean} options.keepSubtotals - Keep subtotal and total rows
+ * @param {Object} stats - Receives the number of subtotal rows skipped
+ */
+function* tableRows(table, options = {}, stats = {}) {
+  stats.subtotalRows = 0;
+
+  for (let r = table.headerRow + 1; r <= table.lastRow; r += 1) {
+    const row = readTableRow(table, r, options, stats);
+    if (row) yield row;
+  }
+}
+
+/**
+ * Find a sheet by name or zero-based index
+ * @param {Object} workbook - xlsx workbook
+ * @param {string|number} sheet - Sheet name or index
+ * @returns {string} - Sheet name
+ */
+const resolveSheetName = (workbook, sheet) => {
+  if (typeof sheet === 'number' || /^\d+$/.test(String(sheet))) {
+    const name = workbook.SheetNames[Number(sheet)];
+    if (name) return name;
+  }
+
+  const name = workbook.SheetNames.find(candidate => candidate === sheet) ||
+    workbook.SheetNames.find(candidate => candidate.toLowerCase() === String(sheet).trim().toLowerCase());
+  if (!name) {
+    throw new Error(`Sheet "${sheet}" not found. Available sheets: ${workbook.SheetNames.join(', ')}`);
+  }
+  return name;
+};
+
+const isHidden = (workbook, index) => Boolean(
+  workbook.Workbook && workbook.Workbook.Sheets && workbook.Workbook.Sheets[index] && workbook.Workbook.Sheets[index].Hidden
+);
+
+/**
+ * List every sheet with its detected table
+ * @param {Object} workbook - xlsx workbook
+ * @returns {Array} - [{ name, index, hidden, headerRow, headerDetected, range, columns, rowCount, subtotalRows }]
+ */
+const inspectWorkbook = (workbook) => workbook.SheetNames.map((name, index) => {
+  const table = locateTable(workbook.Sheets[name]);
+  const summary = {
+    name,
+    index,
+    hidden: isHidden(workbook, index),
+    headerRow: null,
+    headerDetected: false,
+    range: null,
+    columns: [],
+    rowCount: 0,
+    subtotalRows: 0
+  };
+  if (!table) return summary;
+
+  const stats = {};
+  const rows = tableRows(table, {}, stats);
+  let rowCount = 0;
+  while (!rows.next().done) rowCount += 1;
+
+  return {
+    ...summary,
+    headerRow: table.headerRow + 1,
+    headerDetected: table.detected,
+    range: xlsx.utils.encode_range({ s: { r: table.headerRow, c: table.firstColumn }, e: { r: table.lastRow, c: table.lastColumn } }),
+    columns: table.columns,
+    rowCount,
+    subtotalRows: stats.subtotalRows
+  };
+});
+
+/**
+ * Pick the sheet to read when none is chosen: the first visible sheet holding a
+ * table, so cover and notes sheets are skipped
+ * @param {Object} workbook - xlsx workbook
+ * @returns {string} - Sheet name
+ */
+const getDefaultSheet = (workbook) => {
+  const sheets = inspectWorkbook(workbook);
+  const table = sheets.find(sheet => !sheet.hidden && sheet.headerDetected && sheet.columns.length >= 2 && sheet.rowCount > 0) ||
+    sheets.find(sheet => !sheet.hidden && sheet.rowCount > 0) ||
+    sheets.find(sheet => sheet.rowCount > 0);
+  return (table || sheets[0] || {}).name;
+};
+
+/**
+ * Yield the rows of one sheet
+ * @param {Object} workbook - xlsx workbook
+ * @param {string|number} sheet - Sheet name or index; the default sheet when omitted
+ * @param {Object} options - { headerRow, keepSubtotals }
+ * @param {Object} stats - Receives { sheet, headerRow, range, columns, subtotalRows }
+ */
+function* sheetRows(workbook, sheet, options = {}, stats = {}) {
+  const name = sheet === undefined || sheet === null || sheet === ''
+    ? getDefaultSheet(workbook)
+    : resolveSheetName(workbook, sheet);
+  const table = locateTable(workbook.Sheets[name], options);
+
+  stats.sheet = name;
+  if (!table) return;
+
+  stats.headerRow = table.headerRow + 1;
+  stats.range = xlsx.utils.encode_range({ s: { r: table.headerRow, c: table.firstColumn }, e: { r: table.lastRow, c: table.lastColumn } });
+  stats.columns = table.columns;
+  yield* tableRows(table, options, stats);
+}
+
+/**
+ * Read one sheet into rows
+ * @param {Object} workbook - xlsx workbook
+ * @param {string|number} sheet - Sheet name or index; the default sheet when omitted
+ * @param {Object} options - { headerRow, keepSubtotals }
+ * @returns {Object} - { sheet, data, headerRow, range, columns, subtotalRows }
+ */
+const readSheet = (workbook, sheet, options = {}) => {
+  const stats = {};
+  const data = Array.from(sheetRows(workbook, sheet, options, stats));
+  return { ...stats, data };
+};
+
+// Options of the exceljs streaming reader: cell values with their number formats, no hyperlinks
+const STREAM_OPTIONS = {
+  worksheets: 'emit',
+  sharedStrings: 'cache',
+  styles: 'cache',
+  hyperlinks: 'ignore',
+  entries: 'ignore'
+};
+
+// Days between the Excel epoch and 1970-01-01, for formatting dates with number formats
+const EXCEL_EPOCH_DAYS = 25569;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Raw value of a streamed cell: formula results, joined rich text, hyperlink text
+ * @param {*} value - exceljs cell value
+ * @returns {*} - Number, string, boolean, Date or null; error cells are null
+ */
+const streamedValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'string') return value.trim();
+  if (typeof value !== 'object') return value;
+
+  if (value.error) return null;
+  if (Object.prototype.hasOwnProperty.call(value, 'result')) return streamedValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return streamedValue(value.text);
+  return null;
+};
+
+/**
+ * Formatted text of a streamed cell, as Excel shows it
+ * @param {*} value - Raw value
+ * @param {string} format - Number format, e.g. "mmm-yy"
+ * @returns {string} - Text such as "Jan-24"
+ */
+const streamedText = (value, format) => {
+  if (isEmpty(value)) return '';
+
+  let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (format && (typeof value === 'number' || value instanceof Date)) {
+    try {
+      text = xlsx.SSF.format(format, value instanceof Date ? value.getTime() / MS_PER_DAY + EXCEL_EPOCH_DAYS : value);
+    } catch (error) {
+      // An unknown format shows the plain value
+    }
+  }
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Read the filled cells of a streamed row
+ * @param {Object} row - exceljs row
+ * @returns {Array} - Sparse array of { value, format } by zero-based column
+ */
+const streamedCells = (row) => {
+  const cells = [];
+  row.eachCell((cell, col) => {
+    const value = streamedValue(cell.value);
+    if (!isEmpty(value)) cells[col - 1] = { value, format: cell.numFmt };
+  });
+  return cells;
+};
+
+/**
+ * Build a cell reader over the buffered rows of a streamed sheet
+ * @param {Map} rows - Row index to the row's cells
+ * @param {Array} merges - Merged ranges, [{ s: { r, c }, e: { r, c } }]
+ * @returns {Object} - { value(r, c), text(r, c), mergeWidth(r, c) }
+ */
+const createBufferedReader = (rows, merges = []) => {
+  const { merged, spans } = indexMerges(merges);
+  const cellAt = (r, c) => {
+    const origin = merged.get(`${r},${c}`) || { r, c };
+    return (rows.get(origin.r) || [])[origin.c];
+  };
+
+  return {
+    value: (r, c) => {
+      const cell = cellAt(r, c);
+      return cell ? cell.value : null;
+    },
+    text: (r, c) => {
+      const cell = cellAt(r, c);
+      return cell ? streamedText(cell.value, cell.format) : '';
+    },
+    mergeWidth: (r, c) => spans.get(`${r},${c}`) || 1
+  };
+};
+
+/**
+ * Ranges a row's labels would cover if they were merged over the blank cells to
+ * their right, up to the next label or the table's last column
+ * The streaming reader does not see merged cells, so group rows are recognized this way.
+ * @returns {Array} - Merged ranges
+ */
+const labelMerges = (reader, r, firstColumn, lastColumn) => {
+  const merges = [];
+  for (let c = firstColumn; c <= lastColumn; c += 1) {
+    if (!isEmpty(reader.value(r, c))) {
+      merges.push({ s: { r, c }, e: { r, c } });
+    } else if (merges.length > 0) {
+      merges[merges.length - 1].e.c = c;
+    }
+  }
+  return merges.filter(merge => merge.e.c > merge.s.c);
+};
+
+/**
+ * Read the first rows of a streamed sheet, enough to find its header
+ * @param {Object} worksheet - exceljs worksheet reader
+ * @param {number} headerRow - 1-based header row that overrides detection
+ * @returns {Promise<Object>} - { rows, range, iterator, pending }, where pending is the
+ *   first row past the buffered ones; range is null for an empty sheet
+ */
+const readSheetHead = async (worksheet, headerRow) => {
+  const iterator = worksheet[Symbol.asyncIterator]();
+  const rows = new Map();
+  let range = null;
+  let pending = null;
+
+  for (;;) {
+    const next = await iterator.next();
+    if (next.done) break;
+
+    const r = next.value.number - 1;
+    const cells = streamedCells(next.value);
+    if (cells.length === 0) continue;
+
+    const lastHeadRow = Math.max((range ? range.s.r : r) + HEADER_SCAN_ROWS + 5, headerRow ? Number(headerRow) : 0);
+    if (r > lastHeadRow) {
+      pending = { r, cells };
+      break;
+    }
+
+    rows.set(r, cells);
+    const first = cells.findIndex(cell => cell !== undefined);
+    range = range
+      ? { s: { r: range.s.r, c: Math.min(range.s.c, first) }, e: { r, c: Math.max(range.e.c, cells.length - 1) } }
+      : { s: { r, c: first }, e: { r, c: cells.length - 1 } };
+  }
+
+  return { rows, range, iterator, pending };
+};
+
+/**
+ * Locate the data table from the first rows of a streamed sheet
+ * Rows past the buffered ones are not known yet, so lastRow is left open.
+ * @param {Object} head - Result of readSheetHead
+ * @param {Object} options - { headerRow }
+ * @returns {Object|null} - { reader, headerRow, detected, groupRow, firstColumn, lastColumn, columns, hasRows }
+ */
+const locateStreamedTable = (head, options = {}) => {
+  const { rows, range } = head;
+  if (!range) return null;
+
+  let reader = createBufferedReader(rows);
+  const detection = options.headerRow
+    ? { row: Number(options.headerRow) - 1, detected: true }
+    : detectHeaderRow(reader, range);
+  if (!detection || detection.row < range.s.r || detection.row > range.e.r) return null;
+  const headerRow = detection.row;
+
+  const header = describeRow(reader, headerRow, range);
+  if (header.filled === 0) return null;
+  const firstColumn = header.first;
+  let lastColumn = header.last;
+  rows.forEach((cells, r) => {
+    if (r > headerRow) lastColumn = Math.max(lastColumn, cells.length - 1);
+  });
+
+  let groupRow = null;
+  if (headerRow - 1 >= range.s.r) {
+    const merges = labelMerges(reader, headerRow - 1, firstColumn, lastColumn);
+    const grouped = createBufferedReader(rows, merges);
+    if (isGroupRow(grouped, headerRow - 1, firstColumn, lastColumn)) {
+      reader = grouped;
+      groupRow = headerRow - 1;
+    }
+  }
+
+  return {
+    reader,
+    headerRow,
+    detected: detection.detected,
+    groupRow,
+    firstColumn,
+    lastColumn,
+    columns: buildColumnNames(reader, headerRow, groupRow, firstColumn, lastColumn),
+    hasRows: Boolean(head.pending) || [...rows.keys()].some(r => r > headerRow)
+  };
+};
+
+/**
+ * Yield the table rows of a streamed sheet
+ * Rows are read once and only the header and a few held rows are kept. As in
+ * tableRows, blank, repeated header and subtotal rows are skipped; notes under
+ * the table (a single label after a blank row) are dropped when nothing but
+ * notes follows them, and cells right of the last labelled column add
+ * Column_<n> columns.
+ * @param {Object} head - Result of readSheetHead
+ * @param {Object} located - Result of locateStreamedTable
+ * @param {Object} options - { keepSubtotals }
+ * @param {Object} stats - Receives { headerRow, range, columns, subtotalRows }
+ */
+async function* streamTableRows(head, located, options = {}, stats = {}) {
+  const { rows, iterator } = head;
+  const table = { ...located, columns: [...located.columns] };
+  const { reader, headerRow, firstColumn } = table;
+  const held = [];
+  let lastRow = headerRow;
+  let previous = headerRow;
+  let blankBefore = false;
+
+  stats.headerRow = headerRow + 1;
+  stats.subtotalRows = 0;
+
+  const readRow = (r) => {
+    const cells = rows.get(r);
+    while (cells.length - 1 > table.lastColumn) {
+      table.lastColumn += 1;
+      const name = `Column_${table.lastColumn - firstColumn + 1}`;
+      table.columns.push(table.columns.includes(name) ? `${name}_2` : name);
+    }
+    lastRow = r;
+    const row = readTableRow(table, r, options, stats);
+    if (r !== headerRow && r !== table.groupRow) rows.delete(r);
+    return row;
+  };
+
+  // Buffered rows below the header, then the rest of the sheet
+  const buffered = [...rows.keys()].filter(r => r > headerRow).sort((a, b) => a - b);
+  const nextRow = async () => {
+    if (buffered.length > 0) return buffered.shift();
+    if (head.pending) {
+      const { r, cells } = head.pending;
+      head.pending = null;
+      rows.set(r, cells);
+      return r;
+    }
+    const next = await iterator.next();
+    if (next.done) return null;
+    const r = next.value.number - 1;
+    rows.set(r, streamedCells(next.value));
+    return r;
+  };
+
+  for (let r = await nextRow(); r !== null; r = await nextRow()) {
+    const cells = rows.get(r);
+    const row = describeRow(reader, r, { s: { c: firstColumn }, e: { c: Math.max(table.lastColumn, cells.length - 1) } });
+    if (row.filled === 0) {
+      rows.delete(r);
+      blankBefore = true;
+      continue;
+    }
+
+    const note = row.filled === 1 && row.text === 1 && table.lastColumn > firstColumn && (blankBefore || r > previous + 1);
+    previous = r;
+    blankBefore = false;
+    if (note) {
+      held.push(r);
+      continue;
+    }
+
+    for (const index of held.splice(0)) {
+      const heldRow = readRow(index);
+      if (heldRow) yield heldRow;
+    }
+    const tableRow = readRow(r);
+    if (tableRow) yield tableRow;
+  }
+
+  stats.range = xlsx.utils.encode_range({ s: { r: headerRow, c: firstColumn }, e: { r: lastRow, c: table.lastColumn } });
+  stats.columns = table.columns;
+}
+
+/**
+ * Stream the rows of the selected sheets of an .xlsx workbook
+ * Sheets are read in workbook order. Without a selection the first visible
+ * sheet holding a table is read, as getDefaultSheet picks it; when no sheet
+ * holds one, the workbook is read a second time for the first sheet with data.
+ * Merged cells are not visible to the streaming reader: a group row is
+ * recognized by labels followed by blank cells, and merged data cells keep
+ * their value in their first row only.
+ * @param {Function} openStream - Returns a new readable stream of the file
+ * @param {Object} options - Options
+ * @param {Array} options.sheets - Sheets to read (names or indexes)
+ * @param {Object} options.headerRows - 1-based header row per sheet name, overriding detection
+ * @param {boolean} options.keepSubtotals - Keep subtotal and total rows
+ * @param {Object} info - Receives { sheets, sheetsRead }; sheets not read have a null rowCount
+ * @yields {Object} - { sheet, row }
+ */
+async function* streamWorkbookRows(openStream, options = {}, info = {}) {
+  const requested = options.sheets && options.sheets.length > 0 ? options.sheets : null;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(openStream(), STREAM_OPTIONS);
+  const sheets = [];
+  let selected = null;
+  let fallback = null;
+
+  info.sheetsRead = [];
+
+  for await (const worksheet of workbook) {
+    const names = ((workbook.model && workbook.model.sheets) || []).map(sheet => sheet.name);
+    if (requested && !selected) {
+      selected = requested.map(sheet => resolveSheetName({ SheetNames: names }, sheet));
+    }
+
+    const name = worksheet.name;
+    const hidden = Boolean(worksheet.state) && worksheet.state !== 'visible';
+    const headerRow = (options.headerRows || {})[name];
+    const head = await readSheetHead(worksheet, headerRow);
+    const table = locateStreamedTable(head, { headerRow });
+    const summary = {
+      name,
+      index: names.indexOf(name),
+      hidden,
+      headerRow: table ? table.headerRow + 1 : null,
+      headerDetected: table ? table.detected : false,
+      range: null,
+      columns: table ? table.columns : [],
+      rowCount: null,
+      subtotalRows: null
+    };
+    sheets.push(summary);
+
+    const read = selected
+      ? selected.includes(name)
+      : info.sheetsRead.length === 0 && !hidden && table && table.detected && table.columns.length >= 2 && table.hasRows;
+    if (!read) {
+      if (head.range && (!fallback || (fallback.hidden && !hidden))) fallback = { name, hidden };
+      // The rest of the sheet is skipped unread
+      await head.iterator.return();
+      continue;
+    }
+
+    const stats = { sheet: name };
+    let rowCount = 0;
+    if (table) {
+      for await (const row of streamTableRows(head, table, options, stats)) {
+        rowCount += 1;
+        yield { sheet: name, row };
+      }
+    }
+
+    Object.assign(summary, { range: stats.range || null, columns: stats.columns || [], rowCount, subtotalRows: stats.subtotalRows || 0 });
+    info.sheetsRead.push({
+      sheet: name,
+      headerRow: stats.headerRow,
+      range: stats.range,
+      columns: stats.columns,
+      subtotalRows: stats.subtotalRows
+    });
+  }
+
+  if (!selected && info.sheetsRead.length === 0 && fallback) {
+    yield* streamWorkbookRows(openStream, { ...options, sheets: [fallback.name] }, info);
+    return;
+  }
+
+  info.sheets = sheets.sort((a, b) => a.index - b.index);
+}
+
+module.exports = {
+  SUBTOTAL_PATTERN,
+  readWorkbook,
+  inspectWorkbook,
+  getDefaultSheet,
+  resolveSheetName,
+  sheetRows,
+  readSheet,
+  streamWorkbookRows
+};
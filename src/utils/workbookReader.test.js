@@ -0,0 +1,115 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { readWorkbook, inspectWorkbook, getDefaultSheet, readSheet, resolveSheetName, streamWorkbookRows } = require('./workbookReader');
+
+const buildWorkbook = async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Cover').addRows([['Acme Corp'], ['Financial statements 2024']]);
+
+  // Merged title, a merged "2024" group over the quarters, a repeated header, a total row and a note
+  const pl = workbook.addWorksheet('P&L');
+  pl.addRows([
+    ['Profit and loss'],
+    [],
+    [null, '2024', null],
+    ['Account', 'Q1', 'Q2'],
+    ['Revenue', 1000, 1200],
+    ['Cost of sales', -400, -450],
+    ['Account', 'Q1', 'Q2'],
+    ['Total', 600, 750],
+    [],
+    ['Source: management accounts']
+  ]);
+  pl.mergeCells('A1:C1');
+  pl.mergeCells('B3:C3');
+  pl.getCell('B5').numFmt = '$#,##0.00';
+
+  workbook.addWorksheet('BS').addRows([['Item', 'Amount'], ['Cash', 500], ['Receivables', 250]]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+let buffer;
+let workbook;
+
+beforeAll(async () => {
+  buffer = await buildWorkbook();
+  workbook = readWorkbook(buffer);
+});
+
+const plRows = [
+  { Account: 'Revenue', '2024 Q1': 1000, '2024 Q2': 1200 },
+  { Account: 'Cost of sales', '2024 Q1': -400, '2024 Q2': -450 }
+];
+
+const stream = async (options) => {
+  const info = {};
+  const rows = [];
+  for await (const row of streamWorkbookRows(() => Readable.from([buffer]), options, info)) {
+    rows.push(row);
+  }
+  return { rows, info };
+};
+
+describe('inspectWorkbook', () => {
+  it('lists every sheet with its header row and table range', () => {
+    const sheets = inspectWorkbook(workbook);
+
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Cover', 'P&L', 'BS']);
+    expect(sheets[1]).toMatchObject({
+      headerRow: 4,
+      range: 'A4:C8',
+      columns: ['Account', '2024 Q1', '2024 Q2'],
+      rowCount: 2,
+      subtotalRows: 1
+    });
+    expect(sheets[2]).toMatchObject({ headerRow: 1, range: 'A1:B3', rowCount: 2 });
+  });
+
+  it('skips the cover sheet when picking the default sheet', () => {
+    expect(getDefaultSheet(workbook)).toBe('P&L');
+  });
+});
+
+describe('readSheet', () => {
+  it('reads the table under merged titles, leaving out repeated headers, totals and notes', () => {
+    const result = readSheet(workbook, 'p&l');
+
+    expect(result).toMatchObject({ sheet: 'P&L', headerRow: 4, subtotalRows: 1 });
+    expect(result.data).toEqual(plRows);
+  });
+
+  it('keeps formatted numbers as numbers and subtotal rows on request', () => {
+    const result = readSheet(workbook, 1, { keepSubtotals: true });
+
+    expect(result.data[0]['2024 Q1']).toBe(1000);
+    expect(result.data[2]).toEqual({ Account: 'Total', '2024 Q1': 600, '2024 Q2': 750 });
+  });
+
+  it('uses a header row chosen by the user', () => {
+    const result = readSheet(workbook, 'BS', { headerRow: 2 });
+
+    expect(result.columns).toEqual(['Cash', '500']);
+    expect(result.data).toEqual([{ Cash: 'Receivables', 500: 250 }]);
+  });
+
+  it('reports unknown sheets with the available ones', () => {
+    expect(() => resolveSheetName(workbook, 'CF')).toThrow('Sheet "CF" not found. Available sheets: Cover, P&L, BS');
+  });
+});
+
+describe('streamWorkbookRows', () => {
+  it('streams the default sheet and summarizes the others without reading them', async () => {
+    const { rows, info } = await stream({});
+
+    expect(rows).toEqual(plRows.map(row => ({ sheet: 'P&L', row })));
+    expect(info.sheetsRead).toEqual([{ sheet: 'P&L', headerRow: 4, range: 'A4:C8', columns: ['Account', '2024 Q1', '2024 Q2'], subtotalRows: 1 }]);
+    expect(info.sheets.map(sheet => [sheet.name, sheet.rowCount])).toEqual([['Cover', null], ['P&L', 2], ['BS', null]]);
+  });
+
+  it('streams the selected sheets in workbook order', async () => {
+    const { rows } = await stream({ sheets: ['BS', 'p&l'] });
+
+    expect(rows.map(({ sheet, row }) => `${sheet}: ${Object.values(row)[0]}`))
+      .toEqual(['P&L: Revenue', 'P&L: Cost of sales', 'BS: Cash', 'BS: Receivables']);
+  });
+});